@@ -38,8 +38,13 @@ app.use(helmet({
   hsts: { maxAge: 31536000, includeSubDomains: true }
 }));
 
-// Body parser
-app.use(express.json({ limit: '10mb' }));
+// Body parser (signed API-key requests keep the raw body for HMAC verification)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (String(req.headers.authorization || '').startsWith('ZC-HMAC-SHA256 ')) req.rawBody = buf;
+  },
+}));
 
 // Global request logger
 app.use((req, res, next) => {
@@ -16,6 +16,11 @@ const { publishScheduledNotifications } = require('../../common/controllers/noti
 const { startGreOnIQWeeklyReset }       = require('../../modules/greon-iq/jobs/greonIQWeeklyReset');
 const { startGreOnIQMonthlyReset }      = require('../../modules/greon-iq/jobs/greonIQMonthlyReset');
 const { startGreOnIQRetentionCleanup }  = require('../../modules/greon-iq/jobs/greonIQRetentionCleanup');
+const { startGreOnIQVectorReindex }     = require('../../modules/greon-iq/jobs/greonIQVectorReindex');
+const { startMqttIngestion }            = require('../../modules/zero-carbon/iot/mqttSubscriber');
+const { startIoTWindowFlushJob }        = require('../../modules/zero-carbon/iot/iotWindowFlushJob');
+const { startEmailIngestionJob }        = require('../../modules/zero-carbon/email-ingestion/emailIngestionJob');
+const { startWebhookDeliveryWorker }    = require('../../common/services/webhook/webhookDispatcher');
 const Notification                      = require('../../common/models/Notification/Notification');
 const {
   startForecastNightlyCron,
@@ -77,11 +82,22 @@ function registerJobs() {
   startGreOnIQWeeklyReset();      // Mon 00:00 IST — zero weekly usage counters
   startGreOnIQMonthlyReset();     // 1st of month 00:00 IST — zero monthly counters
   startGreOnIQRetentionCleanup(); // Daily 02:30 IST — trim sessions exceeding retention limit
+  startGreOnIQVectorReindex();    // Daily 03:00 IST — document-search index catch-up
 
   // ── M3 Forecast auto-recompute ────────────────────────────────────────────
   registerEmissionSummaryHook();  // trigger recompute whenever emission data is saved
   startForecastNightlyCron();     // nightly full recompute at 01:00 UTC
 
+  // ── MQTT device ingestion (only when MQTT_ENABLED=true) ────────────────────
+  startMqttIngestion();
+  startIoTWindowFlushJob();       // every minute — roll closed reading windows into DataEntries
+
+  // ── Emailed bills → OCR review sessions (only when MAIL_INGEST_ENABLED=true)
+  startEmailIngestionJob();       // MAIL_INGEST_CRON, default every 5 minutes
+
+  // ── Outbound webhook deliveries (bull queue, or every-minute retry sweep) ─
+  startWebhookDeliveryWorker();
+
   // ── Scheduled notification publisher (every 5 minutes) ───────────────────
   cron.schedule('*/5 * * * *', async () => {
     console.log('🔄 Checking for scheduled notifications...');
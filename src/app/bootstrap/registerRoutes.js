@@ -15,6 +15,8 @@ const processFlowR               = require('../../modules/zero-carbon/organizati
 const transportFlowRouter        = require('../../modules/zero-carbon/organization/routes/transportFlowR');
 const { surveyAuthRouter,
         surveyPublicRouter }     = require('../../modules/zero-carbon/organization/routes/surveyRoutes');
+const { supplierAuthRouter,
+        supplierPublicRouter }   = require('../../modules/zero-carbon/supplier/routes/supplierRoutes');
 
 const defraDataR                 = require('../../modules/zero-carbon/emission-factor/routes/defraData');
 const gwpRoutes                  = require('../../modules/zero-carbon/emission-factor/routes/gwpRoutes');
@@ -27,6 +29,8 @@ const emissionFactorRoutes       = require('../../modules/zero-carbon/emission-f
 const ipccConverstionCalculation = require('../../modules/zero-carbon/emission-factor/routes/IpccConversionCalculation');
 
 const summaryRoutes              = require('../../modules/zero-carbon/calculation/routes/summaryRoutes');
+const scope2Routes               = require('../../modules/zero-carbon/scope2/routes/scope2Routes');
+const scope3Routes               = require('../../modules/zero-carbon/scope3/routes/scope3Routes');
 
 const reductionRoutes            = require('../../modules/zero-carbon/reduction/routes/reductionR');
 const netReductionRoutes         = require('../../modules/zero-carbon/reduction/routes/netReductionR');
@@ -39,11 +43,16 @@ const verificationRoutes         = require('../../modules/zero-carbon/verificati
 const { dataCollectionRouter,
         iotRouter }              = require('../../modules/zero-carbon/data-collection/routes/dataCollectionRoutes');
 const iotRoutes                  = require('../../modules/zero-carbon/iot/iotRoutes');
+const emailIngestionRoutes       = require('../../modules/zero-carbon/email-ingestion/emailIngestionRoutes');
 const apiKeyRoutes               = require('../../modules/zero-carbon/api-key/apiKeyRoutes');
 
 const notificationRoutes         = require('../../common/routes/Notification/notificationRoutes');
 const ticketRoutes               = require('../../common/routes/Ticket/ticketRoutes');
 const auditLogRoutes             = require('../../common/routes/AuditLog/auditLogRoutes');
+const webhookRoutes              = require('../../common/routes/Webhook/webhookRoutes');
+const docsRoutes                 = require('../../common/routes/Docs/docsRoutes');
+const ssoRoutes                  = require('../../common/routes/Sso/ssoRoutes');
+const authzRoutes                = require('../../common/routes/Authz/authzRoutes');
 
 // ── GreOn IQ ──────────────────────────────────────────────────────────────────
 const greonIQRoutes              = require('../../modules/greon-iq/routes/greonIQRoutes');
@@ -86,6 +95,8 @@ function registerRoutes(app) {
   app.use('/api/processflow',        processFlowR);
   app.use('/api/transport-flowchart', transportFlowRouter);
   app.use('/api/summaries',          summaryRoutes);
+  app.use('/api/scope2',             scope2Routes);
+  app.use('/api/scope3',             scope3Routes);
   app.use('/api/reductions',         reductionRoutes);
   app.use('/api/net-reduction',      netReductionRoutes);
   app.use('/api/formulas',           FormulaR);
@@ -108,16 +119,33 @@ function registerRoutes(app) {
   app.use('/api/iot', iotRoutes);
   app.use('/api/iot', iotRouter);
 
-  // ── API keys, notifications, surveys ─────────────────────────────────────
+  // ── Email ingestion of bills (mailboxes → OCR review sessions) ───────────
+  app.use('/api/email-ingestion', emailIngestionRoutes);
+
+  // ── API keys, notifications, surveys, suppliers ───────────────────────────
   app.use('/api/api-keys-mgmt',  apiKeyRoutes);
   app.use('/api/notifications',  notificationRoutes);
   app.use('/api/surveys',        surveyAuthRouter);   // authenticated management
   app.use('/api/survey',         surveyPublicRouter); // public respondent endpoints
+  app.use('/api/suppliers',      supplierAuthRouter);   // supplier registry, invitations, review
+  app.use('/api/supplier-portal', supplierPublicRouter); // public supplier endpoints
 
   // ── Support & audit ───────────────────────────────────────────────────────
   app.use('/api/tickets',    ticketRoutes);
   app.use('/api/audit-logs', auditLogRoutes);
 
+  // ── Outbound webhooks ─────────────────────────────────────────────────────
+  app.use('/api/webhooks',   webhookRoutes);
+
+  // ── Single sign-on (OIDC / SAML, per-client IdP) ─────────────────────────
+  app.use('/api/sso',        ssoRoutes);
+
+  // ── Access policy (evaluate / explain, per-client rules) ──────────────────
+  app.use('/api/authz',      authzRoutes);
+
+  // ── API documentation (OpenAPI 3, public) ─────────────────────────────────
+  app.use('/api/docs',       docsRoutes);
+
   // ── GreOn IQ — AI Analytics Assistant ────────────────────────────────────
   app.use('/api/greon-iq', greonIQRoutes);
 
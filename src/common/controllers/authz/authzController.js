@@ -0,0 +1,296 @@
+'use strict';
+// controllers/authz/authzController.js
+//
+// Access-policy API (services/authz/policyEngine.js):
+//
+//   - catalog of actions, attributes and the built-in rules, for the admin UI
+//   - evaluate / explain a decision — "why was I denied?" — for the caller or,
+//     with policy:explain on their client, for another user
+//   - read / replace / clear / dry-run a client's own rules
+
+const User = require('../../models/User');
+const AccessPolicy = require('../../models/AccessPolicy');
+const { logEventFireAndForget } = require('../../services/audit/auditLogService');
+const {
+  evaluate,
+  validateClientRules,
+  invalidateClientPolicy,
+} = require('../../services/authz/policyEngine');
+const { ACTIONS, LIBRARY, RULES, CLIENT_USER_TYPES } = require('../../services/authz/defaultPolicy');
+const { SUBJECT_FIELDS } = require('../../services/authz/attributes');
+
+const OBJECT_ID = /^[a-f0-9]{24}$/i;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+const getUserId = (user) => String(user?._id || user?.id || '');
+
+const sendError = (res, error, message) => {
+  console.error(`[AUTHZ] ${message}:`, error);
+  return res.status(500).json({ success: false, message, error: error.message });
+};
+
+/**
+ * Subject for evaluate / explain: the caller, or `userId` when the caller
+ * may explain decisions for that user's client.
+ * @returns {Promise<{ subject?: object, status?: number, message?: string }>}
+ */
+const resolveSubject = async (req, userId) => {
+  if (!userId || userId === getUserId(req.user)) return { subject: req.user };
+  if (!OBJECT_ID.test(userId)) return { status: 400, message: 'Invalid userId' };
+
+  const target = await User.findById(userId).select(`_id ${SUBJECT_FIELDS.join(' ')}`).lean();
+  if (!target) return { status: 404, message: 'User not found' };
+
+  const permission = await evaluate({
+    subject: req.user,
+    action: 'policy:explain',
+    resource: { type: 'client', clientId: target.clientId },
+  });
+  if (!permission.allowed) {
+    return { status: 403, message: "You cannot evaluate decisions for this user" };
+  }
+  return { subject: target };
+};
+
+/**
+ * Without policy:explain on the resource's client, an explanation keeps only
+ * the outcome: the client's relationships, condition traces (they carry
+ * those values) and the client's own rules — except the one that decided —
+ * are removed, so any clientId can be asked about without revealing it.
+ */
+const redactExplanation = async (req, decision, resource) => {
+  if (!resource.clientId) return decision;
+  const permission = await evaluate({
+    subject: req.user,
+    action: 'policy:explain',
+    resource: { type: 'client', clientId: resource.clientId },
+  });
+  if (permission.allowed) return decision;
+
+  if (decision.attributes?.resource) delete decision.attributes.resource.client;
+  decision.rules = (decision.rules || [])
+    .filter((rule) => rule.source !== 'client' || rule.id === decision.ruleId)
+    .map(({ trace, ...rule }) => rule);
+  return decision;
+};
+
+const checkEvaluationBody = (body) => {
+  if (!body.action || typeof body.action !== 'string') return 'action is required';
+  if (body.resource !== undefined && (typeof body.resource !== 'object' || Array.isArray(body.resource))) {
+    return 'resource must be an object';
+  }
+  return null;
+};
+
+const toPolicyResponse = (clientId, policy) => ({
+  clientId,
+  rules: policy?.rules || [],
+  version: policy?.version || 0,
+  updatedBy: policy?.updatedBy || null,
+  updatedAt: policy?.updatedAt || null,
+});
+
+// ── Catalog ───────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/authz/catalog
+ * Everything the policy editor needs to build and check rules.
+ */
+exports.getCatalog = async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: {
+      actions: Object.entries(ACTIONS).map(([action, meta]) => ({ action, ...meta, grantable: !!meta.grantable })),
+      subjectAttributes: ['id', ...SUBJECT_FIELDS],
+      resourceAttributes: [
+        'type', 'clientId', 'module',
+        'client.exists', 'client.sandbox', 'client.activeModules',
+        'client.assignedConsultantIds', 'client.consultantAdminIds', 'client.teamAdminIds',
+      ],
+      conditions: LIBRARY,
+      clientUserTypes: CLIENT_USER_TYPES,
+      defaultRules: RULES,
+    },
+  });
+};
+
+// ── Decisions ─────────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/authz/evaluate
+ * Body: { action, resource?, userId? }
+ */
+exports.evaluateDecision = async (req, res) => {
+  try {
+    const problem = checkEvaluationBody(req.body);
+    if (problem) return res.status(400).json({ success: false, message: problem });
+
+    const { subject, status, message } = await resolveSubject(req, req.body.userId);
+    if (!subject) return res.status(status).json({ success: false, message });
+
+    const decision = await evaluate({ subject, action: req.body.action, resource: req.body.resource || {} });
+    return res.status(200).json({ success: true, data: decision });
+  } catch (error) {
+    return sendError(res, error, 'Policy evaluation failed');
+  }
+};
+
+/**
+ * POST /api/authz/explain
+ * Body: { action, resource?, userId? }
+ * Every rule considered for the action, whether it matched and why.
+ */
+exports.explainDecision = async (req, res) => {
+  try {
+    const problem = checkEvaluationBody(req.body);
+    if (problem) return res.status(400).json({ success: false, message: problem });
+
+    const { subject, status, message } = await resolveSubject(req, req.body.userId);
+    if (!subject) return res.status(status).json({ success: false, message });
+
+    const resource = req.body.resource || {};
+    const decision = await evaluate({ subject, action: req.body.action, resource, explain: true });
+    return res.status(200).json({ success: true, data: await redactExplanation(req, decision, resource) });
+  } catch (error) {
+    return sendError(res, error, 'Policy explanation failed');
+  }
+};
+
+// ── Per-client policy ─────────────────────────────────────────────────────────
+
+/**
+ * GET /api/authz/clients/:clientId/policy
+ */
+exports.getClientPolicy = async (req, res) => {
+  try {
+    const policy = await AccessPolicy.findOne({ clientId: req.params.clientId }).lean();
+    return res.status(200).json({ success: true, data: toPolicyResponse(req.params.clientId, policy) });
+  } catch (error) {
+    return sendError(res, error, 'Failed to load access policy');
+  }
+};
+
+/**
+ * PUT /api/authz/clients/:clientId/policy
+ * Body: { rules, expectedVersion? }
+ * Replaces the client's rules. With expectedVersion, a concurrent edit → 409.
+ */
+exports.updateClientPolicy = async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { rules, expectedVersion } = req.body;
+
+    const problems = validateClientRules(rules);
+    if (problems.length) {
+      return res.status(400).json({ success: false, message: 'Invalid policy rules', errors: problems });
+    }
+
+    const filter = { clientId };
+    if (expectedVersion !== undefined) filter.version = expectedVersion;
+
+    let policy;
+    try {
+      policy = await AccessPolicy.findOneAndUpdate(
+        filter,
+        { $set: { rules, updatedBy: req.user._id || req.user.id }, $inc: { version: 1 } },
+        { new: true, upsert: expectedVersion === undefined || expectedVersion === 0, runValidators: true }
+      ).lean();
+    } catch (err) {
+      // Upsert raced another first save, or expectedVersion 0 with an existing policy
+      if (err.code !== 11000) throw err;
+      policy = null;
+    }
+    if (!policy) {
+      return res.status(409).json({
+        success: false,
+        message: 'The policy was changed by someone else. Reload and try again.',
+        code: 'VERSION_CONFLICT',
+      });
+    }
+
+    invalidateClientPolicy(clientId);
+    logEventFireAndForget({
+      req,
+      module: 'user_management',
+      action: 'update',
+      subAction: 'access_policy',
+      entityType: 'AccessPolicy',
+      entityId: policy._id.toString(),
+      clientId,
+      changeSummary: `Access policy for ${clientId} set to ${rules.length} rule(s) (v${policy.version})`,
+      severity: 'warning',
+      metadata: { version: policy.version, ruleIds: rules.map((r) => r.id) },
+    });
+    console.log(`[AUTHZ] Policy v${policy.version} saved for ${clientId} by ${req.user.userName}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Access policy updated',
+      data: toPolicyResponse(clientId, policy),
+    });
+  } catch (error) {
+    return sendError(res, error, 'Failed to update access policy');
+  }
+};
+
+/**
+ * DELETE /api/authz/clients/:clientId/policy
+ * Back to the built-in policy only.
+ */
+exports.deleteClientPolicy = async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const policy = await AccessPolicy.findOneAndDelete({ clientId }).lean();
+    if (!policy) {
+      return res.status(404).json({ success: false, message: 'This client has no custom access policy' });
+    }
+
+    invalidateClientPolicy(clientId);
+    logEventFireAndForget({
+      req,
+      module: 'user_management',
+      action: 'delete',
+      subAction: 'access_policy',
+      entityType: 'AccessPolicy',
+      entityId: policy._id.toString(),
+      clientId,
+      changeSummary: `Custom access policy removed for ${clientId}`,
+      severity: 'warning',
+      metadata: { version: policy.version, ruleIds: policy.rules.map((r) => r.id) },
+    });
+
+    return res.status(200).json({ success: true, message: 'Custom access policy removed' });
+  } catch (error) {
+    return sendError(res, error, 'Failed to remove access policy');
+  }
+};
+
+/**
+ * POST /api/authz/clients/:clientId/policy/simulate
+ * Body: { rules, action, resource?, userId? }
+ * Explains a decision as if `rules` were the client's policy; nothing is saved.
+ */
+exports.simulateClientPolicy = async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { rules, action, userId } = req.body;
+
+    const problems = validateClientRules(rules);
+    if (problems.length) {
+      return res.status(400).json({ success: false, message: 'Invalid policy rules', errors: problems });
+    }
+    const problem = checkEvaluationBody(req.body);
+    if (problem) return res.status(400).json({ success: false, message: problem });
+
+    const { subject, status, message } = await resolveSubject(req, userId);
+    if (!subject) return res.status(status).json({ success: false, message });
+
+    // The simulated rules only apply to this client's resources
+    const resource = { type: ACTIONS[action]?.resource || 'client', ...req.body.resource, clientId };
+    const decision = await evaluate({ subject, action, resource, explain: true, clientRules: rules });
+    return res.status(200).json({ success: true, data: decision });
+  } catch (error) {
+    return sendError(res, error, 'Policy simulation failed');
+  }
+};
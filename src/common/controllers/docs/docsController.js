@@ -0,0 +1,22 @@
+'use strict';
+// controllers/docs/docsController.js
+//
+// Serves the generated OpenAPI document (services/openapi/openapiSpec.js).
+// The spec is returned as-is, not wrapped in { success, data }, so Swagger UI,
+// Postman and code generators can load the URL directly.
+
+const { getSpec } = require('../../services/openapi/openapiSpec');
+
+exports.getOpenApiSpec = async (req, res) => {
+  try {
+    const spec = getSpec();
+    res.set('Cache-Control', 'public, max-age=300');
+    if (req.query.download === 'true') {
+      res.attachment('openapi.json');
+    }
+    return res.status(200).json(spec);
+  } catch (error) {
+    console.error('[OpenAPI] Failed to build spec:', error);
+    return res.status(500).json({ success: false, message: 'Failed to build API specification', error: error.message });
+  }
+};
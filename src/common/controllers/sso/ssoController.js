@@ -0,0 +1,566 @@
+'use strict';
+// controllers/sso/ssoController.js
+//
+// Single sign-on through the client's own identity provider.
+//
+// Browser flow (OIDC and SAML alike):
+//   1. frontend → GET  /api/sso/discover?email=…      which client / IdP, if any
+//   2. browser  → GET  /api/sso/:clientId/login        302 to the IdP, state cookie set
+//   3. IdP      → GET  /api/sso/:clientId/oidc/callback   or
+//                 POST /api/sso/:clientId/saml/acs
+//      → user found / linked / JIT-provisioned (services/sso/ssoProvisioning.js)
+//      → 302 to FRONTEND_URL/sso/callback#ticket=…&returnTo=…
+//   4. frontend → POST /api/sso/exchange { ticket }   → { user, token } exactly
+//      like POST /api/users/verify-otp, through the same session limits
+//      (services/auth/loginSession.js).
+//
+// Errors in steps 2–3 are sent to the frontend as #error=<CODE>&message=…
+//
+// Configuration (ssoConfig on the Client) is managed by super_admin, the
+// client's consultants and its client_admin.
+
+const User   = require('../../models/User');
+const Client = require('../../../modules/client-management/client/Client');
+const { logEventFireAndForget, logLoginFailed } = require('../../services/audit/auditLogService');
+const { openLoginSession } = require('../../services/auth/loginSession');
+const { authorize } = require('../../services/authz/policyEngine');
+const oidc = require('../../services/sso/oidcClient');
+const saml = require('../../services/sso/samlClient');
+const {
+  randomToken,
+  setStateCookie,
+  clearStateCookie,
+  sealState,
+  openState,
+  sealTicket,
+  openTicket,
+  safeReturnTo,
+} = require('../../services/sso/ssoState');
+const {
+  SsoError,
+  normalizeClaims,
+  resolveUser,
+} = require('../../services/sso/ssoProvisioning');
+
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** Public origin of this API, used for redirect / ACS URLs given to the IdP. */
+const apiBaseUrl = (req) =>
+  (process.env.SSO_PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+const frontendUrl = () =>
+  (process.env.FRONTEND_URL || 'https://zerocarbon.greonxpert.com').replace(/\/+$/, '');
+
+const oidcRedirectUri = (req, clientId) =>
+  `${apiBaseUrl(req)}/api/sso/${encodeURIComponent(clientId)}/oidc/callback`;
+
+/** Hand the browser back to the SPA; values go in the fragment so they never reach server logs. */
+const redirectToFrontend = (res, params) => {
+  const fragment = new URLSearchParams(
+    Object.entries(params).filter(([, v]) => v !== undefined && v !== null)
+  );
+  res.redirect(302, `${frontendUrl()}/sso/callback#${fragment}`);
+};
+
+const redirectWithError = (res, code, message) => {
+  clearStateCookie(res);
+  redirectToFrontend(res, { error: code, message });
+};
+
+/**
+ * Can this user manage SSO for the client? (client:manage_security)
+ */
+const canManageSso = async (user, clientId) => {
+  if (!user || !clientId) return false;
+  const { allowed } = await authorize(user, 'client:manage_security', { type: 'client', clientId });
+  return allowed;
+};
+
+/**
+ * The client, if SSO is switched on and its subscription is active.
+ * Throws SsoError otherwise.
+ */
+const loadSsoClient = async (clientId) => {
+  if (!CLIENT_ID_PATTERN.test(clientId || '')) {
+    throw new SsoError('Unknown organization', 'SSO_NOT_CONFIGURED', 404);
+  }
+  // accountDetails is encrypted — fetch by clientId, check isActive after decryption
+  const client = await Client.findOne({ clientId });
+  if (!client || !client.ssoConfig?.enabled || !client.ssoConfig.protocol) {
+    throw new SsoError('Single sign-on is not configured for this organization', 'SSO_NOT_CONFIGURED', 404);
+  }
+  if (!client.accountDetails?.isActive) {
+    throw new SsoError("Your organization's subscription is not active", 'CLIENT_INACTIVE');
+  }
+  return client;
+};
+
+const toConfigResponse = (req, client) => {
+  const config = client.ssoConfig?.toObject ? client.ssoConfig.toObject() : { ...(client.ssoConfig || {}) };
+  const hasClientSecret = !!config.oidc?.clientSecret;
+  if (config.oidc) delete config.oidc.clientSecret;
+
+  return {
+    clientId: client.clientId,
+    ssoConfig: { ...config, oidc: { ...(config.oidc || {}), hasClientSecret } },
+    serviceProvider: {
+      oidcRedirectUri: oidcRedirectUri(req, client.clientId),
+      saml: saml.spEndpoints(apiBaseUrl(req), client.clientId),
+    },
+  };
+};
+
+const auditSsoConfig = (req, action, client, changeSummary) => {
+  logEventFireAndForget({
+    req,
+    module: 'auth',
+    action,
+    subAction: 'sso_config',
+    entityType: 'Client',
+    entityId: client._id.toString(),
+    clientId: client.clientId,
+    changeSummary,
+    severity: 'warning',
+    metadata: {
+      enabled: !!client.ssoConfig?.enabled,
+      protocol: client.ssoConfig?.protocol || null,
+      enforced: !!client.ssoConfig?.enforced,
+    },
+  });
+};
+
+/**
+ * Steps shared by the OIDC callback and the SAML ACS once the IdP response
+ * has been verified: resolve the user, then redirect with a login ticket.
+ */
+const finishLogin = async (req, res, client, protocol, rawClaims, state) => {
+  const identity = normalizeClaims(protocol, rawClaims, client.ssoConfig.jit?.groupClaim || 'groups');
+
+  let result;
+  try {
+    result = await resolveUser(client, protocol, identity);
+  } catch (err) {
+    if (err instanceof SsoError) {
+      console.log(`[SSO] ${protocol} login refused for ${identity.email || identity.subject}: ${err.code}`);
+      logLoginFailed(req, identity.email || identity.subject).catch(() => {});
+      return redirectWithError(res, err.code, err.message);
+    }
+    throw err;
+  }
+
+  const { user, created } = result;
+  if (created) {
+    logEventFireAndForget({
+      req,
+      actor: user,
+      module: 'user_management',
+      action: 'create',
+      subAction: `sso_${protocol}_jit`,
+      entityType: 'User',
+      entityId: user._id.toString(),
+      clientId: client.clientId,
+      targetUserId: user._id,
+      targetUserName: user.userName,
+      targetUserType: user.userType,
+      source: 'system',
+      changeSummary: `Provisioned ${user.userType} account ${user.userName} on first ${protocol.toUpperCase()} login`,
+      metadata: { groups: identity.groups },
+    });
+  }
+
+  clearStateCookie(res);
+  redirectToFrontend(res, {
+    ticket: sealTicket({ userId: user._id.toString(), clientId: client.clientId, protocol }),
+    returnTo: state.returnTo,
+  });
+};
+
+// ── Public: discovery + login flow ────────────────────────────────────────────
+
+/**
+ * GET /api/sso/discover?email=jane@acme.com
+ * Tells the login page whether to send this user to an IdP.
+ */
+exports.discover = async (req, res) => {
+  try {
+    const domain = String(req.query.email || '').trim().toLowerCase().split('@')[1];
+    if (!domain || !DOMAIN_PATTERN.test(domain)) {
+      return res.status(400).json({ success: false, message: 'A valid email is required' });
+    }
+
+    const client = await Client.findOne({
+      'ssoConfig.enabled': true,
+      'ssoConfig.allowedDomains': domain,
+    }).select('clientId ssoConfig.protocol ssoConfig.enforced').lean();
+
+    if (!client) {
+      return res.status(200).json({ success: true, data: { sso: false } });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        sso: true,
+        clientId: client.clientId,
+        protocol: client.ssoConfig.protocol,
+        enforced: !!client.ssoConfig.enforced,
+        loginUrl: `${apiBaseUrl(req)}/api/sso/${encodeURIComponent(client.clientId)}/login`,
+      },
+    });
+  } catch (error) {
+    console.error('[SSO] discover error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to look up single sign-on', error: error.message });
+  }
+};
+
+/**
+ * GET /api/sso/:clientId/login?returnTo=/dashboard&loginHint=jane@acme.com
+ * Starts SP-initiated login: sets the state cookie and redirects to the IdP.
+ */
+exports.startLogin = async (req, res) => {
+  const { clientId } = req.params;
+  try {
+    const client = await loadSsoClient(clientId);
+    const { protocol } = client.ssoConfig;
+    const handle = randomToken();
+    const returnTo = safeReturnTo(req.query.returnTo);
+    const loginHint = typeof req.query.loginHint === 'string' ? req.query.loginHint.slice(0, 254) : undefined;
+
+    let location;
+    if (protocol === 'oidc') {
+      const nonce = randomToken();
+      const { verifier, challenge } = oidc.pkcePair();
+      location = await oidc.buildAuthorizationUrl({
+        config: client.ssoConfig.oidc,
+        redirectUri: oidcRedirectUri(req, clientId),
+        state: handle,
+        nonce,
+        codeChallenge: challenge,
+        loginHint,
+      });
+      setStateCookie(res, sealState({ clientId, protocol, handle, nonce, codeVerifier: verifier, returnTo }));
+    } else {
+      const endpoints = saml.spEndpoints(apiBaseUrl(req), clientId);
+      const { url, request } = await saml.buildLoginUrl(client.ssoConfig.saml, endpoints, handle);
+      location = url;
+      setStateCookie(res, sealState({ clientId, protocol, handle, request, returnTo }));
+    }
+
+    console.log(`[SSO] ${protocol} login started for ${clientId}`);
+    return res.redirect(302, location);
+  } catch (error) {
+    if (error instanceof SsoError || error instanceof oidc.OidcError) {
+      return redirectWithError(res, error.code, error.message);
+    }
+    console.error('[SSO] startLogin error:', error);
+    return redirectWithError(res, 'SSO_ERROR', 'Could not start single sign-on');
+  }
+};
+
+/**
+ * GET /api/sso/:clientId/oidc/callback?code=…&state=…
+ * OIDC redirect URI — register this exact URL with the IdP.
+ */
+exports.oidcCallback = async (req, res) => {
+  const { clientId } = req.params;
+  try {
+    const state = openState(req, clientId, req.query.state);
+    if (!state || state.protocol !== 'oidc') {
+      return redirectWithError(res, 'STATE_MISMATCH', 'Sign-in session expired or was started in another browser. Please try again.');
+    }
+    if (req.query.error) {
+      return redirectWithError(res, 'IDP_ERROR', String(req.query.error_description || req.query.error).slice(0, 300));
+    }
+    if (!req.query.code) {
+      return redirectWithError(res, 'IDP_ERROR', 'Identity provider did not return an authorization code');
+    }
+
+    const client = await loadSsoClient(clientId);
+    if (client.ssoConfig.protocol !== 'oidc') {
+      return redirectWithError(res, 'SSO_NOT_CONFIGURED', 'OpenID Connect is not configured for this organization');
+    }
+
+    const claims = await oidc.completeLogin({
+      config: client.ssoConfig.oidc,
+      redirectUri: oidcRedirectUri(req, clientId),
+      code: String(req.query.code),
+      codeVerifier: state.codeVerifier,
+      nonce: state.nonce,
+      groupClaim: client.ssoConfig.jit?.groupClaim,
+    });
+
+    return await finishLogin(req, res, client, 'oidc', claims, state);
+  } catch (error) {
+    if (error instanceof SsoError || error instanceof oidc.OidcError) {
+      console.log(`[SSO] OIDC callback rejected for ${clientId}: ${error.message}`);
+      return redirectWithError(res, error.code, error.message);
+    }
+    console.error('[SSO] oidcCallback error:', error);
+    return redirectWithError(res, 'SSO_ERROR', 'Single sign-on failed');
+  }
+};
+
+/**
+ * POST /api/sso/:clientId/saml/acs   (application/x-www-form-urlencoded)
+ * SAML Assertion Consumer Service — HTTP-POST binding.
+ */
+exports.samlAcs = async (req, res) => {
+  const { clientId } = req.params;
+  try {
+    const state = openState(req, clientId, req.body?.RelayState);
+    if (!state || state.protocol !== 'saml') {
+      return redirectWithError(res, 'STATE_MISMATCH', 'Sign-in session expired or was started in another browser. Please try again.');
+    }
+    if (!req.body.SAMLResponse) {
+      return redirectWithError(res, 'IDP_ERROR', 'Identity provider did not return a SAML response');
+    }
+
+    const client = await loadSsoClient(clientId);
+    if (client.ssoConfig.protocol !== 'saml') {
+      return redirectWithError(res, 'SSO_NOT_CONFIGURED', 'SAML is not configured for this organization');
+    }
+
+    let profile;
+    try {
+      profile = await saml.validateResponse(
+        client.ssoConfig.saml,
+        saml.spEndpoints(apiBaseUrl(req), clientId),
+        req.body.SAMLResponse,
+        state.request
+      );
+    } catch (err) {
+      console.log(`[SSO] SAML response rejected for ${clientId}: ${err.message}`);
+      return redirectWithError(res, 'SAML_RESPONSE_INVALID', 'The identity provider response could not be verified');
+    }
+
+    return await finishLogin(req, res, client, 'saml', profile, state);
+  } catch (error) {
+    if (error instanceof SsoError) {
+      return redirectWithError(res, error.code, error.message);
+    }
+    console.error('[SSO] samlAcs error:', error);
+    return redirectWithError(res, 'SSO_ERROR', 'Single sign-on failed');
+  }
+};
+
+/**
+ * GET /api/sso/:clientId/saml/metadata
+ * SP metadata XML to upload to the IdP (entity id = this URL).
+ */
+exports.samlMetadata = async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    if (!CLIENT_ID_PATTERN.test(clientId) || !(await Client.exists({ clientId }))) {
+      return res.status(404).json({ success: false, message: 'Client not found' });
+    }
+    const client = await Client.findOne({ clientId }).select('ssoConfig.saml').lean();
+    const xml = saml.metadataXml(saml.spEndpoints(apiBaseUrl(req), clientId), {
+      wantAssertionsSigned: client?.ssoConfig?.saml?.wantAssertionsSigned !== false,
+    });
+    res.set('Content-Type', 'application/samlmetadata+xml');
+    return res.status(200).send(xml);
+  } catch (error) {
+    console.error('[SSO] samlMetadata error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to build SAML metadata', error: error.message });
+  }
+};
+
+/**
+ * POST /api/sso/exchange  { ticket }
+ * Redeems the one-time ticket from the callback redirect for a session token.
+ * Response matches POST /api/users/verify-otp.
+ */
+exports.exchangeTicket = async (req, res) => {
+  try {
+    const ticket = openTicket(req.body?.ticket);
+    if (!ticket) {
+      return res.status(401).json({ message: 'Sign-in link is invalid or expired. Please sign in again.', code: 'TICKET_INVALID' });
+    }
+
+    const user = await User.findById(ticket.userId).populate('createdBy', 'userName email');
+    if (!user || !user.isActive || user.clientId !== ticket.clientId) {
+      return res.status(401).json({ message: 'Account is not available', code: 'TICKET_INVALID' });
+    }
+
+    let session;
+    try {
+      session = await openLoginSession(req, user, {
+        logTag: 'SSO',
+        loginMethod: ticket.protocol,
+        sessionId: ticket.jti,
+      });
+    } catch (err) {
+      // The ticket's jti is the session id, so a second redemption collides
+      if (err.code === 11000) {
+        return res.status(401).json({ message: 'Sign-in link has already been used', code: 'TICKET_USED' });
+      }
+      throw err;
+    }
+
+    if (!session.ok) {
+      return res.status(session.status).json(session.body);
+    }
+
+    console.log(`[SSO] Login successful for ${user.email} via ${ticket.protocol}`);
+    return res.status(200).json({
+      user: session.user,
+      token: session.token,
+      message: 'Login successful',
+    });
+  } catch (error) {
+    console.error('[SSO] exchangeTicket error:', error);
+    return res.status(500).json({ message: 'Single sign-on failed', error: error.message });
+  }
+};
+
+// ── Protected: configuration ──────────────────────────────────────────────────
+
+const loadManagedClient = async (req, res) => {
+  const { clientId } = req.params;
+  if (!(await canManageSso(req.user, clientId))) {
+    res.status(403).json({ success: false, message: 'You cannot manage single sign-on for this client' });
+    return null;
+  }
+  const client = await Client.findOne({ clientId });
+  if (!client) {
+    res.status(404).json({ success: false, message: 'Client not found' });
+    return null;
+  }
+  return client;
+};
+
+/**
+ * Cross-field checks the request schema cannot express.
+ * @returns {string|null} error message
+ */
+const checkConfig = (config, existingSecret) => {
+  if (!config.enabled) return config.enforced ? 'enforced requires enabled' : null;
+  if (config.protocol === 'oidc') {
+    if (!config.oidc?.issuer || !config.oidc?.clientId) return 'oidc.issuer and oidc.clientId are required';
+    if (!config.oidc.clientSecret && !existingSecret) return 'oidc.clientSecret is required';
+  } else if (config.protocol === 'saml') {
+    if (!config.saml?.entryPoint || !config.saml?.idpCert?.length) return 'saml.entryPoint and saml.idpCert are required';
+  } else {
+    return 'protocol is required when SSO is enabled';
+  }
+  if (config.enforced && !config.allowedDomains?.length) return 'enforced requires at least one allowed domain';
+  if (config.jit?.enabled && !config.jit.defaultUserType && !config.jit.roleMappings?.length) {
+    return 'jit needs a defaultUserType or at least one roleMapping';
+  }
+  return null;
+};
+
+/**
+ * GET /api/sso/:clientId/config
+ * Current configuration (client secret omitted) and the SP URLs to give the IdP.
+ */
+exports.getConfig = async (req, res) => {
+  try {
+    const client = await loadManagedClient(req, res);
+    if (!client) return;
+    return res.status(200).json({ success: true, data: toConfigResponse(req, client) });
+  } catch (error) {
+    console.error('[SSO] getConfig error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to load SSO configuration', error: error.message });
+  }
+};
+
+/**
+ * PUT /api/sso/:clientId/config
+ * Replaces the configuration. Omit oidc.clientSecret to keep the stored one.
+ */
+exports.updateConfig = async (req, res) => {
+  try {
+    const client = await loadManagedClient(req, res);
+    if (!client) return;
+
+    const body = req.body;
+    const existingSecret = client.ssoConfig?.oidc?.clientSecret || null;
+    const allowedDomains = [...new Set((body.allowedDomains || []).map((d) => d.trim().toLowerCase()))];
+    const invalidDomain = allowedDomains.find((d) => !DOMAIN_PATTERN.test(d));
+    if (invalidDomain) {
+      return res.status(400).json({ success: false, message: `Invalid domain: ${invalidDomain}` });
+    }
+
+    const config = {
+      enabled: !!body.enabled,
+      protocol: body.protocol || null,
+      allowedDomains,
+      enforced: !!body.enforced,
+      oidc: body.oidc ? { ...body.oidc, clientSecret: body.oidc.clientSecret || existingSecret } : undefined,
+      saml: body.saml
+        ? { ...body.saml, idpCert: [].concat(body.saml.idpCert || []).map((c) => c.trim()).filter(Boolean) }
+        : undefined,
+      jit: body.jit,
+    };
+
+    const problem = checkConfig(config, existingSecret);
+    if (problem) {
+      return res.status(400).json({ success: false, message: problem });
+    }
+
+    if (allowedDomains.length) {
+      const clash = await Client.findOne({
+        clientId: { $ne: client.clientId },
+        'ssoConfig.allowedDomains': { $in: allowedDomains },
+      }).select('clientId ssoConfig.allowedDomains').lean();
+      if (clash) {
+        const taken = clash.ssoConfig.allowedDomains.filter((d) => allowedDomains.includes(d));
+        return res.status(409).json({
+          success: false,
+          message: `Domain already routed to another organization: ${taken.join(', ')}`,
+        });
+      }
+    }
+
+    if (config.enabled && config.protocol === 'oidc') {
+      try {
+        await oidc.discover(config.oidc.issuer);
+      } catch (err) {
+        return res.status(400).json({ success: false, message: `OIDC issuer check failed: ${err.message}` });
+      }
+    }
+
+    client.ssoConfig = { ...config, updatedBy: req.user._id || req.user.id, updatedAt: new Date() };
+    client.markModified('ssoConfig');
+    await client.save();
+
+    auditSsoConfig(req, 'update', client,
+      `SSO ${config.enabled ? `enabled (${config.protocol})` : 'disabled'} for ${client.clientId}`);
+    console.log(`[SSO] Configuration updated for ${client.clientId} by ${req.user.userName}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'SSO configuration saved',
+      data: toConfigResponse(req, client),
+    });
+  } catch (error) {
+    console.error('[SSO] updateConfig error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to save SSO configuration', error: error.message });
+  }
+};
+
+/**
+ * DELETE /api/sso/:clientId/config
+ * Turns SSO off and removes the IdP settings. Linked identities on users are
+ * kept so re-enabling the same IdP does not need re-linking.
+ */
+exports.deleteConfig = async (req, res) => {
+  try {
+    const client = await loadManagedClient(req, res);
+    if (!client) return;
+
+    client.ssoConfig = { enabled: false, updatedBy: req.user._id || req.user.id, updatedAt: new Date() };
+    client.markModified('ssoConfig');
+    await client.save();
+
+    auditSsoConfig(req, 'delete', client, `SSO configuration removed for ${client.clientId}`);
+    return res.status(200).json({ success: true, message: 'SSO configuration removed' });
+  } catch (error) {
+    console.error('[SSO] deleteConfig error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to remove SSO configuration', error: error.message });
+  }
+};
@@ -0,0 +1,600 @@
+'use strict';
+// controllers/user/mfaController.js
+//
+// Strong second factors (services/auth/mfaService.js).
+//
+// Login with a factor enrolled:
+//   1. POST /api/users/login            → { requiresMFA, methods, tempToken }
+//      (no email OTP; a valid `deviceToken` skips straight to a session)
+//   2. POST /api/users/login/mfa/verify            { tempToken, method, code }
+//      or POST /api/users/login/mfa/webauthn/options + /webauthn/verify
+//      → { user, token } like /verify-otp, plus deviceToken when
+//        rememberDevice was asked for and the client allows it.
+//
+// Enrolment when the policy requires a factor the user does not have yet:
+//   POST /api/users/verify-otp → { requiresMfaEnrollment, enrollmentToken }
+//   The enrollment token is accepted by the /me/mfa setup endpoints
+//   (authOrMfaEnrollment); the first confirmed factor also opens the session.
+
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const TrustedDevice = require('../../models/TrustedDevice');
+const Client = require('../../../modules/client-management/client/Client');
+const { logEventFireAndForget } = require('../../services/audit/auditLogService');
+const { openLoginSession } = require('../../services/auth/loginSession');
+const { authorize } = require('../../services/authz/policyEngine');
+const mfa = require('../../services/auth/mfaService');
+
+const LOGIN_TAG = 'LOGIN MFA';
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+const getUserId = (user) => String(user?._id || user?.id || '');
+
+/** super_admin, the client's consultants and its client_admin (client:manage_security). */
+const canManageClientSecurity = async (user, clientId) => {
+  if (!user || !clientId) return false;
+  const { allowed } = await authorize(user, 'client:manage_security', { type: 'client', clientId });
+  return allowed;
+};
+
+const sendMfaError = (res, err, fallback) => {
+  if (err instanceof mfa.MfaError) {
+    return res.status(err.status).json({ success: false, message: err.message, code: err.code });
+  }
+  console.error(`[MFA] ${fallback}:`, err);
+  return res.status(500).json({ success: false, message: fallback, error: err.message });
+};
+
+const auditMfa = (req, action, subAction, target, changeSummary, metadata = {}) => {
+  logEventFireAndForget({
+    req,
+    module: 'auth',
+    action,
+    subAction,
+    entityType: 'User',
+    entityId: getUserId(target),
+    clientId: target.clientId || null,
+    changeSummary,
+    severity: 'warning',
+    metadata,
+  });
+};
+
+/** The user behind a login-step token, or null. */
+const readStageToken = async (token, stage) => {
+  try {
+    const decoded = jwt.verify(token || '', process.env.JWT_SECRET);
+    if (decoded.stage !== stage || decoded.purpose !== '2fa_verification') return null;
+    const user = await User.findById(decoded.userId).populate('createdBy', 'userName email');
+    if (!user || (!user.isActive && !user.sandbox)) return null;
+    return user;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Open the session after a verified second factor and, when asked for and
+ * allowed by the client's policy, remember the device.
+ */
+const finishLogin = async (req, res, user, mfaMethod, { rememberDevice = false, logTag = LOGIN_TAG } = {}) => {
+  const policyClient = await mfa.loadPolicyClient(user);
+  const days = mfa.trustedDeviceDays(policyClient);
+
+  let trusted = null;
+  if (rememberDevice && days > 0) {
+    trusted = await mfa.trustDevice(req, user._id, { days, mfaMethod });
+  }
+
+  const session = await openLoginSession(req, user, {
+    logTag,
+    mfaMethod,
+    trustedDeviceId: trusted ? trusted.device._id : null,
+  });
+
+  if (!session.ok) {
+    if (trusted) await TrustedDevice.deleteOne({ _id: trusted.device._id });
+    res.status(session.status).json(session.body);
+    return null;
+  }
+
+  console.log(`[${logTag}] Login successful for ${user.email} (${mfaMethod})`);
+  return {
+    user: session.user,
+    token: session.token,
+    ...(trusted && {
+      deviceToken: trusted.token,
+      deviceTokenExpiresAt: trusted.device.expiresAt,
+    }),
+  };
+};
+
+/** UserMfa of the caller, loaded for the /me endpoints. */
+const loadOwnMfa = (req) => mfa.getOrCreateUserMfa(req.user._id || req.user.id);
+
+/** Removing the last strong factor is refused while the policy requires one. */
+const assertCanRemoveFactor = async (req, userMfa) => {
+  if (userMfa.hasStrongFactor()) return;
+  const policyClient = await mfa.loadPolicyClient(req.user);
+  if (mfa.isMfaRequired(req.user, policyClient)) {
+    throw new mfa.MfaError(
+      'Your organization requires a second factor; add another one before removing this one',
+      'MFA_REQUIRED',
+      403
+    );
+  }
+};
+
+// ── Public: login step 2 ──────────────────────────────────────────────────────
+
+/**
+ * POST /api/users/login/mfa/verify
+ * Body: { tempToken, method: 'totp'|'recovery_code', code, rememberDevice? }
+ */
+exports.verifyLoginMfa = async (req, res) => {
+  try {
+    const { tempToken, method, code, rememberDevice } = req.body;
+    const user = await readStageToken(tempToken, 'mfa_pending');
+    if (!user) {
+      return res.status(401).json({ message: 'Session expired. Please login again.' });
+    }
+
+    const userMfa = await mfa.getUserMfa(user._id);
+    if (!userMfa || !userMfa.hasStrongFactor()) {
+      return res.status(400).json({ message: 'No second factor is set up', code: 'METHOD_UNAVAILABLE' });
+    }
+
+    try {
+      await mfa.verifyCodeFactor(userMfa, method, code);
+    } catch (err) {
+      if (!(err instanceof mfa.MfaError)) throw err;
+      console.log(`[${LOGIN_TAG}] ${method} rejected for ${user.email}: ${err.code}`);
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
+
+    const result = await finishLogin(req, res, user, method, { rememberDevice: !!rememberDevice });
+    if (!result) return;
+
+    if (method === 'recovery_code') {
+      auditMfa(req, 'login', 'mfa_recovery_code', user,
+        `Recovery code used by ${user.email} (${mfa.remainingRecoveryCodes(userMfa)} left)`);
+    }
+
+    return res.status(200).json({
+      ...result,
+      ...(method === 'recovery_code' && { recoveryCodesRemaining: mfa.remainingRecoveryCodes(userMfa) }),
+      message: 'Login successful',
+    });
+  } catch (error) {
+    console.error(`[${LOGIN_TAG}] verifyLoginMfa error:`, error);
+    return res.status(500).json({ message: 'Second factor verification failed', error: error.message });
+  }
+};
+
+/**
+ * POST /api/users/login/mfa/webauthn/options
+ * Body: { tempToken } → { options, challengeToken } for navigator.credentials.get()
+ */
+exports.loginWebauthnOptions = async (req, res) => {
+  try {
+    const user = await readStageToken(req.body.tempToken, 'mfa_pending');
+    if (!user) {
+      return res.status(401).json({ message: 'Session expired. Please login again.' });
+    }
+
+    const userMfa = await mfa.getUserMfa(user._id);
+    if (!userMfa || !userMfa.webauthnCredentials.length) {
+      return res.status(400).json({ message: 'No security key is registered', code: 'METHOD_UNAVAILABLE' });
+    }
+
+    const { options, challengeToken } = await mfa.authenticationOptions(user, userMfa);
+    return res.status(200).json({ options, challengeToken });
+  } catch (error) {
+    console.error(`[${LOGIN_TAG}] loginWebauthnOptions error:`, error);
+    return res.status(500).json({ message: 'Failed to start security key sign-in', error: error.message });
+  }
+};
+
+/**
+ * POST /api/users/login/mfa/webauthn/verify
+ * Body: { tempToken, challengeToken, response, rememberDevice? }
+ */
+exports.verifyLoginWebauthn = async (req, res) => {
+  try {
+    const { tempToken, challengeToken, response, rememberDevice } = req.body;
+    const user = await readStageToken(tempToken, 'mfa_pending');
+    if (!user) {
+      return res.status(401).json({ message: 'Session expired. Please login again.' });
+    }
+
+    const userMfa = await mfa.getUserMfa(user._id);
+    if (!userMfa || !userMfa.webauthnCredentials.length) {
+      return res.status(400).json({ message: 'No security key is registered', code: 'METHOD_UNAVAILABLE' });
+    }
+
+    try {
+      await mfa.verifyAuthentication(user, userMfa, { response, challengeToken });
+    } catch (err) {
+      if (!(err instanceof mfa.MfaError)) throw err;
+      console.log(`[${LOGIN_TAG}] webauthn rejected for ${user.email}: ${err.code}`);
+      return res.status(err.status).json({ message: err.message, code: err.code });
+    }
+
+    const result = await finishLogin(req, res, user, 'webauthn', { rememberDevice: !!rememberDevice });
+    if (!result) return;
+
+    return res.status(200).json({ ...result, message: 'Login successful' });
+  } catch (error) {
+    console.error(`[${LOGIN_TAG}] verifyLoginWebauthn error:`, error);
+    return res.status(500).json({ message: 'Security key verification failed', error: error.message });
+  }
+};
+
+// ── Own factors: /api/users/me/mfa ────────────────────────────────────────────
+
+/**
+ * GET /api/users/me/mfa
+ * Enrolled factors and whether the policy requires one.
+ */
+exports.getMyMfa = async (req, res) => {
+  try {
+    const [userMfa, policyClient] = await Promise.all([
+      mfa.getUserMfa(req.user._id || req.user.id),
+      mfa.loadPolicyClient(req.user),
+    ]);
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...mfa.mfaStatus(userMfa),
+        required: mfa.isMfaRequired(req.user, policyClient),
+        trustedDeviceDays: mfa.trustedDeviceDays(policyClient),
+        enrollmentPending: !!req.mfaEnrollment,
+      },
+    });
+  } catch (error) {
+    return sendMfaError(res, error, 'Failed to load MFA status');
+  }
+};
+
+/**
+ * POST /api/users/me/mfa/totp/setup
+ * New authenticator secret → { secret, otpauthUrl } for the QR code.
+ */
+exports.setupTotp = async (req, res) => {
+  try {
+    const userMfa = await loadOwnMfa(req);
+    const provisioning = mfa.beginTotpSetup(userMfa, req.user.email);
+    await userMfa.save();
+    return res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm a code',
+      data: provisioning,
+    });
+  } catch (error) {
+    return sendMfaError(res, error, 'Failed to start authenticator setup');
+  }
+};
+
+/**
+ * POST /api/users/me/mfa/totp/confirm
+ * Body: { code }
+ * Enables TOTP. Recovery codes are returned once, on the first strong factor.
+ * During enrolment the response also carries the login session ({ user, token }).
+ */
+exports.confirmTotp = async (req, res) => {
+  try {
+    const userMfa = await loadOwnMfa(req);
+    const firstFactor = !userMfa.hasStrongFactor();
+    if (req.mfaEnrollment && !firstFactor) {
+      return res.status(403).json({ success: false, message: 'A second factor is already set up. Please login again.' });
+    }
+
+    mfa.confirmTotpSetup(userMfa, req.body.code);
+    const recoveryCodes = firstFactor ? mfa.regenerateRecoveryCodes(userMfa) : undefined;
+    await userMfa.save();
+
+    auditMfa(req, 'update', 'mfa_totp_enabled', req.user, `Authenticator app enabled for ${req.user.email}`);
+
+    let login;
+    if (req.mfaEnrollment) {
+      const user = await User.findById(req.user._id).populate('createdBy', 'userName email');
+      login = await finishLogin(req, res, user, 'totp', { logTag: 'LOGIN MFA ENROLL' });
+      if (!login) return;
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Authenticator app enabled',
+      data: { recoveryCodes, ...login },
+    });
+  } catch (error) {
+    return sendMfaError(res, error, 'Failed to enable authenticator app');
+  }
+};
+
+/**
+ * DELETE /api/users/me/mfa/totp
+ */
+exports.disableTotp = async (req, res) => {
+  try {
+    const userMfa = await loadOwnMfa(req);
+    if (!userMfa.totp?.enabled) {
+      return res.status(404).json({ success: false, message: 'Authenticator app is not enabled' });
+    }
+
+    userMfa.totp = { enabled: false, lastUsedStep: -1 };
+    await assertCanRemoveFactor(req, userMfa);
+    if (!userMfa.hasStrongFactor()) userMfa.recoveryCodes = [];
+    await userMfa.save();
+
+    auditMfa(req, 'delete', 'mfa_totp_disabled', req.user, `Authenticator app disabled for ${req.user.email}`);
+    return res.status(200).json({ success: true, message: 'Authenticator app disabled' });
+  } catch (error) {
+    return sendMfaError(res, error, 'Failed to disable authenticator app');
+  }
+};
+
+/**
+ * POST /api/users/me/mfa/recovery-codes
+ * Replaces all recovery codes; the old ones stop working.
+ */
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const userMfa = await loadOwnMfa(req);
+    if (!userMfa.hasStrongFactor()) {
+      return res.status(400).json({ success: false, message: 'Set up an authenticator app or security key first' });
+    }
+
+    const recoveryCodes = mfa.regenerateRecoveryCodes(userMfa);
+    await userMfa.save();
+
+    auditMfa(req, 'update', 'mfa_recovery_codes', req.user, `Recovery codes regenerated for ${req.user.email}`);
+    return res.status(200).json({ success: true, message: 'New recovery codes generated', data: { recoveryCodes } });
+  } catch (error) {
+    return sendMfaError(res, error, 'Failed to regenerate recovery codes');
+  }
+};
+
+/**
+ * POST /api/users/me/mfa/webauthn/register/options
+ * → { options, challengeToken } for navigator.credentials.create()
+ */
+exports.webauthnRegisterOptions = async (req, res) => {
+  try {
+    const userMfa = await loadOwnMfa(req);
+    const data = await mfa.registrationOptions(req.user, userMfa);
+    return res.status(200).json({ success: true, data });
+  } catch (error) {
+    return sendMfaError(res, error, 'Failed to start security key registration');
+  }
+};
+
+/**
+ * POST /api/users/me/mfa/webauthn/register/verify
+ * Body: { challengeToken, response, name? }
+ * Same enrolment behaviour as totp/confirm.
+ */
+exports.webauthnRegisterVerify = async (req, res) => {
+  try {
+    const userMfa = await loadOwnMfa(req);
+    const firstFactor = !userMfa.hasStrongFactor();
+    if (req.mfaEnrollment && !firstFactor) {
+      return res.status(403).json({ success: false, message: 'A second factor is already set up. Please login again.' });
+    }
+
+    const credentialId = await mfa.verifyRegistration(req.user, userMfa, req.body);
+    const recoveryCodes = firstFactor ? mfa.regenerateRecoveryCodes(userMfa) : undefined;
+    await userMfa.save();
+
+    auditMfa(req, 'update', 'mfa_webauthn_added', req.user, `Security key registered for ${req.user.email}`,
+      { credentialId });
+
+    let login;
+    if (req.mfaEnrollment) {
+      const user = await User.findById(req.user._id).populate('createdBy', 'userName email');
+      login = await finishLogin(req, res, user, 'webauthn', { logTag: 'LOGIN MFA ENROLL' });
+      if (!login) return;
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Security key registered',
+      data: { credentialId, recoveryCodes, ...login },
+    });
+  } catch (error) {
+    return sendMfaError(res, error, 'Failed to register security key');
+  }
+};
+
+/**
+ * DELETE /api/users/me/mfa/webauthn/:credentialId
+ */
+exports.removeWebauthnCredential = async (req, res) => {
+  try {
+    const userMfa = await loadOwnMfa(req);
+    const index = userMfa.webauthnCredentials.findIndex((c) => c.credentialId === req.params.credentialId);
+    if (index === -1) {
+      return res.status(404).json({ success: false, message: 'Security key not found' });
+    }
+
+    userMfa.webauthnCredentials.splice(index, 1);
+    await assertCanRemoveFactor(req, userMfa);
+    if (!userMfa.hasStrongFactor()) userMfa.recoveryCodes = [];
+    await userMfa.save();
+
+    auditMfa(req, 'delete', 'mfa_webauthn_removed', req.user, `Security key removed for ${req.user.email}`,
+      { credentialId: req.params.credentialId });
+    return res.status(200).json({ success: true, message: 'Security key removed' });
+  } catch (error) {
+    return sendMfaError(res, error, 'Failed to remove security key');
+  }
+};
+
+/**
+ * GET /api/users/me/mfa/trusted-devices
+ */
+exports.listTrustedDevices = async (req, res) => {
+  try {
+    const devices = await TrustedDevice.find({
+      userId: req.user._id || req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select('label ip mfaMethod lastUsedAt expiresAt createdAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+    return res.status(200).json({ success: true, data: devices });
+  } catch (error) {
+    return sendMfaError(res, error, 'Failed to load trusted devices');
+  }
+};
+
+/**
+ * DELETE /api/users/me/mfa/trusted-devices/:deviceId
+ * Forget one device; sessions opened through it end immediately.
+ */
+exports.revokeTrustedDevice = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    if (!/^[a-f0-9]{24}$/i.test(deviceId)) {
+      return res.status(400).json({ success: false, message: 'Invalid device id' });
+    }
+
+    const revoked = await mfa.revokeTrustedDevices(req.user._id || req.user.id, { _id: deviceId });
+    if (!revoked) {
+      return res.status(404).json({ success: false, message: 'Trusted device not found' });
+    }
+    return res.status(200).json({ success: true, message: 'Device is no longer trusted' });
+  } catch (error) {
+    return sendMfaError(res, error, 'Failed to revoke trusted device');
+  }
+};
+
+// ── Administration ────────────────────────────────────────────────────────────
+
+/**
+ * DELETE /api/users/admin/:userId/mfa
+ * Lost-device reset: removes every factor and trusted device of the user.
+ * With a required policy the user re-enrols at the next login.
+ */
+exports.resetUserMfa = async (req, res) => {
+  try {
+    const target = await User.findById(req.params.userId).select('email userName userType clientId');
+    if (!target) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const allowed = target.clientId
+      ? await canManageClientSecurity(req.user, target.clientId)
+      : req.user.userType === 'super_admin';
+    if (!allowed || getUserId(target) === getUserId(req.user)) {
+      return res.status(403).json({ success: false, message: "You cannot reset this user's second factors" });
+    }
+
+    const userMfa = await mfa.getUserMfa(target._id);
+    if (userMfa) await userMfa.deleteOne();
+    const devicesRevoked = await mfa.revokeTrustedDevices(target._id);
+
+    auditMfa(req, 'delete', 'mfa_reset', target, `Second factors reset for ${target.email} by ${req.user.userName}`,
+      { devicesRevoked });
+    console.log(`[MFA] Factors reset for ${target.email} by ${req.user.userName}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Second factors reset',
+      data: { devicesRevoked },
+    });
+  } catch (error) {
+    return sendMfaError(res, error, 'Failed to reset second factors');
+  }
+};
+
+/**
+ * GET /api/clients/:clientId/mfa-policy
+ */
+exports.getMfaPolicy = async (req, res) => {
+  try {
+    if (!(await canManageClientSecurity(req.user, req.params.clientId))) {
+      return res.status(403).json({ success: false, message: 'You cannot manage MFA for this client' });
+    }
+    const client = await Client.findOne({ clientId: req.params.clientId }).select('clientId mfaPolicy').lean();
+    if (!client) {
+      return res.status(404).json({ success: false, message: 'Client not found' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        requiredUserTypes: client.mfaPolicy?.requiredUserTypes || [],
+        trustedDeviceDays: mfa.trustedDeviceDays(client),
+        platformRequiredUserTypes: mfa.platformRequiredUserTypes(),
+        updatedAt: client.mfaPolicy?.updatedAt || null,
+      },
+    });
+  } catch (error) {
+    return sendMfaError(res, error, 'Failed to load MFA policy');
+  }
+};
+
+/**
+ * PUT /api/clients/:clientId/mfa-policy
+ * Body: { requiredUserTypes, trustedDeviceDays }
+ * Lowering trustedDeviceDays to 0 revokes the client's trusted devices.
+ */
+exports.updateMfaPolicy = async (req, res) => {
+  try {
+    if (!(await canManageClientSecurity(req.user, req.params.clientId))) {
+      return res.status(403).json({ success: false, message: 'You cannot manage MFA for this client' });
+    }
+    const client = await Client.findOne({ clientId: req.params.clientId });
+    if (!client) {
+      return res.status(404).json({ success: false, message: 'Client not found' });
+    }
+
+    const { requiredUserTypes = [], trustedDeviceDays } = req.body;
+    client.mfaPolicy = {
+      requiredUserTypes: [...new Set(requiredUserTypes)],
+      trustedDeviceDays: trustedDeviceDays ?? mfa.trustedDeviceDays(client),
+      updatedBy: req.user._id || req.user.id,
+      updatedAt: new Date(),
+    };
+    await client.save();
+
+    let devicesRevoked = 0;
+    if (client.mfaPolicy.trustedDeviceDays === 0) {
+      const userIds = await User.find({ clientId: client.clientId }).distinct('_id');
+      devicesRevoked = await mfa.revokeTrustedDevices({ $in: userIds });
+    }
+
+    logEventFireAndForget({
+      req,
+      module: 'auth',
+      action: 'update',
+      subAction: 'mfa_policy',
+      entityType: 'Client',
+      entityId: client._id.toString(),
+      clientId: client.clientId,
+      changeSummary: `MFA policy updated for ${client.clientId}`,
+      severity: 'warning',
+      metadata: {
+        requiredUserTypes: client.mfaPolicy.requiredUserTypes,
+        trustedDeviceDays: client.mfaPolicy.trustedDeviceDays,
+        devicesRevoked,
+      },
+    });
+    console.log(`[MFA] Policy updated for ${client.clientId} by ${req.user.userName}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'MFA policy updated',
+      data: {
+        requiredUserTypes: client.mfaPolicy.requiredUserTypes,
+        trustedDeviceDays: client.mfaPolicy.trustedDeviceDays,
+        devicesRevoked,
+      },
+    });
+  } catch (error) {
+    return sendMfaError(res, error, 'Failed to update MFA policy');
+  }
+};
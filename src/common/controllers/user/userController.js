@@ -42,7 +42,16 @@ const {
   buildClosedEsgChecklist,          // 🆕 ESGLink
 } = require('../../utils/Permissions/accessControlPermission');
 
-const { logLogin, logLoginFailed, logUserCreated } = require('../../services/audit/auditLogService');
+const { logLoginFailed, logUserCreated } = require('../../services/audit/auditLogService');
+const { openLoginSession } = require('../../services/auth/loginSession');
+const {
+  getUserMfa,
+  loadPolicyClient,
+  isMfaRequired,
+  trustedDeviceDays,
+  findTrustedDevice,
+  revokeTrustedDevices,
+} = require('../../services/auth/mfaService');
 const { logEvent } = require('../../services/audit/auditLogService');
 const UserSession = require('../../models/UserSession');
 const { isModuleSubscriptionActive } = require('../../utils/Permissions/modulePermission');
@@ -196,6 +205,69 @@ const login = async (req, res) => {
           message: "Your organization's subscription is not active"
         });
       }
+
+      // Organization signs in through its IdP (client_admin keeps password
+      // login so a broken IdP configuration can still be fixed)
+      if (client.ssoConfig?.enabled && client.ssoConfig.enforced && user.userType !== "client_admin") {
+        console.log(`[LOGIN STEP 1] SSO enforced for ${user.clientId}, password login refused`);
+        return res.status(403).json({
+          message: "Your organization requires single sign-on",
+          code: "SSO_REQUIRED",
+          loginUrl: `/api/sso/${encodeURIComponent(user.clientId)}/login`
+        });
+      }
+    }
+
+    // ==========================================================
+    // 3b. STRONG SECOND FACTOR (TOTP / WebAuthn) REPLACES THE EMAIL OTP
+    // (see controllers/user/mfaController.js)
+    // ==========================================================
+    const userMfa = await getUserMfa(user._id);
+
+    if (userMfa && userMfa.hasStrongFactor()) {
+      // "Remember this device" — only while the client still allows it
+      const device = req.body.deviceToken
+        ? await findTrustedDevice(user._id, req.body.deviceToken)
+        : null;
+
+      if (device && trustedDeviceDays(await loadPolicyClient(user)) > 0) {
+        const session = await openLoginSession(req, user, {
+          logTag: "LOGIN STEP 1",
+          mfaMethod: "trusted_device",
+          trustedDeviceId: device._id
+        });
+
+        if (!session.ok) {
+          return res.status(session.status).json(session.body);
+        }
+
+        console.log(`[LOGIN STEP 1] Trusted device login for ${user.email}`);
+        return res.status(200).json({
+          user: session.user,
+          token: session.token,
+          message: "Login successful"
+        });
+      }
+
+      const tempToken = jwt.sign(
+        {
+          userId: user._id,
+          email: user.email,
+          stage: 'mfa_pending',
+          purpose: '2fa_verification'
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: `${OTP_CONFIG.EXPIRY_MINUTES}m` }
+      );
+
+      console.log(`[LOGIN STEP 1] Second factor required for ${user.email}`);
+      return res.status(200).json({
+        message: "Confirm your sign-in with your second factor",
+        tempToken,
+        methods: userMfa.loginMethods(),
+        expiresIn: OTP_CONFIG.EXPIRY_MINUTES,
+        requiresMFA: true
+      });
     }
 
     // ==========================================================
@@ -317,147 +389,61 @@ const verifyLoginOTP = async (req, res) => {
     console.log(`[LOGIN STEP 2] OTP verified successfully for ${user.email}`);
 
     // ==========================================================
-    // 4. CONCURRENT SESSION ENFORCEMENT
+    // 3b. MFA POLICY — users who must have a strong factor but have
+    // none yet only get an enrollment token (see mfaController.js)
     // ==========================================================
-    const limit = user.concurrentLoginLimit ?? 1;
-
-    // Cleanup stale expired sessions first
-    await UserSession.updateMany(
-      {
-        userId: user._id,
-        isActive: true,
-        expiresAt: { $lt: new Date() }
-      },
-      {
-        $set: { isActive: false }
-      }
-    );
-
-    const activeSessionCount = await UserSession.countDocuments({
-      userId: user._id,
-      isActive: true
-    });
-
-    console.log(
-      `[LOGIN STEP 2] User ${user.email}: activeSessionCount=${activeSessionCount}, limit=${limit}`
-    );
+    const userMfa = await getUserMfa(user._id);
 
-    if (activeSessionCount >= limit) {
-      console.log(
-        `[LOGIN STEP 2] Concurrent session limit reached for ${user.email}`
-      );
-      return res.status(409).json({
-        message: "Already logged in on another device",
-        code: "SESSION_LIMIT_REACHED",
-        activeSessions: activeSessionCount,
-        limit
+    if (userMfa && userMfa.hasStrongFactor()) {
+      // Factor enrolled after step 1 issued this OTP token
+      return res.status(401).json({
+        message: "Please login again and confirm with your second factor",
+        code: "MFA_REQUIRED"
       });
     }
 
-    // ==========================================================
-    // 4b. QUOTA-LEVEL CONCURRENT SESSION CHECK
-    // ==========================================================
-    const QUOTA_CONCURRENT_TYPES = ["client_employee_head", "employee", "viewer", "auditor"];
-
-    if (QUOTA_CONCURRENT_TYPES.includes(user.userType) && user.clientId) {
-      const { checkConcurrentLoginLimit } = require("../../../modules/client-management/quota/quotaService");
-      const concurrentCheck = await checkConcurrentLoginLimit(user);
-
-      if (!concurrentCheck.allowed) {
-        console.log(
-          `[LOGIN STEP 2] Quota concurrent session limit reached for ${user.email}: ` +
-          `${concurrentCheck.activeCount}/${concurrentCheck.limit}`
-        );
-
-        return res.status(429).json({
-          message: concurrentCheck.message,
-          code: "QUOTA_SESSION_LIMIT_REACHED",
-          limit: concurrentCheck.limit,
-          activeCount: concurrentCheck.activeCount
-        });
-      }
-    }
+    if (isMfaRequired(user, await loadPolicyClient(user))) {
+      const enrollmentToken = jwt.sign(
+        {
+          userId: user._id,
+          email: user.email,
+          stage: 'mfa_enrollment',
+          purpose: '2fa_verification'
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: '15m' }
+      );
 
-    // ==========================================================
-    // 5. UPDATE FIRST LOGIN FLAG
-    // ==========================================================
-    if (user.isFirstLogin) {
-      user.isFirstLogin = false;
-      await user.save();
+      console.log(`[LOGIN STEP 2] MFA enrollment required for ${user.email}`);
+      return res.status(200).json({
+        message: "Your organization requires a second factor. Set one up to continue.",
+        enrollmentToken,
+        methods: ['totp', 'webauthn'],
+        requiresMfaEnrollment: true
+      });
     }
 
     // ==========================================================
-    // 6. CREATE SESSION RECORD
-    // ==========================================================
-    const sessionId = crypto.randomBytes(32).toString("hex");
-    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
-
-    const userAgent = req.headers["user-agent"] || "unknown";
-    const ip =
-      req.headers["x-forwarded-for"]?.split(",")[0]?.trim() ||
-      req.socket?.remoteAddress ||
-      "unknown";
-
-    await UserSession.create({
-      userId: user._id,
-      sessionId,
-      userAgent,
-      ip,
-      expiresAt,
-      isActive: true
-    });
-
-    console.log(`[LOGIN STEP 2] Session created: ${sessionId.slice(0, 8)}… for ${user.email}`);
-
-    // ==========================================================
-    // 7. CREATE FINAL JWT TOKEN
+    // 4-8. SESSION LIMITS, SESSION RECORD, FINAL TOKEN
+    // (shared with SSO logins — see services/auth/loginSession.js)
     // ==========================================================
-    const tokenPayload = {
-      id: user._id,
-      email: user.email,
-      userName: user.userName,
-      userType: user.userType,
-      clientId: user.clientId,
-      permissions: user.permissions,
-      sandbox: user.sandbox === true,
-      assessmentLevel: user.assessmentLevel || [],
-      accessibleModules: user.accessibleModules || ['zero_carbon'],
-      sessionId
-    };
-
-    const token = jwt.sign(tokenPayload, process.env.JWT_SECRET, {
-      expiresIn: "24h"
+    const session = await openLoginSession(req, user, {
+      logTag: "LOGIN STEP 2",
+      mfaMethod: "email_otp"
     });
 
-    // ==========================================================
-    // 8. PREPARE USER DATA
-    // ==========================================================
-    const userData = {
-      id: user._id,
-      email: user.email,
-      contactNumber: user.contactNumber,
-      userName: user.userName,
-      userType: user.userType,
-      address: user.address,
-      companyName: user.companyName,
-      clientId: user.clientId,
-      permissions: user.permissions,
-      isFirstLogin: user.isFirstLogin,
-      profileImage: user.profileImage || null,
-      sandbox: user.sandbox === true,
-      assessmentLevel: user.assessmentLevel || [],
-      accessibleModules: user.accessibleModules || ['zero_carbon'],
-    };
+    if (!session.ok) {
+      return res.status(session.status).json(session.body);
+    }
 
     // ==========================================================
     // 9. SUCCESS RESPONSE
     // ==========================================================
-    logLogin(req, user).catch(() => {});
     console.log(`[LOGIN STEP 2] Login successful for ${user.email}`);
 
     return res.status(200).json({
-      user: userData,
-      token,
+      user: session.user,
+      token: session.token,
       message: "Login successful"
     });
 
@@ -570,6 +556,14 @@ const logoutAllDevices = async (req, res) => {
 
     const revokedCount = result.modifiedCount;
 
+    // Other devices must not come back without the second factor
+    // (the device of the current session stays trusted)
+    const currentSession = await UserSession.findOne({ sessionId: currentSessionId }).select('trustedDeviceId').lean();
+    const devicesRevoked = await revokeTrustedDevices(
+      user._id,
+      currentSession?.trustedDeviceId ? { _id: { $ne: currentSession.trustedDeviceId } } : {}
+    );
+
     console.log(
       `[LOGOUT-ALL] ${user.email} revoked ${revokedCount} session(s) ` +
       `(current session ${currentSessionId.slice(0, 8)}… preserved)`
@@ -580,7 +574,8 @@ const logoutAllDevices = async (req, res) => {
       message:      revokedCount > 0
         ? `Logged out from ${revokedCount} other device(s) successfully.`
         : 'No other active sessions found.',
-      revokedCount
+      revokedCount,
+      devicesRevoked
     });
 
   } catch (error) {
@@ -0,0 +1,349 @@
+'use strict';
+// controllers/webhook/webhookController.js
+//
+// Outbound webhook subscriptions + delivery log.
+// Clients (client_admin) manage their own endpoints; consultants manage the
+// endpoints of the clients they manage (canManageFlowchart); super_admin all.
+
+const mongoose = require('mongoose');
+
+const WebhookSubscription = require('../../models/Webhook/WebhookSubscription');
+const WebhookDelivery     = require('../../models/Webhook/WebhookDelivery');
+const { DELIVERY_STATUS_ENUM } = require('../../models/Webhook/WebhookDelivery');
+const { encrypt }         = require('../../utils/encryptionUtil');
+const { logEventFireAndForget } = require('../../services/audit/auditLogService');
+const { canManageClientData } = require('../../utils/Permissions/clientAccessPermission');
+const {
+  WEBHOOK_EVENTS,
+  ALL_EVENTS,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  validateEvents,
+  validateEndpointUrl,
+  generateSecret,
+} = require('../../services/webhook/webhookEvents');
+const {
+  replayDelivery: queueReplay,
+  invalidateSubscriptionCache,
+} = require('../../services/webhook/webhookDispatcher');
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Can this user manage webhooks for the client? Same rule as other client
+ * data (clientAccessPermission): client_admin of the client, consultants who
+ * manage it, super_admin.
+ */
+const canManageWebhooks = async (user, clientId) => {
+  if (!user || !clientId) return false;
+  return (await canManageClientData(user, clientId)).allowed;
+};
+
+const auditWebhook = (req, action, subscription, changeSummary) => {
+  logEventFireAndForget({
+    req,
+    module: 'api_integration',
+    action,
+    subAction: 'webhook_subscription',
+    entityType: 'WebhookSubscription',
+    entityId: subscription._id.toString(),
+    clientId: subscription.clientId,
+    changeSummary,
+    metadata: { url: subscription.url, events: subscription.events },
+  });
+};
+
+const toResponse = (subscription) => {
+  const obj = subscription.toObject ? subscription.toObject() : { ...subscription };
+  delete obj.secret;
+  return obj;
+};
+
+const signingInfo = (secret) => ({
+  secret,
+  signatureHeader: SIGNATURE_HEADER,
+  timestampHeader: TIMESTAMP_HEADER,
+  note: 'Store this secret now — it is not shown again. Verify deliveries with HMAC-SHA256(secret, "<timestamp>.<raw body>").',
+});
+
+/**
+ * Load a subscription by id and check the caller may manage it.
+ * Sends the error response and returns null on failure.
+ */
+const loadSubscription = async (req, res, id, { withSecret = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ success: false, message: 'Invalid subscription id' });
+    return null;
+  }
+  const query = WebhookSubscription.findById(id);
+  if (withSecret) query.select('+secret');
+  const subscription = await query;
+  if (!subscription) {
+    res.status(404).json({ success: false, message: 'Webhook subscription not found' });
+    return null;
+  }
+  if (!(await canManageWebhooks(req.user, subscription.clientId))) {
+    res.status(403).json({ success: false, message: 'You do not have permission to manage webhooks for this client' });
+    return null;
+  }
+  return subscription;
+};
+
+// ── Event catalogue ───────────────────────────────────────────────────────────
+
+exports.listEvents = async (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: {
+      events: Object.entries(WEBHOOK_EVENTS).map(([event, description]) => ({ event, description })),
+      wildcard: ALL_EVENTS,
+    },
+  });
+};
+
+// ── Subscriptions ─────────────────────────────────────────────────────────────
+
+exports.createSubscription = async (req, res) => {
+  try {
+    const { clientId, url, events, name } = req.body;
+
+    if (!clientId) {
+      return res.status(400).json({ success: false, message: 'clientId is required' });
+    }
+    const urlError = validateEndpointUrl(url);
+    if (urlError) return res.status(400).json({ success: false, message: urlError });
+    const eventsError = validateEvents(events);
+    if (eventsError) return res.status(400).json({ success: false, message: eventsError });
+
+    if (!(await canManageWebhooks(req.user, clientId))) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to manage webhooks for this client' });
+    }
+
+    const secret = generateSecret();
+    const subscription = await WebhookSubscription.create({
+      clientId,
+      name: name || '',
+      url,
+      events: [...new Set(events)],
+      secret: encrypt(secret),
+      createdBy: req.user._id,
+    });
+    invalidateSubscriptionCache(clientId);
+
+    auditWebhook(req, 'create', subscription, `Webhook endpoint registered: ${url}`);
+
+    return res.status(201).json({
+      success: true,
+      message: 'Webhook subscription created',
+      data: { subscription: toResponse(subscription), signing: signingInfo(secret) },
+    });
+  } catch (error) {
+    console.error('[Webhook] createSubscription error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to create webhook subscription', error: error.message });
+  }
+};
+
+exports.listSubscriptions = async (req, res) => {
+  try {
+    const clientId = req.query.clientId || (req.user.userType === 'client_admin' ? req.user.clientId : null);
+
+    if (!clientId && req.user.userType !== 'super_admin') {
+      return res.status(400).json({ success: false, message: 'clientId query parameter is required' });
+    }
+    if (clientId && !(await canManageWebhooks(req.user, clientId))) {
+      return res.status(403).json({ success: false, message: 'You do not have permission to manage webhooks for this client' });
+    }
+
+    const filter = clientId ? { clientId } : {};
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const subscriptions = await WebhookSubscription.find(filter).sort({ createdAt: -1 }).lean();
+    return res.status(200).json({ success: true, data: subscriptions });
+  } catch (error) {
+    console.error('[Webhook] listSubscriptions error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to list webhook subscriptions', error: error.message });
+  }
+};
+
+exports.getSubscription = async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res, req.params.id);
+    if (!subscription) return;
+    return res.status(200).json({ success: true, data: toResponse(subscription) });
+  } catch (error) {
+    console.error('[Webhook] getSubscription error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to fetch webhook subscription', error: error.message });
+  }
+};
+
+exports.updateSubscription = async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res, req.params.id);
+    if (!subscription) return;
+
+    const { url, events, name, isActive } = req.body;
+    if (url !== undefined) {
+      const urlError = validateEndpointUrl(url);
+      if (urlError) return res.status(400).json({ success: false, message: urlError });
+      subscription.url = url;
+    }
+    if (events !== undefined) {
+      const eventsError = validateEvents(events);
+      if (eventsError) return res.status(400).json({ success: false, message: eventsError });
+      subscription.events = [...new Set(events)];
+    }
+    if (name !== undefined) subscription.name = name;
+    if (isActive !== undefined) {
+      subscription.isActive = Boolean(isActive);
+      if (subscription.isActive) subscription.consecutiveFailures = 0;
+    }
+    subscription.updatedBy = req.user._id;
+
+    await subscription.save();
+    invalidateSubscriptionCache(subscription.clientId);
+
+    auditWebhook(req, 'update', subscription, `Webhook endpoint updated: ${subscription.url}`);
+
+    return res.status(200).json({ success: true, message: 'Webhook subscription updated', data: toResponse(subscription) });
+  } catch (error) {
+    console.error('[Webhook] updateSubscription error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to update webhook subscription', error: error.message });
+  }
+};
+
+exports.deleteSubscription = async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res, req.params.id);
+    if (!subscription) return;
+
+    await WebhookSubscription.deleteOne({ _id: subscription._id });
+    // pending retries for a deleted endpoint fail on their next attempt
+    invalidateSubscriptionCache(subscription.clientId);
+
+    auditWebhook(req, 'delete', subscription, `Webhook endpoint removed: ${subscription.url}`);
+
+    return res.status(200).json({ success: true, message: 'Webhook subscription deleted' });
+  } catch (error) {
+    console.error('[Webhook] deleteSubscription error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to delete webhook subscription', error: error.message });
+  }
+};
+
+exports.rotateSecret = async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res, req.params.id, { withSecret: true });
+    if (!subscription) return;
+
+    const secret = generateSecret();
+    subscription.secret = encrypt(secret);
+    subscription.secretRotatedAt = new Date();
+    subscription.updatedBy = req.user._id;
+    await subscription.save();
+
+    auditWebhook(req, 'update', subscription, `Webhook signing secret rotated: ${subscription.url}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Signing secret rotated. Deliveries from now on are signed with the new secret.',
+      data: { subscription: toResponse(subscription), signing: signingInfo(secret) },
+    });
+  } catch (error) {
+    console.error('[Webhook] rotateSecret error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to rotate signing secret', error: error.message });
+  }
+};
+
+// ── Delivery log ──────────────────────────────────────────────────────────────
+
+exports.listDeliveries = async (req, res) => {
+  try {
+    const subscription = await loadSubscription(req, res, req.params.id);
+    if (!subscription) return;
+
+    const { status, event, eventId } = req.query;
+    const page  = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    if (status && !DELIVERY_STATUS_ENUM.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of: ${DELIVERY_STATUS_ENUM.join(', ')}` });
+    }
+
+    const filter = { subscriptionId: subscription._id };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+    if (eventId) filter.eventId = eventId;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .select('-payload')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WebhookDelivery.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: deliveries,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error('[Webhook] listDeliveries error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to list deliveries', error: error.message });
+  }
+};
+
+const loadDelivery = async (req, res) => {
+  const { deliveryId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(deliveryId)) {
+    res.status(400).json({ success: false, message: 'Invalid delivery id' });
+    return null;
+  }
+  const delivery = await WebhookDelivery.findById(deliveryId).lean();
+  if (!delivery) {
+    res.status(404).json({ success: false, message: 'Delivery not found' });
+    return null;
+  }
+  if (!(await canManageWebhooks(req.user, delivery.clientId))) {
+    res.status(403).json({ success: false, message: 'You do not have permission to manage webhooks for this client' });
+    return null;
+  }
+  return delivery;
+};
+
+exports.getDelivery = async (req, res) => {
+  try {
+    const delivery = await loadDelivery(req, res);
+    if (!delivery) return;
+    return res.status(200).json({ success: true, data: delivery });
+  } catch (error) {
+    console.error('[Webhook] getDelivery error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to fetch delivery', error: error.message });
+  }
+};
+
+exports.replayDelivery = async (req, res) => {
+  try {
+    const delivery = await loadDelivery(req, res);
+    if (!delivery) return;
+
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('isActive').lean();
+    if (!subscription) {
+      return res.status(409).json({ success: false, message: 'The subscription for this delivery no longer exists' });
+    }
+    if (!subscription.isActive) {
+      return res.status(409).json({ success: false, message: 'The subscription is disabled; enable it before replaying' });
+    }
+
+    const replay = await queueReplay(delivery, req.user._id);
+    return res.status(202).json({
+      success: true,
+      message: 'Delivery queued for replay',
+      data: { deliveryId: replay._id, eventId: replay.eventId, replayOf: delivery._id },
+    });
+  } catch (error) {
+    console.error('[Webhook] replayDelivery error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to replay delivery', error: error.message });
+  }
+};
@@ -180,7 +180,7 @@ const auth = async (req, res, next) => {
 // ── Role-based middleware ─────────────────────────────────────────────────
 
 const checkRole = (...allowedRoles) => {
-  return (req, res, next) => {
+  const middleware = (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ message: "Not authenticated" });
     }
@@ -191,6 +191,8 @@ const checkRole = (...allowedRoles) => {
     }
     next();
   };
+  middleware.openapi = { roles: allowedRoles };
+  return middleware;
 };
 
 // ── Permission-based middleware ───────────────────────────────────────────
@@ -291,12 +293,61 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * `auth`, or the short-lived enrollment token issued by POST /verify-otp when
+ * the MFA policy requires a second factor the user has not set up yet.
+ *
+ * Only used on the /me/mfa setup endpoints: the enrollment token proves
+ * password + email OTP, which is enough to register the first factor but
+ * not to reach anything else. Sets `req.mfaEnrollment = true`.
+ */
+const authOrMfaEnrollment = async (req, res, next) => {
+  const authHeader = req.headers['authorization'] || '';
+  let decoded = null;
+  try {
+    decoded = authHeader.startsWith('Bearer ')
+      ? jwt.verify(authHeader.slice(7), process.env.JWT_SECRET)
+      : null;
+  } catch (err) {
+    decoded = null;
+  }
+
+  if (!decoded || decoded.stage !== 'mfa_enrollment' || decoded.purpose !== '2fa_verification') {
+    return auth(req, res, next);
+  }
+
+  try {
+    const user = await User.findById(decoded.userId).select('-password');
+    if (!user || (!user.isActive && user.sandbox !== true)) {
+      return res.status(401).json({ message: "User not found" });
+    }
+
+    req.user = {
+      _id: user._id,
+      id: user._id.toString(),
+      email: user.email,
+      userName: user.userName,
+      userType: user.userType,
+      clientId: user.clientId,
+      sandbox: user.sandbox === true,
+    };
+    req.mfaEnrollment = true;
+    next();
+  } catch (error) {
+    console.error("Auth middleware error:", error);
+    return res.status(500).json({
+      message: "Authentication error",
+      error: error.message
+    });
+  }
+};
+
 // ── Remaining helpers — UNCHANGED ─────────────────────────────────────────
 
 const authorize = (roles = []) => {
   if (typeof roles === 'string') roles = [roles];
 
-  return (req, res, next) => {
+  const middleware = (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({ success: false, message: 'Authentication required.' });
     }
@@ -310,6 +361,8 @@ const authorize = (roles = []) => {
     }
     next();
   };
+  middleware.openapi = { roles };
+  return middleware;
 };
 
 const enforceClientAccess = (req, res, next) => {
@@ -384,11 +437,23 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// ── OpenAPI metadata (read by services/openapi/routeCollector.js) ────────
+// Sandbox users log in through the same flow and pass these checks too.
+
+const JWT_SCHEMES = ['bearerAuth', 'sandboxBearerAuth'];
+auth.openapi           = { security: JWT_SCHEMES };
+authenticate.openapi   = { security: JWT_SCHEMES };
+authOrMfaEnrollment.openapi = { security: JWT_SCHEMES };
+optionalAuth.openapi   = { security: JWT_SCHEMES, optional: true };
+adminOnly.openapi      = { roles: ['super_admin', 'client_admin'] };
+superAdminOnly.openapi = { roles: ['super_admin'] };
+
 module.exports = {
   auth,
   checkRole,
   checkPermission,
   authenticate,
+  authOrMfaEnrollment,
   authorize,
   enforceClientAccess,
   adminOnly,
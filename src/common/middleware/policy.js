@@ -0,0 +1,54 @@
+'use strict';
+// middleware/policy.js
+//
+// Route gate backed by the access-policy engine (services/authz/policyEngine.js).
+//
+//   router.put('/:clientId/boundary', auth, requirePolicy('esg_boundary:manage'), handler);
+//
+// By default the resource is the client named by :clientId (or clientId in
+// the body / query). Pass a function for anything else:
+//
+//   requirePolicy('module:access', () => ({ type: 'module', module: 'esg_link' }))
+//
+// The decision is left on req.policyDecision for the handler.
+
+const { evaluate } = require('../services/authz/policyEngine');
+const { ACTIONS } = require('../services/authz/defaultPolicy');
+
+const clientResource = (action) => (req) => ({
+  type: ACTIONS[action]?.resource || 'client',
+  clientId: req.params.clientId || req.body?.clientId || req.query.clientId || req.user?.clientId,
+});
+
+/**
+ * @param {string} action — see ACTIONS in services/authz/defaultPolicy.js
+ * @param {(req) => object} [resourceFrom]
+ */
+const requirePolicy = (action, resourceFrom = clientResource(action)) => {
+  const middleware = async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ success: false, message: 'Authentication required.' });
+    }
+    try {
+      const decision = await evaluate({ subject: req.user, action, resource: resourceFrom(req) });
+      if (!decision.allowed) {
+        return res.status(403).json({
+          success: false,
+          message: decision.reason,
+          code: 'POLICY_DENIED',
+          action,
+          ruleId: decision.ruleId,
+        });
+      }
+      req.policyDecision = decision;
+      return next();
+    } catch (error) {
+      console.error(`[AUTHZ] ${action} evaluation failed:`, error);
+      return res.status(500).json({ success: false, message: 'Authorization check failed' });
+    }
+  };
+  middleware.openapi = { policy: action };
+  return middleware;
+};
+
+module.exports = { requirePolicy };
@@ -0,0 +1,60 @@
+// middleware/validateRequest.js
+//
+// Enforces the published OpenAPI contract on a route:
+//
+//   router.post('/', validateRequest('POST /api/webhooks'), createSubscription);
+//
+// The key names an entry in services/openapi/operations.js (the same entry
+// the /api/docs spec is built from). Path and query values are coerced to
+// their declared types before validation. Failures return 400:
+//
+//   { success: false, message: 'Request validation failed',
+//     errors: [{ in: 'body', path: 'events.0', message: 'must be one of: ...' }] }
+
+const { getOperations } = require('../services/openapi/operations');
+const { validateSchema, coerceParam } = require('../services/openapi/schemaValidator');
+
+function validateParams(values, schemas, location, errors) {
+  for (const [name, schema] of Object.entries(schemas || {})) {
+    if (values[name] === undefined) continue;
+    values[name] = coerceParam(values[name], schema);
+    for (const e of validateSchema(values[name], schema, { path: name })) {
+      errors.push({ in: location, ...e });
+    }
+  }
+}
+
+/**
+ * @param {string} key — "METHOD /openapi/path", e.g. 'PATCH /api/webhooks/{id}'
+ * @returns {Function} Express middleware
+ */
+const validateRequest = (key) => {
+  const middleware = (req, res, next) => {
+    const operation = getOperations()[key];
+    if (!operation) {
+      return next(new Error(`validateRequest: no operation "${key}" in operations.js`));
+    }
+
+    const errors = [];
+    validateParams(req.params, operation.params, 'path', errors);
+    validateParams(req.query, operation.query, 'query', errors);
+    if (operation.body) {
+      for (const e of validateSchema(req.body ?? {}, operation.body)) {
+        errors.push({ in: 'body', ...e });
+      }
+    }
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Request validation failed',
+        errors,
+      });
+    }
+    next();
+  };
+  middleware.openapi = { validates: key };
+  return middleware;
+};
+
+module.exports = { validateRequest };
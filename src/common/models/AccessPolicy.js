@@ -0,0 +1,49 @@
+'use strict';
+// models/AccessPolicy.js
+//
+// Per-client access-policy rules, evaluated together with the built-in
+// policy (services/authz/defaultPolicy.js) for resources of that client.
+//
+// One document per client. `version` increases on every change so the admin
+// UI can refuse to overwrite someone else's edit (PUT with `expectedVersion`).
+// Previous rule sets are not kept here — every change is in the audit log.
+
+const mongoose = require('mongoose');
+
+const accessPolicyRuleSchema = new mongoose.Schema(
+  {
+    id:          { type: String, required: true, trim: true },
+    description: { type: String, trim: true, default: '' },
+    effect:      { type: String, enum: ['allow', 'deny'], required: true },
+    actions:     { type: [String], required: true },
+    userTypes:   { type: [String], default: undefined },
+    // JSON condition, see services/authz/conditions.js
+    condition:   { type: mongoose.Schema.Types.Mixed, default: undefined },
+  },
+  { _id: false }
+);
+
+const AccessPolicySchema = new mongoose.Schema(
+  {
+    clientId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    rules: {
+      type: [accessPolicyRuleSchema],
+      default: [],
+    },
+    version: {
+      type: Number,
+      default: 0,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('AccessPolicy', AccessPolicySchema);
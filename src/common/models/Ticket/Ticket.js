@@ -574,6 +574,25 @@ ticketSchema.pre("save", function (next) {
   next();
 });
 
+// Keep the GreOn IQ document-search index in step with ticket threads
+require('../../../modules/greon-iq/utils/vectorIndexHooks').attachVectorIndexHooks(ticketSchema, 'ticket_thread');
+
+// Outbound webhooks: ticket.status_changed (internal consultant tickets have no client)
+require('../../services/webhook/webhookHooks').attachWebhookHooks(ticketSchema, {
+  trackPaths: ['status'],
+  events: (doc) => (!doc.isNew && doc.isModified('status') && doc.clientId && doc.clientId !== 'INTERNAL-SUPPORT'
+    ? ['ticket.status_changed']
+    : []),
+  payload: (doc, event, loaded) => ({
+    ticketId: doc.ticketId,
+    subject: doc.subject,
+    category: doc.category,
+    priority: doc.priority,
+    previousStatus: loaded.status ?? null,
+    status: doc.status,
+  }),
+});
+
 // Prevent OverwriteModelError in dev/hot-reload
 const Ticket = mongoose.models.Ticket || mongoose.model("Ticket", ticketSchema);
 
@@ -292,6 +292,11 @@ ticketChatSchema.virtual('isRecent').get(function() {
   return hoursSinceCreation < 1;
 });
 
+// ===== GREON IQ INDEX =====
+// A new / edited / deleted message re-indexes the parent ticket thread
+require('../../../modules/greon-iq/utils/vectorIndexHooks')
+  .attachVectorIndexHooks(ticketChatSchema, 'ticket_thread', (doc) => doc.ticketId);
+
 // ===== MODEL EXPORT =====
 const TicketChat = mongoose.model("TicketChat", ticketChatSchema);
 
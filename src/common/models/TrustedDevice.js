@@ -0,0 +1,57 @@
+/**
+ * models/TrustedDevice.js
+ *
+ * "Remember this device" after a strong second factor (TOTP, WebAuthn,
+ * recovery code). The browser keeps an opaque device token and sends it as
+ * `deviceToken` on POST /api/users/login; a matching, unexpired record lets
+ * the password step open the session without asking for the factor again.
+ *
+ * Only the SHA-256 of the token is stored. UserSession.trustedDeviceId links
+ * the sessions opened through a device, so revoking the device also ends
+ * those sessions.
+ *
+ * TTL index on `expiresAt` removes records automatically.
+ */
+
+const mongoose = require('mongoose');
+
+const trustedDeviceSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+
+    /** Shown in the device list, e.g. "Chrome on Windows". */
+    label:     { type: String, default: 'Unknown device' },
+    userAgent: { type: String, default: 'unknown' },
+    ip:        { type: String, default: 'unknown' },
+
+    /** Factor that was used when the device was trusted. */
+    mfaMethod: {
+      type: String,
+      enum: ['totp', 'webauthn', 'recovery_code']
+    },
+
+    lastUsedAt: { type: Date, default: Date.now },
+    revokedAt:  { type: Date, default: null },
+    expiresAt:  { type: Date, required: true }
+  },
+  {
+    timestamps: { createdAt: 'createdAt', updatedAt: false }
+  }
+);
+
+// ── Indexes ───────────────────────────────────────────────────────────────
+
+trustedDeviceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+trustedDeviceSchema.index({ userId: 1, revokedAt: 1 });
+
+module.exports = mongoose.model('TrustedDevice', trustedDeviceSchema);
@@ -115,6 +115,29 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true
     },
+
+    /**
+     * ssoIdentities
+     * ──────────────────────────────────────────────────────────────────
+     * Identity-provider accounts linked to this user (see /api/sso).
+     * A login is matched on { issuer, subject } first and falls back to
+     * the verified email, which then links the identity.
+     *
+     * jitProvisioned marks accounts created by the first SSO login; only
+     * those have their userType / accessibleModules re-synced from IdP
+     * groups (ssoConfig.jit.updateOnLogin).
+     */
+    ssoIdentities: [
+      {
+        _id: false,
+        protocol: { type: String, enum: ['oidc', 'saml'], required: true },
+        issuer: { type: String, required: true },
+        subject: { type: String, required: true },
+        linkedAt: { type: Date, default: Date.now },
+        lastLoginAt: { type: Date },
+      },
+    ],
+    jitProvisioned: { type: Boolean, default: false },
     
     // Hierarchical relationships
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
@@ -559,6 +582,7 @@ userSchema.index({ userType: 1, isActive: 1 });
 userSchema.index({ assignedSupportClients: 1 });
 userSchema.index({ assignedConsultants: 1 });
 userSchema.index({ supportSpecialization: 1 });
+userSchema.index({ 'ssoIdentities.issuer': 1, 'ssoIdentities.subject': 1 });
 
 // ─── Field-level encryption ──────────────────────────────────────────────────
 // Registered LAST so all existing pre('save') hooks run first on plain data.
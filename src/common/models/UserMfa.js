@@ -0,0 +1,90 @@
+/**
+ * models/UserMfa.js
+ *
+ * Strong second factors of one user — authenticator-app TOTP, recovery codes
+ * and WebAuthn / passkey credentials.
+ *
+ * Kept out of the User document on purpose: many user endpoints return the
+ * User as-is, and none of this may ever leave the server.
+ *
+ * The TOTP secret is field-encrypted (mongooseEncryptionPlugin); recovery
+ * codes are stored as SHA-256 hashes; WebAuthn public keys are base64url.
+ */
+
+const mongoose = require('mongoose');
+
+const webauthnCredentialSchema = new mongoose.Schema(
+  {
+    credentialId: { type: String, required: true },   // base64url
+    publicKey:    { type: String, required: true },   // base64url COSE key
+    counter:      { type: Number, default: 0 },
+    transports:   { type: [String], default: [] },
+    deviceType:   { type: String, enum: ['singleDevice', 'multiDevice'] },
+    backedUp:     { type: Boolean, default: false },
+    name:         { type: String, trim: true, default: 'Security key' },
+    createdAt:    { type: Date, default: Date.now },
+    lastUsedAt:   { type: Date },
+  },
+  { _id: false }
+);
+
+const userMfaSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true
+    },
+
+    // ── Authenticator app (TOTP) ─────────────────────────────────────────
+    totp: {
+      enabled:      { type: Boolean, default: false },
+      secret:       { type: String },
+      /** Set by /me/mfa/totp/setup, promoted to `secret` once a code is confirmed. */
+      pendingSecret: { type: String },
+      enabledAt:    { type: Date },
+      /** Last accepted time step — a code is never accepted twice. */
+      lastUsedStep: { type: Number, default: -1 },
+    },
+
+    // ── Recovery codes (single use) ──────────────────────────────────────
+    recoveryCodes: [
+      {
+        _id: false,
+        hash:   { type: String, required: true },
+        usedAt: { type: Date, default: null },
+      },
+    ],
+
+    // ── WebAuthn / passkeys ──────────────────────────────────────────────
+    webauthnCredentials: { type: [webauthnCredentialSchema], default: [] },
+
+    // ── Lockout after repeated wrong codes at login ──────────────────────
+    failedAttempts: { type: Number, default: 0 },
+    lockedUntil:    { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+/** True when at least one strong factor can be used to sign in. */
+userMfaSchema.methods.hasStrongFactor = function () {
+  return (this.totp && this.totp.enabled) || this.webauthnCredentials.length > 0;
+};
+
+/** Second-factor methods offered at login. */
+userMfaSchema.methods.loginMethods = function () {
+  const methods = [];
+  if (this.totp && this.totp.enabled) methods.push('totp');
+  if (this.webauthnCredentials.length) methods.push('webauthn');
+  if (this.recoveryCodes.some((c) => !c.usedAt)) methods.push('recovery_code');
+  return methods;
+};
+
+// ─── Field-level encryption ──────────────────────────────────────────────────
+const encryptionPlugin = require('../utils/mongooseEncryptionPlugin');
+userMfaSchema.plugin(encryptionPlugin, {
+  fields: ['totp.secret', 'totp.pendingSecret'],
+});
+
+module.exports = mongoose.model('UserMfa', userMfaSchema);
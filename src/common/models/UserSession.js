@@ -34,6 +34,31 @@ const userSessionSchema = new mongoose.Schema(
     userAgent: { type: String, default: 'unknown' },
     ip:        { type: String, default: 'unknown' },
 
+    /** How the user authenticated: password + email OTP, or an SSO protocol. */
+    loginMethod: {
+      type: String,
+      enum: ['password', 'oidc', 'saml'],
+      default: 'password'
+    },
+
+    /**
+     * Second factor used for this login. 'trusted_device' means the factor
+     * was skipped because of a remembered device (see TrustedDevice).
+     * null for SSO logins — the identity provider handles MFA there.
+     */
+    mfaMethod: {
+      type: String,
+      enum: ['email_otp', 'totp', 'webauthn', 'recovery_code', 'trusted_device'],
+      default: null
+    },
+
+    /** Device trusted by or used for this login; revoking it ends the session. */
+    trustedDeviceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TrustedDevice',
+      default: null
+    },
+
     // ── Lifecycle ────────────────────────────────────────────────────────
     /**
      * Set to false by logout or by an admin force-revoke.
@@ -73,4 +98,7 @@ userSessionSchema.index({ sessionId: 1 });
 // Counting active sessions per user (used at login time)
 userSessionSchema.index({ userId: 1, isActive: 1 });
 
+// Ending the sessions of a revoked trusted device
+userSessionSchema.index({ trustedDeviceId: 1 }, { sparse: true });
+
 module.exports = mongoose.model('UserSession', userSessionSchema);
\ No newline at end of file
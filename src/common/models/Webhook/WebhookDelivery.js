@@ -0,0 +1,70 @@
+'use strict';
+// models/Webhook/WebhookDelivery.js
+//
+// Delivery log: one document per (event, subscription), with every HTTP
+// attempt recorded in `attempts`. A replay creates a new delivery with the
+// same eventId and `replayOf` pointing at the original.
+//
+// status:
+//   pending    → queued, not attempted yet
+//   delivering → an attempt is in flight
+//   retrying   → last attempt failed, next one at nextAttemptAt
+//   succeeded  → endpoint answered 2xx
+//   failed     → attempts exhausted or subscription disabled
+
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUS_ENUM = ['pending', 'delivering', 'retrying', 'succeeded', 'failed'];
+
+const AttemptSchema = new mongoose.Schema(
+  {
+    attemptNumber: { type: Number, required: true },
+    at:            { type: Date, default: Date.now },
+    statusCode:    { type: Number, default: null },
+    durationMs:    { type: Number, default: null },
+    error:         { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookSubscription',
+      required: true,
+      index: true,
+    },
+    clientId: { type: String, required: true, index: true },
+    eventId:  { type: String, required: true, index: true },
+    event:    { type: String, required: true, index: true },
+    payload:  { type: mongoose.Schema.Types.Mixed, required: true },
+
+    status: {
+      type: String,
+      enum: DELIVERY_STATUS_ENUM,
+      default: 'pending',
+      index: true,
+    },
+    attempts:      { type: [AttemptSchema], default: [] },
+    maxAttempts:   { type: Number, required: true },
+    nextAttemptAt: { type: Date, default: null },
+    deliveredAt:   { type: Date, default: null },
+    lastError:     { type: String, default: null },
+
+    replayOf:    { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery', default: null },
+    replayedBy:  { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  {
+    timestamps: true,
+    collection: 'webhook_deliveries',
+  }
+);
+
+WebhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// Delivery log retention: 90 days
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+module.exports.DELIVERY_STATUS_ENUM = DELIVERY_STATUS_ENUM;
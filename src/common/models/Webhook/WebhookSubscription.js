@@ -0,0 +1,76 @@
+'use strict';
+// models/Webhook/WebhookSubscription.js
+//
+// Outbound webhook endpoint registered by a client or its consultant.
+//
+// - `events` filters which platform events are delivered ('*' = all, see
+//   services/webhook/webhookEvents.js for the catalogue)
+// - `secret` is the HMAC signing secret, stored AES-GCM encrypted and only
+//   returned in plaintext when the subscription is created or rotated
+// - Deliveries and their attempts live in WebhookDelivery
+
+const mongoose = require('mongoose');
+const { decrypt } = require('../../utils/encryptionUtil');
+
+const WebhookSubscriptionSchema = new mongoose.Schema(
+  {
+    clientId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    events: {
+      type: [String],
+      required: true,
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: 'At least one event is required',
+      },
+    },
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+
+    // Delivery health (updated by the dispatcher)
+    lastDeliveryAt:     { type: Date, default: null },
+    lastDeliveryStatus: { type: String, enum: ['succeeded', 'failed', null], default: null },
+    consecutiveFailures: { type: Number, default: 0 },
+
+    createdBy:   { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    updatedBy:   { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    secretRotatedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    collection: 'webhook_subscriptions',
+  }
+);
+
+WebhookSubscriptionSchema.index({ clientId: 1, isActive: 1, events: 1 });
+
+/**
+ * Decrypt the signing secret (document must be loaded with +secret)
+ * @returns {string|null}
+ */
+WebhookSubscriptionSchema.methods.getSecret = function () {
+  return this.secret ? decrypt(this.secret) : null;
+};
+
+module.exports = mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
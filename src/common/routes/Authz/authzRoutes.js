@@ -0,0 +1,90 @@
+'use strict';
+// router/Authz/authzRoutes.js
+//
+// MOUNTED AT /api/authz (app/bootstrap/registerRoutes.js)
+//
+// ┌─────────────────────────────────────────────────────────────────────────────┐
+// │ ROUTE MAP                                                                   │
+// ├──────────────┬──────────────────────────────────────┬──────────────────────┤
+// │ Method       │ Path                                 │ Handler              │
+// ├──────────────┼──────────────────────────────────────┼──────────────────────┤
+// │ GET          │ /catalog                             │ getCatalog           │
+// │ POST         │ /evaluate                            │ evaluateDecision     │
+// │ POST         │ /explain                             │ explainDecision      │
+// ├──────────────┼──────────────────────────────────────┼──────────────────────┤
+// │ GET          │ /clients/:clientId/policy            │ getClientPolicy      │
+// │ PUT          │ /clients/:clientId/policy            │ updateClientPolicy   │
+// │ DELETE       │ /clients/:clientId/policy            │ deleteClientPolicy   │
+// │ POST         │ /clients/:clientId/policy/simulate   │ simulateClientPolicy │
+// └──────────────┴──────────────────────────────────────┴──────────────────────┘
+//
+// Any signed-in user can evaluate / explain their own decisions; the
+// per-client routes are gated by the policy itself (client:manage_security).
+
+const express = require('express');
+const router  = express.Router();
+
+const { auth } = require('../../middleware/auth');
+const { requirePolicy } = require('../../middleware/policy');
+const { validateRequest } = require('../../middleware/validateRequest');
+const {
+  getCatalog,
+  evaluateDecision,
+  explainDecision,
+  getClientPolicy,
+  updateClientPolicy,
+  deleteClientPolicy,
+  simulateClientPolicy,
+} = require('../../controllers/authz/authzController');
+
+const policyAccess = [auth, requirePolicy('client:manage_security')];
+
+/**
+ * GET /api/authz/catalog
+ * Actions, attributes, named conditions and built-in rules for the policy editor.
+ */
+router.get('/catalog', auth, getCatalog);
+
+/**
+ * POST /api/authz/evaluate
+ * Body: { action, resource?, userId? }
+ */
+router.post('/evaluate', auth, validateRequest('POST /api/authz/evaluate'), evaluateDecision);
+
+/**
+ * POST /api/authz/explain
+ * Body: { action, resource?, userId? }
+ * The decision plus every rule considered and why it did or did not match.
+ */
+router.post('/explain', auth, validateRequest('POST /api/authz/explain'), explainDecision);
+
+/**
+ * GET /api/authz/clients/:clientId/policy
+ */
+router.get('/clients/:clientId/policy', ...policyAccess, getClientPolicy);
+
+/**
+ * PUT /api/authz/clients/:clientId/policy
+ * Body: { rules, expectedVersion? }
+ */
+router.put(
+  '/clients/:clientId/policy',
+  ...policyAccess,
+  validateRequest('PUT /api/authz/clients/{clientId}/policy'),
+  updateClientPolicy
+);
+
+/**
+ * DELETE /api/authz/clients/:clientId/policy
+ * Remove the client's rules; the built-in policy still applies.
+ */
+router.delete('/clients/:clientId/policy', ...policyAccess, deleteClientPolicy);
+
+/**
+ * POST /api/authz/clients/:clientId/policy/simulate
+ * Body: { rules, action, resource?, userId? }
+ * Explain a decision against unsaved rules.
+ */
+router.post('/clients/:clientId/policy/simulate', ...policyAccess, simulateClientPolicy);
+
+module.exports = router;
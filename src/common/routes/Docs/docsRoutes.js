@@ -0,0 +1,32 @@
+'use strict';
+// router/Docs/docsRoutes.js
+//
+// MOUNTED AT /api/docs (app/bootstrap/registerRoutes.js) — public, no auth.
+//
+// ┌─────────────────────────────────────────────────────────────────────────┐
+// │ ROUTE MAP                                                               │
+// ├──────────────┬──────────────────────────────────┬──────────────────────┤
+// │ Method       │ Path                             │ Handler              │
+// ├──────────────┼──────────────────────────────────┼──────────────────────┤
+// │ GET          │ /                                │ getOpenApiSpec       │
+// │ GET          │ /openapi.json                    │ getOpenApiSpec       │
+// └──────────────┴──────────────────────────────────┴──────────────────────┘
+
+const express = require('express');
+const router  = express.Router();
+
+const { getOpenApiSpec } = require('../../controllers/docs/docsController');
+
+/**
+ * OpenAPI 3 specification of every mounted route
+ * GET /api/docs?download=true
+ */
+router.get('/', getOpenApiSpec);
+
+/**
+ * Same document under the conventional file name
+ * GET /api/docs/openapi.json
+ */
+router.get('/openapi.json', getOpenApiSpec);
+
+module.exports = router;
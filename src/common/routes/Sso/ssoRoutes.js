@@ -0,0 +1,107 @@
+'use strict';
+// router/Sso/ssoRoutes.js
+//
+// MOUNTED AT /api/sso (app/bootstrap/registerRoutes.js)
+//
+// ┌─────────────────────────────────────────────────────────────────────────┐
+// │ ROUTE MAP                                                               │
+// ├──────────────┬──────────────────────────────────┬──────────────────────┤
+// │ Method       │ Path                             │ Handler              │
+// ├──────────────┼──────────────────────────────────┼──────────────────────┤
+// │ GET          │ /discover                        │ discover             │
+// │ POST         │ /exchange                        │ exchangeTicket       │
+// │ GET          │ /:clientId/login                 │ startLogin           │
+// │ GET          │ /:clientId/oidc/callback         │ oidcCallback         │
+// │ POST         │ /:clientId/saml/acs              │ samlAcs              │
+// │ GET          │ /:clientId/saml/metadata         │ samlMetadata         │
+// ├──────────────┼──────────────────────────────────┼──────────────────────┤
+// │ GET          │ /:clientId/config                │ getConfig            │
+// │ PUT          │ /:clientId/config                │ updateConfig         │
+// │ DELETE       │ /:clientId/config                │ deleteConfig         │
+// └──────────────┴──────────────────────────────────┴──────────────────────┘
+//
+// The first block is public — it is the login itself. The IdP talks to the
+// callback / ACS directly, so they are not behind `auth`.
+//
+// ⚠ ORDERING RULES:
+//   /discover and /exchange MUST be declared before /:clientId/*.
+
+const express = require('express');
+const router  = express.Router();
+
+const { auth, checkRole } = require('../../middleware/auth');
+const { validateRequest } = require('../../middleware/validateRequest');
+const {
+  discover,
+  exchangeTicket,
+  startLogin,
+  oidcCallback,
+  samlAcs,
+  samlMetadata,
+  getConfig,
+  updateConfig,
+  deleteConfig,
+} = require('../../controllers/sso/ssoController');
+
+// SAML responses arrive as an HTML form post (base64 XML, can be large)
+const samlForm = express.urlencoded({ extended: false, limit: '2mb' });
+
+const configAccess = [auth, checkRole('super_admin', 'consultant_admin', 'consultant', 'client_admin')];
+
+/**
+ * GET /api/sso/discover?email=jane@acme.com
+ * Whether the email's domain signs in through an organization's IdP.
+ */
+router.get('/discover', discover);
+
+/**
+ * POST /api/sso/exchange
+ * Body: { ticket }
+ * One-time ticket from the #ticket= callback fragment → { user, token }.
+ */
+router.post('/exchange', exchangeTicket);
+
+/**
+ * GET /api/sso/:clientId/login?returnTo=/dashboard&loginHint=jane@acme.com
+ * Browser navigation — redirects to the organization's IdP.
+ */
+router.get('/:clientId/login', startLogin);
+
+/**
+ * GET /api/sso/:clientId/oidc/callback
+ * OIDC redirect URI (register with the IdP).
+ */
+router.get('/:clientId/oidc/callback', oidcCallback);
+
+/**
+ * POST /api/sso/:clientId/saml/acs
+ * SAML Assertion Consumer Service, HTTP-POST binding.
+ */
+router.post('/:clientId/saml/acs', samlForm, samlAcs);
+
+/**
+ * GET /api/sso/:clientId/saml/metadata
+ * SP metadata XML; its URL is also the SP entity id.
+ */
+router.get('/:clientId/saml/metadata', samlMetadata);
+
+/**
+ * GET /api/sso/:clientId/config
+ * Configuration (without the client secret) and the SP URLs for the IdP.
+ */
+router.get('/:clientId/config', ...configAccess, getConfig);
+
+/**
+ * PUT /api/sso/:clientId/config
+ * Replace the IdP configuration (omit oidc.clientSecret to keep the stored one).
+ * Body: { enabled, protocol: 'oidc'|'saml', allowedDomains, enforced, oidc?, saml?, jit? }
+ */
+router.put('/:clientId/config', ...configAccess, validateRequest('PUT /api/sso/{clientId}/config'), updateConfig);
+
+/**
+ * DELETE /api/sso/:clientId/config
+ * Turn SSO off and clear the IdP settings; linked user identities are kept.
+ */
+router.delete('/:clientId/config', ...configAccess, deleteConfig);
+
+module.exports = router;
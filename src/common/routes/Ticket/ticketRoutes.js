@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../../middleware/auth');
+const { validateRequest } = require('../../middleware/validateRequest');
 const { uploadTicketAttachments } = require('../../utils/uploads/ticketUploadS3');
 const ticketController = require('../../controllers/ticket/ticketController');
 /**
@@ -170,6 +171,7 @@ router.post(
  */
 router.post(
   '/:id/close',
+  validateRequest('POST /api/tickets/{id}/close'),
   ticketController.closeTicket
 );
 
@@ -0,0 +1,101 @@
+'use strict';
+// router/Webhook/webhookRoutes.js
+//
+// MOUNTED AT /api/webhooks (app/bootstrap/registerRoutes.js)
+//
+// ┌─────────────────────────────────────────────────────────────────────────┐
+// │ ROUTE MAP                                                               │
+// ├──────────────┬──────────────────────────────────┬──────────────────────┤
+// │ Method       │ Path                             │ Handler              │
+// ├──────────────┼──────────────────────────────────┼──────────────────────┤
+// │ GET          │ /events                          │ listEvents           │
+// │ GET          │ /deliveries/:deliveryId          │ getDelivery          │
+// │ POST         │ /deliveries/:deliveryId/replay   │ replayDelivery       │
+// ├──────────────┼──────────────────────────────────┼──────────────────────┤
+// │ GET          │ /                                │ listSubscriptions    │
+// │ POST         │ /                                │ createSubscription   │
+// │ GET          │ /:id                             │ getSubscription      │
+// │ PATCH        │ /:id                             │ updateSubscription   │
+// │ DELETE       │ /:id                             │ deleteSubscription   │
+// │ POST         │ /:id/rotate-secret               │ rotateSecret         │
+// │ GET          │ /:id/deliveries                  │ listDeliveries       │
+// └──────────────┴──────────────────────────────────┴──────────────────────┘
+//
+// ⚠ ORDERING RULES:
+//   /events and /deliveries/* MUST be declared before /:id.
+
+const express = require('express');
+const router  = express.Router();
+
+const { auth, checkRole } = require('../../middleware/auth');
+const { validateRequest } = require('../../middleware/validateRequest');
+const {
+  listEvents,
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  updateSubscription,
+  deleteSubscription,
+  rotateSecret,
+  listDeliveries,
+  getDelivery,
+  replayDelivery,
+} = require('../../controllers/webhook/webhookController');
+
+router.use(auth);
+router.use(checkRole('super_admin', 'consultant_admin', 'consultant', 'client_admin'));
+
+/**
+ * GET /api/webhooks/events
+ * Event names that can be used in a subscription's `events` filter.
+ */
+router.get('/events', listEvents);
+
+/**
+ * GET /api/webhooks/deliveries/:deliveryId
+ * One delivery with its payload and every attempt (status code, duration, error).
+ */
+router.get('/deliveries/:deliveryId', getDelivery);
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/replay
+ * Re-send the delivery's payload (same event id) as a new delivery.
+ */
+router.post('/deliveries/:deliveryId/replay', replayDelivery);
+
+/**
+ * GET /api/webhooks?clientId=Greon001&isActive=true
+ * clientId defaults to the caller's own client for client_admin.
+ */
+router.get('/', listSubscriptions);
+
+/**
+ * POST /api/webhooks
+ * Body: { clientId, url, events: ['data_entry.calculated', ...] | ['*'], name? }
+ * The signing secret is returned once in data.signing.secret.
+ */
+router.post('/', validateRequest('POST /api/webhooks'), createSubscription);
+
+router.get('/:id', getSubscription);
+
+/**
+ * PATCH /api/webhooks/:id
+ * Body: any of { url, events, name, isActive }
+ */
+router.patch('/:id', validateRequest('PATCH /api/webhooks/{id}'), updateSubscription);
+
+router.delete('/:id', deleteSubscription);
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Issues a new signing secret (returned once); the old one stops immediately.
+ */
+router.post('/:id/rotate-secret', rotateSecret);
+
+/**
+ * GET /api/webhooks/:id/deliveries?status=failed&event=ticket.status_changed&page=1&limit=20
+ * Delivery log for the subscription, newest first (payload omitted).
+ */
+router.get('/:id/deliveries', listDeliveries);
+
+module.exports = router;
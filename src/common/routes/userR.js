@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
-const { auth, checkRole, checkPermission } = require("../middleware/auth");
+const { auth, authOrMfaEnrollment, checkRole, checkPermission } = require("../middleware/auth");
+const { validateRequest } = require("../middleware/validateRequest");
 const { uploadUserImage } = require('../utils/uploads/userImageUploadS3');
 const {
   login,
@@ -50,6 +51,22 @@ const {
   createApprover,
   updateUserModuleAccess,
 } = require("../controllers/user/userController");
+const {
+  verifyLoginMfa,
+  loginWebauthnOptions,
+  verifyLoginWebauthn,
+  getMyMfa,
+  setupTotp,
+  confirmTotp,
+  disableTotp,
+  regenerateRecoveryCodes,
+  webauthnRegisterOptions,
+  webauthnRegisterVerify,
+  removeWebauthnCredential,
+  listTrustedDevices,
+  revokeTrustedDevice,
+  resetUserMfa,
+} = require("../controllers/user/mfaController");
 
  const { PRESET_TEMPLATES } = require('../utils/Permissions/accessControlPermission');
 
@@ -66,6 +83,37 @@ router.post("/forgot-password", forgotPassword);
 router.post("/reset-password", resetPassword);
 router.post("/verify-reset-token", verifyResetToken);
 
+// ===================================================================
+// MULTI-FACTOR AUTHENTICATION (controllers/user/mfaController.js)
+// ===================================================================
+
+/**
+ * Login step 2 for users with an authenticator app / security key
+ * (POST /login answered { requiresMFA: true, tempToken, methods })
+ *
+ * POST /api/users/login/mfa/verify
+ *   Body: { tempToken, method: 'totp'|'recovery_code', code, rememberDevice? }
+ * POST /api/users/login/mfa/webauthn/options   Body: { tempToken }
+ * POST /api/users/login/mfa/webauthn/verify
+ *   Body: { tempToken, challengeToken, response, rememberDevice? }
+ *
+ * Response 200: { user, token, message, deviceToken?, deviceTokenExpiresAt? }
+ */
+router.post("/login/mfa/verify", validateRequest("POST /api/users/login/mfa/verify"), verifyLoginMfa);
+router.post("/login/mfa/webauthn/options", loginWebauthnOptions);
+router.post("/login/mfa/webauthn/verify", verifyLoginWebauthn);
+
+/**
+ * Factor setup — also reachable with the enrollment token from POST /verify-otp
+ * ({ requiresMfaEnrollment: true }); confirming the first factor then returns
+ * { user, token } as well.
+ */
+router.get("/me/mfa", authOrMfaEnrollment, getMyMfa);
+router.post("/me/mfa/totp/setup", authOrMfaEnrollment, setupTotp);
+router.post("/me/mfa/totp/confirm", authOrMfaEnrollment, confirmTotp);
+router.post("/me/mfa/webauthn/register/options", authOrMfaEnrollment, webauthnRegisterOptions);
+router.post("/me/mfa/webauthn/register/verify", authOrMfaEnrollment, webauthnRegisterVerify);
+
 // ===================================================================
 // PROTECTED ROUTES (Authentication required)
 // ===================================================================
@@ -105,6 +153,31 @@ router.post("/logout", logout);
  */
  router.patch("/admin/:userId/user-permissions", setUserPermissions);
 
+/**
+ * Manage own second factors and trusted devices (setup routes are above auth)
+ * DELETE /api/users/me/mfa/totp
+ * POST   /api/users/me/mfa/recovery-codes           → { recoveryCodes }
+ * DELETE /api/users/me/mfa/webauthn/:credentialId
+ * GET    /api/users/me/mfa/trusted-devices
+ * DELETE /api/users/me/mfa/trusted-devices/:deviceId  (ends its sessions)
+ *
+ * Removing the last factor is refused while the MFA policy requires one.
+ */
+router.delete("/me/mfa/totp", disableTotp);
+router.post("/me/mfa/recovery-codes", regenerateRecoveryCodes);
+router.delete("/me/mfa/webauthn/:credentialId", removeWebauthnCredential);
+router.get("/me/mfa/trusted-devices", listTrustedDevices);
+router.delete("/me/mfa/trusted-devices/:deviceId", revokeTrustedDevice);
+
+/**
+ * Reset a user's second factors (lost phone / key)
+ * DELETE /api/users/admin/:userId/mfa
+ *
+ * Allowed callers: super_admin, the client's consultants and client_admin
+ * (internal users: super_admin only)
+ */
+router.delete("/admin/:userId/mfa", resetUserMfa);
+
 
 // ===================================================================
 // CONSULTANT MANAGEMENT ROUTES
@@ -0,0 +1,167 @@
+'use strict';
+// services/auth/loginSession.js
+//
+// The final step of every interactive login: once the user has proven who
+// they are (password + email OTP in userController.verifyLoginOTP, or an
+// identity provider in controllers/sso/ssoController.js) this enforces the
+// concurrent-session limits, records the UserSession and issues the 24h JWT.
+//
+// Keeping it in one place means every login path produces identical tokens
+// and is subject to the same session limits.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const UserSession = require('../../models/UserSession');
+const { logLogin } = require('../audit/auditLogService');
+
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Client-side user types whose concurrent logins are also capped by the
+// consultant's quota record for the client.
+const QUOTA_CONCURRENT_TYPES = ['client_employee_head', 'employee', 'viewer', 'auditor'];
+
+const requestIp = (req) =>
+  req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
+  req.socket?.remoteAddress ||
+  'unknown';
+
+/** The `user` object returned to the frontend alongside the token. */
+const buildUserData = (user) => ({
+  id: user._id,
+  email: user.email,
+  contactNumber: user.contactNumber,
+  userName: user.userName,
+  userType: user.userType,
+  address: user.address,
+  companyName: user.companyName,
+  clientId: user.clientId,
+  permissions: user.permissions,
+  isFirstLogin: user.isFirstLogin,
+  profileImage: user.profileImage || null,
+  sandbox: user.sandbox === true,
+  assessmentLevel: user.assessmentLevel || [],
+  accessibleModules: user.accessibleModules || ['zero_carbon'],
+});
+
+/**
+ * Open a session for an authenticated user.
+ *
+ * @param {import('express').Request} req
+ * @param {Document} user — User document (saved if isFirstLogin flips)
+ * @param {Object} [options]
+ * @param {string} [options.logTag='LOGIN']          — console prefix
+ * @param {string} [options.loginMethod='password']  — stored on the UserSession
+ * @param {string} [options.mfaMethod]        — second factor used, if any
+ * @param {ObjectId} [options.trustedDeviceId] — see models/TrustedDevice.js
+ * @param {string} [options.sessionId]  — caller-chosen id; a duplicate makes
+ *                                        UserSession.create throw E11000
+ * @returns {Promise<{ ok: true, token: string, sessionId: string, user: object }
+ *                  | { ok: false, status: number, body: object }>}
+ */
+async function openLoginSession(req, user, options = {}) {
+  const {
+    logTag = 'LOGIN',
+    loginMethod = 'password',
+    mfaMethod = null,
+    trustedDeviceId = null,
+    sessionId = crypto.randomBytes(32).toString('hex'),
+  } = options;
+
+  // ── Concurrent session enforcement ────────────────────────────────────────
+  const limit = user.concurrentLoginLimit ?? 1;
+
+  // Cleanup stale expired sessions first
+  await UserSession.updateMany(
+    { userId: user._id, isActive: true, expiresAt: { $lt: new Date() } },
+    { $set: { isActive: false } }
+  );
+
+  const activeSessionCount = await UserSession.countDocuments({
+    userId: user._id,
+    isActive: true,
+  });
+
+  console.log(`[${logTag}] User ${user.email}: activeSessionCount=${activeSessionCount}, limit=${limit}`);
+
+  if (activeSessionCount >= limit) {
+    console.log(`[${logTag}] Concurrent session limit reached for ${user.email}`);
+    return {
+      ok: false,
+      status: 409,
+      body: {
+        message: 'Already logged in on another device',
+        code: 'SESSION_LIMIT_REACHED',
+        activeSessions: activeSessionCount,
+        limit,
+      },
+    };
+  }
+
+  // ── Quota-level concurrent session check ──────────────────────────────────
+  if (QUOTA_CONCURRENT_TYPES.includes(user.userType) && user.clientId) {
+    const { checkConcurrentLoginLimit } = require('../../../modules/client-management/quota/quotaService');
+    const concurrentCheck = await checkConcurrentLoginLimit(user);
+
+    if (!concurrentCheck.allowed) {
+      console.log(
+        `[${logTag}] Quota concurrent session limit reached for ${user.email}: ` +
+        `${concurrentCheck.activeCount}/${concurrentCheck.limit}`
+      );
+      return {
+        ok: false,
+        status: 429,
+        body: {
+          message: concurrentCheck.message,
+          code: 'QUOTA_SESSION_LIMIT_REACHED',
+          limit: concurrentCheck.limit,
+          activeCount: concurrentCheck.activeCount,
+        },
+      };
+    }
+  }
+
+  // ── First login flag ──────────────────────────────────────────────────────
+  if (user.isFirstLogin) {
+    user.isFirstLogin = false;
+    await user.save();
+  }
+
+  // ── Session record ────────────────────────────────────────────────────────
+  await UserSession.create({
+    userId: user._id,
+    sessionId,
+    userAgent: req.headers['user-agent'] || 'unknown',
+    ip: requestIp(req),
+    loginMethod,
+    mfaMethod,
+    trustedDeviceId,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+    isActive: true,
+  });
+
+  console.log(`[${logTag}] Session created: ${sessionId.slice(0, 8)}… for ${user.email}`);
+
+  // ── Final JWT ─────────────────────────────────────────────────────────────
+  const token = jwt.sign(
+    {
+      id: user._id,
+      email: user.email,
+      userName: user.userName,
+      userType: user.userType,
+      clientId: user.clientId,
+      permissions: user.permissions,
+      sandbox: user.sandbox === true,
+      assessmentLevel: user.assessmentLevel || [],
+      accessibleModules: user.accessibleModules || ['zero_carbon'],
+      sessionId,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: '24h' }
+  );
+
+  logLogin(req, user).catch(() => {});
+
+  return { ok: true, token, sessionId, user: buildUserData(user) };
+}
+
+module.exports = { openLoginSession, buildUserData };
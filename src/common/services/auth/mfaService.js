@@ -0,0 +1,454 @@
+'use strict';
+// services/auth/mfaService.js
+//
+// Strong second factors for interactive logins:
+//
+//   - authenticator-app TOTP (services/auth/totp.js) with single-use
+//     recovery codes
+//   - WebAuthn / passkeys (@simplewebauthn/server)
+//   - "remember this device" (models/TrustedDevice.js)
+//
+// Policy: a user must sign in with a strong factor when their userType is in
+// the client's mfaPolicy.requiredUserTypes or in MFA_REQUIRED_USER_TYPES.
+// Users who enrolled a factor voluntarily are asked for it as well. SSO
+// logins are not: the organization's IdP owns the second factor there.
+//
+// The factors themselves live in models/UserMfa.js; login orchestration is in
+// controllers/user/userController.js and controllers/user/mfaController.js.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} = require('@simplewebauthn/server');
+const UserMfa = require('../../models/UserMfa');
+const TrustedDevice = require('../../models/TrustedDevice');
+const UserSession = require('../../models/UserSession');
+const Client = require('../../../modules/client-management/client/Client');
+const totp = require('./totp');
+
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const CHALLENGE_TTL = '5m';
+const DEFAULT_TRUSTED_DEVICE_DAYS = 30;
+
+/** Verification refusal; `code` is passed to the frontend, `status` is the HTTP status. */
+class MfaError extends Error {
+  constructor(message, code, status = 400) {
+    super(message);
+    this.name = 'MfaError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const csv = (value) => String(value || '').split(',').map((v) => v.trim()).filter(Boolean);
+
+// ── Policy ────────────────────────────────────────────────────────────────────
+
+const platformRequiredUserTypes = () => csv(process.env.MFA_REQUIRED_USER_TYPES);
+
+/** Client holding the user's mfaPolicy, or null for internal users. */
+const loadPolicyClient = async (user) => {
+  if (!user.clientId) return null;
+  return Client.findOne({ clientId: user.clientId }).select('clientId mfaPolicy').lean();
+};
+
+/** Whether the user may only sign in with a strong factor. */
+const isMfaRequired = (user, client) => {
+  const required = new Set([
+    ...platformRequiredUserTypes(),
+    ...(client?.mfaPolicy?.requiredUserTypes || []),
+  ]);
+  return required.has(user.userType);
+};
+
+/** Lifetime of a trusted device in days; 0 means the option is off. */
+const trustedDeviceDays = (client) => {
+  if (client?.mfaPolicy && client.mfaPolicy.trustedDeviceDays !== undefined) {
+    return client.mfaPolicy.trustedDeviceDays;
+  }
+  const fromEnv = Number(process.env.MFA_TRUSTED_DEVICE_DAYS);
+  return Number.isFinite(fromEnv) && fromEnv >= 0 ? fromEnv : DEFAULT_TRUSTED_DEVICE_DAYS;
+};
+
+const getUserMfa = (userId) => UserMfa.findOne({ userId });
+
+const getOrCreateUserMfa = async (userId) =>
+  (await UserMfa.findOne({ userId })) || new UserMfa({ userId });
+
+// ── Lockout ───────────────────────────────────────────────────────────────────
+
+const assertNotLocked = (mfa) => {
+  if (mfa.lockedUntil && mfa.lockedUntil > new Date()) {
+    throw new MfaError('Too many failed attempts. Please try again later.', 'MFA_LOCKED', 429);
+  }
+};
+
+const recordFailure = async (mfa) => {
+  mfa.failedAttempts = (mfa.failedAttempts || 0) + 1;
+  if (mfa.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    mfa.lockedUntil = new Date(Date.now() + LOCKOUT_MS);
+    mfa.failedAttempts = 0;
+  }
+  await mfa.save();
+};
+
+const resetFailures = (mfa) => {
+  mfa.failedAttempts = 0;
+  mfa.lockedUntil = null;
+};
+
+// ── TOTP ──────────────────────────────────────────────────────────────────────
+
+const mfaIssuer = () => process.env.MFA_ISSUER || 'ZeroCarbon';
+
+/** Start (or restart) enrolment: a pending secret until a code confirms it. */
+function beginTotpSetup(mfa, accountName) {
+  const secret = totp.generateSecret();
+  mfa.set('totp.pendingSecret', secret);
+  return {
+    secret,
+    otpauthUrl: totp.provisioningUri(secret, { issuer: mfaIssuer(), account: accountName }),
+  };
+}
+
+/** Promote the pending secret once the user proves the app has it. */
+function confirmTotpSetup(mfa, code) {
+  const pending = mfa.totp?.pendingSecret;
+  if (!pending) throw new MfaError('Start authenticator setup first', 'TOTP_SETUP_MISSING');
+
+  const step = totp.verifyCode(pending, code);
+  if (step === null) throw new MfaError('Invalid authenticator code', 'INVALID_CODE');
+
+  mfa.totp.secret = pending;
+  mfa.totp.pendingSecret = undefined;
+  mfa.totp.enabled = true;
+  mfa.totp.enabledAt = new Date();
+  mfa.totp.lastUsedStep = step;
+}
+
+// ── Recovery codes ────────────────────────────────────────────────────────────
+
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z2-7]/g, '');
+
+/** Fresh set of codes ("ABCDE-FGHIJ"); replaces any previous set on `mfa`. */
+function regenerateRecoveryCodes(mfa) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = totp.base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  mfa.recoveryCodes = codes.map((code) => ({ hash: sha256(normalizeRecoveryCode(code)), usedAt: null }));
+  return codes;
+}
+
+const remainingRecoveryCodes = (mfa) => mfa.recoveryCodes.filter((c) => !c.usedAt).length;
+
+// ── Login verification (TOTP / recovery code) ─────────────────────────────────
+
+/**
+ * Check a code-based second factor and persist the outcome (replay step,
+ * used recovery code, failure counter).
+ *
+ * The code is consumed with a conditional update rather than save(), so two
+ * concurrent logins presenting the same code cannot both pass the check.
+ *
+ * @param {Document} mfa — UserMfa
+ * @param {'totp'|'recovery_code'} method
+ * @throws {MfaError}
+ */
+async function verifyCodeFactor(mfa, method, code) {
+  assertNotLocked(mfa);
+
+  const reset = { failedAttempts: 0, lockedUntil: null };
+  let result;
+
+  if (method === 'totp') {
+    if (!mfa.totp?.enabled) throw new MfaError('Authenticator app is not set up', 'METHOD_UNAVAILABLE');
+    const step = totp.verifyCode(mfa.totp.secret, code, { lastUsedStep: mfa.totp.lastUsedStep });
+    if (step === null) {
+      await recordFailure(mfa);
+      throw new MfaError('Invalid authenticator code', 'INVALID_CODE');
+    }
+    result = await UserMfa.updateOne(
+      { _id: mfa._id, 'totp.lastUsedStep': { $lt: step } },
+      { $set: { 'totp.lastUsedStep': step, ...reset } }
+    );
+    if (result.matchedCount === 0) throw new MfaError('Invalid authenticator code', 'INVALID_CODE');
+    mfa.totp.lastUsedStep = step;
+  } else if (method === 'recovery_code') {
+    const hash = sha256(normalizeRecoveryCode(code));
+    const entry = mfa.recoveryCodes.find((c) => !c.usedAt && c.hash === hash);
+    if (!entry) {
+      await recordFailure(mfa);
+      throw new MfaError('Invalid recovery code', 'INVALID_CODE');
+    }
+    const usedAt = new Date();
+    result = await UserMfa.updateOne(
+      { _id: mfa._id, recoveryCodes: { $elemMatch: { hash, usedAt: null } } },
+      { $set: { 'recoveryCodes.$.usedAt': usedAt, ...reset } }
+    );
+    if (result.matchedCount === 0) throw new MfaError('Invalid recovery code', 'INVALID_CODE');
+    entry.usedAt = usedAt;
+  } else {
+    throw new MfaError('Unsupported method', 'METHOD_UNAVAILABLE');
+  }
+
+  resetFailures(mfa);
+}
+
+// ── WebAuthn ──────────────────────────────────────────────────────────────────
+
+const webauthnConfig = () => {
+  const origins = csv(process.env.WEBAUTHN_ORIGINS || process.env.FRONTEND_URL || 'http://localhost:3000')
+    .map((o) => o.replace(/\/+$/, ''));
+  return {
+    rpID: process.env.WEBAUTHN_RP_ID || new URL(origins[0]).hostname,
+    rpName: process.env.WEBAUTHN_RP_NAME || mfaIssuer(),
+    origins,
+  };
+};
+
+/**
+ * The WebAuthn challenge travels in a signed token rather than a server-side
+ * store, so the ceremony works across instances. `purpose` keeps registration
+ * and login challenges apart.
+ */
+const signChallenge = (userId, challenge, purpose) =>
+  jwt.sign({ userId: String(userId), challenge, purpose }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+
+const openChallenge = (challengeToken, purpose) => {
+  try {
+    const decoded = jwt.verify(challengeToken || '', process.env.JWT_SECRET);
+    if (decoded.purpose !== purpose) throw new Error('purpose mismatch');
+    return decoded;
+  } catch (err) {
+    throw new MfaError('Security key challenge expired. Please try again.', 'CHALLENGE_EXPIRED', 401);
+  }
+};
+
+const toStoredCredential = (c) => ({
+  id: c.credentialId,
+  publicKey: Buffer.from(c.publicKey, 'base64url'),
+  counter: c.counter,
+  transports: c.transports,
+});
+
+async function registrationOptions(user, mfa) {
+  const { rpID, rpName } = webauthnConfig();
+  const options = await generateRegistrationOptions({
+    rpName,
+    rpID,
+    userName: user.email,
+    userDisplayName: user.userName || user.email,
+    userID: Buffer.from(String(user._id || user.id)),
+    attestationType: 'none',
+    excludeCredentials: mfa.webauthnCredentials.map((c) => ({ id: c.credentialId, transports: c.transports })),
+    authenticatorSelection: { residentKey: 'preferred', userVerification: 'preferred' },
+  });
+  return { options, challengeToken: signChallenge(user._id || user.id, options.challenge, 'webauthn_registration') };
+}
+
+/** Verify the attestation and add the credential to `mfa` (not saved). */
+async function verifyRegistration(user, mfa, { response, challengeToken, name }) {
+  const { challenge, userId } = openChallenge(challengeToken, 'webauthn_registration');
+  if (userId !== String(user._id || user.id)) {
+    throw new MfaError('Security key challenge does not belong to this user', 'CHALLENGE_EXPIRED', 401);
+  }
+
+  const { rpID, origins } = webauthnConfig();
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: challenge,
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+    });
+  } catch (err) {
+    throw new MfaError(`Security key registration failed: ${err.message}`, 'WEBAUTHN_FAILED');
+  }
+  if (!verification.verified || !verification.registrationInfo) {
+    throw new MfaError('Security key registration failed', 'WEBAUTHN_FAILED');
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+  if (mfa.webauthnCredentials.some((c) => c.credentialId === credential.id)) {
+    throw new MfaError('This security key is already registered', 'DUPLICATE_CREDENTIAL', 409);
+  }
+
+  mfa.webauthnCredentials.push({
+    credentialId: credential.id,
+    publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+    counter: credential.counter,
+    transports: credential.transports || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp,
+    name: String(name || '').trim().slice(0, 64) || 'Security key',
+  });
+  return credential.id;
+}
+
+async function authenticationOptions(user, mfa) {
+  const { rpID } = webauthnConfig();
+  const options = await generateAuthenticationOptions({
+    rpID,
+    allowCredentials: mfa.webauthnCredentials.map((c) => ({ id: c.credentialId, transports: c.transports })),
+    userVerification: 'preferred',
+  });
+  return { options, challengeToken: signChallenge(user._id, options.challenge, 'webauthn_authentication') };
+}
+
+/** Verify an assertion at login; updates the signature counter. */
+async function verifyAuthentication(user, mfa, { response, challengeToken }) {
+  assertNotLocked(mfa);
+  const { challenge, userId } = openChallenge(challengeToken, 'webauthn_authentication');
+  if (userId !== String(user._id)) {
+    throw new MfaError('Security key challenge does not belong to this user', 'CHALLENGE_EXPIRED', 401);
+  }
+
+  const stored = mfa.webauthnCredentials.find((c) => c.credentialId === response?.id);
+  if (!stored) {
+    await recordFailure(mfa);
+    throw new MfaError('Unknown security key', 'WEBAUTHN_FAILED');
+  }
+
+  const { rpID, origins } = webauthnConfig();
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: challenge,
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+      credential: toStoredCredential(stored),
+    });
+  } catch (err) {
+    verification = { verified: false };
+  }
+  if (!verification.verified) {
+    await recordFailure(mfa);
+    throw new MfaError('Security key verification failed', 'WEBAUTHN_FAILED');
+  }
+
+  stored.counter = verification.authenticationInfo.newCounter;
+  stored.lastUsedAt = new Date();
+  resetFailures(mfa);
+  await mfa.save();
+}
+
+// ── Trusted devices ───────────────────────────────────────────────────────────
+
+/** Rough "Browser on OS" label for the device list. */
+function deviceLabel(userAgent = '') {
+  const browser =
+    (/Edg\//.test(userAgent) && 'Edge') ||
+    (/OPR\//.test(userAgent) && 'Opera') ||
+    (/Firefox\//.test(userAgent) && 'Firefox') ||
+    (/Chrome\//.test(userAgent) && 'Chrome') ||
+    (/Safari\//.test(userAgent) && 'Safari') ||
+    null;
+  const os =
+    (/Windows/.test(userAgent) && 'Windows') ||
+    (/iPhone|iPad/.test(userAgent) && 'iOS') ||
+    (/Mac OS X/.test(userAgent) && 'macOS') ||
+    (/Android/.test(userAgent) && 'Android') ||
+    (/Linux/.test(userAgent) && 'Linux') ||
+    null;
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+}
+
+/**
+ * Remember the current browser for `days`.
+ * @returns {Promise<{ token: string, device: Document }>} — token is shown once
+ */
+async function trustDevice(req, userId, { days, mfaMethod }) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const userAgent = req.headers['user-agent'] || 'unknown';
+  const device = await TrustedDevice.create({
+    userId,
+    tokenHash: sha256(token),
+    label: deviceLabel(userAgent),
+    userAgent,
+    ip: req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.socket?.remoteAddress || 'unknown',
+    mfaMethod,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+  });
+  return { token, device };
+}
+
+/** Active trusted device for this user and token, or null. Touches lastUsedAt. */
+async function findTrustedDevice(userId, token) {
+  if (!token || typeof token !== 'string') return null;
+  return TrustedDevice.findOneAndUpdate(
+    { userId, tokenHash: sha256(token), revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { lastUsedAt: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * Revoke trusted devices and end the sessions opened through them.
+ * @param {ObjectId|Object} userId — a user id or a condition such as { $in: ids }
+ * @param {Object} [filter] — narrows the devices, e.g. { _id }
+ * @returns {Promise<number>} devices revoked
+ */
+async function revokeTrustedDevices(userId, filter = {}) {
+  const devices = await TrustedDevice.find({ ...filter, userId, revokedAt: null }).select('_id').lean();
+  if (!devices.length) return 0;
+
+  const ids = devices.map((d) => d._id);
+  await TrustedDevice.updateMany({ _id: { $in: ids } }, { $set: { revokedAt: new Date() } });
+  await UserSession.updateMany(
+    { userId, trustedDeviceId: { $in: ids }, isActive: true },
+    { $set: { isActive: false } }
+  );
+  return ids.length;
+}
+
+/** Summary for GET /api/users/me/mfa — never includes secrets. */
+const mfaStatus = (mfa) => ({
+  totp: { enabled: !!mfa?.totp?.enabled, enabledAt: mfa?.totp?.enabledAt || null },
+  recoveryCodesRemaining: mfa ? remainingRecoveryCodes(mfa) : 0,
+  webauthnCredentials: (mfa?.webauthnCredentials || []).map((c) => ({
+    credentialId: c.credentialId,
+    name: c.name,
+    deviceType: c.deviceType,
+    backedUp: c.backedUp,
+    createdAt: c.createdAt,
+    lastUsedAt: c.lastUsedAt || null,
+  })),
+});
+
+module.exports = {
+  MfaError,
+  platformRequiredUserTypes,
+  loadPolicyClient,
+  isMfaRequired,
+  trustedDeviceDays,
+  getUserMfa,
+  getOrCreateUserMfa,
+  beginTotpSetup,
+  confirmTotpSetup,
+  normalizeRecoveryCode,
+  regenerateRecoveryCodes,
+  remainingRecoveryCodes,
+  verifyCodeFactor,
+  webauthnConfig,
+  registrationOptions,
+  verifyRegistration,
+  authenticationOptions,
+  verifyAuthentication,
+  deviceLabel,
+  trustDevice,
+  findTrustedDevice,
+  revokeTrustedDevices,
+  mfaStatus,
+};
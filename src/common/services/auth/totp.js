@@ -0,0 +1,103 @@
+'use strict';
+// services/auth/totp.js
+//
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 s) — the
+// parameters every authenticator app supports. Secrets are base32 (RFC 4648)
+// as expected in otpauth:// provisioning URIs.
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/** 160-bit random secret, base32. */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD_SECONDS);
+
+/** The code for a given time step (RFC 4226 dynamic truncation). */
+function codeAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against the current step ± `window` steps (clock drift).
+ * Steps at or below `lastUsedStep` are refused so a code cannot be replayed.
+ *
+ * @returns {number|null} the matching step — store it as the new lastUsedStep
+ */
+function verifyCode(secret, code, { window = 1, lastUsedStep = -1, now = Date.now() } = {}) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(candidate)) return null;
+
+  const step = currentStep(now);
+  for (let s = step - window; s <= step + window; s++) {
+    if (s <= lastUsedStep) continue;
+    const expected = codeAt(secret, s);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return s;
+  }
+  return null;
+}
+
+/** otpauth:// URI for the enrolment QR code. */
+function provisioningUri(secret, { issuer, account }) {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  currentStep,
+  codeAt,
+  verifyCode,
+  provisioningUri,
+};
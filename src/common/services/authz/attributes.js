@@ -0,0 +1,167 @@
+'use strict';
+// services/authz/attributes.js
+//
+// Attribute context for one policy evaluation.
+//
+//   subject.*          the user — req.user, completed from the User document
+//                      when a rule needs a field req.user does not carry
+//                      (assignedClients, consultantAdminId, …)
+//   resource.*         whatever the caller describes: { type, clientId, module, … }
+//   resource.client.*  relationships of resource.clientId, loaded on first use:
+//                        exists, clientId, sandbox, activeModules,
+//                        assignedConsultantIds — lead, workflow and active
+//                                                history assignments
+//                        consultantAdminIds    — lead creator, consultantAdminId
+//                        teamAdminIds          — consultant admins of the
+//                                                assigned consultants
+//   env.*              { now } plus anything the caller adds
+//
+// Everything is loaded at most once per context, so a policy can reference
+// the same relationship from many rules without extra queries.
+
+const mongoose = require('mongoose');
+
+const SUBJECT_FIELDS = [
+  'userType', 'clientId', 'accessibleModules', 'assignedModules', 'department', 'location',
+  'sandbox', 'consultantAdminId', 'employeeHeadId', 'assignedClients', 'isActive',
+];
+
+const getId = (x) => {
+  if (x === null || x === undefined) return '';
+  if (typeof x === 'string' || typeof x === 'number') return String(x);
+  const candidate = x._id !== undefined && x._id !== null ? x._id : x;
+  return candidate && candidate.toString ? candidate.toString() : '';
+};
+
+const walk = (value, keys) => keys.reduce((obj, key) => (obj === null || obj === undefined ? undefined : obj[key]), value);
+
+/** Plain subject attributes from req.user or a User document. */
+function buildSubject(user) {
+  const subject = { id: getId(user) };
+  for (const field of SUBJECT_FIELDS) {
+    if (user[field] !== undefined) subject[field] = user[field];
+  }
+  if (subject.consultantAdminId) subject.consultantAdminId = getId(subject.consultantAdminId);
+  if (subject.employeeHeadId) subject.employeeHeadId = getId(subject.employeeHeadId);
+  return subject;
+}
+
+async function loadClientAttributes(clientId) {
+  // Lazy requires keep this module loadable from the models it protects
+  const Client = require('../../../modules/client-management/client/Client');
+  const User = require('../../models/User');
+
+  if (!clientId) return { exists: false };
+  // Accept the Client _id as well, like canManageFlowchart
+  const query = /^[a-f0-9]{24}$/i.test(String(clientId))
+    ? { $or: [{ clientId }, { _id: new mongoose.Types.ObjectId(String(clientId)) }] }
+    : { clientId };
+  const client = await Client.findOne(query)
+    .select('clientId sandbox leadInfo workflowTracking accountDetails')
+    .lean();
+  if (!client) return { exists: false };
+
+  const assignedConsultantIds = [...new Set([
+    getId(client.leadInfo?.assignedConsultantId),
+    getId(client.workflowTracking?.assignedConsultantId),
+    ...(client.leadInfo?.consultantHistory || []).filter((h) => h?.isActive).map((h) => getId(h.consultantId)),
+  ].filter(Boolean))];
+
+  const teamAdminIds = assignedConsultantIds.length
+    ? (await User.find({ _id: { $in: assignedConsultantIds }, userType: 'consultant' }).distinct('consultantAdminId'))
+      .map(getId).filter(Boolean)
+    : [];
+
+  // accountDetails is decrypted by the encryption plugin's post('findOne') hook
+  const { isModuleSubscriptionActive, MODULE_NAMES } = require('../../utils/Permissions/modulePermission');
+  const activeModules = Object.values(MODULE_NAMES).filter((m) => isModuleSubscriptionActive(client, m));
+
+  return {
+    exists: true,
+    clientId: client.clientId,
+    sandbox: client.sandbox === true || String(client.clientId || '').startsWith('Sandbox_'),
+    activeModules,
+    assignedConsultantIds,
+    consultantAdminIds: [getId(client.leadInfo?.createdBy), getId(client.leadInfo?.consultantAdminId)].filter(Boolean),
+    teamAdminIds,
+  };
+}
+
+/**
+ * @param {object} input
+ * @param {object} input.subject  — req.user or User document
+ * @param {object} [input.resource]
+ * @param {object} [input.env]
+ * @param {object} [input.preloaded] — e.g. { client: {...} } to skip queries (tests)
+ * @returns {{ subject, resource, env, get(path): Promise<any>, loaded(): object }}
+ */
+function createContext({ subject, resource = {}, env = {}, preloaded = {} }) {
+  const User = () => require('../../models/User');
+  const subjectAttrs = buildSubject(subject);
+  const state = {
+    subjectComplete: false,
+    client: preloaded.client || null,
+    clientPromise: null,
+  };
+
+  const completeSubject = async () => {
+    if (state.subjectComplete || !subjectAttrs.id) return;
+    state.subjectComplete = true;
+    const doc = await User().findById(subjectAttrs.id).select(SUBJECT_FIELDS.join(' ')).lean();
+    if (!doc) return;
+    const full = buildSubject({ ...doc, _id: subjectAttrs.id });
+    for (const [key, value] of Object.entries(full)) {
+      if (subjectAttrs[key] === undefined) subjectAttrs[key] = value;
+    }
+  };
+
+  const clientAttributes = () => {
+    if (state.client) return state.client;
+    if (!state.clientPromise) {
+      state.clientPromise = loadClientAttributes(resource.clientId).then((attrs) => {
+        state.client = attrs;
+        return attrs;
+      });
+    }
+    return state.clientPromise;
+  };
+
+  const envAttrs = { now: new Date().toISOString(), ...env };
+
+  return {
+    subject: subjectAttrs,
+    resource,
+    env: envAttrs,
+
+    async get(path) {
+      const [root, ...keys] = String(path).split('.');
+      if (root === 'subject') {
+        let value = walk(subjectAttrs, keys);
+        if (value === undefined && SUBJECT_FIELDS.includes(keys[0])) {
+          await completeSubject();
+          value = walk(subjectAttrs, keys);
+        }
+        return value;
+      }
+      if (root === 'resource') {
+        if (keys[0] === 'client') {
+          return walk(await clientAttributes(), keys.slice(1));
+        }
+        return walk(resource, keys);
+      }
+      if (root === 'env') return walk(envAttrs, keys);
+      return undefined;
+    },
+
+    /** Attributes fetched so far — included in explanations. */
+    loaded() {
+      return {
+        subject: { ...subjectAttrs },
+        resource: { ...resource, ...(state.client && { client: state.client }) },
+        env: envAttrs,
+      };
+    },
+  };
+}
+
+module.exports = { SUBJECT_FIELDS, buildSubject, createContext, loadClientAttributes };
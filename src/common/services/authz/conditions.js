@@ -0,0 +1,153 @@
+'use strict';
+// services/authz/conditions.js
+//
+// The condition language of access-policy rules. A condition is plain JSON,
+// so it can be stored per client (models/AccessPolicy.js) and edited from
+// the admin UI:
+//
+//   { all: [c, …] }   { any: [c, …] }   { not: c }
+//   { eq: [a, b] }    { ne: [a, b] }
+//   { in: [needle, list] }          needle is one of list
+//   { intersects: [listA, listB] }  at least one common value
+//   { exists: a }                   a is not null / undefined / ''
+//   { ref: 'name' }                 named condition from the policy library
+//
+// Operands are literals, or attribute paths prefixed with '$':
+//   '$subject.userType', '$resource.clientId', '$resource.client.assignedConsultantIds'
+// Paths are resolved by the evaluation context (services/authz/attributes.js).
+
+const OPERATORS = ['all', 'any', 'not', 'eq', 'ne', 'in', 'intersects', 'exists', 'ref'];
+const ROOTS = ['subject', 'resource', 'env'];
+const MAX_DEPTH = 8;
+
+const isPath = (operand) => typeof operand === 'string' && operand.startsWith('$');
+
+const asString = (value) => (value === null || value === undefined ? value : String(value));
+
+const asList = (value) => {
+  if (value === null || value === undefined) return [];
+  return (Array.isArray(value) ? value : [value]).map(asString);
+};
+
+const describe = (operand) => (isPath(operand) ? operand : JSON.stringify(operand));
+
+/**
+ * Structural check of a condition.
+ * @param {object} condition
+ * @param {object} [library] — named conditions available to { ref }
+ * @returns {string[]} problems, empty when valid
+ */
+function validateCondition(condition, library = {}, path = 'condition', depth = 0) {
+  if (depth > MAX_DEPTH) return [`${path}: nested too deeply`];
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    return [`${path}: must be an object`];
+  }
+  const keys = Object.keys(condition);
+  if (keys.length !== 1 || !OPERATORS.includes(keys[0])) {
+    return [`${path}: must have exactly one of ${OPERATORS.join(', ')}`];
+  }
+
+  const [op] = keys;
+  const arg = condition[op];
+  const problems = [];
+  const checkOperand = (operand, where) => {
+    if (isPath(operand) && !ROOTS.includes(operand.slice(1).split('.')[0])) {
+      problems.push(`${where}: attribute must start with ${ROOTS.map((r) => `$${r}`).join(', ')}`);
+    }
+  };
+
+  switch (op) {
+    case 'all':
+    case 'any':
+      if (!Array.isArray(arg) || !arg.length) return [`${path}.${op}: must be a non-empty array`];
+      arg.forEach((c, i) => problems.push(...validateCondition(c, library, `${path}.${op}[${i}]`, depth + 1)));
+      break;
+    case 'not':
+      problems.push(...validateCondition(arg, library, `${path}.not`, depth + 1));
+      break;
+    case 'eq':
+    case 'ne':
+    case 'in':
+    case 'intersects':
+      if (!Array.isArray(arg) || arg.length !== 2) return [`${path}.${op}: must be [a, b]`];
+      arg.forEach((operand, i) => checkOperand(operand, `${path}.${op}[${i}]`));
+      break;
+    case 'exists':
+      if (!isPath(arg)) return [`${path}.exists: must be an attribute path`];
+      checkOperand(arg, `${path}.exists`);
+      break;
+    case 'ref':
+      if (!Object.prototype.hasOwnProperty.call(library, arg)) return [`${path}.ref: unknown condition "${arg}"`];
+      break;
+    default:
+      break;
+  }
+  return problems;
+}
+
+/**
+ * Evaluate a condition.
+ *
+ * @param {object} condition
+ * @param {{ get: (path: string) => Promise<any> }} context
+ * @param {object} [library]
+ * @param {string[]} [trace] — receives one line per leaf, for explanations
+ * @returns {Promise<boolean>}
+ */
+async function evaluateCondition(condition, context, library = {}, trace = null, depth = 0) {
+  if (depth > MAX_DEPTH) throw new Error('Condition nested too deeply');
+  const [op] = Object.keys(condition);
+  const arg = condition[op];
+  const resolve = (operand) => (isPath(operand) ? context.get(operand.slice(1)) : operand);
+  const note = (text, result) => {
+    if (trace) trace.push(`${'  '.repeat(depth)}${text} → ${result}`);
+    return result;
+  };
+
+  switch (op) {
+    case 'all': {
+      for (const c of arg) {
+        if (!(await evaluateCondition(c, context, library, trace, depth + 1))) return false;
+      }
+      return true;
+    }
+    case 'any': {
+      for (const c of arg) {
+        if (await evaluateCondition(c, context, library, trace, depth + 1)) return true;
+      }
+      return false;
+    }
+    case 'not':
+      return !(await evaluateCondition(arg, context, library, trace, depth + 1));
+    case 'ref': {
+      if (trace) trace.push(`${'  '.repeat(depth)}${arg}:`);
+      return evaluateCondition(library[arg], context, library, trace, depth + 1);
+    }
+    case 'exists': {
+      const value = await resolve(arg);
+      const present = value !== undefined && value !== null && value !== '' &&
+        !(Array.isArray(value) && value.length === 0);
+      return note(`exists(${arg})`, present);
+    }
+    case 'eq':
+    case 'ne': {
+      const [a, b] = await Promise.all(arg.map(resolve));
+      const equal = a !== undefined && a !== null && asString(a) === asString(b);
+      return note(`${op}(${describe(arg[0])}, ${describe(arg[1])})`, op === 'eq' ? equal : !equal);
+    }
+    case 'in': {
+      const [needle, list] = await Promise.all(arg.map(resolve));
+      const found = needle !== undefined && needle !== null && asList(list).includes(asString(needle));
+      return note(`in(${describe(arg[0])}, ${describe(arg[1])})`, found);
+    }
+    case 'intersects': {
+      const [a, b] = await Promise.all(arg.map(resolve));
+      const right = new Set(asList(b));
+      return note(`intersects(${describe(arg[0])}, ${describe(arg[1])})`, asList(a).some((v) => right.has(v)));
+    }
+    default:
+      throw new Error(`Unknown operator "${op}"`);
+  }
+}
+
+module.exports = { OPERATORS, validateCondition, evaluateCondition };
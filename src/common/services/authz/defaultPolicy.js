@@ -0,0 +1,228 @@
+'use strict';
+// services/authz/defaultPolicy.js
+//
+// Built-in access policy — the rules the permission helpers used to
+// hard-code (utils/Permissions/permissions.js, ESG-Link *Permissions.js,
+// M3 m3Permission.js, …), written down once.
+//
+// Rule shape:
+//   {
+//     id:          stable identifier, shown in explanations
+//     description: sentence returned as the decision's `reason`
+//     effect:      'allow' | 'deny'   (a matching deny always wins)
+//     actions:     ['flowchart:manage', 'esg_metric:*', '*']
+//     userTypes:   optional shortcut for { in: ['$subject.userType', [...]] }
+//     condition:   optional, see services/authz/conditions.js
+//   }
+//
+// Clients can add their own rules on top (models/AccessPolicy.js); the
+// limits on what those may grant are in services/authz/policyEngine.js.
+//
+// The per-user checklists of viewers and auditors (accessControls,
+// utils/Permissions/accessControlPermission.js) are not policy rules: they
+// narrow what such a user sees inside a client the policy already lets
+// them view.
+
+const CLIENT_USER_TYPES = [
+  'client_admin', 'client_employee_head', 'employee', 'viewer', 'auditor',
+  'contributor', 'reviewer', 'approver',
+];
+
+/**
+ * Every action a rule can name. `grantable` actions may be granted to the
+ * client's own users by a per-client allow rule; anything else can only be
+ * restricted per client.
+ */
+const ACTIONS = {
+  'client:manage_security':     { resource: 'client', description: 'SSO, MFA and access-policy settings of the client' },
+  'policy:explain':             { resource: 'client', description: "Evaluate and explain decisions for the client's users" },
+  'module:access':              { resource: 'module', description: 'Use a product module (resource.module)' },
+
+  'flowchart:manage':           { resource: 'client', description: 'Create and edit the organization / process flowcharts' },
+  'flowchart:view':             { resource: 'client', description: 'View the flowcharts', grantable: true },
+
+  'esg_boundary:manage':        { resource: 'client', description: 'Edit the ESGLink reporting boundary' },
+  'esg_boundary:view':          { resource: 'client', description: 'View the ESGLink reporting boundary', grantable: true },
+  'esg_mapping:manage':         { resource: 'client', description: 'Map metrics to boundary nodes' },
+  'esg_mapping:manage_defaults': { resource: 'client', description: 'Node-level reviewer / approver defaults' },
+  'esg_mapping:view_assigned':  { resource: 'client', description: 'View metric assignments', grantable: true },
+  'esg_metric:manage_global':   { resource: 'metric', description: 'Create / publish / retire global metrics' },
+  'esg_metric:approve_change':  { resource: 'metric', description: 'Approve global metric change requests' },
+  'esg_metric:manage_client':   { resource: 'client', description: 'Client-specific custom metrics' },
+  'esg_metric:view_client':     { resource: 'client', description: 'View client-specific metrics', grantable: true },
+
+  'm3:write':                   { resource: 'client', description: 'Edit M3 targets, pathways and allocations' },
+  'm3:approve':                 { resource: 'client', description: 'Approve M3 targets and allocations' },
+  'm3:draft_allocation':        { resource: 'client', description: 'Draft M3 allocations' },
+  'm3:manage_settings':         { resource: 'client', description: 'M3 organization settings' },
+
+  'scope3_factor:view':         { resource: 'client', description: 'View Scope 3 EEIO spend factors', grantable: true },
+  'scope3_factor:manage':       { resource: 'client', description: 'Client-specific Scope 3 EEIO spend factors' },
+  'scope3_reference:manage':    { resource: 'reference', description: 'Platform EEIO factors, exchange rates and price deflators' },
+};
+
+/** Named conditions, referenced from rules as { ref: 'name' }. */
+const LIBRARY = {
+  sameClient: { eq: ['$subject.clientId', '$resource.clientId'] },
+
+  consultantAdminOfClient: {
+    all: [
+      { eq: ['$subject.userType', 'consultant_admin'] },
+      {
+        any: [
+          { in: ['$subject.id', '$resource.client.consultantAdminIds'] },
+          { in: ['$subject.id', '$resource.client.teamAdminIds'] },
+        ],
+      },
+    ],
+  },
+
+  assignedConsultant: {
+    all: [
+      { eq: ['$subject.userType', 'consultant'] },
+      { in: ['$subject.id', '$resource.client.assignedConsultantIds'] },
+    ],
+  },
+
+  managesClient: { any: [{ ref: 'consultantAdminOfClient' }, { ref: 'assignedConsultant' }] },
+
+  hasModule: { in: ['$resource.module', '$subject.accessibleModules'] },
+};
+
+const RULES = [
+  {
+    id: 'super-admin',
+    description: 'Super admin access',
+    effect: 'allow',
+    actions: ['*'],
+    userTypes: ['super_admin'],
+  },
+
+  // ── Consultants on their clients ──────────────────────────────────────────
+  {
+    id: 'consultant-manages-client',
+    description: 'Consultant admin for this client or assigned consultant',
+    effect: 'allow',
+    actions: [
+      'client:manage_security', 'policy:explain',
+      'flowchart:manage', 'flowchart:view',
+      'esg_boundary:manage', 'esg_boundary:view',
+      'esg_mapping:manage', 'esg_mapping:view_assigned',
+      'm3:write',
+      'scope3_factor:manage', 'scope3_factor:view',
+    ],
+    userTypes: ['consultant_admin', 'consultant'],
+    condition: { ref: 'managesClient' },
+  },
+  {
+    id: 'consultant-admin-workflow-defaults',
+    description: 'Consultant admin for this client',
+    effect: 'allow',
+    actions: ['esg_mapping:manage_defaults'],
+    userTypes: ['consultant_admin'],
+    condition: { ref: 'consultantAdminOfClient' },
+  },
+
+  // ── ESGLink metric library ────────────────────────────────────────────────
+  {
+    id: 'consultant-admin-metrics',
+    description: 'Consultant admin access',
+    effect: 'allow',
+    actions: ['esg_metric:manage_global', 'esg_metric:manage_client', 'esg_metric:view_client'],
+    userTypes: ['consultant_admin'],
+  },
+  {
+    id: 'consultant-client-metrics',
+    description: 'Assigned consultant',
+    effect: 'allow',
+    actions: ['esg_metric:manage_client', 'esg_metric:view_client'],
+    userTypes: ['consultant'],
+    condition: { ref: 'assignedConsultant' },
+  },
+
+  // ── The client's own users ────────────────────────────────────────────────
+  {
+    id: 'client-admin-own-client',
+    description: 'Client admin of this client',
+    effect: 'allow',
+    actions: [
+      'client:manage_security', 'policy:explain', 'flowchart:view', 'esg_metric:view_client', 'm3:write',
+      'scope3_factor:manage', 'scope3_factor:view',
+    ],
+    userTypes: ['client_admin'],
+    condition: { ref: 'sameClient' },
+  },
+  {
+    id: 'client-users-view-flowchart',
+    description: 'Member of this client',
+    effect: 'allow',
+    actions: ['flowchart:view'],
+    userTypes: ['client_employee_head', 'employee', 'auditor', 'viewer'],
+    condition: { ref: 'sameClient' },
+  },
+  {
+    id: 'esg-assignees-view-assignments',
+    description: 'ESGLink assignee access',
+    effect: 'allow',
+    actions: ['esg_mapping:view_assigned'],
+    userTypes: ['contributor', 'reviewer', 'approver'],
+    condition: { ref: 'sameClient' },
+  },
+
+  // ── M3 ────────────────────────────────────────────────────────────────────
+  {
+    id: 'm3-settings',
+    description: 'Client admin or consultant admin',
+    effect: 'allow',
+    actions: ['m3:manage_settings'],
+    userTypes: ['client_admin', 'consultant_admin'],
+  },
+  {
+    id: 'm3-approve-and-draft',
+    description: 'M3 approvals and allocation drafts',
+    effect: 'allow',
+    actions: ['m3:approve', 'm3:draft_allocation'],
+  },
+  {
+    id: 'm3-no-approval-for-team-roles',
+    description: 'Full users and team users cannot approve targets or allocations',
+    effect: 'deny',
+    actions: ['m3:approve'],
+    userTypes: ['full_user', 'team_user'],
+  },
+  {
+    id: 'm3-team-user-no-allocation',
+    description: 'Team users cannot draft allocations',
+    effect: 'deny',
+    actions: ['m3:draft_allocation'],
+    userTypes: ['team_user'],
+  },
+
+  // ── Scope 3 spend-based reference data ────────────────────────────────────
+  {
+    id: 'client-users-view-scope3-factors',
+    description: 'Member of this client',
+    effect: 'allow',
+    actions: ['scope3_factor:view'],
+    userTypes: ['client_employee_head', 'employee', 'auditor', 'viewer'],
+    condition: { ref: 'sameClient' },
+  },
+  {
+    id: 'consultant-admin-scope3-reference',
+    description: 'Consultant admin access',
+    effect: 'allow',
+    actions: ['scope3_reference:manage'],
+    userTypes: ['consultant_admin'],
+  },
+
+  // ── Product modules ───────────────────────────────────────────────────────
+  {
+    id: 'module-in-accessible-modules',
+    description: "Module is in the user's accessibleModules",
+    effect: 'allow',
+    actions: ['module:access'],
+    condition: { ref: 'hasModule' },
+  },
+];
+
+module.exports = { CLIENT_USER_TYPES, ACTIONS, LIBRARY, RULES };
@@ -0,0 +1,263 @@
+'use strict';
+// services/authz/policyEngine.js
+//
+// Attribute-based access decisions:
+//
+//   const { authorize } = require('services/authz/policyEngine');
+//   const { allowed, reason } = await authorize(req.user, 'flowchart:manage', { type: 'client', clientId });
+//
+// Rules come from the built-in policy (defaultPolicy.js) plus, for resources
+// of a client, that client's own rules (models/AccessPolicy.js).
+//
+// Combining: deny-overrides. A matching deny rule wins over any allow; with
+// no matching allow the decision is deny.
+//
+// Per-client rules are limited so a client cannot widen its own access, nor
+// lock everyone out of it:
+//   - deny rules must name the user types they restrict; they can never
+//     match super_admin, and cannot take the policy actions
+//     (POLICY_ACTIONS) from the client's own admin
+//   - allow rules may only grant `grantable` actions to the client's own
+//     user types, and only ever match subjects AND resources of that client
+//
+// Client rule sets are cached for CLIENT_POLICY_TTL_MS; updates through
+// the API invalidate the cache of this instance immediately.
+
+const { validateCondition, evaluateCondition } = require('./conditions');
+const { createContext } = require('./attributes');
+const { ACTIONS, LIBRARY, RULES, CLIENT_USER_TYPES } = require('./defaultPolicy');
+
+const CLIENT_POLICY_TTL_MS = 60 * 1000;
+const RULE_ID_PATTERN = /^[a-z0-9][a-z0-9_.-]{0,63}$/i;
+
+// Actions that edit or inspect the client policy itself; the client admin
+// must keep them so a bad rule can be undone through the API
+const POLICY_ACTIONS = ['client:manage_security', 'policy:explain'];
+
+const clientPolicyCache = new Map(); // clientId → { rules, expiresAt }
+
+// ── Action matching ───────────────────────────────────────────────────────────
+
+/** '*' matches everything, 'esg_metric:*' every esg_metric action. */
+const actionMatches = (patterns, action) =>
+  patterns.some((p) => p === '*' || p === action || (p.endsWith(':*') && action.startsWith(p.slice(0, -1))));
+
+const knownActionPattern = (pattern) =>
+  pattern === '*' || Boolean(ACTIONS[pattern]) ||
+  (pattern.endsWith(':*') && Object.keys(ACTIONS).some((a) => a.startsWith(pattern.slice(0, -1))));
+
+// ── Per-client rules ──────────────────────────────────────────────────────────
+
+/**
+ * Validate rules submitted for a client.
+ * @returns {string[]} problems, empty when the rule set can be stored
+ */
+function validateClientRules(rules) {
+  if (!Array.isArray(rules)) return ['rules must be an array'];
+  const problems = [];
+  const seen = new Set();
+
+  rules.forEach((rule, i) => {
+    const at = `rules[${i}]`;
+    if (!rule || typeof rule !== 'object') {
+      problems.push(`${at}: must be an object`);
+      return;
+    }
+    if (!RULE_ID_PATTERN.test(rule.id || '')) problems.push(`${at}.id: letters, digits, "_", "-", "." (max 64)`);
+    else if (seen.has(rule.id)) problems.push(`${at}.id: duplicate "${rule.id}"`);
+    seen.add(rule.id);
+
+    if (!['allow', 'deny'].includes(rule.effect)) problems.push(`${at}.effect: must be allow or deny`);
+    if (!Array.isArray(rule.actions) || !rule.actions.length) {
+      problems.push(`${at}.actions: must be a non-empty array`);
+    } else {
+      rule.actions.filter((a) => !knownActionPattern(a)).forEach((a) => problems.push(`${at}.actions: unknown action "${a}"`));
+    }
+
+    if (rule.effect === 'allow') {
+      const notGrantable = (rule.actions || []).filter((a) => !ACTIONS[a] || !ACTIONS[a].grantable);
+      if (notGrantable.length) {
+        problems.push(`${at}: allow rules can only grant ${Object.keys(ACTIONS).filter((a) => ACTIONS[a].grantable).join(', ')} (not ${notGrantable.join(', ')})`);
+      }
+      if (!Array.isArray(rule.userTypes) || !rule.userTypes.length) {
+        problems.push(`${at}.userTypes: required for allow rules`);
+      }
+      (rule.userTypes || []).filter((t) => !CLIENT_USER_TYPES.includes(t))
+        .forEach((t) => problems.push(`${at}.userTypes: allow rules cannot target "${t}"`));
+    }
+
+    if (rule.effect === 'deny' && (!Array.isArray(rule.userTypes) || !rule.userTypes.length)) {
+      problems.push(`${at}.userTypes: required for deny rules`);
+    } else if (rule.effect === 'deny') {
+      if (rule.userTypes.includes('super_admin')) problems.push(`${at}.userTypes: deny rules cannot target "super_admin"`);
+      const locked = POLICY_ACTIONS.filter((a) => actionMatches(rule.actions || [], a));
+      if (rule.userTypes.includes('client_admin') && locked.length) {
+        problems.push(`${at}: deny rules cannot take ${locked.join(', ')} from client_admin`);
+      }
+    }
+
+    if (rule.userTypes !== undefined && !Array.isArray(rule.userTypes)) {
+      problems.push(`${at}.userTypes: must be an array`);
+    }
+    if (rule.condition !== undefined) {
+      problems.push(...validateCondition(rule.condition, LIBRARY, `${at}.condition`));
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Client rules as evaluated: allow rules are pinned to the client; deny rules
+ * never match super_admin (also for rules stored before that was validated).
+ */
+function scopeClientRules(clientId, rules) {
+  return rules.map((rule) => {
+    const plain = typeof rule.toObject === 'function' ? rule.toObject() : { ...rule };
+    if (plain.effect !== 'allow') {
+      const notSuperAdmin = { not: { eq: ['$subject.userType', 'super_admin'] } };
+      return {
+        ...plain,
+        source: 'client',
+        condition: plain.condition ? { all: [notSuperAdmin, plain.condition] } : notSuperAdmin,
+      };
+    }
+
+    const pinned = [
+      { eq: ['$subject.clientId', clientId] },
+      { eq: ['$resource.clientId', clientId] },
+    ];
+    return {
+      ...plain,
+      source: 'client',
+      condition: { all: plain.condition ? [...pinned, plain.condition] : pinned },
+    };
+  });
+}
+
+async function loadClientRules(clientId) {
+  if (!clientId) return [];
+  const cached = clientPolicyCache.get(clientId);
+  if (cached && cached.expiresAt > Date.now()) return cached.rules;
+
+  const AccessPolicy = require('../../models/AccessPolicy');
+  const policy = await AccessPolicy.findOne({ clientId }).lean();
+  const rules = scopeClientRules(clientId, policy?.rules || []);
+  clientPolicyCache.set(clientId, { rules, expiresAt: Date.now() + CLIENT_POLICY_TTL_MS });
+  return rules;
+}
+
+const invalidateClientPolicy = (clientId) => clientPolicyCache.delete(clientId);
+
+// ── Evaluation ────────────────────────────────────────────────────────────────
+
+/**
+ * Decide whether `subject` may perform `action` on `resource`.
+ *
+ * @param {object} input
+ * @param {object} input.subject      — req.user or User document
+ * @param {string} input.action       — see ACTIONS in defaultPolicy.js
+ * @param {object} [input.resource]   — { type, clientId, module, … }
+ * @param {object} [input.env]
+ * @param {boolean} [input.explain]   — evaluate every rule and return a trace
+ * @param {Array}  [input.clientRules] — use these instead of the stored client
+ *                                       rules (policy simulation)
+ * @param {object} [input.preloaded]  — see attributes.createContext
+ * @returns {Promise<{ allowed: boolean, effect: string, reason: string,
+ *                     ruleId: string|null, source: string|null,
+ *                     rules?: object[], attributes?: object }>}
+ */
+async function evaluate({ subject, action, resource = {}, env = {}, explain = false, clientRules, preloaded }) {
+  if (!subject) {
+    return { allowed: false, effect: 'deny', reason: 'Not authenticated', ruleId: null, source: null };
+  }
+
+  const context = createContext({ subject, resource, env, preloaded });
+  const tenantRules = clientRules
+    ? scopeClientRules(resource.clientId, clientRules)
+    : await loadClientRules(resource.clientId);
+  const candidates = [...RULES.map((r) => ({ ...r, source: 'default' })), ...tenantRules]
+    .filter((rule) => actionMatches(rule.actions, action));
+
+  // Denies first so a matching deny can end the evaluation early
+  const ordered = [...candidates.filter((r) => r.effect === 'deny'), ...candidates.filter((r) => r.effect !== 'deny')];
+  const report = [];
+  let denied = null;
+  let allowed = null;
+
+  for (const rule of ordered) {
+    if (!explain && (denied || (allowed && rule.effect === 'allow'))) break;
+
+    const entry = { id: rule.id, source: rule.source, effect: rule.effect, description: rule.description };
+    if (rule.userTypes?.length && !rule.userTypes.includes(context.subject.userType)) {
+      report.push({ ...entry, matched: false, note: `userType ${context.subject.userType} not in [${rule.userTypes.join(', ')}]` });
+      continue;
+    }
+
+    const trace = explain ? [] : null;
+    const matched = rule.condition
+      ? await evaluateCondition(rule.condition, context, LIBRARY, trace)
+      : true;
+    report.push({ ...entry, matched, ...(trace && trace.length && { trace }) });
+
+    if (matched && rule.effect === 'deny' && !denied) denied = rule;
+    if (matched && rule.effect === 'allow' && !allowed) allowed = rule;
+  }
+
+  const decisive = denied || allowed;
+  const clientMissing = context.loaded().resource.client?.exists === false;
+  const decision = {
+    allowed: !denied && !!allowed,
+    effect: denied ? 'deny' : allowed ? 'allow' : 'deny',
+    reason: decisive
+      ? decisive.description || decisive.id
+      : !ACTIONS[action]
+        ? `Unknown action ${action}`
+        : clientMissing
+          ? 'Client not found'
+          : `No policy rule allows ${action} for ${context.subject.userType || 'this user'}`,
+    ruleId: decisive ? decisive.id : null,
+    source: decisive ? decisive.source : null,
+  };
+
+  if (explain) {
+    decision.action = action;
+    decision.rules = report;
+    decision.attributes = context.loaded();
+  }
+  return decision;
+}
+
+/**
+ * Drop-in for the `{ allowed, reason }` helpers
+ * (canManageFlowchart, canManageClientMetric, …).
+ */
+async function authorize(user, action, resource = {}) {
+  const { allowed, reason } = await evaluate({ subject: user, action, resource });
+  return { allowed, reason };
+}
+
+/** Throws an Error with status 403 and the decision's reason when denied. */
+async function assertAllowed(user, action, resource = {}) {
+  const decision = await evaluate({ subject: user, action, resource });
+  if (!decision.allowed) {
+    const err = new Error(decision.reason);
+    err.status = 403;
+    err.ruleId = decision.ruleId;
+    throw err;
+  }
+  return decision;
+}
+
+module.exports = {
+  CLIENT_POLICY_TTL_MS,
+  POLICY_ACTIONS,
+  actionMatches,
+  validateClientRules,
+  scopeClientRules,
+  loadClientRules,
+  invalidateClientPolicy,
+  evaluate,
+  authorize,
+  assertAllowed,
+};
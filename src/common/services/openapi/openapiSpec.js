@@ -0,0 +1,322 @@
+'use strict';
+// services/openapi/openapiSpec.js
+//
+// Builds the public OpenAPI 3 document from the live Express routers
+// (routeCollector.js), the Mongoose models (schemaFromModel.js) and the
+// curated contracts in operations.js. Served by GET /api/docs.
+//
+// The routers are collected by replaying app/bootstrap/registerRoutes.js
+// against a recorder, so the spec always lists exactly what is mounted.
+//
+// Print the spec:  node src/common/services/openapi/openapiSpec.js > openapi.json
+
+const { collectRoutes } = require('./routeCollector');
+const { allModelSchemas } = require('./schemaFromModel');
+const { getOperations } = require('./operations');
+
+const SECURITY_SCHEMES = {
+  bearerAuth: {
+    type: 'http',
+    scheme: 'bearer',
+    bearerFormat: 'JWT',
+    description: 'User session token from POST /api/users/login.',
+  },
+  sandboxBearerAuth: {
+    type: 'http',
+    scheme: 'bearer',
+    bearerFormat: 'JWT',
+    description:
+      'Token of a sandbox user (user.sandbox = true), issued by the same login. ' +
+      'Accepted wherever bearerAuth is, except routes that block sandbox modifications.',
+  },
+  hmacSignature: {
+    type: 'apiKey',
+    in: 'header',
+    name: 'Authorization',
+    description:
+      'Signed API / IoT ingestion request: ' +
+      '"ZC-HMAC-SHA256 keyId=<key id>, timestamp=<unix seconds>, signature=<hex>" where ' +
+      'signature = HMAC-SHA256(signingSecret, "<METHOD>\\n<path incl. query>\\n<timestamp>\\n<sha256 hex of body>"). ' +
+      'Routes that take the key in the URL document it as the {apiKey} path parameter instead.',
+  },
+};
+
+const COMMON_SCHEMAS = {
+  SuccessResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      message: { type: 'string' },
+      data: {},
+    },
+  },
+  ErrorResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      message: { type: 'string' },
+      error: { type: 'string' },
+    },
+  },
+  ValidationErrorResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      message: { type: 'string', enum: ['Request validation failed'] },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            in: { type: 'string', enum: ['path', 'query', 'body'] },
+            path: { type: 'string' },
+            message: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+};
+
+const errorResponse = (description, ref = 'ErrorResponse') => ({
+  description,
+  content: { 'application/json': { schema: { $ref: `#/components/schemas/${ref}` } } },
+});
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const operationKey = (method, path) => `${method.toUpperCase()} ${path}`;
+
+function tagFor(mountPath) {
+  return mountPath.replace(/^\/api\/?/, '').replace(/\//g, '-') || 'root';
+}
+
+function generatedOperationId(method, path) {
+  const words = path
+    .replace(/^\/api\//, '')
+    .split(/[/\-_.]/)
+    .filter(Boolean)
+    .map((seg) => (seg.startsWith('{') ? `by ${seg.slice(1, -1)}` : seg))
+    .join(' ')
+    .split(' ');
+  return method + words.map((w) => w.charAt(0).toUpperCase() + w.slice(1)).join('');
+}
+
+/** Fold route middleware metadata into OpenAPI security + role info. */
+function securityFor(route) {
+  let schemes = null;
+  let optional = false;
+  let roles = null;
+  let apiKeyType = null;
+  let signing = false;
+  const excluded = new Set();
+
+  for (const meta of route.middleware) {
+    if (meta.security) { schemes = meta.security; optional = !!meta.optional; }
+    if (meta.roles && meta.roles.length) roles = meta.roles;
+    if (meta.apiKeyType) { apiKeyType = meta.apiKeyType; signing = !!meta.signing; }
+    if (meta.excludes && (!meta.methods || meta.methods.includes(route.method))) excluded.add(meta.excludes);
+  }
+
+  if (apiKeyType) {
+    const inPath = route.params.some((p) => p.name === 'apiKey');
+    return { security: inPath ? [] : [{ hmacSignature: [] }], roles, apiKeyType, apiKeyInPath: inPath, signing };
+  }
+  if (schemes) {
+    const security = schemes.filter((s) => !excluded.has(s)).map((s) => ({ [s]: [] }));
+    if (optional) security.push({});
+    return { security, roles };
+  }
+  return { security: [], roles };
+}
+
+function buildParameters(route, curated, auth) {
+  const params = [];
+  for (const { name, pattern } of route.params) {
+    const schema = (curated.params && curated.params[name]) || { type: 'string', ...(pattern && { pattern }) };
+    const param = { name, in: 'path', required: true, schema };
+    if (name === 'apiKey' && auth.apiKeyInPath) {
+      param.description = `Plaintext ${auth.apiKeyType} API key` +
+        (auth.signing ? ' (or omit it from the URL and sign the request, see hmacSignature).' : '.');
+    }
+    params.push(param);
+  }
+
+  const seen = new Set();
+  for (const [name, schema] of Object.entries(curated.query || {})) {
+    seen.add(name);
+    params.push({ name, in: 'query', required: false, schema });
+  }
+  for (const q of route.doc.query) {
+    if (seen.has(q.name)) continue;
+    seen.add(q.name);
+    const param = { name: q.name, in: 'query', required: !!q.required, schema: { type: 'string' } };
+    if (q.enum) param.schema.enum = q.enum;
+    if (q.description) param.description = q.description;
+    params.push(param);
+  }
+  return params;
+}
+
+function buildRequestBody(route, curated) {
+  let schema = curated.body;
+  if (!schema && route.doc.body.length && !['get', 'head', 'delete'].includes(route.method)) {
+    schema = {
+      type: 'object',
+      properties: Object.fromEntries(route.doc.body.map((f) => [f.name, {}])),
+    };
+  }
+  if (!schema) return undefined;
+  return {
+    required: Array.isArray(schema.required) && schema.required.length > 0,
+    content: { 'application/json': { schema } },
+  };
+}
+
+function buildOperation(route, curated, operationId) {
+  const auth = securityFor(route);
+  const validated = route.middleware.some((m) => m.validates);
+  const policies = route.middleware.filter((m) => m.policy).map((m) => m.policy);
+
+  const descriptionParts = [];
+  if (route.doc.description) descriptionParts.push(route.doc.description);
+  if (auth.roles) descriptionParts.push(`Roles: ${auth.roles.join(', ')}.`);
+  if (policies.length) descriptionParts.push(`Access policy: ${policies.join(', ')}.`);
+  if (route.doc.access) descriptionParts.push(`Access: ${route.doc.access}.`);
+
+  const op = {
+    tags: [tagFor(route.mountPath)],
+    summary: route.doc.summary || `${route.method.toUpperCase()} ${route.path}`,
+    operationId,
+    security: auth.security,
+  };
+  if (descriptionParts.length) op.description = descriptionParts.join('\n\n');
+
+  const parameters = buildParameters(route, curated, auth);
+  if (parameters.length) op.parameters = parameters;
+
+  const requestBody = buildRequestBody(route, curated);
+  if (requestBody) op.requestBody = requestBody;
+
+  op.responses = {
+    200: {
+      description: 'Success',
+      content: {
+        'application/json': {
+          schema: curated.response
+            ? { allOf: [{ $ref: '#/components/schemas/SuccessResponse' }, { type: 'object', properties: { data: curated.response } }] }
+            : { $ref: '#/components/schemas/SuccessResponse' },
+        },
+      },
+    },
+  };
+  if (validated) op.responses[400] = errorResponse('Request does not match this specification', 'ValidationErrorResponse');
+  if (auth.security.length || auth.apiKeyType) op.responses[401] = errorResponse('Missing or invalid credentials');
+  if (auth.roles) op.responses[403] = errorResponse('Role not permitted');
+  else if (policies.length) op.responses[403] = errorResponse('Denied by access policy');
+  op.responses[500] = errorResponse('Server error');
+
+  if (auth.roles) op['x-roles'] = auth.roles;
+  if (policies.length) op['x-policy'] = policies;
+  if (validated) op['x-request-validation'] = true;
+  return op;
+}
+
+// ─── Build ────────────────────────────────────────────────────────────────────
+
+/** [mountPath, router] pairs, in registration order. */
+function recordMounts() {
+  const { registerRoutes } = require('../../../app/bootstrap/registerRoutes');
+  const mounts = [];
+  registerRoutes({ use: (mountPath, router) => mounts.push([mountPath, router]) });
+  return mounts;
+}
+
+/**
+ * Build the OpenAPI document.
+ *
+ * @param {Object} [options]
+ * @param {Array<[string, Function]>} [options.mounts] — defaults to registerRoutes()
+ * @returns {{ spec: object, problems: string[] }}
+ *          problems lists curated operations / validators that do not match
+ *          a mounted route — these mean docs and behaviour have drifted.
+ */
+function buildSpec({ mounts = recordMounts() } = {}) {
+  const operations = getOperations();
+  const routes = collectRoutes(mounts);
+  const paths = {};
+  const usedIds = new Set();
+  const problems = [];
+
+  for (const route of routes) {
+    const key = operationKey(route.method, route.path);
+    paths[route.path] = paths[route.path] || {};
+    // Express dispatches to the first matching declaration; later ones are unreachable
+    if (paths[route.path][route.method]) continue;
+
+    let operationId = route.handlerName && !usedIds.has(route.handlerName)
+      ? route.handlerName
+      : generatedOperationId(route.method, route.path);
+    for (let n = 2; usedIds.has(operationId); n++) operationId = `${operationId.replace(/\d+$/, '')}${n}`;
+    usedIds.add(operationId);
+
+    const curated = operations[key] || {};
+    paths[route.path][route.method] = buildOperation(route, curated, operationId);
+
+    for (const meta of route.middleware) {
+      if (meta.validates && meta.validates !== key) {
+        problems.push(`${key} runs the validator for "${meta.validates}"`);
+      }
+    }
+    if (curated.validate && !route.middleware.some((m) => m.validates === key)) {
+      problems.push(`${key} is marked validate: true but the route has no validateRequest('${key}')`);
+    }
+  }
+
+  for (const key of Object.keys(operations)) {
+    const [method, path] = key.split(' ');
+    if (!paths[path] || !paths[path][method.toLowerCase()]) {
+      problems.push(`${key} is described in operations.js but no such route is mounted`);
+    }
+  }
+
+  const { version } = require('../../../../package.json');
+  const spec = {
+    openapi: '3.0.3',
+    info: {
+      title: 'ZeroCarbon / ESGLink API',
+      version,
+      description:
+        'Generated from the mounted Express routers. Responses use the ' +
+        '{ success, message, data } envelope. Operations marked ' +
+        'x-request-validation reject requests that do not match this document with 400.',
+    },
+    servers: [{ url: '/' }],
+    tags: [...new Set(mounts.map(([mountPath]) => tagFor(mountPath)))].map((name) => ({ name })),
+    paths,
+    components: {
+      securitySchemes: SECURITY_SCHEMES,
+      schemas: { ...COMMON_SCHEMAS, ...allModelSchemas() },
+    },
+  };
+  return { spec, problems };
+}
+
+let cached = null;
+
+/** Build once per process; routers do not change after startup. */
+function getSpec() {
+  if (!cached) {
+    const { spec, problems } = buildSpec();
+    for (const problem of problems) console.warn(`[OpenAPI] ${problem}`);
+    cached = spec;
+  }
+  return cached;
+}
+
+if (require.main === module) {
+  process.stdout.write(`${JSON.stringify(getSpec(), null, 2)}\n`);
+  process.exit(0);
+}
+
+module.exports = { buildSpec, getSpec, securityFor, operationKey };
@@ -0,0 +1,323 @@
+'use strict';
+// services/openapi/operations.js
+//
+// Hand-curated request/response contracts, keyed "METHOD /openapi/path".
+//
+// Everything else in the spec is generated from the routers; these entries
+// add the schemas a router cannot express. Field schemas are taken from the
+// Mongoose models (schemaFromModel.js) so a model change flows into both the
+// docs and the validator.
+//
+// Entries with `validate: true` are enforced at runtime by
+// middleware/validateRequest.js, which must be attached to the matching
+// route — openapiSpec.js reports any mismatch.
+//
+// Entry shape:
+//   {
+//     validate?: boolean,
+//     params?:   { [name]: schema },  // path parameters
+//     query?:    { [name]: schema },
+//     body?:     schema,               // application/json request body
+//     response?: schema,               // `data` of the { success, message, data } envelope
+//   }
+
+const { modelSchema, modelField, OBJECT_ID_PATTERN } = require('./schemaFromModel');
+const { WEBHOOK_EVENTS, ALL_EVENTS } = require('../webhook/webhookEvents');
+const { ACTIONS } = require('../authz/defaultPolicy');
+
+const objectId = { type: 'string', pattern: OBJECT_ID_PATTERN };
+
+function loadModels() {
+  require('../../models/Webhook/WebhookSubscription');
+  require('../../models/Ticket/Ticket');
+  require('../../../modules/zero-carbon/reduction/models/Reduction');
+  require('../../../modules/zero-carbon/verification/PendingApproval');
+  require('../../../modules/client-management/client/Client');
+  require('../../models/AccessPolicy');
+  require('../../../modules/zero-carbon/scope3/models/EeioFactor');
+  require('../../../modules/zero-carbon/scope3/models/ExchangeRate');
+  require('../../../modules/zero-carbon/scope3/models/PriceDeflator');
+}
+
+function buildOperations() {
+  loadModels();
+
+  const webhookEvents = {
+    ...modelField('WebhookSubscription', 'events'),
+    items: { type: 'string', enum: [ALL_EVENTS, ...Object.keys(WEBHOOK_EVENTS)] },
+    minItems: 1,
+  };
+  const webhookFields = modelSchema('WebhookSubscription', {
+    pick: ['clientId', 'name', 'url', 'isActive'],
+  });
+  const subscription = modelSchema('WebhookSubscription', { omit: ['createdBy', 'updatedBy'] });
+
+  const decisionRequest = {
+    type: 'object',
+    required: ['action'],
+    properties: {
+      action:   { type: 'string', enum: Object.keys(ACTIONS), description: 'See GET /api/authz/catalog' },
+      resource: {
+        type: 'object',
+        description: 'Resource attributes, e.g. { "type": "client", "clientId": "Greon001" }',
+        properties: {
+          type:     { type: 'string' },
+          clientId: { type: 'string' },
+          module:   { type: 'string' },
+        },
+      },
+      userId: { ...objectId, description: 'Evaluate for another user (requires policy:explain on their client)' },
+    },
+    additionalProperties: false,
+  };
+
+  // One factor, or { factors: [...] } — the service reports every invalid row
+  const eeioFactor = modelSchema('EeioFactor', {
+    pick: ['sectorCode', 'sectorName', 'region', 'currency', 'priceYear', 'factor', 'source'],
+  });
+  const eeioFactorsBody = {
+    type: 'object',
+    properties: {
+      ...eeioFactor.properties,
+      factors: { type: 'array', items: eeioFactor, minItems: 1 },
+    },
+    additionalProperties: false,
+  };
+  const seriesBody = (Model, field, description) => ({
+    type: 'object',
+    required: ['currency', 'points'],
+    properties: {
+      currency: modelField(Model, 'currency'),
+      points: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['year', 'value'],
+          properties: {
+            year:  modelField(Model, 'year'),
+            value: { ...modelField(Model, field), description },
+          },
+        },
+      },
+      source: modelField(Model, 'source'),
+    },
+    additionalProperties: false,
+  });
+
+  const ssoField = (path) => modelField('Client', `ssoConfig.${path}`);
+  const ssoConfigBody = {
+    type: 'object',
+    required: ['enabled'],
+    properties: {
+      enabled:        ssoField('enabled'),
+      protocol:       { ...ssoField('protocol'), nullable: true },
+      allowedDomains: { ...ssoField('allowedDomains'), description: 'Email domains routed to this IdP, e.g. ["acme.com"]' },
+      enforced:       { ...ssoField('enforced'), description: 'Block password login for client users (client_admin excepted)' },
+      oidc: {
+        type: 'object',
+        properties: {
+          issuer:       { ...ssoField('oidc.issuer'), format: 'uri' },
+          clientId:     ssoField('oidc.clientId'),
+          clientSecret: { type: 'string', description: 'Write-only; omit to keep the stored secret' },
+          scopes:       ssoField('oidc.scopes'),
+        },
+        additionalProperties: false,
+      },
+      saml: {
+        type: 'object',
+        properties: {
+          entryPoint:           { ...ssoField('saml.entryPoint'), format: 'uri' },
+          idpIssuer:            ssoField('saml.idpIssuer'),
+          idpCert:              { ...ssoField('saml.idpCert'), description: 'IdP signing certificate(s), PEM or base64' },
+          wantAssertionsSigned: ssoField('saml.wantAssertionsSigned'),
+        },
+        additionalProperties: false,
+      },
+      jit: {
+        type: 'object',
+        properties: {
+          enabled:         ssoField('jit.enabled'),
+          groupClaim:      ssoField('jit.groupClaim'),
+          defaultUserType: { ...ssoField('jit.defaultUserType'), nullable: true },
+          defaultModules:  ssoField('jit.defaultModules'),
+          roleMappings:    ssoField('jit.roleMappings'),
+          updateOnLogin:   ssoField('jit.updateOnLogin'),
+        },
+        additionalProperties: false,
+      },
+    },
+    additionalProperties: false,
+  };
+
+  return {
+    // ── Outbound webhooks ────────────────────────────────────────────────────
+    'POST /api/webhooks': {
+      validate: true,
+      body: {
+        type: 'object',
+        required: ['clientId', 'url', 'events'],
+        properties: {
+          clientId: webhookFields.properties.clientId,
+          name:     webhookFields.properties.name,
+          url:      { ...webhookFields.properties.url, format: 'uri' },
+          events:   webhookEvents,
+        },
+        additionalProperties: false,
+      },
+      response: {
+        type: 'object',
+        properties: {
+          subscription,
+          signing: {
+            type: 'object',
+            description: 'Returned only on create / rotate-secret',
+            properties: {
+              secret:          { type: 'string' },
+              signatureHeader: { type: 'string' },
+              timestampHeader: { type: 'string' },
+              note:            { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    'PATCH /api/webhooks/{id}': {
+      validate: true,
+      params: { id: objectId },
+      body: {
+        type: 'object',
+        minProperties: 1,
+        properties: {
+          name:     webhookFields.properties.name,
+          url:      { ...webhookFields.properties.url, format: 'uri' },
+          events:   webhookEvents,
+          isActive: webhookFields.properties.isActive,
+        },
+        additionalProperties: false,
+      },
+      response: subscription,
+    },
+    'GET /api/webhooks/{id}': {
+      params: { id: objectId },
+      response: subscription,
+    },
+
+    // ── Reductions ───────────────────────────────────────────────────────────
+    'PATCH /api/reductions/{clientId}/{projectId}/status': {
+      validate: true,
+      body: {
+        type: 'object',
+        required: ['status'],
+        properties: { status: modelField('Reduction', 'status') },
+      },
+    },
+
+    // ── Tickets ──────────────────────────────────────────────────────────────
+    'POST /api/tickets/{id}/close': {
+      validate: true,
+      body: {
+        type: 'object',
+        properties: {
+          satisfactionRating: modelField('Ticket', 'resolution.satisfactionRating'),
+          userFeedback:       modelField('Ticket', 'resolution.userFeedback'),
+        },
+      },
+    },
+
+    // ── Single sign-on ───────────────────────────────────────────────────────
+    'PUT /api/sso/{clientId}/config': {
+      validate: true,
+      body: ssoConfigBody,
+    },
+
+    // ── Multi-factor authentication ─────────────────────────────────────────
+    'POST /api/users/login/mfa/verify': {
+      validate: true,
+      body: {
+        type: 'object',
+        required: ['tempToken', 'method', 'code'],
+        properties: {
+          tempToken:      { type: 'string', description: 'From POST /api/users/login ({ requiresMFA: true })' },
+          method:         { type: 'string', enum: ['totp', 'recovery_code'] },
+          code:           { type: 'string', maxLength: 32 },
+          rememberDevice: { type: 'boolean', description: 'Returns a deviceToken to send as deviceToken on later logins' },
+        },
+      },
+    },
+    'PUT /api/clients/{clientId}/mfa-policy': {
+      validate: true,
+      body: {
+        type: 'object',
+        required: ['requiredUserTypes'],
+        properties: {
+          requiredUserTypes: modelField('Client', 'mfaPolicy.requiredUserTypes'),
+          trustedDeviceDays: { ...modelField('Client', 'mfaPolicy.trustedDeviceDays'), description: '0 disables "remember this device"' },
+        },
+        additionalProperties: false,
+      },
+    },
+
+    // ── Access policy ────────────────────────────────────────────────────────
+    'POST /api/authz/evaluate': {
+      validate: true,
+      body: decisionRequest,
+    },
+    'POST /api/authz/explain': {
+      validate: true,
+      body: decisionRequest,
+    },
+    'PUT /api/authz/clients/{clientId}/policy': {
+      validate: true,
+      body: {
+        type: 'object',
+        required: ['rules'],
+        properties: {
+          rules:           modelField('AccessPolicy', 'rules'),
+          expectedVersion: { ...modelField('AccessPolicy', 'version'), description: 'Version last read; 409 if the policy changed since' },
+        },
+        additionalProperties: false,
+      },
+    },
+
+    // ── Scope 3 spend-based reference data ──────────────────────────────────
+    'PUT /api/scope3/{clientId}/eeio-factors': {
+      validate: true,
+      body: eeioFactorsBody,
+    },
+    'PUT /api/scope3/reference/eeio-factors': {
+      validate: true,
+      body: eeioFactorsBody,
+    },
+    'PUT /api/scope3/reference/exchange-rates': {
+      validate: true,
+      body: seriesBody('ExchangeRate', 'perUSD', 'Units of currency per 1 USD (annual average)'),
+    },
+    'PUT /api/scope3/reference/price-deflators': {
+      validate: true,
+      body: seriesBody('PriceDeflator', 'index', 'Price index value; only ratios between years are used'),
+    },
+
+    // ── Threshold verification ───────────────────────────────────────────────
+    'POST /api/verification/pending-approvals/{id}/reject': {
+      validate: true,
+      params: { id: objectId },
+      body: {
+        type: 'object',
+        properties: {
+          reason: { ...modelField('PendingApproval', 'rejectionReason'), description: 'Stored as rejectionReason' },
+        },
+      },
+    },
+  };
+}
+
+let cache = null;
+
+/** @returns {Object<string, object>} operations keyed "METHOD /path" */
+function getOperations() {
+  if (!cache) cache = buildOperations();
+  return cache;
+}
+
+module.exports = { getOperations };
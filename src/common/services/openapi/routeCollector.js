@@ -0,0 +1,358 @@
+'use strict';
+// services/openapi/routeCollector.js
+//
+// Walks the mounted Express routers and returns one entry per
+// (method, path) with the middleware that runs before it, the source file
+// that declared it and the doc comment written above the declaration.
+//
+// Middleware describe themselves for the spec through an `openapi` property
+// on the function (see common/middleware/auth.js, apiKeyAuth.js):
+//
+//   { security: ['bearerAuth', ...] }   accepted security schemes
+//   { optional: true }                  auth is optional
+//   { roles: ['super_admin', ...] }     role gate
+//   { apiKeyType: 'DC_API',             API-key authenticated
+//     signing?: true }                  (also accepts HMAC-signed requests)
+//   { excludes: 'sandboxBearerAuth',    rejects a scheme accepted earlier
+//     methods?: ['post', ...] }         (only for these methods)
+//   { validates: 'POST /api/x' }        request validated against the spec
+//   { policy: 'flowchart:manage' }      access-policy gate (middleware/policy.js)
+//
+// Router-level middleware is order-sensitive exactly like Express: a
+// `router.use(fn)` applies to routes declared after it, including routes of
+// later routers mounted on the same prefix.
+
+const fs = require('fs');
+const path = require('path');
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+const PARAM_SOURCE = /\(\?:\\\/\(\[\^\/\]\+\?\)\)\??/g;
+
+// ─── Paths ────────────────────────────────────────────────────────────────────
+
+/**
+ * Turn a mounted router layer's regexp back into its Express path,
+ * e.g. /^\/c(?:\/([^/]+?))\/?(?=\/|$)/i with keys [clientId] → '/c/:clientId'.
+ * Returns null for paths that were declared as regexps.
+ */
+function layerPath(layer) {
+  if (!layer.regexp || layer.regexp.fast_slash) return '';
+  let i = 0;
+  let src = layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(PARAM_SOURCE, () => `/:${(layer.keys[i++] || {}).name || 'param'}`);
+  src = src.replace(/\\(.)/g, '$1');
+  return /[()[\]*+?^$|]/.test(src) ? null : src;
+}
+
+function joinPath(...parts) {
+  const joined = parts.filter(Boolean).join('/').replace(/\/{2,}/g, '/');
+  const trimmed = joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+  return trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
+}
+
+// ':name', optionally with an inline pattern ':id([0-9a-f]{24})' and/or '?'
+const EXPRESS_PARAM = /:(\w+)(?:\(((?:[^()]|\([^()]*\))*)\))?(\?)?/g;
+
+/** '/api/x/:id/y' → '/api/x/{id}/y' */
+function toOpenApiPath(expressPath) {
+  return expressPath.replace(EXPRESS_PARAM, '{$1}');
+}
+
+function pathParams(expressPath) {
+  return [...expressPath.matchAll(EXPRESS_PARAM)].map((m) => ({
+    name: m[1],
+    pattern: m[2] ? `^${m[2]}$` : null,
+    optional: !!m[3],
+  }));
+}
+
+/** Does middleware mounted at `prefix` run for requests to `full`? */
+function coversPath(prefix, full) {
+  if (!prefix || prefix === '/') return true;
+  const a = prefix.split('/').filter(Boolean);
+  const b = full.split('/').filter(Boolean);
+  if (a.length > b.length) return false;
+  return a.every((seg, i) => seg.startsWith(':') || b[i].startsWith(':') || seg.toLowerCase() === b[i].toLowerCase());
+}
+
+// ─── Doc comments ─────────────────────────────────────────────────────────────
+
+const DECORATION = /^[\s=─━\-–—*#~_|┌┐└┘├┤┬┴┼│]+$/;
+
+/**
+ * Raw text of the comment directly above `index` in `source` — a block
+ * comment ending on the preceding line(s), or a run of `//` lines.
+ */
+function commentAbove(source, index) {
+  const lineStart = source.lastIndexOf('\n', index - 1) + 1;
+  const before = source.slice(0, lineStart).replace(/\s+$/, '');
+
+  if (before.endsWith('*/')) {
+    const open = before.lastIndexOf('/*');
+    if (open === -1) return null;
+    return before.slice(open).replace(/^\/\*+/, '').replace(/\*\/$/, '')
+      .split('\n').map((l) => l.replace(/^\s*\*\s?/, ''));
+  }
+
+  const lines = before.split('\n');
+  const out = [];
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const m = lines[i].match(/^\s*\/\/\s?(.*)$/);
+    if (!m) break;
+    out.unshift(m[1]);
+  }
+  return out.length ? out : null;
+}
+
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of text) {
+    if ('{[('.includes(ch)) depth++;
+    if ('}])'.includes(ch)) depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts.map((p) => p.trim()).filter(Boolean);
+}
+
+/** Top-level field names of an informal "{ a, b?, c: [...] }" body sketch. */
+function parseBodyFields(text) {
+  const open = text.indexOf('{');
+  if (open === -1) return [];
+  let depth = 0;
+  let end = -1;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    if (text[i] === '}' && --depth === 0) { end = i; break; }
+  }
+  const inner = text.slice(open + 1, end === -1 ? undefined : end);
+  return splitTopLevel(inner)
+    .map((part) => part.split(':')[0].trim())
+    .map((name) => ({ name: name.replace(/\?$/, ''), optional: name.endsWith('?') }))
+    .filter(({ name }) => /^\w+$/.test(name));
+}
+
+function parseQueryTag(text, query) {
+  const m = text.match(/^([\w\s,]+?)(?:=([^(—]+?))?\s*(\(.*\)|—.*|\s-\s.*)?$/);
+  if (!m) return;
+  const names = m[1].split(',').map((n) => n.trim()).filter((n) => /^\w+$/.test(n));
+  const values = m[2] && !m[2].includes('<') && m[2].includes('|') ? m[2].split('|').map((v) => v.trim()) : null;
+  const description = (m[3] || '').replace(/^[—-]\s*/, '').replace(/^\((.*)\)$/, '$1').trim();
+  for (const name of names) {
+    query.push({ name, enum: values, required: /\brequired\b/i.test(description), description });
+  }
+}
+
+/**
+ * Parse a route doc comment into { summary, description, query, body }.
+ * Understands the styles used in this repo:
+ *   - @route / @desc / @access / @query / @body tags
+ *   - "GET /api/x?a=1&b=2" request lines
+ *   - "Body: { a, b? }"
+ *   - "Query params:" / "Query Parameters:" followed by "- name: text" lines
+ *     (or an inline "Query params: a, b")
+ */
+function parseDocComment(lines) {
+  const doc = { summary: null, description: [], query: [], body: [], access: null };
+  if (!lines) return { ...doc, description: '' };
+
+  let inQueryList = false;
+  let inExample = false;
+  let tag = null;
+
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line) { inQueryList = false; continue; }
+    if (DECORATION.test(line)) continue;
+
+    const tagMatch = line.match(/^@(\w+)\s*(.*)$/);
+    if (tagMatch) {
+      tag = tagMatch[1];
+      const rest = tagMatch[2].trim();
+      if (tag === 'desc' || tag === 'description') doc.summary = doc.summary || rest;
+      else if (tag === 'access') doc.access = rest;
+      else if (tag === 'query') parseQueryTag(rest, doc.query);
+      else if (tag === 'body') doc.body.push(...parseBodyFields(rest));
+      continue;
+    }
+    // continuation of a multi-line @desc
+    if (tag === 'desc' && doc.description.length === 0 && doc.summary && !/^\S/.test(raw)) {
+      doc.summary = `${doc.summary} ${line}`;
+      continue;
+    }
+    tag = null;
+
+    const request = line.match(/^(GET|POST|PUT|PATCH|DELETE)\s+(\/\S*)/);
+    if (request) {
+      const qs = request[2].split('?')[1];
+      if (qs) {
+        for (const pair of qs.split('&')) {
+          const name = pair.split('=')[0];
+          if (/^\w+$/.test(name)) doc.query.push({ name, description: '' });
+        }
+      }
+      continue;
+    }
+
+    const body = line.match(/^Body:\s*(.*)$/i);
+    if (body) {
+      doc.body.push(...parseBodyFields(body[1]));
+      continue;
+    }
+
+    const queryHeading = line.match(/^Query(?: params| parameters)?(?: \([^)]*\))?:\s*(.*)$/i);
+    if (queryHeading) {
+      if (queryHeading[1]) parseQueryTag(queryHeading[1], doc.query);
+      inQueryList = !queryHeading[1];
+      continue;
+    }
+    if (inQueryList) {
+      const item = line.match(/^-\s*(\w+)(?:\s*\(([^)]*)\))?\s*:?\s*(.*)$/);
+      if (item) {
+        doc.query.push({ name: item[1], required: /required/i.test(item[2] || ''), description: item[3] });
+        continue;
+      }
+      inQueryList = false;
+    }
+
+    if (/^example/i.test(line)) { inExample = true; continue; }
+    if (inExample) continue;
+
+    const text = line.replace(/^[^\w"'`(]+/u, '').trim();
+    if (!text) continue;
+    if (!doc.summary) doc.summary = text.replace(/\.$/, '');
+    else doc.description.push(text);
+  }
+
+  doc.description = doc.description.join('\n');
+  return doc;
+}
+
+const sourceCache = new Map();
+
+function readSource(file) {
+  if (!sourceCache.has(file)) {
+    let text = null;
+    try { text = fs.readFileSync(file, 'utf8'); } catch { /* not on disk */ }
+    sourceCache.set(file, text);
+  }
+  return sourceCache.get(file);
+}
+
+/** Doc comment above `router.<method>('<routePath>'` in `file`. */
+function findRouteDoc(file, method, routePath) {
+  const source = file && readSource(file);
+  if (!source) return parseDocComment(null);
+  const escaped = routePath.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  const re = new RegExp(`\\.\\s*${method}\\s*\\(\\s*(['"\`])${escaped}\\1`, 'g');
+  const match = re.exec(source);
+  if (!match) return parseDocComment(null);
+  // the declaration may start on an earlier line ("router\n  .post(")
+  const stmt = source.lastIndexOf('\n', match.index - 1) + 1;
+  return parseDocComment(commentAbove(source, stmt));
+}
+
+// ─── Router → source file ─────────────────────────────────────────────────────
+
+function routerFiles() {
+  const map = new Map();
+  for (const mod of Object.values(require.cache)) {
+    if (!mod || !mod.filename || mod.filename.includes(`${path.sep}node_modules${path.sep}`)) continue;
+    const exp = mod.exports;
+    if (typeof exp === 'function' && Array.isArray(exp.stack)) {
+      map.set(exp, mod.filename);
+    } else if (exp && typeof exp === 'object') {
+      for (const value of Object.values(exp)) {
+        if (typeof value === 'function' && Array.isArray(value.stack) && !map.has(value)) {
+          map.set(value, mod.filename);
+        }
+      }
+    }
+  }
+  return map;
+}
+
+// ─── Collection ───────────────────────────────────────────────────────────────
+
+/**
+ * @param {Array<[string, Function]>} mounts — [mountPath, router] in app order
+ * @returns {Array<{
+ *   method: string, path: string, expressPath: string, mountPath: string,
+ *   params: {name: string, optional: boolean}[], middleware: object[],
+ *   handlerName: string|null, file: string|null, doc: object
+ * }>}
+ */
+function collectRoutes(mounts) {
+  const files = routerFiles();
+  const inherited = []; // { prefix, meta } in registration order
+  const routes = [];
+
+  const walk = (router, prefix, mountPath, file) => {
+    for (const layer of router.stack || []) {
+      if (layer.route) {
+        const declared = Array.isArray(layer.route.path) ? layer.route.path : [layer.route.path];
+        for (const routePath of declared) {
+          if (typeof routePath !== 'string') continue;
+          const expressPath = joinPath(prefix, routePath);
+          const applied = inherited.filter((i) => coversPath(i.prefix, expressPath)).map((i) => i.meta);
+
+          for (const method of METHODS) {
+            if (!layer.route.methods[method]) continue;
+            const stack = layer.route.stack.filter((l) => !l.method || l.method === method);
+            const handler = stack[stack.length - 1];
+            const own = stack.slice(0, -1).map((l) => l.handle.openapi).filter(Boolean);
+            routes.push({
+              method,
+              path: toOpenApiPath(expressPath),
+              expressPath,
+              mountPath,
+              params: pathParams(expressPath),
+              middleware: [...applied, ...own],
+              handlerName: handler && handler.handle.name && !/^(bound )?(anonymous)?$/.test(handler.handle.name)
+                ? handler.handle.name.replace(/^bound /, '')
+                : null,
+              file,
+              doc: findRouteDoc(file, method, routePath),
+            });
+          }
+        }
+      } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+        const sub = layerPath(layer);
+        if (sub === null) continue;
+        walk(layer.handle, joinPath(prefix, sub), mountPath, files.get(layer.handle) || file);
+      } else if (layer.handle && layer.handle.openapi) {
+        const sub = layerPath(layer);
+        if (sub === null) continue;
+        inherited.push({ prefix: joinPath(prefix, sub), meta: layer.handle.openapi });
+      }
+    }
+  };
+
+  for (const [mountPath, router] of mounts) {
+    if (typeof router === 'function' && Array.isArray(router.stack)) {
+      walk(router, mountPath, mountPath, files.get(router) || null);
+    } else if (router && router.openapi) {
+      inherited.push({ prefix: mountPath, meta: router.openapi });
+    }
+  }
+  return routes;
+}
+
+module.exports = {
+  collectRoutes,
+  layerPath,
+  joinPath,
+  toOpenApiPath,
+  coversPath,
+  commentAbove,
+  parseDocComment,
+};
@@ -0,0 +1,191 @@
+'use strict';
+// services/openapi/schemaFromModel.js
+//
+// Converts Mongoose schemas into OpenAPI 3.0 schema objects so the published
+// spec and the request validator describe the same shapes the models store.
+//
+// Carried over: type, required (static `required: true` only), enum,
+// minlength/maxlength, match, min/max, default, description, arrays,
+// sub-documents, nested paths and Maps. Paths that are select:false or look
+// like credentials are never published.
+
+const mongoose = require('mongoose');
+
+const OBJECT_ID_PATTERN = '^[0-9a-fA-F]{24}$';
+const MAX_DEPTH = 6;
+const SENSITIVE_PATH = /^(password|otp\w*|\w*[sS]ecret\w*|\w*Hash|reset\w*Token|salt)$/;
+const INTERNAL_PATHS = new Set(['__v']);
+
+/** Mongoose validators accept either `5` or `[5, 'message']`. */
+const optionValue = (v) => (Array.isArray(v) ? v[0] : v);
+
+function isHidden(name, schemaType) {
+  if (INTERNAL_PATHS.has(name)) return true;
+  if (schemaType && schemaType.options && schemaType.options.select === false) return true;
+  return SENSITIVE_PATH.test(name);
+}
+
+function isStaticallyRequired(schemaType) {
+  return !!schemaType.isRequired && typeof schemaType.originalRequiredValue !== 'function';
+}
+
+function primitiveSchema(schemaType) {
+  const opts = schemaType.options || {};
+  let out;
+
+  switch (schemaType.instance) {
+    case 'String': {
+      out = { type: 'string' };
+      const values = (schemaType.enumValues || []).filter((v) => v !== null && v !== undefined);
+      if (values.length) out.enum = values;
+      const minLength = optionValue(opts.minlength ?? opts.minLength);
+      const maxLength = optionValue(opts.maxlength ?? opts.maxLength);
+      if (typeof minLength === 'number') out.minLength = minLength;
+      if (typeof maxLength === 'number') out.maxLength = maxLength;
+      const match = optionValue(opts.match);
+      if (match instanceof RegExp) out.pattern = match.source;
+      break;
+    }
+    case 'Number': {
+      out = { type: 'number' };
+      const min = optionValue(opts.min);
+      const max = optionValue(opts.max);
+      if (typeof min === 'number') out.minimum = min;
+      if (typeof max === 'number') out.maximum = max;
+      const values = Array.isArray(opts.enum) ? opts.enum.filter((v) => typeof v === 'number') : [];
+      if (values.length) out.enum = values;
+      break;
+    }
+    case 'Decimal128': out = { type: 'number' }; break;
+    case 'BigInt':     out = { type: 'integer' }; break;
+    case 'Boolean':    out = { type: 'boolean' }; break;
+    case 'Date':       out = { type: 'string', format: 'date-time' }; break;
+    case 'ObjectId':
+    case 'ObjectID':   out = { type: 'string', pattern: OBJECT_ID_PATTERN }; break;
+    case 'UUID':       out = { type: 'string', format: 'uuid' }; break;
+    case 'Buffer':     out = { type: 'string', format: 'byte' }; break;
+    default:           out = {}; // Mixed / unknown — any JSON value
+  }
+
+  if (opts.default !== undefined && typeof opts.default !== 'function' &&
+      (opts.default === null || typeof opts.default !== 'object')) {
+    out.default = opts.default;
+  }
+  if (typeof opts.description === 'string') out.description = opts.description;
+  return out;
+}
+
+function schemaTypeToOpenApi(schemaType, depth) {
+  if (depth > MAX_DEPTH) return { type: 'object' };
+
+  switch (schemaType.instance) {
+    case 'Array': {
+      let items = {};
+      if (schemaType.schema) {
+        items = schemaToOpenApi(schemaType.schema, { depth: depth + 1 });
+      } else {
+        const caster = schemaType.$embeddedSchemaType || schemaType.caster;
+        if (caster) items = schemaTypeToOpenApi(caster, depth + 1);
+      }
+      return { type: 'array', items };
+    }
+    case 'Embedded':
+      return schemaToOpenApi(schemaType.schema, { depth: depth + 1 });
+    case 'Map': {
+      const valueType = schemaType.$__schemaType;
+      return {
+        type: 'object',
+        additionalProperties: valueType ? schemaTypeToOpenApi(valueType, depth + 1) : {},
+      };
+    }
+    default:
+      return primitiveSchema(schemaType);
+  }
+}
+
+/**
+ * Convert a Mongoose schema into an OpenAPI object schema.
+ *
+ * @param {mongoose.Schema} schema
+ * @param {Object}   [options]
+ * @param {string[]} [options.pick]     — only these top-level paths
+ * @param {string[]} [options.omit]     — drop these top-level paths
+ * @param {boolean}  [options.required] — false to drop `required` (partial updates)
+ * @returns {object}
+ */
+function schemaToOpenApi(schema, { pick, omit = [], required = true, depth = 0 } = {}) {
+  const root = { type: 'object', properties: {} };
+  const requiredByObject = new Map([[root, []]]);
+
+  for (const [path, schemaType] of Object.entries(schema.paths)) {
+    if (path.includes('$*')) continue; // Map value casters
+    const segments = path.split('.');
+    const top = segments[0];
+    if (pick && !pick.includes(top)) continue;
+    if (omit.includes(top)) continue;
+    if (segments.some((s) => isHidden(s)) || isHidden(segments[segments.length - 1], schemaType)) continue;
+
+    // walk / create the nested objects for dotted paths
+    let target = root;
+    for (const seg of segments.slice(0, -1)) {
+      if (!target.properties[seg]) {
+        target.properties[seg] = { type: 'object', properties: {} };
+        requiredByObject.set(target.properties[seg], []);
+      }
+      target = target.properties[seg];
+    }
+
+    const leaf = segments[segments.length - 1];
+    target.properties[leaf] = schemaTypeToOpenApi(schemaType, depth);
+    if (required && isStaticallyRequired(schemaType)) requiredByObject.get(target).push(leaf);
+  }
+
+  for (const [obj, names] of requiredByObject) {
+    if (names.length) obj.required = names;
+  }
+  return root;
+}
+
+/**
+ * Schema for a registered model by name; `pick` / `omit` / `required` as above.
+ */
+function modelSchema(modelName, options = {}) {
+  const model = mongoose.models[modelName];
+  if (!model) throw new Error(`[OpenAPI] Model "${modelName}" is not registered`);
+  return schemaToOpenApi(model.schema, options);
+}
+
+/**
+ * Schema for a single (possibly dotted) path of a registered model, e.g.
+ * modelField('Ticket', 'resolution.satisfactionRating').
+ */
+function modelField(modelName, path) {
+  const model = mongoose.models[modelName];
+  const schemaType = model && model.schema.path(path);
+  if (!schemaType) throw new Error(`[OpenAPI] Unknown path ${modelName}.${path}`);
+  return schemaTypeToOpenApi(schemaType, 0);
+}
+
+/**
+ * Component schemas for every registered model, keyed by model name.
+ */
+function allModelSchemas() {
+  const out = {};
+  for (const name of Object.keys(mongoose.models).sort()) {
+    try {
+      out[name] = schemaToOpenApi(mongoose.models[name].schema);
+    } catch (err) {
+      console.warn(`[OpenAPI] Could not describe model ${name}:`, err.message);
+      out[name] = { type: 'object' };
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  OBJECT_ID_PATTERN,
+  schemaToOpenApi,
+  modelSchema,
+  modelField,
+  allModelSchemas,
+};
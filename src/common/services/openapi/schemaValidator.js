@@ -0,0 +1,153 @@
+'use strict';
+// services/openapi/schemaValidator.js
+//
+// Minimal validator for the OpenAPI 3.0 schema subset this repo emits
+// (see schemaFromModel.js / operations.js): type, nullable, enum, required,
+// properties, additionalProperties, items, min/max(Length|Items|imum),
+// minProperties, pattern, format (date-time, date, email, uri) and local
+// "#/components/schemas/X" refs. No external dependency.
+
+const FORMAT_CHECKS = {
+  'date-time': (v) => !Number.isNaN(Date.parse(v)),
+  date:        (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)),
+  email:       (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+  uri:         (v) => { try { new URL(v); return true; } catch { return false; } },
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function resolveRef(schema, components) {
+  let current = schema;
+  const seen = new Set();
+  while (current && current.$ref) {
+    if (seen.has(current.$ref)) throw new Error(`Circular $ref ${current.$ref}`);
+    seen.add(current.$ref);
+    const name = current.$ref.replace('#/components/schemas/', '');
+    current = components && components[name];
+    if (!current) throw new Error(`Unknown $ref ${schema.$ref}`);
+  }
+  return current;
+}
+
+const join = (path, key) => (path ? `${path}.${key}` : String(key));
+
+/**
+ * Validate `value` against `schema`.
+ *
+ * @param {*}      value
+ * @param {object} schema
+ * @param {Object} [options]
+ * @param {string} [options.path]       — prefix for error paths
+ * @param {object} [options.components] — components.schemas for $ref lookups
+ * @returns {{ path: string, message: string }[]} empty when valid
+ */
+function validateSchema(value, schema, { path = '', components } = {}) {
+  const errors = [];
+  const visit = (val, sch, at) => {
+    sch = resolveRef(sch, components);
+    if (!sch || Object.keys(sch).length === 0) return;
+
+    if (val === null) {
+      if (!sch.nullable && sch.type) errors.push({ path: at, message: 'must not be null' });
+      return;
+    }
+
+    if (sch.type && !matchesType(val, sch.type)) {
+      errors.push({ path: at, message: `must be ${sch.type === 'integer' ? 'an integer' : `a ${sch.type}`}` });
+      return;
+    }
+
+    if (sch.enum && !sch.enum.includes(val)) {
+      errors.push({ path: at, message: `must be one of: ${sch.enum.join(', ')}` });
+    }
+
+    if (typeof val === 'string') {
+      if (sch.minLength !== undefined && val.length < sch.minLength) {
+        errors.push({ path: at, message: `must be at least ${sch.minLength} characters` });
+      }
+      if (sch.maxLength !== undefined && val.length > sch.maxLength) {
+        errors.push({ path: at, message: `must be at most ${sch.maxLength} characters` });
+      }
+      if (sch.pattern && !new RegExp(sch.pattern).test(val)) {
+        errors.push({ path: at, message: `must match ${sch.pattern}` });
+      }
+      const check = sch.format && FORMAT_CHECKS[sch.format];
+      if (check && !check(val)) errors.push({ path: at, message: `must be a valid ${sch.format}` });
+    }
+
+    if (typeof val === 'number') {
+      if (sch.minimum !== undefined && val < sch.minimum) errors.push({ path: at, message: `must be >= ${sch.minimum}` });
+      if (sch.maximum !== undefined && val > sch.maximum) errors.push({ path: at, message: `must be <= ${sch.maximum}` });
+    }
+
+    if (Array.isArray(val)) {
+      if (sch.minItems !== undefined && val.length < sch.minItems) {
+        errors.push({ path: at, message: `must contain at least ${sch.minItems} item(s)` });
+      }
+      if (sch.maxItems !== undefined && val.length > sch.maxItems) {
+        errors.push({ path: at, message: `must contain at most ${sch.maxItems} item(s)` });
+      }
+      if (sch.items) val.forEach((item, i) => visit(item, sch.items, join(at, i)));
+    } else if (typeof val === 'object') {
+      const props = sch.properties || {};
+      for (const name of sch.required || []) {
+        if (val[name] === undefined) errors.push({ path: join(at, name), message: 'is required' });
+      }
+      if (sch.minProperties !== undefined && Object.keys(val).length < sch.minProperties) {
+        errors.push({ path: at, message: `must contain at least ${sch.minProperties} field(s)` });
+      }
+      for (const [key, child] of Object.entries(val)) {
+        if (child === undefined) continue;
+        if (props[key]) {
+          visit(child, props[key], join(at, key));
+        } else if (sch.additionalProperties === false) {
+          errors.push({ path: join(at, key), message: 'is not allowed' });
+        } else if (sch.additionalProperties && typeof sch.additionalProperties === 'object') {
+          visit(child, sch.additionalProperties, join(at, key));
+        }
+      }
+    }
+  };
+
+  visit(value, schema, path);
+  return errors;
+}
+
+/**
+ * Query and path values always arrive as strings; convert them to the
+ * parameter's declared scalar type so they validate (and reach the handler)
+ * as numbers / booleans. Unconvertible values are returned unchanged and
+ * fail validation with a type error.
+ */
+function coerceParam(value, schema = {}) {
+  if (typeof value !== 'string') return value;
+  switch (schema.type) {
+    case 'integer':
+    case 'number': {
+      if (value.trim() === '') return value;
+      const n = Number(value);
+      return Number.isNaN(n) ? value : n;
+    }
+    case 'boolean':
+      if (value === 'true') return true;
+      if (value === 'false') return false;
+      return value;
+    case 'array':
+      return value.split(',').map((v) => coerceParam(v, schema.items));
+    default:
+      return value;
+  }
+}
+
+module.exports = { validateSchema, coerceParam };
@@ -0,0 +1,213 @@
+'use strict';
+// services/sso/oidcClient.js
+//
+// Minimal OpenID Connect relying party: authorization code flow with PKCE
+// (S256), nonce, and ID token verification against the provider's JWKS.
+// Uses the global fetch (Node 20); provider metadata and keys are cached.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 10 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const discoveryCache = new Map(); // issuer  → { doc, fetchedAt }
+const jwksCache = new Map();      // jwksUri → { keys, fetchedAt }
+
+/** Thrown for any provider / token problem; `code` is safe to show the user. */
+class OidcError extends Error {
+  constructor(message, code = 'OIDC_ERROR') {
+    super(message);
+    this.name = 'OidcError';
+    this.code = code;
+  }
+}
+
+const trimSlash = (url) => String(url || '').replace(/\/+$/, '');
+
+async function fetchJson(url, init = {}) {
+  let response;
+  try {
+    response = await fetch(url, { ...init, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  } catch (err) {
+    throw new OidcError(`Could not reach identity provider at ${url}: ${err.message}`, 'IDP_UNREACHABLE');
+  }
+  const text = await response.text();
+  let body;
+  try {
+    body = text ? JSON.parse(text) : {};
+  } catch {
+    throw new OidcError(`Identity provider returned non-JSON from ${url} (HTTP ${response.status})`, 'IDP_BAD_RESPONSE');
+  }
+  if (!response.ok) {
+    const detail = body.error_description || body.error || `HTTP ${response.status}`;
+    throw new OidcError(`Identity provider rejected the request: ${detail}`, 'IDP_REJECTED');
+  }
+  return body;
+}
+
+/**
+ * Provider metadata from <issuer>/.well-known/openid-configuration.
+ * The document's `issuer` must equal the configured issuer (OIDC Discovery §4.3).
+ */
+async function discover(issuer) {
+  const key = trimSlash(issuer);
+  const cached = discoveryCache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < DISCOVERY_TTL_MS) return cached.doc;
+
+  const doc = await fetchJson(`${key}/.well-known/openid-configuration`);
+  if (trimSlash(doc.issuer) !== key) {
+    throw new OidcError(`Discovery issuer "${doc.issuer}" does not match configured issuer "${issuer}"`, 'IDP_MISCONFIGURED');
+  }
+  for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+    if (!doc[field]) throw new OidcError(`Discovery document has no ${field}`, 'IDP_MISCONFIGURED');
+  }
+  discoveryCache.set(key, { doc, fetchedAt: Date.now() });
+  return doc;
+}
+
+/** PKCE verifier + S256 challenge (RFC 7636). */
+function pkcePair() {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+}
+
+/**
+ * @param {Object} params
+ * @param {Object} params.config       — client.ssoConfig.oidc
+ * @param {string} params.redirectUri
+ * @param {string} params.state
+ * @param {string} params.nonce
+ * @param {string} params.codeChallenge
+ * @param {string} [params.loginHint]
+ */
+async function buildAuthorizationUrl({ config, redirectUri, state, nonce, codeChallenge, loginHint }) {
+  const doc = await discover(config.issuer);
+  const url = new URL(doc.authorization_endpoint);
+  const scopes = new Set(['openid', ...(config.scopes || [])]);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', config.clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', [...scopes].join(' '));
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  if (loginHint) url.searchParams.set('login_hint', loginHint);
+  return url.toString();
+}
+
+/** Token endpoint call; client_secret_basic unless the provider only offers _post. */
+async function exchangeCode({ config, redirectUri, code, codeVerifier }) {
+  const doc = await discover(config.issuer);
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  const methods = doc.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (!config.clientSecret) {
+    form.set('client_id', config.clientId);
+  } else if (methods.includes('client_secret_basic')) {
+    const id = encodeURIComponent(config.clientId);
+    const secret = encodeURIComponent(config.clientSecret);
+    headers.Authorization = `Basic ${Buffer.from(`${id}:${secret}`).toString('base64')}`;
+  } else {
+    form.set('client_id', config.clientId);
+    form.set('client_secret', config.clientSecret);
+  }
+
+  const tokens = await fetchJson(doc.token_endpoint, { method: 'POST', headers, body: form });
+  if (!tokens.id_token) throw new OidcError('Token response has no id_token', 'IDP_BAD_RESPONSE');
+  return tokens;
+}
+
+async function signingKey(jwksUri, kid) {
+  const lookup = (keys) => keys.find((k) => (!kid || k.kid === kid) && (!k.use || k.use === 'sig'));
+
+  let cached = jwksCache.get(jwksUri);
+  let jwk = cached && Date.now() - cached.fetchedAt < DISCOVERY_TTL_MS ? lookup(cached.keys) : null;
+  if (!jwk) {
+    // Unknown kid usually means the provider rotated keys — refetch once
+    const { keys = [] } = await fetchJson(jwksUri);
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+    jwk = lookup(keys);
+  }
+  if (!jwk) throw new OidcError('No matching signing key for ID token', 'ID_TOKEN_INVALID');
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Verify signature, iss, aud, exp and nonce of an ID token.
+ * @returns {Promise<Object>} the token's claims
+ */
+async function verifyIdToken(idToken, { config, nonce }) {
+  const doc = await discover(config.issuer);
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header) throw new OidcError('ID token is not a JWT', 'ID_TOKEN_INVALID');
+  if (!ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new OidcError(`ID token algorithm ${decoded.header.alg} is not accepted`, 'ID_TOKEN_INVALID');
+  }
+
+  const key = await signingKey(doc.jwks_uri, decoded.header.kid);
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      audience: config.clientId,
+      issuer: doc.issuer,
+      clockTolerance: 60,
+    });
+  } catch (err) {
+    throw new OidcError(`ID token rejected: ${err.message}`, 'ID_TOKEN_INVALID');
+  }
+  if (claims.nonce !== nonce) throw new OidcError('ID token nonce mismatch', 'ID_TOKEN_INVALID');
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== config.clientId) {
+    throw new OidcError('ID token azp does not name this client', 'ID_TOKEN_INVALID');
+  }
+  return claims;
+}
+
+/**
+ * Claims from the UserInfo endpoint, used when the ID token leaves out
+ * email or the group claim. `sub` must match the ID token (OIDC Core §5.3.2).
+ */
+async function fetchUserInfo({ config, accessToken, subject }) {
+  const doc = await discover(config.issuer);
+  if (!doc.userinfo_endpoint || !accessToken) return {};
+  const info = await fetchJson(doc.userinfo_endpoint, {
+    headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' },
+  });
+  if (info.sub !== subject) throw new OidcError('UserInfo subject does not match ID token', 'ID_TOKEN_INVALID');
+  return info;
+}
+
+/**
+ * The whole callback leg: code → tokens → verified claims (+ UserInfo).
+ * @returns {Promise<Object>} merged claims; ID token values win
+ */
+async function completeLogin({ config, redirectUri, code, codeVerifier, nonce, groupClaim }) {
+  const tokens = await exchangeCode({ config, redirectUri, code, codeVerifier });
+  const claims = await verifyIdToken(tokens.id_token, { config, nonce });
+  if (claims.email && (!groupClaim || claims[groupClaim] !== undefined)) return claims;
+
+  const info = await fetchUserInfo({ config, accessToken: tokens.access_token, subject: claims.sub });
+  return { ...info, ...claims };
+}
+
+module.exports = {
+  OidcError,
+  discover,
+  pkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  fetchUserInfo,
+  completeLogin,
+};
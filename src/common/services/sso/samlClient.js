@@ -0,0 +1,106 @@
+'use strict';
+// services/sso/samlClient.js
+//
+// SAML 2.0 service provider on top of @node-saml/node-saml: SP-initiated
+// login over HTTP-Redirect, responses over HTTP-POST to the per-client ACS.
+//
+// node-saml checks InResponseTo through a cache provider. Instead of a shared
+// cache we carry the AuthnRequest id in the sealed state cookie
+// (services/sso/ssoState.js) and hand node-saml a one-entry cache built from
+// it, so the ACS can run on any instance and a response only matches the
+// request this browser started.
+
+const { SAML, generateServiceProviderMetadata } = require('@node-saml/node-saml');
+
+const REQUEST_TTL_MS = 10 * 60 * 1000;
+
+/** Per-client SP endpoints; the entity id is also the metadata URL. */
+function spEndpoints(baseUrl, clientId) {
+  const root = `${baseUrl.replace(/\/+$/, '')}/api/sso/${encodeURIComponent(clientId)}`;
+  return {
+    entityId: `${root}/saml/metadata`,
+    acsUrl: `${root}/saml/acs`,
+    metadataUrl: `${root}/saml/metadata`,
+  };
+}
+
+/** One-shot cache provider holding at most the request this login started. */
+function requestCache(initial) {
+  const items = new Map(initial ? [[initial.id, initial.instant]] : []);
+  const saved = [];
+  return {
+    saved,
+    async saveAsync(key, value) {
+      items.set(key, value);
+      saved.push({ id: key, instant: value });
+      return { value, createdAt: Date.now() };
+    },
+    async getAsync(key) {
+      return items.get(key) ?? null;
+    },
+    async removeAsync(key) {
+      const value = items.get(key) ?? null;
+      items.delete(key);
+      return value;
+    },
+  };
+}
+
+function createSaml(config, endpoints, cacheProvider) {
+  return new SAML({
+    entryPoint: config.entryPoint,
+    issuer: endpoints.entityId,
+    callbackUrl: endpoints.acsUrl,
+    idpCert: config.idpCert,
+    idpIssuer: config.idpIssuer || undefined,
+    audience: endpoints.entityId,
+    identifierFormat: null,
+    wantAssertionsSigned: config.wantAssertionsSigned !== false,
+    wantAuthnResponseSigned: false,
+    signatureAlgorithm: 'sha256',
+    validateInResponseTo: 'always',
+    requestIdExpirationPeriodMs: REQUEST_TTL_MS,
+    acceptedClockSkewMs: 60 * 1000,
+    cacheProvider,
+  });
+}
+
+/**
+ * @param {Object} config     — client.ssoConfig.saml
+ * @param {Object} endpoints  — spEndpoints()
+ * @param {string} relayState — handle echoed back by the IdP
+ * @returns {Promise<{ url: string, request: { id: string, instant: string } }>}
+ */
+async function buildLoginUrl(config, endpoints, relayState) {
+  const cache = requestCache();
+  const saml = createSaml(config, endpoints, cache);
+  const url = await saml.getAuthorizeUrlAsync(relayState, undefined, {});
+  return { url, request: cache.saved[0] };
+}
+
+/**
+ * Validate a POSTed SAMLResponse against the request from the state cookie.
+ * @returns {Promise<Object>} node-saml Profile (nameID, issuer, attributes…)
+ */
+async function validateResponse(config, endpoints, samlResponse, request) {
+  const saml = createSaml(config, endpoints, requestCache(request));
+  const { profile, loggedOut } = await saml.validatePostResponseAsync({ SAMLResponse: samlResponse });
+  if (loggedOut || !profile) throw new Error('SAML response carries no assertion');
+  return profile;
+}
+
+function metadataXml(endpoints, { wantAssertionsSigned = true } = {}) {
+  return generateServiceProviderMetadata({
+    issuer: endpoints.entityId,
+    callbackUrl: endpoints.acsUrl,
+    identifierFormat: null,
+    wantAssertionsSigned,
+  });
+}
+
+module.exports = {
+  spEndpoints,
+  buildLoginUrl,
+  validateResponse,
+  metadataXml,
+};
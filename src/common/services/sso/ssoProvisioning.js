@@ -0,0 +1,302 @@
+'use strict';
+// services/sso/ssoProvisioning.js
+//
+// Turns a verified IdP identity into a User of the client:
+//
+//   1. a user already linked to { issuer, subject }
+//   2. else the client's user with the same email — the identity gets linked
+//   3. else, with ssoConfig.jit.enabled, a new user whose userType and
+//      accessibleModules come from the IdP groups (ssoConfig.jit.roleMappings)
+//
+// New users take a user-type quota slot exactly like the create* endpoints
+// in userController.js (reserveUserTypeSlot / releaseUserTypeSlot).
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../../models/User');
+const {
+  VIEWER_DEFAULT_CHECKLIST,
+  AUDITOR_DEFAULT_CHECKLIST,
+  buildClosedEsgChecklist,
+} = require('../../utils/Permissions/accessControlPermission');
+const {
+  reserveUserTypeSlot,
+  releaseUserTypeSlot,
+  getAssignedConsultantId,
+} = require('../../../modules/client-management/quota/quotaService');
+
+const ESG_LINK_TYPES = ['contributor', 'reviewer', 'approver'];
+
+// Well-known attribute names for IdPs that do not send friendly names
+const SAML_EMAIL_ATTRIBUTES = [
+  'email',
+  'mail',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress',
+  'urn:oid:0.9.2342.19200300.100.1.3',
+];
+const SAML_NAME_ATTRIBUTES = [
+  'displayName',
+  'http://schemas.microsoft.com/identity/claims/displayname',
+  'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name',
+  'urn:oid:2.16.840.1.113730.3.1.241',
+];
+
+/** Login refusal; `code` is passed to the frontend, `status` is the HTTP status. */
+class SsoError extends Error {
+  constructor(message, code, status = 403) {
+    super(message);
+    this.name = 'SsoError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// ── Claims ────────────────────────────────────────────────────────────────────
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : [value]).map((v) => String(v).trim()).filter(Boolean);
+};
+
+const firstValue = (source, names) => {
+  for (const name of names) {
+    const [value] = toList(source?.[name]);
+    if (value) return value;
+  }
+  return null;
+};
+
+const looksLikeEmail = (value) => typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+/**
+ * Normalise OIDC claims or a node-saml Profile to
+ *   { issuer, subject, email, name, groups }
+ * email is null when the IdP says it is unverified (OIDC email_verified: false).
+ */
+function normalizeClaims(protocol, raw, groupClaim = 'groups') {
+  if (protocol === 'oidc') {
+    const email = raw.email_verified === false ? null : raw.email;
+    return {
+      issuer: raw.iss,
+      subject: raw.sub,
+      email: looksLikeEmail(email) ? email.toLowerCase() : null,
+      name: raw.name || raw.preferred_username || null,
+      groups: toList(raw[groupClaim]),
+    };
+  }
+
+  const attributes = raw.attributes || {};
+  let email = firstValue(raw, SAML_EMAIL_ATTRIBUTES) || firstValue(attributes, SAML_EMAIL_ATTRIBUTES);
+  if (!email && looksLikeEmail(raw.nameID)) email = raw.nameID;
+  return {
+    issuer: raw.issuer,
+    subject: raw.nameID,
+    email: looksLikeEmail(email) ? email.toLowerCase() : null,
+    name: firstValue(raw, SAML_NAME_ATTRIBUTES) || firstValue(attributes, SAML_NAME_ATTRIBUTES),
+    groups: toList(attributes[groupClaim] ?? raw[groupClaim]),
+  };
+}
+
+/** Empty allow-list = any domain. */
+function emailDomainAllowed(email, allowedDomains = []) {
+  if (!allowedDomains.length) return true;
+  const domain = String(email || '').split('@')[1]?.toLowerCase();
+  return !!domain && allowedDomains.some((d) => d.toLowerCase() === domain);
+}
+
+// ── Role mapping ──────────────────────────────────────────────────────────────
+
+const defaultModulesFor = (userType) => (ESG_LINK_TYPES.includes(userType) ? ['esg_link'] : ['zero_carbon']);
+
+/**
+ * First roleMappings entry whose group the user is in, else the default.
+ * Group names compare case-insensitively (IdPs differ on case).
+ * @returns {{ userType: string, accessibleModules: string[] } | null}
+ */
+function resolveRole(jit = {}, groups = []) {
+  const memberOf = new Set(groups.map((g) => g.toLowerCase()));
+  const mapping = (jit.roleMappings || []).find((m) => memberOf.has(String(m.group).toLowerCase()));
+
+  const userType = mapping?.userType || jit.defaultUserType;
+  if (!userType) return null;
+
+  const modules = mapping?.accessibleModules?.length
+    ? mapping.accessibleModules
+    : jit.defaultModules?.length ? jit.defaultModules : defaultModulesFor(userType);
+  return { userType, accessibleModules: [...new Set(modules)] };
+}
+
+/** permissions + checklists a new user of this type gets from the create* endpoints. */
+function accountDefaults(userType) {
+  const permissions = {
+    canViewAllClients: false,
+    canManageUsers: ['client_admin', 'client_employee_head'].includes(userType),
+    canManageClients: false,
+    canViewReports: ['client_admin', 'viewer', 'auditor', 'reviewer', 'approver'].includes(userType),
+    canEditBoundaries: false,
+    canSubmitData: ['employee', 'contributor'].includes(userType),
+    canAudit: userType === 'auditor',
+  };
+  const defaults = { permissions };
+  if (userType === 'viewer') defaults.accessControls = VIEWER_DEFAULT_CHECKLIST;
+  if (userType === 'auditor') defaults.accessControls = AUDITOR_DEFAULT_CHECKLIST;
+  if (ESG_LINK_TYPES.includes(userType)) defaults.esgAccessControls = buildClosedEsgChecklist();
+  return defaults;
+}
+
+// ── Users ─────────────────────────────────────────────────────────────────────
+
+async function uniqueUserName(email) {
+  const base = email.split('@')[0].replace(/[^a-zA-Z0-9._-]/g, '').slice(0, 40) || 'user';
+  if (!(await User.exists({ userName: base }))) return base;
+  for (let i = 0; i < 5; i++) {
+    const candidate = `${base}.${crypto.randomBytes(3).toString('hex')}`;
+    if (!(await User.exists({ userName: candidate }))) return candidate;
+  }
+  throw new SsoError('Could not allocate a user name', 'PROVISIONING_FAILED', 500);
+}
+
+async function reserveSlot(clientId, userType) {
+  const slot = await reserveUserTypeSlot(clientId, userType);
+  if (!slot.allowed) {
+    throw new SsoError(slot.message || `${userType} quota exceeded for this client.`, 'QUOTA_EXCEEDED', 429);
+  }
+  return slot;
+}
+
+const releaseSlot = (clientId, userType, slot) =>
+  slot.reserved && slot.consultantId
+    ? releaseUserTypeSlot(clientId, userType, slot.consultantId).catch(() => {})
+    : Promise.resolve();
+
+async function provisionUser(client, protocol, identity, role) {
+  const clientId = client.clientId;
+  const slot = await reserveSlot(clientId, role.userType);
+
+  const user = new User({
+    email: identity.email,
+    userName: await uniqueUserName(identity.email),
+    password: bcrypt.hashSync(crypto.randomBytes(32).toString('hex'), 10),
+    contactNumber: 'Not provided',
+    address: 'Not provided',
+    userType: role.userType,
+    accessibleModules: role.accessibleModules,
+    ...accountDefaults(role.userType),
+    companyName: client.leadInfo?.companyName || clientId,
+    clientId,
+    isActive: true,
+    isFirstLogin: false,
+    jitProvisioned: true,
+    ssoIdentities: [{ protocol, issuer: identity.issuer, subject: identity.subject, lastLoginAt: new Date() }],
+  });
+
+  try {
+    await user.save();
+  } catch (err) {
+    await releaseSlot(clientId, role.userType, slot);
+    throw err;
+  }
+  console.log(`[SSO] Provisioned ${role.userType} ${user.email} for ${clientId}`);
+  return user;
+}
+
+/** Move a JIT user to the role the IdP now implies, swapping quota slots. */
+async function syncRole(user, role) {
+  const modulesChanged = role.accessibleModules.join() !== (user.accessibleModules || []).join();
+  if (role.userType === user.userType) {
+    if (modulesChanged) user.accessibleModules = role.accessibleModules;
+    return;
+  }
+
+  const previousType = user.userType;
+  const slot = await reserveSlot(user.clientId, role.userType);
+  Object.assign(user, { userType: role.userType, accessibleModules: role.accessibleModules }, accountDefaults(role.userType));
+  try {
+    await user.save();
+  } catch (err) {
+    await releaseSlot(user.clientId, role.userType, slot);
+    throw err;
+  }
+
+  const consultantId = await getAssignedConsultantId(user.clientId);
+  if (consultantId) await releaseUserTypeSlot(user.clientId, previousType, consultantId).catch(() => {});
+  console.log(`[SSO] ${user.email} moved from ${previousType} to ${role.userType}`);
+}
+
+/**
+ * Find, link or provision the user for a verified identity.
+ *
+ * @param {Object} client   — Client document (decrypted)
+ * @param {'oidc'|'saml'} protocol
+ * @param {Object} identity — normalizeClaims() output
+ * @returns {Promise<{ user: Document, created: boolean }>}
+ * @throws {SsoError}
+ */
+async function resolveUser(client, protocol, identity) {
+  const { ssoConfig = {} } = client;
+  const jit = ssoConfig.jit || {};
+
+  if (!identity.issuer || !identity.subject) {
+    throw new SsoError('Identity provider did not return a subject', 'MISSING_SUBJECT', 400);
+  }
+
+  let user = await User.findOne({
+    ssoIdentities: { $elemMatch: { issuer: identity.issuer, subject: identity.subject } },
+  });
+
+  if (!user && identity.email) {
+    if (!emailDomainAllowed(identity.email, ssoConfig.allowedDomains)) {
+      throw new SsoError(`${identity.email} is not in a domain allowed for this organization`, 'DOMAIN_NOT_ALLOWED');
+    }
+    user = await User.findOne({ email: identity.email });
+    if (user) {
+      user.ssoIdentities.push({ protocol, issuer: identity.issuer, subject: identity.subject });
+      console.log(`[SSO] Linked ${protocol} identity to ${user.email}`);
+    }
+  }
+
+  if (user && user.clientId !== client.clientId) {
+    // Never let one client's IdP sign in another client's (or an internal) user
+    throw new SsoError('This account belongs to a different organization', 'IDENTITY_CONFLICT');
+  }
+
+  if (!user) {
+    if (!jit.enabled) {
+      throw new SsoError('No account exists for this identity. Ask your administrator to invite you.', 'USER_NOT_PROVISIONED');
+    }
+    if (!identity.email) {
+      throw new SsoError('Identity provider did not return a verified email address', 'MISSING_EMAIL', 400);
+    }
+    const role = resolveRole(jit, identity.groups);
+    if (!role) {
+      throw new SsoError('None of your identity provider groups grant access to this organization', 'NO_ROLE_MAPPING');
+    }
+    return { user: await provisionUser(client, protocol, identity, role), created: true };
+  }
+
+  if (!user.isActive) {
+    throw new SsoError('Your account is not active', 'USER_INACTIVE');
+  }
+
+  if (user.jitProvisioned && jit.updateOnLogin) {
+    const role = resolveRole(jit, identity.groups);
+    if (!role) {
+      throw new SsoError('None of your identity provider groups grant access to this organization', 'NO_ROLE_MAPPING');
+    }
+    await syncRole(user, role);
+  }
+
+  const linked = user.ssoIdentities.find((i) => i.issuer === identity.issuer && i.subject === identity.subject);
+  linked.lastLoginAt = new Date();
+  await user.save();
+  return { user, created: false };
+}
+
+module.exports = {
+  SsoError,
+  normalizeClaims,
+  emailDomainAllowed,
+  resolveRole,
+  accountDefaults,
+  resolveUser,
+};
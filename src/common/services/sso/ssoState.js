@@ -0,0 +1,140 @@
+'use strict';
+// services/sso/ssoState.js
+//
+// Short-lived sealed values for the SSO round trip. Nothing is stored
+// server-side, so any API instance can finish a login another one started.
+//
+//   state cookie  — set by GET /api/sso/:clientId/login, read by the OIDC
+//                   callback / SAML ACS. Carries the PKCE verifier, nonce,
+//                   SAML request id and returnTo. The `state` / RelayState
+//                   sent to the IdP is a random handle that must match the
+//                   one inside the cookie, which binds the response to the
+//                   browser that started the login.
+//   login ticket  — handed to the frontend after a successful IdP response
+//                   and redeemed once by POST /api/sso/exchange.
+//
+// Values are AES-256-GCM sealed with FIELD_ENCRYPTION_KEY (utils/encryptionUtil),
+// so they cannot be read or forged by the browser.
+
+const crypto = require('crypto');
+const { encrypt, decrypt, isEncrypted } = require('../../utils/encryptionUtil');
+
+const STATE_COOKIE = 'zc_sso_state';
+const STATE_TTL_MS = 10 * 60 * 1000;
+const TICKET_TTL_MS = 60 * 1000;
+
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Seal `data` for one purpose ('state' | 'ticket').
+ * @returns {string} opaque token
+ */
+function seal(purpose, data, ttlMs) {
+  return encrypt({ ...data, purpose, exp: Date.now() + ttlMs });
+}
+
+/**
+ * Open a sealed token. Returns null when it is malformed, tampered with,
+ * expired, or was sealed for a different purpose.
+ */
+function unseal(purpose, token) {
+  if (!isEncrypted(token)) return null;
+  const payload = decrypt(token);
+  if (!payload || typeof payload !== 'object') return null;
+  if (payload.purpose !== purpose || !(payload.exp > Date.now())) return null;
+  return payload;
+}
+
+// ── Cookies (no cookie-parser in this app) ────────────────────────────────────
+
+function readCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) return null;
+  for (const part of header.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    if (part.slice(0, eq).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(eq + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * The SAML ACS is a cross-site POST from the IdP, which browsers only send
+ * SameSite=None cookies with — and those must be Secure. Plain-http local
+ * development falls back to Lax (OIDC still works, SAML needs https).
+ */
+function cookieAttributes(maxAgeSec) {
+  const secure = process.env.NODE_ENV === 'production' ||
+    String(process.env.SSO_PUBLIC_BASE_URL || '').startsWith('https://');
+  return [
+    'Path=/api/sso',
+    'HttpOnly',
+    `Max-Age=${maxAgeSec}`,
+    secure ? 'SameSite=None' : 'SameSite=Lax',
+    ...(secure ? ['Secure'] : []),
+  ].join('; ');
+}
+
+function setStateCookie(res, value) {
+  res.append('Set-Cookie', `${STATE_COOKIE}=${encodeURIComponent(value)}; ${cookieAttributes(STATE_TTL_MS / 1000)}`);
+}
+
+function clearStateCookie(res) {
+  res.append('Set-Cookie', `${STATE_COOKIE}=; ${cookieAttributes(0)}`);
+}
+
+// ── State + tickets ───────────────────────────────────────────────────────────
+
+/**
+ * @param {Object} data — { clientId, protocol, handle, nonce?, codeVerifier?, requestId?, returnTo? }
+ */
+const sealState = (data) => seal('state', data, STATE_TTL_MS);
+
+/**
+ * Read the state cookie and check it belongs to this client and to the
+ * handle the IdP echoed back.
+ */
+function openState(req, clientId, handle) {
+  const state = unseal('state', readCookie(req, STATE_COOKIE));
+  if (!state || state.clientId !== clientId || !handle) return null;
+  const a = Buffer.from(String(state.handle));
+  const b = Buffer.from(String(handle));
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+  return state;
+}
+
+/**
+ * @param {Object} data — { userId, clientId, protocol }
+ * `jti` doubles as the UserSession id so a ticket can only open one session.
+ */
+const sealTicket = (data) => seal('ticket', { ...data, jti: crypto.randomBytes(32).toString('hex') }, TICKET_TTL_MS);
+
+const openTicket = (token) => unseal('ticket', token);
+
+/** Only same-site relative paths; anything else falls back to the app root. */
+function safeReturnTo(value) {
+  if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('//') || value.includes('\\')) {
+    return '/';
+  }
+  return value.slice(0, 512);
+}
+
+module.exports = {
+  STATE_COOKIE,
+  TICKET_TTL_MS,
+  randomToken,
+  readCookie,
+  setStateCookie,
+  clearStateCookie,
+  sealState,
+  openState,
+  sealTicket,
+  openTicket,
+  safeReturnTo,
+};
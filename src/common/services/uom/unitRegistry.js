@@ -0,0 +1,115 @@
+'use strict';
+// services/uom/unitRegistry.js
+//
+// Units of measure known to the platform, grouped by dimension. Every unit
+// carries `factor` = how many canonical units one of it is worth, so
+//   value[to] = value[from] × from.factor / to.factor
+// and only units of the same dimension convert into each other.
+//
+// Aliases are matched case-insensitively after normalisation (see
+// uomService.normalizeToken), so 'KWH', 'kwh' and 'kilowatt hours' all
+// resolve to kWh. Case-sensitive symbols (e.g. 'Mm' vs 'mm') are avoided on
+// purpose — bills and CSV headers are too inconsistent for them.
+//
+// Currency codes are recognised but never converted across codes; spend
+// conversion needs dated exchange rates (see zero-carbon/scope3 eeioService).
+
+const DIMENSIONS = {
+  energy:             { canonical: 'kWh',  label: 'Energy' },
+  volume:             { canonical: 'L',    label: 'Volume' },
+  mass:               { canonical: 'kg',   label: 'Mass' },
+  distance:           { canonical: 'km',   label: 'Distance' },
+  passenger_distance: { canonical: 'pkm',  label: 'Passenger distance' },
+  freight_distance:   { canonical: 'tkm',  label: 'Freight distance' },
+  area:               { canonical: 'm2',   label: 'Area' },
+  time:               { canonical: 'h',    label: 'Time' },
+  count:              { canonical: 'unit', label: 'Count' },
+  ratio:              { canonical: 'fraction', label: 'Ratio' },
+  currency:           { canonical: null,   label: 'Currency' },
+};
+
+const MILE_KM = 1.609344;
+const SHORT_TON_T = 0.90718474;
+
+// symbol → [dimension, factor to canonical, aliases]
+const UNITS = {
+  // Energy (canonical kWh)
+  Wh:     ['energy', 0.001, ['watt hour', 'watt hours']],
+  kWh:    ['energy', 1, ['kilowatt hour', 'kilowatt hours', 'kw h', 'kwhr']],
+  MWh:    ['energy', 1e3, ['megawatt hour', 'megawatt hours']],
+  GWh:    ['energy', 1e6, ['gigawatt hour', 'gigawatt hours']],
+  TWh:    ['energy', 1e9, ['terawatt hour', 'terawatt hours']],
+  J:      ['energy', 1 / 3.6e6, ['joule', 'joules']],
+  kJ:     ['energy', 1 / 3.6e3, ['kilojoule', 'kilojoules']],
+  MJ:     ['energy', 1 / 3.6, ['megajoule', 'megajoules']],
+  GJ:     ['energy', 1e3 / 3.6, ['gigajoule', 'gigajoules']],
+  TJ:     ['energy', 1e6 / 3.6, ['terajoule', 'terajoules']],
+  kcal:   ['energy', 4.1868e-3 / 3.6, ['kilocalorie', 'kilocalories']],
+  therm:  ['energy', 29.3071, ['therms', 'thm']],
+  Btu:    ['energy', 2.93071e-4, ['british thermal unit', 'british thermal units']],
+  MMBtu:  ['energy', 293.071, ['mmbtus', 'million btu']],
+
+  // Volume (canonical litre)
+  mL:     ['volume', 0.001, ['millilitre', 'milliliter', 'millilitres', 'milliliters', 'ml']],
+  L:      ['volume', 1, ['l', 'litre', 'liter', 'litres', 'liters', 'ltr', 'ltrs', 'lt']],
+  kL:     ['volume', 1e3, ['kilolitre', 'kiloliter', 'kilolitres', 'kiloliters', 'kl']],
+  m3:     ['volume', 1e3, ['cubic metre', 'cubic meter', 'cubic metres', 'cubic meters', 'cbm', 'scm']],
+  ft3:    ['volume', 28.316846592, ['cubic foot', 'cubic feet', 'cf', 'scf', 'cu ft']],
+  gal:    ['volume', 3.785411784, ['gallon', 'gallons', 'us gal', 'us gallon', 'us gallons']],
+  imp_gal: ['volume', 4.54609, ['imperial gallon', 'imperial gallons', 'uk gallon', 'uk gallons', 'imp gal']],
+  bbl:    ['volume', 158.987294928, ['barrel', 'barrels']],
+
+  // Mass (canonical kg)
+  mg:     ['mass', 1e-6, ['milligram', 'milligrams']],
+  g:      ['mass', 0.001, ['gram', 'grams', 'gm', 'gms']],
+  kg:     ['mass', 1, ['kilogram', 'kilograms', 'kgs', 'kilo', 'kilos']],
+  t:      ['mass', 1e3, ['tonne', 'tonnes', 'metric ton', 'metric tons', 'metric tonne', 'metric tonnes', 'mt']],
+  kt:     ['mass', 1e6, ['kilotonne', 'kilotonnes']],
+  lb:     ['mass', 0.45359237, ['lbs', 'pound', 'pounds']],
+  short_ton: ['mass', SHORT_TON_T * 1e3, ['short ton', 'short tons', 'us ton', 'us tons']],
+  long_ton:  ['mass', 1016.0469088, ['long ton', 'long tons', 'uk ton', 'uk tons']],
+
+  // Distance (canonical km)
+  m:      ['distance', 0.001, ['metre', 'meter', 'metres', 'meters']],
+  km:     ['distance', 1, ['kilometre', 'kilometer', 'kilometres', 'kilometers', 'kms']],
+  mi:     ['distance', MILE_KM, ['mile', 'miles']],
+  nmi:    ['distance', 1.852, ['nautical mile', 'nautical miles']],
+  ft:     ['distance', 3.048e-4, ['foot', 'feet']],
+
+  // Passenger distance (canonical passenger-km)
+  pkm:    ['passenger_distance', 1, ['passenger km', 'passenger kms', 'passenger kilometre', 'passenger kilometer', 'passenger kilometres', 'passenger kilometers', 'p km']],
+  pmi:    ['passenger_distance', MILE_KM, ['passenger mile', 'passenger miles', 'p mi']],
+
+  // Freight distance (canonical tonne-km)
+  tkm:    ['freight_distance', 1, ['tonne km', 'tonne kms', 'tonne kilometre', 'tonne kilometer', 'tonne kilometres', 'tonne kilometers', 't km']],
+  ton_mile: ['freight_distance', SHORT_TON_T * MILE_KM, ['ton mile', 'ton miles', 'short ton mile', 'short ton miles']],
+
+  // Area (canonical m²)
+  m2:     ['area', 1, ['square metre', 'square meter', 'square metres', 'square meters', 'sqm', 'sq m']],
+  ft2:    ['area', 0.09290304, ['square foot', 'square feet', 'sqft', 'sq ft']],
+  ha:     ['area', 1e4, ['hectare', 'hectares']],
+  km2:    ['area', 1e6, ['square kilometre', 'square kilometer', 'square kilometres', 'square kilometers', 'sq km']],
+
+  // Time (canonical hour)
+  min:    ['time', 1 / 60, ['minute', 'minutes', 'mins']],
+  h:      ['time', 1, ['hr', 'hrs', 'hour', 'hours']],
+  day:    ['time', 24, ['days', 'd']],
+
+  // Count (canonical unit) — plain quantities with no physical dimension
+  unit:   ['count', 1, ['pcs', 'pc', 'piece', 'pieces', 'item', 'items', 'nos', 'no', 'each', 'ea', 'count', 'number']],
+  dozen:  ['count', 12, ['dozens', 'doz']],
+
+  // Ratio (canonical fraction)
+  fraction: ['ratio', 1, ['ratio']],
+  '%':    ['ratio', 0.01, ['percent', 'percentage', 'pct']],
+};
+
+// Recognised currency codes and symbols. Only ever "converted" to themselves.
+const CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'INR', 'JPY', 'CNY', 'AUD', 'CAD', 'SGD', 'AED', 'SAR', 'CHF',
+  'HKD', 'NZD', 'ZAR', 'BRL', 'MXN', 'KRW', 'IDR', 'MYR', 'THB', 'PHP', 'VND', 'BDT',
+  'LKR', 'NPR', 'PKR', 'QAR', 'KWD', 'OMR', 'BHD', 'SEK', 'NOK', 'DKK', 'PLN', 'TRY',
+];
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR', '¥': 'JPY', rs: 'INR', 'rs.': 'INR' };
+
+module.exports = { DIMENSIONS, UNITS, CURRENCIES, CURRENCY_SYMBOLS };
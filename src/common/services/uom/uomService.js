@@ -0,0 +1,166 @@
+'use strict';
+// services/uom/uomService.js
+//
+// Unit parsing and conversion on top of the registry in unitRegistry.js.
+// Used wherever a number arrives with a unit attached: data-entry ingestion
+// (manual, CSV, API, IoT, OCR), Scope 2 calculation and ESG metric
+// submissions.
+//
+//   convert(2.5, 'MWh', 'kWh')      → 2500
+//   convert(10, 'gallons', 'L')     → 37.85411784
+//   convert(1, 'kg', 'kWh')         → throws UomError INCOMPATIBLE_UNITS
+
+const { DIMENSIONS, UNITS, CURRENCIES, CURRENCY_SYMBOLS } = require('./unitRegistry');
+
+/** Unit refusal; `code` is UNKNOWN_UNIT or INCOMPATIBLE_UNITS, `status` the HTTP status. */
+class UomError extends Error {
+  constructor(message, code, status = 422) {
+    super(message);
+    this.name = 'UomError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/** Lower-case, unify superscripts and separators: 'Tonne-Km' → 'tonne km', 'm³' → 'm3'. */
+function normalizeToken(input) {
+  return String(input)
+    .trim()
+    .toLowerCase()
+    .replace(/³/g, '3')
+    .replace(/²/g, '2')
+    .replace(/\^/g, '')
+    .replace(/[-_·.*]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// alias → symbol, built once; a clash between two units is a registry bug
+const LOOKUP = new Map();
+for (const [symbol, [, , aliases]] of Object.entries(UNITS)) {
+  for (const alias of [symbol, ...aliases]) {
+    const key = normalizeToken(alias);
+    if (LOOKUP.has(key) && LOOKUP.get(key) !== symbol) {
+      throw new Error(`[UoM] alias '${alias}' is registered for both ${LOOKUP.get(key)} and ${symbol}`);
+    }
+    LOOKUP.set(key, symbol);
+  }
+}
+const CURRENCY_SET = new Set(CURRENCIES);
+
+function parseCurrency(raw) {
+  const trimmed = String(raw).trim();
+  const upper = trimmed.toUpperCase();
+  if (CURRENCY_SET.has(upper)) return upper;
+  return CURRENCY_SYMBOLS[trimmed.toLowerCase()] || null;
+}
+
+/**
+ * Resolve a unit string.
+ * @param {string} input — symbol or alias, e.g. 'kWh', 'litres', 'passenger-km', 'INR'
+ * @returns {{ symbol: string, dimension: string, factor: number }|null} null when unknown
+ */
+function parseUnit(input) {
+  if (input === null || input === undefined || String(input).trim() === '') return null;
+
+  const symbol = LOOKUP.get(normalizeToken(input));
+  if (symbol) {
+    const [dimension, factor] = UNITS[symbol];
+    return { symbol, dimension, factor };
+  }
+
+  const currency = parseCurrency(input);
+  if (currency) return { symbol: currency, dimension: 'currency', factor: 1 };
+
+  return null;
+}
+
+/** parseUnit that throws UNKNOWN_UNIT instead of returning null. */
+function requireUnit(input, label = 'unit') {
+  const unit = parseUnit(input);
+  if (!unit) throw new UomError(`Unknown ${label} '${input}'.`, 'UNKNOWN_UNIT');
+  return unit;
+}
+
+function areCompatible(a, b) {
+  const ua = parseUnit(a);
+  const ub = parseUnit(b);
+  if (!ua || !ub || ua.dimension !== ub.dimension) return false;
+  return ua.dimension !== 'currency' || ua.symbol === ub.symbol;
+}
+
+/**
+ * Multiplier taking a value in `from` to a value in `to`.
+ * @throws {UomError} UNKNOWN_UNIT / INCOMPATIBLE_UNITS
+ */
+function conversionFactor(from, to) {
+  const uf = requireUnit(from);
+  const ut = requireUnit(to);
+  if (uf.dimension !== ut.dimension) {
+    throw new UomError(
+      `Cannot convert ${uf.symbol} (${DIMENSIONS[uf.dimension].label.toLowerCase()}) to ${ut.symbol} (${DIMENSIONS[ut.dimension].label.toLowerCase()}).`,
+      'INCOMPATIBLE_UNITS'
+    );
+  }
+  if (uf.dimension === 'currency' && uf.symbol !== ut.symbol) {
+    throw new UomError(
+      `Cannot convert ${uf.symbol} to ${ut.symbol} without an exchange rate.`,
+      'INCOMPATIBLE_UNITS'
+    );
+  }
+  return uf.factor / ut.factor;
+}
+
+function convert(value, from, to) {
+  return Number(value) * conversionFactor(from, to);
+}
+
+/** Canonical unit symbol of a dimension ('energy' → 'kWh'); null for currency / unknown. */
+function canonicalUnit(dimension) {
+  return DIMENSIONS[dimension]?.canonical || null;
+}
+
+/** { value, unit } expressed in the canonical unit of its dimension. */
+function toCanonical(value, unit) {
+  const u = requireUnit(unit);
+  if (u.dimension === 'currency') return { value: Number(value), unit: u.symbol };
+  return { value: Number(value) * u.factor, unit: canonicalUnit(u.dimension) };
+}
+
+/**
+ * Unit a rate is expressed "per": 'kg CO2e per kWh' → kWh, 'kgCO2e/litre' → L.
+ * @returns {{ symbol, dimension, factor }|null}
+ */
+function denominatorUnit(rateUnit) {
+  if (!rateUnit) return null;
+  const parts = String(rateUnit).split(/\s+per\s+|\//i);
+  return parts.length > 1 ? parseUnit(parts[parts.length - 1]) : null;
+}
+
+/** Registry listing for UIs: [{ dimension, label, canonical, units: [{ symbol, factor }] }]. */
+function listUnits() {
+  return Object.entries(DIMENSIONS).map(([dimension, { label, canonical }]) => ({
+    dimension,
+    label,
+    canonical,
+    units: dimension === 'currency'
+      ? CURRENCIES.map((symbol) => ({ symbol, factor: 1 }))
+      : Object.entries(UNITS)
+        .filter(([, [dim]]) => dim === dimension)
+        .map(([symbol, [, factor]]) => ({ symbol, factor })),
+  }));
+}
+
+module.exports = {
+  UomError,
+  normalizeToken,
+  parseUnit,
+  requireUnit,
+  areCompatible,
+  conversionFactor,
+  convert,
+  canonicalUnit,
+  toCanonical,
+  denominatorUnit,
+  listUnits,
+};
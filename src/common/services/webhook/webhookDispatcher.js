@@ -0,0 +1,463 @@
+'use strict';
+// services/webhook/webhookDispatcher.js
+//
+// Fans platform events out to matching WebhookSubscriptions and delivers them.
+//
+// HOW TO USE:
+//   const { emitEvent } = require('../../common/services/webhook/webhookDispatcher');
+//   emitEvent('ticket.status_changed', ticket.clientId, { ticketId, status });
+//
+//   emitEvent never throws — a webhook problem must not fail the caller.
+//
+// DELIVERY:
+//   - One WebhookDelivery per (event, subscription), every attempt logged on it
+//   - With REDIS_HOST set, attempts run on the bull queue 'webhook-deliveries'
+//     (attempts + exponential backoff handled by bull)
+//   - Without Redis, the first attempt runs in-process and a cron sweep
+//     (every minute) picks up retries that are due, using the same backoff
+//   - In both modes the sweep resets attempts left 'delivering' by a process
+//     that died (bull's stalled-job retry cannot claim them) and re-queues them
+//   - WEBHOOK_MAX_ATTEMPTS (default 6) and WEBHOOK_BACKOFF_BASE_MS
+//     (default 30000 → 30s, 1m30s, 3m30s, 7m30s, 15m30s) tune retries
+//   - Every attempt resolves the endpoint host, refuses private / loopback /
+//     metadata addresses and connects to the checked address only (no second
+//     lookup, no redirects). Only the status code of the response is kept.
+
+const crypto = require('crypto');
+const dns    = require('dns');
+const http   = require('http');
+const https  = require('https');
+const net    = require('net');
+const cron   = require('node-cron');
+
+const WebhookSubscription = require('../../models/Webhook/WebhookSubscription');
+const WebhookDelivery     = require('../../models/Webhook/WebhookDelivery');
+const {
+  WEBHOOK_EVENTS,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  subscriptionMatches,
+  isPrivateAddress,
+  checkResolvedAddresses,
+  signPayload,
+  backoffDelay,
+  isSuccessStatus,
+  buildEnvelope,
+} = require('./webhookEvents');
+
+const QUEUE_NAME            = 'webhook-deliveries';
+const REQUEST_TIMEOUT_MS    = 10 * 1000;
+const QUEUE_CONCURRENCY     = 5;
+const SUBSCRIPTION_CACHE_MS = 30 * 1000;
+const STALE_DELIVERING_MS   = 10 * 60 * 1000; // attempt in flight when the process died
+const SWEEP_BATCH           = 100;
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const MAX_ATTEMPTS    = envInt('WEBHOOK_MAX_ATTEMPTS', 6);
+const BASE_DELAY_MS   = envInt('WEBHOOK_BACKOFF_BASE_MS', 30 * 1000);
+
+// ── Queue ─────────────────────────────────────────────────────────────────────
+
+let queue;
+
+/**
+ * Lazily create the bull queue. Returns null when REDIS_HOST is not configured.
+ */
+function getQueue() {
+  if (queue !== undefined) return queue;
+  if (!process.env.REDIS_HOST) {
+    queue = null;
+    return queue;
+  }
+  const Bull = require('bull');
+  queue = new Bull(QUEUE_NAME, {
+    redis: {
+      host: process.env.REDIS_HOST,
+      port: envInt('REDIS_PORT', 6379),
+      ...(process.env.REDIS_PASSWORD ? { password: process.env.REDIS_PASSWORD } : {}),
+    },
+  });
+  queue.on('error', (err) => console.error('[Webhook] Queue error:', err.message));
+  return queue;
+}
+
+function runInProcess(deliveryId) {
+  setImmediate(() => {
+    attemptDelivery(deliveryId).catch((err) =>
+      console.error(`[Webhook] Delivery ${deliveryId} error:`, err.message)
+    );
+  });
+}
+
+function enqueue(deliveryId) {
+  const q = getQueue();
+  if (!q) return runInProcess(deliveryId);
+
+  q.add(
+    { deliveryId: String(deliveryId) },
+    {
+      attempts: MAX_ATTEMPTS,
+      backoff: { type: 'exponential', delay: BASE_DELAY_MS },
+      removeOnComplete: true,
+      removeOnFail: true,
+    }
+  ).catch((err) => {
+    console.error(`[Webhook] Could not queue delivery ${deliveryId}, sending in-process:`, err.message);
+    runInProcess(deliveryId);
+  });
+}
+
+// ── Subscription lookup ───────────────────────────────────────────────────────
+
+// Per-process cache so high-volume events (data entries) don't query
+// subscriptions on every save. Other instances see changes within 30s.
+const subscriptionCache = new Map(); // clientId → { at, subscriptions }
+
+async function activeSubscriptions(clientId) {
+  const cached = subscriptionCache.get(clientId);
+  if (cached && Date.now() - cached.at < SUBSCRIPTION_CACHE_MS) {
+    return cached.subscriptions;
+  }
+  const subscriptions = await WebhookSubscription.find({ clientId, isActive: true })
+    .select('_id events')
+    .lean();
+  subscriptionCache.set(clientId, { at: Date.now(), subscriptions });
+  return subscriptions;
+}
+
+/**
+ * Drop cached subscriptions after a create / update / delete
+ * @param {string} [clientId] - omit to clear everything
+ */
+function invalidateSubscriptionCache(clientId) {
+  if (clientId) subscriptionCache.delete(clientId);
+  else subscriptionCache.clear();
+}
+
+// ── Emit ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Record a delivery for every active subscription of the client that
+ * listens to `event`, and queue them.
+ *
+ * @param {string} event    - key of WEBHOOK_EVENTS
+ * @param {string} clientId
+ * @param {Object} data     - small, event specific payload (no secrets)
+ * @returns {Promise<Array>} created deliveries (empty when nobody listens)
+ */
+async function emitEvent(event, clientId, data = {}) {
+  if (!clientId || !WEBHOOK_EVENTS[event]) return [];
+
+  try {
+    const subscriptions = (await activeSubscriptions(clientId))
+      .filter((s) => subscriptionMatches(s, event));
+    if (!subscriptions.length) return [];
+
+    const payload = buildEnvelope({
+      eventId: `evt_${crypto.randomUUID()}`,
+      event,
+      clientId,
+      occurredAt: new Date(),
+      // plain JSON only (ObjectIds, Dates, Maps → strings / objects)
+      data: JSON.parse(JSON.stringify(data)),
+    });
+
+    const deliveries = await WebhookDelivery.insertMany(
+      subscriptions.map((s) => ({
+        subscriptionId: s._id,
+        clientId,
+        eventId: payload.id,
+        event,
+        payload,
+        maxAttempts: MAX_ATTEMPTS,
+      }))
+    );
+
+    deliveries.forEach((d) => enqueue(d._id));
+    return deliveries;
+  } catch (err) {
+    console.error(`[Webhook] Failed to emit ${event} for client ${clientId}:`, err.message);
+    return [];
+  }
+}
+
+// ── Deliver ───────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve the endpoint host and check every address it resolves to.
+ * @returns {Promise<{ address: string, family: number }>} address to connect to
+ * @throws when the host does not resolve or resolves to a private address
+ */
+async function resolveEndpoint(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const family = net.isIP(host);
+  const addresses = family
+    ? [{ address: host, family }]
+    : await dns.promises.lookup(host, { all: true, verbatim: true });
+
+  const problem = isPrivateAddress(host) ? 'endpoint host is private' : checkResolvedAddresses(addresses);
+  if (problem) throw new Error(problem);
+  return addresses[0];
+}
+
+/**
+ * POST to the endpoint over a connection pinned to `address`. TLS still
+ * verifies the certificate against the URL's host name.
+ * @returns {Promise<number>} HTTP status code (the body is discarded)
+ */
+function postPinned(url, address, headers, body) {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+  const lookup = (hostname, options, callback) => {
+    if (options.all) return callback(null, [address]);
+    callback(null, address.address, address.family);
+  };
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup,
+      agent: false,
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+
+    const timer = setTimeout(() => {
+      const err = new Error(`Timed out after ${REQUEST_TIMEOUT_MS}ms`);
+      err.name = 'TimeoutError';
+      req.destroy(err);
+    }, REQUEST_TIMEOUT_MS);
+    req.on('close', () => clearTimeout(timer));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+async function sendOnce(subscription, delivery, attemptNumber) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const attempt = {
+    attemptNumber,
+    at: new Date(startedAt),
+    statusCode: null,
+    durationMs: null,
+    error: null,
+  };
+
+  try {
+    const address = await resolveEndpoint(subscription.url);
+    const status = await postPinned(subscription.url, address, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'ZeroCarbon-Webhooks/1.0',
+      'X-Webhook-Id': String(delivery._id),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Attempt': String(attemptNumber),
+      [TIMESTAMP_HEADER]: String(timestamp),
+      [SIGNATURE_HEADER]: signPayload(subscription.getSecret(), timestamp, body),
+    }, body);
+    attempt.statusCode = status;
+    if (!isSuccessStatus(status)) attempt.error = `HTTP ${status}`;
+  } catch (err) {
+    attempt.error = err.name === 'TimeoutError'
+      ? `Timed out after ${REQUEST_TIMEOUT_MS}ms`
+      : err.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  return attempt;
+}
+
+async function recordSubscriptionHealth(subscriptionId, succeeded) {
+  const update = succeeded
+    ? { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: 'succeeded', consecutiveFailures: 0 } }
+    : { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: 'failed' }, $inc: { consecutiveFailures: 1 } };
+  await WebhookSubscription.updateOne({ _id: subscriptionId }, update);
+}
+
+/**
+ * Make the next attempt for a delivery (no-op unless it is pending / retrying).
+ * @returns {Promise<Object|null>} updated delivery, or null if not claimed
+ */
+async function attemptDelivery(deliveryId) {
+  // Claim, so a sweep and a queue retry can never send the same attempt twice
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: { $in: ['pending', 'retrying'] } },
+    { $set: { status: 'delivering' } },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+  if (!subscription || !subscription.isActive) {
+    return WebhookDelivery.findByIdAndUpdate(
+      delivery._id,
+      { $set: { status: 'failed', nextAttemptAt: null, lastError: 'Subscription deleted or disabled' } },
+      { new: true }
+    );
+  }
+
+  const attemptNumber = delivery.attempts.length + 1;
+  const attempt = await sendOnce(subscription, delivery, attemptNumber);
+  const succeeded = isSuccessStatus(attempt.statusCode);
+  const exhausted = attemptNumber >= delivery.maxAttempts;
+
+  const set = succeeded
+    ? { status: 'succeeded', deliveredAt: attempt.at, nextAttemptAt: null, lastError: null }
+    : exhausted
+      ? { status: 'failed', nextAttemptAt: null, lastError: attempt.error }
+      : {
+          status: 'retrying',
+          nextAttemptAt: new Date(Date.now() + backoffDelay(attemptNumber, BASE_DELAY_MS)),
+          lastError: attempt.error,
+        };
+
+  const updated = await WebhookDelivery.findByIdAndUpdate(
+    delivery._id,
+    { $push: { attempts: attempt }, $set: set },
+    { new: true }
+  );
+
+  if (succeeded || exhausted) {
+    await recordSubscriptionHealth(subscription._id, succeeded);
+  }
+  if (!succeeded) {
+    console.warn(
+      `[Webhook] ${delivery.event} → ${subscription.url} attempt ${attemptNumber}/${delivery.maxAttempts} failed: ${attempt.error}`
+    );
+  }
+  return updated;
+}
+
+/**
+ * Re-send a logged delivery as a new delivery with the same event id.
+ * @returns {Promise<Object>} the new delivery
+ */
+async function replayDelivery(original, userId) {
+  const replay = await WebhookDelivery.create({
+    subscriptionId: original.subscriptionId,
+    clientId: original.clientId,
+    eventId: original.eventId,
+    event: original.event,
+    payload: original.payload,
+    maxAttempts: MAX_ATTEMPTS,
+    replayOf: original._id,
+    replayedBy: userId || null,
+  });
+  enqueue(replay._id);
+  return replay;
+}
+
+// ── Worker ────────────────────────────────────────────────────────────────────
+
+/**
+ * Put deliveries left 'delivering' by a process that stopped mid-attempt
+ * back to 'retrying'.
+ * @returns {Promise<Array>} ids of the recovered deliveries
+ */
+async function recoverStaleDeliveries() {
+  const cutoff = new Date(Date.now() - STALE_DELIVERING_MS);
+  const stale = await WebhookDelivery.find({ status: 'delivering', updatedAt: { $lt: cutoff } })
+    .limit(SWEEP_BATCH)
+    .select('_id')
+    .lean();
+
+  const recovered = [];
+  for (const { _id } of stale) {
+    const res = await WebhookDelivery.updateOne(
+      { _id, status: 'delivering', updatedAt: { $lt: cutoff } },
+      { $set: { status: 'retrying', nextAttemptAt: new Date() } }
+    );
+    if (res.modifiedCount) recovered.push(_id);
+  }
+  return recovered;
+}
+
+/**
+ * Recover deliveries that were in flight when a process stopped. With bull
+ * they are queued again; without it this also sends retries that are due
+ * and deliveries that were never attempted.
+ * @returns {Promise<number>} deliveries queued or attempted
+ */
+async function sweepDueDeliveries() {
+  const recovered = await recoverStaleDeliveries();
+  if (recovered.length) {
+    console.warn(`[Webhook] Recovered ${recovered.length} delivery(ies) stuck in 'delivering'`);
+  }
+
+  if (getQueue()) {
+    recovered.forEach((id) => enqueue(id));
+    return recovered.length;
+  }
+
+  const now = Date.now();
+  const due = await WebhookDelivery.find({
+    $or: [
+      { status: 'retrying', nextAttemptAt: { $lte: new Date(now) } },
+      { status: 'pending', createdAt: { $lt: new Date(now - 60 * 1000) } },
+    ],
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(SWEEP_BATCH)
+    .select('_id')
+    .lean();
+
+  for (const { _id } of due) {
+    try {
+      await attemptDelivery(_id);
+    } catch (err) {
+      console.error(`[Webhook] Delivery ${_id} error:`, err.message);
+    }
+  }
+  return due.length;
+}
+
+/**
+ * Start processing deliveries: the bull worker when Redis is configured,
+ * plus the every-minute sweep (recovery only with bull, retries without).
+ * Must be called AFTER the database connection is established.
+ */
+function startWebhookDeliveryWorker() {
+  const q = getQueue();
+
+  if (q) {
+    q.process(QUEUE_CONCURRENCY, async (job) => {
+      const delivery = await attemptDelivery(job.data.deliveryId);
+      if (delivery && delivery.status === 'retrying') {
+        // let bull schedule the next attempt with its exponential backoff
+        throw new Error(delivery.lastError || 'Delivery failed');
+      }
+    });
+    console.log(`✅ [Webhook] Delivery worker started on bull queue '${QUEUE_NAME}'`);
+  }
+
+  cron.schedule('* * * * *', async () => {
+    try {
+      await sweepDueDeliveries();
+    } catch (err) {
+      console.error('[Webhook] Retry sweep failed:', err.message);
+    }
+  });
+  console.log(q
+    ? '✅ [Webhook] Stale delivery recovery registered (every minute)'
+    : '✅ [Webhook] Delivery retry sweep registered (every minute, no REDIS_HOST)');
+}
+
+module.exports = {
+  emitEvent,
+  attemptDelivery,
+  replayDelivery,
+  sweepDueDeliveries,
+  startWebhookDeliveryWorker,
+  invalidateSubscriptionCache,
+  resolveEndpoint,
+  MAX_ATTEMPTS,
+  BASE_DELAY_MS,
+};
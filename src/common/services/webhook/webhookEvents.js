@@ -0,0 +1,212 @@
+'use strict';
+// services/webhook/webhookEvents.js
+//
+// Event catalogue and pure helpers (signing, filtering, backoff) for
+// outbound webhooks. No DB access here — see webhookDispatcher.js.
+//
+// Every delivery is a JSON POST:
+//
+//   {
+//     "id":         "<event id, stable across retries and replays>",
+//     "event":      "data_entry.calculated",
+//     "clientId":   "Greon001",
+//     "occurredAt": "2025-06-30T10:00:00.000Z",
+//     "data":       { ...event specific... }
+//   }
+//
+// with headers
+//
+//   X-Webhook-Id:        <delivery id>
+//   X-Webhook-Event:     <event>
+//   X-Webhook-Timestamp: <unix seconds>
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256(secret, "<timestamp>.<raw body>")>
+//
+// Receivers should recompute the signature over the raw body and reject
+// timestamps older than a few minutes.
+
+const crypto = require('crypto');
+const net    = require('net');
+
+const WEBHOOK_EVENTS = {
+  'data_entry.created':             'A data entry was saved',
+  'data_entry.calculated':          'Emissions were calculated for a data entry',
+  'approval.raised':                'A threshold check held a value for approval',
+  'approval.approved':              'A held value was approved',
+  'approval.rejected':              'A held value was rejected',
+  'emission_summary.recalculated':  'An emission summary period was recalculated',
+  'reduction.status_changed':       'A reduction project changed status',
+  'brsr_answer.approved':           'A BRSR disclosure answer received final approval',
+  'ticket.status_changed':          'A support ticket changed status',
+};
+
+const ALL_EVENTS = '*';
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+
+/**
+ * Validate a subscription's event filter
+ * @param {string[]} events
+ * @returns {string|null} error message, or null when valid
+ */
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'events must be a non-empty array';
+  }
+  const unknown = events.filter(e => e !== ALL_EVENTS && !WEBHOOK_EVENTS[e]);
+  if (unknown.length) {
+    return `Unknown event(s): ${unknown.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * @returns {boolean} true if the subscription wants this event
+ */
+function subscriptionMatches(subscription, event) {
+  const events = subscription.events || [];
+  return events.includes(ALL_EVENTS) || events.includes(event);
+}
+
+/**
+ * Loopback, private, link-local (cloud metadata), shared and reserved
+ * addresses, and host names that only resolve internally.
+ */
+function isPrivateAddress(host) {
+  const h = host.replace(/^\[|\]$/g, '').toLowerCase();
+  if (h === 'localhost' || h.endsWith('.localhost') || h.endsWith('.internal')) return true;
+
+  if (net.isIPv4(h)) {
+    const [a, b] = h.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 || a >= 224 ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 100 && b >= 64 && b <= 127) ||   // carrier-grade NAT
+      (a === 198 && (b === 18 || b === 19));  // benchmarking
+  }
+  if (net.isIPv6(h)) {
+    // IPv4-mapped (::ffff:10.0.0.1) — judged by the IPv4 address
+    const mapped = h.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+    return h === '::1' || h === '::' || h.startsWith('::ffff:') ||
+      h.startsWith('fc') || h.startsWith('fd') || /^fe[89ab]/.test(h) || h.startsWith('ff');
+  }
+  return false;
+}
+
+/**
+ * Check what an endpoint host resolved to. A public name may resolve to a
+ * private address, so the dispatcher runs this on every attempt and then
+ * connects to the checked address only.
+ * @param {Array<{ address: string }>} addresses - dns.lookup(host, { all: true })
+ * @returns {string|null} error message, or null when every address is public
+ */
+function checkResolvedAddresses(addresses) {
+  if (!addresses || !addresses.length) return 'endpoint host did not resolve';
+  const blocked = addresses.find((a) => isPrivateAddress(a.address));
+  return blocked ? `endpoint resolves to a private or loopback address (${blocked.address})` : null;
+}
+
+/**
+ * Validate an endpoint URL. HTTPS is required unless allowInsecure
+ * (non-production); loopback / private address literals are always refused.
+ * Names are checked again after DNS resolution on every delivery
+ * (checkResolvedAddresses).
+ * @returns {string|null} error message, or null when valid
+ */
+function validateEndpointUrl(url, { allowInsecure = process.env.NODE_ENV !== 'production' } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'url must be a valid absolute URL';
+  }
+  if (parsed.protocol !== 'https:' && !(allowInsecure && parsed.protocol === 'http:')) {
+    return 'url must use https';
+  }
+  if (parsed.username || parsed.password) {
+    return 'url must not contain credentials';
+  }
+  if (isPrivateAddress(parsed.hostname)) {
+    return 'url must not point to a private or loopback address';
+  }
+  return null;
+}
+
+/**
+ * @returns {string} random base64url secret, prefixed whsec_ so it is recognisable
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * @param {string} secret
+ * @param {number} timestamp - unix seconds
+ * @param {string} body - raw JSON body
+ * @returns {string} header value "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Receiver-side check, exported for tests and for documentation
+ * @returns {boolean}
+ */
+function verifyPayload(secret, timestamp, body, header) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const given = Buffer.from(String(header || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Exponential backoff, same curve as bull's 'exponential' strategy:
+ * delay before attempt n+1 = (2^n - 1) * baseDelay
+ * @param {number} attemptsMade - attempts already made (>= 1)
+ * @param {number} baseDelayMs
+ * @returns {number} ms
+ */
+function backoffDelay(attemptsMade, baseDelayMs) {
+  return (Math.pow(2, attemptsMade) - 1) * baseDelayMs;
+}
+
+/**
+ * @returns {boolean} true if a 2xx response
+ */
+function isSuccessStatus(statusCode) {
+  return statusCode >= 200 && statusCode < 300;
+}
+
+/**
+ * Build the JSON envelope sent to subscribers
+ */
+function buildEnvelope({ eventId, event, clientId, occurredAt, data }) {
+  return {
+    id: eventId,
+    event,
+    clientId,
+    occurredAt: new Date(occurredAt).toISOString(),
+    data,
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  ALL_EVENTS,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  validateEvents,
+  subscriptionMatches,
+  validateEndpointUrl,
+  isPrivateAddress,
+  checkResolvedAddresses,
+  generateSecret,
+  signPayload,
+  verifyPayload,
+  backoffDelay,
+  isSuccessStatus,
+  buildEnvelope,
+};
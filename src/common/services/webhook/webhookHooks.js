@@ -0,0 +1,67 @@
+'use strict';
+
+// ============================================================================
+// webhookHooks.js — Emits outbound webhook events from model saves
+//
+// Call attachWebhookHooks(schema, options) in a source model file BEFORE
+// mongoose.model() — hooks added to a compiled model never fire. Register it
+// after the encryption plugin so payload() sees decrypted values.
+//
+// Covered: document save() (incl. Model.create). Query-level updates do not
+// load the document and emit nothing; call emitEvent() directly there.
+//
+// webhookDispatcher is required lazily so source models do not pull in the
+// webhook models at load time.
+// ============================================================================
+
+/**
+ * @param {mongoose.Schema} schema
+ * @param {Object}   options
+ * @param {(doc: object) => string[]} options.events
+ *        Runs in pre('save'), where isNew / isModified() are still available.
+ *        Returns the event names this save should emit.
+ * @param {(doc: object, event: string, loaded: object) => object} options.payload
+ *        Runs after the save; `loaded` holds the trackPaths values the
+ *        document had when it was loaded (e.g. the previous status).
+ * @param {string[]} [options.trackPaths] — paths whose loaded value is kept
+ * @param {(doc: object) => string} [options.clientId]
+ */
+function attachWebhookHooks(schema, { events, payload, trackPaths = [], clientId = (doc) => doc.clientId }) {
+  const snapshot = (doc) => {
+    doc.$locals.webhookLoaded = Object.fromEntries(trackPaths.map((p) => [p, doc.get(p)]));
+  };
+
+  if (trackPaths.length) {
+    schema.post('init', snapshot);
+  }
+
+  schema.pre('save', function (next) {
+    try {
+      this.$locals.webhookEvents = events(this) || [];
+    } catch (err) {
+      console.error('[Webhook] Event detection error:', err.message);
+      this.$locals.webhookEvents = [];
+    }
+    next();
+  });
+
+  schema.post('save', function (doc) {
+    const pending = doc.$locals.webhookEvents || [];
+    const loaded = doc.$locals.webhookLoaded || {};
+    doc.$locals.webhookEvents = [];
+    // a later save() of the same document compares against what is stored now
+    if (trackPaths.length) snapshot(doc);
+    if (!pending.length) return;
+
+    try {
+      const { emitEvent } = require('./webhookDispatcher');
+      for (const event of pending) {
+        emitEvent(event, clientId(doc), payload(doc, event, loaded));
+      }
+    } catch (err) {
+      console.error('[Webhook] Hook error:', err.message);
+    }
+  });
+}
+
+module.exports = { attachWebhookHooks };
@@ -0,0 +1,121 @@
+'use strict';
+// utils/Permissions/clientAccessPermission.js
+//
+// PURPOSE:
+//   One answer to "may this user work on this client's data?" for the
+//   controllers that take a clientId (suppliers, Scope 2 instruments, IoT
+//   devices, ingestion mailboxes, …).
+//
+// ─── RULES ────────────────────────────────────────────────────────────────────
+//
+//   super_admin                  → every client
+//   consultant_admin / consultant → clients they manage, decided by
+//                                   canManageFlowchart (lead creator /
+//                                   consultantAdminId / team admin of the
+//                                   assigned consultant / assigned consultant)
+//   everyone else                → their own clientId only (client_admin,
+//                                   employees, auditors, viewers, ESGLink
+//                                   contributors / reviewers / approvers, …)
+//
+//   CLIENT_DATA_MANAGER_ROLES may also change the data; the others read it.
+
+const Client = require('../../../modules/client-management/client/Client');
+const User = require('../../models/User');
+const { canManageFlowchart } = require('./permissions');
+
+const CONSULTANT_ROLES = new Set(['consultant_admin', 'consultant']);
+
+const CLIENT_DATA_MANAGER_ROLES = new Set(['client_admin', 'consultant_admin', 'consultant', 'super_admin']);
+
+const getId = (x) => {
+  if (x == null) return '';
+  if (typeof x === 'string') return x;
+  return String(x._id ?? x.id ?? x);
+};
+
+/**
+ * canAccessClient
+ * Always returns: { allowed: boolean, reason: string } — reason is
+ * 'Client not found' when a consultant asks for an unknown clientId.
+ */
+async function canAccessClient(user, clientId) {
+  if (!user || !clientId) {
+    return { allowed: false, reason: 'Client not specified' };
+  }
+  if (user.userType === 'super_admin') {
+    return { allowed: true, reason: 'Super admin access' };
+  }
+  if (CONSULTANT_ROLES.has(user.userType)) {
+    return canManageFlowchart(user, clientId);
+  }
+  if (user.clientId && user.clientId === clientId) {
+    return { allowed: true, reason: 'Member of this client' };
+  }
+  return { allowed: false, reason: 'Access denied for this client' };
+}
+
+/** canAccessClient plus one of CLIENT_DATA_MANAGER_ROLES. */
+async function canManageClientData(user, clientId) {
+  if (!CLIENT_DATA_MANAGER_ROLES.has(user?.userType)) {
+    return { allowed: false, reason: 'Insufficient permissions' };
+  }
+  return canAccessClient(user, clientId);
+}
+
+/**
+ * getAccessibleClientIds
+ * clientIds the user can access, for list queries; null = all clients
+ * (super_admin). Same sources as canManageFlowchart for consultants.
+ */
+async function getAccessibleClientIds(user) {
+  if (!user) return [];
+  if (user.userType === 'super_admin') return null;
+  if (!CONSULTANT_ROLES.has(user.userType)) {
+    return user.clientId ? [user.clientId] : [];
+  }
+
+  const myId = getId(user);
+  let consultantIds = [myId];
+  const or = [];
+
+  if (user.userType === 'consultant_admin') {
+    const team = await User.find({ consultantAdminId: myId, userType: 'consultant' }).select('_id').lean();
+    consultantIds = team.map((u) => getId(u._id));
+    or.push({ 'leadInfo.createdBy': myId }, { 'leadInfo.consultantAdminId': myId });
+  }
+  if (consultantIds.length) {
+    or.push(
+      { 'leadInfo.assignedConsultantId': { $in: consultantIds } },
+      { 'workflowTracking.assignedConsultantId': { $in: consultantIds } },
+      { 'leadInfo.consultantHistory': { $elemMatch: { consultantId: { $in: consultantIds }, isActive: true } } }
+    );
+  }
+
+  const clients = await Client.find({ $or: or }).select('clientId').lean();
+  return [...new Set(clients.map((c) => c.clientId).filter(Boolean))];
+}
+
+/**
+ * clientListFilter
+ * Mongo filter fragment limiting a list query to the clients the user can
+ * access, narrowed to requestedClientId when given. Returns null when the
+ * user may not see requestedClientId at all.
+ *
+ * @returns {Promise<object|null>}  {} | { clientId } | { clientId: { $in } } | null
+ */
+async function clientListFilter(user, requestedClientId) {
+  if (requestedClientId) {
+    const access = await canAccessClient(user, String(requestedClientId));
+    return access.allowed ? { clientId: String(requestedClientId) } : null;
+  }
+  const clientIds = await getAccessibleClientIds(user);
+  return clientIds === null ? {} : { clientId: { $in: clientIds } };
+}
+
+module.exports = {
+  CLIENT_DATA_MANAGER_ROLES,
+  canAccessClient,
+  canManageClientData,
+  getAccessibleClientIds,
+  clientListFilter,
+};
@@ -14,6 +14,8 @@
 
 'use strict';
 
+const { authorize } = require('../../services/authz/policyEngine');
+
 // ── Valid module identifiers ──────────────────────────────────────────────────
 const MODULE_NAMES = Object.freeze({
   ZERO_CARBON: 'zero_carbon',
@@ -51,24 +53,33 @@ function isModuleSubscriptionActive(client, moduleName) {
 /**
  * requireModuleAccess
  * ─────────────────────────────────────────────────────────────────
- * Express middleware factory. Blocks the request with 403 when the
- * authenticated user does not have the requested module in their
- * accessibleModules array.
+ * Express middleware factory. Blocks the request with 403 unless the
+ * policy allows 'module:access' for the module — by default when it is
+ * in the user's accessibleModules array, minus the client's own deny
+ * rules (services/authz/defaultPolicy.js).
  *
  * @param {string} moduleName - One of MODULE_NAMES values
  * @returns {Function} Express middleware
  */
 function requireModuleAccess(moduleName) {
-  return function checkModuleAccess(req, res, next) {
-    const userModules = req.user?.accessibleModules;
-
-    if (!Array.isArray(userModules) || !userModules.includes(moduleName)) {
-      return res.status(403).json({
-        message: `Access to the '${moduleName}' module is not permitted for your account.`,
+  return async function checkModuleAccess(req, res, next) {
+    try {
+      const { allowed } = await authorize(req.user, 'module:access', {
+        type: 'module',
+        module: moduleName,
+        clientId: req.user?.clientId,
       });
-    }
 
-    next();
+      if (!allowed) {
+        return res.status(403).json({
+          message: `Access to the '${moduleName}' module is not permitted for your account.`,
+        });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
   };
 }
 
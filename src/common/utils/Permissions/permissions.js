@@ -1,6 +1,6 @@
-const mongoose = require('mongoose');
 const Client = require('../../../modules/client-management/client/Client');
 const User = require('../../models/User')
+const { authorize } = require('../../services/authz/policyEngine');
 
 
 // ---- Robust ID normalizer used everywhere below ----
@@ -89,95 +89,14 @@ const canManageProcessFlowchart = async (user, clientId) => {
   return { allowed: false, reason: 'Insufficient permissions' };
 };
 
-// Check if user can create/edit flowchart for a client (restricted to consultants/super-admin)
-// Check if user can create/edit flowchart for a client (restricted to consultants/super-admin)
-const canManageFlowchart = async (user, clientId) => {
-// extremely defensive ID normalizer
-const getId = (x) => {
-  if (x == null) return '';                // handles undefined/null
-  // If it's already a string or number (ObjectId as string), return as string
-  if (typeof x === 'string' || typeof x === 'number') return String(x);
-
-  // If it's a Mongoose doc or plain object that might contain _id/id
-  const candidate = (x._id != null) ? x._id
-                   : (x.id != null) ? x.id
-                   : x;
-
-  if (candidate == null) return '';        // guard explicit null
-
-  // Safely call toString if present
-  if (typeof candidate === 'string' || typeof candidate === 'number') {
-    return String(candidate);
-  }
-  return candidate?.toString ? candidate.toString() : '';
-};
-
-  // Super admin can manage all
-  if (user.userType === 'super_admin') {
-    return { allowed: true, reason: 'Super admin access' };
-  }
-
-  // Get client details — accept either the string clientId field ("Greon008")
-  // OR the MongoDB ObjectId (_id) so callers don't get a confusing "not found"
-  // when they accidentally pass the _id instead of the clientId string.
-  const idQuery = mongoose.Types.ObjectId.isValid(clientId)
-    ? { $or: [{ clientId }, { _id: clientId }] }
-    : { clientId };
-  const client = await Client.findOne(idQuery);
-  if (!client) {
-    return { allowed: false, reason: 'Client not found' };
-  }
-
-  // Gather all possible "currently assigned" consultant IDs
-  const leadAssigned = getId(client.leadInfo?.assignedConsultantId);
-  const workflowAssigned = getId(client.workflowTracking?.assignedConsultantId);
-  const activeHistoryIds = (client.leadInfo?.consultantHistory || [])
-    .filter(h => h?.isActive)
-    .map(h => getId(h.consultantId))
-    .filter(Boolean);
-
-  const currentlyAssigned = new Set(
-    [leadAssigned, workflowAssigned, ...activeHistoryIds].filter(Boolean)
-  );
-
-  const myId = getId(user);
-
-  // Consultant Admin rules
-  if (user.userType === 'consultant_admin') {
-    const createdById   = getId(client.leadInfo?.createdBy);
-    const adminOnClient = getId(client.leadInfo?.consultantAdminId);
-
-    // (a) This admin created the lead
-    if (createdById && createdById === myId) {
-      return { allowed: true, reason: 'Consultant admin who created lead' };
-    }
-    // (b) This admin is the client’s consultantAdminId
-    if (adminOnClient && adminOnClient === myId) {
-      return { allowed: true, reason: 'Consultant admin for this client' };
-    }
-
-    // (c) Any currently assigned consultant is in this admin's team
-    const team = await User.find({ consultantAdminId: myId, userType: 'consultant' }).select('_id');
-    const teamIds = new Set(team.map(u => getId(u._id)));
-
-    for (const cid of currentlyAssigned) {
-      if (teamIds.has(cid)) {
-        return { allowed: true, reason: 'Client assigned to consultant under this admin' };
-      }
-    }
-    return { allowed: false, reason: 'Not authorized for this client' };
-  }
-
-  // Consultant rule: must be currently assigned via any of the sources
-  if (user.userType === 'consultant') {
-    if (currentlyAssigned.has(myId)) {
-      return { allowed: true, reason: 'Assigned consultant' };
-    }
-    return { allowed: false, reason: 'Not assigned to this client' };
-  }
-
-  return { allowed: false, reason: 'Insufficient permissions' };
-};
+// Check if user can create/edit flowchart for a client (restricted to consultants/super-admin).
+// Decided by the policy engine: 'flowchart:manage' is allowed for super admin
+// and for the consultant admin / assigned consultants of the client
+// (services/authz/defaultPolicy.js), minus the client's own deny rules.
+// Accepts the clientId string or the Client _id; reason is 'Client not found'
+// when neither matches.
+const canManageFlowchart = (user, clientId) =>
+  authorize(user, 'flowchart:manage', { type: 'client', clientId });
 
 
 // NEW: Specific permission check for assigning an Employee Head
@@ -202,29 +121,24 @@ const canAssignHeadToNode = async (user, clientId) => {
 };
 
 
-// Check if user can view flowchart
-// Check if user can view flowchart
-const canViewFlowchart = async (user, clientId) => {
-  // Super admin can view all
-  if (user.userType === 'super_admin') {
-    return { allowed: true, fullAccess: true };
-  }
+// Check if user can view flowchart ('flowchart:view' in the policy); the
+// role then decides how much of it they see
+const FLOWCHART_FULL_VIEW_ROLES = new Set(['super_admin', 'consultant_admin', 'consultant', 'client_admin']);
 
-  // Check if user can manage (creators can always view)
-  const manageCheck = await canManageFlowchart(user, clientId);
-  if (manageCheck.allowed) {
-    return { allowed: true, fullAccess: true };
+const canViewFlowchart = async (user, clientId) => {
+  const { allowed } = await authorize(user, 'flowchart:view', { type: 'client', clientId });
+  if (!allowed) {
+    return { allowed: false };
   }
 
-  // Client admin can view their own flowchart
-  if (user.userType === 'client_admin' && user.clientId === clientId) {
+  if (FLOWCHART_FULL_VIEW_ROLES.has(user.userType)) {
     return { allowed: true, fullAccess: true };
   }
 
   // Employee head can view with department/location restrictions
-  if (user.userType === 'client_employee_head' && user.clientId === clientId) {
-    return { 
-      allowed: true, 
+  if (user.userType === 'client_employee_head') {
+    return {
+      allowed: true,
       fullAccess: false,
       restrictions: {
         department: user.department,
@@ -233,12 +147,8 @@ const canViewFlowchart = async (user, clientId) => {
     };
   }
 
-  // Employees, auditors, viewers can view if they belong to the client
-  if (['employee', 'auditor', 'viewer'].includes(user.userType) && user.clientId === clientId) {
-    return { allowed: true, fullAccess: false };
-  }
-
-  return { allowed: false };
+  // Employees, auditors, viewers (and users a client rule grants it to)
+  return { allowed: true, fullAccess: false };
 };
 
 
@@ -1233,6 +1233,83 @@ clientSchema.pre('save', function (next) {
   next();
 });
 
+// ─── ssoConfig — per-client identity provider ────────────────────────────────
+// Managed through /api/sso/:clientId/config (controllers/sso/ssoController.js).
+// One IdP per client, either OIDC (authorization code + PKCE) or SAML 2.0
+// (SP-initiated, HTTP-POST binding). allowedDomains is kept plain so login
+// discovery can query it; only oidc.clientSecret is encrypted (see below).
+//
+// jit controls just-in-time provisioning of users the IdP vouches for:
+// the first roleMappings entry whose `group` appears in the groupClaim
+// decides userType + accessibleModules, otherwise the defaults apply.
+// A null defaultUserType means "no mapping → no account".
+
+const SSO_USER_TYPES = [
+  'client_admin', 'client_employee_head', 'employee', 'viewer', 'auditor',
+  'contributor', 'reviewer', 'approver',
+];
+
+const ssoRoleMappingSchema = new mongoose.Schema(
+  {
+    group: { type: String, required: true, trim: true },
+    userType: { type: String, enum: SSO_USER_TYPES, required: true },
+    accessibleModules: { type: [String], enum: ['zero_carbon', 'esg_link'], default: undefined },
+  },
+  { _id: false }
+);
+
+clientSchema.add({
+  ssoConfig: {
+    enabled: { type: Boolean, default: false },
+    protocol: { type: String, enum: ['oidc', 'saml'], default: null },
+    // Email domains routed to this IdP by GET /api/sso/discover
+    allowedDomains: { type: [String], default: [] },
+    // When true, client users must sign in through the IdP (client_admin excepted)
+    enforced: { type: Boolean, default: false },
+    oidc: {
+      issuer: { type: String, trim: true },
+      clientId: { type: String, trim: true },
+      clientSecret: { type: String },
+      scopes: { type: [String], default: ['openid', 'email', 'profile'] },
+    },
+    saml: {
+      entryPoint: { type: String, trim: true },
+      idpIssuer: { type: String, trim: true },
+      idpCert: { type: [String], default: [] },
+      wantAssertionsSigned: { type: Boolean, default: true },
+    },
+    jit: {
+      enabled: { type: Boolean, default: false },
+      groupClaim: { type: String, default: 'groups' },
+      defaultUserType: { type: String, enum: SSO_USER_TYPES, default: null },
+      defaultModules: { type: [String], enum: ['zero_carbon', 'esg_link'], default: undefined },
+      roleMappings: { type: [ssoRoleMappingSchema], default: [] },
+      // Re-apply the mapping to existing JIT users on every login
+      updateOnLogin: { type: Boolean, default: false },
+    },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedAt: { type: Date },
+  },
+});
+
+clientSchema.index({ 'ssoConfig.allowedDomains': 1 });
+
+// ─── mfaPolicy — second-factor requirements for the client's users ───────────
+// Users whose userType is listed must sign in with a strong factor (TOTP or
+// WebAuthn); without one enrolled, the email OTP only leads to enrolment.
+// MFA_REQUIRED_USER_TYPES (env) adds platform-wide types on top of this,
+// including internal users without a client. See services/auth/mfaService.js.
+
+clientSchema.add({
+  mfaPolicy: {
+    requiredUserTypes: { type: [String], enum: SSO_USER_TYPES, default: [] },
+    // 0 turns "remember this device" off for the client
+    trustedDeviceDays: { type: Number, min: 0, max: 90, default: 30 },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedAt: { type: Date },
+  },
+});
+
 // ─── Field-level encryption ──────────────────────────────────────────────────
 // leadInfo.email, companyName, contactPersonName, mobileNumber are kept plain
 // (unencrypted) so that search queries (regex) continue to work.
@@ -1254,7 +1331,10 @@ clientSchema.plugin(encryptionPlugin, {
     'accountDetails',
     'supportSection',
     'workflowTracking',
+    // SSO — only the OIDC client secret
+    'ssoConfig.oidc.clientSecret',
   ],
 });
 
-module.exports = mongoose.model("Client", clientSchema);
\ No newline at end of file
+module.exports = mongoose.model("Client", clientSchema);
+module.exports.SSO_USER_TYPES = SSO_USER_TYPES;
@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const { auth, checkRole } = require("../../../common/middleware/auth");
+const { validateRequest } = require("../../../common/middleware/validateRequest");
 const {
   createLead,
   updateLead,
@@ -46,6 +47,10 @@ const {
   markQuotaCreated,
   moveToActive,
 } = require("./clientController");
+const {
+  getMfaPolicy,
+  updateMfaPolicy,
+} = require("../../../common/controllers/user/mfaController");
 
 // // 🆕 QUOTA MANAGEMENT
 // const {
@@ -258,6 +263,17 @@ router.patch("/:clientId/subscription/esglink", manageEsgLinkSubscription);
  */
 router.patch("/:clientId/module-access", checkRole('super_admin', 'consultant_admin'), updateClientModuleAccess);
 
+/**
+ * Client MFA policy — user types that must sign in with an authenticator
+ * app or security key, and the "remember this device" lifetime
+ * GET /api/clients/:clientId/mfa-policy
+ * PUT /api/clients/:clientId/mfa-policy
+ * Body: { requiredUserTypes: ['client_admin', 'approver'], trustedDeviceDays: 30 }
+ * Access: super_admin | the client's consultants | its client_admin
+ */
+router.get("/:clientId/mfa-policy", getMfaPolicy);
+router.put("/:clientId/mfa-policy", validateRequest('PUT /api/clients/{clientId}/mfa-policy'), updateMfaPolicy);
+
 // ===================================================================
 // GENERAL CLIENT ROUTES
 // ===================================================================
@@ -169,6 +169,12 @@ const preventSandboxModification = async (req, res, next) => {
   }
 };
 
+// Read by services/openapi/routeCollector.js: sandbox tokens are refused for writes
+preventSandboxModification.openapi = {
+  excludes: 'sandboxBearerAuth',
+  methods: ['post', 'put', 'patch', 'delete'],
+};
+
 module.exports = {
   checkSandboxAccess,
   attachSandboxStatus,
@@ -3,29 +3,28 @@
  * boundaryPermissions.js
  * ─────────────────────────────────────────────────────────────────────────────
  * Permission helpers for ESGLink Core boundary operations.
- * Reuses the same consultant/consultant_admin/super_admin logic as ZeroCarbon.
+ * Decided by the access-policy engine (esg_boundary:* actions, see
+ * common/services/authz/defaultPolicy.js).
  */
 
-const { canManageFlowchart } = require('../../../../../common/utils/Permissions/permissions');
+const { authorize } = require('../../../../../common/services/authz/policyEngine');
 
 /**
  * canManageBoundary
  * Returns { allowed: boolean, reason: string }
  * Allowed roles: super_admin, consultant_admin (own clients), consultant (assigned)
- *
- * Delegates to canManageFlowchart since the permission model is identical.
  */
 const canManageBoundary = async (user, clientId) => {
-  return canManageFlowchart(user, clientId);
+  return authorize(user, 'esg_boundary:manage', { type: 'client', clientId });
 };
 
 /**
  * canViewBoundary
- * More permissive — allows client users to view boundary.
- * For now, same as canManageBoundary. Expand later if client-read needed.
+ * Same roles as canManageBoundary by default; a client's own access policy
+ * can grant esg_boundary:view to its users.
  */
 const canViewBoundary = async (user, clientId) => {
-  return canManageFlowchart(user, clientId);
+  return authorize(user, 'esg_boundary:view', { type: 'client', clientId });
 };
 
 module.exports = { canManageBoundary, canViewBoundary };
@@ -16,26 +16,18 @@
  *     → super_admin, consultant_admin, consultant assigned to clientId
  *     → Used for: my-assigned-metrics, get one mapping
  *
- * All return { allowed: boolean, reason: string }
+ * All return { allowed: boolean, reason: string }, decided by the access-policy
+ * engine (esg_mapping:* actions, see common/services/authz/defaultPolicy.js).
  */
 
-const { canManageFlowchart } = require('../../../../../common/utils/Permissions/permissions');
+const { authorize } = require('../../../../../common/services/authz/policyEngine');
 
 /**
  * canManageMapping
  * Allowed: super_admin, consultant_admin, consultant assigned to clientId
  */
 const canManageMapping = async (user, clientId) => {
-  if (user.userType === 'super_admin') {
-    return { allowed: true, reason: 'Super admin access' };
-  }
-  if (user.userType === 'consultant_admin') {
-    return canManageFlowchart(user, clientId);
-  }
-  if (user.userType === 'consultant') {
-    return canManageFlowchart(user, clientId);
-  }
-  return { allowed: false, reason: 'Only super_admin, consultant_admin, or assigned consultant can manage mappings' };
+  return authorize(user, 'esg_mapping:manage', { type: 'client', clientId });
 };
 
 /**
@@ -44,13 +36,7 @@ const canManageMapping = async (user, clientId) => {
  * Consultants cannot change node-level defaults.
  */
 const canManageWorkflowDefaults = async (user, clientId) => {
-  if (user.userType === 'super_admin') {
-    return { allowed: true, reason: 'Super admin access' };
-  }
-  if (user.userType === 'consultant_admin') {
-    return canManageFlowchart(user, clientId);
-  }
-  return { allowed: false, reason: 'Only super_admin or consultant_admin can update node workflow defaults' };
+  return authorize(user, 'esg_mapping:manage_defaults', { type: 'client', clientId });
 };
 
 /**
@@ -60,17 +46,7 @@ const canManageWorkflowDefaults = async (user, clientId) => {
  * Assignee filtering (which mappings they see) is enforced in the controller.
  */
 const canViewAssignedMetrics = async (user, clientId) => {
-  // ESGLink workflow users (contributor / reviewer / approver) are the primary
-  // audience for this endpoint — they should always be able to view their own assignments.
-  const ESG_ASSIGNEE_TYPES = ['contributor', 'reviewer', 'approver'];
-  if (ESG_ASSIGNEE_TYPES.includes(user.userType)) {
-    if (String(user.clientId) === String(clientId)) {
-      return { allowed: true, reason: 'ESGLink assignee access' };
-    }
-    return { allowed: false, reason: 'User does not belong to this client' };
-  }
-  // Consultants and admins use the existing manage-mapping check
-  return canManageMapping(user, clientId);
+  return authorize(user, 'esg_mapping:view_assigned', { type: 'client', clientId });
 };
 
 module.exports = {
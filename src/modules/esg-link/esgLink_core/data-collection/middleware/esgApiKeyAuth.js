@@ -32,7 +32,7 @@ function checkRateLimit(keyId, maxRequests = 100, windowMs = 60000) {
  * @param {string} keyType  'ESG_API' | 'ESG_IOT'
  */
 function esgApiKeyAuth(keyType) {
-  return async function (req, res, next) {
+  const middleware = async function (req, res, next) {
     try {
       const { clientId, nodeId, mappingId, apiKey: plaintextKey } = req.params;
 
@@ -122,6 +122,8 @@ function esgApiKeyAuth(keyType) {
       return res.status(500).json({ success: false, message: 'API key verification failed' });
     }
   };
+  middleware.openapi = { apiKeyType: keyType };
+  return middleware;
 }
 
 const esgKeyMiddleware = {
@@ -82,6 +82,13 @@ const EsgDataEntrySchema = new Schema(
     // ── Data Values ──────────────────────────────────────────────────────────
     dataValues:        { type: Map, of: Schema.Types.Mixed },
     unitOfMeasurement: { type: String },
+    // Set when the contributor submitted in another unit than the metric's
+    // primaryUnit: the unit and values as submitted, and the factor applied.
+    unitConversion: {
+      originalUnit:   { type: String },
+      factor:         { type: Number },
+      originalValues: { type: Schema.Types.Mixed },
+    },
 
     // ── Derived / Formula ────────────────────────────────────────────────────
     calculatedValue: { type: Number, default: null },
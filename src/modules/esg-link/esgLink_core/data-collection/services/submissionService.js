@@ -5,6 +5,8 @@ const EsgDataEntry     = require('../models/EsgDataEntry');
 const EsgWorkflowAction = require('../models/EsgWorkflowAction');
 const EsgSubmissionThread = require('../models/EsgSubmissionThread');
 const EsgLinkBoundary  = require('../../boundary/models/EsgLinkBoundary');
+const EsgMetric        = require('../../metric/models/EsgMetric');
+const uom              = require('../../../../../common/services/uom/uomService');
 const { logEventFireAndForget } = require('../../../../../common/services/audit/auditLogService');
 const { canSubmit }    = require('../utils/submissionPermissions');
 const { triggerAllPeriodSummaryRefresh, resolvePeriodFromEntry } = require('../../summary/services/summaryService');
@@ -72,6 +74,68 @@ function evaluateFormula(mapping, dataValues) {
   };
 }
 
+/**
+ * Resolve the unit a submission is stored in. Values submitted in a unit the
+ * metric accepts are converted to its primaryUnit; anything else is refused.
+ *
+ * Returns { unit, factor, originalUnit } — factor 1 when nothing to convert —
+ * or { error, status }.
+ */
+async function resolveSubmissionUnit(metricId, unitOfMeasurement) {
+  const metric = metricId
+    ? await EsgMetric.findById(metricId).select('primaryUnit allowedUnits').lean()
+    : null;
+  const primaryUnit = metric?.primaryUnit;
+  const submitted   = (unitOfMeasurement || '').trim();
+
+  if (!primaryUnit || !submitted) return { unit: submitted || primaryUnit || '', factor: 1 };
+
+  const same = (a, b) => {
+    if (uom.normalizeToken(a) === uom.normalizeToken(b)) return true;
+    const ua = uom.parseUnit(a);
+    const ub = uom.parseUnit(b);
+    return !!(ua && ub && ua.symbol === ub.symbol);
+  };
+  if (same(submitted, primaryUnit)) return { unit: primaryUnit, factor: 1 };
+
+  const allowedUnits = metric.allowedUnits || [];
+  const isAllowed    = allowedUnits.some((u) => same(submitted, u));
+  if (allowedUnits.length && !isAllowed) {
+    return {
+      error:  `Unit '${submitted}' is not accepted for this metric (use ${[primaryUnit, ...allowedUnits].join(', ')})`,
+      status: 422,
+    };
+  }
+
+  const from = uom.parseUnit(submitted);
+  const to   = uom.parseUnit(primaryUnit);
+  if (from && to) {
+    try {
+      return { unit: primaryUnit, factor: uom.conversionFactor(from.symbol, to.symbol), originalUnit: submitted };
+    } catch (err) {
+      return { error: err.message, status: err.status || 422 };
+    }
+  }
+  // Free-text units (outside the registry) are only stored when explicitly allowed
+  if (isAllowed) return { unit: submitted, factor: 1 };
+  return { error: `Cannot convert '${submitted}' to the metric unit '${primaryUnit}'`, status: 422 };
+}
+
+/**
+ * Record of a conversion for EsgDataEntry.unitConversion (values as submitted),
+ * or undefined when the submission was already in the primary unit.
+ */
+function unitConversionRecord(unitResult, dvMap) {
+  if (unitResult.factor === 1) return undefined;
+  return { originalUnit: unitResult.originalUnit, factor: unitResult.factor, originalValues: Object.fromEntries(dvMap) };
+}
+
+function scaleNumericValues(dvMap, factor) {
+  for (const [k, v] of dvMap.entries()) {
+    if (typeof v === 'number') dvMap.set(k, v * factor);
+  }
+}
+
 /**
  * Run mapping validationRules against submitted dataValues.
  * Returns { passed, errors }.
@@ -138,19 +202,26 @@ async function create(payload, actor, options = {}) {
     ? dataValues
     : new Map(Object.entries(dataValues || {}));
 
+  // ── 3b. Unit → metric primaryUnit ─────────────────────────────────────────
+  // Guard: run if a formula expression is stored in the mapping snapshot.
+  // (metricType is not embedded in MetricDetailSchema — use formulaSnapshot presence instead)
+  const needsFormula = !!(mapping.formulaSnapshot?.expression);
+  const unitResult   = await resolveSubmissionUnit(mapping.metricId, unitOfMeasurement);
+  if (unitResult.error) return { error: unitResult.error, status: unitResult.status };
+  const unitConversion = unitConversionRecord(unitResult, dvMap);
+  // Raw values are converted; formula inputs keep their own units and the result is converted
+  if (!needsFormula) scaleNumericValues(dvMap, unitResult.factor);
+
   // ── 4. Validation rules ───────────────────────────────────────────────────
   const validationResult = runValidationRules(mapping, dvMap);
 
   // ── 5. Formula evaluation (on submission) ─────────────────────────────────
-  // Guard: run if a formula expression is stored in the mapping snapshot.
-  // (metricType is not embedded in MetricDetailSchema — use formulaSnapshot presence instead)
   let calculatedValue = null;
   let derivedFrom     = null;
-  const needsFormula  = !!(mapping.formulaSnapshot?.expression);
   if (needsFormula) {
     try {
       const evalResult = evaluateFormula(mapping, dvMap);
-      calculatedValue  = evalResult.calculatedValue;
+      calculatedValue  = evalResult.calculatedValue == null ? null : evalResult.calculatedValue * unitResult.factor;
       derivedFrom      = evalResult.derivedFrom;
     } catch (err) {
       validationResult.errors.push({
@@ -182,7 +253,8 @@ async function create(payload, actor, options = {}) {
     submissionSource,
     inputType,
     dataValues:         dvMap,
-    unitOfMeasurement:  unitOfMeasurement || '',
+    unitOfMeasurement:  unitResult.unit,
+    unitConversion,
     calculatedValue,
     derivedFrom,
     workflowStatus,
@@ -312,15 +384,32 @@ async function updateDraft(submissionId, payload, actor, options = {}) {
     return { error: 'Only draft submissions can be updated', status: 400 };
   }
 
+  // Values and unit as the contributor sees them: a new unit re-applies to the
+  // values as last submitted, new values keep the unit last submitted in
+  const unitChanged = payload.unitOfMeasurement != null;
   const dvMap = payload.dataValues instanceof Map
     ? payload.dataValues
-    : new Map(Object.entries(payload.dataValues || {}));
+    : new Map(Object.entries(
+      payload.dataValues || doc.unitConversion?.originalValues || Object.fromEntries(doc.dataValues || new Map())
+    ));
+  const submittedUnit = unitChanged
+    ? payload.unitOfMeasurement
+    : (doc.unitConversion?.originalUnit || doc.unitOfMeasurement);
 
-  if (payload.dataValues) doc.dataValues = dvMap;
-  if (payload.unitOfMeasurement != null) doc.unitOfMeasurement = payload.unitOfMeasurement;
+  const resolved = await resolveMapping(doc.clientId, doc.nodeId, doc.mappingId);
+  const hasFormula = !!(resolved?.mapping.formulaSnapshot?.expression);
+
+  let unitResult = { unit: submittedUnit, factor: 1 };
+  if (payload.dataValues || unitChanged) {
+    unitResult = await resolveSubmissionUnit(doc.metricId, submittedUnit);
+    if (unitResult.error) return { error: unitResult.error, status: unitResult.status };
+    doc.unitConversion = unitConversionRecord(unitResult, dvMap);
+    if (!hasFormula) scaleNumericValues(dvMap, unitResult.factor);
+    doc.dataValues = dvMap;
+    doc.unitOfMeasurement = unitResult.unit;
+  }
 
   // Re-evaluate formula on draft update
-  const resolved = await resolveMapping(doc.clientId, doc.nodeId, doc.mappingId);
   if (resolved) {
     const { mapping } = resolved;
     const validationResult = runValidationRules(mapping, dvMap);
@@ -330,7 +419,7 @@ async function updateDraft(submissionId, payload, actor, options = {}) {
     if (needsFormula) {
       try {
         const evalResult     = evaluateFormula(mapping, dvMap);
-        doc.calculatedValue  = evalResult.calculatedValue;
+        doc.calculatedValue  = evalResult.calculatedValue == null ? null : evalResult.calculatedValue * unitResult.factor;
         doc.derivedFrom      = evalResult.derivedFrom;
       } catch (_) {}
     }
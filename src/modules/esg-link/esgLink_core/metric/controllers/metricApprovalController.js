@@ -22,8 +22,8 @@ const { logEventFireAndForget } = require('../../../../../common/services/audit/
 
 // ── Shared guard ───────────────────────────────────────────────────────────────
 
-const _guardSuperAdmin = (user, res) => {
-  const perm = canApproveMetricChange(user);
+const _guardSuperAdmin = async (user, res) => {
+  const perm = await canApproveMetricChange(user);
   if (perm.allowed) return false;
   res.status(403).json({ message: 'Permission denied', reason: perm.reason });
   return true;
@@ -69,7 +69,7 @@ const listMetricApprovals = async (req, res) => {
 
 const getMetricApproval = async (req, res) => {
   try {
-    if (_guardSuperAdmin(req.user, res)) return;
+    if (await _guardSuperAdmin(req.user, res)) return;
 
     const { approvalId } = req.params;
     if (!mongoose.Types.ObjectId.isValid(approvalId)) {
@@ -97,7 +97,7 @@ const getMetricApproval = async (req, res) => {
 
 const approveMetricChange = async (req, res) => {
   try {
-    if (_guardSuperAdmin(req.user, res)) return;
+    if (await _guardSuperAdmin(req.user, res)) return;
 
     const { approvalId } = req.params;
     if (!mongoose.Types.ObjectId.isValid(approvalId)) {
@@ -177,7 +177,7 @@ const approveMetricChange = async (req, res) => {
 
 const rejectMetricChange = async (req, res) => {
   try {
-    if (_guardSuperAdmin(req.user, res)) return;
+    if (await _guardSuperAdmin(req.user, res)) return;
 
     const { approvalId } = req.params;
     if (!mongoose.Types.ObjectId.isValid(approvalId)) {
@@ -32,6 +32,7 @@ const {
 const {
   generateMetricCode,
   validateSubcategoryCode,
+  validateMetricUnits,
   hasDefinitionChange,
 } = require('../services/metricService');
 const { createApprovalRequest } = require('../services/metricApprovalService');
@@ -86,7 +87,7 @@ const _buildListFilter = (query, baseFilter) => {
 
 const createGlobalMetric = async (req, res) => {
   try {
-    const perm = canManageGlobalMetric(req.user);
+    const perm = await canManageGlobalMetric(req.user);
     if (_guardPermission(perm, res)) return;
 
     const {
@@ -113,6 +114,11 @@ const createGlobalMetric = async (req, res) => {
       return res.status(400).json({ message: subCatCheck.message, code: 'INVALID_SUBCATEGORY' });
     }
 
+    const unitCheck = validateMetricUnits(primaryUnit, allowedUnits);
+    if (!unitCheck.valid) {
+      return res.status(400).json({ message: unitCheck.message, code: 'INCOMPATIBLE_UNITS' });
+    }
+
     // formulaId required for derived / intensity
     if ((metricType === 'derived' || metricType === 'intensity')) {
       if (!formulaId) {
@@ -359,7 +365,7 @@ const updateMetric = async (req, res) => {
 
     // Permission check based on scope
     if (metric.isGlobal) {
-      const perm = canManageGlobalMetric(req.user);
+      const perm = await canManageGlobalMetric(req.user);
       if (_guardPermission(perm, res)) return;
     } else {
       const perm = await canManageClientMetric(req.user, metric.clientId);
@@ -391,6 +397,17 @@ const updateMetric = async (req, res) => {
       });
     }
 
+    // Units are checked together, so an update to either side is validated
+    if (payload.primaryUnit !== undefined || payload.allowedUnits !== undefined) {
+      const unitCheck = validateMetricUnits(
+        payload.primaryUnit !== undefined ? payload.primaryUnit : metric.primaryUnit,
+        payload.allowedUnits !== undefined ? payload.allowedUnits : metric.allowedUnits
+      );
+      if (!unitCheck.valid) {
+        return res.status(400).json({ message: unitCheck.message, code: 'INCOMPATIBLE_UNITS' });
+      }
+    }
+
     // Validate formulaId if being updated
     if (payload.formulaId) {
       const fCheck = await _validateFormulaId(payload.formulaId);
@@ -503,7 +520,7 @@ const publishMetric = async (req, res) => {
       });
     }
 
-    const perm = canManageGlobalMetric(req.user);
+    const perm = await canManageGlobalMetric(req.user);
     if (_guardPermission(perm, res)) return;
 
     if (metric.publishedStatus !== 'draft') {
@@ -600,7 +617,7 @@ const retireMetric = async (req, res) => {
 
     // Permission based on scope
     if (metric.isGlobal) {
-      const perm = canManageGlobalMetric(req.user);
+      const perm = await canManageGlobalMetric(req.user);
       if (_guardPermission(perm, res)) return;
     } else {
       const perm = await canManageClientMetric(req.user, metric.clientId);
@@ -701,7 +718,7 @@ const deleteMetric = async (req, res) => {
     }
 
     // Delete is restricted to super_admin / consultant_admin (global-manage level)
-    const perm = canManageGlobalMetric(req.user);
+    const perm = await canManageGlobalMetric(req.user);
     if (_guardPermission(perm, res)) return;
 
     // consultant_admin on global metric → raise approval request
@@ -804,6 +821,11 @@ const createClientMetric = async (req, res) => {
       return res.status(400).json({ message: subCatCheck.message, code: 'INVALID_SUBCATEGORY' });
     }
 
+    const unitCheck = validateMetricUnits(primaryUnit, allowedUnits);
+    if (!unitCheck.valid) {
+      return res.status(400).json({ message: unitCheck.message, code: 'INCOMPATIBLE_UNITS' });
+    }
+
     // formulaId validation if provided
     if (formulaId) {
       const fCheck = await _validateFormulaId(formulaId);
@@ -8,11 +8,13 @@
  *   - generateMetricCode: sequential ESG-X-XX-NNN code generation, scoped to
  *     global or per-client namespace. Includes a single collision retry.
  *   - validateSubcategoryCode: validates subcategoryCode belongs to esgCategory.
+ *   - validateMetricUnits: allowedUnits must measure the same thing as primaryUnit.
  *   - DEFINITION_FIELDS: the set of fields whose change bumps metric version.
  */
 
 const EsgMetric = require('../models/EsgMetric');
 const { SUBCATEGORY_CODES } = require('../models/EsgMetric');
+const uom = require('../../../../../common/services/uom/uomService');
 
 // ── Definition-level fields (version bumps when any of these change) ──────────
 const DEFINITION_FIELDS = [
@@ -47,6 +49,36 @@ const validateSubcategoryCode = (esgCategory, subcategoryCode) => {
   return { valid: true, message: '' };
 };
 
+/**
+ * validateMetricUnits
+ * Every allowed unit must be convertible to primaryUnit, so submissions in an
+ * allowed unit can be normalised (see submissionService). Units outside the
+ * unit registry (e.g. 'headcount') are free text and accepted as-is.
+ *
+ * @param {string|null} primaryUnit
+ * @param {string[]}    allowedUnits
+ * @returns {{ valid: boolean, message: string }}
+ */
+const validateMetricUnits = (primaryUnit, allowedUnits = []) => {
+  if (allowedUnits != null && !Array.isArray(allowedUnits)) {
+    return { valid: false, message: 'allowedUnits must be an array of unit strings' };
+  }
+  const primary = uom.parseUnit(primaryUnit);
+  if (!primary) return { valid: true, message: '' };
+
+  const incompatible = (allowedUnits || []).filter((u) => {
+    const unit = uom.parseUnit(u);
+    return unit && !uom.areCompatible(unit.symbol, primary.symbol);
+  });
+  if (incompatible.length) {
+    return {
+      valid: false,
+      message: `allowedUnits ${incompatible.join(', ')} cannot be converted to primaryUnit '${primaryUnit}'`,
+    };
+  }
+  return { valid: true, message: '' };
+};
+
 /**
  * generateMetricCode
  * Produces the next sequential code: ESG-{esgCategory}-{subcategoryCode}-{NNN}
@@ -110,6 +142,7 @@ const hasDefinitionChange = (updatePayload) => {
 module.exports = {
   generateMetricCode,
   validateSubcategoryCode,
+  validateMetricUnits,
   hasDefinitionChange,
   DEFINITION_FIELDS,
 };
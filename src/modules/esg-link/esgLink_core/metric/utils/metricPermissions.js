@@ -18,26 +18,21 @@
  *     → all of canManageClientMetric + client_admin viewing their own client
  *     → Used for: list and get metric by ID for client-scoped metrics
  *
- * All async functions return { allowed: boolean, reason: string }
- * to match the pattern established by canManageBoundary.
+ * All return Promise<{ allowed: boolean, reason: string }>, decided by the
+ * access-policy engine (esg_metric:* actions, see
+ * common/services/authz/defaultPolicy.js).
  */
 
-const { canManageFlowchart } = require('../../../../../common/utils/Permissions/permissions');
+const { authorize } = require('../../../../../common/services/authz/policyEngine');
 
 /**
  * canManageGlobalMetric
  * Allowed: super_admin, consultant_admin
  * @param {object} user - req.user
- * @returns {{ allowed: boolean, reason: string }}
+ * @returns {Promise<{ allowed: boolean, reason: string }>}
  */
-const canManageGlobalMetric = (user) => {
-  if (user.userType === 'super_admin') {
-    return { allowed: true, reason: 'Super admin access' };
-  }
-  if (user.userType === 'consultant_admin') {
-    return { allowed: true, reason: 'Consultant admin access' };
-  }
-  return { allowed: false, reason: 'Only super_admin or consultant_admin can manage global metrics' };
+const canManageGlobalMetric = async (user) => {
+  return authorize(user, 'esg_metric:manage_global', { type: 'metric' });
 };
 
 /**
@@ -48,16 +43,7 @@ const canManageGlobalMetric = (user) => {
  * @returns {Promise<{ allowed: boolean, reason: string }>}
  */
 const canManageClientMetric = async (user, clientId) => {
-  // super_admin and consultant_admin always allowed
-  const globalCheck = canManageGlobalMetric(user);
-  if (globalCheck.allowed) return globalCheck;
-
-  // consultant: must be assigned to the client (reuse canManageFlowchart logic)
-  if (user.userType === 'consultant') {
-    return canManageFlowchart(user, clientId);
-  }
-
-  return { allowed: false, reason: 'Insufficient permissions to manage client metrics' };
+  return authorize(user, 'esg_metric:manage_client', { type: 'client', clientId });
 };
 
 /**
@@ -68,30 +54,17 @@ const canManageClientMetric = async (user, clientId) => {
  * @returns {Promise<{ allowed: boolean, reason: string }>}
  */
 const canViewClientMetrics = async (user, clientId) => {
-  // client_admin can view their own client's metrics
-  if (user.userType === 'client_admin') {
-    const userClientId = user.clientId ? String(user.clientId) : null;
-    if (userClientId && userClientId === String(clientId)) {
-      return { allowed: true, reason: 'Client admin viewing own client metrics' };
-    }
-    return { allowed: false, reason: 'Client admin can only view their own client metrics' };
-  }
-
-  // All manage roles can also view
-  return canManageClientMetric(user, clientId);
+  return authorize(user, 'esg_metric:view_client', { type: 'client', clientId });
 };
 
 /**
  * canApproveMetricChange
  * Allowed: super_admin only — reviews pending global metric approval requests
  * @param {object} user - req.user
- * @returns {{ allowed: boolean, reason: string }}
+ * @returns {Promise<{ allowed: boolean, reason: string }>}
  */
-const canApproveMetricChange = (user) => {
-  if (user.userType === 'super_admin') {
-    return { allowed: true, reason: 'Super admin access' };
-  }
-  return { allowed: false, reason: 'Only super_admin can approve or reject global metric change requests' };
+const canApproveMetricChange = async (user) => {
+  return authorize(user, 'esg_metric:approve_change', { type: 'metric' });
 };
 
 module.exports = {
@@ -228,6 +228,22 @@ disclosureAnswerSchema.index(
 disclosureAnswerSchema.index({ clientId: 1, periodId: 1, frameworkCode: 1, status: 1 });
 disclosureAnswerSchema.index({ assignmentId: 1 });
 
+// Keep the GreOn IQ document-search index in step with narrative answers
+require('../../../greon-iq/utils/vectorIndexHooks').attachVectorIndexHooks(disclosureAnswerSchema, 'brsr_answer');
+
+// Outbound webhooks: brsr_answer.approved on final approval
+require('../../../../common/services/webhook/webhookHooks').attachWebhookHooks(disclosureAnswerSchema, {
+  events: (doc) => (doc.isModified('status') && doc.status === 'final_approved' ? ['brsr_answer.approved'] : []),
+  payload: (doc) => ({
+    answerId:      doc._id,
+    periodId:      doc.periodId,
+    frameworkCode: doc.frameworkCode,
+    questionId:    doc.questionId,
+    status:        doc.status,
+    approvedAt:    doc.approvedAt,
+  }),
+});
+
 module.exports = mongoose.model('DisclosureAnswer', disclosureAnswerSchema);
 module.exports.ANSWER_SOURCE_ENUM        = ANSWER_SOURCE_ENUM;
 module.exports.APPLICABILITY_STATUS_ENUM = APPLICABILITY_STATUS_ENUM;
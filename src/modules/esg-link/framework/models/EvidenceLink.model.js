@@ -98,6 +98,9 @@ const evidenceLinkSchema = new mongoose.Schema(
 evidenceLinkSchema.index({ answerId: 1, status: 1 });
 evidenceLinkSchema.index({ clientId: 1, periodId: 1, questionId: 1 });
 
+// Keep the GreOn IQ document-search index in step with evidence notes
+require('../../../greon-iq/utils/vectorIndexHooks').attachVectorIndexHooks(evidenceLinkSchema, 'evidence_note');
+
 module.exports = mongoose.model('EsgEvidenceLink', evidenceLinkSchema);
 module.exports.EVIDENCE_TYPE_ENUM   = EVIDENCE_TYPE_ENUM;
 module.exports.EVIDENCE_STATUS_ENUM = EVIDENCE_STATUS_ENUM;
@@ -0,0 +1,143 @@
+'use strict';
+
+// ============================================================================
+// providerSettingsController.js — Per-client LLM provider / model selection
+//
+// GET    /api/greon-iq/provider-settings  — effective chain for a client
+// PUT    /api/greon-iq/provider-settings  — set the ordered provider chain
+// DELETE /api/greon-iq/provider-settings  — revert to the deployment default
+//
+// Viewing: admin roles. Changing: super_admin / consultant_admin only, since
+// the provider choice affects cost and where client data is sent.
+// ============================================================================
+
+const GreOnIQProviderSetting  = require('../models/GreOnIQProviderSetting');
+const { resolveClientScope }  = require('../services/clientScopeResolver');
+const { listLlmProviders, mockProviderEnabled } = require('../providers/llm');
+const { getProviderStatus, invalidateProviderSettings } = require('../providers/llmGateway');
+
+const VIEW_ROLES   = new Set(['super_admin', 'consultant_admin', 'consultant', 'client_admin']);
+const MANAGE_ROLES = new Set(['super_admin', 'consultant_admin']);
+const MAX_CHAIN    = 4;
+
+function _validateChain(chain) {
+  if (!Array.isArray(chain) || chain.length === 0) {
+    return 'chain must be a non-empty array of { provider, model? }.';
+  }
+  if (chain.length > MAX_CHAIN) {
+    return `chain can contain at most ${MAX_CHAIN} providers.`;
+  }
+  const available = listLlmProviders();
+  for (const entry of chain) {
+    if (entry?.provider === 'mock' && !mockProviderEnabled()) {
+      return "The 'mock' provider is not available in production.";
+    }
+    if (!entry || typeof entry.provider !== 'string' || !available.includes(entry.provider)) {
+      return `Unknown provider '${entry?.provider}'. Available: ${available.join(', ')}.`;
+    }
+    if (entry.model !== undefined && entry.model !== null && typeof entry.model !== 'string') {
+      return 'model must be a string when provided.';
+    }
+  }
+  return null;
+}
+
+// GET /api/greon-iq/provider-settings
+async function getSettings(req, res) {
+  try {
+    const user = req.user;
+    if (!VIEW_ROLES.has(user.userType)) {
+      return res.status(403).json({ success: false, code: 'FORBIDDEN', message: 'Only admins can view AI provider settings.' });
+    }
+
+    const scope = await resolveClientScope(user, req.query.clientId);
+    if (scope.error) {
+      return res.status(400).json({ success: false, code: scope.code, message: scope.error });
+    }
+
+    const setting = await GreOnIQProviderSetting.findOne({ clientId: scope.clientId }).lean();
+    const deploymentDefault = getProviderStatus();
+
+    return res.status(200).json({
+      success:            true,
+      clientId:           scope.clientId,
+      source:             setting ? 'client' : 'default',
+      chain:              setting
+        ? setting.chain
+        : deploymentDefault.chain.map(({ provider, model }) => ({ provider, model: model || null })),
+      updatedAt:          setting?.updatedAt || null,
+      availableProviders: deploymentDefault.availableProviders,
+    });
+  } catch (err) {
+    console.error('[GreOnIQ] getProviderSettings error:', err.message);
+    return res.status(500).json({ success: false, code: 'INTERNAL_ERROR' });
+  }
+}
+
+// PUT /api/greon-iq/provider-settings
+async function updateSettings(req, res) {
+  try {
+    const user = req.user;
+    if (!MANAGE_ROLES.has(user.userType)) {
+      return res.status(403).json({ success: false, code: 'FORBIDDEN', message: 'Only super admins and consultant admins can change AI provider settings.' });
+    }
+
+    const scope = await resolveClientScope(user, req.body.clientId);
+    if (scope.error) {
+      return res.status(400).json({ success: false, code: scope.code, message: scope.error });
+    }
+
+    const validationError = _validateChain(req.body.chain);
+    if (validationError) {
+      return res.status(400).json({ success: false, code: 'VALIDATION_ERROR', message: validationError });
+    }
+
+    const chain = req.body.chain.map((e) => ({ provider: e.provider, model: e.model || null }));
+    const setting = await GreOnIQProviderSetting.findOneAndUpdate(
+      { clientId: scope.clientId },
+      { $set: { chain, updatedBy: user._id } },
+      { new: true, upsert: true, runValidators: true }
+    ).lean();
+
+    invalidateProviderSettings(scope.clientId);
+
+    return res.status(200).json({
+      success:  true,
+      clientId: scope.clientId,
+      chain:    setting.chain,
+      message:  'AI provider settings updated.',
+    });
+  } catch (err) {
+    console.error('[GreOnIQ] updateProviderSettings error:', err.message);
+    return res.status(500).json({ success: false, code: 'INTERNAL_ERROR' });
+  }
+}
+
+// DELETE /api/greon-iq/provider-settings
+async function resetSettings(req, res) {
+  try {
+    const user = req.user;
+    if (!MANAGE_ROLES.has(user.userType)) {
+      return res.status(403).json({ success: false, code: 'FORBIDDEN', message: 'Only super admins and consultant admins can change AI provider settings.' });
+    }
+
+    const scope = await resolveClientScope(user, req.body?.clientId || req.query.clientId);
+    if (scope.error) {
+      return res.status(400).json({ success: false, code: scope.code, message: scope.error });
+    }
+
+    await GreOnIQProviderSetting.deleteOne({ clientId: scope.clientId });
+    invalidateProviderSettings(scope.clientId);
+
+    return res.status(200).json({
+      success:  true,
+      clientId: scope.clientId,
+      message:  'AI provider settings reset to the deployment default.',
+    });
+  } catch (err) {
+    console.error('[GreOnIQ] resetProviderSettings error:', err.message);
+    return res.status(500).json({ success: false, code: 'INTERNAL_ERROR' });
+  }
+}
+
+module.exports = { getSettings, updateSettings, resetSettings };
@@ -4,7 +4,7 @@
 // queryController.js — POST /api/greon-iq/query
 //
 // Implements all 10 permission gates, orchestrates retrieval, composes the
-// DeepSeek response, deducts quota credits, and writes the audit log.
+// LLM response, deducts quota credits, and writes the audit log.
 //
 // Gates (in order):
 //   1  auth middleware          — JWT validated upstream in greonIQRoutes
@@ -175,7 +175,7 @@ async function query(req, res) {
 
     const retrievalResult = await retriever.retrieve(plan, accessContext);
 
-    // ── Response composition (calls DeepSeek) ────────────────────────────────
+    // ── Response composition (calls the LLM gateway) ─────────────────────────
     const composed = await compose(plan, retrievalResult, accessContext);
 
     // ── Credit deduction ──────────────────────────────────────────────────────
@@ -199,7 +199,7 @@ async function query(req, res) {
       modulesUsed:         [plan.domain],
       recordsTouchedCount: retrievalResult.recordCount,
       excludedDomains:     composed.exclusions,
-      aiRequestMeta:       { model: composed._aiMeta?.model, durationMs: Date.now() - startTime },
+      aiRequestMeta:       { provider: composed._aiMeta?.provider, model: composed._aiMeta?.model, durationMs: Date.now() - startTime },
       aiResponseMeta:      { tokensIn, tokensOut },
       durationMs:          Date.now() - startTime,
       quotaConsumed:       deductResult.totalCredits || baseCredits,
@@ -116,8 +116,8 @@ async function preview(req, res) {
     const baseCredits = getBaseCredits('report_preview');
     const deductResult= await deductQuota(user._id, clientId, {
       actionType: 'report_preview', baseCredits,
-      tokensIn:   reportData._aiUsage?.prompt_tokens    || 0,
-      tokensOut:  reportData._aiUsage?.completion_tokens|| 0,
+      tokensIn:   reportData._aiUsage?.tokensIn  || 0,
+      tokensOut:  reportData._aiUsage?.tokensOut || 0,
       enabledCheck,
     });
 
@@ -0,0 +1,82 @@
+'use strict';
+
+// ============================================================================
+// vectorIndexController.js — Document-search index administration
+//
+// GET  /api/greon-iq/vector-index/status   — per-source chunk counts for a client
+// POST /api/greon-iq/vector-index/rebuild  — re-index all sources for a client
+//
+// Admin roles only. The rebuild runs in the background; the response returns
+// immediately and the result is logged.
+// ============================================================================
+
+const { resolveClientScope } = require('../services/clientScopeResolver');
+const { reindexClient, getIndexStats } = require('../services/vectorIndexService');
+
+const ADMIN_ROLES = new Set(['super_admin', 'consultant_admin', 'consultant', 'client_admin']);
+
+// One rebuild per client at a time
+const _runningRebuilds = new Set();
+
+// GET /api/greon-iq/vector-index/status
+async function getStatus(req, res) {
+  try {
+    const user = req.user;
+    if (!ADMIN_ROLES.has(user.userType)) {
+      return res.status(403).json({ success: false, code: 'FORBIDDEN', message: 'Only admins can view the document index.' });
+    }
+
+    const scope = await resolveClientScope(user, req.query.clientId);
+    if (scope.error) {
+      return res.status(400).json({ success: false, code: scope.code, message: scope.error });
+    }
+
+    const stats = await getIndexStats(scope.clientId);
+    return res.status(200).json({
+      success:           true,
+      clientId:          scope.clientId,
+      rebuildInProgress: _runningRebuilds.has(scope.clientId),
+      ...stats,
+    });
+  } catch (err) {
+    console.error('[GreOnIQ] vectorIndex getStatus error:', err.message);
+    return res.status(500).json({ success: false, code: 'INTERNAL_ERROR' });
+  }
+}
+
+// POST /api/greon-iq/vector-index/rebuild
+async function rebuild(req, res) {
+  try {
+    const user = req.user;
+    if (!ADMIN_ROLES.has(user.userType)) {
+      return res.status(403).json({ success: false, code: 'FORBIDDEN', message: 'Only admins can rebuild the document index.' });
+    }
+
+    const scope = await resolveClientScope(user, req.body.clientId);
+    if (scope.error) {
+      return res.status(400).json({ success: false, code: scope.code, message: scope.error });
+    }
+
+    const { clientId } = scope;
+    if (_runningRebuilds.has(clientId)) {
+      return res.status(409).json({ success: false, code: 'REBUILD_IN_PROGRESS', message: 'A rebuild is already running for this client.' });
+    }
+
+    _runningRebuilds.add(clientId);
+    reindexClient(clientId, { force: req.body.force === true })
+      .then((report) => console.log(`[GreOn IQ] Vector index rebuilt for ${clientId}:`, JSON.stringify(report)))
+      .catch((err) => console.error(`[GreOn IQ] Vector index rebuild failed for ${clientId}:`, err.message))
+      .finally(() => _runningRebuilds.delete(clientId));
+
+    return res.status(202).json({
+      success: true,
+      clientId,
+      message: 'Document index rebuild started.',
+    });
+  } catch (err) {
+    console.error('[GreOnIQ] vectorIndex rebuild error:', err.message);
+    return res.status(500).json({ success: false, code: 'INTERNAL_ERROR' });
+  }
+}
+
+module.exports = { getStatus, rebuild };
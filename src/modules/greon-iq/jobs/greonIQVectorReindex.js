@@ -0,0 +1,40 @@
+'use strict';
+
+// ============================================================================
+// greonIQVectorReindex.js — Nightly catch-up for the document-search index
+//
+// Schedule: Daily 03:00 Asia/Kolkata (IST)
+// Cron:     0 3 * * *
+//
+// WHAT IT DOES:
+//   Re-indexes every BRSR answer, evidence link and ticket updated in the
+//   last 26 hours (2h overlap with the previous run). Model hooks index
+//   sources as they change; this job picks up anything they cannot see —
+//   query-level bulk updates and hook runs lost to a restart.
+//   Unchanged sources are skipped by hash, so the overlap is cheap.
+// ============================================================================
+
+const cron = require('node-cron');
+const { reindexRecentlyUpdated } = require('../services/vectorIndexService');
+
+const LOOKBACK_MS = 26 * 60 * 60 * 1000;
+
+function startGreOnIQVectorReindex() {
+  cron.schedule(
+    '0 3 * * *',
+    async () => {
+      try {
+        console.log('[GreOn IQ] Vector index catch-up started (03:00 IST).');
+        const report = await reindexRecentlyUpdated(new Date(Date.now() - LOOKBACK_MS));
+        console.log('[GreOn IQ] Vector index catch-up done —', JSON.stringify(report));
+      } catch (err) {
+        console.error('[GreOn IQ] Vector index catch-up job error:', err.message);
+      }
+    },
+    { timezone: 'Asia/Kolkata' }
+  );
+
+  console.log('[GreOn IQ] Vector index catch-up job registered (Daily 03:00 IST).');
+}
+
+module.exports = { startGreOnIQVectorReindex };
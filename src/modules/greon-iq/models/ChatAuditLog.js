@@ -67,8 +67,9 @@ const ChatAuditLogSchema = new mongoose.Schema(
     exportFormat:        { type: String, enum: ['pdf', 'docx', 'xlsx', null], default: null },
 
     // ── AI provider metadata (safe — no keys, no raw prompts) ─────────────────
-    // Stores: model name, token counts, request duration only.
+    // Stores: provider + model name, token counts, request duration only.
     aiRequestMeta: {
+      provider:   { type: String, default: null },
       model:      { type: String, default: null },
       durationMs: { type: Number, default: 0 },
     },
@@ -64,6 +64,7 @@ const ChartSchema = new mongoose.Schema(
 const AiMetaSchema = new mongoose.Schema(
   {
     model:      { type: String },
+    provider:   { type: String, default: null },
     tokensIn:   { type: Number, default: 0 },
     tokensOut:  { type: Number, default: 0 },
     durationMs: { type: Number, default: 0 },
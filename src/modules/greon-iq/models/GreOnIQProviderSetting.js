@@ -0,0 +1,50 @@
+'use strict';
+
+// ============================================================================
+// GreOnIQProviderSetting — per-client LLM provider / model selection
+//
+// One record per client. When absent, the gateway uses the deployment default
+// (GREONIQ_LLM_PROVIDER + GREONIQ_LLM_FALLBACK from .env).
+//
+// chain is ordered: the first entry is tried first; each following entry is
+// used only when the previous one errors or times out. Provider names must be
+// registered in providers/llm/index.js (validated by the controller, not the
+// schema, because endpoints are configured per deployment).
+//
+// Written only by super_admin / consultant_admin (see providerSettingsController).
+// ============================================================================
+
+const mongoose = require('mongoose');
+
+const ChainEntrySchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true, trim: true },
+    // null = provider's configured default model
+    model:    { type: String, default: null, trim: true },
+  },
+  { _id: false }
+);
+
+const GreOnIQProviderSettingSchema = new mongoose.Schema(
+  {
+    clientId: {
+      type:     String,
+      required: true,
+      unique:   true,
+    },
+    chain: {
+      type:     [ChainEntrySchema],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length >= 1 && v.length <= 4,
+        message:   'chain must contain between 1 and 4 providers.',
+      },
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref:  'User',
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('GreOnIQProviderSetting', GreOnIQProviderSettingSchema);
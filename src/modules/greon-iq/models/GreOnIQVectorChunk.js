@@ -0,0 +1,112 @@
+'use strict';
+
+// ============================================================================
+// GreOnIQVectorChunk — one embedded text chunk in the GreOn IQ vector index
+//
+// Written ONLY by vectorIndexService (through the mongo vector store).
+// A source document (BRSR answer, evidence note, ticket thread, OCR'd bill)
+// is split into chunks; all chunks of a source are replaced together whenever
+// the source changes, and removed when the source is deleted.
+//
+// ACCESS SCOPING:
+//   clientId is mandatory and every query is filtered on it.
+//   The scope sub-document carries the attributes the retriever filters on
+//   for restricted roles (node / scope identifier / participating users).
+//
+// content and title are encrypted at rest (see plugin at the bottom).
+// ============================================================================
+
+const mongoose = require('mongoose');
+
+const SOURCE_TYPES = ['brsr_answer', 'evidence_note', 'ticket_thread', 'ocr_bill'];
+
+const ChunkScopeSchema = new mongoose.Schema(
+  {
+    nodeId:          { type: String, default: null },
+    scopeIdentifier: { type: String, default: null },
+    periodId:        { type: String, default: null },
+    frameworkCode:   { type: String, default: null },
+    // Users who may see this chunk when the caller is scope-restricted
+    // (ticket creator / assignee / watchers). Empty = no user restriction.
+    userIds:         { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+const GreOnIQVectorChunkSchema = new mongoose.Schema(
+  {
+    clientId: {
+      type:     String,
+      required: true,
+      index:    true,
+    },
+    sourceType: {
+      type:     String,
+      enum:     SOURCE_TYPES,
+      required: true,
+    },
+    sourceId: {
+      type:     String,
+      required: true,
+    },
+    // 'zero_carbon' | 'esg_link' | 'both' — mirrors moduleRegistry products
+    product: {
+      type:    String,
+      enum:    ['zero_carbon', 'esg_link', 'both'],
+      default: 'both',
+    },
+    title: {
+      type:    String,
+      default: '',
+    },
+    chunkIndex: {
+      type:     Number,
+      required: true,
+    },
+    content: {
+      type:     String,
+      required: true,
+    },
+    // sha256 of the full source text — lets the indexer skip unchanged sources
+    sourceHash: {
+      type:    String,
+      default: null,
+    },
+    embedding: {
+      type:    [Number],
+      default: [],
+    },
+    embeddingModel: {
+      type:    String,
+      default: null,
+    },
+    scope: {
+      type:    ChunkScopeSchema,
+      default: () => ({}),
+    },
+    sourceUpdatedAt: {
+      type:    Date,
+      default: null,
+    },
+    indexedAt: {
+      type:    Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: false }
+);
+
+// One chunk per (source, position)
+GreOnIQVectorChunkSchema.index({ clientId: 1, sourceType: 1, sourceId: 1, chunkIndex: 1 }, { unique: true });
+// Candidate selection for scoped queries
+GreOnIQVectorChunkSchema.index({ clientId: 1, sourceType: 1, 'scope.nodeId': 1 });
+
+// ─── Field-level encryption ──────────────────────────────────────────────────
+// Chunk text is a plain copy of client documents (bills, answers, threads), so
+// it is encrypted at rest like the source records. Embeddings stay plain
+// because the vector store scores them directly.
+const encryptionPlugin = require('../../../common/utils/mongooseEncryptionPlugin');
+GreOnIQVectorChunkSchema.plugin(encryptionPlugin, { fields: ['content', 'title'] });
+
+module.exports = mongoose.model('GreOnIQVectorChunk', GreOnIQVectorChunkSchema);
+module.exports.SOURCE_TYPES = SOURCE_TYPES;
@@ -0,0 +1,147 @@
+'use strict';
+
+// ============================================================================
+// embeddingProvider.js — Text embedding for the GreOn IQ vector index
+//
+// DEFAULT PROVIDER: 'local-hash'
+//   A deterministic, in-process feature-hashing embedder. Each normalised
+//   token (and adjacent token pair) is hashed into a fixed-size vector and the
+//   result is L2-normalised. No network calls, no API key, no per-call cost —
+//   suitable for keyword-heavy sustainability text (bill fields, BRSR answers,
+//   ticket threads) and fully reproducible in tests.
+//
+// CONFIGURATION (via .env):
+//   GREONIQ_EMBEDDING_PROVIDER — optional, default: local-hash
+//   GREONIQ_EMBEDDING_DIMS     — optional, default: 256 (local-hash only)
+//
+// Adding a remote embedder later: implement { name, dims, embed(text) } and
+// register it with registerEmbedder(). Chunks record the embedder name so a
+// change of provider is detected and the index can be rebuilt.
+// ============================================================================
+
+const crypto = require('crypto');
+
+const DEFAULT_PROVIDER = process.env.GREONIQ_EMBEDDING_PROVIDER || 'local-hash';
+const LOCAL_DIMS       = parseInt(process.env.GREONIQ_EMBEDDING_DIMS || '256', 10);
+
+// Very common words carry no retrieval signal — drop them before hashing
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was',
+  'were', 'will', 'with', 'we', 'our', 'you', 'your', 'what', 'which', 'who',
+  'how', 'did', 'do', 'does', 'about', 'any', 'all',
+]);
+
+// ── Internal: tokenisation ────────────────────────────────────────────────────
+function _tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9₹$€£%.\s-]/g, ' ')
+    .split(/[\s-]+/)
+    .map((t) => t.replace(/^\.+|\.+$/g, ''))
+    .filter((t) => t.length > 1 && !STOP_WORDS.has(t));
+}
+
+// Stable 32-bit bucket + sign from a token (md5 is fine — not used for security)
+function _hashToken(token) {
+  const digest = crypto.createHash('md5').update(token).digest();
+  return { bucket: digest.readUInt32BE(0), sign: (digest[4] & 1) ? 1 : -1 };
+}
+
+function _l2Normalize(vector) {
+  let norm = 0;
+  for (const v of vector) norm += v * v;
+  norm = Math.sqrt(norm);
+  if (!norm) return vector;
+  return vector.map((v) => parseFloat((v / norm).toFixed(6)));
+}
+
+// ── Built-in local embedder ───────────────────────────────────────────────────
+const localHashEmbedder = {
+  name: `local-hash-v1-${LOCAL_DIMS}`,
+  dims: LOCAL_DIMS,
+  async embed(text) {
+    const vector = new Array(LOCAL_DIMS).fill(0);
+    const tokens = _tokenize(text);
+
+    for (let i = 0; i < tokens.length; i++) {
+      const uni = _hashToken(tokens[i]);
+      vector[uni.bucket % LOCAL_DIMS] += uni.sign;
+
+      // Bigrams give a little phrase sensitivity ("grid electricity" vs "electricity grid")
+      if (i + 1 < tokens.length) {
+        const bi = _hashToken(`${tokens[i]}_${tokens[i + 1]}`);
+        vector[bi.bucket % LOCAL_DIMS] += 0.5 * bi.sign;
+      }
+    }
+
+    return _l2Normalize(vector);
+  },
+};
+
+const EMBEDDERS = {
+  'local-hash': localHashEmbedder,
+};
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Register an additional embedder implementation.
+ * @param {string} key
+ * @param {{ name: string, dims: number, embed: (text: string) => Promise<number[]> }} embedder
+ */
+function registerEmbedder(key, embedder) {
+  if (!embedder || typeof embedder.embed !== 'function') {
+    throw new Error(`Embedder '${key}' must implement embed(text).`);
+  }
+  EMBEDDERS[key] = embedder;
+}
+
+/**
+ * Returns the configured embedder (falls back to local-hash if unknown).
+ */
+function getEmbedder() {
+  const embedder = EMBEDDERS[DEFAULT_PROVIDER];
+  if (!embedder) {
+    console.warn(`[GreOn IQ] Unknown GREONIQ_EMBEDDING_PROVIDER '${DEFAULT_PROVIDER}' — using local-hash.`);
+    return localHashEmbedder;
+  }
+  return embedder;
+}
+
+/**
+ * Embed a single text with the configured embedder.
+ * @param {string} text
+ * @returns {Promise<number[]>}
+ */
+async function embed(text) {
+  return getEmbedder().embed(text);
+}
+
+/**
+ * Cosine similarity between two equal-length vectors.
+ * Vectors produced by this module are already L2-normalised, but the full
+ * formula is used so externally supplied vectors also score correctly.
+ */
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || !a.length) return 0;
+  let dot = 0;
+  let na  = 0;
+  let nb  = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na  += a[i] * a[i];
+    nb  += b[i] * b[i];
+  }
+  if (!na || !nb) return 0;
+  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+}
+
+module.exports = {
+  embed,
+  getEmbedder,
+  registerEmbedder,
+  cosineSimilarity,
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+// ============================================================================
+// llm/index.js — GreOn IQ LLM provider registry
+//
+// Every provider implements the same contract so the gateway never depends
+// on a specific vendor:
+//
+//   name, defaultModel
+//   chat(messages, { model?, temperature?, maxTokens?, timeout? })
+//     → { success: true,  content, usage: { tokensIn, tokensOut }|null, model }
+//     | { success: false, error, code, usage: null }   (never throws)
+//   getStatus() → safe status object (no secrets)
+//
+// BUILT-IN PROVIDERS:
+//   deepseek — DEEPSEEK_* env (see ../deepseekProvider.js)
+//   mock     — deterministic offline provider (see ./mockProvider.js). Only
+//              registered outside production, or when GREONIQ_LLM_ALLOW_MOCK=true,
+//              so a client chain can never be pointed at canned answers live.
+//
+// EXTRA OPENAI-COMPATIBLE ENDPOINTS (via .env, JSON array):
+//   GREONIQ_LLM_ENDPOINTS=[{"name":"openai","baseUrl":"https://api.openai.com/v1",
+//     "model":"gpt-4o-mini","apiKeyEnv":"OPENAI_API_KEY"},
+//     {"name":"ollama","baseUrl":"http://localhost:11434/v1","model":"llama3.1"}]
+//   apiKeyEnv names the env variable holding the key, so no secret is ever
+//   written into the JSON. Omit it for keyless self-hosted endpoints.
+// ============================================================================
+
+const { createOpenAICompatibleProvider } = require('./openAICompatibleProvider');
+
+function mockProviderEnabled() {
+  return process.env.NODE_ENV !== 'production'
+    || String(process.env.GREONIQ_LLM_ALLOW_MOCK).toLowerCase() === 'true';
+}
+
+const PROVIDERS = {
+  deepseek: () => require('../deepseekProvider'),
+};
+
+if (mockProviderEnabled()) {
+  PROVIDERS.mock = () => require('./mockProvider');
+}
+
+const _instances = {};
+
+// ── Configured endpoints ──────────────────────────────────────────────────────
+function _loadConfiguredEndpoints() {
+  const raw = process.env.GREONIQ_LLM_ENDPOINTS;
+  if (!raw) return;
+
+  let endpoints;
+  try {
+    endpoints = JSON.parse(raw);
+  } catch {
+    console.warn('[GreOn IQ] GREONIQ_LLM_ENDPOINTS is not valid JSON — ignored.');
+    return;
+  }
+
+  for (const ep of Array.isArray(endpoints) ? endpoints : []) {
+    if (!ep?.name || !ep.baseUrl || !ep.model) {
+      console.warn('[GreOn IQ] GREONIQ_LLM_ENDPOINTS entry needs name, baseUrl and model — skipped.');
+      continue;
+    }
+    PROVIDERS[ep.name] = () => createOpenAICompatibleProvider({
+      name:        ep.name,
+      baseUrl:     ep.baseUrl,
+      model:       ep.model,
+      apiKey:      ep.apiKeyEnv ? (process.env[ep.apiKeyEnv] || null) : null,
+      requiresKey: Boolean(ep.apiKeyEnv),
+      timeout:     parseInt(ep.timeout  || '30000', 10),
+      maxRetry:    parseInt(ep.maxRetry ?? '2',     10),
+    });
+  }
+}
+
+_loadConfiguredEndpoints();
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * Register (or replace) a provider implementation.
+ * @param {string} name
+ * @param {object|function} impl — provider object, or a factory returning one
+ */
+function registerLlmProvider(name, impl) {
+  const factory  = typeof impl === 'function' ? impl : () => impl;
+  const provider = factory();
+  if (typeof provider?.chat !== 'function') {
+    throw new Error(`LLM provider '${name}' must implement chat(messages, options).`);
+  }
+  PROVIDERS[name]  = () => provider;
+  _instances[name] = provider;
+}
+
+/**
+ * Returns the provider registered under `name`, or null.
+ * @param {string} name
+ */
+function getLlmProvider(name) {
+  if (!PROVIDERS[name]) return null;
+  if (!_instances[name]) _instances[name] = PROVIDERS[name]();
+  return _instances[name];
+}
+
+/**
+ * Names of all registered providers.
+ * @returns {string[]}
+ */
+function listLlmProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+module.exports = { getLlmProvider, registerLlmProvider, listLlmProviders, mockProviderEnabled };
@@ -0,0 +1,85 @@
+'use strict';
+
+// ============================================================================
+// mockProvider.js — Deterministic offline LLM provider for tests and local dev
+//
+// No network, no key. The same messages always produce the same output:
+//   - Requests that ask for a JSON array (follow-up suggestions) get a fixed
+//     three-item array.
+//   - Everything else gets a short markdown answer that echoes the question
+//     and the record count found in the supplied context.
+//
+// Token usage is estimated at ~4 characters per token so quota token bands
+// behave as they would with a real provider.
+//
+// FAILURE SIMULATION (for fallback tests) — select via the model name:
+//   mock-error    → PROVIDER_UNAVAILABLE
+//   mock-timeout  → PROVIDER_TIMEOUT
+//   mock-auth     → PROVIDER_AUTH_ERROR
+// ============================================================================
+
+const { buildSafeError } = require('./openAICompatibleProvider');
+
+const DEFAULT_MODEL = 'mock-echo';
+
+const FAILURES = {
+  'mock-error':   { response: { status: 503 } },
+  'mock-timeout': { code: 'ECONNABORTED' },
+  'mock-auth':    { response: { status: 401 } },
+};
+
+function _estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function _userText(messages) {
+  return messages.filter((m) => m.role === 'user').map((m) => m.content).join('\n');
+}
+
+function _buildContent(userText) {
+  if (/JSON array/i.test(userText)) {
+    return JSON.stringify([
+      'Can you show this as a breakdown by scope?',
+      'How does this compare with the previous period?',
+      'Which node contributes the most?',
+    ]);
+  }
+
+  const question    = (userText.match(/User question:\s*(.*)/) || [])[1] || 'Report request';
+  const recordCount = (userText.match(/"recordCount":\s*(\d+)/) || [])[1];
+  return [
+    `**Mock answer** to: ${question.trim()}`,
+    '',
+    recordCount !== undefined
+      ? `- ${recordCount} record(s) were supplied in the context.`
+      : '- No record count was supplied in the context.',
+    '- This response was generated offline by the mock provider.',
+  ].join('\n');
+}
+
+module.exports = {
+  name:         'mock',
+  defaultModel: DEFAULT_MODEL,
+
+  async chat(messages, options = {}) {
+    const model = options.model || DEFAULT_MODEL;
+    if (FAILURES[model]) {
+      return { success: false, ...buildSafeError(FAILURES[model]), usage: null };
+    }
+
+    const content = _buildContent(_userText(messages));
+    return {
+      success: true,
+      content,
+      usage: {
+        tokensIn:  _estimateTokens(messages.map((m) => m.content).join('')),
+        tokensOut: _estimateTokens(content),
+      },
+      model,
+    };
+  },
+
+  getStatus() {
+    return { provider: 'mock', model: DEFAULT_MODEL, keyConfigured: true };
+  },
+};
@@ -0,0 +1,151 @@
+'use strict';
+
+// ============================================================================
+// openAICompatibleProvider.js — Chat-completions client for any endpoint that
+// speaks the OpenAI /chat/completions protocol (DeepSeek, OpenAI, Azure
+// OpenAI proxies, vLLM, Ollama, LM Studio, ...).
+//
+// SECURITY RULES (same as the original DeepSeek integration):
+//   1. API keys come from process.env only and are injected per request —
+//      never stored in axios defaults, never logged, never returned.
+//   2. Errors are mapped to a safe { error, code } shape before leaving here.
+//
+// Each provider instance retries transient failures itself (exponential
+// backoff). Cross-provider fallback is the gateway's job (llmGateway.js).
+// ============================================================================
+
+const axios = require('axios');
+
+// ── Safe error factory ────────────────────────────────────────────────────────
+// Maps raw Axios errors to a shape that contains NO secrets.
+function buildSafeError(err) {
+  const status = err?.response?.status;
+  const code   = err?.code;
+
+  if (code === 'NO_KEY' || status === 401 || status === 403) {
+    return { error: 'AI provider authentication failed. Check server configuration.', code: 'PROVIDER_AUTH_ERROR' };
+  }
+  if (status === 429) {
+    return { error: 'AI provider rate limit reached. Please try again in a moment.', code: 'PROVIDER_RATE_LIMIT' };
+  }
+  if (status >= 500) {
+    return { error: 'AI provider is temporarily unavailable.', code: 'PROVIDER_UNAVAILABLE' };
+  }
+  if (code === 'ECONNABORTED' || code === 'ETIMEDOUT') {
+    return { error: 'AI provider request timed out. Please try again.', code: 'PROVIDER_TIMEOUT' };
+  }
+  return { error: 'AI generation failed. Please try again.', code: 'PROVIDER_ERROR' };
+}
+
+function _isRetryable(err) {
+  return (
+    err?.response?.status >= 500 ||
+    err?.response?.status === 429 ||
+    ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ENOTFOUND'].includes(err?.code)
+  );
+}
+
+/**
+ * Create a provider bound to one endpoint.
+ *
+ * @param {object}  config
+ * @param {string}  config.name          — registry key, e.g. 'deepseek'
+ * @param {string}  config.baseUrl       — endpoint root (without /chat/completions)
+ * @param {string}  config.model         — default model
+ * @param {string|null} [config.apiKey]  — bearer token; null for keyless self-hosted endpoints
+ * @param {boolean} [config.requiresKey] — refuse to call when apiKey is missing (default true)
+ * @param {number}  [config.timeout]     — ms, default 30000
+ * @param {number}  [config.maxRetry]    — default 2
+ * @returns {{ name, defaultModel, chat, getStatus }}
+ */
+function createOpenAICompatibleProvider({
+  name,
+  baseUrl,
+  model,
+  apiKey      = null,
+  requiresKey = true,
+  timeout     = 30000,
+  maxRetry    = 2,
+}) {
+  const client = axios.create({
+    baseURL: baseUrl,
+    timeout,
+    headers: { 'Content-Type': 'application/json' },
+  });
+
+  async function _callWithRetry(messages, options, attempt) {
+    if (requiresKey && !apiKey) {
+      return { success: false, ...buildSafeError({ code: 'NO_KEY' }), usage: null };
+    }
+
+    try {
+      const response = await client.post(
+        '/chat/completions',
+        {
+          model:       options.model       || model,
+          messages,
+          temperature: options.temperature ?? 0.3,
+          max_tokens:  options.maxTokens   || 2048,
+          stream:      false,
+        },
+        {
+          ...(apiKey ? { headers: { Authorization: `Bearer ${apiKey}` } } : {}),
+          ...(options.timeout ? { timeout: options.timeout } : {}),
+        }
+      );
+
+      const content = response.data?.choices?.[0]?.message?.content || '';
+      const usage   = response.data?.usage || null;
+
+      return {
+        success: true,
+        content,
+        usage: usage
+          ? {
+              tokensIn:  usage.prompt_tokens     || 0,
+              tokensOut: usage.completion_tokens || 0,
+            }
+          : null,
+        model: response.data?.model || options.model || model,
+      };
+    } catch (err) {
+      if (_isRetryable(err) && attempt <= maxRetry) {
+        const delayMs = Math.pow(2, attempt) * 1000; // 2s, 4s
+        await new Promise((r) => setTimeout(r, delayMs));
+        return _callWithRetry(messages, options, attempt + 1);
+      }
+
+      // All retries exhausted — return safe error, never throw raw axios error
+      console.error(`[GreOn IQ] ${name} call failed after ${attempt} attempt(s). Code: ${err?.code || err?.response?.status}`);
+      return { success: false, ...buildSafeError(err), usage: null };
+    }
+  }
+
+  return {
+    name,
+    defaultModel: model,
+
+    /**
+     * @param {Array<{role, content}>} messages
+     * @param {object} [options] — model, temperature, maxTokens, timeout
+     * @returns {Promise<{success, content, usage, model}|{success, error, code, usage}>}
+     */
+    chat(messages, options = {}) {
+      return _callWithRetry(messages, options, 1);
+    },
+
+    // Safe to expose in health checks (no key included)
+    getStatus() {
+      return {
+        provider:      name,
+        model,
+        baseUrl,
+        keyConfigured: Boolean(apiKey) || !requiresKey,
+        timeout,
+        maxRetry,
+      };
+    },
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider, buildSafeError };
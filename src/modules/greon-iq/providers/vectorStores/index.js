@@ -0,0 +1,79 @@
+'use strict';
+
+// ============================================================================
+// vectorStores/index.js — GreOn IQ vector store provider registry
+//
+// Every vector store implements the same contract so the indexer and the
+// vectorRetriever never depend on a specific backend:
+//
+//   upsertSourceChunks({ clientId, sourceType, sourceId, chunks }) → count
+//       Replace ALL chunks of one source. chunks = [{ chunkIndex, content,
+//       embedding, embeddingModel, sourceHash, title, product, scope,
+//       sourceUpdatedAt }]. An empty array removes the source.
+//   deleteSource({ clientId?, sourceType, sourceId })              → count
+//   getSourceHash({ clientId, sourceType, sourceId })              → { sourceHash, embeddingModel }|null
+//   listSourceIds({ clientId, sourceType })                        → string[]
+//   query({ clientId, embedding, filters, topK, minScore })
+//       → [{ sourceType, sourceId, chunkIndex, content, title, scope, score }]
+//       filters = { sourceTypes[], nodeIds[], scopeIdentifiers[], userId }
+//   stats({ clientId })                                            → [{ sourceType, chunkCount, sourceCount, lastIndexedAt }]
+//
+// SELECTION (via .env):
+//   GREONIQ_VECTOR_STORE — 'mongo' (default) | 'memory'
+//
+// A hosted vector DB can be added by implementing the contract and calling
+// registerVectorStore('name', impl) during bootstrap.
+// ============================================================================
+
+const REQUIRED_METHODS = ['upsertSourceChunks', 'deleteSource', 'getSourceHash', 'listSourceIds', 'query', 'stats'];
+
+const STORES = {
+  mongo:  () => require('./mongoVectorStore'),
+  memory: () => require('./memoryVectorStore'),
+};
+
+let _active = null;
+
+/**
+ * Register (or replace) a vector store implementation.
+ * @param {string} name
+ * @param {object|function} impl — store object, or a factory returning one
+ */
+function registerVectorStore(name, impl) {
+  const factory = typeof impl === 'function' ? impl : () => impl;
+  const store   = factory();
+  const missing = REQUIRED_METHODS.filter((m) => typeof store?.[m] !== 'function');
+  if (missing.length) {
+    throw new Error(`Vector store '${name}' is missing: ${missing.join(', ')}`);
+  }
+  STORES[name] = () => store;
+  if (_active && _active.name === name) _active = store;
+}
+
+/**
+ * Returns the configured vector store (resolved once, then cached).
+ */
+function getVectorStore() {
+  if (_active) return _active;
+  const name    = process.env.GREONIQ_VECTOR_STORE || 'mongo';
+  const factory = STORES[name];
+  if (!factory) {
+    console.warn(`[GreOn IQ] Unknown GREONIQ_VECTOR_STORE '${name}' — using mongo.`);
+    _active = STORES.mongo();
+  } else {
+    _active = factory();
+  }
+  return _active;
+}
+
+/**
+ * Switch the active store at runtime (used by tests and admin tooling).
+ * @param {string} name
+ */
+function useVectorStore(name) {
+  if (!STORES[name]) throw new Error(`Unknown vector store '${name}'.`);
+  _active = STORES[name]();
+  return _active;
+}
+
+module.exports = { getVectorStore, registerVectorStore, useVectorStore };
@@ -0,0 +1,120 @@
+'use strict';
+
+// ============================================================================
+// memoryVectorStore.js — In-process GreOn IQ vector store
+//
+// Same contract as mongoVectorStore, backed by a Map. Contents are lost on
+// restart and are not shared between instances, so use it for local
+// development and tests only (GREONIQ_VECTOR_STORE=memory).
+// ============================================================================
+
+const { cosineSimilarity } = require('../embeddingProvider');
+
+/** @type {Map<string, object[]>}  key = clientId|sourceType|sourceId */
+const sources = new Map();
+
+function _key(clientId, sourceType, sourceId) {
+  return `${clientId}|${sourceType}|${sourceId}`;
+}
+
+// Mirrors mongoVectorStore._buildFilter — restrictions only apply to chunks
+// that carry the attribute.
+function _matches(chunk, filters = {}) {
+  if (filters.sourceTypes?.length && !filters.sourceTypes.includes(chunk.sourceType)) return false;
+  const scope = chunk.scope || {};
+  if (filters.nodeIds?.length && scope.nodeId && !filters.nodeIds.includes(scope.nodeId)) return false;
+  if (filters.scopeIdentifiers?.length && scope.scopeIdentifier &&
+      !filters.scopeIdentifiers.includes(scope.scopeIdentifier)) return false;
+  if (filters.userId && scope.userIds?.length && !scope.userIds.includes(String(filters.userId))) return false;
+  return true;
+}
+
+async function upsertSourceChunks({ clientId, sourceType, sourceId, chunks }) {
+  const key = _key(clientId, sourceType, sourceId);
+  if (!chunks.length) {
+    sources.delete(key);
+    return 0;
+  }
+  sources.set(key, chunks.map((c) => ({
+    ...c,
+    clientId:   String(clientId),
+    sourceType,
+    sourceId:   String(sourceId),
+    indexedAt:  new Date(),
+  })));
+  return chunks.length;
+}
+
+async function deleteSource({ clientId, sourceType, sourceId }) {
+  let deleted = 0;
+  for (const [key, chunks] of sources) {
+    const c = chunks[0];
+    if (c.sourceType === sourceType && c.sourceId === String(sourceId) &&
+        (!clientId || c.clientId === String(clientId))) {
+      deleted += chunks.length;
+      sources.delete(key);
+    }
+  }
+  return deleted;
+}
+
+async function getSourceHash({ clientId, sourceType, sourceId }) {
+  const chunks = sources.get(_key(clientId, sourceType, sourceId));
+  if (!chunks?.length) return null;
+  return { sourceHash: chunks[0].sourceHash, embeddingModel: chunks[0].embeddingModel };
+}
+
+async function listSourceIds({ clientId, sourceType }) {
+  const ids = [];
+  for (const chunks of sources.values()) {
+    const c = chunks[0];
+    if (c.clientId === String(clientId) && c.sourceType === sourceType) ids.push(c.sourceId);
+  }
+  return ids;
+}
+
+async function query({ clientId, embedding, filters = {}, topK = 5, minScore = 0 }) {
+  const scored = [];
+  for (const chunks of sources.values()) {
+    if (chunks[0].clientId !== String(clientId)) continue;
+    for (const chunk of chunks) {
+      if (!_matches(chunk, filters)) continue;
+      const score = cosineSimilarity(embedding, chunk.embedding);
+      if (score > minScore) {
+        const { embedding: _e, ...rest } = chunk;
+        scored.push({ ...rest, score });
+      }
+    }
+  }
+  return scored.sort((a, b) => b.score - a.score).slice(0, topK);
+}
+
+async function stats({ clientId }) {
+  const bySource = {};
+  for (const chunks of sources.values()) {
+    const c = chunks[0];
+    if (c.clientId !== String(clientId)) continue;
+    const row = bySource[c.sourceType] ||
+      (bySource[c.sourceType] = { sourceType: c.sourceType, chunkCount: 0, sourceCount: 0, lastIndexedAt: null });
+    row.chunkCount  += chunks.length;
+    row.sourceCount += 1;
+    if (!row.lastIndexedAt || c.indexedAt > row.lastIndexedAt) row.lastIndexedAt = c.indexedAt;
+  }
+  return Object.values(bySource);
+}
+
+/** Test helper — drop everything. */
+function clear() {
+  sources.clear();
+}
+
+module.exports = {
+  name: 'memory',
+  upsertSourceChunks,
+  deleteSource,
+  getSourceHash,
+  listSourceIds,
+  query,
+  stats,
+  clear,
+};
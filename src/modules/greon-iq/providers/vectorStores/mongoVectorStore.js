@@ -0,0 +1,124 @@
+'use strict';
+
+// ============================================================================
+// mongoVectorStore.js — Default GreOn IQ vector store (MongoDB-backed)
+//
+// Chunks live in the GreOnIQVectorChunk collection. Similarity is computed
+// in-process: candidates are selected with an indexed, access-scoped Mongo
+// filter, then scored with cosine similarity and the topK returned.
+//
+// This keeps the default deployment dependency-free (no Atlas Search, no
+// external vector DB). Per-client indexes are small (hundreds to low
+// thousands of chunks), so in-process scoring is well within budget.
+//
+// CONFIGURATION:
+//   GREONIQ_VECTOR_MAX_CANDIDATES — optional, default: 5000
+//     Upper bound on chunks scored per query. Newest chunks win when capped.
+// ============================================================================
+
+const GreOnIQVectorChunk   = require('../../models/GreOnIQVectorChunk');
+const { cosineSimilarity } = require('../embeddingProvider');
+
+const MAX_CANDIDATES = parseInt(process.env.GREONIQ_VECTOR_MAX_CANDIDATES || '5000', 10);
+
+// ── Internal: access-scoped candidate filter ──────────────────────────────────
+// Restrictions only apply to chunks that carry the attribute:
+//   - node / scope filters skip chunks with no nodeId / scopeIdentifier
+//   - user filter skips chunks with an empty userIds list
+function _buildFilter(clientId, filters = {}) {
+  const query = { clientId: String(clientId) };
+  const and   = [];
+
+  if (filters.sourceTypes?.length) query.sourceType = { $in: filters.sourceTypes };
+
+  if (filters.nodeIds?.length) {
+    and.push({ $or: [{ 'scope.nodeId': null }, { 'scope.nodeId': { $in: filters.nodeIds } }] });
+  }
+  if (filters.scopeIdentifiers?.length) {
+    and.push({ $or: [{ 'scope.scopeIdentifier': null }, { 'scope.scopeIdentifier': { $in: filters.scopeIdentifiers } }] });
+  }
+  if (filters.userId) {
+    and.push({ $or: [{ 'scope.userIds.0': { $exists: false } }, { 'scope.userIds': String(filters.userId) }] });
+  }
+
+  if (and.length) query.$and = and;
+  return query;
+}
+
+async function upsertSourceChunks({ clientId, sourceType, sourceId, chunks }) {
+  await GreOnIQVectorChunk.deleteMany({ clientId: String(clientId), sourceType, sourceId: String(sourceId) });
+  if (!chunks.length) return 0;
+  await GreOnIQVectorChunk.insertMany(
+    chunks.map((c) => ({ ...c, clientId: String(clientId), sourceType, sourceId: String(sourceId), indexedAt: new Date() })),
+    { ordered: false }
+  );
+  return chunks.length;
+}
+
+async function deleteSource({ clientId, sourceType, sourceId }) {
+  const filter = { sourceType, sourceId: String(sourceId) };
+  if (clientId) filter.clientId = String(clientId);
+  const result = await GreOnIQVectorChunk.deleteMany(filter);
+  return result.deletedCount || 0;
+}
+
+async function getSourceHash({ clientId, sourceType, sourceId }) {
+  const chunk = await GreOnIQVectorChunk.findOne(
+    { clientId: String(clientId), sourceType, sourceId: String(sourceId) },
+    { sourceHash: 1, embeddingModel: 1 }
+  ).lean();
+  return chunk ? { sourceHash: chunk.sourceHash, embeddingModel: chunk.embeddingModel } : null;
+}
+
+async function listSourceIds({ clientId, sourceType }) {
+  const ids = await GreOnIQVectorChunk.distinct('sourceId', { clientId: String(clientId), sourceType });
+  return ids.map(String);
+}
+
+async function query({ clientId, embedding, filters = {}, topK = 5, minScore = 0 }) {
+  const candidates = await GreOnIQVectorChunk.find(
+    _buildFilter(clientId, filters),
+    { embedding: 1, content: 1, sourceType: 1, sourceId: 1, title: 1, chunkIndex: 1, scope: 1, sourceUpdatedAt: 1 }
+  )
+    .sort({ indexedAt: -1 })
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  return candidates
+    .map((c) => ({ ...c, score: cosineSimilarity(embedding, c.embedding) }))
+    .filter((c) => c.score > minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .map(({ embedding: _e, ...rest }) => rest);
+}
+
+async function stats({ clientId }) {
+  const rows = await GreOnIQVectorChunk.aggregate([
+    { $match: { clientId: String(clientId) } },
+    {
+      $group: {
+        _id:           '$sourceType',
+        chunks:        { $sum: 1 },
+        sources:       { $addToSet: '$sourceId' },
+        lastIndexedAt: { $max: '$indexedAt' },
+      },
+    },
+  ]);
+  return rows.map((r) => ({
+    sourceType:    r._id,
+    chunkCount:    r.chunks,
+    sourceCount:   r.sources.length,
+    lastIndexedAt: r.lastIndexedAt,
+  }));
+}
+
+module.exports = {
+  name: 'mongo',
+  upsertSourceChunks,
+  deleteSource,
+  getSourceHash,
+  listSourceIds,
+  query,
+  stats,
+  _buildFilter, // exported for tests
+};
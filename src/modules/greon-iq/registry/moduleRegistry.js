@@ -143,6 +143,20 @@ const MODULE_REGISTRY = {
     supportsReports: true,
     crossModule:     true,
   },
+
+  // Semantic search over free text: evidence notes, ticket threads, BRSR
+  // narrative answers and OCR'd bills. Per-section module checks happen in
+  // vectorRetriever because each section belongs to a different module.
+  document_search: {
+    product:         'both',
+    accessModule:    null,
+    sections:        ['evidence', 'tickets', 'brsr_answers', 'ocr_documents'],
+    retriever:       'vectorRetriever',
+    supportsCharts:  false,
+    supportsTables:  true,
+    supportsReports: false,
+    crossModule:     false,
+  },
 };
 
 /**
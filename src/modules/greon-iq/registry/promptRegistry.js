@@ -3,14 +3,13 @@
 // ============================================================================
 // promptRegistry.js — Stores system and answer prompt templates
 //
-// All DeepSeek prompts are centralized here so they can be maintained and
-// reviewed in one place. deepseekProvider.js uses these via generateAnswer()
+// All LLM prompts are centralized here so they can be maintained and
+// reviewed in one place. llmGateway.js uses these via generateAnswer()
 // and generateReport(). Services must not build raw prompts inline.
 // ============================================================================
 
-// ── System prompt (enforced on all calls in deepseekProvider.js) ─────────────
-// This is already embedded in deepseekProvider.js as BASE_SYSTEM_PROMPT.
-// Reproduced here for documentation and for any future multi-provider setup.
+// ── System prompt (enforced on all calls in llmGateway.js) ───────────────────
+// Sent as the first message to every provider in the chain.
 const SYSTEM_PROMPT = `You are GreOn IQ, an internal analytics assistant for ZeroCarbon and ESGLink platforms.
 
 STRICT RULES:
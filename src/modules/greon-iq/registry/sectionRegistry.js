@@ -186,6 +186,22 @@ const SECTION_REGISTRY = {
     reviewer:             null,
     approver:             null,
   },
+
+  // ── Document search (vector index) ─────────────────────────────────────
+  // Module checks per section are applied again in vectorRetriever.
+  document_search: {
+    super_admin:          'full',
+    consultant_admin:     'full',
+    consultant:           'full',
+    client_admin:         'full',
+    client_employee_head: ['tickets', 'ocr_documents'],
+    employee:             ['tickets', 'ocr_documents'],
+    viewer:               ['evidence', 'brsr_answers', 'ocr_documents'],
+    auditor:              'full',
+    contributor:          ['evidence', 'brsr_answers', 'tickets'],
+    reviewer:             ['evidence', 'brsr_answers', 'tickets'],
+    approver:             ['evidence', 'brsr_answers', 'tickets'],
+  },
 };
 
 /**
@@ -1,29 +1,125 @@
 'use strict';
 
 // ============================================================================
-// vectorRetriever.js — Vector/semantic retrieval stub (v1)
+// vectorRetriever.js — Semantic retrieval over the GreOn IQ vector index
 //
-// This module defines the interface for future vector-store integration.
-// In v1 it always returns empty results. Plug in a vector DB provider in v2
-// by replacing _queryVectorStore() with a real implementation.
+// Serves the document_search domain. The user's question is embedded and
+// matched against indexed chunks (see services/vectorIndexService.js).
 //
-// Expected vector store contract:
+// Each section maps to one indexed source type and its own module gate:
+//   evidence       → evidence_note  (ESGLink 'framework')
+//   brsr_answers   → brsr_answer    (ESGLink 'framework')
+//   tickets        → ticket_thread  (ZeroCarbon 'tickets')
+//   ocr_documents  → ocr_bill       (ZeroCarbon 'data_entry')
+//
+// Restricted roles additionally get node / scope filters, and non-admin
+// roles only see ticket threads they created, are assigned to, or watch.
+//
+// Vector store contract:
 //   _queryVectorStore(query, clientId, filters, topK)
 //   → [{ chunkId, sourceType, sourceId, content, score }]
 // ============================================================================
 
-async function retrieve(plan, _accessContext) {
-  // Vector retrieval is not yet implemented (v1 stub).
-  // No queries are executed. No credits are affected.
+const { getVectorStore } = require('../providers/vectorStores');
+const { embed }          = require('../providers/embeddingProvider');
+const { explainScopeRestrictions, explainModuleExclusion } = require('../utils/exclusionExplainer');
+
+const TOP_K     = parseInt(process.env.GREONIQ_VECTOR_TOP_K || '8', 10);
+// Below this similarity a chunk is noise for the hashing embedder
+const MIN_SCORE = parseFloat(process.env.GREONIQ_VECTOR_MIN_SCORE || '0.12');
+
+const SECTION_SOURCES = {
+  evidence:      { sourceType: 'evidence_note', product: 'esg_link',    module: 'framework',  label: 'Evidence notes' },
+  brsr_answers:  { sourceType: 'brsr_answer',   product: 'esg_link',    module: 'framework',  label: 'BRSR answers' },
+  tickets:       { sourceType: 'ticket_thread', product: 'zero_carbon', module: 'tickets',    label: 'Support tickets' },
+  ocr_documents: { sourceType: 'ocr_bill',      product: 'zero_carbon', module: 'data_entry', label: 'OCR documents' },
+};
+
+const SOURCE_LABELS = Object.fromEntries(
+  Object.values(SECTION_SOURCES).map((s) => [s.sourceType, s.label])
+);
+
+async function _queryVectorStore(query, clientId, filters, topK) {
+  const embedding = await embed(query);
+  const results = await getVectorStore().query({
+    clientId,
+    embedding,
+    filters,
+    topK,
+    minScore: MIN_SCORE,
+  });
+  return results.map((r) => ({
+    chunkId:    r._id ? String(r._id) : `${r.sourceType}:${r.sourceId}:${r.chunkIndex}`,
+    sourceType: r.sourceType,
+    sourceId:   r.sourceId,
+    title:      r.title,
+    content:    r.content,
+    score:      parseFloat(r.score.toFixed(4)),
+  }));
+}
+
+async function retrieve(plan, accessContext) {
+  const { clientId, sections, filters, question } = plan;
+  const exclusions = [];
+
+  // ── Resolve searchable source types (per-section module gate) ─────────────
+  const sourceTypes = [];
+  for (const section of sections) {
+    const source = SECTION_SOURCES[section];
+    if (!source) continue;
+    const allowed = source.product === 'esg_link'
+      ? accessContext.hasESGModule(source.module)
+      : accessContext.hasZCModule(source.module);
+    if (allowed) sourceTypes.push(source.sourceType);
+    else exclusions.push(explainModuleExclusion(source.label));
+  }
+
+  if (!sourceTypes.length || !question) {
+    return {
+      data:        { vectorChunks: { records: [], totalCount: 0 } },
+      exclusions,
+      recordCount: 0,
+    };
+  }
+
+  // ── Access filters ────────────────────────────────────────────────────────
+  const storeFilters = { sourceTypes };
+  if (accessContext.isScopeRestricted) {
+    exclusions.push(...explainScopeRestrictions(accessContext.nodeRestrictions));
+    if (filters.nodeIds?.length)          storeFilters.nodeIds          = filters.nodeIds;
+    if (filters.scopeIdentifiers?.length) storeFilters.scopeIdentifiers = filters.scopeIdentifiers;
+  }
+  if (!accessContext.isUnrestricted && accessContext.userType !== 'auditor') {
+    storeFilters.userId = accessContext.userId;
+    if (sourceTypes.includes('ticket_thread')) {
+      exclusions.push('Support tickets are limited to threads you created, are assigned to, or watch.');
+    }
+  }
+
+  const chunks = await _queryVectorStore(question, clientId, storeFilters, TOP_K);
+
+  if (!chunks.length) {
+    exclusions.push('No indexed documents matched your question. Documents are indexed shortly after they are saved.');
+  }
+
+  const records = chunks.map((c) => ({
+    source:     SOURCE_LABELS[c.sourceType] || c.sourceType,
+    title:      c.title,
+    excerpt:    c.content,
+    score:      c.score,
+    sourceType: c.sourceType,
+    sourceId:   c.sourceId,
+  }));
+
   return {
     data: {
       vectorChunks: {
-        records:    [],
-        totalCount: 0,
+        records,
+        totalCount: records.length,
       },
     },
-    exclusions:  ['Vector-based semantic search is not available in this version.'],
-    recordCount: 0,
+    exclusions,
+    recordCount: records.length,
   };
 }
 
@@ -13,7 +13,7 @@ const express = require('express');
 const router  = express.Router();
 
 const { auth }             = require('../../../common/middleware/auth');
-const { getProviderStatus }= require('../providers/deepseekProvider');
+const { getProviderStatus }= require('../providers/llmGateway');
 
 const queryController     = require('../controllers/queryController');
 const historyController   = require('../controllers/historyController');
@@ -21,6 +21,8 @@ const quotaController     = require('../controllers/quotaController');
 const retentionController = require('../controllers/retentionController');
 const reportController    = require('../controllers/reportController');
 const analyticsController = require('../controllers/analyticsController');
+const vectorIndexController = require('../controllers/vectorIndexController');
+const providerSettingsController = require('../controllers/providerSettingsController');
 
 // ── JWT auth on all routes ─────────────────────────────────────────────────
 router.use(auth);
@@ -68,4 +70,13 @@ router.post('/report/export',         reportController.exportReport);
 router.get('/exports/:exportId',      reportController.getExport);
 router.post('/chat/export-response',  reportController.exportFromResponse);
 
+// ── AI provider settings (per client) ─────────────────────────────────────────
+router.get('/provider-settings',    providerSettingsController.getSettings);
+router.put('/provider-settings',    providerSettingsController.updateSettings);
+router.delete('/provider-settings', providerSettingsController.resetSettings);
+
+// ── Document search index ─────────────────────────────────────────────────────
+router.get('/vector-index/status',   vectorIndexController.getStatus);
+router.post('/vector-index/rebuild', vectorIndexController.rebuild);
+
 module.exports = router;
@@ -69,6 +69,12 @@ const SUGGESTIONS = {
     'Which processes have emission data entries?',
     'Show me all process nodes for a specific scope.',
   ],
+  document_search: [
+    'Which support tickets mentioned meter or data issues?',
+    'What did we say in our BRSR answer on water withdrawal?',
+    'Find the electricity bills uploaded for this site.',
+    'Which evidence notes have reviewer comments?',
+  ],
 };
 
 const GENERIC_SUGGESTIONS = [
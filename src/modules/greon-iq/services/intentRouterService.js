@@ -12,6 +12,7 @@
 //   reduction, decarbonization,
 //   esg_boundary, esg_metrics, esg_data_entry, esg_summary,
 //   cross_module_analysis,
+//   document_search — free-text search over evidence, tickets, BRSR answers, bills
 //   report,       — user is requesting a downloadable report
 //   out_of_system — question is clearly outside internal data
 //   ambiguous     — unclear, needs context or AI disambiguation
@@ -31,6 +32,23 @@ const INTENT_RULES = [
     ],
   },
 
+  // Document search — questions about what free text SAYS (vector index).
+  // Must come before the numeric domains so "scope 2 electricity bill" or
+  // "BRSR answer on water" search documents instead of totals.
+  {
+    intent: 'document_search',
+    keywords: [
+      /\bevidence\b/i,
+      /\b(support\s*)?ticket[s]?\b/i,
+      /\bsupport\s*(thread|conversation|chat|request)[s]?\b/i,
+      /\b(brsr|disclosure|narrative)\s*(answer[s]?|response[s]?|text|narrative[s]?)\b/i,
+      /\bwhat\s+did\s+(we|i)\s+(say|write|answer|disclose|report)\b/i,
+      /\b(bill[s]?|invoice[s]?|receipt[s]?)\b/i,
+      /\b(where|which)\b.*\b(mention(ed|s)?|talk(ed|s)?\s+about|refer(s|red)?\s+to)\b/i,
+      /\bsearch\b.*\b(document[s]?|note[s]?|comment[s]?|thread[s]?|answer[s]?)\b/i,
+    ],
+  },
+
   // Emission summary — broad coverage for all natural phrasings
   {
     intent: 'emission_summary',
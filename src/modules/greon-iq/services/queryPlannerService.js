@@ -144,6 +144,7 @@ function buildQueryPlan({ intent, question, accessContext, contextState }) {
       domain:       effectiveIntent,
       sections:     allowedSections,
       retriever:    moduleInfo.retriever,
+      question,     // used verbatim by vectorRetriever as the search query
       dateRange,
       filters,
       outputMode,
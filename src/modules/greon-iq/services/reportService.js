@@ -10,7 +10,7 @@
 
 const { buildQueryPlan }    = require('./queryPlannerService');
 const { generateSuggestions } = require('./followupSuggestionService');
-const deepseekProvider      = require('../providers/deepseekProvider');
+const llmGateway            = require('../providers/llmGateway');
 const RETRIEVERS = {
   emissionSummaryRetriever: require('../retrievers/emissionSummaryRetriever'),
   dataEntryRetriever:       require('../retrievers/dataEntryRetriever'),
@@ -60,10 +60,11 @@ async function assembleReportData(opts) {
   const retrievalResult = await retriever.retrieve(plan, accessContext);
   const { data, exclusions, recordCount } = retrievalResult;
 
-  // Build narrative sections via DeepSeek
-  const reportResult = await deepseekProvider.generateReport({
+  // Build narrative sections via the LLM gateway
+  const reportResult = await llmGateway.generateReport({
     reportData: { domain: plan.domain, product: plan.product, dateRange: plan.dateRange, recordCount, data },
     sections:   plan.sections,
+    accessContext,
   });
 
   const narrative = reportResult.error ? '[Narrative generation failed.]' : (reportResult.content || '');
@@ -244,6 +245,7 @@ function _domainLabel(domain) {
     esg_metrics:            'ESG Metrics',
     esg_boundary:           'ESG Boundary',
     cross_module_analysis:  'Cross-Module Analysis',
+    document_search:        'Document Search',
   };
   return labels[domain] || domain || 'Report';
 }
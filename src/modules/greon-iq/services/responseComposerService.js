@@ -1,17 +1,17 @@
 'use strict';
 
 // ============================================================================
-// responseComposerService.js — Merges retrieval results + DeepSeek narrative
+// responseComposerService.js — Merges retrieval results + LLM narrative
 //
 // This is the final assembly step before the API response is sent.
 // It decides what to include (answer, tables, charts, exclusions, followups)
 // based on the query plan's outputMode and supportsXxx flags.
 //
-// Security invariant: DeepSeek only receives data the retrieval layer returned.
+// Security invariant: the LLM only receives data the retrieval layer returned.
 // The retrieval layer has already applied all permission gates.
 // ============================================================================
 
-const deepseekProvider         = require('../providers/deepseekProvider');
+const llmGateway               = require('../providers/llmGateway');
 const { generateSuggestions }  = require('./followupSuggestionService');
 const { buildTrace }           = require('../utils/queryTraceBuilder');
 const {
@@ -37,7 +37,7 @@ async function compose(plan, retrievalResult, accessContext) {
 
   const allExclusions = [...(retrieverExclusions || [])];
 
-  // ── Handle no-data case — skip DeepSeek entirely ─────────────────────────
+  // ── Handle no-data case — skip the LLM entirely ──────────────────────────
   const hasData = recordCount > 0;
 
   if (!hasData) {
@@ -54,21 +54,22 @@ async function compose(plan, retrievalResult, accessContext) {
       recordCount:      0,
       hasData:          false,
       trace:            buildTrace(plan),
-      _aiMeta:  { tokensIn: 0, tokensOut: 0, model: process.env.DEEPSEEK_MODEL || 'deepseek-chat' },
+      _aiMeta:  { tokensIn: 0, tokensOut: 0, model: null, provider: null },
       _aiError: null,
     };
   }
 
-  // ── Build structured context for DeepSeek ────────────────────────────────
+  // ── Build structured context for the LLM ─────────────────────────────────
   const structuredData = _buildStructuredContext(plan, data, recordCount);
 
-  // ── Call DeepSeek for narrative ───────────────────────────────────────────
+  // ── Call the LLM gateway for narrative ────────────────────────────────────
   let aiAnswer  = '';
   let aiUsage   = null;
   let aiError   = null;
+  let aiSource  = {};   // { model, provider } of the provider that answered
 
   if (outputMode === 'report') {
-    const reportResult = await deepseekProvider.generateReport({
+    const reportResult = await llmGateway.generateReport({
       reportData: structuredData,
       sections,
       accessContext,
@@ -79,9 +80,10 @@ async function compose(plan, retrievalResult, accessContext) {
     } else {
       aiAnswer = reportResult.content;
       aiUsage  = reportResult.usage;
+      aiSource = reportResult;
     }
   } else {
-    const answerResult = await deepseekProvider.generateAnswer({
+    const answerResult = await llmGateway.generateAnswer({
       userQuestion:   plan.originalQuestion || '',
       accessContext,
       queryPlan:      plan,
@@ -95,6 +97,7 @@ async function compose(plan, retrievalResult, accessContext) {
     } else {
       aiAnswer = answerResult.content;
       aiUsage  = answerResult.usage;
+      aiSource = answerResult;
     }
   }
 
@@ -123,7 +126,8 @@ async function compose(plan, retrievalResult, accessContext) {
     _aiMeta: {
       tokensIn:   aiUsage?.tokensIn  || 0,
       tokensOut:  aiUsage?.tokensOut || 0,
-      model:      process.env.DEEPSEEK_MODEL || 'deepseek-chat',
+      model:      aiSource.model    || null,
+      provider:   aiSource.provider || null,
     },
     _aiError: aiError || null,
   };
@@ -151,7 +155,7 @@ function _formatPeriod(period) {
   return '—';
 }
 
-// Slims each summary record to the fields DeepSeek needs — strips ObjectId arrays,
+// Slims each summary record to the fields the LLM needs — strips ObjectId arrays,
 // byActivity, byDepartment, byLocation, byEmissionFactor, and full metadata blobs.
 // No record count cap: all records are passed but in compact form.
 function _slimSummary(s) {
@@ -271,6 +275,22 @@ function _buildTables(plan, data) {
     });
   }
 
+  if (data.vectorChunks?.records?.length) {
+    const records = data.vectorChunks.records;
+    tables.push({
+      title:    'Matching Documents',
+      columns:  [_col('source', 'Source'), _col('title', 'Document'), _col('excerpt', 'Excerpt'), _col('score', 'Relevance')],
+      rows:     records.map((r) => ({
+        source:  r.source || '—',
+        title:   r.title  || '—',
+        excerpt: r.excerpt?.length > 200 ? `${r.excerpt.slice(0, 200)}…` : (r.excerpt || '—'),
+        score:   r.score ?? '—',
+      })),
+      totalRows:  data.vectorChunks.totalCount,
+      exportable: true,
+    });
+  }
+
   return tables;
 }
 
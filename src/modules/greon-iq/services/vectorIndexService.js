@@ -0,0 +1,384 @@
+'use strict';
+
+// ============================================================================
+// vectorIndexService.js — Indexing pipeline for the GreOn IQ vector store
+//
+// Turns free-text client content into embedded, access-scoped chunks:
+//
+//   brsr_answer    DisclosureAnswer narrative (+ question text for context)
+//   evidence_note  EsgEvidenceLink title / file name / reviewer comment
+//   ticket_thread  Ticket subject + description + all live TicketChat messages
+//   ocr_bill       OCR text of a confirmed bill (push-only — see below)
+//
+// Pull sources (the first three) are re-read from their own collection on
+// every (re)index, so the index never trusts a stale copy: if the source is
+// gone or soft-deleted its chunks are removed. Model hooks call
+// scheduleIndex() on create / update / delete (utils/vectorIndexHooks.js).
+//
+// ocr_bill is push-only: raw OCR text is not persisted anywhere else, so the
+// OCR controller hands it over with indexOcrText() at save time. Re-index
+// checks only that the DataEntry still exists and drops orphans otherwise.
+//
+// Unchanged sources are skipped via a sha256 of the source text + embedder.
+// ============================================================================
+
+const crypto = require('crypto');
+
+const { getVectorStore }  = require('../providers/vectorStores');
+const { getEmbedder }     = require('../providers/embeddingProvider');
+const { chunkText }       = require('../utils/textChunker');
+
+// ── Source adapters ───────────────────────────────────────────────────────────
+// Each pull adapter: load(sourceId) → normalised { clientId, title, text,
+// product, scope, updatedAt } or null when the source no longer qualifies.
+// listIds(clientId?, since?) enumerates sources for rebuilds / catch-up;
+// a null clientId lists across all clients.
+
+function _flattenAnswer(value, depth = 0) {
+  if (value === null || value === undefined || depth > 4) return [];
+  if (typeof value === 'string')  return value.trim() ? [value.trim()] : [];
+  if (typeof value === 'number' || typeof value === 'boolean') return [String(value)];
+  if (Array.isArray(value)) return value.flatMap((v) => _flattenAnswer(v, depth + 1));
+  if (typeof value === 'object') {
+    return Object.entries(value).flatMap(([k, v]) => {
+      const parts = _flattenAnswer(v, depth + 1);
+      // Keep the key next to scalar values so table cells stay meaningful
+      return parts.length === 1 && typeof v !== 'object' ? [`${k}: ${parts[0]}`] : parts;
+    });
+  }
+  return [];
+}
+
+const SOURCE_ADAPTERS = {
+  brsr_answer: {
+    product: 'esg_link',
+    model:   () => require('../../esg-link/framework/models/DisclosureAnswer.model'),
+    async load(id) {
+      const DisclosureAnswer  = this.model();
+      const FrameworkQuestion = require('../../esg-link/framework/models/FrameworkQuestion.model');
+      const answer = await DisclosureAnswer.findById(id).lean();
+      if (!answer) return null;
+
+      const question = await FrameworkQuestion.findById(answer.questionId, { questionTitle: 1, questionText: 1 }).lean();
+      const answerText = [
+        ..._flattenAnswer(answer.answerData),
+        answer.applicabilityStatus === 'not_applicable' && answer.naReason ? `Not applicable: ${answer.naReason}` : null,
+        answer.manualOverride?.reason ? `Override reason: ${answer.manualOverride.reason}` : null,
+      ].filter(Boolean);
+      if (!answerText.length) return null;
+
+      return {
+        clientId:  answer.clientId,
+        title:     `${answer.frameworkCode} ${answer.questionCode} (${answer.periodId})`,
+        text:      [question?.questionTitle, question?.questionText, ...answerText].filter(Boolean).join('\n\n'),
+        scope:     { periodId: answer.periodId, frameworkCode: answer.frameworkCode },
+        updatedAt: answer.updatedAt,
+      };
+    },
+    async listIds(clientId, since) {
+      const filter = { answerData: { $ne: null } };
+      if (clientId) filter.clientId = clientId;
+      if (since) filter.updatedAt = { $gte: since };
+      return (await this.model().find(filter, { _id: 1 }).lean()).map((d) => String(d._id));
+    },
+  },
+
+  evidence_note: {
+    product: 'esg_link',
+    model:   () => require('../../esg-link/framework/models/EvidenceLink.model'),
+    async load(id) {
+      const evidence = await this.model().findById(id).lean();
+      if (!evidence || evidence.status === 'rejected') return null;
+      const text = [
+        evidence.title,
+        evidence.fileName ? `File: ${evidence.fileName}` : null,
+        evidence.url ? `Link: ${evidence.url}` : null,
+        evidence.reviewerComment ? `Reviewer comment: ${evidence.reviewerComment}` : null,
+      ].filter(Boolean).join('\n');
+      return {
+        clientId:  evidence.clientId,
+        title:     `Evidence: ${evidence.title}`,
+        text,
+        scope:     { periodId: evidence.periodId, frameworkCode: evidence.frameworkCode },
+        updatedAt: evidence.updatedAt,
+      };
+    },
+    async listIds(clientId, since) {
+      const filter = { status: { $ne: 'rejected' } };
+      if (clientId) filter.clientId = clientId;
+      if (since) filter.updatedAt = { $gte: since };
+      return (await this.model().find(filter, { _id: 1 }).lean()).map((d) => String(d._id));
+    },
+  },
+
+  ticket_thread: {
+    product: 'both',
+    model:   () => require('../../../common/models/Ticket/Ticket').Ticket,
+    async load(id) {
+      const TicketChat = require('../../../common/models/Ticket/TicketChat');
+      const ticket = await this.model().findById(id).lean();
+      // Internal consultant issues are not client data
+      if (!ticket || !ticket.clientId || ticket.clientId === 'INTERNAL-SUPPORT') return null;
+
+      const messages = await TicketChat.find(
+        { ticketId: ticket._id, isDeleted: { $ne: true } },
+        { message: 1, 'sender.userName': 1, createdAt: 1 }
+      ).sort({ createdAt: 1 }).lean();
+
+      const userIds = [ticket.createdBy, ticket.assignedTo, ...(ticket.watchers || [])]
+        .filter(Boolean)
+        .map(String);
+
+      return {
+        clientId:  ticket.clientId,
+        title:     `Ticket ${ticket.ticketId}: ${ticket.subject}`,
+        text: [
+          ticket.subject,
+          ticket.description,
+          ...messages.map((m) => `${m.sender?.userName || 'User'}: ${m.message}`),
+        ].filter(Boolean).join('\n\n'),
+        scope:     { userIds: [...new Set(userIds)] },
+        updatedAt: ticket.updatedAt,
+      };
+    },
+    async listIds(clientId, since) {
+      const filter = { clientId: clientId || { $nin: [null, 'INTERNAL-SUPPORT'] } };
+      if (since) filter.updatedAt = { $gte: since };
+      return (await this.model().find(filter, { _id: 1 }).lean()).map((d) => String(d._id));
+    },
+  },
+
+  ocr_bill: {
+    product:  'zero_carbon',
+    pushOnly: true,
+    model:    () => require('../../zero-carbon/organization/models/DataEntry'),
+    async exists(id) {
+      return Boolean(await this.model().exists({ _id: id }));
+    },
+  },
+};
+
+// ── Internal helpers ──────────────────────────────────────────────────────────
+
+function _hashSource(text, embedderName) {
+  return crypto.createHash('sha256').update(`${embedderName}\n${text}`).digest('hex');
+}
+
+async function _writeChunks({ clientId, sourceType, sourceId, title, text, product, scope, updatedAt, force = false }) {
+  const store    = getVectorStore();
+  const embedder = getEmbedder();
+  const hash     = _hashSource(text, embedder.name);
+
+  if (!force) {
+    const existing = await store.getSourceHash({ clientId, sourceType, sourceId });
+    if (existing?.sourceHash === hash) return { status: 'unchanged', chunks: 0 };
+  }
+
+  const pieces = chunkText(text);
+  const chunks = [];
+  for (let i = 0; i < pieces.length; i++) {
+    chunks.push({
+      chunkIndex:      i,
+      content:         pieces[i],
+      embedding:       await embedder.embed(`${title}\n${pieces[i]}`),
+      embeddingModel:  embedder.name,
+      sourceHash:      hash,
+      title,
+      product,
+      scope:           scope || {},
+      sourceUpdatedAt: updatedAt || null,
+    });
+  }
+
+  const written = await store.upsertSourceChunks({ clientId, sourceType, sourceId, chunks });
+  return { status: 'indexed', chunks: written };
+}
+
+// ============================================================================
+// PUBLIC API
+// ============================================================================
+
+/**
+ * (Re)index one pull source. Removes its chunks if it no longer qualifies.
+ *
+ * @param {string} sourceType — brsr_answer | evidence_note | ticket_thread | ocr_bill
+ * @param {string} sourceId
+ * @param {object} [options]
+ * @param {boolean} [options.force] — re-embed even when the text is unchanged
+ * @returns {Promise<{ status: 'indexed'|'unchanged'|'removed'|'kept', chunks: number }>}
+ */
+async function indexSource(sourceType, sourceId, { force = false } = {}) {
+  const adapter = SOURCE_ADAPTERS[sourceType];
+  if (!adapter) throw new Error(`Unknown vector source type '${sourceType}'.`);
+
+  if (adapter.pushOnly) {
+    if (await adapter.exists(sourceId)) return { status: 'kept', chunks: 0 };
+    const removed = await getVectorStore().deleteSource({ sourceType, sourceId });
+    return { status: 'removed', chunks: removed };
+  }
+
+  const doc = await adapter.load(sourceId);
+  if (!doc || !doc.clientId || !doc.text?.trim()) {
+    const removed = await getVectorStore().deleteSource({ sourceType, sourceId });
+    return { status: 'removed', chunks: removed };
+  }
+
+  return _writeChunks({
+    ...doc,
+    sourceType,
+    sourceId: String(sourceId),
+    product:  adapter.product,
+    force,
+  });
+}
+
+/**
+ * Index the OCR text of a saved bill. Called by the OCR controller once the
+ * DataEntry exists; sourceId is the DataEntry _id so deletes can be detected.
+ *
+ * @param {object} params
+ * @param {string} params.clientId
+ * @param {string} params.nodeId
+ * @param {string} params.scopeIdentifier
+ * @param {string} params.dataEntryId
+ * @param {string} params.text
+ * @param {string} [params.fileName]
+ * @param {number|null} [params.pageNumber]
+ */
+async function indexOcrText({ clientId, nodeId, scopeIdentifier, dataEntryId, text, fileName, pageNumber = null }) {
+  if (!clientId || !dataEntryId || !text?.trim()) return { status: 'skipped', chunks: 0 };
+  const label = fileName || 'OCR document';
+  return _writeChunks({
+    clientId,
+    sourceType: 'ocr_bill',
+    sourceId:   String(dataEntryId),
+    title:      pageNumber ? `${label} (page ${pageNumber})` : label,
+    text,
+    product:    SOURCE_ADAPTERS.ocr_bill.product,
+    scope:      { nodeId, scopeIdentifier },
+    updatedAt:  new Date(),
+  });
+}
+
+/**
+ * Remove a source from the index explicitly.
+ */
+async function removeSource(sourceType, sourceId, clientId = null) {
+  return getVectorStore().deleteSource({ clientId, sourceType, sourceId: String(sourceId) });
+}
+
+// ── Debounced scheduling (used by model hooks) ────────────────────────────────
+// Several hooks can fire for one user action (e.g. a chat message save plus
+// the parent ticket's updatedAt bump). Collapse them into one index run.
+const _pending = new Map(); // `${sourceType}:${sourceId}` → timeout
+const SCHEDULE_DELAY_MS = parseInt(process.env.GREONIQ_INDEX_DEBOUNCE_MS || '2000', 10);
+
+/**
+ * Queue a source for (re)indexing. Never throws — safe to call from hooks.
+ * @param {string} sourceType
+ * @param {string|object} sourceId
+ */
+function scheduleIndex(sourceType, sourceId) {
+  if (!sourceType || !sourceId || !SOURCE_ADAPTERS[sourceType]) return;
+  const key = `${sourceType}:${String(sourceId)}`;
+  if (_pending.has(key)) clearTimeout(_pending.get(key));
+
+  const timer = setTimeout(() => {
+    _pending.delete(key);
+    indexSource(sourceType, String(sourceId)).catch((err) =>
+      console.error(`[GreOn IQ] Vector index failed for ${key}:`, err.message)
+    );
+  }, SCHEDULE_DELAY_MS);
+  if (timer.unref) timer.unref();
+  _pending.set(key, timer);
+}
+
+/**
+ * Rebuild the index for one client: (re)index every pull source and drop
+ * chunks whose source no longer exists. ocr_bill chunks are only pruned.
+ *
+ * @param {string} clientId
+ * @param {object} [options]
+ * @param {Date}   [options.since] — only sources updated since this date (catch-up mode, no pruning)
+ * @param {boolean} [options.force]
+ * @returns {Promise<object>} per-source-type counters
+ */
+async function reindexClient(clientId, { since = null, force = false } = {}) {
+  const store  = getVectorStore();
+  const report = {};
+
+  for (const [sourceType, adapter] of Object.entries(SOURCE_ADAPTERS)) {
+    const counters = { indexed: 0, unchanged: 0, removed: 0, kept: 0, failed: 0 };
+    report[sourceType] = counters;
+
+    const liveIds = adapter.pushOnly ? [] : await adapter.listIds(clientId, since);
+    const ids     = new Set(liveIds);
+    // Full rebuild also revisits everything already in the index (prunes orphans)
+    if (!since) {
+      for (const id of await store.listSourceIds({ clientId, sourceType })) ids.add(id);
+    }
+
+    for (const id of ids) {
+      try {
+        const { status } = await indexSource(sourceType, id, { force });
+        counters[status] = (counters[status] || 0) + 1;
+      } catch (err) {
+        counters.failed++;
+        console.error(`[GreOn IQ] Reindex ${sourceType}:${id} failed:`, err.message);
+      }
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Catch-up pass across all clients: re-index every pull source updated since
+ * the given date. Covers writes that bypass model hooks (bulk updates,
+ * direct collection writes) and hook runs lost to a restart.
+ *
+ * @param {Date} since
+ * @returns {Promise<object>} per-source-type counters
+ */
+async function reindexRecentlyUpdated(since) {
+  const report = {};
+  for (const [sourceType, adapter] of Object.entries(SOURCE_ADAPTERS)) {
+    if (adapter.pushOnly) continue;
+    const counters = { indexed: 0, unchanged: 0, removed: 0, failed: 0 };
+    report[sourceType] = counters;
+
+    for (const id of await adapter.listIds(null, since)) {
+      try {
+        const { status } = await indexSource(sourceType, id);
+        counters[status] = (counters[status] || 0) + 1;
+      } catch (err) {
+        counters.failed++;
+        console.error(`[GreOn IQ] Catch-up ${sourceType}:${id} failed:`, err.message);
+      }
+    }
+  }
+  return report;
+}
+
+/**
+ * Per-source-type index statistics for a client.
+ */
+async function getIndexStats(clientId) {
+  const store = getVectorStore();
+  return {
+    store:          store.name,
+    embeddingModel: getEmbedder().name,
+    sources:        await store.stats({ clientId }),
+  };
+}
+
+module.exports = {
+  SOURCE_TYPES: Object.keys(SOURCE_ADAPTERS),
+  indexSource,
+  indexOcrText,
+  removeSource,
+  scheduleIndex,
+  reindexClient,
+  reindexRecentlyUpdated,
+  getIndexStats,
+};
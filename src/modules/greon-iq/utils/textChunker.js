@@ -0,0 +1,80 @@
+'use strict';
+
+// ============================================================================
+// textChunker.js — Splits free text into overlapping chunks for embedding
+//
+// Paragraph boundaries are preferred, then sentence boundaries, then a hard
+// character cut for run-on text (OCR output often has no punctuation).
+// Consecutive chunks share `overlap` characters so a fact that straddles a
+// boundary is still retrievable from either side.
+// ============================================================================
+
+const DEFAULT_MAX_CHARS = parseInt(process.env.GREONIQ_CHUNK_MAX_CHARS || '800', 10);
+const DEFAULT_OVERLAP   = 120;
+
+function _normalizeWhitespace(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Break a single over-long segment into sentence-sized (or hard-cut) pieces
+function _splitLongSegment(segment, maxChars) {
+  const sentences = segment.match(/[^.!?\n]+[.!?]*\s*/g) || [segment];
+  const pieces = [];
+  let current = '';
+  for (const sentence of sentences) {
+    if (sentence.length > maxChars) {
+      if (current) { pieces.push(current.trim()); current = ''; }
+      for (let i = 0; i < sentence.length; i += maxChars) {
+        pieces.push(sentence.slice(i, i + maxChars).trim());
+      }
+      continue;
+    }
+    if ((current + sentence).length > maxChars) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+  }
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+}
+
+/**
+ * Split text into chunks of at most maxChars (plus overlap carried forward).
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {number} [options.maxChars=800]
+ * @param {number} [options.overlap=120]
+ * @returns {string[]}
+ */
+function chunkText(text, { maxChars = DEFAULT_MAX_CHARS, overlap = DEFAULT_OVERLAP } = {}) {
+  const clean = _normalizeWhitespace(text);
+  if (!clean) return [];
+  if (clean.length <= maxChars) return [clean];
+
+  const segments = clean
+    .split(/\n\s*\n/)
+    .flatMap((p) => (p.length > maxChars ? _splitLongSegment(p, maxChars) : [p.trim()]))
+    .filter(Boolean);
+
+  const chunks = [];
+  let current = '';
+  for (const segment of segments) {
+    if (current && (current.length + segment.length + 1) > maxChars) {
+      chunks.push(current);
+      const tail = overlap > 0 ? current.slice(-overlap) : '';
+      // Start the overlap on a word boundary
+      current = tail ? tail.slice(tail.indexOf(' ') + 1) : '';
+    }
+    current = current ? `${current}\n${segment}` : segment;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+module.exports = { chunkText };
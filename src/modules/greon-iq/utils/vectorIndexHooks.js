@@ -0,0 +1,41 @@
+'use strict';
+
+// ============================================================================
+// vectorIndexHooks.js — Keeps the GreOn IQ vector index in step with sources
+//
+// Call attachVectorIndexHooks(schema, sourceType, idFn) in a source model file
+// BEFORE mongoose.model() — hooks added to a compiled model never fire.
+//
+// Covered: save, findOneAndUpdate, findOneAndDelete, document deleteOne.
+// Query-level updateOne / updateMany / deleteMany do not expose the affected
+// ids; the nightly catch-up job (jobs/greonIQVectorReindex.js) covers them.
+//
+// vectorIndexService is required lazily so source models do not pull in the
+// GreOn IQ module (and its models) at load time.
+// ============================================================================
+
+/**
+ * @param {mongoose.Schema} schema
+ * @param {string} sourceType  — vectorIndexService source type
+ * @param {(doc: object) => any} [idFn] — maps a saved doc to the source id
+ *                                        (defaults to doc._id)
+ */
+function attachVectorIndexHooks(schema, sourceType, idFn = (doc) => doc._id) {
+  const schedule = (doc) => {
+    if (!doc) return;
+    try {
+      const sourceId = idFn(doc);
+      if (!sourceId) return;
+      require('../services/vectorIndexService').scheduleIndex(sourceType, String(sourceId));
+    } catch (err) {
+      console.error(`[GreOn IQ] Vector index hook (${sourceType}) error:`, err.message);
+    }
+  };
+
+  schema.post('save', schedule);
+  schema.post('findOneAndUpdate', schedule);
+  schema.post('findOneAndDelete', schedule);
+  schema.post('deleteOne', { document: true, query: false }, schedule);
+}
+
+module.exports = { attachVectorIndexHooks };
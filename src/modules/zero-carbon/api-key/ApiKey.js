@@ -1,6 +1,7 @@
 // models/ApiKey.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { decrypt } = require('../../../common/utils/encryptionUtil');
 
 const ApiKeySchema = new mongoose.Schema({
   // ============== Core Identifiers ==============
@@ -66,6 +67,13 @@ const ApiKeySchema = new mongoose.Schema({
     description: 'First 6 characters of the key for user identification (safe to display)'
   },
 
+  signingSecret: {
+    type: String,
+    default: null,
+    select: false,
+    description: 'AES-GCM encrypted HMAC secret for signed (Authorization header) requests'
+  },
+
   // ============== Status & Lifecycle ==============
   status: {
     type: String,
@@ -156,6 +164,12 @@ const ApiKeySchema = new mongoose.Schema({
     description: 'If this key was renewed into a new key, reference to the new key'
   },
 
+  overlapUntil: {
+    type: Date,
+    default: null,
+    description: 'When renewed with an overlap, the old key keeps working until this time'
+  },
+
   // ============== Notification Tracking ==============
   expiryWarningsSent: {
     type: [{
@@ -228,6 +242,14 @@ ApiKeySchema.methods.verifyKey = async function(plaintextKey) {
   return await bcrypt.compare(plaintextKey, this.keyHash);
 };
 
+/**
+ * Decrypt the HMAC signing secret (document must be loaded with +signingSecret)
+ * @returns {string|null}
+ */
+ApiKeySchema.methods.getSigningSecret = function() {
+  return this.signingSecret ? decrypt(this.signingSecret) : null;
+};
+
 /**
  * Check if key is valid (active and not expired)
  * @returns {boolean}
@@ -0,0 +1,66 @@
+// models/IdempotencyRecord.js
+const mongoose = require('mongoose');
+
+/**
+ * Stored result of an API / IoT ingestion request sent with an
+ * Idempotency-Key header. A retry with the same key gets this response back
+ * instead of creating a second DataEntry / NetReductionEntry.
+ */
+const IdempotencyRecordSchema = new mongoose.Schema({
+  // keyType + clientId + node/scope or project/methodology the request targets
+  scope: {
+    type: String,
+    required: true
+  },
+
+  idempotencyKey: {
+    type: String,
+    required: true
+  },
+
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+
+  requestHash: {
+    type: String,
+    required: true,
+    description: 'sha256 of method, route and body; a reused key with a different body is rejected'
+  },
+
+  status: {
+    type: String,
+    enum: ['IN_PROGRESS', 'COMPLETED'],
+    default: 'IN_PROGRESS'
+  },
+
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+
+  // body as sent (string); records written before this held the res.json object
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  responseContentType: {
+    type: String,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  collection: 'idempotencyrecords'
+});
+
+IdempotencyRecordSchema.index({ scope: 1, idempotencyKey: 1 }, { unique: true });
+IdempotencyRecordSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('IdempotencyRecord', IdempotencyRecordSchema);
@@ -0,0 +1,33 @@
+// models/SignatureRecord.js
+const mongoose = require('mongoose');
+
+/**
+ * Signature of a signed API / IoT request that was already accepted. Shared
+ * by every instance, so a captured request can't be replayed against another
+ * one inside the timestamp window.
+ */
+const SignatureRecordSchema = new mongoose.Schema({
+  signature: {
+    type: String,
+    required: true
+  },
+
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+
+  // end of the replay window; after that the timestamp check rejects the request anyway
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  collection: 'signaturerecords'
+});
+
+SignatureRecordSchema.index({ signature: 1 }, { unique: true });
+SignatureRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SignatureRecord', SignatureRecordSchema);
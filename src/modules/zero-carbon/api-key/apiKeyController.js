@@ -4,6 +4,8 @@ const Client = require('../../client-management/client/Client');
 const User = require('../../../common/models/User');
 const Reduction = require('../reduction/models/Reduction');
 const { generateKeyPackage, calculateExpiryDate } = require('./utils/keyGenerator');
+const { generateSigningSecret } = require('./utils/requestSigning');
+const { encrypt } = require('../../../common/utils/encryptionUtil');
 const { createApiKeyNotification } = require('./utils/apiKeyNotifications');
 const { generateApiKeyPDF } = require('./utils/apiKeyPdfGenerator');
 const { sendApiKeyEmail } = require('./utils/apiKeyEmailService');
@@ -352,6 +354,7 @@ const createKey = async (req, res) => {
 
     // ---------------- GENERATE KEY ----------------
     const { key, hash, prefix } = await generateKeyPackage(keyType, metadata);
+    const signingSecret = generateSigningSecret();
     const expiresAt = calculateExpiryDate(client.sandbox, durationDays);
 
     const apiKeyDoc = new ApiKey({
@@ -359,6 +362,7 @@ const createKey = async (req, res) => {
       keyType,
       keyHash: hash,
       keyPrefix: prefix,
+      signingSecret: encrypt(signingSecret),
       ...(keyType.startsWith('NET') && { projectId, calculationMethodology }),
       ...(keyType.startsWith('DC') && { nodeId, scopeIdentifier }),
       status: 'ACTIVE',
@@ -447,6 +451,8 @@ const createKey = async (req, res) => {
     return res.status(201).json({
       success:true,
       apiKey:key,
+      keyId: apiKeyDoc._id,
+      signingSecret, // shown once — used for ZC-HMAC-SHA256 signed requests
       keyType,
       clientId,
       keyPrefix: prefix,
@@ -572,7 +578,18 @@ const getKeyDetails = async (req, res) => {
 const renewKey = async (req, res) => {
   try {
     const { clientId, keyId } = req.params;
-    const { durationDays = 365 } = req.body;
+    const { durationDays = 365, overlapHours = 0 } = req.body;
+
+    // Rotation overlap: the old key keeps working for up to 30 days so
+    // devices can be switched to the new key without a gap
+    const overlap = Number(overlapHours) || 0;
+    if (overlap < 0 || overlap > 720) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid overlap',
+        message: 'overlapHours must be between 0 and 720'
+      });
+    }
 
     const userId = getUserId(req.user);
     if (!userId) {
@@ -624,6 +641,7 @@ const renewKey = async (req, res) => {
         };
 
     const { key, hash, prefix } = await generateKeyPackage(oldKey.keyType, metadata);
+    const signingSecret = generateSigningSecret();
     const expiresAt = calculateExpiryDate(isSandboxKey, durationDays);
 
     const newKey = new ApiKey({
@@ -631,6 +649,7 @@ const renewKey = async (req, res) => {
       keyType: oldKey.keyType,
       keyHash: hash,
       keyPrefix: prefix,
+      signingSecret: encrypt(signingSecret),
       ...(oldKey.keyType.startsWith('NET') && { 
         projectId: oldKey.projectId, 
         calculationMethodology: oldKey.calculationMethodology 
@@ -652,10 +671,20 @@ const renewKey = async (req, res) => {
 
     await newKey.save();
 
-    oldKey.status = 'REVOKED';
-    oldKey.revokedAt = new Date();
-    oldKey.revokedBy = userId;
-    oldKey.revocationReason = 'Renewed - replaced with new key';
+    const overlapUntil = overlap > 0 && oldKey.status === 'ACTIVE'
+      ? new Date(Math.min(Date.now() + overlap * 60 * 60 * 1000, oldKey.expiresAt.getTime()))
+      : null;
+
+    if (overlapUntil) {
+      // Stays ACTIVE until overlapUntil, then expires through the normal expiry path
+      oldKey.expiresAt = overlapUntil;
+      oldKey.overlapUntil = overlapUntil;
+    } else {
+      oldKey.status = 'REVOKED';
+      oldKey.revokedAt = new Date();
+      oldKey.revokedBy = userId;
+      oldKey.revocationReason = 'Renewed - replaced with new key';
+    }
     oldKey.renewedTo = newKey._id;
     await oldKey.save();
 
@@ -666,10 +695,13 @@ const renewKey = async (req, res) => {
     res.json({
       success: true,
       message: 'API key renewed successfully',
-      warning: 'IMPORTANT: The old key has been revoked. Save the new key securely.',
+      warning: overlapUntil
+        ? `IMPORTANT: The old key keeps working until ${overlapUntil.toISOString()}. Save the new key securely.`
+        : 'IMPORTANT: The old key has been revoked. Save the new key securely.',
       data: {
         apiKey: key,
         keyId: newKey._id,
+        signingSecret, // shown once — used for ZC-HMAC-SHA256 signed requests
         keyPrefix: prefix,
         keyType: newKey.keyType,
         clientId,
@@ -680,7 +712,8 @@ const renewKey = async (req, res) => {
         expiresAt,
         daysUntilExpiry,
         oldKeyPrefix: oldKey.keyPrefix,
-        oldKeyRevoked: true,
+        oldKeyRevoked: !overlapUntil,
+        oldKeyValidUntil: overlapUntil,
         createdAt: newKey.createdAt
       }
     });
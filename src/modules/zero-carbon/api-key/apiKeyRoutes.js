@@ -113,7 +113,8 @@ router.get(
  * 
  * Body:
  * {
- *   "durationDays": 365  // Optional
+ *   "durationDays": 365,  // Optional
+ *   "overlapHours": 48    // Optional (0-720) - old key stays valid this long
  * }
  */
 router.post(
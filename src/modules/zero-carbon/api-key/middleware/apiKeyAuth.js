@@ -1,15 +1,86 @@
-// middleware/apiKeyAuth.js (UPDATED - API Key in URL Params)
+// middleware/apiKeyAuth.js (UPDATED - API Key in URL Params or signed Authorization header)
+const mongoose = require('mongoose');
 const ApiKey = require('../ApiKey');
+const SignatureRecord = require('../SignatureRecord');
 const { verifyApiKey, isIpWhitelisted } = require('../utils/keyGenerator');
+const requestSigning = require('../utils/requestSigning');
+
+/**
+ * Record a signature as used until the end of its replay window
+ * (SignatureRecord, shared by all instances; expired records are removed by
+ * the TTL index)
+ * @returns {Promise<boolean>} false when the signature was already used
+ */
+async function rememberSignature(signature, timestamp, apiKeyId) {
+  try {
+    await SignatureRecord.create({
+      signature,
+      apiKeyId,
+      expiresAt: new Date((timestamp + requestSigning.getReplayWindowSeconds()) * 1000)
+    });
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
+
+/**
+ * Resolve the key for a ZC-HMAC-SHA256 signed request
+ * @returns {Promise<{key?: Object, status?: number, error?: string, message?: string}>}
+ */
+async function findSignedRequestKey(req, query) {
+  const auth = requestSigning.parseAuthorizationHeader(req.headers.authorization);
+  if (!auth) {
+    return { status: 401, error: 'Invalid Authorization header', message: `Expected: ${requestSigning.SCHEME} keyId=<id>, timestamp=<unix seconds>, signature=<hex>` };
+  }
+
+  if (!requestSigning.isWithinWindow(auth.timestamp)) {
+    return { status: 401, error: 'Request timestamp outside allowed window', message: `Timestamp must be within ${requestSigning.getReplayWindowSeconds()} seconds of server time` };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(auth.keyId)) {
+    return { status: 401, error: 'Invalid API key', message: 'No matching API key found for this endpoint' };
+  }
+
+  const keyDoc = await ApiKey.findOne({ ...query, _id: auth.keyId }).select('+signingSecret');
+  if (!keyDoc) {
+    return { status: 401, error: 'Invalid API key', message: 'No matching API key found for this endpoint' };
+  }
+
+  const secret = keyDoc.getSigningSecret();
+  if (!secret) {
+    return { status: 401, error: 'Signing not enabled', message: 'This API key has no signing secret. Renew the key to receive one.' };
+  }
+
+  const valid = requestSigning.verifySignature(secret, {
+    method: req.method,
+    path: req.originalUrl,
+    timestamp: auth.timestamp,
+    body: req.rawBody,
+    signature: auth.signature
+  });
+  if (!valid) {
+    return { status: 401, error: 'Invalid signature', message: 'Request signature verification failed' };
+  }
+
+  if (!(await rememberSignature(auth.signature, auth.timestamp, keyDoc._id))) {
+    return { status: 401, error: 'Replayed request', message: 'This signed request has already been received' };
+  }
+
+  return { key: keyDoc };
+}
 
 /**
  * Middleware to authenticate API/IoT requests using API keys
  * 
- * ⚠️ UPDATED: API key is now passed as URL parameter instead of header
+ * ⚠️ UPDATED: API key is now passed as URL parameter instead of header.
+ * Routes without :apiKey accept a signed Authorization header instead
+ * (see utils/requestSigning.js), which keeps the key out of access logs.
  * 
  * This middleware:
- * 1. Extracts the API key from req.params.apiKey
- * 2. Validates the key exists and is active
+ * 1. Extracts the API key from req.params.apiKey, or the ZC-HMAC-SHA256 Authorization header
+ * 2. Validates the key exists and is active (and the signature / timestamp for signed requests)
  * 3. Verifies the key matches the route parameters
  * 4. Checks expiry
  * 5. Records usage
@@ -19,22 +90,23 @@ const { verifyApiKey, isIpWhitelisted } = require('../utils/keyGenerator');
  * @returns {Function} Express middleware
  */
 function apiKeyAuth(keyType) {
-  return async (req, res, next) => {
+  const middleware = async (req, res, next) => {
     try {
       console.log(`[API Key Auth] Authenticating ${keyType} request`);
       console.log(`[API Key Auth] URL Params:`, req.params);
       
       // ============== Extract API Key from URL Params ==============
       const apiKey = req.params.apiKey;
+      const signed = !apiKey && requestSigning.isSignedRequest(req);
 
-      console.log(`[API Key Auth] Extracted key: ${apiKey ? apiKey.substring(0, 10) + '...' : 'NONE'}`);
+      console.log(`[API Key Auth] Extracted key: ${apiKey ? apiKey.substring(0, 10) + '...' : signed ? 'SIGNED' : 'NONE'}`);
 
-      if (!apiKey) {
-        console.log('[API Key Auth] No API key provided in URL');
+      if (!apiKey && !signed) {
+        console.log('[API Key Auth] No API key provided in URL or Authorization header');
         return res.status(401).json({
           success: false,
           error: 'API key is required',
-          message: 'Please provide an API key as a URL parameter. Format: /.../:apiKey/api or /.../:apiKey/iot'
+          message: `Please provide an API key as a URL parameter (/.../:apiKey/api or /.../:apiKey/iot) or sign the request with a ${requestSigning.SCHEME} Authorization header`
         });
       }
 
@@ -81,13 +153,8 @@ function apiKeyAuth(keyType) {
         }
       }
 
-      // ============== Find Key by Prefix ==============
-      const keyPrefix = apiKey.substring(0, 6);
-      console.log(`[API Key Auth] Key prefix: ${keyPrefix}`);
-      
       // Build query to find matching keys
       const query = {
-        keyPrefix,
         clientId: routeParams.clientId,
         keyType,
         status: 'ACTIVE'
@@ -102,41 +169,59 @@ function apiKeyAuth(keyType) {
         query.scopeIdentifier = routeParams.scopeIdentifier;
       }
 
-      console.log('[API Key Auth] Searching for key with query:', JSON.stringify(query, null, 2));
+      let validKey = null;
 
-      // Find all potential matching keys
-      const potentialKeys = await ApiKey.find(query);
+      if (signed) {
+        // ============== Verify Signed Request ==============
+        const result = await findSignedRequestKey(req, query);
+        if (!result.key) {
+          console.log(`[API Key Auth] Signed request rejected: ${result.error}`);
+          return res.status(result.status).json({
+            success: false,
+            error: result.error,
+            message: result.message
+          });
+        }
+        validKey = result.key;
+        console.log('[API Key Auth] Request signature verified successfully');
+      } else {
+        // ============== Find Key by Prefix ==============
+        query.keyPrefix = apiKey.substring(0, 6);
+        console.log(`[API Key Auth] Key prefix: ${query.keyPrefix}`);
+        console.log('[API Key Auth] Searching for key with query:', JSON.stringify(query, null, 2));
 
-      console.log(`[API Key Auth] Found ${potentialKeys.length} potential matching key(s)`);
+        // Find all potential matching keys
+        const potentialKeys = await ApiKey.find(query);
 
-      if (!potentialKeys || potentialKeys.length === 0) {
-        console.log('[API Key Auth] No matching API key found');
-        return res.status(401).json({
-          success: false,
-          error: 'Invalid API key',
-          message: 'No matching API key found for this endpoint'
-        });
-      }
+        console.log(`[API Key Auth] Found ${potentialKeys.length} potential matching key(s)`);
 
-      // ============== Verify Key Hash ==============
-      let validKey = null;
-      
-      for (const keyDoc of potentialKeys) {
-        const isValid = await verifyApiKey(apiKey, keyDoc.keyHash);
-        if (isValid) {
-          validKey = keyDoc;
-          console.log(`[API Key Auth] Key hash verified successfully`);
-          break;
+        if (!potentialKeys || potentialKeys.length === 0) {
+          console.log('[API Key Auth] No matching API key found');
+          return res.status(401).json({
+            success: false,
+            error: 'Invalid API key',
+            message: 'No matching API key found for this endpoint'
+          });
         }
-      }
 
-      if (!validKey) {
-        console.log('[API Key Auth] Key hash verification failed');
-        return res.status(401).json({
-          success: false,
-          error: 'Invalid API key',
-          message: 'API key verification failed'
-        });
+        // ============== Verify Key Hash ==============
+        for (const keyDoc of potentialKeys) {
+          const isValid = await verifyApiKey(apiKey, keyDoc.keyHash);
+          if (isValid) {
+            validKey = keyDoc;
+            console.log(`[API Key Auth] Key hash verified successfully`);
+            break;
+          }
+        }
+
+        if (!validKey) {
+          console.log('[API Key Auth] Key hash verification failed');
+          return res.status(401).json({
+            success: false,
+            error: 'Invalid API key',
+            message: 'API key verification failed'
+          });
+        }
       }
 
       // ============== Check Expiry ==============
@@ -217,6 +302,7 @@ function apiKeyAuth(keyType) {
         prefix: validKey.keyPrefix,
         isSandbox: validKey.isSandboxKey,
         expiresAt: validKey.expiresAt,
+        authMode: signed ? 'signature' : 'url',
         metadata: {
           projectId: validKey.projectId,
           calculationMethodology: validKey.calculationMethodology,
@@ -239,6 +325,8 @@ function apiKeyAuth(keyType) {
       });
     }
   };
+  middleware.openapi = { apiKeyType: keyType, signing: true };
+  return middleware;
 }
 
 /**
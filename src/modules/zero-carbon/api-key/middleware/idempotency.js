@@ -0,0 +1,164 @@
+// middleware/idempotency.js
+const crypto = require('crypto');
+const IdempotencyRecord = require('../IdempotencyRecord');
+
+const MAX_KEY_LENGTH = 255;
+const IN_PROGRESS_TIMEOUT_MS = 5 * 60 * 1000; // a request that never answered
+
+/**
+ * Target of an ingestion request, independent of which key (old or renewed)
+ * or auth mode was used, so a retry after key rotation is still recognised.
+ * @param {Object} apiKey - req.apiKey set by apiKeyAuth
+ * @returns {string}
+ */
+function requestScope(apiKey) {
+  const m = apiKey.metadata || {};
+  return apiKey.keyType.startsWith('NET')
+    ? [apiKey.keyType, apiKey.clientId, m.projectId, m.calculationMethodology].join(':')
+    : [apiKey.keyType, apiKey.clientId, m.nodeId, m.scopeIdentifier].join(':');
+}
+
+/**
+ * @returns {string} sha256 of method, scope and body
+ */
+function requestHash(method, scope, body) {
+  return crypto
+    .createHash('sha256')
+    .update(`${String(method).toUpperCase()}\n${scope}\n`)
+    .update(body || '')
+    .digest('hex');
+}
+
+/**
+ * Idempotency-Key support for API/IoT ingestion endpoints
+ * Must run after apiKeyAuth (needs req.apiKey).
+ *
+ * - First request with a key runs normally; its response (status < 500) is
+ *   stored once it has been sent, whether it went out via res.json, res.send
+ *   or res.end (streamed responses are not supported)
+ * - A retry with the same key and body replays the stored response
+ *   (header Idempotent-Replayed: true) without calling the controller
+ * - Same key with a different body → 422; same key still running → 409
+ *   (a key stuck in progress for 5 minutes is released for the next retry)
+ * - Records expire after 24 hours
+ *
+ * Requests without the header are unaffected.
+ * @returns {Function} Express middleware
+ */
+function idempotency() {
+  return async (req, res, next) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (!idempotencyKey || !req.apiKey) {
+      return next();
+    }
+
+    if (idempotencyKey.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Idempotency-Key',
+        message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    try {
+      const scope = requestScope(req.apiKey);
+      const hash = requestHash(req.method, scope, req.rawBody || JSON.stringify(req.body || {}));
+
+      let record;
+      try {
+        record = await IdempotencyRecord.create({
+          scope,
+          idempotencyKey,
+          apiKeyId: req.apiKey.id,
+          requestHash: hash
+        });
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+
+        const existing = await IdempotencyRecord.findOne({ scope, idempotencyKey }).lean();
+        if (!existing) {
+          // expired between the insert and the lookup — treat as a new request
+          return next();
+        }
+        if (existing.requestHash !== hash) {
+          return res.status(422).json({
+            success: false,
+            error: 'Idempotency-Key reused',
+            message: 'This Idempotency-Key was already used with a different request body'
+          });
+        }
+        if (existing.status !== 'COMPLETED') {
+          if (Date.now() - new Date(existing.createdAt).getTime() > IN_PROGRESS_TIMEOUT_MS) {
+            // the original request died without responding; free the key for the next retry
+            await IdempotencyRecord.deleteOne({ _id: existing._id, status: 'IN_PROGRESS' });
+          }
+          return res.status(409).json({
+            success: false,
+            error: 'Request in progress',
+            message: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+
+        console.log(`[Idempotency] Replaying stored response for key ${idempotencyKey}`);
+        res.setHeader('Idempotent-Replayed', 'true');
+        res.status(existing.responseStatus);
+        if (typeof existing.responseBody !== 'string') {
+          return res.json(existing.responseBody);
+        }
+        if (existing.responseContentType) res.setHeader('Content-Type', existing.responseContentType);
+        return res.send(existing.responseBody);
+      }
+
+      // res.json and res.send both end in res.end, so the body is taken there
+      let responseBody = null;
+      const originalEnd = res.end.bind(res);
+      res.end = (chunk, ...rest) => {
+        if (typeof chunk === 'string' || Buffer.isBuffer(chunk)) responseBody = String(chunk);
+        return originalEnd(chunk, ...rest);
+      };
+
+      // Store the response once it has gone out
+      res.on('finish', () => {
+        const status = res.statusCode;
+        const done = status < 500
+          ? IdempotencyRecord.updateOne(
+              { _id: record._id },
+              {
+                $set: {
+                  status: 'COMPLETED',
+                  responseStatus: status,
+                  responseBody,
+                  responseContentType: res.get('Content-Type') || null
+                }
+              }
+            )
+          // server errors are not cached so the client can retry with the same key
+          : IdempotencyRecord.deleteOne({ _id: record._id });
+
+        done.catch((err) => console.error('[Idempotency] Failed to store response:', err));
+      });
+
+      // Connection dropped before a response was sent: free the key for the retry
+      res.on('close', () => {
+        if (res.writableFinished) return;
+        IdempotencyRecord.deleteOne({ _id: record._id, status: 'IN_PROGRESS' })
+          .catch((err) => console.error('[Idempotency] Failed to release key:', err));
+      });
+
+      return next();
+    } catch (error) {
+      console.error('[Idempotency] Error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Idempotency error',
+        message: 'An error occurred while checking the Idempotency-Key'
+      });
+    }
+  };
+}
+
+module.exports = {
+  idempotency,
+  requestScope,
+  requestHash
+};
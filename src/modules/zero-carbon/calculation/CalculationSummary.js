@@ -18,9 +18,17 @@ const netReductionSummaryController = require('../reduction/controllers/netReduc
 const TargetMaster = require('../m3/models/TargetMaster');
 const PathwayAnnual = require('../m3/models/PathwayAnnual');
 const ProgressSnapshot = require('../m3/models/ProgressSnapshot');
+const carbonPricingService = require('../m3/services/carbonPricingService');
+const { addMarketBasedScope2, emptyMarketBased } = require('../scope2/services/marketBasedService');
+const {
+  createScope3Accumulator,
+  addScope3Entry,
+  finalizeScope3,
+} = require('../scope3/services/scope3MethodService');
 
 
 const {getActiveFlowchart} = require('../data-collection/utils/dataCollection');
+const { emitEvent: emitWebhookEvent } = require('../../../common/services/webhook/webhookDispatcher');
 
 const {
   getSummaryAccessContext,
@@ -260,6 +268,7 @@ const calculateEmissionSummary = async (clientId, periodType, year, month, week,
     // ============================================================
     if (dataEntries.length === 0) {
       console.log(`No processed data entries found for ${clientId} in this period.`);
+      const emptyScope3 = finalizeScope3(createScope3Accumulator());
 
       return {
         clientId,
@@ -272,10 +281,12 @@ const calculateEmissionSummary = async (clientId, periodType, year, month, week,
 
           byScope: {
             'Scope 1': { CO2e: 0, CO2: 0, CH4: 0, N2O: 0, uncertainty: 0, dataPointCount: 0 },
-            'Scope 2': { CO2e: 0, CO2: 0, CH4: 0, N2O: 0, uncertainty: 0, dataPointCount: 0 },
-            'Scope 3': { CO2e: 0, CO2: 0, CH4: 0, N2O: 0, uncertainty: 0, dataPointCount: 0 }
+            'Scope 2': { CO2e: 0, CO2: 0, CH4: 0, N2O: 0, uncertainty: 0, dataPointCount: 0, marketBased: emptyMarketBased() },
+            'Scope 3': { CO2e: 0, CO2: 0, CH4: 0, N2O: 0, uncertainty: 0, dataPointCount: 0, methods: emptyScope3.methods }
           },
 
+          scope3Categories: emptyScope3.categories,
+
           byCategory: new Map(),
           byActivity: new Map(),
           byNode: new Map(),
@@ -348,10 +359,12 @@ const calculateEmissionSummary = async (clientId, periodType, year, month, week,
 
       byScope: {
         "Scope 1": { CO2e: 0, CO2: 0, CH4: 0, N2O: 0, uncertainty: 0, dataPointCount: 0 },
-        "Scope 2": { CO2e: 0, CO2: 0, CH4: 0, N2O: 0, uncertainty: 0, dataPointCount: 0 },
+        "Scope 2": { CO2e: 0, CO2: 0, CH4: 0, N2O: 0, uncertainty: 0, dataPointCount: 0, marketBased: emptyMarketBased() },
         "Scope 3": { CO2e: 0, CO2: 0, CH4: 0, N2O: 0, uncertainty: 0, dataPointCount: 0 }
       },
 
+      scope3Categories: [],
+
       byCategory: new Map(),
       byActivity: new Map(),
       byNode: new Map(),
@@ -384,6 +397,7 @@ const calculateEmissionSummary = async (clientId, periodType, year, month, week,
     // ============================================================
     // PROCESS EACH DATA ENTRY
     // ============================================================
+    const scope3Acc = createScope3Accumulator();
     for (const entry of dataEntries) {
       try {
         const emissionValues = extractEmissionValues(entry.calculatedEmissions);
@@ -406,6 +420,12 @@ const calculateEmissionSummary = async (clientId, periodType, year, month, week,
         if (emissionSummary.byScope[entry.scopeType]) {
           addEmissionValues(emissionSummary.byScope[entry.scopeType], emissionValues, true);
         }
+        if (entry.scopeType === 'Scope 2') {
+          addMarketBasedScope2(emissionSummary.byScope['Scope 2'].marketBased, entry, emissionValues);
+        }
+        if (entry.scopeType === 'Scope 3') {
+          addScope3Entry(scope3Acc, entry, categoryName, emissionValues);
+        }
 
         // === BY CATEGORY ===
         const cat = ensureMapEntry(
@@ -476,6 +496,10 @@ const calculateEmissionSummary = async (clientId, periodType, year, month, week,
       }
     }
 
+    const scope3 = finalizeScope3(scope3Acc);
+    emissionSummary.byScope["Scope 3"].methods = scope3.methods;
+    emissionSummary.scope3Categories = scope3.categories;
+
     // ============================================================
     // NODE COUNTS FOR DEPARTMENT + LOCATION
     // ============================================================
@@ -1781,6 +1805,7 @@ async function saveEmissionSummary(summaryData) {
     },
 
     byScope: mapToObj(es.byScope),
+    scope3Categories: es.scope3Categories || [],
     byCategory: mapToObj(es.byCategory),
     byActivity: mapToObj(es.byActivity),
     byNode: mapToObj(es.byNode),
@@ -2010,6 +2035,15 @@ const recalculateAndSaveSummary = async (
     // We now always save, even if totalDataPoints is 0
     // (so that empty months/years still have a summary doc)
     const saved = await saveEmissionSummary(summaryData);
+
+    // Outbound webhook (fire-and-forget; emitEvent never throws)
+    emitWebhookEvent('emission_summary.recalculated', clientId, {
+      summaryId: saved._id,
+      period: saved.period,
+      totalEmissions: saved.emissionSummary?.totalEmissions || null,
+      lastCalculated: saved.metadata?.lastCalculated || new Date(),
+    });
+
     return saved;
   } catch (err) {
     console.error(
@@ -5417,6 +5451,104 @@ const getReductionSummariesByProjects = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/summaries/:clientId/carbon-cost
+ *
+ * Shadow cost of the period's emissions at the client's internal carbon price,
+ * by scope, node and department, with trends and a volume/price variance
+ * against the previous period.
+ *
+ * @query periodType=daily|weekly|monthly|yearly (default: yearly)
+ * @query year, month, week, day (optional; latest summary of the type if omitted)
+ */
+const getCarbonCostSummary = async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { periodType = "yearly", year, month, week, day } = req.query;
+
+    if (!["daily", "weekly", "monthly", "yearly"].includes(periodType)) {
+      return res.status(400).json({ success: false, message: "Invalid period type." });
+    }
+
+    const schedule = await carbonPricingService.getSchedule(clientId);
+    if (!schedule || !schedule.prices?.length) {
+      return res.status(404).json({
+        success: false,
+        message: "No internal carbon price schedule configured for this client."
+      });
+    }
+
+    const baseQuery = { clientId, "period.type": periodType };
+    const exactQuery = { ...baseQuery };
+    if (year)  exactQuery["period.year"]  = parseInt(year);
+    if (month) exactQuery["period.month"] = parseInt(month);
+    if (week)  exactQuery["period.week"]  = parseInt(week);
+    if (day)   exactQuery["period.day"]   = parseInt(day);
+
+    let summary = await EmissionSummary.findOne(exactQuery)
+      .sort({ "period.to": -1, updatedAt: -1 })
+      .lean();
+
+    if (!summary) {
+      return res.status(404).json({
+        success: false,
+        message: "No data found for the specified period."
+      });
+    }
+
+    const p = summary.period || {};
+    const prevParts = getPreviousPeriod(periodType, p.year, p.month, p.week, p.day);
+    const prevQuery = { ...baseQuery };
+    for (const [k, v] of Object.entries(prevParts)) prevQuery[`period.${k}`] = v;
+    let previous = Object.keys(prevParts).length
+      ? await EmissionSummary.findOne(prevQuery).lean()
+      : null;
+
+    const accessCtx = req.summaryAccessContext
+      || await getSummaryAccessContext(req.user, clientId);
+    summary = applyAccessContextToSummary(summary, accessCtx);
+    if (previous) previous = applyAccessContextToSummary(previous, accessCtx);
+
+    // calculateTrends() expects every scope to be present
+    const emissionShape = (es) => ({
+      totalEmissions: { CO2e: es?.totalEmissions?.CO2e || 0 },
+      byScope: Object.fromEntries(
+        carbonPricingService.SCOPES.map((s) => [s, { CO2e: es?.byScope?.[s]?.CO2e || 0 }])
+      ),
+    });
+
+    const priceYear = p.year || moment.utc().year();
+    const cost = carbonPricingService.costSummary(summary.emissionSummary, schedule.prices, priceYear);
+    const prevCost = previous
+      ? carbonPricingService.costSummary(previous.emissionSummary, schedule.prices, previous.period?.year || priceYear)
+      : null;
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        clientId,
+        period: summary.period,
+        currency: schedule.currency,
+        emissions: emissionShape(summary.emissionSummary),
+        cost,
+        previousPeriod: previous
+          ? { period: previous.period, emissions: emissionShape(previous.emissionSummary), cost: prevCost.totals }
+          : null,
+        trends: previous
+          ? {
+              emissions: calculateTrends(emissionShape(summary.emissionSummary), emissionShape(previous.emissionSummary)),
+              cost: calculateTrends(carbonPricingService.toTrendShape(cost), carbonPricingService.toTrendShape(prevCost)),
+            }
+          : null,
+        variance: previous ? carbonPricingService.costVariance(cost, prevCost) : null,
+      },
+    });
+  } catch (err) {
+    console.error("getCarbonCostSummary error:", err);
+    return res.status(err.status || 500).json({ success: false, message: err.message });
+  }
+};
+
 /**
  * Compare Mode with Independent Period Selection
  * VERSION 4 - Supports different periods for Selection A and Selection B
@@ -6141,6 +6273,6 @@ module.exports = {
   getReductionSummaryHierarchy,
   getReductionSummariesByProjects,
   compareSummarySelections,
-    
+  getCarbonCostSummary,
 
 };
\ No newline at end of file
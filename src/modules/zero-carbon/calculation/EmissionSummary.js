@@ -44,12 +44,21 @@ const emissionDetailsSchema = new mongoose.Schema(
         dataPointCount: { type: Number, default: 0 }
       },
       'Scope 2': {
+        // CO2e above is location-based; market-based is reported alongside
         CO2e: { type: Number, default: 0 },
         CO2: { type: Number, default: 0 },
         CH4: { type: Number, default: 0 },
         N2O: { type: Number, default: 0 },
         uncertainty: { type: Number, default: 0 },
-        dataPointCount: { type: Number, default: 0 }
+        dataPointCount: { type: Number, default: 0 },
+        marketBased: {
+          CO2e: { type: Number, default: 0 },
+          instrumentCO2e: { type: Number, default: 0 },
+          residualCO2e: { type: Number, default: 0 },
+          coveredMWh: { type: Number, default: 0 },
+          residualMWh: { type: Number, default: 0 },
+          locationFallbackCO2e: { type: Number, default: 0 } // entries with no market-based result
+        }
       },
       'Scope 3': {
         CO2e: { type: Number, default: 0 },
@@ -57,10 +66,34 @@ const emissionDetailsSchema = new mongoose.Schema(
         CH4: { type: Number, default: 0 },
         N2O: { type: Number, default: 0 },
         uncertainty: { type: Number, default: 0 },
-        dataPointCount: { type: Number, default: 0 }
+        dataPointCount: { type: Number, default: 0 },
+        // CO2e by calculation method and CO2e-weighted data quality (1 best – 5 worst)
+        methods: {
+          supplier_specific: { type: Number, default: 0 },
+          hybrid: { type: Number, default: 0 },
+          average_data: { type: Number, default: 0 },
+          spend_based: { type: Number, default: 0 },
+          dataQualityScore: { type: Number, default: null }
+        }
       }
     },
 
+    // The 15 GHG Protocol Scope 3 categories, with method split and data quality
+    scope3Categories: [{
+      _id: false,
+      number: Number,
+      name: String,
+      CO2e: { type: Number, default: 0 },
+      dataPointCount: { type: Number, default: 0 },
+      methods: {
+        supplier_specific: { type: Number, default: 0 },
+        hybrid: { type: Number, default: 0 },
+        average_data: { type: Number, default: 0 },
+        spend_based: { type: Number, default: 0 }
+      },
+      dataQualityScore: { type: Number, default: null }
+    }],
+
     // Emissions by category
     byCategory: {
       type: Map,
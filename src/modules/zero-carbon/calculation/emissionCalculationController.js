@@ -7,6 +7,10 @@ const SurveyResponse = require('../organization/models/SurveyResponse');
 const SurveyCycle = require('../organization/models/SurveyCycle');
 const Client = require('../../client-management/client/Client'); 
 const EmissionSummary = require('./EmissionSummary');
+const marketBasedService = require('../scope2/services/marketBasedService');
+const scope3MethodService = require('../scope3/services/scope3MethodService');
+const factorVersionService = require('../emission-factor/services/factorVersion.service');
+const uom = require('../../../common/services/uom/uomService');
 const {
   calculateUncertainty,
   formatUncertaintyResult
@@ -28,6 +32,41 @@ function sumCumulativeCO2e(cumulativeObj) {
 }
 // ─────────────────────────────────────────────────────────────────────────────
 
+// ─── SCOPE 2 UNIT HELPER ─────────────────────────────────────────────────────
+// Scope 2 consumption is stored in the flowchart's electricityUnit (falling
+// back to `units`, then kWh) — ingestion converts to it. Factors are quoted
+// per some energy unit ("kg CO2e per kWh", "… per MMBtu"); factors that don't
+// say are taken as per kWh, as before.
+function scope2FactorUnit(scopeConfig) {
+  const v = scopeConfig.emissionFactorValues || {};
+  const source = scopeConfig.emissionFactor === 'DEFRA' ? { uom: v.defraData?.uom, ghgUnits: v.defraData?.ghgUnits }
+    : scopeConfig.emissionFactor === 'EPA' ? { uom: v.epaData?.uomEPA, ghgUnits: v.epaData?.ghgUnitsEPA }
+    : {};
+  const candidates = [
+    source.uom,
+    ...(source.ghgUnits || []).map(g => g.unit),
+    v.emissionFactorHubData?.unit,
+    v.countryData?.unit,
+  ].filter(Boolean);
+  for (const unit of candidates) {
+    const per = uom.denominatorUnit(unit) || uom.parseUnit(unit);
+    if (per) return per.symbol;
+  }
+  return 'kWh';
+}
+
+/**
+ * Multiplier from stored Scope 2 consumption to the factor's unit.
+ * @throws {UomError} when consumption and factor units measure different things
+ */
+function scope2UnitFactor(scopeConfig) {
+  const consumptionUnit = scopeConfig.electricityUnit || scopeConfig.units || 'kWh';
+  if (!uom.parseUnit(consumptionUnit)) return { factor: 1, from: consumptionUnit, to: consumptionUnit };
+  const to = scope2FactorUnit(scopeConfig);
+  return { factor: uom.conversionFactor(consumptionUnit, to), from: consumptionUnit, to };
+}
+// ─────────────────────────────────────────────────────────────────────────────
+
 // ─── CALCULATION BREAKDOWN BUILDER ───────────────────────────────────────────
 // Builds a step-by-step explanation of how emissions and uncertainty were
 // calculated. Attached to every calculation response (no DB save).
@@ -209,13 +248,22 @@ function buildCalculationBreakdown(scopeConfig, dataValues, cumulativeValues, ef
       }
       const qty    = dataValues[fieldKey] ?? 0;
       const result = r6(emissions.incoming?.[fieldKey]?.CO2e ?? 0);
+      const unit   = scope2UnitFactor(scopeConfig);
       breakdown.emissionFactors = { emissionFactor: factor, source: efSource };
-      breakdown.steps.step1_co2e_calculation = {
-        formula: 'CO2e = activityData × emissionFactor',
-        field: fieldKey,
-        calculation: `${qty} × ${factor} = ${result}`,
-        result
-      };
+      breakdown.steps.step1_co2e_calculation = unit.factor === 1
+        ? {
+            formula: 'CO2e = activityData × emissionFactor',
+            field: fieldKey,
+            calculation: `${qty} × ${factor} = ${result}`,
+            result
+          }
+        : {
+            formula: 'CO2e = activityData × unitConversion × emissionFactor',
+            field: fieldKey,
+            unitConversion: { from: unit.from, to: unit.to, factor: unit.factor },
+            calculation: `${qty} × ${unit.factor} × ${factor} = ${result}`,
+            result
+          };
     }
 
     // ─── SCOPE 3 ──────────────────────────────────────────────────────────
@@ -763,14 +811,18 @@ const calculateEmissions = async (req, res) => {
     }
 
     // 2. Get scope config based on assessmentLevel logic
-    const scopeConfig = await getScopeConfigWithAssessmentSource(clientId, nodeId, scopeIdentifier);
-    if (!scopeConfig) {
+    const flowchartScope = await getScopeConfigWithAssessmentSource(clientId, nodeId, scopeIdentifier);
+    if (!flowchartScope) {
       return res.status(404).json({ 
         success: false, 
         message: 'Scope configuration not found for this client' 
       });
     }
 
+    // 2b. Swap in the emission factor version valid on the activity date (if the factor is versioned)
+    const { scope: scopeConfig, version: factorVersion } =
+      await factorVersionService.resolveScopeForDate(flowchartScope, dataEntry.timestamp);
+
     // 3. Extract config
     const {
       scopeType,
@@ -806,7 +858,12 @@ const calculateEmissions = async (req, res) => {
 
     // 6. Save results
     if (calculationResult.success) {
+      calculationResult.appliedEmissionFactors =
+        factorVersionService.appliedFactorRecord(emissionFactorSource, efValues, factorVersion);
+      dataEntry.appliedEmissionFactors = calculationResult.appliedEmissionFactors;
       dataEntry.calculatedEmissions = calculationResult.emissions;
+      if (calculationResult.scope2Methods) dataEntry.scope2Methods = calculationResult.scope2Methods;
+      if (calculationResult.scope3Methods) dataEntry.scope3Methods = calculationResult.scope3Methods;
       dataEntry.processingStatus = 'processed';
       await dataEntry.save();
     }
@@ -1307,9 +1364,17 @@ async function calculateScope2Emissions(
   const incomingQty   = Number(dataValues[fieldKey]   ?? 0);
   const cumulativeQty = Number(cumValues[fieldKey]    ?? 0);
  
+  let unitFactor;
+  try {
+    unitFactor = scope2UnitFactor(scopeConfig).factor;
+  } catch (err) {
+    if (err.name !== 'UomError') throw err;
+    return { success: false, message: `Scope 2 consumption unit does not match the emission factor: ${err.message}` };
+  }
+
   // calculate
-  const inc = incomingQty  * factor;
-  const cum = cumulativeQty * factor;
+  const inc = incomingQty  * unitFactor * factor;
+  const cum = cumulativeQty * unitFactor * factor;
  
   const emissions = { incoming: {}, cumulative: {} };
   emissions.incoming[fieldKey] = {
@@ -1323,6 +1388,16 @@ async function calculateScope2Emissions(
   emissions.uncertainty = formatUncertaintyResult(
     sumCumulativeCO2e(emissions.cumulative), UAD, UEF, conservativeMode
   );
+
+  // Market-based figure from contractual instruments / residual mix (location-based stays above)
+  let scope2Methods = null;
+  try {
+    scope2Methods = await marketBasedService.allocateForEntry({
+      dataEntry, scopeConfig, quantity: incomingQty, locationCO2e: inc, locationFactor: factor
+    });
+  } catch (err) {
+    console.error('Market-based Scope 2 allocation failed:', err.message);
+  }
  
 return {
     success:   true,
@@ -1330,6 +1405,7 @@ return {
     category:  categoryName,
     tier,
     emissions,
+    scope2Methods,
     calculationBreakdown: buildCalculationBreakdown(scopeConfig, dataValues, cumValues, efValues, gwpValues, emissions, UAD, UEF, conservativeMode)
   };
 }
@@ -1402,77 +1478,33 @@ async function calculateScope3Emissions(
 }
 
   let emissions = { incoming: {}, cumulative: {} };
+  let scope3Methods = null;
 
   switch (categoryName) {
-    // ───────── Purchased Goods and Services (1) ─────────
+    // ───────── Purchased Goods and Services (1) / Capital Goods (2) ─────────
+    // Method hierarchy per node: supplier-specific → hybrid → average-data
+    // (quantity × EF; capital goods ÷ asset lifetime) → spend-based (EEIO)
     case 'Purchased Goods and Services':
-      if (tier === 'tier 1') {
-        const spend    = dataValues.procurementSpend     ?? 0;
-        const cumSpend = cumulativeVals.procurementSpend ?? 0;
-        const inc      = spend * ef;
-        const cum      = cumSpend * ef;
-
-        emissions.incoming['purchased_goods_services'] = {
-          CO2e: inc,
-        };
-        emissions.cumulative['purchased_goods_services'] = {
-          CO2e: cum,
-        };
-      } else if (tier === 'tier 2') {
-        const qty    = dataValues.physicalQuantity     ?? 0;
-        const cumQty = cumulativeVals.physicalQuantity ?? 0;
-        const inc    = qty * ef;
-        const cum    = cumQty * ef;
+    case 'Capital Goods': {
+      const bucket = scope3MethodService.HIERARCHY_CATEGORIES[categoryName].key;
+      const rawLifetime = getAssetLifetimeFromScope(scopeConfig);
+      const assetLifetime = (typeof rawLifetime === 'number' && isFinite(rawLifetime) && rawLifetime > 0)
+        ? rawLifetime
+        : 1; // safe fallback to avoid divide-by-zero and preserve previous behavior
+
+      const { inc, cum, line } = await scope3MethodService.calculateHierarchyLine({
+        dataEntry, scopeConfig, dataValues, cumulativeVals, ef, assetLifetime
+      });
+      scope3Methods = line;
 
-        emissions.incoming['purchased_goods_services'] = {
-          CO2e: inc,
-        };
-        emissions.cumulative['purchased_goods_services'] = {
-          CO2e: cum,
-        };
-      }
+      emissions.incoming[bucket] = {
+        CO2e: inc,
+      };
+      emissions.cumulative[bucket] = {
+        CO2e: cum,
+      };
       break;
-
-    // ───────── Capital Goods (2) ─────────
-    case 'Capital Goods':
-  if (tier === 'tier 1') {
-    // Tier 1: spend-based
-    const spend    = dataValues.procurementSpend     ?? 0;
-    const cumSpend = cumulativeVals.procurementSpend ?? 0;
-    const inc      = spend * ef;
-    const cum      = cumSpend * ef;
-
-    emissions.incoming['capital_goods'] = {
-      CO2e: inc,
-    };
-    emissions.cumulative['capital_goods'] = {
-      CO2e: cum,
-    };
-  } else if (tier === 'tier 2') {
- } else if (tier === 'tier 2') {
-  // Tier 2: quantity-based with lifetime allocation
-  const qty    = dataValues.assetQuantity     ?? 0;
-  const cumQty = cumulativeVals.assetQuantity ?? 0;
-
-  // Read assetLifetime from the scope configuration (process flowchart preferred, fallback to flowchart)
-  // Expected location: scope.details.scopeDetails[].additionalInfo.customValue.assetLifetime (or shallow)
-  const rawLifetime  = getAssetLifetimeFromScope(scopeConfig);
-  const assetLifetime = (typeof rawLifetime === 'number' && isFinite(rawLifetime) && rawLifetime > 0)
-    ? rawLifetime
-    : 1; // safe fallback to avoid divide-by-zero and preserve previous behavior
-
-  const inc  = (qty    * ef) / assetLifetime;
-  const cum  = (cumQty * ef) / assetLifetime;
-
-
-  emissions.incoming['capital_goods'] = {
-    CO2e: inc,
-  };
-  emissions.cumulative['capital_goods'] = {
-    CO2e: cum,
-  };
-}
-  break;
+    }
 
      // ───────── Fuel and energy (3) ─────────
     case 'Fuel and energy': {
@@ -2245,6 +2277,15 @@ const cumA = (cumS1 + cumS2) * cumShr;
       break;
   }
 
+  // Other categories: method from the inputs the tier used, default data quality
+  if (!scope3Methods) {
+    scope3Methods = scope3MethodService.buildLineResult({
+      method: scope3MethodService.classifyLine(dataValues),
+      CO2e: sumCumulativeCO2e(emissions.incoming),
+      methodConfig: scopeConfig.scope3Method || {},
+    });
+  }
+
   // Apply uncertainty on cumulative total only (ISO 14064-1: once per scope calculation)
   emissions.uncertainty = formatUncertaintyResult(
     sumCumulativeCO2e(emissions.cumulative), UAD, UEF, conservativeMode
@@ -2256,6 +2297,7 @@ const cumA = (cumS1 + cumS2) * cumShr;
     category:  categoryName,
     tier,
     emissions,
+    scope3Methods,
     calculationBreakdown: buildCalculationBreakdown(scopeConfig, dataValues, cumulativeVals, efValues, gwpValues, emissions, UAD, UEF, conservativeMode)
   };
 }
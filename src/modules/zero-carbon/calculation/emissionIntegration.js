@@ -57,6 +57,9 @@ const triggerEmissionCalculation = async (dataEntry) => {
       // Update the data entry with calculation results
       if (calculationResult.data.emissions) {
         dataEntry.calculatedEmissions = calculationResult.data.emissions;
+        if (calculationResult.data.scope2Methods) dataEntry.scope2Methods = calculationResult.data.scope2Methods;
+        if (calculationResult.data.scope3Methods) dataEntry.scope3Methods = calculationResult.data.scope3Methods;
+        if (calculationResult.data.appliedEmissionFactors) dataEntry.appliedEmissionFactors = calculationResult.data.appliedEmissionFactors;
         dataEntry.emissionCalculationStatus = 'completed';
         
         // 🔴 FIX: Explicitly set processed status so it doesn't get overwritten to 'pending'
@@ -0,0 +1,61 @@
+// calculation/inventoryExportController.js
+// GHG Protocol inventory export (CDP / ESRS E1-6 / GHG Protocol tables).
+
+const inventoryExportService = require('./services/inventoryExportService');
+const { getSummaryAccessContext } = require('../organization/utils/Permissions/summaryAccessContext');
+
+/**
+ * @route   GET /api/summaries/:clientId/inventory-export
+ * @desc    Reporting-year GHG inventory with base-year / recalculation notes
+ *          and the emission factor sources applied
+ * @query   year=<YYYY> (required)
+ * @query   format=json|xlsx (default json)
+ * @query   framework=all|ghg|cdp|esrs (comma separated, default all)
+ * @query   recalculate=true — compute from DataEntry instead of the stored yearly summary
+ */
+const exportInventory = async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!['json', 'xlsx'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'format must be json or xlsx' });
+    }
+
+    const requested = String(req.query.framework || 'all').toLowerCase().split(',').map(s => s.trim()).filter(Boolean);
+    const frameworks = requested.includes('all') ? inventoryExportService.FRAMEWORKS : requested;
+    const unknown = frameworks.filter(f => !inventoryExportService.FRAMEWORKS.includes(f));
+    if (unknown.length || !frameworks.length) {
+      return res.status(400).json({ success: false, message: `framework must be one of all, ${inventoryExportService.FRAMEWORKS.join(', ')}` });
+    }
+
+    // An inventory is client-wide; node-restricted views cannot produce one
+    const accessCtx = req.summaryAccessContext || await getSummaryAccessContext(req.user, clientId);
+    if (!accessCtx.isFullAccess) {
+      return res.status(403).json({ success: false, message: 'Inventory export requires full summary access for this client' });
+    }
+
+    const exp = await inventoryExportService.buildInventoryExport(clientId, req.query.year, {
+      recalculate: String(req.query.recalculate) === 'true',
+      frameworks,
+    });
+
+    if (format === 'json') {
+      return res.status(200).json({ success: true, data: exp });
+    }
+
+    const { toExcel } = require('../../greon-iq/exporters/excelExporter');
+    const buffer = await toExcel(inventoryExportService.toReportData(exp));
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="ghg-inventory-${clientId}-${exp.meta.reportingYear}.xlsx"`);
+    return res.status(200).send(buffer);
+  } catch (error) {
+    console.error('exportInventory error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to export GHG inventory',
+      error: error.message
+    });
+  }
+};
+
+module.exports = { exportInventory };
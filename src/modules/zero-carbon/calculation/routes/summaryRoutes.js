@@ -13,10 +13,12 @@ const {
      getSbtiProgress,
   getReductionSummariesByProjects,
   compareSummarySelections,
+  getCarbonCostSummary,
 
   
   
 } = require('../CalculationSummary');
+const { exportInventory } = require('../inventoryExportController');
 const { auth } = require('../../../../common/middleware/auth');
 const { checkSummaryPermission } = require('../../organization/utils/Permissions/summaryPermission'); // IMPORT THE CORRECT MIDDLEWARE
 const { requireActiveModuleSubscription } = require('../../../../common/utils/Permissions/modulePermission');
@@ -155,4 +157,37 @@ router.get(
 
 router.post('/:clientId/compare', zcGate, compareSummarySelections)
 
+/**
+ * @route   GET /api/summaries/:clientId/carbon-cost
+ * @desc    Shadow cost of emissions at the internal carbon price (by scope,
+ *          node and department) with trend and variance vs the previous period
+ * @query   periodType=daily|weekly|monthly|yearly (optional, default: yearly)
+ * @query   year=<YYYY> (optional)
+ * @query   month=<1-12> (optional)
+ * @query   week=<1-53> (optional)
+ * @query   day=<1-31> (optional)
+ */
+router.get(
+  '/:clientId/carbon-cost',
+  zcGate,
+  checkSummaryPermission,
+  getCarbonCostSummary
+);
+
+/**
+ * @route   GET /api/summaries/:clientId/inventory-export
+ * @desc    Reporting-year GHG inventory in GHG Protocol, CDP (C6/C7) and
+ *          ESRS E1-6 layouts, as JSON or XLSX
+ * @query   year=<YYYY> (required)
+ * @query   format=json|xlsx (optional, default: json)
+ * @query   framework=all|ghg|cdp|esrs (optional, comma separated, default: all)
+ * @query   recalculate=true (optional)
+ */
+router.get(
+  '/:clientId/inventory-export',
+  zcGate,
+  checkSummaryPermission,
+  exportInventory
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,483 @@
+'use strict';
+
+// ============================================================================
+// Inventory Export Service — reporting-year GHG inventory for disclosures
+//
+// Builds one inventory from the yearly EmissionSummary (or a fresh
+// calculateEmissionSummary run) and shapes it into:
+//
+//   GHG Protocol corporate tables  Scope 1 by gas, Scope 2 location vs
+//                                  market based, Scope 3 by the 15 categories
+//   CDP                            C6.1, C6.3, C6.5, C7.1a, C7.3a
+//   ESRS E1-6                      gross Scope 1/2/3 and total GHG emissions
+//
+// Every output carries the base year and M3 recalculation notes, and the
+// emission factor sources applied to the scopes that reported data in the
+// year. All values are tCO2e as stored on EmissionSummary.
+// ============================================================================
+
+const moment = require('moment');
+
+const EmissionSummary = require('../EmissionSummary');
+const DataEntry = require('../../organization/models/DataEntry');
+const TargetMaster = require('../../m3/models/TargetMaster');
+const TargetRevision = require('../../m3/models/TargetRevision');
+const RecalculationEvent = require('../../m3/models/RecalculationEvent');
+const Client = require('../../../client-management/client/Client');
+const { calculateEmissionSummary } = require('../CalculationSummary');
+const { getActiveFlowchart } = require('../../data-collection/utils/dataCollection');
+const { SCOPE3_CATEGORIES, scope3CategoryFor } = require('../../scope3/constants/scope3Categories');
+
+const FRAMEWORKS = ['ghg', 'cdp', 'esrs'];
+
+const round3 = (n) => (n == null ? null : Math.round(n * 1000) / 1000);
+const entriesOf = (v) => (v instanceof Map ? [...v.entries()] : Object.entries(v || {}));
+
+// ── Inventory core ───────────────────────────────────────────────────────────
+
+/**
+ * GHG Protocol corporate inventory from an emissionSummary sub-document.
+ * Pure function — no DB calls.
+ */
+function buildInventory(es = {}) {
+  const scope = (s) => es.byScope?.[s] || {};
+  const s1 = scope('Scope 1');
+  const s2 = scope('Scope 2');
+
+  const byNumber = new Map(SCOPE3_CATEGORIES.map(c => [c.number, { ...c, CO2e: 0, sourceCategories: [] }]));
+  const unmapped = [];
+  for (const [name, cat] of entriesOf(es.byCategory)) {
+    if (cat.scopeType !== 'Scope 3') continue;
+    const match = scope3CategoryFor(name);
+    if (!match) {
+      unmapped.push({ categoryName: name, CO2e: round3(cat.CO2e || 0) });
+      continue;
+    }
+    const row = byNumber.get(match.number);
+    row.CO2e += cat.CO2e || 0;
+    row.sourceCategories.push(name);
+  }
+
+  const categories = [...byNumber.values()].map(({ aliases, ...c }) => ({
+    ...c,
+    CO2e: round3(c.CO2e),
+    reported: c.sourceCategories.length > 0,
+  }));
+
+  const scope1 = s1.CO2e || 0;
+  const scope2Location = s2.CO2e || 0;
+  const scope2Market = s2.marketBased?.CO2e ?? null;
+  const scope3 = scope('Scope 3').CO2e || 0;
+
+  return {
+    scope1: {
+      CO2e: round3(scope1),
+      byGas: { CO2: round3(s1.CO2 || 0), CH4: round3(s1.CH4 || 0), N2O: round3(s1.N2O || 0) },
+    },
+    scope2: {
+      locationBased: round3(scope2Location),
+      marketBased: round3(scope2Market),
+    },
+    scope3: {
+      CO2e: round3(scope3),
+      categories,
+      unmapped,
+    },
+    totals: {
+      scope1And2LocationBased: round3(scope1 + scope2Location),
+      scope1And2MarketBased: scope2Market == null ? null : round3(scope1 + scope2Market),
+      locationBased: round3(scope1 + scope2Location + scope3),
+      marketBased: scope2Market == null ? null : round3(scope1 + scope2Market + scope3),
+    },
+    byDepartment: entriesOf(es.byDepartment)
+      .map(([name, d]) => ({ department: name, CO2e: round3(d.CO2e || 0) }))
+      .sort((a, b) => b.CO2e - a.CO2e),
+  };
+}
+
+// ── Framework shapes ─────────────────────────────────────────────────────────
+
+function toCdp(inv) {
+  return {
+    'C6.1': { question: 'Gross global Scope 1 emissions (metric tons CO2e)', value: inv.scope1.CO2e },
+    'C6.3': {
+      question: 'Gross global Scope 2 emissions (metric tons CO2e)',
+      locationBased: inv.scope2.locationBased,
+      marketBased: inv.scope2.marketBased,
+    },
+    'C6.5': {
+      question: 'Gross global Scope 3 emissions by category',
+      rows: inv.scope3.categories.map(c => ({
+        category: `${c.number}. ${c.name}`,
+        evaluationStatus: c.reported ? 'Relevant, calculated' : 'Not evaluated',
+        metricTonnesCO2e: c.reported ? c.CO2e : null,
+      })),
+    },
+    'C7.1a': {
+      question: 'Gross global Scope 1 emissions by greenhouse gas type',
+      rows: Object.entries(inv.scope1.byGas).map(([gas, value]) => ({ gas, value })),
+    },
+    'C7.3a': {
+      question: 'Gross global Scope 1 and 2 emissions by business division',
+      rows: inv.byDepartment.map(d => ({ businessDivision: d.department, CO2e: d.CO2e })),
+    },
+  };
+}
+
+function toEsrsE16(inv) {
+  return {
+    datapoint: 'ESRS E1-6 Gross Scopes 1, 2, 3 and Total GHG emissions',
+    grossScope1: inv.scope1.CO2e,
+    // Not tracked per installation on EmissionSummary
+    scope1FromRegulatedEtsPct: null,
+    grossScope2LocationBased: inv.scope2.locationBased,
+    grossScope2MarketBased: inv.scope2.marketBased,
+    grossScope3: inv.scope3.CO2e,
+    scope3ByCategory: inv.scope3.categories
+      .filter(c => c.reported)
+      .map(c => ({ category: c.number, name: c.name, CO2e: c.CO2e })),
+    totalGhgLocationBased: inv.totals.locationBased,
+    totalGhgMarketBased: inv.totals.marketBased,
+  };
+}
+
+// ── Emission factor provenance ───────────────────────────────────────────────
+
+/**
+ * Describes the emission factor dataset/version configured on a flowchart scope.
+ * Pure function — no DB calls.
+ */
+function describeEmissionFactor(scope) {
+  const source = scope.emissionFactor || 'Unknown';
+  const v = scope.emissionFactorValues || {};
+  const latest = (units = []) => {
+    const dates = units.map(u => u.gwpLastUpdated).filter(Boolean).map(d => new Date(d).getTime());
+    return dates.length ? new Date(Math.max(...dates)).toISOString().slice(0, 10) : null;
+  };
+
+  switch (source) {
+    case 'DEFRA':
+      return { source, dataset: 'DEFRA', version: null, unit: v.defraData?.uom || null, gwpUpdated: latest(v.defraData?.ghgUnits) };
+    case 'IPCC':
+      return { source, dataset: 'IPCC', version: null, unit: v.ipccData?.unit || null, gwpUpdated: latest(v.ipccData?.ghgUnits) };
+    case 'EPA':
+      return { source, dataset: 'EPA', version: null, unit: v.epaData?.uomEPA || null, gwpUpdated: latest(v.epaData?.ghgUnitsEPA) };
+    case 'Country': {
+      const c = v.countryData || {};
+      const last = (c.yearlyValues || []).slice(-1)[0];
+      return {
+        source,
+        dataset: c.reference || 'Country grid factor',
+        version: last ? (last.periodLabel || [last.from, last.to].filter(Boolean).join(' – ')) : null,
+        unit: c.unit || null,
+        region: [c.C, c.regionGrid].filter(Boolean).join(' / ') || null,
+      };
+    }
+    case 'EmissionFactorHub': {
+      const h = v.emissionFactorHubData || {};
+      return { source, dataset: h.source || 'EmissionFactorHub', version: h.reference || null, unit: h.unit || null, item: h.itemName || null, gwpUpdated: h.gwpLastUpdated || null };
+    }
+    case 'Custom':
+      return { source, dataset: 'Custom factor', version: null, unit: null };
+    default:
+      return { source, dataset: null, version: null, unit: null };
+  }
+}
+
+async function emissionFactorsApplied(clientId, year) {
+  const from = moment.utc({ year }).startOf('year').toDate();
+  const to = moment.utc({ year }).endOf('year').toDate();
+
+  const [used, active] = await Promise.all([
+    DataEntry.aggregate([
+      { $match: { clientId, processingStatus: 'processed', timestamp: { $gte: from, $lte: to } } },
+      { $group: { _id: { nodeId: '$nodeId', scopeIdentifier: '$scopeIdentifier' }, entries: { $sum: 1 } } },
+    ]),
+    getActiveFlowchart(clientId),
+  ]);
+
+  const nodes = new Map((active?.chart?.nodes || []).map(n => [n.id, n]));
+  return used.map(({ _id, entries }) => {
+    const node = nodes.get(_id.nodeId);
+    const scope = (node?.details?.scopeDetails || []).find(s => s.scopeIdentifier === _id.scopeIdentifier);
+    return {
+      nodeId: _id.nodeId,
+      nodeLabel: node?.label || null,
+      scopeIdentifier: _id.scopeIdentifier,
+      scopeType: scope?.scopeType || null,
+      categoryName: scope?.categoryName || null,
+      activity: scope?.activity || null,
+      entries,
+      ...(scope ? describeEmissionFactor(scope) : { source: 'Unknown', dataset: null, version: null, unit: null }),
+    };
+  }).sort((a, b) => String(a.scopeType).localeCompare(String(b.scopeType)) || String(a.nodeLabel).localeCompare(String(b.nodeLabel)));
+}
+
+// ── Base year & recalculation notes ──────────────────────────────────────────
+
+async function baseYearNotes(clientId) {
+  const targets = await TargetMaster.find({ clientId, isDeleted: false })
+    .select('target_code target_name base_year base_year_emissions scope_boundary method_name lifecycle_status')
+    .lean();
+  if (!targets.length) return [];
+
+  const ids = targets.map(t => t._id);
+  const [events, revisions] = await Promise.all([
+    RecalculationEvent.find({ target_id: { $in: ids } }).sort({ createdAt: 1 }).lean(),
+    TargetRevision.find({ target_id: { $in: ids } }).select('target_id revision_no created_at').lean(),
+  ]);
+  const revisionNo = new Map(revisions.map(r => [String(r._id), r.revision_no]));
+
+  return targets.map(t => ({
+    target_code: t.target_code,
+    target_name: t.target_name,
+    method_name: t.method_name,
+    lifecycle_status: t.lifecycle_status,
+    base_year: t.base_year,
+    base_year_emissions: t.base_year_emissions,
+    scope_boundary: t.scope_boundary,
+    recalculations: events
+      .filter(e => String(e.target_id) === String(t._id))
+      .map(e => ({
+        trigger_type: e.trigger_type,
+        justification: e.justification,
+        status: e.status,
+        requested_at: e.createdAt,
+        approved_at: e.approved_at,
+        revision_no: e.new_revision_id ? revisionNo.get(String(e.new_revision_id)) ?? null : null,
+      })),
+  }));
+}
+
+// ── Assembly ─────────────────────────────────────────────────────────────────
+
+/**
+ * Reporting-year inventory with framework outputs.
+ * options.recalculate  run calculateEmissionSummary instead of reading the stored yearly summary
+ * options.frameworks   subset of ['ghg', 'cdp', 'esrs'] (default all)
+ */
+async function buildInventoryExport(clientId, year, { recalculate = false, frameworks = FRAMEWORKS } = {}) {
+  const y = parseInt(year, 10);
+  if (!Number.isInteger(y)) {
+    const e = new Error('year is required'); e.status = 400; throw e;
+  }
+
+  let summary = null;
+  let basis = 'stored_summary';
+  if (!recalculate) {
+    summary = await EmissionSummary.findOne({ clientId, 'period.type': 'yearly', 'period.year': y })
+      .sort({ 'metadata.lastCalculated': -1 })
+      .lean();
+  }
+  if (!summary) {
+    summary = await calculateEmissionSummary(clientId, 'yearly', y);
+    basis = 'recalculated';
+  }
+  if (!summary) {
+    const e = new Error(`No emission data for ${clientId} in ${y}.`); e.status = 404; throw e;
+  }
+
+  const es = summary.emissionSummary || {};
+  const inventory = buildInventory(es);
+
+  const [client, factors, baseYear] = await Promise.all([
+    Client.findOne({ clientId }).select('leadInfo.companyName').lean(),
+    emissionFactorsApplied(clientId, y),
+    baseYearNotes(clientId),
+  ]);
+
+  const notes = [];
+  if (inventory.scope2.marketBased == null) {
+    notes.push('Scope 2 market-based emissions are not recorded; only location-based figures are reported.');
+  }
+  const fallback = es.byScope?.['Scope 2']?.marketBased?.locationFallbackCO2e || 0;
+  if (inventory.scope2.marketBased != null && fallback > 0) {
+    notes.push(`${round3(fallback)} tCO2e of Scope 2 has no market-based result and is included at its location-based value.`);
+  }
+  if (inventory.scope3.unmapped.length) {
+    notes.push(`${inventory.scope3.unmapped.length} Scope 3 category name(s) could not be mapped to a GHG Protocol category.`);
+  }
+
+  const out = {
+    meta: {
+      clientId,
+      companyName: client?.leadInfo?.companyName || clientId,
+      reportingYear: y,
+      unit: 'tCO2e',
+      basis,
+      lastCalculated: summary.metadata?.lastCalculated || es.metadata?.lastCalculated || null,
+      generatedAt: new Date(),
+    },
+    inventory,
+    baseYear,
+    emissionFactors: {
+      bySource: entriesOf(es.byEmissionFactor).map(([source, v]) => ({ source, CO2e: round3(v.CO2e || 0), dataPoints: v.dataPointCount || 0 })),
+      byScope: factors,
+    },
+    notes,
+  };
+
+  if (frameworks.includes('cdp')) out.cdp = toCdp(inventory);
+  if (frameworks.includes('esrs')) out.esrsE16 = toEsrsE16(inventory);
+  if (!frameworks.includes('ghg')) delete out.inventory;
+  return out;
+}
+
+/**
+ * Shapes an inventory export into the { meta, sections[] } layout used by the
+ * GreOn IQ exporters so it can be written as XLSX (one sheet per table).
+ */
+function toReportData(exp) {
+  const col = (key, label) => ({ key, label });
+  const sections = [];
+  const inv = exp.inventory;
+
+  if (inv) {
+    sections.push({
+      heading: 'GHG Protocol inventory',
+      narrative: `Reporting year ${exp.meta.reportingYear}. All values in ${exp.meta.unit}.`,
+      tables: [
+        {
+          title: 'Scope 1 by gas',
+          columns: [col('gas', 'Gas'), col('value', 'Emissions')],
+          rows: [
+            ...Object.entries(inv.scope1.byGas).map(([gas, value]) => ({ gas, value })),
+            { gas: 'Total CO2e', value: inv.scope1.CO2e },
+          ],
+        },
+        {
+          title: 'Scope 2',
+          columns: [col('method', 'Method'), col('CO2e', 'tCO2e')],
+          rows: [
+            { method: 'Location-based', CO2e: inv.scope2.locationBased },
+            { method: 'Market-based', CO2e: inv.scope2.marketBased ?? 'Not reported' },
+          ],
+        },
+        {
+          title: 'Scope 3 by category',
+          columns: [col('number', 'Category'), col('name', 'Name'), col('CO2e', 'tCO2e'), col('reported', 'Reported')],
+          rows: inv.scope3.categories.map(c => ({ ...c, reported: c.reported ? 'Yes' : 'No' })),
+        },
+        {
+          title: 'Totals',
+          columns: [col('basis', 'Basis'), col('CO2e', 'tCO2e')],
+          rows: [
+            { basis: 'Scope 1 + 2 (location)', CO2e: inv.totals.scope1And2LocationBased },
+            { basis: 'Scope 1 + 2 (market)', CO2e: inv.totals.scope1And2MarketBased ?? 'Not reported' },
+            { basis: 'Scope 1 + 2 + 3 (location)', CO2e: inv.totals.locationBased },
+            { basis: 'Scope 1 + 2 + 3 (market)', CO2e: inv.totals.marketBased ?? 'Not reported' },
+          ],
+        },
+      ],
+    });
+  }
+
+  if (exp.cdp) {
+    sections.push({
+      heading: 'CDP',
+      tables: [
+        {
+          title: 'CDP C6.1 C6.3',
+          columns: [col('question', 'Question'), col('item', 'Item'), col('value', 'tCO2e')],
+          rows: [
+            { question: 'C6.1', item: 'Scope 1', value: exp.cdp['C6.1'].value },
+            { question: 'C6.3', item: 'Scope 2 location-based', value: exp.cdp['C6.3'].locationBased },
+            { question: 'C6.3', item: 'Scope 2 market-based', value: exp.cdp['C6.3'].marketBased ?? 'Not reported' },
+          ],
+        },
+        {
+          title: 'CDP C6.5',
+          columns: [col('category', 'Category'), col('evaluationStatus', 'Evaluation status'), col('metricTonnesCO2e', 'tCO2e')],
+          rows: exp.cdp['C6.5'].rows,
+        },
+        {
+          title: 'CDP C7.1a',
+          columns: [col('gas', 'Gas'), col('value', 'Emissions')],
+          rows: exp.cdp['C7.1a'].rows,
+        },
+        {
+          title: 'CDP C7.3a',
+          columns: [col('businessDivision', 'Business division'), col('CO2e', 'tCO2e')],
+          rows: exp.cdp['C7.3a'].rows,
+        },
+      ],
+    });
+  }
+
+  if (exp.esrsE16) {
+    const e = exp.esrsE16;
+    sections.push({
+      heading: 'ESRS E1-6',
+      tables: [{
+        title: 'ESRS E1-6',
+        columns: [col('datapoint', 'Datapoint'), col('value', 'tCO2e')],
+        rows: [
+          { datapoint: 'Gross Scope 1', value: e.grossScope1 },
+          { datapoint: 'Gross location-based Scope 2', value: e.grossScope2LocationBased },
+          { datapoint: 'Gross market-based Scope 2', value: e.grossScope2MarketBased ?? 'Not reported' },
+          ...e.scope3ByCategory.map(c => ({ datapoint: `Scope 3 cat. ${c.category} ${c.name}`, value: c.CO2e })),
+          { datapoint: 'Gross Scope 3', value: e.grossScope3 },
+          { datapoint: 'Total GHG (location-based)', value: e.totalGhgLocationBased },
+          { datapoint: 'Total GHG (market-based)', value: e.totalGhgMarketBased ?? 'Not reported' },
+        ],
+      }],
+    });
+  }
+
+  const recalcRows = [];
+  for (const t of exp.baseYear) {
+    recalcRows.push({ target: t.target_code, base_year: t.base_year, base_year_emissions: t.base_year_emissions, event: 'Base year', status: t.lifecycle_status, date: null, note: t.scope_boundary });
+    for (const r of t.recalculations) {
+      recalcRows.push({
+        target: t.target_code,
+        base_year: t.base_year,
+        base_year_emissions: null,
+        event: r.trigger_type,
+        status: r.status,
+        date: r.approved_at || r.requested_at,
+        note: r.justification || (r.revision_no != null ? `Revision ${r.revision_no}` : ''),
+      });
+    }
+  }
+
+  sections.push({
+    heading: 'Base year, recalculations and emission factors',
+    narrative: exp.notes.join(' '),
+    tables: [
+      {
+        title: 'Base year and recalculations',
+        columns: [col('target', 'Target'), col('base_year', 'Base year'), col('base_year_emissions', 'Base year tCO2e'),
+          col('event', 'Event'), col('status', 'Status'), col('date', 'Date'), col('note', 'Note')],
+        rows: recalcRows,
+      },
+      {
+        title: 'Emission factors applied',
+        columns: [col('scopeType', 'Scope'), col('nodeLabel', 'Node'), col('scopeIdentifier', 'Scope identifier'),
+          col('categoryName', 'Category'), col('source', 'Source'), col('dataset', 'Dataset'), col('version', 'Version'), col('entries', 'Entries')],
+        rows: exp.emissionFactors.byScope,
+      },
+    ],
+  });
+
+  return {
+    meta: {
+      title: `GHG inventory ${exp.meta.reportingYear}`,
+      clientName: exp.meta.companyName,
+      period: String(exp.meta.reportingYear),
+      domain: 'emissions',
+    },
+    sections,
+  };
+}
+
+module.exports = {
+  SCOPE3_CATEGORIES,
+  FRAMEWORKS,
+  scope3CategoryFor,
+  buildInventory,
+  toCdp,
+  toEsrsE16,
+  describeEmissionFactor,
+  buildInventoryExport,
+  toReportData,
+};
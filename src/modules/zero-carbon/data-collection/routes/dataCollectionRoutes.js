@@ -5,6 +5,7 @@ const multer = require('multer');
 const path = require('path');
 const { auth, checkRole, checkPermission } = require("../../../../common/middleware/auth");
 const { apiKeyMiddleware, apiKeyRateLimit } = require('../../api-key/middleware/apiKeyAuth');
+const { idempotency } = require('../../api-key/middleware/idempotency');
 const {
   saveAPIData,
   saveIoTData,
@@ -41,7 +42,12 @@ const {
   saveOCRData,
   extractOCRPreview,
   confirmOCRSave,
-  verifyOCRData
+  verifyOCRData,
+  listOCRSessions,
+  getOCRSession,
+  saveOCRSessionReview,
+  assignOCRSession,
+  cancelOCRSession
 } = require('../../organization/controllers/ocrDataCollectionController');
 
 const { getOCRFieldMappings } = require('../../organization/controllers/ocrFeedbackController');
@@ -75,6 +81,7 @@ router.post(
   '/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/:apiKey/api-data',
   apiKeyMiddleware.dataCollectionAPI,   // ✅ API Key Auth (from URL params)
   apiKeyRateLimit(100, 60000),           // Rate limit: 100 req/min
+  idempotency(),                         // Optional Idempotency-Key header
   saveAPIData
 );
 
@@ -93,6 +100,33 @@ router.post(
   '/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/:apiKey/iot-data',
   apiKeyMiddleware.dataCollectionIoT,   // ✅ API Key Auth (from URL params)
   apiKeyRateLimit(100, 60000),           // Rate limit: 100 req/min
+  idempotency(),                         // Optional Idempotency-Key header
+  saveIoTData
+);
+
+/**
+ * SIGNED DATA COLLECTION INGESTION (key kept out of the URL)
+ * POST /api/data-collection/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/api-data
+ * POST /api/data-collection/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/iot-data
+ *
+ * ✅ PROTECTED with API Key (DC_API / DC_IOT) via signed header:
+ *   Authorization: ZC-HMAC-SHA256 keyId=<keyId>, timestamp=<unix seconds>, signature=<hex>
+ *   Idempotency-Key: <unique per submission>   (optional)
+ * See api-key/utils/requestSigning.js for the canonical string.
+ */
+router.post(
+  '/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/api-data',
+  apiKeyMiddleware.dataCollectionAPI,
+  apiKeyRateLimit(100, 60000),
+  idempotency(),
+  saveAPIData
+);
+
+router.post(
+  '/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/iot-data',
+  apiKeyMiddleware.dataCollectionIoT,
+  apiKeyRateLimit(100, 60000),
+  idempotency(),
   saveIoTData
 );
 
@@ -135,6 +169,8 @@ router.post('/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/manual-dat
 /**
  * CSV UPLOAD FOR MANUAL DATA
  * POST /api/data-collection/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/upload-csv
+ * A file already uploaded for this scope, or rows already saved, are refused
+ * (409) unless duplicateAction: 'review' holds them for approval.
  */
 router.post(
   '/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/upload-csv',
@@ -149,6 +185,7 @@ router.post(
  * Multipart field name: ocrFile (single)
  * Accepted types: image/jpeg, image/png, image/tiff, application/pdf (max 20MB)
  * Extracts fields and saves DataEntry immediately (no preview step).
+ * A file already uploaded is refused (409) unless duplicateAction: 'review'.
  */
 router.post(
   '/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/ocr-data',
@@ -163,8 +200,11 @@ router.post(
  * POST /api/data-collection/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/ocr-extract
  * Multipart field name: ocrFiles (array, up to 20 images OR 1 PDF)
  * Accepted types: image/jpeg, image/png, image/tiff, application/pdf (max 20MB per file)
+ * Optional field pageMode: 'page' (one record per PDF page) | 'document' (one per file)
  *
- * Returns all extracted fields with model-match suggestions.
+ * Returns all extracted fields with model-match suggestions, invoice line
+ * items, the billing period and its split over the scope's collection periods,
+ * document identifiers (bill / account number) and suspected duplicates.
  * Does NOT save any DataEntry. Returns an extractionId for Step 2.
  */
 router.post(
@@ -178,10 +218,17 @@ router.post(
 /**
  * OCR CONFIRM & SAVE — STEP 2 of two-step flow
  * POST /api/data-collection/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/ocr-confirm
- * Body: JSON { extractionId?, records: [{ recordIndex, date, time, s3Key,
- *              ocrConfidence, sourceFile, confirmedDataValues, corrections }] }
+ * Body: JSON { extractionId?, duplicateAction?, records?: [{ recordIndex, date,
+ *              time, s3Key, ocrConfidence, sourceFile, sourcePages?,
+ *              confirmedDataValues, confirmedUnits?, billingPeriod?, prorate?,
+ *              documentIdentifiers?, corrections }] }
  *
  * Saves user-confirmed values as DataEntry records and triggers emission calculation.
+ * Without records, saves the records accepted in the OCR session's review.
+ * A billingPeriod spanning several collection periods is saved as one
+ * prorated entry per period.
+ * Documents already uploaded are refused unless duplicateAction is 'review';
+ * entries overlapping an existing period are held for approval.
  * Also stores field-mapping feedback to improve future OCR suggestions.
  */
 router.post(
@@ -190,6 +237,27 @@ router.post(
   confirmOCRSave
 );
 
+/**
+ * OCR REVIEW SESSIONS — between STEP 1 and STEP 2
+ * Sessions are stored in MongoDB and expire OCR_SESSION_TTL_MINUTES after the
+ * last review action (default 3 days). Emailed bills picked up by
+ * email-ingestion open a session the same way (source.type 'email').
+ *
+ * GET    /clients/:clientId/ocr-sessions
+ *        In-progress reviews of the client (status, nodeId, scopeIdentifier,
+ *        assigned=me, createdBy=me, source=upload|email, page, limit)
+ * GET    /clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/ocr-sessions/:extractionId
+ *        Resume: extracted records + saved review
+ * PATCH  …/ocr-sessions/:extractionId          Body: { records: [{ recordIndex, …edits, userAction }] }
+ * POST   …/ocr-sessions/:extractionId/assign   Body: { userId, note? } — hand off for confirmation
+ * DELETE …/ocr-sessions/:extractionId          Cancel
+ */
+router.get('/clients/:clientId/ocr-sessions', zcGate, attachDataEntryAccessContext, listOCRSessions);
+router.get('/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/ocr-sessions/:extractionId', zcGate, getOCRSession);
+router.patch('/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/ocr-sessions/:extractionId', zcGate, saveOCRSessionReview);
+router.post('/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/ocr-sessions/:extractionId/assign', zcGate, assignOCRSession);
+router.delete('/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/ocr-sessions/:extractionId', zcGate, cancelOCRSession);
+
 /**
  * OCR VERIFY — Read-only value inspection before saving
  * POST /api/data-collection/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/verify-ocr
@@ -0,0 +1,73 @@
+// models/InboundEmail.js
+// ============================================================================
+// Log of every message picked up from an ingestion mailbox
+//
+// Nothing received is dropped silently: each message gets a record with its
+// outcome and, per attachment, the scope it was routed to and the OCR review
+// session it opened. Messages that were rejected, matched no routing rule or
+// failed can be reprocessed (after fixing the mailbox rules) via
+// /api/email-ingestion/inbound/:id/reprocess — the raw message stays in the
+// Maildir's cur/ folder under sourceKey.
+// ============================================================================
+const mongoose = require('mongoose');
+
+const INBOUND_STATUSES = [
+  'processed',            // every supported attachment opened a review session
+  'partially_processed',  // some attachments did, others are unmatched/failed
+  'unmatched',            // no attachment matched a routing rule
+  'ignored',              // no PDF/image attachment
+  'rejected',             // sender not allowed, mailbox client inactive/unsubscribed
+  'failed'                // unreadable message or unexpected error
+];
+
+const ATTACHMENT_STATUSES = ['extracted', 'unmatched', 'unsupported', 'failed'];
+
+const InboundAttachmentSchema = new mongoose.Schema({
+  fileName:    { type: String, default: null },
+  contentType: { type: String, default: null },
+  size:        { type: Number, default: 0 },
+  fileHash:    { type: String, default: null },
+
+  status: { type: String, enum: ATTACHMENT_STATUSES, required: true },
+  error:  { type: String, default: null },
+
+  ruleName:        { type: String, default: null },
+  nodeId:          { type: String, default: null },
+  scopeIdentifier: { type: String, default: null },
+  extractionId:    { type: String, default: null }
+}, { _id: false });
+
+const InboundEmailSchema = new mongoose.Schema({
+  mailboxId: { type: mongoose.Schema.Types.ObjectId, ref: 'IngestionMailbox', required: true },
+  clientId:  { type: String, required: true, index: true },
+
+  // Message-ID header, or a hash of the raw message when it has none
+  dedupeKey: { type: String, required: true },
+  messageId: { type: String, default: null },
+  // File name of the message in <maildir>/cur
+  sourceKey: { type: String, default: null },
+
+  from:       { type: String, default: null },
+  subject:    { type: String, default: null },
+  sentAt:     { type: Date, default: null },
+  receivedAt: { type: Date, default: Date.now, index: true },
+
+  status: { type: String, enum: INBOUND_STATUSES, required: true, index: true },
+  error:  { type: String, default: null },
+
+  attachments: { type: [InboundAttachmentSchema], default: [] },
+  notifiedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+
+  retryCount:  { type: Number, default: 0 },
+  lastRetryAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+InboundEmailSchema.index({ mailboxId: 1, dedupeKey: 1 }, { unique: true });
+InboundEmailSchema.index({ clientId: 1, status: 1, receivedAt: -1 });
+
+const InboundEmail = mongoose.models.InboundEmail || mongoose.model('InboundEmail', InboundEmailSchema);
+
+module.exports = InboundEmail;
+module.exports.INBOUND_STATUSES = INBOUND_STATUSES;
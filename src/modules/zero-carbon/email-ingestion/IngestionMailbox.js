@@ -0,0 +1,83 @@
+// models/IngestionMailbox.js
+// ============================================================================
+// Per-client ingestion mailbox — emailed bills/invoices → OCR review sessions
+//
+// One record per client. Mail for the client's ingestion address (e.g.
+// bills+greon001@…) is delivered into a local Maildir by the mail server or
+// a sync tool (fetchmail/getmail/mbsync against IMAP); emailIngestionJob
+// picks new messages up from source.path/new.
+//
+// routingRules decide which node/scope an attachment belongs to. Rules are
+// tried in order and the first match wins; a rule matches when every pattern
+// it sets matches (sender address, subject, attachment file name). Patterns
+// are case-insensitive wildcards ("*@tatapower.com", "*electricity bill*")
+// or regular expressions written as "/…/flags".
+// ============================================================================
+const mongoose = require('mongoose');
+
+const RoutingRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+
+  senderPattern:   { type: String, default: null, trim: true },
+  subjectPattern:  { type: String, default: null, trim: true },
+  filenamePattern: { type: String, default: null, trim: true },
+
+  // Target scope
+  nodeId:          { type: String, required: true },
+  scopeIdentifier: { type: String, required: true },
+
+  // Reviewer the session is assigned to and notified; null = the scope's
+  // assigned employees, else the node's employee head
+  assignTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+  // 'page' = one record per PDF page, 'document' = one record per file
+  pageMode: { type: String, enum: ['page', 'document'], default: 'page' },
+
+  isActive: { type: Boolean, default: true }
+}, { _id: true });
+
+const IngestionMailboxSchema = new mongoose.Schema({
+  clientId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  // Address clients forward bills to (informational; delivery is configured
+  // on the mail server)
+  address: { type: String, trim: true, lowercase: true, default: null },
+
+  source: {
+    type: { type: String, enum: ['maildir'], default: 'maildir' },
+    // Maildir (contains new/ cur/ tmp/), relative to MAIL_INGEST_ROOT and
+    // below MAIL_INGEST_ROOT/<clientId>; defaults to MAIL_INGEST_ROOT/<clientId>
+    path: { type: String, trim: true, default: null }
+  },
+
+  // Sender patterns accepted by this mailbox; empty = any sender
+  allowedSenders: { type: [String], default: [] },
+
+  routingRules: { type: [RoutingRuleSchema], default: [] },
+
+  isActive: { type: Boolean, default: true },
+
+  lastPolledAt: { type: Date, default: null },
+  lastError:    { type: String, default: null },
+  stats: {
+    received:  { type: Number, default: 0 },
+    extracted: { type: Number, default: 0 },
+    unmatched: { type: Number, default: 0 },
+    rejected:  { type: Number, default: 0 },
+    failed:    { type: Number, default: 0 }
+  },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+IngestionMailboxSchema.index({ isActive: 1 });
+
+module.exports = mongoose.models.IngestionMailbox || mongoose.model('IngestionMailbox', IngestionMailboxSchema);
@@ -0,0 +1,267 @@
+// controllers/emailIngestionController.js
+// ============================================================================
+// Ingestion mailboxes + inbound email log administration
+//
+//   GET    /api/email-ingestion/mailboxes                    list (filter: clientId, isActive)
+//   POST   /api/email-ingestion/mailboxes                    create a client's mailbox
+//   PUT    /api/email-ingestion/mailboxes/:clientId          update address/senders/rules
+//   DELETE /api/email-ingestion/mailboxes/:clientId          remove
+//   POST   /api/email-ingestion/mailboxes/:clientId/poll     pick up new mail now
+//   GET    /api/email-ingestion/inbound                      list (filter: clientId, status, from/to)
+//   GET    /api/email-ingestion/inbound/:id
+//   POST   /api/email-ingestion/inbound/:id/reprocess        re-run after fixing the rules
+//
+// Routing rules are checked against the client's flowchart when saved: the
+// node/scope must exist and the assignee must be allowed to enter its data.
+// Every handler is limited to clients the caller manages
+// (canManageFlowchart); lists are filtered to them.
+// ============================================================================
+const IngestionMailbox = require('./IngestionMailbox');
+const InboundEmail = require('./InboundEmail');
+const Client = require('../../client-management/client/Client');
+const User = require('../../../common/models/User');
+const { findNodeAndScope, canWriteManualOrCSV } = require('../organization/controllers/dataCollectionController');
+const { validateRules } = require('./utils/routingRules');
+const { isWithinClientRoot } = require('./maildirSource');
+const { pollMailbox, reprocessInboundEmail } = require('./emailIngestionService');
+const { canManageFlowchart } = require('../../../common/utils/Permissions/permissions');
+const { clientListFilter } = require('../../../common/utils/Permissions/clientAccessPermission');
+
+const EDITABLE_FIELDS = ['address', 'source', 'allowedSenders', 'routingRules', 'isActive'];
+
+const _pick = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(k => body[k] !== undefined).map(k => [k, body[k]])
+);
+
+// Returns an error message, or null when the mailbox can be saved
+const _validateMailbox = async (clientId, data) => {
+  if (data.source?.path && !isWithinClientRoot(clientId, data.source.path)) {
+    return `source.path must be a directory below MAIL_INGEST_ROOT/${clientId}`;
+  }
+  if (data.allowedSenders !== undefined && !Array.isArray(data.allowedSenders)) {
+    return 'allowedSenders must be an array of sender patterns';
+  }
+  if (data.routingRules === undefined) return null;
+
+  const invalid = validateRules(data.routingRules);
+  if (invalid) return invalid;
+
+  for (const rule of data.routingRules) {
+    const located = await findNodeAndScope(clientId, rule.nodeId, rule.scopeIdentifier);
+    if (!located) return `Routing rule "${rule.name}": node/scope ${rule.nodeId}/${rule.scopeIdentifier} not found`;
+    if (!rule.assignTo) continue;
+
+    const assignee = await User.findById(rule.assignTo).select('userName userType clientId isActive').lean();
+    if (!assignee || !assignee.isActive) return `Routing rule "${rule.name}": assignee not found or inactive`;
+    const perm = await canWriteManualOrCSV(assignee, clientId, located.node, located.scope);
+    if (!perm.allowed) return `Routing rule "${rule.name}": ${assignee.userName} cannot enter data for this scope`;
+  }
+  return null;
+};
+
+// Sends 403 and returns false unless the caller manages the client
+const _ensureManages = async (req, res, clientId) => {
+  const perm = await canManageFlowchart(req.user, clientId);
+  if (perm.allowed) return true;
+  res.status(403).json({ success: false, message: 'Not authorized for this client', reason: perm.reason });
+  return false;
+};
+
+const _paging = (query, defaultLimit, maxLimit) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// ── Mailboxes ────────────────────────────────────────────────────────────────
+
+const listMailboxes = async (req, res) => {
+  try {
+    const clientFilter = await clientListFilter(req.user, req.query.clientId);
+    if (!clientFilter) return res.status(403).json({ success: false, message: 'Not authorized for this client' });
+
+    const filter = { ...clientFilter };
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const mailboxes = await IngestionMailbox.find(filter).sort({ clientId: 1 }).lean();
+    res.status(200).json({ success: true, count: mailboxes.length, data: mailboxes });
+  } catch (error) {
+    console.error('❌ Error listing ingestion mailboxes:', error);
+    res.status(500).json({ success: false, message: 'Failed to list ingestion mailboxes', error: error.message });
+  }
+};
+
+const createMailbox = async (req, res) => {
+  try {
+    const { clientId } = req.body;
+    if (!clientId) return res.status(400).json({ success: false, message: 'clientId is required' });
+    if (!(await _ensureManages(req, res, clientId))) return;
+    if (!(await Client.exists({ clientId }))) {
+      return res.status(404).json({ success: false, message: 'Client not found' });
+    }
+
+    const data = _pick(req.body);
+    const invalid = await _validateMailbox(clientId, data);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    const mailbox = await IngestionMailbox.create({ ...data, clientId, createdBy: req.user?._id, updatedBy: req.user?._id });
+    res.status(201).json({ success: true, message: 'Ingestion mailbox created', data: mailbox });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'This client already has an ingestion mailbox' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('❌ Error creating ingestion mailbox:', error);
+    res.status(500).json({ success: false, message: 'Failed to create ingestion mailbox', error: error.message });
+  }
+};
+
+const updateMailbox = async (req, res) => {
+  try {
+    if (!(await _ensureManages(req, res, req.params.clientId))) return;
+    const data = _pick(req.body);
+    const invalid = await _validateMailbox(req.params.clientId, data);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    const mailbox = await IngestionMailbox.findOneAndUpdate(
+      { clientId: req.params.clientId },
+      { $set: { ...data, updatedBy: req.user?._id } },
+      { new: true, runValidators: true }
+    );
+    if (!mailbox) return res.status(404).json({ success: false, message: 'Ingestion mailbox not found' });
+
+    res.status(200).json({ success: true, message: 'Ingestion mailbox updated', data: mailbox });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('❌ Error updating ingestion mailbox:', error);
+    res.status(500).json({ success: false, message: 'Failed to update ingestion mailbox', error: error.message });
+  }
+};
+
+const deleteMailbox = async (req, res) => {
+  try {
+    if (!(await _ensureManages(req, res, req.params.clientId))) return;
+    const mailbox = await IngestionMailbox.findOneAndDelete({ clientId: req.params.clientId });
+    if (!mailbox) return res.status(404).json({ success: false, message: 'Ingestion mailbox not found' });
+
+    res.status(200).json({ success: true, message: 'Ingestion mailbox removed' });
+  } catch (error) {
+    console.error('❌ Error deleting ingestion mailbox:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove ingestion mailbox', error: error.message });
+  }
+};
+
+// Works whether or not the scheduled job is enabled — handy for local testing
+const pollMailboxNow = async (req, res) => {
+  try {
+    if (!(await _ensureManages(req, res, req.params.clientId))) return;
+    const mailbox = await IngestionMailbox.findOne({ clientId: req.params.clientId });
+    if (!mailbox) return res.status(404).json({ success: false, message: 'Ingestion mailbox not found' });
+    if (!mailbox.isActive) return res.status(409).json({ success: false, message: 'Ingestion mailbox is inactive' });
+
+    const summary = await pollMailbox(mailbox);
+    res.status(summary.error ? 502 : 200).json({
+      success: !summary.error,
+      message: summary.error
+        ? `Mailbox could not be read: ${summary.error}`
+        : `${summary.received} new message(s) processed`,
+      data: summary
+    });
+  } catch (error) {
+    console.error('❌ Error polling ingestion mailbox:', error);
+    res.status(500).json({ success: false, message: 'Failed to poll ingestion mailbox', error: error.message });
+  }
+};
+
+// ── Inbound email log ────────────────────────────────────────────────────────
+
+const listInboundEmails = async (req, res) => {
+  try {
+    const { clientId, status } = req.query;
+    const { page, limit, skip } = _paging(req.query, 50, 200);
+
+    const clientFilter = await clientListFilter(req.user, clientId);
+    if (!clientFilter) return res.status(403).json({ success: false, message: 'Not authorized for this client' });
+
+    const filter = { ...clientFilter };
+    if (status) filter.status = status;
+    if (req.query.from || req.query.to) {
+      filter.receivedAt = {};
+      if (req.query.from) filter.receivedAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.receivedAt.$lte = new Date(req.query.to);
+      if (Object.values(filter.receivedAt).some(d => isNaN(d.getTime()))) {
+        return res.status(400).json({ success: false, message: 'Invalid from/to date' });
+      }
+    }
+
+    const [data, total] = await Promise.all([
+      InboundEmail.find(filter).sort({ receivedAt: -1 }).skip(skip).limit(limit).lean(),
+      InboundEmail.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('❌ Error listing inbound emails:', error);
+    res.status(500).json({ success: false, message: 'Failed to list inbound emails', error: error.message });
+  }
+};
+
+const getInboundEmail = async (req, res) => {
+  try {
+    const inbound = await InboundEmail.findById(req.params.id)
+      .populate('notifiedUsers', 'userName email userType')
+      .lean();
+    if (!inbound) return res.status(404).json({ success: false, message: 'Inbound email not found' });
+    if (!(await _ensureManages(req, res, inbound.clientId))) return;
+
+    res.status(200).json({ success: true, data: inbound });
+  } catch (error) {
+    if (error.name === 'CastError') return res.status(400).json({ success: false, message: 'Invalid id' });
+    console.error('❌ Error fetching inbound email:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch inbound email', error: error.message });
+  }
+};
+
+const reprocessInboundEmailHandler = async (req, res) => {
+  try {
+    const inbound = await InboundEmail.findById(req.params.id).select('clientId').lean();
+    if (!inbound) return res.status(404).json({ success: false, message: 'Inbound email not found' });
+    if (!(await _ensureManages(req, res, inbound.clientId))) return;
+
+    const result = await reprocessInboundEmail(req.params.id);
+    if (result.reason === 'not_found') return res.status(404).json({ success: false, message: result.error });
+    if (result.reason === 'already_processed') return res.status(409).json({ success: false, message: result.error });
+    if (result.reason === 'gone') return res.status(410).json({ success: false, message: result.error });
+
+    res.status(200).json({
+      success: result.ok,
+      message: result.ok
+        ? 'Email reprocessed; all attachments are in review'
+        : `Email reprocessed with status ${result.reason}${result.error ? `: ${result.error}` : ''}`,
+      data: result.inbound
+    });
+  } catch (error) {
+    if (error.name === 'CastError') return res.status(400).json({ success: false, message: 'Invalid id' });
+    console.error('❌ Error reprocessing inbound email:', error);
+    res.status(500).json({ success: false, message: 'Failed to reprocess inbound email', error: error.message });
+  }
+};
+
+module.exports = {
+  listMailboxes,
+  createMailbox,
+  updateMailbox,
+  deleteMailbox,
+  pollMailboxNow,
+  listInboundEmails,
+  getInboundEmail,
+  reprocessInboundEmail: reprocessInboundEmailHandler
+};
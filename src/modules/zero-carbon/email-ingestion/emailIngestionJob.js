@@ -0,0 +1,50 @@
+// jobs/emailIngestionJob.js
+const cron = require('node-cron');
+const { pollAllMailboxes } = require('./emailIngestionService');
+
+const DEFAULT_SCHEDULE = '*/5 * * * *';
+
+let _running = false;
+
+const isMailIngestEnabled = () => String(process.env.MAIL_INGEST_ENABLED || '').toLowerCase() === 'true';
+
+/**
+ * Pick emailed bills up from the ingestion mailboxes (MAIL_INGEST_CRON,
+ * default every 5 minutes). Only runs when MAIL_INGEST_ENABLED=true; a run is
+ * skipped while the previous one is still going.
+ */
+function startEmailIngestionJob() {
+  if (!isMailIngestEnabled()) {
+    console.log('ℹ️ [EmailIngestion] Disabled (MAIL_INGEST_ENABLED != true)');
+    return;
+  }
+
+  let schedule = process.env.MAIL_INGEST_CRON || DEFAULT_SCHEDULE;
+  if (!cron.validate(schedule)) {
+    console.warn(`[EmailIngestion] Invalid MAIL_INGEST_CRON "${schedule}", using "${DEFAULT_SCHEDULE}"`);
+    schedule = DEFAULT_SCHEDULE;
+  }
+
+  cron.schedule(schedule, async () => {
+    if (_running) return;
+    _running = true;
+    try {
+      const totals = await pollAllMailboxes();
+      if (totals.received) {
+        const breakdown = Object.entries(totals.byStatus).map(([status, n]) => `${status} ${n}`).join(', ');
+        console.log(`[EmailIngestion] ${totals.received} message(s) from ${totals.mailboxes} mailbox(es): ${breakdown}`);
+      }
+    } catch (error) {
+      console.error('[EmailIngestion] Poll job error:', error);
+    } finally {
+      _running = false;
+    }
+  }, {
+    scheduled: true,
+    timezone: 'Asia/Kolkata'
+  });
+
+  console.log(`[EmailIngestion] Mailbox poll job scheduled (${schedule})`);
+}
+
+module.exports = { startEmailIngestionJob, isMailIngestEnabled };
@@ -0,0 +1,29 @@
+// routes/emailIngestionRoutes.js
+const express = require('express');
+const router = express.Router();
+const { auth, checkRole } = require('../../../common/middleware/auth');
+const {
+  listMailboxes,
+  createMailbox,
+  updateMailbox,
+  deleteMailbox,
+  pollMailboxNow,
+  listInboundEmails,
+  getInboundEmail,
+  reprocessInboundEmail
+} = require('./emailIngestionController');
+
+// ============== Ingestion mailboxes & inbound email log ==============
+const ingestionAdmin = [auth, checkRole('super_admin', 'consultant_admin', 'consultant')];
+
+router.get('/mailboxes', ingestionAdmin, listMailboxes);
+router.post('/mailboxes', ingestionAdmin, createMailbox);
+router.put('/mailboxes/:clientId', ingestionAdmin, updateMailbox);
+router.delete('/mailboxes/:clientId', auth, checkRole('super_admin', 'consultant_admin'), deleteMailbox);
+router.post('/mailboxes/:clientId/poll', ingestionAdmin, pollMailboxNow);
+
+router.get('/inbound', ingestionAdmin, listInboundEmails);
+router.get('/inbound/:id', ingestionAdmin, getInboundEmail);
+router.post('/inbound/:id/reprocess', ingestionAdmin, reprocessInboundEmail);
+
+module.exports = router;
@@ -0,0 +1,406 @@
+// services/emailIngestionService.js
+// ============================================================================
+// Emailed bills → OCR review sessions
+//
+// For every message picked up from a client's ingestion mailbox:
+//   1. parse it (utils/mimeParser) and skip Message-IDs already seen
+//   2. reject senders outside allowedSenders and clients without an active
+//      ZeroCarbon subscription
+//   3. route each PDF/image attachment to a node/scope with the mailbox's
+//      routingRules (utils/routingRules)
+//   4. run the attachments of each scope through the same OCR preview as
+//      /ocr-extract (Textract / Gemini / tesseract + modelMatcher) and open
+//      an OCR review session (source.type 'email')
+//   5. notify the reviewer: the rule's assignTo, else the scope's assigned
+//      employees, else the node's employee head
+//
+// Nothing is written to DataEntry here — a person confirms the session via
+// /ocr-confirm exactly as for a manual upload. Every message is logged in
+// InboundEmail with its outcome so unmatched or failed mail can be
+// reprocessed after fixing the mailbox rules.
+// ============================================================================
+const mongoose = require('mongoose');
+const IngestionMailbox = require('./IngestionMailbox');
+const InboundEmail = require('./InboundEmail');
+const Client = require('../../client-management/client/Client');
+const Notification = require('../../../common/models/Notification/Notification');
+const { isModuleSubscriptionActive, MODULE_NAMES } = require('../../../common/utils/Permissions/modulePermission');
+const { findNodeAndScope } = require('../organization/controllers/dataCollectionController');
+const { buildOCRPreview } = require('../organization/controllers/ocrDataCollectionController');
+const { validateEmissionPrerequisites } = require('../calculation/emissionIntegration');
+const { createSession } = require('../ocr/utils/ocrSessionStore');
+const { hashBuffer } = require('../verification/services/duplicateDetectionService');
+const { parseMessage } = require('./utils/mimeParser');
+const { isSenderAllowed, selectRule } = require('./utils/routingRules');
+const {
+  resolveMaildirPath,
+  ensureMaildir,
+  listNewMessages,
+  claimMessage,
+  readMessage
+} = require('./maildirSource');
+
+const SUPPORTED_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/tiff'];
+// Same limit as the /ocr-extract upload
+const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+const BATCH_SIZE = parseInt(process.env.MAIL_INGEST_BATCH_SIZE || '20', 10);
+
+/**
+ * Overall outcome of a message from its attachment outcomes.
+ * @param {Array<{ status: string }>} attachments
+ * @returns {'processed'|'partially_processed'|'unmatched'|'ignored'|'failed'}
+ */
+function summarizeStatus(attachments) {
+  const relevant = attachments.filter((a) => a.status !== 'unsupported');
+  if (!relevant.length) return 'ignored';
+  const extracted = relevant.filter((a) => a.status === 'extracted').length;
+  if (extracted === relevant.length) return 'processed';
+  if (extracted > 0) return 'partially_processed';
+  return relevant.some((a) => a.status === 'failed') ? 'failed' : 'unmatched';
+}
+
+/**
+ * Who reviews an emailed bill: the rule's assignee, else the employees the
+ * scope is assigned to, else the node's employee head.
+ * @returns {Array<ObjectId>}
+ */
+function reviewRecipients(rule, node, scope) {
+  if (rule?.assignTo) return [rule.assignTo];
+  if (Array.isArray(scope?.assignedEmployees) && scope.assignedEmployees.length) return scope.assignedEmployees;
+  if (node?.details?.employeeHeadId) return [node.details.employeeHeadId];
+  return [];
+}
+
+async function _notifyReviewers(mailbox, { rule, node, scope, sessionId, recordCount, fileNames, from, subject }) {
+  const targetUsers = reviewRecipients(rule, node, scope);
+  if (!targetUsers.length) {
+    console.warn(`[EmailIngestion] No reviewer for ${mailbox.clientId}/${rule.scopeIdentifier}; session left unassigned`);
+    return [];
+  }
+  try {
+    const notification = await Notification.create({
+      title: 'Emailed Bill Ready for Review',
+      message:
+        `${recordCount} record(s) were extracted from ${fileNames.join(', ')} emailed by ${from || 'unknown sender'}` +
+        `${subject ? ` ("${subject}")` : ''} for scope ${rule.scopeIdentifier}. ` +
+        'Review and confirm them in the OCR review queue.',
+      targetUsers,
+      targetClients: [mailbox.clientId],
+      priority: 'medium',
+      createdBy: mailbox.createdBy,
+      creatorType: 'system',
+      systemAction: 'ocr_email_received',
+      isSystemNotification: true,
+      status: 'published',
+      publishedAt: new Date(),
+      relatedEntity: { type: 'OCRReviewSession', id: sessionId }
+    });
+    if (global.broadcastNotification) {
+      await global.broadcastNotification(notification);
+    }
+  } catch (err) {
+    console.warn('[EmailIngestion] Notification failed:', err.message);
+  }
+  return targetUsers;
+}
+
+async function _record(mailbox, existing, inboundId, data) {
+  if (existing) {
+    Object.assign(existing, data);
+    existing.retryCount += 1;
+    existing.lastRetryAt = new Date();
+    return existing.save();
+  }
+  return InboundEmail.create({ _id: inboundId, mailboxId: mailbox._id, clientId: mailbox.clientId, ...data });
+}
+
+// Route attachments, open one review session per target scope
+async function _extractAttachments(mailbox, message, inboundId, previous) {
+  const from = message.from.address;
+  const attachments = [];
+  const groups = new Map();
+
+  for (const att of message.attachments) {
+    const entry = {
+      fileName: att.fileName,
+      contentType: att.contentType,
+      size: att.size,
+      fileHash: hashBuffer(att.content)
+    };
+
+    // Reprocessing: attachments that already opened a session are kept as they are
+    const done = previous.get(entry.fileHash);
+    if (done) {
+      attachments.push(done);
+      continue;
+    }
+
+    if (att.inline || !SUPPORTED_TYPES.includes(att.contentType)) {
+      attachments.push({
+        ...entry,
+        status: 'unsupported',
+        error: att.inline ? 'Image embedded in the message body' : `Unsupported file type: ${att.contentType}`
+      });
+      continue;
+    }
+    if (att.size > MAX_ATTACHMENT_BYTES) {
+      attachments.push({ ...entry, status: 'unsupported', error: 'Attachment exceeds 20 MB' });
+      continue;
+    }
+
+    const rule = selectRule(mailbox.routingRules, { from, subject: message.subject, fileName: att.fileName });
+    if (!rule) {
+      attachments.push({ ...entry, status: 'unmatched', error: 'No routing rule matches this attachment' });
+      continue;
+    }
+
+    Object.assign(entry, { ruleName: rule.name, nodeId: rule.nodeId, scopeIdentifier: rule.scopeIdentifier });
+    const key = `${rule.nodeId}|${rule.scopeIdentifier}|${rule._id || rule.name}`;
+    if (!groups.has(key)) groups.set(key, { rule, files: [], entries: [] });
+    const group = groups.get(key);
+    group.files.push({ buffer: att.content, mimetype: att.contentType, originalname: att.fileName });
+    group.entries.push(entry);
+    attachments.push(entry);
+  }
+
+  const notifiedUsers = [];
+  for (const { rule, files, entries } of groups.values()) {
+    try {
+      const located = await findNodeAndScope(mailbox.clientId, rule.nodeId, rule.scopeIdentifier);
+      if (!located) throw new Error(`Node/scope ${rule.nodeId}/${rule.scopeIdentifier} not found in flowchart or process flowchart`);
+
+      const validation = await validateEmissionPrerequisites(mailbox.clientId, rule.nodeId, rule.scopeIdentifier);
+      if (!validation?.isValid) {
+        throw new Error(`Emission prerequisites are not satisfied: ${validation?.message || 'unknown reason'}`);
+      }
+
+      const { node, scope } = located;
+      const { records, pageTexts } = await buildOCRPreview({
+        clientId: mailbox.clientId,
+        nodeId: rule.nodeId,
+        scopeIdentifier: rule.scopeIdentifier,
+        scope,
+        files,
+        pageMode: rule.pageMode
+      });
+
+      const { extractionId, sessionId } = await createSession({
+        clientId: mailbox.clientId,
+        nodeId: rule.nodeId,
+        scopeIdentifier: rule.scopeIdentifier,
+        scopeType: scope.scopeType,
+        categoryName: scope.categoryName,
+        records,
+        pageTexts,
+        source: { type: 'email', inboundEmailId: inboundId, from, subject: message.subject },
+        assignedTo: rule.assignTo || null
+      }, null);
+
+      for (const entry of entries) {
+        entry.status = 'extracted';
+        entry.extractionId = extractionId;
+      }
+
+      const notified = await _notifyReviewers(mailbox, {
+        rule,
+        node,
+        scope,
+        sessionId,
+        recordCount: records.length,
+        fileNames: entries.map((e) => e.fileName),
+        from,
+        subject: message.subject
+      });
+      notifiedUsers.push(...notified);
+    } catch (err) {
+      console.error(`[EmailIngestion] ${mailbox.clientId}/${rule.scopeIdentifier}: ${err.message}`);
+      for (const entry of entries) {
+        entry.status = 'failed';
+        entry.error = err.message;
+      }
+    }
+  }
+
+  return { attachments, notifiedUsers };
+}
+
+/**
+ * Process one raw message of a mailbox.
+ *
+ * @param {IngestionMailbox} mailbox
+ * @param {Buffer} raw
+ * @param {{ sourceKey?: string, existing?: InboundEmail }} [options]
+ *        existing — the InboundEmail being reprocessed
+ * @returns {Promise<{ status: string, inbound: InboundEmail|null }>}
+ *          status 'duplicate' (and no inbound) when the message was seen before
+ */
+async function processEmail(mailbox, raw, { sourceKey = null, existing = null } = {}) {
+  const inboundId = existing?._id || new mongoose.Types.ObjectId();
+  let data = { dedupeKey: existing?.dedupeKey || hashBuffer(raw), sourceKey };
+
+  try {
+    let message;
+    try {
+      message = parseMessage(raw);
+    } catch (err) {
+      const inbound = await _record(mailbox, existing, inboundId, { ...data, status: 'failed', error: `Unreadable message: ${err.message}` });
+      return { status: inbound.status, inbound };
+    }
+
+    data = {
+      ...data,
+      dedupeKey: existing?.dedupeKey || message.messageId || data.dedupeKey,
+      messageId: message.messageId,
+      from: message.from.address,
+      subject: message.subject,
+      sentAt: message.date,
+      error: null
+    };
+
+    if (!existing && await InboundEmail.exists({ mailboxId: mailbox._id, dedupeKey: data.dedupeKey })) {
+      return { status: 'duplicate', inbound: null };
+    }
+
+    if (!isSenderAllowed(mailbox.allowedSenders, data.from)) {
+      const inbound = await _record(mailbox, existing, inboundId, {
+        ...data, status: 'rejected', error: `Sender ${data.from || '(none)'} is not allowed for this mailbox`
+      });
+      return { status: inbound.status, inbound };
+    }
+
+    const client = await Client.findOne({ clientId: mailbox.clientId }).lean();
+    if (!isModuleSubscriptionActive(client, MODULE_NAMES.ZERO_CARBON)) {
+      const inbound = await _record(mailbox, existing, inboundId, {
+        ...data, status: 'rejected', error: `ZeroCarbon subscription of client ${mailbox.clientId} is not active`
+      });
+      return { status: inbound.status, inbound };
+    }
+
+    const previous = new Map(
+      (existing?.attachments || []).filter((a) => a.status === 'extracted').map((a) => [a.fileHash, a.toObject ? a.toObject() : a])
+    );
+    const { attachments, notifiedUsers } = await _extractAttachments(mailbox, message, inboundId, previous);
+
+    const status = summarizeStatus(attachments);
+    const inbound = await _record(mailbox, existing, inboundId, {
+      ...data,
+      status,
+      error: status === 'ignored' ? 'No PDF or image attachment' : null,
+      attachments,
+      notifiedUsers: [...(existing?.notifiedUsers || []), ...notifiedUsers]
+    });
+    return { status, inbound };
+  } catch (err) {
+    if (err.code === 11000) return { status: 'duplicate', inbound: null };
+    console.error('[EmailIngestion] Processing error:', err);
+    try {
+      const inbound = await _record(mailbox, existing, inboundId, { ...data, status: 'failed', error: err.message });
+      return { status: 'failed', inbound };
+    } catch (recordErr) {
+      if (recordErr.code === 11000) return { status: 'duplicate', inbound: null };
+      throw recordErr;
+    }
+  }
+}
+
+/**
+ * Claim and process the new messages of one mailbox.
+ * @param {IngestionMailbox} mailbox
+ * @param {{ limit?: number }} [options]
+ * @returns {Promise<{ received: number, duplicates: number, byStatus: Object<string, number>, error: string|null }>}
+ */
+async function pollMailbox(mailbox, { limit = BATCH_SIZE } = {}) {
+  const summary = { received: 0, duplicates: 0, byStatus: {}, error: null };
+  const inc = {};
+  const bump = (field, n = 1) => { if (n) inc[`stats.${field}`] = (inc[`stats.${field}`] || 0) + n; };
+
+  try {
+    const dir = resolveMaildirPath(mailbox);
+    await ensureMaildir(dir);
+    for (const name of await listNewMessages(dir, limit)) {
+      const key = await claimMessage(dir, name);
+      if (!key) continue;   // claimed by another instance
+
+      const raw = await readMessage(dir, key);
+      if (!raw) continue;
+      const { status, inbound } = await processEmail(mailbox, raw, { sourceKey: key });
+
+      if (status === 'duplicate') {
+        summary.duplicates++;
+        continue;
+      }
+      summary.received++;
+      summary.byStatus[status] = (summary.byStatus[status] || 0) + 1;
+      bump('received');
+      bump('extracted', inbound.attachments.filter((a) => a.status === 'extracted').length);
+      bump('unmatched', inbound.attachments.filter((a) => a.status === 'unmatched').length);
+      if (status === 'rejected') bump('rejected');
+      if (status === 'failed') bump('failed');
+    }
+  } catch (err) {
+    console.error(`[EmailIngestion] Poll of ${mailbox.clientId} failed:`, err.message);
+    summary.error = err.message;
+  }
+
+  await IngestionMailbox.updateOne(
+    { _id: mailbox._id },
+    { $set: { lastPolledAt: new Date(), lastError: summary.error }, ...(Object.keys(inc).length ? { $inc: inc } : {}) }
+  );
+  return summary;
+}
+
+/**
+ * Poll every active mailbox, one after the other.
+ * @returns {Promise<{ mailboxes: number, received: number, byStatus: Object<string, number> }>}
+ */
+async function pollAllMailboxes() {
+  const mailboxes = await IngestionMailbox.find({ isActive: true });
+  const totals = { mailboxes: mailboxes.length, received: 0, byStatus: {} };
+  for (const mailbox of mailboxes) {
+    const summary = await pollMailbox(mailbox);
+    totals.received += summary.received;
+    for (const [status, n] of Object.entries(summary.byStatus)) {
+      totals.byStatus[status] = (totals.byStatus[status] || 0) + n;
+    }
+  }
+  return totals;
+}
+
+/**
+ * Run a logged message through the pipeline again, e.g. after adding a
+ * routing rule. Attachments that already opened a session are not extracted
+ * twice.
+ *
+ * @param {string} inboundId
+ * @returns {Promise<{ ok: boolean, reason: string, error?: string, inbound?: InboundEmail }>}
+ */
+async function reprocessInboundEmail(inboundId) {
+  const inbound = await InboundEmail.findById(inboundId);
+  if (!inbound) return { ok: false, reason: 'not_found', error: 'Inbound email not found' };
+  if (inbound.status === 'processed') {
+    return { ok: false, reason: 'already_processed', error: 'Every attachment of this email is already in review' };
+  }
+
+  const mailbox = await IngestionMailbox.findById(inbound.mailboxId);
+  if (!mailbox) return { ok: false, reason: 'not_found', error: 'Ingestion mailbox no longer exists' };
+
+  const raw = await readMessage(resolveMaildirPath(mailbox), inbound.sourceKey);
+  if (!raw) return { ok: false, reason: 'gone', error: 'The original message is no longer in the mailbox' };
+
+  const result = await processEmail(mailbox, raw, { sourceKey: inbound.sourceKey, existing: inbound });
+  return {
+    ok: result.status === 'processed',
+    reason: result.status,
+    error: result.inbound?.error || undefined,
+    inbound: result.inbound
+  };
+}
+
+module.exports = {
+  processEmail,
+  pollMailbox,
+  pollAllMailboxes,
+  reprocessInboundEmail,
+  summarizeStatus,
+  reviewRecipients
+};
@@ -0,0 +1,106 @@
+// services/maildirSource.js
+// ============================================================================
+// Maildir reader for ingestion mailboxes
+//
+// A Maildir has three folders: the MTA writes into tmp/ and moves finished
+// messages to new/; readers move them to cur/ with an info suffix (":2,S" =
+// seen). Moving is an atomic rename, so when several app instances poll the
+// same Maildir each message is claimed by exactly one of them.
+//
+// Maildir is also the IMAP stand-in: fetchmail, getmail or mbsync can sync
+// an IMAP inbox into a Maildir, and locally a test message is "delivered" by
+// copying an .eml file into new/.
+// ============================================================================
+const fs = require('fs/promises');
+const path = require('path');
+
+const SEEN_SUFFIX = ':2,S';
+
+// Every mailbox Maildir lives below this directory
+const ingestRoot = () => path.resolve(process.env.MAIL_INGEST_ROOT || path.join(process.cwd(), 'mail-ingest'));
+
+// A client's Maildirs live below MAIL_INGEST_ROOT/<clientId>
+const clientRoot = (clientId) => path.join(ingestRoot(), String(clientId));
+
+/**
+ * Mailbox paths are configured over the API, so they may not leave the
+ * client's own directory — else one client's mailbox could read another's mail.
+ */
+function isWithinClientRoot(clientId, dir) {
+  const root = clientRoot(clientId);
+  if (!clientId || path.dirname(root) !== ingestRoot()) return false;   // '..', 'a/b', …
+  const resolved = path.resolve(ingestRoot(), String(dir));
+  return resolved === root || resolved.startsWith(root + path.sep);
+}
+
+/**
+ * Maildir of a client's mailbox: source.path (relative to MAIL_INGEST_ROOT),
+ * or MAIL_INGEST_ROOT/<clientId>. Throws when a stored path is outside
+ * the client's directory.
+ */
+function resolveMaildirPath(mailbox) {
+  if (!mailbox.source?.path) return clientRoot(mailbox.clientId);
+  if (!isWithinClientRoot(mailbox.clientId, mailbox.source.path)) {
+    throw new Error(`source.path of mailbox ${mailbox.clientId} is outside MAIL_INGEST_ROOT/${mailbox.clientId}`);
+  }
+  return path.resolve(ingestRoot(), mailbox.source.path);
+}
+
+async function ensureMaildir(dir) {
+  await Promise.all(['new', 'cur', 'tmp'].map((sub) => fs.mkdir(path.join(dir, sub), { recursive: true })));
+}
+
+/**
+ * Unclaimed messages, oldest first (Maildir names start with the delivery time).
+ * @param {string} dir
+ * @param {number} [limit]
+ * @returns {Promise<string[]>}  file names in new/
+ */
+async function listNewMessages(dir, limit = 50) {
+  let names;
+  try {
+    names = await fs.readdir(path.join(dir, 'new'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  return names.filter((n) => !n.startsWith('.')).sort().slice(0, limit);
+}
+
+/**
+ * Move a message from new/ to cur/ and mark it seen.
+ * @returns {Promise<string|null>}  key in cur/, or null when another poller took it
+ */
+async function claimMessage(dir, name) {
+  const key = name.includes(':2,') ? name : `${name}${SEEN_SUFFIX}`;
+  try {
+    await fs.rename(path.join(dir, 'new', name), path.join(dir, 'cur', key));
+    return key;
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Read a claimed message.
+ * @returns {Promise<Buffer|null>}  null when it was removed from cur/
+ */
+async function readMessage(dir, key) {
+  if (!key || key !== path.basename(key)) return null;
+  try {
+    return await fs.readFile(path.join(dir, 'cur', key));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+module.exports = {
+  resolveMaildirPath,
+  isWithinClientRoot,
+  ensureMaildir,
+  listNewMessages,
+  claimMessage,
+  readMessage
+};
@@ -0,0 +1,332 @@
+// utils/mimeParser.js
+// ============================================================================
+// Minimal RFC 5322 / MIME parser for emailed bills:
+//
+//   parseMessage(raw)          — headers, sender, subject, text body, attachments
+//   parseHeaders(block)        — unfolded header map (lower-case names)
+//   parseHeaderValue(value)    — "type/sub; a=b; c*=…" → { value, params }
+//   decodeEncodedWords(text)   — RFC 2047 =?charset?B|Q?…?= words
+//   parseAddress(value)        — "Name <a@b.com>" → { name, address }
+//
+// Kept dependency-free on purpose: ingestion needs the sender, subject and
+// the PDF/image attachments, nothing more. Nested multiparts and forwarded
+// messages (message/rfc822) are walked; base64 and quoted-printable bodies
+// are decoded; file names come from Content-Disposition (incl. RFC 2231
+// filename*=) or the Content-Type name parameter.
+// ============================================================================
+
+const MIME_BY_EXTENSION = {
+  pdf: 'application/pdf',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  tif: 'image/tiff',
+  tiff: 'image/tiff'
+};
+
+// Forwarded messages nested deeper than this are not walked
+const MAX_DEPTH = 8;
+
+// Buffer encodings for the charsets bills actually arrive in; anything else
+// is read as UTF-8
+const _bufferEncoding = (charset) => {
+  const c = String(charset || '').toLowerCase();
+  if (c === 'iso-8859-1' || c === 'latin1' || c === 'windows-1252' || c === 'us-ascii') return 'latin1';
+  return 'utf8';
+};
+
+// Bytes are carried around as latin1 strings so binary parts survive splitting
+const _toBinaryString = (raw) => (Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(String(raw), 'utf8').toString('latin1'));
+
+function _splitHeaderAndBody(binary) {
+  const match = /\r?\n\r?\n/.exec(binary);
+  if (!match) return { head: binary, body: '' };
+  return { head: binary.slice(0, match.index), body: binary.slice(match.index + match[0].length) };
+}
+
+/**
+ * Parse a header block. Folded lines are joined; repeated headers keep the
+ * first occurrence (Received: chains are not needed here).
+ * @param {string} block
+ * @returns {Object<string, string>}
+ */
+function parseHeaders(block) {
+  const headers = {};
+  const lines = String(block).split(/\r?\n/);
+  let current = null;
+
+  const flush = () => {
+    if (!current) return;
+    const idx = current.indexOf(':');
+    if (idx > 0) {
+      const name = current.slice(0, idx).trim().toLowerCase();
+      if (!(name in headers)) headers[name] = current.slice(idx + 1).trim();
+    }
+  };
+
+  for (const line of lines) {
+    if (/^[ \t]/.test(line) && current !== null) {
+      current += ' ' + line.trim();
+    } else {
+      flush();
+      current = line;
+    }
+  }
+  flush();
+  return headers;
+}
+
+function _decodeQ(text, charset) {
+  const bytes = text
+    .replace(/_/g, ' ')
+    .replace(/=([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return Buffer.from(bytes, 'latin1').toString(_bufferEncoding(charset));
+}
+
+/**
+ * Decode RFC 2047 encoded words; whitespace between adjacent encoded words
+ * is dropped as the RFC requires.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEncodedWords(text) {
+  if (!text) return text;
+  const WORD = /=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g;
+  return String(text)
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?[^?]+\?[BbQq]\?[^?]*\?=)/g, '$1')
+    .replace(WORD, (_, charset, encoding, payload) => {
+      const cs = charset.split('*')[0];   // RFC 2231 language suffix
+      if (encoding.toUpperCase() === 'B') {
+        return Buffer.from(payload, 'base64').toString(_bufferEncoding(cs));
+      }
+      return _decodeQ(payload, cs);
+    });
+}
+
+function _splitParams(value) {
+  const parts = [];
+  let buf = '';
+  let quoted = false;
+  for (let i = 0; i < value.length; i++) {
+    const ch = value[i];
+    if (ch === '"' && value[i - 1] !== '\\') quoted = !quoted;
+    if (ch === ';' && !quoted) {
+      parts.push(buf);
+      buf = '';
+    } else {
+      buf += ch;
+    }
+  }
+  parts.push(buf);
+  return parts.map((p) => p.trim()).filter(Boolean);
+}
+
+const _unquote = (v) => {
+  const s = String(v).trim();
+  return s.startsWith('"') && s.endsWith('"') ? s.slice(1, -1).replace(/\\(.)/g, '$1') : s;
+};
+
+function _decodeRfc2231(value, charset) {
+  const bytes = value.replace(/%([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  return Buffer.from(bytes, 'latin1').toString(_bufferEncoding(charset));
+}
+
+/**
+ * Split a structured header into its main value and parameters.
+ * RFC 2231 parameters (name*=charset''…, name*0=…, name*1*=…) are joined and
+ * decoded; plain parameters may still carry RFC 2047 words.
+ * @param {string} header
+ * @returns {{ value: string, params: Object<string, string> }}
+ */
+function parseHeaderValue(header) {
+  const [first = '', ...rest] = _splitParams(String(header || ''));
+  const params = {};
+  const continued = {};
+
+  for (const part of rest) {
+    const idx = part.indexOf('=');
+    if (idx < 0) continue;
+    const rawName = part.slice(0, idx).trim().toLowerCase();
+    const rawValue = part.slice(idx + 1).trim();
+
+    const m = /^([^*]+)\*(\d+)?\*?$/.exec(rawName);
+    if (!m) {
+      params[rawName] = decodeEncodedWords(_unquote(rawValue));
+      continue;
+    }
+    const name = m[1];
+    const index = Number(m[2] || 0);
+    const extended = rawName.endsWith('*');
+    (continued[name] = continued[name] || []).push({ index, value: _unquote(rawValue), extended });
+  }
+
+  for (const [name, pieces] of Object.entries(continued)) {
+    pieces.sort((a, b) => a.index - b.index);
+    let charset = 'utf-8';
+    const first0 = pieces[0];
+    if (first0.extended) {
+      const q = /^([^']*)'[^']*'(.*)$/.exec(first0.value);
+      if (q) {
+        charset = q[1] || charset;
+        first0.value = q[2];
+      }
+    }
+    params[name] = pieces
+      .map((p) => (p.extended ? _decodeRfc2231(p.value, charset) : p.value))
+      .join('');
+  }
+
+  return { value: first.trim().toLowerCase(), params };
+}
+
+/**
+ * "Tata Power <bills@tatapower.com>" → { name, address } (address lower-cased).
+ * @param {string} value
+ * @returns {{ name: string|null, address: string|null }}
+ */
+function parseAddress(value) {
+  const decoded = decodeEncodedWords(String(value || '')).trim();
+  if (!decoded) return { name: null, address: null };
+  const angle = /^(.*)<([^>]+)>\s*$/.exec(decoded);
+  if (angle) {
+    const name = _unquote(angle[1].trim()) || null;
+    return { name, address: angle[2].trim().toLowerCase() };
+  }
+  const bare = /[^\s<>"]+@[^\s<>"]+/.exec(decoded);
+  return { name: null, address: bare ? bare[0].toLowerCase() : null };
+}
+
+function _decodeBody(body, transferEncoding) {
+  const encoding = String(transferEncoding || '').trim().toLowerCase();
+  if (encoding === 'base64') {
+    return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+  }
+  if (encoding === 'quoted-printable') {
+    const bytes = body
+      .replace(/=\r?\n/g, '')
+      .replace(/=([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return Buffer.from(bytes, 'latin1');
+  }
+  return Buffer.from(body, 'latin1');
+}
+
+/** MIME type implied by a file name, or null. */
+function mimeTypeFromFileName(fileName) {
+  const ext = String(fileName || '').split('.').pop().toLowerCase();
+  return MIME_BY_EXTENSION[ext] || null;
+}
+
+function _splitMultipart(body, boundary) {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  const lines = body.split(/\r?\n/);
+  let current = null;
+
+  for (const line of lines) {
+    const trimmed = line.trimEnd();
+    if (trimmed === `${delimiter}--`) {
+      if (current) parts.push(current.join('\r\n'));
+      current = null;
+      break;
+    }
+    if (trimmed === delimiter) {
+      if (current) parts.push(current.join('\r\n'));
+      current = [];
+      continue;
+    }
+    if (current) current.push(line);
+  }
+  // Unterminated multipart — keep what was read
+  if (current && current.length) parts.push(current.join('\r\n'));
+  return parts;
+}
+
+function _walk(binary, result, depth) {
+  const { head, body } = _splitHeaderAndBody(binary);
+  const headers = parseHeaders(head);
+  const type = parseHeaderValue(headers['content-type'] || 'text/plain');
+  const disposition = parseHeaderValue(headers['content-disposition'] || '');
+
+  if (type.value.startsWith('multipart/') && type.params.boundary) {
+    for (const part of _splitMultipart(body, type.params.boundary)) _walk(part, result, depth);
+    return;
+  }
+
+  if (type.value === 'message/rfc822' && depth < MAX_DEPTH) {
+    _walk(_decodeBody(body, headers['content-transfer-encoding']).toString('latin1'), result, depth + 1);
+    return;
+  }
+
+  const content = _decodeBody(body, headers['content-transfer-encoding']);
+  const fileName = disposition.params.filename || type.params.name || null;
+  const isAttachment = disposition.value === 'attachment' || Boolean(fileName);
+
+  if (isAttachment) {
+    let contentType = type.value;
+    if (!contentType || contentType === 'application/octet-stream' || !contentType.includes('/')) {
+      contentType = mimeTypeFromFileName(fileName) || contentType || 'application/octet-stream';
+    }
+    result.attachments.push({
+      fileName: fileName ? decodeEncodedWords(fileName) : `attachment-${result.attachments.length + 1}`,
+      contentType,
+      size: content.length,
+      // Embedded in the HTML body (signature logos etc.), not attached
+      inline: disposition.value !== 'attachment' && Boolean(headers['content-id']),
+      content
+    });
+    return;
+  }
+
+  if (type.value === 'text/plain' && result.text === null) {
+    result.text = content.toString(_bufferEncoding(type.params.charset));
+  }
+}
+
+/**
+ * Parse a raw RFC 5322 message.
+ * @param {Buffer|string} raw
+ * @returns {{
+ *   headers: Object<string, string>,
+ *   messageId: string|null,
+ *   from: { name: string|null, address: string|null },
+ *   to: string|null,
+ *   subject: string,
+ *   date: Date|null,
+ *   text: string|null,
+ *   attachments: Array<{ fileName: string, contentType: string, size: number, inline: boolean, content: Buffer }>
+ * }}
+ */
+function parseMessage(raw) {
+  const binary = _toBinaryString(raw);
+  const { head } = _splitHeaderAndBody(binary);
+  const headers = parseHeaders(head);
+  if (!headers.from && !headers['message-id'] && !headers['content-type']) {
+    throw new Error('Not an email message: no From, Message-ID or Content-Type header');
+  }
+
+  const result = { text: null, attachments: [] };
+  _walk(binary, result, 0);
+
+  const date = headers.date ? new Date(headers.date) : null;
+  const messageId = headers['message-id'] ? headers['message-id'].replace(/^<|>$/g, '').trim() : null;
+
+  return {
+    headers,
+    messageId: messageId || null,
+    from: parseAddress(headers.from),
+    to: headers.to ? decodeEncodedWords(headers.to) : null,
+    subject: decodeEncodedWords(headers.subject || ''),
+    date: date && !isNaN(date.getTime()) ? date : null,
+    text: result.text,
+    attachments: result.attachments
+  };
+}
+
+module.exports = {
+  parseMessage,
+  parseHeaders,
+  parseHeaderValue,
+  decodeEncodedWords,
+  parseAddress,
+  mimeTypeFromFileName
+};
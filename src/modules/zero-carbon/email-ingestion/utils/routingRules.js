@@ -0,0 +1,111 @@
+// utils/routingRules.js
+// ============================================================================
+// Matching of emailed attachments to a flowchart scope:
+//
+//   compilePattern(pattern)           — wildcard or /regex/flags → RegExp
+//   matchesPattern(pattern, value)    — empty pattern matches anything
+//   isSenderAllowed(allowed, address) — IngestionMailbox.allowedSenders check
+//   selectRule(rules, message)        — first active rule matching sender,
+//                                       subject and attachment file name
+//                                       (a rule without patterns catches all)
+//   validateRules(rules)              — error message for the admin API, or null
+//
+// Wildcard patterns are case-insensitive and match the whole value:
+// "*@tatapower.com", "*electricity*", "invoice_*.pdf".
+// ============================================================================
+
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+
+/**
+ * @param {string} pattern
+ * @returns {RegExp|null}  null for an empty pattern
+ * @throws {SyntaxError}   for an invalid /regex/
+ */
+function compilePattern(pattern) {
+  const p = String(pattern || '').trim();
+  if (!p) return null;
+
+  const regex = REGEX_PATTERN.exec(p);
+  if (regex) {
+    const flags = regex[2].includes('i') ? regex[2] : `${regex[2]}i`;
+    return new RegExp(regex[1], flags.replace(/[gy]/g, ''));
+  }
+
+  const escaped = p.replace(/[.+^${}()|[\]\\?]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Invalid patterns never match, so a broken rule cannot swallow every message.
+ * @param {string} pattern
+ * @param {string} value
+ * @returns {boolean}
+ */
+function matchesPattern(pattern, value) {
+  let re;
+  try {
+    re = compilePattern(pattern);
+  } catch {
+    return false;
+  }
+  if (!re) return true;
+  return re.test(String(value || ''));
+}
+
+/**
+ * @param {string[]} allowedSenders  empty = any sender
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isSenderAllowed(allowedSenders, address) {
+  if (!Array.isArray(allowedSenders) || allowedSenders.length === 0) return true;
+  if (!address) return false;
+  return allowedSenders.some((pattern) => matchesPattern(pattern, address));
+}
+
+/**
+ * @param {Array<object>} rules  IngestionMailbox.routingRules
+ * @param {{ from: string, subject: string, fileName: string }} message
+ * @returns {object|null}  the first matching rule
+ */
+function selectRule(rules, { from, subject, fileName }) {
+  for (const rule of rules || []) {
+    if (rule.isActive === false) continue;
+    if (
+      matchesPattern(rule.senderPattern, from) &&
+      matchesPattern(rule.subjectPattern, subject) &&
+      matchesPattern(rule.filenamePattern, fileName)
+    ) {
+      return rule;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {Array<object>} rules
+ * @returns {string|null}  first problem found
+ */
+function validateRules(rules) {
+  if (!Array.isArray(rules)) return 'routingRules must be an array';
+  for (const [i, rule] of rules.entries()) {
+    const label = rule?.name ? `routingRules "${rule.name}"` : `routingRules[${i}]`;
+    if (!rule || !rule.nodeId || !rule.scopeIdentifier) return `${label}: nodeId and scopeIdentifier are required`;
+    for (const field of ['senderPattern', 'subjectPattern', 'filenamePattern']) {
+      try {
+        compilePattern(rule[field]);
+      } catch (err) {
+        return `${label}: ${field} is not a valid regular expression (${err.message})`;
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  compilePattern,
+  matchesPattern,
+  isSenderAllowed,
+  selectRule,
+  validateRules
+};
@@ -540,6 +540,7 @@ exports.superSearch = async (req, res) => {
       page   = 1,
       limit  = 20,
       fields,
+      edition,
     } = req.query;
 
     // Parse optional fields restriction
@@ -553,6 +554,7 @@ exports.superSearch = async (req, res) => {
       page,
       limit,
       fields: fieldList,
+      edition,
     });
 
     return res.status(200).json({
@@ -561,6 +563,7 @@ exports.superSearch = async (req, res) => {
         source,
         page:  parseInt(page,  10) || 1,
         limit: parseInt(limit, 10) || 20,
+        ...(edition ? { edition } : {}),
       },
       results,
       meta,
@@ -0,0 +1,118 @@
+const factorImportService = require('../services/factorImport.service');
+
+// Shared error mapping for the import endpoints
+function sendError(res, err, label) {
+  if (err.status && err.status < 500) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message,
+      ...(err.errors ? { errors: err.errors } : {}),
+    });
+  }
+  console.error(`[FactorImport] ${label}:`, err);
+  return res.status(500).json({ success: false, message: err.status ? err.message : 'Internal server error', error: err.message });
+}
+
+const userRef = (req) => String(req.user?._id || req.user?.id || req.user?.email || '');
+
+// GET /api/emission-factors/imports/templates?library=DEFRA
+exports.listTemplates = async (req, res) => {
+  try {
+    const templates = await factorImportService.listTemplates(req.query);
+    return res.status(200).json({ success: true, templates });
+  } catch (err) {
+    return sendError(res, err, 'listTemplates');
+  }
+};
+
+// POST /api/emission-factors/imports/templates
+// Body: { library, name, sheetName?, headerRow?, columns: { ghgConversionFactor: "GHG Conversion Factor 2025", ... } }
+exports.saveTemplate = async (req, res) => {
+  try {
+    const template = await factorImportService.saveTemplate(req.body || {}, userRef(req));
+    return res.status(200).json({ success: true, template });
+  } catch (err) {
+    return sendError(res, err, 'saveTemplate');
+  }
+};
+
+// DELETE /api/emission-factors/imports/templates/:id
+exports.deleteTemplate = async (req, res) => {
+  try {
+    await factorImportService.deleteTemplate(req.params.id);
+    return res.status(200).json({ success: true, message: 'Import template deleted' });
+  } catch (err) {
+    return sendError(res, err, 'deleteTemplate');
+  }
+};
+
+// POST /api/emission-factors/imports   (multipart: file)
+// Body: { library, edition, publicationYear?, validFrom?, validTo?, templateId?, sheetName?, headerRow? }
+exports.stageImport = async (req, res) => {
+  try {
+    const imp = await factorImportService.stageImport(req.body || {}, req.file, userRef(req));
+    return res.status(201).json({ success: true, import: imp });
+  } catch (err) {
+    return sendError(res, err, 'stageImport');
+  }
+};
+
+// GET /api/emission-factors/imports?library=&status=&page=&limit=
+exports.listImports = async (req, res) => {
+  try {
+    const result = await factorImportService.listImports(req.query);
+    return res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, 'listImports');
+  }
+};
+
+// GET /api/emission-factors/imports/:id
+exports.getImport = async (req, res) => {
+  try {
+    const imp = await factorImportService.getImport(req.params.id);
+    return res.status(200).json({ success: true, import: imp });
+  } catch (err) {
+    return sendError(res, err, 'getImport');
+  }
+};
+
+// GET /api/emission-factors/imports/:id/diff?change=changed,removed&minPct=5&page=&limit=
+exports.getDiff = async (req, res) => {
+  try {
+    const result = await factorImportService.getDiff(req.params.id, req.query);
+    return res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, 'getDiff');
+  }
+};
+
+// POST /api/emission-factors/imports/:id/publish
+exports.publishImport = async (req, res) => {
+  try {
+    const imp = await factorImportService.publishImport(req.params.id, userRef(req));
+    return res.status(200).json({ success: true, message: `${imp.library} edition "${imp.edition}" published`, import: imp });
+  } catch (err) {
+    return sendError(res, err, 'publishImport');
+  }
+};
+
+// POST /api/emission-factors/imports/:id/rollback
+exports.rollbackImport = async (req, res) => {
+  try {
+    const imp = await factorImportService.rollbackImport(req.params.id, userRef(req));
+    return res.status(200).json({ success: true, message: `${imp.library} edition "${imp.edition}" rolled back`, import: imp });
+  } catch (err) {
+    return sendError(res, err, 'rollbackImport');
+  }
+};
+
+// POST /api/emission-factors/imports/:id/discard
+exports.discardImport = async (req, res) => {
+  try {
+    const imp = await factorImportService.discardImport(req.params.id);
+    return res.status(200).json({ success: true, import: imp });
+  } catch (err) {
+    return sendError(res, err, 'discardImport');
+  }
+};
@@ -0,0 +1,113 @@
+const factorVersionService = require('../services/factorVersion.service');
+
+// Shared error mapping for the version endpoints
+function sendError(res, err, label) {
+  if (err.status) {
+    return res.status(err.status).json({
+      success: false,
+      message: err.message,
+      ...(err.errors ? { errors: err.errors } : {}),
+    });
+  }
+  console.error(`[FactorVersion] ${label}:`, err);
+  return res.status(500).json({ success: false, message: 'Internal server error', error: err.message });
+}
+
+const userRef = (req) => String(req.user?._id || req.user?.id || req.user?.email || '');
+
+// GET /api/emission-factors/versions?library=DEFRA&factorKey=&edition=&status=&page=&limit=
+exports.listVersions = async (req, res) => {
+  try {
+    const result = await factorVersionService.listVersions(req.query);
+    return res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, 'listVersions');
+  }
+};
+
+// GET /api/emission-factors/versions/editions
+exports.listEditions = async (req, res) => {
+  try {
+    const rows = await factorVersionService.editions();
+    return res.status(200).json({
+      success: true,
+      editions: rows.map(r => ({ ...r._id, factors: r.factors, publicationYear: r.publicationYear, validFrom: r.validFrom, validTo: r.validTo })),
+    });
+  } catch (err) {
+    return sendError(res, err, 'listEditions');
+  }
+};
+
+// GET /api/emission-factors/versions/key?library=DEFRA&id=<library row id>
+exports.getFactorKey = async (req, res) => {
+  try {
+    const result = await factorVersionService.factorKeyForRow(req.query.library, req.query.id);
+    return res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, 'getFactorKey');
+  }
+};
+
+// GET /api/emission-factors/versions/resolve?library=DEFRA&factorKey=...&date=2025-03-31
+exports.resolveVersion = async (req, res) => {
+  try {
+    const { library, factorKey, date } = req.query;
+    const version = await factorVersionService.resolveVersion(library, factorKey, date ? new Date(date) : new Date());
+    return res.status(200).json({ success: true, version });
+  } catch (err) {
+    return sendError(res, err, 'resolveVersion');
+  }
+};
+
+// POST /api/emission-factors/versions
+// Body: { library, factorKey, edition, ghgUnits: [{ unit, factor }], publicationYear?, validFrom?, validTo?, unit?, label? }
+// Created as draft; publish the edition to make it resolvable.
+exports.createVersion = async (req, res) => {
+  try {
+    const version = await factorVersionService.createVersion(req.body, userRef(req));
+    return res.status(201).json({ success: true, version });
+  } catch (err) {
+    return sendError(res, err, 'createVersion');
+  }
+};
+
+// POST /api/emission-factors/versions/snapshot
+// Body: { library, edition, publicationYear?, validFrom?, validTo?, publish? }
+exports.snapshotLibrary = async (req, res) => {
+  try {
+    const result = await factorVersionService.snapshotLibrary(req.body || {}, userRef(req));
+    return res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, 'snapshotLibrary');
+  }
+};
+
+// GET /api/emission-factors/versions/impact?library=DEFRA&edition=DEFRA 2025
+exports.getEditionImpact = async (req, res) => {
+  try {
+    const result = await factorVersionService.analyzeEditionImpact(req.query);
+    return res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, 'getEditionImpact');
+  }
+};
+
+// POST /api/emission-factors/versions/publish   Body: { library, edition }
+exports.publishEdition = async (req, res) => {
+  try {
+    const result = await factorVersionService.setEditionStatus(req.body?.library, req.body?.edition, 'published', userRef(req));
+    return res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, 'publishEdition');
+  }
+};
+
+// POST /api/emission-factors/versions/withdraw  Body: { library, edition }
+exports.withdrawEdition = async (req, res) => {
+  try {
+    const result = await factorVersionService.setEditionStatus(req.body?.library, req.body?.edition, 'withdrawn', userRef(req));
+    return res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    return sendError(res, err, 'withdrawEdition');
+  }
+};
@@ -27,6 +27,11 @@ const DefraDataSchema = new mongoose.Schema({
   },
   ghgConversionFactor: { type: Number, required: true },
   conversionFactorHistory: [ConversionFactorHistorySchema],
+  // Edition / effective dates (versioned copies live in EmissionFactorVersion)
+  edition: { type: String, default: null },
+  publicationYear: { type: Number, default: null },
+  validFrom: { type: Date, default: null },
+  validTo: { type: Date, default: null },
   createdBy: { type: String },
   updatedBy: { type: String },
   createdAt: { type: Date, default: Date.now },
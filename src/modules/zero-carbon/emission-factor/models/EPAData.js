@@ -27,6 +27,11 @@ const EPADataSchema = new mongoose.Schema({
     },
     ghgConversionFactorEPA: { type: Number, required: true },
     conversionFactorHistoryEPA: [ConversionFactorEPAHistorySchema],
+    // Edition / effective dates (versioned copies live in EmissionFactorVersion)
+    editionEPA: { type: String, default: null },
+    publicationYearEPA: { type: Number, default: null },
+    validFromEPA: { type: Date, default: null },
+    validToEPA: { type: Date, default: null },
     createdBy: { type: String },
     updatedBy: { type: String },
     createdAt: { type: Date, default: Date.now },
@@ -72,6 +72,21 @@ const EmissionFactorHubSchema = new mongoose.Schema({
     default: 'Global',
     trim: true
   },
+  // Edition / effective dates; `year` is the publication year
+  // (versioned copies live in EmissionFactorVersion)
+  edition: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validTo: {
+    type: Date,
+    default: null
+  },
   notes: {
     type: String,
     default: '',
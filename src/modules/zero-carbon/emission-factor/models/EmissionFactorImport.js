@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One staged annual edition import. Rows and their diff against the live
+// library are kept in EmissionFactorImportRow; publish applies them all and
+// rollback restores the values recorded there
+// (see services/factorImport.service.js).
+
+const EmissionFactorImportSchema = new mongoose.Schema({
+  library: { type: String, required: true, enum: ['DEFRA', 'EPA', 'IPCC'] },
+  edition: { type: String, required: true, trim: true },
+  publicationYear: { type: Number, default: null },
+  validFrom: { type: Date, default: null },
+  validTo: { type: Date, default: null },
+
+  fileName: { type: String, default: '' },
+  sheetName: { type: String, default: null },
+  templateId: { type: mongoose.Schema.Types.ObjectId, ref: 'EmissionFactorImportTemplate', default: null },
+
+  status: {
+    type: String,
+    enum: ['staged', 'publishing', 'published', 'rolling_back', 'rolled_back', 'discarded', 'failed'],
+    default: 'staged'
+  },
+
+  summary: {
+    totalRows: { type: Number, default: 0 },
+    invalid: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    added: { type: Number, default: 0 },
+    changed: { type: Number, default: 0 },
+    removed: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 }
+  },
+  errorSamples: [{ _id: false, rowNumber: Number, error: String }],
+
+  // library state the diff was taken against; publish refuses if it moved
+  baseline: {
+    rows: { type: Number, default: 0 },
+    lastUpdatedAt: { type: Date, default: null }
+  },
+
+  versionsWritten: { type: Number, default: 0 },
+  failureReason: { type: String, default: null },
+
+  createdBy: { type: String },
+  publishedAt: { type: Date, default: null },
+  publishedBy: { type: String, default: null },
+  rolledBackAt: { type: Date, default: null },
+  rolledBackBy: { type: String, default: null }
+}, { timestamps: true });
+
+EmissionFactorImportSchema.index({ library: 1, status: 1, publishedAt: -1 });
+EmissionFactorImportSchema.index({ library: 1, edition: 1 });
+
+module.exports = mongoose.model('EmissionFactorImport', EmissionFactorImportSchema);
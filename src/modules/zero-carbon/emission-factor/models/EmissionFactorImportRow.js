@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// A single factor row of a staged edition import with its diff against the
+// live library. `previous` holds what publish overwrites so rollback can
+// restore it; `appliedId` is the library row inserted for an added factor.
+
+const EmissionFactorImportRowSchema = new mongoose.Schema({
+  importId: { type: mongoose.Schema.Types.ObjectId, ref: 'EmissionFactorImport', required: true },
+  rowNumber: { type: Number, default: null },     // spreadsheet row (null for removed)
+  rowKey: { type: String, required: true },       // factorKey + gas for DEFRA / EPA
+  factorKey: { type: String, required: true },
+  change: { type: String, enum: ['added', 'changed', 'removed', 'unchanged'], required: true },
+
+  row: { type: mongoose.Schema.Types.Mixed, default: null },       // mapped library fields from the file
+  previous: { type: mongoose.Schema.Types.Mixed, default: null },  // live row values before publish
+  oldValue: { type: Number, default: null },
+  newValue: { type: Number, default: null },
+  pctChange: { type: Number, default: null },
+
+  appliedId: { type: mongoose.Schema.Types.ObjectId, default: null }
+});
+
+EmissionFactorImportRowSchema.index({ importId: 1, change: 1 });
+EmissionFactorImportRowSchema.index({ importId: 1, rowKey: 1 }, { unique: true });
+
+module.exports = mongoose.model('EmissionFactorImportRow', EmissionFactorImportRowSchema);
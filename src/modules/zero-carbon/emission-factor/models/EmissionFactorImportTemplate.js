@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Saved column mapping for an annual edition file (DEFRA / EPA / IPCC).
+// columns maps a library field (e.g. "ghgConversionFactor") to the header
+// used in the publisher's spreadsheet (e.g. "GHG Conversion Factor 2025").
+// Unmapped fields fall back to the built-in header aliases.
+
+const EmissionFactorImportTemplateSchema = new mongoose.Schema({
+  library: { type: String, required: true, enum: ['DEFRA', 'EPA', 'IPCC'] },
+  name: { type: String, required: true, trim: true },
+  sheetName: { type: String, default: null },     // null = first sheet
+  headerRow: { type: Number, default: 1, min: 1 }, // 1-based row holding the headers
+  columns: { type: Map, of: String, default: {} },
+  createdBy: { type: String },
+  updatedBy: { type: String }
+}, { timestamps: true });
+
+EmissionFactorImportTemplateSchema.index({ library: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('EmissionFactorImportTemplate', EmissionFactorImportTemplateSchema);
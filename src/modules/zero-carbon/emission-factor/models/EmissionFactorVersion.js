@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Effective-dated edition of one factor from any library (DEFRA, EPA, IPCC,
+// Country, EmissionFactorHub). factorKey identifies the factor across
+// editions; calculations pick the published version whose validity window
+// contains the activity date (see services/factorVersion.service.js).
+
+const GhgUnitSchema = new mongoose.Schema({
+  unit: { type: String, required: true },   // e.g. "kg CO2e", "kg CH4"
+  factor: { type: Number, required: true },
+}, { _id: false });
+
+const EmissionFactorVersionSchema = new mongoose.Schema({
+  library: {
+    type: String,
+    required: true,
+    enum: ['DEFRA', 'EPA', 'IPCC', 'Country', 'EmissionFactorHub']
+  },
+  factorKey: { type: String, required: true },
+  label: { type: String, default: '' },          // human readable factor name
+
+  edition: { type: String, required: true, trim: true },   // e.g. "DEFRA 2025", "CEA v20"
+  publicationYear: { type: Number, default: null },
+  validFrom: { type: Date, default: null },     // null = open start
+  validTo: { type: Date, default: null },       // null = open end
+
+  unit: { type: String, default: '' },          // activity unit (uom)
+  ghgUnits: { type: [GhgUnitSchema], default: [] },
+  factors: {                                    // normalised per gas
+    CO2: { type: Number, default: 0 },
+    CH4: { type: Number, default: 0 },
+    N2O: { type: Number, default: 0 },
+    CO2e: { type: Number, default: 0 }
+  },
+
+  // draft editions are only used for impact analysis until published
+  status: { type: String, enum: ['draft', 'published', 'withdrawn'], default: 'draft' },
+  publishedAt: { type: Date, default: null },
+  publishedBy: { type: String, default: null },
+
+  sourceIds: [{ type: mongoose.Schema.Types.ObjectId }],   // library rows this version was built from
+  createdBy: { type: String }
+}, { timestamps: true });
+
+EmissionFactorVersionSchema.index({ library: 1, factorKey: 1, edition: 1 }, { unique: true });
+EmissionFactorVersionSchema.index({ library: 1, factorKey: 1, status: 1, validFrom: -1 });
+EmissionFactorVersionSchema.index({ library: 1, edition: 1, status: 1 });
+
+module.exports = mongoose.model('EmissionFactorVersion', EmissionFactorVersionSchema);
@@ -112,6 +112,12 @@ const IPCCDataSchema = new mongoose.Schema({
   updatedBy: { type: String },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
+  // Edition / effective dates (versioned copies live in EmissionFactorVersion)
+  edition: { type: String, default: null },
+  publicationYear: { type: Number, default: null },
+  validFrom: { type: Date, default: null },
+  validTo: { type: Date, default: null },
+
   // History tracking
   history: [HistorySchema],
   
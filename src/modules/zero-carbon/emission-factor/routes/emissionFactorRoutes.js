@@ -1,11 +1,15 @@
 const express = require('express');
 const router  = express.Router();
+const multer  = require('multer');
 
 const {
   getEmissionFactors,
   getDistinctValues,
   superSearch,            // ← NEW
 } = require('../controllers/emissionFactorController');
+const versionCtrl = require('../controllers/factorVersionController');
+const importCtrl  = require('../controllers/factorImportController');
+const { auth, checkRole } = require('../../../../common/middleware/auth');
 
 // ── Existing endpoints (unchanged) ──────────────────────────────────────────
 // GET /api/emission-factors?source=EPA&page=1&limit=20&sortBy=level1EPA&order=asc...
@@ -18,6 +22,39 @@ router.get('/distinct', getDistinctValues);
 // GET /api/emission-factors/search?q=diesel&source=defra&page=1&limit=20
 // GET /api/emission-factors/search?q=diesel,transport&source=all
 // GET /api/emission-factors/search?q=deisel&source=epa          (typo-tolerant)
+// GET /api/emission-factors/search?q=diesel&source=defra&edition=DEFRA%202025
 router.get('/search', superSearch);
 
+// ── Versioned factors ───────────────────────────────────────────────────────
+// Effective-dated editions across DEFRA / EPA / IPCC / Country / EmissionFactorHub.
+// Viewing: consultants and above; snapshot / publish / withdraw: super_admin.
+const viewRoles = ['consultant', 'consultant_admin', 'super_admin'];
+
+router.get('/versions',            auth, checkRole(...viewRoles), versionCtrl.listVersions);
+router.get('/versions/editions',   auth, checkRole(...viewRoles), versionCtrl.listEditions);
+router.get('/versions/key',        auth, checkRole(...viewRoles), versionCtrl.getFactorKey);
+router.get('/versions/resolve',    auth, checkRole(...viewRoles), versionCtrl.resolveVersion);
+router.get('/versions/impact',     auth, checkRole(...viewRoles), versionCtrl.getEditionImpact);
+router.post('/versions',           auth, checkRole('consultant_admin', 'super_admin'), versionCtrl.createVersion);
+router.post('/versions/snapshot',  auth, checkRole('super_admin'), versionCtrl.snapshotLibrary);
+router.post('/versions/publish',   auth, checkRole('super_admin'), versionCtrl.publishEdition);
+router.post('/versions/withdraw',  auth, checkRole('super_admin'), versionCtrl.withdrawEdition);
+
+// ── Annual edition imports ──────────────────────────────────────────────────
+// DEFRA / EPA / IPCC release files are staged as a diff, reviewed, then
+// published (or rolled back) as a whole. super_admin only.
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 100 * 1024 * 1024 } });
+const importAdmin  = [auth, checkRole('super_admin')];
+
+router.get('/imports/templates',        ...importAdmin, importCtrl.listTemplates);
+router.post('/imports/templates',       ...importAdmin, importCtrl.saveTemplate);
+router.delete('/imports/templates/:id', ...importAdmin, importCtrl.deleteTemplate);
+router.get('/imports',                  ...importAdmin, importCtrl.listImports);
+router.post('/imports',                 ...importAdmin, importUpload.single('file'), importCtrl.stageImport);
+router.get('/imports/:id',              ...importAdmin, importCtrl.getImport);
+router.get('/imports/:id/diff',         ...importAdmin, importCtrl.getDiff);
+router.post('/imports/:id/publish',     ...importAdmin, importCtrl.publishImport);
+router.post('/imports/:id/rollback',    ...importAdmin, importCtrl.rollbackImport);
+router.post('/imports/:id/discard',     ...importAdmin, importCtrl.discardImport);
+
 module.exports = router;
\ No newline at end of file
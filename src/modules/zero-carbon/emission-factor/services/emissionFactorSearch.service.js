@@ -79,6 +79,7 @@ const FUZZY_RANGE          = 0.15;  // max 0.45 — never reaches any partial ti
  *  textIndex     : true if $text index is defined on this model
  *  projection    : lean projection – keeps payload small
  *  staticFilters : always-applied mongo filters (e.g. { isActive: true })
+ *  editionField  : field holding the edition label (null = not edition-stamped)
  */
 const PROVIDERS = {
   defra: {
@@ -89,6 +90,7 @@ const PROVIDERS = {
     textIndex:     true,   // see index definitions at bottom of file
     projection:    { conversionFactorHistory: 0, createdBy: 0, updatedBy: 0, __v: 0 },
     staticFilters: {},
+    editionField:  'edition',
   },
   epa: {
     type: 'mongo',
@@ -98,6 +100,7 @@ const PROVIDERS = {
     textIndex:     true,
     projection:    { conversionFactorHistoryEPA: 0, createdBy: 0, updatedBy: 0, __v: 0 },
     staticFilters: {},
+    editionField:  'editionEPA',
   },
   ipcc: {
     type: 'mongo',
@@ -109,6 +112,7 @@ const PROVIDERS = {
     textIndex:     true,
     projection:    { history: 0, createdBy: 0, updatedBy: 0, __v: 0 },
     staticFilters: { isActive: { $ne: false } },
+    editionField:  'edition',
   },
   country: {
     type: 'mongo',
@@ -118,6 +122,7 @@ const PROVIDERS = {
     textIndex:     true,
     projection:    { __v: 0 },
     staticFilters: {},
+    editionField:  null,   // periods live in yearlyValues, not an edition label
   },
   // ── Future API source example ──────────────────────────────────────────────
   // climatiq: {
@@ -134,6 +139,7 @@ const PROVIDERS = {
      textIndex: false,   // No $text index on EFHub — fuzzy uses prefix/trigram fallback
      projection: { __v: 0 },
      staticFilters: {},
+     editionField: 'edition',
    },
 };
 
@@ -613,9 +619,11 @@ async function searchProvider(key, provider, tokens, hasComma, limit, requestedF
  * @param {number}   [params.page=1]
  * @param {number}   [params.limit=20]
  * @param {string[]} [params.fields]        – restrict returned fields
+ * @param {string}   [params.edition]       – only factors stamped with this edition
+ *                                            (sources without editions are skipped)
  * @returns {Promise<{results:object[], meta:object}>}
  */
-async function search({ q, source = 'all', page = 1, limit = DEFAULT_LIMIT, fields }) {
+async function search({ q, source = 'all', page = 1, limit = DEFAULT_LIMIT, fields, edition }) {
   // ── Input validation ──
   if (!q || typeof q !== 'string' || !q.trim()) {
     const err = new Error('Query parameter "q" is required and must be a non-empty string.');
@@ -649,13 +657,32 @@ async function search({ q, source = 'all', page = 1, limit = DEFAULT_LIMIT, fiel
     providerKeys = [key];
   }
 
+  // ── Edition filter — narrows each provider's static filters ──
+  const editionLabel = typeof edition === 'string' ? edition.trim() : '';
+  const providers = {};
+  for (const key of providerKeys) {
+    const p = PROVIDERS[key];
+    providers[key] = editionLabel && p.editionField
+      ? { ...p, staticFilters: { ...p.staticFilters, [p.editionField]: editionLabel } }
+      : p;
+  }
+  if (editionLabel) {
+    providerKeys = providerKeys.filter(key => PROVIDERS[key].editionField);
+    if (!providerKeys.length) {
+      const err = new Error(`Source "${source}" does not carry editions; remove the edition filter.`);
+      err.code   = 'INVALID_SOURCE';
+      err.status = 400;
+      throw err;
+    }
+  }
+
   const requestedFields = (fields && fields.length) ? fields : null;
 
   // ── Run all providers in parallel ──
   const settled = await Promise.allSettled(
     providerKeys.map(key =>
       searchProvider(PROVIDERS[key].type === 'mongo' ? key : key,
-                     PROVIDERS[key], tokens, hasComma, providerLimit, requestedFields)
+                     providers[key], tokens, hasComma, providerLimit, requestedFields)
     )
   );
 
@@ -718,6 +745,7 @@ async function search({ q, source = 'all', page = 1, limit = DEFAULT_LIMIT, fiel
       limit:          clampedLimit,
       timedOutSources: timedOut,
       warnings,
+      edition:        editionLabel || null,
     },
   };
 }
@@ -0,0 +1,695 @@
+/**
+ * factorImport.service.js
+ * ---------------------------------------------------------------
+ * Annual edition imports for DEFRA / EPA / IPCC.
+ *
+ *   stage      parse the publisher's XLSX / CSV through a saved column
+ *              template, diff it against the live library and store the
+ *              result (added / changed / removed / unchanged + % change)
+ *   publish    super_admin applies every staged row, stamps the edition on
+ *              the library and publishes it as EmissionFactorVersions.
+ *              There are no multi-document transactions here, so a failure
+ *              part-way reverts whatever was applied before the import is
+ *              marked failed
+ *   rollback   restores the previous values recorded at publish, removes
+ *              added rows and withdraws the edition's versions. Only the
+ *              latest published import of a library can be rolled back
+ * ---------------------------------------------------------------
+ */
+
+const mongoose = require('mongoose');
+const XLSX = require('xlsx');
+
+const DefraData = require('../models/DefraData');
+const EPAData = require('../models/EPAData');
+const IPCCData = require('../models/IPCCData');
+const EmissionFactorVersion = require('../models/EmissionFactorVersion');
+const EmissionFactorImport = require('../models/EmissionFactorImport');
+const EmissionFactorImportRow = require('../models/EmissionFactorImportRow');
+const EmissionFactorImportTemplate = require('../models/EmissionFactorImportTemplate');
+const { rowFactorKey, versionsFromRows, parseDate } = require('./factorVersion.service');
+
+const IMPORT_LIBRARIES = ['DEFRA', 'EPA', 'IPCC'];
+const BATCH_SIZE = 1000;
+const MAX_ERROR_SAMPLES = 50;
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+const clean = (v) => (v == null ? '' : String(v)).trim();
+
+// "3 x 10-5", "3x10^-5", "1,234.5" → number (NaN when unreadable)
+function parseNumber(v) {
+  if (typeof v === 'number') return v;
+  const s = clean(v).replace(/,/g, '');
+  if (!s) return NaN;
+  const sci = s.match(/^(-?[\d.]+)\s*[x×]\s*10\^?\s*(-?\d+)$/i);
+  if (sci) return Number(`${sci[1]}e${sci[2]}`);
+  const n = Number(s);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+// ── Library definitions ──────────────────────────────────────────────────────
+/**
+ * fields     : library field → default header aliases (checked case-insensitively)
+ * required   : fields a row must carry
+ * valueField : the numeric factor compared by the diff
+ * gasField   : DEFRA / EPA store one gas per row, so the row key adds it
+ * edition    : where the edition / effective dates live on a library row
+ */
+const LIBRARY_DEFS = {
+  DEFRA: {
+    model: DefraData,
+    fields: {
+      scope: ['scope'],
+      level1: ['level1', 'Level 1'],
+      level2: ['level2', 'Level 2'],
+      level3: ['level3', 'Level 3'],
+      level4: ['level4', 'Level 4'],
+      columnText: ['columnText', 'Column Text'],
+      uom: ['uom', 'UOM', 'Unit'],
+      ghgUnit: ['ghgUnit', 'GHG/Unit', 'GHG Unit'],
+      ghgConversionFactor: ['ghgConversionFactor', 'GHG Conversion Factor'],
+    },
+    required: ['scope', 'level1', 'uom', 'ghgUnit'],
+    valueField: 'ghgConversionFactor',
+    valueHeaderPrefix: 'ghg conversion factor',
+    gasField: 'ghgUnit',
+    historyField: 'conversionFactorHistory',
+    baseFilter: {},
+    softDelete: false,
+    edition: { edition: 'edition', publicationYear: 'publicationYear', validFrom: 'validFrom', validTo: 'validTo' },
+    fillDefaults: (r) => { if (!r.columnText && r.uom) r.columnText = r.uom; },
+  },
+  EPA: {
+    model: EPAData,
+    fields: {
+      scopeEPA: ['scopeEPA', 'Scope'],
+      level1EPA: ['level1EPA', 'Level 1'],
+      level2EPA: ['level2EPA', 'Level 2'],
+      level3EPA: ['level3EPA', 'Level 3'],
+      level4EPA: ['level4EPA', 'Level 4'],
+      columnTextEPA: ['columnTextEPA', 'Column Text'],
+      uomEPA: ['uomEPA', 'UOM', 'Unit'],
+      ghgUnitEPA: ['ghgUnitEPA', 'GHG/Unit', 'GHG Unit'],
+      ghgConversionFactorEPA: ['ghgConversionFactorEPA', 'GHG Conversion Factor'],
+    },
+    required: ['scopeEPA', 'level1EPA', 'uomEPA', 'ghgUnitEPA'],
+    valueField: 'ghgConversionFactorEPA',
+    valueHeaderPrefix: 'ghg conversion factor',
+    gasField: 'ghgUnitEPA',
+    historyField: 'conversionFactorHistoryEPA',
+    baseFilter: {},
+    softDelete: false,
+    edition: { edition: 'editionEPA', publicationYear: 'publicationYearEPA', validFrom: 'validFromEPA', validTo: 'validToEPA' },
+    fillDefaults: (r) => { if (!r.columnTextEPA && r.uomEPA) r.columnTextEPA = r.uomEPA; },
+  },
+  IPCC: {
+    model: IPCCData,
+    fields: {
+      level1: ['level1', 'Level 1'],
+      level2: ['level2', 'Level 2'],
+      level3: ['level3', 'Level 3'],
+      Cpool: ['Cpool'],
+      TypeOfParameter: ['TypeOfParameter', 'Type Of Parameter'],
+      Description: ['Description'],
+      TechnologiesOrPractices: ['TechnologiesOrPractices', 'Technologies Or Practices'],
+      ParametersOrConditions: ['ParametersOrConditions', 'Parameters Or Conditions'],
+      RegionOrRegionalConditions: ['RegionOrRegionalConditions', 'Region Or Regional Conditions'],
+      AbatementOrControlTechnologies: ['AbatementOrControlTechnologies', 'Abatement Or Control Technologies'],
+      OtherProperties: ['OtherProperties', 'Other Properties'],
+      Value: ['Value'],
+      Unit: ['Unit'],
+      Equation: ['Equation'],
+      IPCCWorksheet: ['IPCCWorksheet', 'IPCC Worksheet'],
+      TechnicalReference: ['TechnicalReference', 'Technical Reference'],
+      SourceOfData: ['SourceOfData', 'Source Of Data'],
+      DataProvider: ['DataProvider', 'Data Provider'],
+    },
+    required: ['level1', 'TypeOfParameter', 'Unit'],
+    valueField: 'Value',
+    valueHeaderPrefix: 'value',
+    gasField: null,
+    historyField: 'history',
+    baseFilter: { isActive: { $ne: false } },
+    softDelete: true,
+    edition: { edition: 'edition', publicationYear: 'publicationYear', validFrom: 'validFrom', validTo: 'validTo' },
+    fillDefaults: () => {},
+  },
+};
+
+function libraryDef(library) {
+  const def = LIBRARY_DEFS[library];
+  if (!def) throw httpError(400, `library must be one of ${IMPORT_LIBRARIES.join(', ')}`);
+  return def;
+}
+
+// ── Parsing & mapping (pure) ─────────────────────────────────────────────────
+
+/** Sheet rows as objects keyed by header. Accepts XLSX, XLS and CSV buffers. */
+function parseWorkbook(buffer, { sheetName, headerRow = 1 } = {}) {
+  const workbook = XLSX.read(buffer, { type: 'buffer', raw: false });
+  const name = sheetName || workbook.SheetNames[0];
+  const sheet = workbook.Sheets[name];
+  if (!sheet) throw httpError(400, `Sheet "${sheetName}" not found. Sheets: ${workbook.SheetNames.join(', ')}`);
+  return {
+    sheetName: name,
+    rows: XLSX.utils.sheet_to_json(sheet, { defval: '', range: Math.max(Number(headerRow) || 1, 1) - 1 }),
+  };
+}
+
+/**
+ * One spreadsheet row → library fields. Template columns win; otherwise the
+ * default aliases are matched case-insensitively. The factor column of an
+ * annual file is usually suffixed with the year ("GHG Conversion Factor 2025"),
+ * so any header starting with the value prefix is accepted.
+ */
+function mapRow(library, raw, columns = {}) {
+  const def = libraryDef(library);
+  const headers = new Map(Object.keys(raw).map(h => [clean(h).toLowerCase(), h]));
+  const pick = (header) => {
+    const h = headers.get(clean(header).toLowerCase());
+    return h === undefined ? undefined : raw[h];
+  };
+
+  const row = {};
+  for (const [field, aliases] of Object.entries(def.fields)) {
+    let value;
+    if (columns[field]) value = pick(columns[field]);
+    else {
+      for (const a of aliases) {
+        value = pick(a);
+        if (value !== undefined) break;
+      }
+    }
+    if (value === undefined && field === def.valueField && !columns[field]) {
+      const h = [...headers.keys()].find(k => k.startsWith(def.valueHeaderPrefix));
+      if (h) value = raw[headers.get(h)];
+    }
+    row[field] = field === def.valueField ? parseNumber(value) : clean(value);
+  }
+  def.fillDefaults(row);
+  return row;
+}
+
+function validateRow(library, row) {
+  const def = libraryDef(library);
+  const missing = def.required.filter(f => !row[f]);
+  if (Number.isNaN(row[def.valueField])) missing.push(def.valueField);
+  return missing.length ? `Missing/invalid fields: ${missing.join(', ')}` : null;
+}
+
+/** Diff identity of a library row: the factorKey, plus the gas for DEFRA / EPA. */
+function rowKey(library, row) {
+  const def = libraryDef(library);
+  const key = rowFactorKey(library, row);
+  return def.gasField ? `${key}|${clean(row[def.gasField]).toLowerCase()}` : key;
+}
+
+function pctChange(oldValue, newValue) {
+  if (oldValue == null || newValue == null) return null;
+  if (oldValue === 0) return newValue === 0 ? 0 : null;
+  return Math.round(((newValue - oldValue) / Math.abs(oldValue)) * 100 * 10000) / 10000;
+}
+
+/** What publish overwrites on a live row, kept for rollback. */
+function previousOf(library, doc, { keepDoc = false } = {}) {
+  const def = libraryDef(library);
+  const e = def.edition;
+  return {
+    _id: doc._id,
+    value: doc[def.valueField],
+    edition: doc[e.edition] ?? null,
+    publicationYear: doc[e.publicationYear] ?? null,
+    validFrom: doc[e.validFrom] ?? null,
+    validTo: doc[e.validTo] ?? null,
+    ...(keepDoc && !def.softDelete ? { doc } : {}),
+  };
+}
+
+/**
+ * Diffs mapped file rows against the live library rows. Pure function — no DB calls.
+ * Later duplicates of a key in the file replace earlier ones.
+ */
+function diffRows(library, incoming, existing) {
+  const def = libraryDef(library);
+  const summary = { totalRows: incoming.length, invalid: 0, duplicates: 0, added: 0, changed: 0, removed: 0, unchanged: 0 };
+  const errors = [];
+
+  const fileByKey = new Map();
+  incoming.forEach(({ row, rowNumber }) => {
+    const err = validateRow(library, row);
+    if (err) {
+      summary.invalid += 1;
+      if (errors.length < MAX_ERROR_SAMPLES) errors.push({ rowNumber, error: err });
+      return;
+    }
+    const key = rowKey(library, row);
+    if (fileByKey.has(key)) summary.duplicates += 1;
+    fileByKey.set(key, { row, rowNumber });
+  });
+
+  const liveByKey = new Map();
+  for (const doc of existing) liveByKey.set(rowKey(library, doc), doc);
+
+  const rows = [];
+  for (const [key, { row, rowNumber }] of fileByKey) {
+    const live = liveByKey.get(key);
+    const newValue = row[def.valueField];
+    if (!live) {
+      // the library _id is chosen here, so a failed publish can always find the row again
+      rows.push({
+        rowNumber, rowKey: key, factorKey: rowFactorKey(library, row), change: 'added', row, previous: null, oldValue: null, newValue, pctChange: null,
+        appliedId: new mongoose.Types.ObjectId(),
+      });
+      summary.added += 1;
+      continue;
+    }
+    const oldValue = live[def.valueField];
+    const change = oldValue === newValue ? 'unchanged' : 'changed';
+    rows.push({
+      rowNumber, rowKey: key, factorKey: rowFactorKey(library, live), change, row,
+      previous: previousOf(library, live), oldValue, newValue,
+      pctChange: change === 'changed' ? pctChange(oldValue, newValue) : 0,
+    });
+    summary[change] += 1;
+  }
+
+  for (const [key, live] of liveByKey) {
+    if (fileByKey.has(key)) continue;
+    rows.push({
+      rowNumber: null, rowKey: key, factorKey: rowFactorKey(library, live), change: 'removed', row: null,
+      previous: previousOf(library, live, { keepDoc: true }), oldValue: live[def.valueField], newValue: null, pctChange: null,
+    });
+    summary.removed += 1;
+  }
+
+  return { rows, summary, errors };
+}
+
+// ── Templates ────────────────────────────────────────────────────────────────
+
+async function listTemplates({ library } = {}) {
+  return EmissionFactorImportTemplate.find(library ? { library } : {}).sort({ library: 1, name: 1 }).lean();
+}
+
+/** Creates or replaces the template with this library / name. */
+async function saveTemplate(body = {}, userId) {
+  const def = libraryDef(body.library);
+  if (!clean(body.name)) throw httpError(400, 'name is required');
+  const columns = body.columns || {};
+  if (typeof columns !== 'object' || Array.isArray(columns)) throw httpError(400, 'columns must be an object of { field: header }');
+  const unknown = Object.keys(columns).filter(f => !def.fields[f]);
+  if (unknown.length) {
+    const e = httpError(400, `Unknown ${body.library} fields in columns`);
+    e.errors = unknown.map(f => `${f} is not one of ${Object.keys(def.fields).join(', ')}`);
+    throw e;
+  }
+  return EmissionFactorImportTemplate.findOneAndUpdate(
+    { library: body.library, name: clean(body.name) },
+    {
+      $set: { sheetName: body.sheetName || null, headerRow: Number(body.headerRow) || 1, columns, updatedBy: userId || null },
+      $setOnInsert: { createdBy: userId || null },
+    },
+    { upsert: true, new: true, runValidators: true }
+  ).lean();
+}
+
+async function deleteTemplate(id) {
+  const res = await EmissionFactorImportTemplate.deleteOne({ _id: id });
+  if (!res.deletedCount) throw httpError(404, 'Import template not found');
+  return { deleted: true };
+}
+
+// ── Stage ────────────────────────────────────────────────────────────────────
+
+async function libraryBaseline(def) {
+  const [rows, latest] = await Promise.all([
+    def.model.countDocuments(def.baseFilter),
+    def.model.findOne(def.baseFilter).sort({ updatedAt: -1 }).select('updatedAt').lean(),
+  ]);
+  return { rows, lastUpdatedAt: latest?.updatedAt || null };
+}
+
+async function assertEditionFree(library, edition, excludeId = null) {
+  const [importClash, versionClash] = await Promise.all([
+    EmissionFactorImport.findOne({
+      library, edition, status: { $in: ['staged', 'publishing', 'published', 'rolling_back'] },
+      ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+    }).select('_id status').lean(),
+    EmissionFactorVersion.exists({ library, edition, status: 'published' }),
+  ]);
+  if (importClash) throw httpError(409, `${library} edition "${edition}" already has a ${importClash.status} import (${importClash._id})`);
+  if (versionClash) throw httpError(409, `${library} edition "${edition}" is already published`);
+}
+
+/**
+ * Parses a full edition file and stores its diff against the live library.
+ * Nothing in the library changes until the import is published.
+ */
+async function stageImport({ library, edition, publicationYear, validFrom, validTo, templateId, sheetName, headerRow }, file, userId) {
+  const def = libraryDef(library);
+  if (!clean(edition)) throw httpError(400, 'edition is required');
+  if (!file?.buffer) throw httpError(400, 'No file provided. Please upload a CSV or Excel file.');
+  const from = parseDate(validFrom);
+  const to = parseDate(validTo, true);
+  if (validFrom && !from) throw httpError(400, 'validFrom must be a date');
+  if (validTo && !to) throw httpError(400, 'validTo must be a date');
+  if (from && to && from > to) throw httpError(400, 'validFrom must be before validTo');
+
+  await assertEditionFree(library, clean(edition));
+
+  let template = null;
+  if (templateId) {
+    template = await EmissionFactorImportTemplate.findById(templateId).lean();
+    if (!template) throw httpError(404, 'Import template not found');
+    if (template.library !== library) throw httpError(400, `Template "${template.name}" is for ${template.library}, not ${library}`);
+  }
+
+  const parsed = parseWorkbook(file.buffer, {
+    sheetName: sheetName || template?.sheetName,
+    headerRow: headerRow || template?.headerRow || 1,
+  });
+  const columns = template?.columns || {};
+  const firstDataRow = (Number(headerRow || template?.headerRow) || 1) + 1;
+  const incoming = parsed.rows.map((raw, i) => ({ row: mapRow(library, raw, columns), rowNumber: firstDataRow + i }));
+
+  // full documents: a removed DEFRA / EPA row is re-inserted from this on rollback
+  const [existing, baseline] = await Promise.all([
+    def.model.find(def.baseFilter).lean(),
+    libraryBaseline(def),
+  ]);
+  const { rows, summary, errors } = diffRows(library, incoming, existing);
+  if (!summary.added && !summary.changed && !summary.unchanged) {
+    const e = httpError(422, 'No valid factor rows found in the file');
+    e.errors = errors.map(x => `row ${x.rowNumber}: ${x.error}`);
+    throw e;
+  }
+
+  const imp = await EmissionFactorImport.create({
+    library,
+    edition: clean(edition),
+    publicationYear: publicationYear != null && publicationYear !== '' ? Number(publicationYear) : null,
+    validFrom: from,
+    validTo: to,
+    fileName: file.originalname || '',
+    sheetName: parsed.sheetName,
+    templateId: template?._id || null,
+    summary,
+    errorSamples: errors,
+    baseline,
+    createdBy: userId || null,
+  });
+
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    await EmissionFactorImportRow.insertMany(rows.slice(i, i + BATCH_SIZE).map(r => ({ ...r, importId: imp._id })), { ordered: false });
+  }
+  return imp.toObject();
+}
+
+async function listImports({ library, status, page = 1, limit = 20 } = {}) {
+  const filter = {};
+  if (library) filter.library = library;
+  if (status) filter.status = status;
+  const p = Math.max(parseInt(page, 10) || 1, 1);
+  const l = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const [items, total] = await Promise.all([
+    EmissionFactorImport.find(filter).sort({ createdAt: -1 }).skip((p - 1) * l).limit(l).lean(),
+    EmissionFactorImport.countDocuments(filter),
+  ]);
+  return { items, total, page: p, limit: l };
+}
+
+async function getImport(id) {
+  const imp = await EmissionFactorImport.findById(id).lean();
+  if (!imp) throw httpError(404, 'Import not found');
+  return imp;
+}
+
+/** Paged diff rows; `change` filters by kind, `minPct` by absolute % change. */
+async function getDiff(id, { change, minPct, page = 1, limit = 100 } = {}) {
+  await getImport(id);
+  const filter = { importId: id };
+  if (change) filter.change = { $in: String(change).split(',').map(s => s.trim()) };
+  if (minPct != null && minPct !== '') {
+    const m = Math.abs(Number(minPct)) || 0;
+    filter.$or = [{ pctChange: { $gte: m } }, { pctChange: { $lte: -m } }];
+  }
+  const p = Math.max(parseInt(page, 10) || 1, 1);
+  const l = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000);
+  const [items, total] = await Promise.all([
+    EmissionFactorImportRow.find(filter).select('-previous.doc').sort({ change: 1, rowKey: 1 }).skip((p - 1) * l).limit(l).lean(),
+    EmissionFactorImportRow.countDocuments(filter),
+  ]);
+  return { items, total, page: p, limit: l };
+}
+
+async function discardImport(id) {
+  const imp = await EmissionFactorImport.findOneAndUpdate(
+    { _id: id, status: 'staged' },
+    { $set: { status: 'discarded' } },
+    { new: true }
+  ).lean();
+  if (!imp) throw httpError(409, 'Only a staged import can be discarded');
+  await EmissionFactorImportRow.deleteMany({ importId: id });
+  return imp;
+}
+
+// ── Publish / rollback ───────────────────────────────────────────────────────
+
+function editionSet(def, imp) {
+  const e = def.edition;
+  return {
+    [e.edition]: imp.edition,
+    [e.publicationYear]: imp.publicationYear,
+    [e.validFrom]: imp.validFrom,
+    [e.validTo]: imp.validTo,
+  };
+}
+
+/** Library write for one staged row. Pure function — no DB calls. */
+function applyOp(library, imp, r, userId) {
+  const def = libraryDef(library);
+  const now = new Date();
+  switch (r.change) {
+    case 'added':
+      return { insertOne: { document: { _id: r.appliedId, ...r.row, ...editionSet(def, imp), createdBy: userId, updatedBy: userId } } };
+    case 'changed':
+      return { updateOne: {
+        filter: { _id: r.previous._id },
+        update: {
+          $set: { [def.valueField]: r.newValue, ...editionSet(def, imp), updatedBy: userId, updatedAt: now },
+          $push: { [def.historyField]: { oldValue: r.oldValue, newValue: r.newValue, changedAt: now, changedBy: userId } },
+        },
+      } };
+    case 'unchanged':
+      return { updateOne: { filter: { _id: r.previous._id }, update: { $set: editionSet(def, imp) } } };
+    case 'removed':
+      return def.softDelete
+        ? { updateOne: { filter: { _id: r.previous._id }, update: { $set: { isActive: false, updatedBy: userId, updatedAt: now } } } }
+        : { deleteOne: { filter: { _id: r.previous._id } } };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Library write that undoes one staged row. Safe to run for rows that were
+ * never applied, which is what lets a failed publish revert everything.
+ */
+function revertOp(library, r, userId) {
+  const def = libraryDef(library);
+  const e = def.edition;
+  const p = r.previous;
+  const now = new Date();
+  const restoreEdition = p ? {
+    [e.edition]: p.edition, [e.publicationYear]: p.publicationYear, [e.validFrom]: p.validFrom, [e.validTo]: p.validTo,
+  } : {};
+  switch (r.change) {
+    case 'added':
+      return r.appliedId ? { deleteOne: { filter: { _id: r.appliedId } } } : null;
+    case 'changed':
+      return { updateOne: {
+        filter: { _id: p._id, [def.valueField]: r.newValue },
+        update: {
+          $set: { [def.valueField]: p.value, ...restoreEdition, updatedBy: userId, updatedAt: now },
+          $push: { [def.historyField]: { oldValue: r.newValue, newValue: p.value, changedAt: now, changedBy: userId } },
+        },
+      } };
+    case 'unchanged':
+      return { updateOne: { filter: { _id: p._id }, update: { $set: restoreEdition } } };
+    case 'removed':
+      return def.softDelete
+        ? { updateOne: { filter: { _id: p._id }, update: { $set: { isActive: true, updatedBy: userId, updatedAt: now } } } }
+        : { replaceOne: { filter: { _id: p._id }, replacement: p.doc, upsert: true } };
+    default:
+      return null;
+  }
+}
+
+async function forEachRowBatch(importId, fn) {
+  let lastId = null;
+  for (;;) {
+    const rows = await EmissionFactorImportRow
+      .find({ importId, ...(lastId ? { _id: { $gt: lastId } } : {}) })
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+    if (!rows.length) return;
+    await fn(rows);
+    lastId = rows[rows.length - 1]._id;
+  }
+}
+
+async function revertRows(imp, userId) {
+  const def = libraryDef(imp.library);
+  await forEachRowBatch(imp._id, async (rows) => {
+    const ops = rows.map(r => revertOp(imp.library, r, userId)).filter(Boolean);
+    if (ops.length) await def.model.bulkWrite(ops, { ordered: false });
+  });
+}
+
+async function applyRows(imp, userId) {
+  const def = libraryDef(imp.library);
+  await forEachRowBatch(imp._id, async (rows) => {
+    // rows staged before ids were assigned at staging get theirs now,
+    // stored before the write so a partial batch can still be reverted
+    const marks = [];
+    for (const r of rows) {
+      if (r.change === 'added' && !r.appliedId) {
+        r.appliedId = new mongoose.Types.ObjectId();
+        marks.push({ updateOne: { filter: { _id: r._id }, update: { $set: { appliedId: r.appliedId } } } });
+      }
+    }
+    if (marks.length) await EmissionFactorImportRow.bulkWrite(marks, { ordered: false });
+
+    await def.model.bulkWrite(rows.map(r => applyOp(imp.library, imp, r, userId)), { ordered: true });
+  });
+}
+
+async function publishVersions(imp, userId) {
+  const def = libraryDef(imp.library);
+  const rows = await def.model.find({ ...def.baseFilter, [def.edition.edition]: imp.edition }).select(`-${def.historyField}`).lean();
+  const versions = versionsFromRows(imp.library, rows, {
+    edition: imp.edition, publicationYear: imp.publicationYear, validFrom: imp.validFrom, validTo: imp.validTo,
+  });
+  const now = new Date();
+  let written = 0;
+  for (let i = 0; i < versions.length; i += BATCH_SIZE) {
+    const ops = versions.slice(i, i + BATCH_SIZE).map(v => ({
+      updateOne: {
+        filter: { library: v.library, factorKey: v.factorKey, edition: v.edition },
+        update: { $set: { ...v, status: 'published', publishedAt: now, publishedBy: userId || null }, $setOnInsert: { createdBy: userId || null } },
+        upsert: true,
+      },
+    }));
+    const res = await EmissionFactorVersion.bulkWrite(ops, { ordered: false });
+    written += res.upsertedCount + res.modifiedCount;
+  }
+  return written;
+}
+
+/**
+ * Applies a staged import to the library and publishes the edition.
+ * All rows go in or, on any failure, the applied ones are reverted.
+ */
+async function publishImport(id, userId) {
+  const staged = await getImport(id);
+  if (staged.status !== 'staged') throw httpError(409, `Import is ${staged.status}; only a staged import can be published`);
+  const def = libraryDef(staged.library);
+
+  await assertEditionFree(staged.library, staged.edition, staged._id);
+  const baseline = await libraryBaseline(def);
+  const sameBaseline = baseline.rows === staged.baseline?.rows &&
+    String(baseline.lastUpdatedAt || '') === String(staged.baseline?.lastUpdatedAt || '');
+  if (!sameBaseline) {
+    throw httpError(409, `${staged.library} library changed after this import was staged; discard it and stage the file again`);
+  }
+
+  // claim the import so a second publish / discard cannot run alongside
+  const imp = await EmissionFactorImport.findOneAndUpdate(
+    { _id: id, status: 'staged' },
+    { $set: { status: 'publishing' } },
+    { new: true }
+  ).lean();
+  if (!imp) throw httpError(409, 'Import is no longer staged');
+
+  try {
+    await applyRows(imp, userId);
+    const versionsWritten = await publishVersions(imp, userId);
+    return await EmissionFactorImport.findByIdAndUpdate(id, {
+      $set: { status: 'published', publishedAt: new Date(), publishedBy: userId || null, versionsWritten, failureReason: null },
+    }, { new: true }).lean();
+  } catch (err) {
+    console.error(`[FactorImport] publish ${id} failed, reverting:`, err);
+    // every revert op is safe for rows that were never applied
+    await revertRows(imp, userId);
+    // assertEditionFree guaranteed none of this edition was published before
+    await EmissionFactorVersion.deleteMany({ library: imp.library, edition: imp.edition, status: 'published' });
+    await EmissionFactorImport.updateOne({ _id: id }, { $set: { status: 'failed', failureReason: err.message } });
+    throw httpError(500, `Publishing failed and was reverted: ${err.message}`);
+  }
+}
+
+/** Restores the library to its state before a published import. */
+async function rollbackImport(id, userId) {
+  const published = await getImport(id);
+  if (published.status !== 'published') throw httpError(409, `Import is ${published.status}; only a published import can be rolled back`);
+
+  const newer = await EmissionFactorImport.findOne({
+    library: published.library, status: 'published', publishedAt: { $gt: published.publishedAt },
+  }).select('edition').lean();
+  if (newer) throw httpError(409, `Roll back the later ${published.library} edition "${newer.edition}" first`);
+
+  const imp = await EmissionFactorImport.findOneAndUpdate(
+    { _id: id, status: 'published' },
+    { $set: { status: 'rolling_back' } },
+    { new: true }
+  ).lean();
+  if (!imp) throw httpError(409, 'Import is no longer published');
+
+  try {
+    await revertRows(imp, userId);
+    await EmissionFactorVersion.updateMany(
+      { library: imp.library, edition: imp.edition, status: 'published' },
+      { $set: { status: 'withdrawn' } }
+    );
+  } catch (err) {
+    // back to published so it can be retried; the revert ops are idempotent
+    await EmissionFactorImport.updateOne({ _id: id }, { $set: { status: 'published', failureReason: `Rollback failed: ${err.message}` } });
+    throw err;
+  }
+
+  return EmissionFactorImport.findByIdAndUpdate(id, {
+    $set: { status: 'rolled_back', rolledBackAt: new Date(), rolledBackBy: userId || null },
+  }, { new: true }).lean();
+}
+
+module.exports = {
+  IMPORT_LIBRARIES,
+  LIBRARY_DEFS,
+  parseNumber,
+  parseWorkbook,
+  mapRow,
+  validateRow,
+  rowKey,
+  pctChange,
+  diffRows,
+  applyOp,
+  revertOp,
+  applyRows,
+  revertRows,
+  listTemplates,
+  saveTemplate,
+  deleteTemplate,
+  stageImport,
+  listImports,
+  getImport,
+  getDiff,
+  discardImport,
+  publishImport,
+  rollbackImport,
+};
@@ -0,0 +1,585 @@
+/**
+ * factorVersion.service.js
+ * ---------------------------------------------------------------
+ * Effective-dated emission factor versions across all libraries.
+ *
+ *   factorKey      stable identity of a factor across editions
+ *                  (DEFRA/EPA: hierarchy + uom, IPCC: parameter columns,
+ *                   Country: country + grid, Hub: scope/category/activity/item/unit)
+ *   resolution     the published version whose [validFrom, validTo] contains
+ *                  the activity date; ties go to the later publication year,
+ *                  then the later validFrom
+ *   snapshot       versions the rows currently in a library as one edition
+ *   impact         lists DataEntries and EmissionSummaries that would change
+ *                  if an edition were published, with an estimated CO2e delta
+ *
+ * Flowchart scopes link to a factor through emissionFactorValues.factorKey.
+ * Country and EmissionFactorHub scopes carry enough of the factor in their
+ * snapshot to derive the key; DEFRA / EPA / IPCC scopes without a key keep
+ * using the values stored on the flowchart.
+ * ---------------------------------------------------------------
+ */
+
+const EmissionFactorVersion = require('../models/EmissionFactorVersion');
+const DefraData = require('../models/DefraData');
+const EPAData = require('../models/EPAData');
+const IPCCData = require('../models/IPCCData');
+const CountryEF = require('../models/countryEmissionFactorModel');
+const EmissionFactorHub = require('../models/EmissionFactorHub');
+
+const LIBRARIES = ['DEFRA', 'EPA', 'IPCC', 'Country', 'EmissionFactorHub'];
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+// ── Factor keys ──────────────────────────────────────────────────────────────
+
+const norm = (v) => String(v == null ? '' : v).trim().toLowerCase();
+const joinKey = (...parts) => parts.map(norm).join('|');
+
+/** factorKey for a library row (one DEFRA / EPA row is one gas of a factor). */
+function rowFactorKey(library, row) {
+  switch (library) {
+    case 'DEFRA':
+      return joinKey(row.scope, row.level1, row.level2, row.level3, row.level4, row.columnText, row.uom);
+    case 'EPA':
+      return joinKey(row.scopeEPA, row.level1EPA, row.level2EPA, row.level3EPA, row.level4EPA, row.columnTextEPA, row.uomEPA);
+    case 'IPCC':
+      return joinKey(row.level1, row.level2, row.level3, row.Cpool, row.TypeOfParameter, row.TechnologiesOrPractices,
+        row.ParametersOrConditions, row.RegionOrRegionalConditions, row.AbatementOrControlTechnologies, row.Unit);
+    case 'Country':
+      return joinKey(row.country, row.regionGrid);
+    case 'EmissionFactorHub':
+      return joinKey(row.scope, row.category, row.activity, row.itemName, row.unit);
+    default:
+      return null;
+  }
+}
+
+/** factorKey for a flowchart scopeDetail, explicit or derived from its snapshot. */
+function scopeFactorKey(scope) {
+  const v = scope?.emissionFactorValues || {};
+  if (v.factorKey) return v.factorKey;
+  if (scope?.emissionFactor === 'Country' && v.countryData?.C) {
+    return joinKey(v.countryData.C, v.countryData.regionGrid);
+  }
+  if (scope?.emissionFactor === 'EmissionFactorHub' && v.emissionFactorHubData?.itemName) {
+    const h = v.emissionFactorHubData;
+    return joinKey(h.scope, h.category, h.activity, h.itemName, h.unit);
+  }
+  return null;
+}
+
+// ── Values ───────────────────────────────────────────────────────────────────
+
+/** Per-gas factors from ghgUnits, matching unit labels the way the calculator does. */
+function normalizeGhgUnits(ghgUnits = []) {
+  const f = { CO2: 0, CH4: 0, N2O: 0, CO2e: 0 };
+  for (const { unit, factor } of ghgUnits) {
+    const u = norm(unit).toUpperCase();
+    if (u.includes('CO2E')) f.CO2e = factor || 0;
+    else if (u.includes('CO2')) f.CO2 = factor || 0;
+    if (u.includes('CH4')) f.CH4 = factor || 0;
+    if (u.includes('N2O')) f.N2O = factor || 0;
+  }
+  return f;
+}
+
+/** The single factor a version contributes to a CO2e figure (CO2e, else CO2). */
+function primaryFactor(factors = {}) {
+  return factors.CO2e || factors.CO2 || 0;
+}
+
+/** Same primary factor read from a flowchart scope's stored snapshot. */
+function scopeSnapshotFactor(scope) {
+  const v = scope?.emissionFactorValues || {};
+  switch (scope?.emissionFactor) {
+    case 'DEFRA':
+      return primaryFactor(normalizeGhgUnits((v.defraData?.ghgUnits || []).map(g => ({ unit: g.unit, factor: g.ghgconversionFactor ?? g.ghgConversionFactor }))));
+    case 'EPA':
+      return primaryFactor(normalizeGhgUnits((v.epaData?.ghgUnitsEPA || []).map(g => ({ unit: g.unit, factor: g.ghgconversionFactor ?? g.ghgConversionFactor }))));
+    case 'IPCC':
+      return v.ipccData?.value || 0;
+    case 'Country': {
+      const arr = v.countryData?.yearlyValues || [];
+      return arr.length ? arr[arr.length - 1].value || 0 : 0;
+    }
+    case 'EmissionFactorHub':
+      return v.emissionFactorHubData?.value || 0;
+    default:
+      return 0;
+  }
+}
+
+// ── Resolution ───────────────────────────────────────────────────────────────
+
+function coversDate(version, date) {
+  const t = new Date(date).getTime();
+  if (version.validFrom && new Date(version.validFrom).getTime() > t) return false;
+  if (version.validTo && new Date(version.validTo).getTime() < t) return false;
+  return true;
+}
+
+/**
+ * Picks the version valid on `date` from a list. Pure function — no DB calls.
+ */
+function pickVersion(versions, date) {
+  return versions
+    .filter(v => coversDate(v, date))
+    .sort((a, b) =>
+      (b.publicationYear || 0) - (a.publicationYear || 0) ||
+      new Date(b.validFrom || 0) - new Date(a.validFrom || 0) ||
+      new Date(b.createdAt || 0) - new Date(a.createdAt || 0)
+    )[0] || null;
+}
+
+async function resolveVersion(library, factorKey, date) {
+  if (!LIBRARIES.includes(library) || !factorKey) return null;
+  const versions = await EmissionFactorVersion.find({ library, factorKey, status: 'published' }).lean();
+  return pickVersion(versions, date);
+}
+
+/**
+ * Copy of a flowchart scopeDetail with the version's values written into the
+ * emissionFactorValues block the calculator reads for that library.
+ * Pure function — no DB calls.
+ */
+function applyVersionToScope(scope, version) {
+  const out = JSON.parse(JSON.stringify(scope));
+  const v = out.emissionFactorValues = out.emissionFactorValues || {};
+
+  const mergeUnits = (existing = []) => {
+    const rows = existing.map(g => ({ ...g }));
+    for (const { unit, factor } of version.ghgUnits || []) {
+      const row = rows.find(g => norm(g.unit) === norm(unit));
+      if (row) row.ghgconversionFactor = factor;
+      else rows.push({ unit, ghgconversionFactor: factor, gwpValue: 0 });
+    }
+    return rows;
+  };
+
+  switch (version.library) {
+    case 'DEFRA':
+      v.defraData = { ...(v.defraData || {}), ghgUnits: mergeUnits(v.defraData?.ghgUnits) };
+      break;
+    case 'EPA':
+      v.epaData = { ...(v.epaData || {}), ghgUnitsEPA: mergeUnits(v.epaData?.ghgUnitsEPA) };
+      break;
+    case 'IPCC':
+      v.ipccData = { ...(v.ipccData || {}), value: primaryFactor(version.factors) };
+      break;
+    case 'Country':
+      v.countryData = {
+        ...(v.countryData || {}),
+        yearlyValues: [{
+          from: version.validFrom ? new Date(version.validFrom).toISOString().slice(0, 10) : '',
+          to: version.validTo ? new Date(version.validTo).toISOString().slice(0, 10) : '',
+          periodLabel: version.edition,
+          value: primaryFactor(version.factors),
+        }],
+      };
+      break;
+    case 'EmissionFactorHub':
+      v.emissionFactorHubData = { ...(v.emissionFactorHubData || {}), value: primaryFactor(version.factors) };
+      break;
+  }
+  return out;
+}
+
+/**
+ * Resolves the version for a DataEntry's activity date. Returns the scope to
+ * calculate with and the version (null when the scope is not versioned or no
+ * published version covers the date).
+ */
+async function resolveScopeForDate(scope, date) {
+  const key = scopeFactorKey(scope);
+  const version = key ? await resolveVersion(scope.emissionFactor, key, date || new Date()) : null;
+  return version ? { scope: applyVersionToScope(scope, version), version } : { scope, version: null };
+}
+
+/** appliedEmissionFactors block recorded on a calculated DataEntry. */
+function appliedFactorRecord(source, efValues, version) {
+  return {
+    source,
+    values: { CO2: efValues.CO2 || 0, CH4: efValues.CH4 || 0, N2O: efValues.N2O || 0, CO2e: efValues.CO2e || 0 },
+    appliedAt: new Date(),
+    versionId: version ? String(version._id) : null,
+    edition: version?.edition || null,
+    factorKey: version?.factorKey || null,
+    validFrom: version?.validFrom || null,
+    validTo: version?.validTo || null,
+  };
+}
+
+// ── Versions (DB) ────────────────────────────────────────────────────────────
+
+function parseDate(value, endOfYear = false) {
+  if (value == null || value === '') return null;
+  if (/^\d{4}$/.test(String(value).trim())) {
+    const y = Number(value);
+    return endOfYear ? new Date(Date.UTC(y, 11, 31, 23, 59, 59, 999)) : new Date(Date.UTC(y, 0, 1));
+  }
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function validateVersionBody(body = {}) {
+  const errors = [];
+  if (!LIBRARIES.includes(body.library)) errors.push(`library must be one of ${LIBRARIES.join(', ')}`);
+  if (!body.factorKey) errors.push('factorKey is required');
+  if (!body.edition) errors.push('edition is required');
+  if (!Array.isArray(body.ghgUnits) || !body.ghgUnits.length) errors.push('ghgUnits[] is required');
+  const validFrom = parseDate(body.validFrom);
+  const validTo = parseDate(body.validTo, true);
+  if (body.validFrom && !validFrom) errors.push('validFrom must be a date');
+  if (body.validTo && !validTo) errors.push('validTo must be a date');
+  if (validFrom && validTo && validFrom > validTo) errors.push('validFrom must be before validTo');
+  if (errors.length) {
+    const e = httpError(400, 'Invalid emission factor version');
+    e.errors = errors;
+    throw e;
+  }
+  const ghgUnits = body.ghgUnits.map(g => ({ unit: String(g.unit), factor: Number(g.factor) }));
+  return {
+    library: body.library,
+    factorKey: String(body.factorKey),
+    label: body.label || '',
+    edition: String(body.edition).trim(),
+    publicationYear: body.publicationYear != null ? Number(body.publicationYear) : null,
+    validFrom,
+    validTo,
+    unit: body.unit || '',
+    ghgUnits,
+    factors: normalizeGhgUnits(ghgUnits),
+  };
+}
+
+async function createVersion(body, userId) {
+  const data = validateVersionBody(body);
+  try {
+    return (await EmissionFactorVersion.create({ ...data, status: 'draft', createdBy: userId })).toObject();
+  } catch (err) {
+    if (err.code === 11000) throw httpError(409, `${data.library} factor already has an edition "${data.edition}"`);
+    throw err;
+  }
+}
+
+async function listVersions({ library, factorKey, edition, status, page = 1, limit = 50 } = {}) {
+  const filter = {};
+  if (library) filter.library = library;
+  if (factorKey) filter.factorKey = factorKey;
+  if (edition) filter.edition = edition;
+  if (status) filter.status = status;
+  const p = Math.max(parseInt(page, 10) || 1, 1);
+  const l = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+  const [items, total] = await Promise.all([
+    EmissionFactorVersion.find(filter).sort({ factorKey: 1, validFrom: -1 }).skip((p - 1) * l).limit(l).lean(),
+    EmissionFactorVersion.countDocuments(filter),
+  ]);
+  return { items, total, page: p, limit: l };
+}
+
+async function editions() {
+  return EmissionFactorVersion.aggregate([
+    { $group: {
+      _id: { library: '$library', edition: '$edition', status: '$status' },
+      factors: { $sum: 1 },
+      publicationYear: { $max: '$publicationYear' },
+      validFrom: { $min: '$validFrom' },
+      validTo: { $max: '$validTo' },
+    } },
+    { $sort: { '_id.library': 1, publicationYear: -1 } },
+  ]);
+}
+
+async function setEditionStatus(library, edition, status, userId) {
+  if (!LIBRARIES.includes(library) || !edition) throw httpError(400, 'library and edition are required');
+  const update = { status };
+  if (status === 'published') Object.assign(update, { publishedAt: new Date(), publishedBy: userId || null });
+  const res = await EmissionFactorVersion.updateMany({ library, edition }, { $set: update });
+  if (!res.matchedCount) throw httpError(404, `No versions found for ${library} edition "${edition}"`);
+  return { library, edition, status, updated: res.modifiedCount };
+}
+
+// ── Snapshot of a library ────────────────────────────────────────────────────
+
+// Library rows → version payloads (one per factorKey)
+function versionsFromRows(library, rows, { edition, publicationYear, validFrom, validTo }) {
+  const byKey = new Map();
+  const add = (key, label, unit, ghgUnit, id, dates = {}) => {
+    if (!byKey.has(key)) {
+      byKey.set(key, {
+        library, factorKey: key, label, unit, edition,
+        publicationYear: publicationYear ?? dates.publicationYear ?? null,
+        validFrom: validFrom ?? dates.validFrom ?? null,
+        validTo: validTo ?? dates.validTo ?? null,
+        ghgUnits: [], sourceIds: [],
+      });
+    }
+    const v = byKey.get(key);
+    v.ghgUnits.push(ghgUnit);
+    if (id) v.sourceIds.push(id);
+  };
+
+  for (const r of rows) {
+    switch (library) {
+      case 'DEFRA':
+        add(rowFactorKey(library, r), [r.level1, r.level2, r.level3, r.level4, r.columnText].filter(Boolean).join(' › '), r.uom,
+          { unit: r.ghgUnit, factor: r.ghgConversionFactor }, r._id,
+          { publicationYear: r.publicationYear, validFrom: r.validFrom, validTo: r.validTo });
+        break;
+      case 'EPA':
+        add(rowFactorKey(library, r), [r.level1EPA, r.level2EPA, r.level3EPA, r.level4EPA, r.columnTextEPA].filter(Boolean).join(' › '), r.uomEPA,
+          { unit: r.ghgUnitEPA, factor: r.ghgConversionFactorEPA }, r._id,
+          { publicationYear: r.publicationYearEPA, validFrom: r.validFromEPA, validTo: r.validToEPA });
+        break;
+      case 'IPCC':
+        add(rowFactorKey(library, r), [r.level1, r.level2, r.level3, r.TypeOfParameter].filter(Boolean).join(' › '), r.Unit,
+          { unit: `${r.TypeOfParameter || 'value'} (${r.Unit})`, factor: r.Value }, r._id,
+          { publicationYear: r.publicationYear, validFrom: r.validFrom, validTo: r.validTo });
+        break;
+      case 'EmissionFactorHub':
+        add(rowFactorKey(library, r), [r.category, r.activity, r.itemName].join(' › '), r.unit,
+          { unit: 'kg CO2e', factor: r.Co2e }, r._id,
+          { publicationYear: r.year, validFrom: r.validFrom, validTo: r.validTo });
+        break;
+    }
+  }
+
+  return [...byKey.values()].map(v => ({ ...v, factors: normalizeGhgUnits(v.ghgUnits) }));
+}
+
+// Country factors already carry effective periods: one version per yearlyValues entry
+function versionsFromCountry(docs, { edition, publicationYear }) {
+  const out = [];
+  for (const d of docs) {
+    for (const y of d.yearlyValues || []) {
+      const ghgUnits = [{ unit: 'CO2', factor: y.value }];
+      out.push({
+        library: 'Country',
+        factorKey: rowFactorKey('Country', d),
+        label: `${d.country} › ${d.regionGrid}`,
+        unit: d.unit,
+        edition: edition ? `${edition} ${y.periodLabel}` : `${d.reference || d.emissionFactor} ${y.periodLabel}`.trim(),
+        publicationYear: publicationYear ?? null,
+        validFrom: parseDate(y.from),
+        validTo: parseDate(y.to, true),
+        ghgUnits,
+        factors: normalizeGhgUnits(ghgUnits),
+        sourceIds: [d._id],
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Versions every row currently in a library under one edition label
+ * (Country: one version per stored period). Existing versions with the same
+ * library / factorKey / edition are overwritten while still draft.
+ */
+async function snapshotLibrary({ library, edition, publicationYear, validFrom, validTo, publish = false }, userId) {
+  if (!LIBRARIES.includes(library)) throw httpError(400, `library must be one of ${LIBRARIES.join(', ')}`);
+  if (!edition && library !== 'Country') throw httpError(400, 'edition is required');
+
+  const opts = {
+    edition,
+    publicationYear: publicationYear != null ? Number(publicationYear) : undefined,
+    validFrom: parseDate(validFrom) ?? undefined,
+    validTo: parseDate(validTo, true) ?? undefined,
+  };
+
+  let versions;
+  switch (library) {
+    case 'DEFRA': versions = versionsFromRows(library, await DefraData.find({}).lean(), opts); break;
+    case 'EPA': versions = versionsFromRows(library, await EPAData.find({}).lean(), opts); break;
+    case 'IPCC': versions = versionsFromRows(library, await IPCCData.find({ isActive: true }).lean(), opts); break;
+    case 'EmissionFactorHub': versions = versionsFromRows(library, await EmissionFactorHub.find({}).lean(), opts); break;
+    case 'Country': versions = versionsFromCountry(await CountryEF.find({}).lean(), opts); break;
+  }
+
+  const status = publish ? 'published' : 'draft';
+  const ops = versions.map(v => ({
+    updateOne: {
+      filter: { library: v.library, factorKey: v.factorKey, edition: v.edition, status: { $ne: 'published' } },
+      update: {
+        $set: { ...v, status, ...(publish ? { publishedAt: new Date(), publishedBy: userId || null } : {}) },
+        $setOnInsert: { createdBy: userId || null },
+      },
+      upsert: true,
+    },
+  }));
+
+  let written = 0;
+  let skipped = 0;
+  for (let i = 0; i < ops.length; i += 500) {
+    try {
+      const res = await EmissionFactorVersion.bulkWrite(ops.slice(i, i + 500), { ordered: false });
+      written += res.upsertedCount + res.modifiedCount;
+    } catch (err) {
+      // duplicate key = that edition is already published for the factor; leave it untouched
+      if (err.code !== 11000 && !err.writeErrors) throw err;
+      written += (err.result?.upsertedCount || 0) + (err.result?.modifiedCount || 0);
+      skipped += (err.writeErrors || []).length;
+    }
+  }
+  return { library, edition: edition || null, status, factors: versions.length, written, skipped };
+}
+
+// ── Impact analysis ──────────────────────────────────────────────────────────
+
+function entryCO2e(entry) {
+  const inc = entry.calculatedEmissions?.incoming;
+  const values = inc instanceof Map ? [...inc.values()] : Object.values(inc || {});
+  return values.reduce((s, v) => s + (Number(v?.CO2e) || 0), 0);
+}
+
+/**
+ * Entries and summaries that would change if an edition were published.
+ * CO2e after adoption is estimated by scaling each entry by new / old factor.
+ */
+async function analyzeEditionImpact({ library, edition }) {
+  if (!LIBRARIES.includes(library) || !edition) throw httpError(400, 'library and edition are required');
+
+  // Loaded lazily: these models pull in the calculation stack
+  const Flowchart = require('../../organization/models/Flowchart');
+  const ProcessFlowchart = require('../../organization/models/ProcessFlowchart');
+  const DataEntry = require('../../organization/models/DataEntry');
+  const EmissionSummary = require('../../calculation/EmissionSummary');
+
+  const candidates = await EmissionFactorVersion.find({ library, edition, status: { $ne: 'withdrawn' } }).lean();
+  if (!candidates.length) throw httpError(404, `No versions found for ${library} edition "${edition}"`);
+  const candidateByKey = new Map(candidates.map(c => [c.factorKey, c]));
+
+  // Scopes using one of the edition's factors, across active charts
+  const scopes = new Map();
+  for (const Model of [Flowchart, ProcessFlowchart]) {
+    const charts = await Model.find({ isActive: true }).select('clientId nodes').lean();
+    for (const chart of charts) {
+      for (const node of chart.nodes || []) {
+        for (const s of node.details?.scopeDetails || []) {
+          if (s.emissionFactor !== library) continue;
+          const key = scopeFactorKey(s);
+          if (!key || !candidateByKey.has(key)) continue;
+          const id = `${chart.clientId}|${node.id}|${s.scopeIdentifier}`;
+          if (!scopes.has(id)) scopes.set(id, { clientId: chart.clientId, nodeId: node.id, nodeLabel: node.label, scope: s, factorKey: key });
+        }
+      }
+    }
+  }
+
+  const publishedByKey = new Map();
+  const affectedScopes = [];
+  const changedDatesByClient = new Map();
+
+  for (const { clientId, nodeId, nodeLabel, scope, factorKey } of scopes.values()) {
+    const candidate = candidateByKey.get(factorKey);
+    if (!publishedByKey.has(factorKey)) {
+      publishedByKey.set(factorKey, await EmissionFactorVersion.find({ library, factorKey, status: 'published' }).lean());
+    }
+    const pool = [...publishedByKey.get(factorKey).filter(v => String(v._id) !== String(candidate._id)), candidate];
+
+    const range = {};
+    if (candidate.validFrom) range.$gte = candidate.validFrom;
+    if (candidate.validTo) range.$lte = candidate.validTo;
+    const entries = await DataEntry.find({
+      clientId, nodeId, scopeIdentifier: scope.scopeIdentifier, processingStatus: 'processed',
+      ...(Object.keys(range).length ? { timestamp: range } : {}),
+    }).select('timestamp calculatedEmissions appliedEmissionFactors').lean();
+
+    const newFactor = primaryFactor(candidate.factors);
+    let count = 0;
+    let currentCO2e = 0;
+    let estimatedCO2e = 0;
+    for (const e of entries) {
+      if (pickVersion(pool, e.timestamp) !== candidate) continue;
+      const applied = e.appliedEmissionFactors;
+      if (applied?.versionId && applied.versionId === String(candidate._id)) continue;
+      const oldFactor = applied?.values ? primaryFactor(applied.values) : scopeSnapshotFactor(scope);
+      if (oldFactor === newFactor) continue;
+
+      const co2e = entryCO2e(e);
+      count += 1;
+      currentCO2e += co2e;
+      estimatedCO2e += oldFactor > 0 ? co2e * (newFactor / oldFactor) : co2e;
+      if (!changedDatesByClient.has(clientId)) changedDatesByClient.set(clientId, []);
+      changedDatesByClient.get(clientId).push(new Date(e.timestamp));
+    }
+
+    if (count) {
+      affectedScopes.push({
+        clientId, nodeId, nodeLabel, scopeIdentifier: scope.scopeIdentifier, factorKey,
+        versionId: candidate._id, newFactor, entries: count,
+        currentCO2e, estimatedCO2e, deltaCO2e: estimatedCO2e - currentCO2e,
+      });
+    }
+  }
+
+  const summaries = [];
+  for (const [clientId, dates] of changedDatesByClient) {
+    const min = new Date(Math.min(...dates));
+    const max = new Date(Math.max(...dates));
+    const docs = await EmissionSummary.find({
+      clientId, 'period.from': { $lte: max }, 'period.to': { $gte: min },
+    }).select('period').lean();
+    const hit = docs.filter(d => dates.some(t => t >= new Date(d.period.from) && t <= new Date(d.period.to)));
+    summaries.push({
+      clientId,
+      count: hit.length,
+      periods: hit.map(d => ({ summaryId: d._id, type: d.period.type, year: d.period.year, month: d.period.month, week: d.period.week, day: d.period.day })),
+    });
+  }
+
+  const sum = (k) => affectedScopes.reduce((s, a) => s + a[k], 0);
+  return {
+    library,
+    edition,
+    versions: candidates.length,
+    totals: {
+      scopes: affectedScopes.length,
+      entries: sum('entries'),
+      summaries: summaries.reduce((s, c) => s + c.count, 0),
+      currentCO2e: sum('currentCO2e'),
+      estimatedCO2e: sum('estimatedCO2e'),
+      deltaCO2e: sum('deltaCO2e'),
+    },
+    affectedScopes,
+    summaries,
+  };
+}
+
+/** factorKey of a single library row, for linking a flowchart scope to it. */
+async function factorKeyForRow(library, id) {
+  const Model = { DEFRA: DefraData, EPA: EPAData, IPCC: IPCCData, Country: CountryEF, EmissionFactorHub: EmissionFactorHub }[library];
+  if (!Model) throw httpError(400, `library must be one of ${LIBRARIES.join(', ')}`);
+  const row = await Model.findById(id).lean();
+  if (!row) throw httpError(404, `${library} factor not found`);
+  return { library, id, factorKey: rowFactorKey(library, row) };
+}
+
+module.exports = {
+  LIBRARIES,
+  rowFactorKey,
+  scopeFactorKey,
+  normalizeGhgUnits,
+  primaryFactor,
+  scopeSnapshotFactor,
+  pickVersion,
+  parseDate,
+  applyVersionToScope,
+  appliedFactorRecord,
+  versionsFromRows,
+  versionsFromCountry,
+  resolveVersion,
+  resolveScopeForDate,
+  createVersion,
+  listVersions,
+  editions,
+  setEditionStatus,
+  snapshotLibrary,
+  analyzeEditionImpact,
+  factorKeyForRow,
+};
@@ -1,27 +1,58 @@
 // models/IOTData.js
 const mongoose = require('mongoose');
 
+// Legacy energy-meter fields are required only for records written by the
+// old /api/iot/iotdata endpoint. Readings from the MQTT device registry carry
+// a deviceId and store their mapped values in `readings` instead.
+const requiredForLegacy = function () {
+  return !this.deviceId;
+};
+
 const IOTDataSchema = new mongoose.Schema({
   energyValue: {
     type: Number,
-    required: true
+    required: requiredForLegacy
   },
   energyProductId: {
     type: String,
-    required: true
+    required: requiredForLegacy
   },
   userName: {
     type: String,
-    required: true
+    required: requiredForLegacy
   },
   time: {
     type: String,
-    required: true // Format: HH:MM:SS
+    required: requiredForLegacy // Format: HH:MM:SS
   },
   date: {
     type: String,
-    required: true // Format: DD/MM/YYYY
+    required: requiredForLegacy // Format: DD/MM/YYYY
+  },
+
+  // ── MQTT device registry readings ──────────────────────────────────────────
+  deviceId:        { type: String, default: null },
+  brokerKey:       { type: String, default: null },
+  topic:           { type: String, default: null },
+  clientId:        { type: String, default: null },
+  nodeId:          { type: String, default: null },
+  scopeIdentifier: { type: String, default: null },
+  // Mapped values keyed by field name, and their units
+  readings: { type: Map, of: Number, default: undefined },
+  units:    { type: Map, of: String, default: undefined },
+  // Reading time reported by the device (falls back to receive time)
+  readingAt: { type: Date, default: null },
+  // DataEntry created from this reading — or from its window roll-up
+  // (null when buffered, held for approval or rejected)
+  dataEntryId:  { type: mongoose.Schema.Types.ObjectId, ref: 'DataEntry', default: null },
+  // Aggregation bucket the reading was folded into (aggregating devices only)
+  windowId:     { type: mongoose.Schema.Types.ObjectId, ref: 'IoTReadingWindow', default: null, index: true },
+  ingestStatus: {
+    type: String,
+    enum: ['buffered', 'processed', 'pending_approval', 'rejected', null],
+    default: null
   },
+
   receivedAt: {
     type: Date,
     default: Date.now
@@ -30,4 +61,7 @@ const IOTDataSchema = new mongoose.Schema({
   timestamps: true
 });
 
+IOTDataSchema.index({ clientId: 1, scopeIdentifier: 1, readingAt: -1 });
+IOTDataSchema.index({ deviceId: 1, readingAt: -1 });
+
 module.exports = mongoose.model('IOTData', IOTDataSchema);
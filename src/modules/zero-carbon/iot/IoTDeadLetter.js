@@ -0,0 +1,62 @@
+// models/IoTDeadLetter.js
+// ============================================================================
+// Dead-letter store for MQTT messages the ingestion pipeline could not use
+//
+// Nothing received from a broker is dropped silently: messages that fail to
+// parse, match no device, fail schema validation, cannot be mapped, or are
+// rejected by ingestIoTReading land here with the reason and the raw payload.
+// Entries can be replayed (after fixing the device mapping) or discarded via
+// /api/iot/dead-letters.
+// ============================================================================
+const mongoose = require('mongoose');
+
+const DEAD_LETTER_REASONS = [
+  'parse_error',       // payload is not JSON
+  'no_device',         // no active device matches topic/payload
+  'schema_invalid',    // payload failed the device's payloadSchema
+  'mapping_failed',    // a required field mapping resolved to nothing / not numeric
+  'rejected',          // ingestIoTReading returned a 4xx (gate closed, invalid scope…)
+  'late_reading',      // the reading's aggregation window was already flushed
+  'processing_error'   // unexpected exception
+];
+
+const MAX_PAYLOAD_LENGTH = 64 * 1024;
+
+const IoTDeadLetterSchema = new mongoose.Schema({
+  brokerKey: { type: String, default: 'default' },
+  topic:     { type: String, required: true },
+  payload:   { type: String, default: '' },
+
+  reason: { type: String, enum: DEAD_LETTER_REASONS, required: true, index: true },
+  error:  { type: String, default: null },
+  details: { type: mongoose.Schema.Types.Mixed, default: null },
+
+  deviceId: { type: String, default: null, index: true },
+  clientId: { type: String, default: null, index: true },
+
+  status: {
+    type: String,
+    enum: ['open', 'replayed', 'discarded'],
+    default: 'open',
+    index: true
+  },
+  retryCount:   { type: Number, default: 0 },
+  lastRetryAt:  { type: Date, default: null },
+  resolvedBy:   { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+  receivedAt: { type: Date, default: Date.now, index: true }
+}, {
+  timestamps: true
+});
+
+IoTDeadLetterSchema.pre('validate', function (next) {
+  if (this.payload && this.payload.length > MAX_PAYLOAD_LENGTH) {
+    this.payload = this.payload.slice(0, MAX_PAYLOAD_LENGTH);
+  }
+  next();
+});
+
+const IoTDeadLetter = mongoose.models.IoTDeadLetter || mongoose.model('IoTDeadLetter', IoTDeadLetterSchema);
+
+module.exports = IoTDeadLetter;
+module.exports.DEAD_LETTER_REASONS = DEAD_LETTER_REASONS;
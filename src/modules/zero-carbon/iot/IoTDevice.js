@@ -0,0 +1,109 @@
+// models/IoTDevice.js
+// ============================================================================
+// IoT device registry — maps an MQTT topic + payload to a flowchart scope
+//
+// One record per physical meter/gateway. The MQTT ingestion service matches
+// an incoming topic against topicPattern (MQTT wildcards: + one level,
+// # remaining levels) and, when several devices share a pattern, against the
+// value found at deviceIdPath in the payload.
+//
+// High-frequency meters set aggregationWindow so readings are rolled up
+// (iotAggregationService) and only one DataEntry is written per window.
+//
+// fieldMappings pull values out of the payload with simple JSONPaths
+// ($.a.b, $.list[0].v) and name them the way the scope expects
+// (e.g. "consumed_electricity"). The resulting key/value map is handed to
+// ingestIoTReading — the same path used by POST /api/data-collection/.../iot.
+// ============================================================================
+const mongoose = require('mongoose');
+
+const FieldMappingSchema = new mongoose.Schema({
+  // Key written into DataEntry.dataValues
+  field: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[^.$]+$/, 'Field names cannot contain "." or "$"']
+  },
+  // JSONPath into the payload, e.g. "$.readings.kwh"
+  path:  { type: String, required: true, trim: true },
+  // Unit of the mapped value after scale (e.g. "kWh"); converted to the
+  // scope's unit on ingestion (organization/utils/unitNormalization)
+  unit:  { type: String, default: null, trim: true },
+  // Multiplier applied before ingestion (e.g. 0.001 for Wh → kWh)
+  scale: { type: Number, default: 1 },
+  required: { type: Boolean, default: true },
+  // Roll-up method when the device aggregates; null = meterType default
+  aggregate: { type: String, enum: ['sum', 'avg', 'max', 'min', null], default: null }
+}, { _id: false });
+
+const IoTDeviceSchema = new mongoose.Schema({
+  deviceId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: { type: String, trim: true },
+
+  // Target scope
+  clientId:        { type: String, required: true, index: true },
+  nodeId:          { type: String, required: true },
+  scopeIdentifier: { type: String, required: true },
+
+  // Broker key from MQTT_BROKERS (see mqttBrokerConfig.js); 'default' = MQTT_URL
+  brokerKey: { type: String, default: 'default', trim: true },
+
+  // MQTT topic filter, e.g. "site1/meters/+/reading"
+  topicPattern: { type: String, required: true, trim: true },
+
+  // Optional JSONPath identifying the device inside a shared topic, e.g. "$.meterId"
+  deviceIdPath: { type: String, default: null, trim: true },
+
+  fieldMappings: {
+    type: [FieldMappingSchema],
+    validate: {
+      validator: v => Array.isArray(v) && v.length > 0,
+      message: 'At least one field mapping is required.'
+    }
+  },
+
+  // Optional JSONPath to the reading time (ISO string or epoch ms/s).
+  // When absent, the broker receive time is used.
+  timestampPath: { type: String, default: null, trim: true },
+
+  // Drives the default roll-up method: energy/volume/mass → sum,
+  // power/temperature/generic → avg, demand → max (see iotAggregationService)
+  meterType: {
+    type: String,
+    enum: ['energy', 'volume', 'mass', 'power', 'demand', 'temperature', 'generic'],
+    default: 'energy'
+  },
+
+  // 'none' = every reading becomes a DataEntry (low-frequency devices).
+  // Otherwise readings are buffered and only the window roll-up is written.
+  aggregationWindow: {
+    type: String,
+    enum: ['none', '15m', '1h', '1d'],
+    default: 'none'
+  },
+
+  // Optional JSON-schema subset validated against the raw payload
+  // (type, required, properties, enum, minimum, maximum, items)
+  payloadSchema: { type: mongoose.Schema.Types.Mixed, default: null },
+
+  isActive: { type: Boolean, default: true },
+
+  lastSeenAt: { type: Date, default: null },
+  lastError:  { type: String, default: null },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+IoTDeviceSchema.index({ brokerKey: 1, topicPattern: 1, isActive: 1 });
+IoTDeviceSchema.index({ clientId: 1, nodeId: 1, scopeIdentifier: 1 });
+
+module.exports = mongoose.models.IoTDevice || mongoose.model('IoTDevice', IoTDeviceSchema);
@@ -0,0 +1,55 @@
+// models/IoTReadingWindow.js
+// ============================================================================
+// Rolling aggregation bucket for one device over one window (15m / 1h / 1d)
+//
+// Readings are folded in atomically ($inc / $max / $min) as they arrive, so
+// several app instances can share the same bucket. When the window has
+// closed (plus a grace period) the flush job turns it into a single
+// DataEntry via ingestIoTReading.
+//
+// fields.<name> = { sum, count, max, min, method, unit }
+//
+// There is one bucket per device + windowStart, ever. A reading that arrives
+// after its window was claimed for flushing is not folded in: it goes to the
+// dead letters (reason 'late_reading') for review.
+// ============================================================================
+const mongoose = require('mongoose');
+
+const WINDOW_STATUSES = ['open', 'flushing', 'flushed', 'pending_approval', 'rejected', 'failed'];
+
+const IoTReadingWindowSchema = new mongoose.Schema({
+  deviceId:        { type: String, required: true },
+  clientId:        { type: String, required: true, index: true },
+  nodeId:          { type: String, required: true },
+  scopeIdentifier: { type: String, required: true },
+
+  window:      { type: String, enum: ['15m', '1h', '1d'], required: true },
+  windowStart: { type: Date, required: true },
+  windowEnd:   { type: Date, required: true },
+
+  fields:       { type: mongoose.Schema.Types.Mixed, default: {} },
+  readingCount: { type: Number, default: 0 },
+  firstReadingAt: { type: Date, default: null },
+  lastReadingAt:  { type: Date, default: null },
+
+  status: { type: String, enum: WINDOW_STATUSES, default: 'open' },
+  flushAttempts:  { type: Number, default: 0 },
+  flushStartedAt: { type: Date, default: null },
+  flushedAt:      { type: Date, default: null },
+  dataEntryId: { type: mongoose.Schema.Types.ObjectId, ref: 'DataEntry', default: null },
+  pendingApprovalId: { type: mongoose.Schema.Types.ObjectId, ref: 'PendingApproval', default: null },
+  lastError: { type: String, default: null }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// One bucket per device + window start, whatever its status
+IoTReadingWindowSchema.index({ deviceId: 1, windowStart: 1 }, { unique: true });
+IoTReadingWindowSchema.index({ status: 1, windowEnd: 1 });
+IoTReadingWindowSchema.index({ deviceId: 1, windowStart: -1 });
+
+const IoTReadingWindow = mongoose.models.IoTReadingWindow || mongoose.model('IoTReadingWindow', IoTReadingWindowSchema);
+
+module.exports = IoTReadingWindow;
+module.exports.WINDOW_STATUSES = WINDOW_STATUSES;
@@ -0,0 +1,300 @@
+// services/iotAggregationService.js
+// ============================================================================
+// Streaming aggregation of high-frequency IoT readings
+//
+// Devices with aggregationWindow != 'none' do not create a DataEntry per
+// reading. Instead each reading is:
+//   1. folded into the device's open IoTReadingWindow bucket (atomic
+//      $inc / $max / $min — safe across instances), and
+//   2. stored raw in IOTData (ingestStatus 'buffered', windowId set) so
+//      every individual reading stays queryable for audit.
+//
+// flushDueWindows() (run every minute by iotWindowFlushJob) turns each closed
+// bucket into ONE DataEntry through ingestIoTReading, so threshold checks,
+// emission calculation and summary updates run once per window. The entry is
+// keyed by device + windowStart (DataEntry.iotWindow), so flushing a window
+// again — retry, crash recovery — never writes a second entry. Readings for a
+// window that is already being flushed are returned as late, not buffered.
+//
+// ROLL-UP METHOD per field: fieldMapping.aggregate, else the meterType default:
+//   energy / volume / mass          → sum  (interval consumption)
+//   power / temperature / generic   → avg  (instantaneous values)
+//   demand                          → max  (peak demand)
+//
+// ENV:
+//   IOT_WINDOW_GRACE_MS        wait after window end before flushing (default 60000)
+//   IOT_WINDOW_FLUSH_BATCH     max windows flushed per run (default 200)
+//   IOT_WINDOW_MAX_ATTEMPTS    retries for windows that error (default 3)
+// ============================================================================
+const moment = require('moment');
+
+const IoTReadingWindow = require('./IoTReadingWindow');
+const IOTData = require('./IOTData');
+
+const WINDOW_MS = {
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000
+};
+
+const DEFAULT_METHOD_BY_METER_TYPE = {
+  energy: 'sum',
+  volume: 'sum',
+  mass: 'sum',
+  power: 'avg',
+  temperature: 'avg',
+  demand: 'max',
+  generic: 'avg'
+};
+
+const GRACE_MS = parseInt(process.env.IOT_WINDOW_GRACE_MS || '60000', 10);
+const FLUSH_BATCH = parseInt(process.env.IOT_WINDOW_FLUSH_BATCH || '200', 10);
+const MAX_ATTEMPTS = parseInt(process.env.IOT_WINDOW_MAX_ATTEMPTS || '3', 10);
+// A window stuck in 'flushing' this long is assumed to belong to a crashed run
+const STALE_FLUSH_MS = 10 * 60 * 1000;
+
+/**
+ * Window boundaries for a reading. 15m/1h are aligned to the epoch,
+ * 1d to local midnight (same clock ingestIoTReading uses for date/time).
+ * @param {string} window — '15m' | '1h' | '1d'
+ * @param {Date} at
+ * @returns {{ windowStart: Date, windowEnd: Date }}
+ */
+function getWindowBounds(window, at) {
+  if (window === '1d') {
+    const start = moment(at).startOf('day');
+    return { windowStart: start.toDate(), windowEnd: start.clone().add(1, 'day').toDate() };
+  }
+  const size = WINDOW_MS[window];
+  if (!size) throw new Error(`Unknown aggregation window: ${window}`);
+  const startMs = Math.floor(at.getTime() / size) * size;
+  return { windowStart: new Date(startMs), windowEnd: new Date(startMs + size) };
+}
+
+/**
+ * Roll-up method for one mapped field.
+ */
+function methodFor(device, field) {
+  const mapping = (device.fieldMappings || []).find(m => m.field === field);
+  return mapping?.aggregate || DEFAULT_METHOD_BY_METER_TYPE[device.meterType] || 'avg';
+}
+
+/**
+ * Reduce a bucket's accumulated fields to DataEntry values.
+ * @param {object} fields — { name: { sum, count, max, min, method } }
+ * @returns {object} name → value
+ */
+function rollUp(fields = {}) {
+  const values = {};
+  for (const [name, f] of Object.entries(fields)) {
+    if (!f || !f.count) continue;
+    switch (f.method) {
+      case 'sum': values[name] = f.sum; break;
+      case 'max': values[name] = f.max; break;
+      case 'min': values[name] = f.min; break;
+      default:    values[name] = f.sum / f.count;
+    }
+  }
+  return values;
+}
+
+/** Unit recorded per field of a window (from the device field mappings). */
+function windowUnits(fields = {}) {
+  const units = {};
+  for (const [name, f] of Object.entries(fields)) {
+    if (f?.unit) units[name] = f.unit;
+  }
+  return units;
+}
+
+function _foldUpdate(device, values, units, readingAt) {
+  const $inc = { readingCount: 1 };
+  const $max = { lastReadingAt: readingAt };
+  const $min = { firstReadingAt: readingAt };
+  const $set = {};
+
+  for (const [field, value] of Object.entries(values)) {
+    $inc[`fields.${field}.sum`] = value;
+    $inc[`fields.${field}.count`] = 1;
+    $max[`fields.${field}.max`] = value;
+    $min[`fields.${field}.min`] = value;
+    $set[`fields.${field}.method`] = methodFor(device, field);
+    if (units[field]) $set[`fields.${field}.unit`] = units[field];
+  }
+  return { $inc, $max, $min, $set };
+}
+
+/**
+ * Fold one mapped reading into its window and keep the raw reading.
+ *
+ * @param {object} device   — IoTDevice (lean)
+ * @param {object} reading
+ * @param {object} reading.values     — field → number (already mapped/scaled)
+ * @param {object} reading.units
+ * @param {Date}   reading.readingAt
+ * @param {Date}   reading.receivedAt
+ * @param {string} reading.brokerKey
+ * @param {string} reading.topic
+ * @returns {Promise<{ windowId, windowStart: Date, windowEnd: Date, late?: boolean, windowStatus?: string }>}
+ *          late = the window was already claimed for flushing; nothing was stored
+ */
+async function bufferReading(device, { values, units = {}, readingAt, receivedAt, brokerKey, topic }) {
+  const { windowStart, windowEnd } = getWindowBounds(device.aggregationWindow, readingAt);
+  const update = _foldUpdate(device, values, units, readingAt);
+
+  const filter = { deviceId: device.deviceId, windowStart, status: 'open' };
+  const options = { upsert: true, new: true, setDefaultsOnInsert: true, projection: { _id: 1 } };
+  const doc = {
+    ...update,
+    $setOnInsert: {
+      clientId: device.clientId,
+      nodeId: device.nodeId,
+      scopeIdentifier: device.scopeIdentifier,
+      window: device.aggregationWindow,
+      windowEnd
+    }
+  };
+
+  let bucket;
+  try {
+    bucket = await IoTReadingWindow.findOneAndUpdate(filter, doc, options);
+  } catch (err) {
+    // The bucket exists but is not open: either another instance just
+    // inserted it (retry as an update) or the window is closed
+    if (err.code !== 11000) throw err;
+    bucket = await IoTReadingWindow.findOneAndUpdate(filter, doc, { ...options, upsert: false });
+    if (!bucket) {
+      const closed = await IoTReadingWindow.findOne({ deviceId: device.deviceId, windowStart }).select('_id status').lean();
+      return { windowId: closed?._id || null, windowStart, windowEnd, late: true, windowStatus: closed?.status || null };
+    }
+  }
+
+  await IOTData.create({
+    deviceId: device.deviceId,
+    brokerKey,
+    topic,
+    clientId: device.clientId,
+    nodeId: device.nodeId,
+    scopeIdentifier: device.scopeIdentifier,
+    readings: values,
+    units,
+    readingAt,
+    receivedAt,
+    windowId: bucket._id,
+    ingestStatus: 'buffered'
+  });
+
+  return { windowId: bucket._id, windowStart, windowEnd };
+}
+
+async function _flushWindow(win) {
+  const values = rollUp(win.fields);
+  const ingestStatusFor = { flushed: 'processed', pending_approval: 'pending_approval', rejected: 'rejected' };
+
+  const finish = async (status, extra = {}) => {
+    await IoTReadingWindow.updateOne(
+      { _id: win._id },
+      { $set: { status, flushedAt: new Date(), lastError: null, ...extra } }
+    );
+    if (ingestStatusFor[status]) {
+      await IOTData.updateMany(
+        { windowId: win._id },
+        { $set: { ingestStatus: ingestStatusFor[status], dataEntryId: extra.dataEntryId || null } }
+      );
+    }
+    return status;
+  };
+
+  if (!Object.keys(values).length) {
+    return finish('rejected', { lastError: 'Window has no values' });
+  }
+
+  const { ingestIoTReading } = require('../organization/controllers/dataCollectionController');
+  const start = moment(win.windowStart);
+  const result = await ingestIoTReading({
+    clientId: win.clientId,
+    nodeId: win.nodeId,
+    scopeIdentifier: win.scopeIdentifier,
+    dataValues: values,
+    units: windowUnits(win.fields),
+    date: start.format('DD/MM/YYYY'),
+    time: start.format('HH:mm:ss'),
+    iotWindow: { deviceId: win.deviceId, windowStart: win.windowStart },
+    sourceDetails: {
+      iotDeviceId: win.deviceId,
+      aggregationWindow: win.window,
+      windowStart: win.windowStart,
+      windowEnd: win.windowEnd,
+      readingCount: win.readingCount
+    }
+  });
+
+  // 200 = the window's entry already existed (an earlier flush got that far)
+  if (result.status === 201 || result.status === 200) {
+    return finish('flushed', { dataEntryId: result.entry._id });
+  }
+  if (result.status === 202) {
+    return finish('pending_approval', { pendingApprovalId: result.body?.pendingApprovalId || null });
+  }
+  return finish('rejected', { lastError: result.body?.message || `Ingestion returned ${result.status}` });
+}
+
+/**
+ * Flush every window that closed more than IOT_WINDOW_GRACE_MS ago.
+ * Each window is claimed atomically (open → flushing) so concurrent runs
+ * do not flush it side by side; should a window still be flushed twice (a
+ * slow run taken for crashed), the DataEntry key on device + windowStart
+ * keeps it to one entry.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{ flushed: number, pendingApproval: number, rejected: number, failed: number }>}
+ */
+async function flushDueWindows(now = new Date()) {
+  const stats = { flushed: 0, pendingApproval: 0, rejected: 0, failed: 0 };
+
+  // Recover windows left mid-flush by a crashed run
+  await IoTReadingWindow.updateMany(
+    { status: 'flushing', flushStartedAt: { $lt: new Date(now.getTime() - STALE_FLUSH_MS) } },
+    { $set: { status: 'failed', lastError: 'Flush interrupted' } }
+  );
+
+  const cutoff = new Date(now.getTime() - GRACE_MS);
+  for (let i = 0; i < FLUSH_BATCH; i++) {
+    const win = await IoTReadingWindow.findOneAndUpdate(
+      {
+        windowEnd: { $lte: cutoff },
+        $or: [
+          { status: 'open' },
+          { status: 'failed', flushAttempts: { $lt: MAX_ATTEMPTS } }
+        ]
+      },
+      { $set: { status: 'flushing', flushStartedAt: now }, $inc: { flushAttempts: 1 } },
+      { sort: { windowEnd: 1 }, new: true }
+    ).lean();
+    if (!win) break;
+
+    try {
+      const status = await _flushWindow(win);
+      if (status === 'flushed') stats.flushed++;
+      else if (status === 'pending_approval') stats.pendingApproval++;
+      else stats.rejected++;
+    } catch (err) {
+      stats.failed++;
+      console.error(`❌ [IoT Aggregation] Flush failed for window ${win._id}:`, err.message);
+      await IoTReadingWindow.updateOne(
+        { _id: win._id },
+        { $set: { status: 'failed', lastError: err.message } }
+      );
+    }
+  }
+
+  return stats;
+}
+
+module.exports = {
+  DEFAULT_METHOD_BY_METER_TYPE,
+  getWindowBounds,
+  methodFor,
+  rollUp,
+  bufferReading,
+  flushDueWindows
+};
@@ -0,0 +1,371 @@
+// controllers/iotDeviceController.js
+// ============================================================================
+// IoT device registry + MQTT dead-letter administration
+//
+//   GET    /api/iot/devices                 list (filter: clientId, isActive)
+//   POST   /api/iot/devices                 register a device
+//   PUT    /api/iot/devices/:deviceId       update mapping
+//   DELETE /api/iot/devices/:deviceId       remove
+//   GET    /api/iot/devices/:deviceId/readings  raw readings (audit; from/to/page/limit)
+//   GET    /api/iot/devices/:deviceId/windows   aggregation windows (status/from/to)
+//   GET    /api/iot/mqtt/status             broker connection status
+//   GET    /api/iot/dead-letters            list (filter: status, reason, clientId, deviceId)
+//   POST   /api/iot/dead-letters/:id/replay re-run through the pipeline
+//   POST   /api/iot/dead-letters/:id/discard
+//
+// Device changes refresh live MQTT subscriptions immediately. Every handler
+// is limited to clients the caller manages (canManageFlowchart); lists are
+// filtered to them. A topic pattern may not overlap the topics of another
+// client's active device on the same broker, so one tenant can neither
+// receive nor dead-letter another's readings.
+// ============================================================================
+const IoTDevice = require('./IoTDevice');
+const IoTDeadLetter = require('./IoTDeadLetter');
+const IoTReadingWindow = require('./IoTReadingWindow');
+const IOTData = require('./IOTData');
+const { validatePayload, topicFiltersOverlap } = require('./utils/payloadMapping');
+const { invalidateDeviceCache, replayDeadLetter } = require('./mqttIngestionService');
+const { getMqttSubscriber } = require('./mqttSubscriber');
+const { canManageFlowchart } = require('../../../common/utils/Permissions/permissions');
+const { clientListFilter } = require('../../../common/utils/Permissions/clientAccessPermission');
+
+const EDITABLE_FIELDS = [
+  'name', 'clientId', 'nodeId', 'scopeIdentifier', 'brokerKey', 'topicPattern',
+  'deviceIdPath', 'fieldMappings', 'timestampPath', 'payloadSchema', 'isActive',
+  'meterType', 'aggregationWindow'
+];
+
+const _pick = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(k => body[k] !== undefined).map(k => [k, body[k]])
+);
+
+// Reject topic filters MQTT brokers would refuse
+const _isValidTopicFilter = (filter) => {
+  if (typeof filter !== 'string' || !filter.trim()) return false;
+  const levels = filter.split('/');
+  return levels.every((lvl, i) =>
+    (lvl === '#' ? i === levels.length - 1 : true) &&
+    (lvl.includes('+') ? lvl === '+' : true) &&
+    (lvl.includes('#') ? lvl === '#' : true)
+  );
+};
+
+const _validateDevice = (data) => {
+  if (data.topicPattern !== undefined && !_isValidTopicFilter(data.topicPattern)) {
+    return 'topicPattern is not a valid MQTT topic filter';
+  }
+  if (data.payloadSchema) {
+    // A schema that throws on an empty object is malformed
+    try { validatePayload({}, data.payloadSchema); } catch (err) { return `payloadSchema is invalid: ${err.message}`; }
+  }
+  return null;
+};
+
+// Error message when the device's topics overlap another client's active
+// device on the same broker, else null
+const _topicConflict = async ({ deviceId, clientId, brokerKey, topicPattern, isActive }) => {
+  if (isActive === false || !topicPattern) return null;
+  const others = await IoTDevice.find({
+    brokerKey: brokerKey || 'default',
+    isActive: true,
+    clientId: { $ne: clientId },
+    deviceId: { $ne: deviceId }
+  }).select('deviceId topicPattern').lean();
+
+  const clash = others.find(d => topicFiltersOverlap(d.topicPattern, topicPattern));
+  return clash
+    ? `topicPattern "${topicPattern}" overlaps "${clash.topicPattern}" used by another client's device on broker "${brokerKey || 'default'}"`
+    : null;
+};
+
+const _refreshSubscriptions = () => {
+  invalidateDeviceCache();
+  const subscriber = getMqttSubscriber();
+  if (subscriber) {
+    subscriber.refreshSubscriptions().catch(err =>
+      console.error('❌ [MQTT] Subscription refresh failed:', err.message)
+    );
+  }
+};
+
+// Sends 403 and returns false unless the caller manages the client
+const _ensureManages = async (req, res, clientId) => {
+  const perm = await canManageFlowchart(req.user, clientId);
+  if (perm.allowed) return true;
+  res.status(403).json({ success: false, message: 'Not authorized for this client', reason: perm.reason });
+  return false;
+};
+
+// The device, once the caller is known to manage its client; null when a
+// response was already sent
+const _loadManagedDevice = async (req, res) => {
+  const device = await IoTDevice.findOne({ deviceId: req.params.deviceId })
+    .select('deviceId clientId brokerKey topicPattern isActive').lean();
+  if (!device) {
+    res.status(404).json({ success: false, message: 'IoT device not found' });
+    return null;
+  }
+  return (await _ensureManages(req, res, device.clientId)) ? device : null;
+};
+
+// ── Devices ──────────────────────────────────────────────────────────────────
+
+const listDevices = async (req, res) => {
+  try {
+    const clientFilter = await clientListFilter(req.user, req.query.clientId);
+    if (!clientFilter) return res.status(403).json({ success: false, message: 'Not authorized for this client' });
+
+    const filter = { ...clientFilter };
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const devices = await IoTDevice.find(filter).sort({ clientId: 1, deviceId: 1 }).lean();
+    res.status(200).json({ success: true, count: devices.length, data: devices });
+  } catch (error) {
+    console.error('❌ Error listing IoT devices:', error);
+    res.status(500).json({ success: false, message: 'Failed to list IoT devices', error: error.message });
+  }
+};
+
+const createDevice = async (req, res) => {
+  try {
+    const data = _pick(req.body);
+    data.deviceId = req.body.deviceId;
+
+    const invalid = _validateDevice(data);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+    if (!data.clientId) return res.status(400).json({ success: false, message: 'clientId is required' });
+    if (!(await _ensureManages(req, res, data.clientId))) return;
+    const conflict = await _topicConflict(data);
+    if (conflict) return res.status(409).json({ success: false, message: conflict });
+
+    const device = await IoTDevice.create({ ...data, createdBy: req.user?._id, updatedBy: req.user?._id });
+    _refreshSubscriptions();
+
+    res.status(201).json({ success: true, message: 'IoT device registered', data: device });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'A device with this deviceId already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('❌ Error creating IoT device:', error);
+    res.status(500).json({ success: false, message: 'Failed to register IoT device', error: error.message });
+  }
+};
+
+const updateDevice = async (req, res) => {
+  try {
+    const data = _pick(req.body);
+    const invalid = _validateDevice(data);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    const existing = await _loadManagedDevice(req, res);
+    if (!existing) return;
+    // Moving a device to another client needs access to that client too
+    if (data.clientId && data.clientId !== existing.clientId && !(await _ensureManages(req, res, data.clientId))) return;
+    const conflict = await _topicConflict({ ...existing, ...data });
+    if (conflict) return res.status(409).json({ success: false, message: conflict });
+
+    const device = await IoTDevice.findOneAndUpdate(
+      { deviceId: req.params.deviceId, clientId: existing.clientId },
+      { $set: { ...data, updatedBy: req.user?._id } },
+      { new: true, runValidators: true }
+    );
+    if (!device) return res.status(404).json({ success: false, message: 'IoT device not found' });
+
+    _refreshSubscriptions();
+    res.status(200).json({ success: true, message: 'IoT device updated', data: device });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('❌ Error updating IoT device:', error);
+    res.status(500).json({ success: false, message: 'Failed to update IoT device', error: error.message });
+  }
+};
+
+const deleteDevice = async (req, res) => {
+  try {
+    const existing = await _loadManagedDevice(req, res);
+    if (!existing) return;
+
+    const device = await IoTDevice.findOneAndDelete({ deviceId: req.params.deviceId, clientId: existing.clientId });
+    if (!device) return res.status(404).json({ success: false, message: 'IoT device not found' });
+
+    _refreshSubscriptions();
+    res.status(200).json({ success: true, message: 'IoT device removed' });
+  } catch (error) {
+    console.error('❌ Error deleting IoT device:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove IoT device', error: error.message });
+  }
+};
+
+// Parse ?from=&to= into a Mongo date range (undefined when neither is given)
+const _dateRange = (query) => {
+  const range = {};
+  if (query.from) range.$gte = new Date(query.from);
+  if (query.to) range.$lte = new Date(query.to);
+  if (Object.values(range).some(d => isNaN(d.getTime()))) return null;
+  return Object.keys(range).length ? range : undefined;
+};
+
+const _paging = (query, defaultLimit, maxLimit) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Every raw reading is kept, including those rolled into aggregation windows
+const getDeviceReadings = async (req, res) => {
+  try {
+    const range = _dateRange(req.query);
+    if (range === null) return res.status(400).json({ success: false, message: 'Invalid from/to date' });
+    if (!(await _loadManagedDevice(req, res))) return;
+
+    const filter = { deviceId: req.params.deviceId };
+    if (range) filter.readingAt = range;
+    if (req.query.windowId) filter.windowId = req.query.windowId;
+    if (req.query.ingestStatus) filter.ingestStatus = req.query.ingestStatus;
+
+    const { page, limit, skip } = _paging(req.query, 100, 1000);
+    const [data, total] = await Promise.all([
+      IOTData.find(filter).sort({ readingAt: -1 }).skip(skip).limit(limit).lean(),
+      IOTData.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching IoT device readings:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch device readings', error: error.message });
+  }
+};
+
+const getDeviceWindows = async (req, res) => {
+  try {
+    const range = _dateRange(req.query);
+    if (range === null) return res.status(400).json({ success: false, message: 'Invalid from/to date' });
+    if (!(await _loadManagedDevice(req, res))) return;
+
+    const filter = { deviceId: req.params.deviceId };
+    if (range) filter.windowStart = range;
+    if (req.query.status) filter.status = req.query.status;
+
+    const { page, limit, skip } = _paging(req.query, 50, 500);
+    const [data, total] = await Promise.all([
+      IoTReadingWindow.find(filter).sort({ windowStart: -1 }).skip(skip).limit(limit).lean(),
+      IoTReadingWindow.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('❌ Error fetching IoT aggregation windows:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch aggregation windows', error: error.message });
+  }
+};
+
+const getMqttStatus = async (req, res) => {
+  const subscriber = getMqttSubscriber();
+  res.status(200).json({
+    success: true,
+    data: subscriber ? subscriber.getStatus() : { enabled: false, brokers: [] }
+  });
+};
+
+// ── Dead letters ─────────────────────────────────────────────────────────────
+
+const listDeadLetters = async (req, res) => {
+  try {
+    const { status = 'open', reason, clientId, deviceId } = req.query;
+    const { page, limit, skip } = _paging(req.query, 50, 200);
+
+    // Letters of unknown devices have no clientId; only super_admin sees those
+    const clientFilter = await clientListFilter(req.user, clientId);
+    if (!clientFilter) return res.status(403).json({ success: false, message: 'Not authorized for this client' });
+
+    const filter = { ...clientFilter };
+    if (status !== 'all') filter.status = status;
+    if (reason) filter.reason = reason;
+    if (deviceId) filter.deviceId = deviceId;
+
+    const [data, total] = await Promise.all([
+      IoTDeadLetter.find(filter).sort({ receivedAt: -1 }).skip(skip).limit(limit).lean(),
+      IoTDeadLetter.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('❌ Error listing IoT dead letters:', error);
+    res.status(500).json({ success: false, message: 'Failed to list dead letters', error: error.message });
+  }
+};
+
+// The dead letter, once the caller is known to manage its client
+const _loadManagedDeadLetter = async (req, res) => {
+  const letter = await IoTDeadLetter.findById(req.params.id).select('clientId').lean();
+  if (!letter) {
+    res.status(404).json({ success: false, message: 'Dead letter not found' });
+    return null;
+  }
+  return (await _ensureManages(req, res, letter.clientId)) ? letter : null;
+};
+
+const replayDeadLetterHandler = async (req, res) => {
+  try {
+    if (!(await _loadManagedDeadLetter(req, res))) return;
+    const result = await replayDeadLetter(req.params.id, req.user);
+    if (result.reason === 'not_found') return res.status(404).json({ success: false, message: result.error });
+    if (result.reason === 'not_open') return res.status(409).json({ success: false, message: result.error });
+
+    res.status(200).json({
+      success: result.ok,
+      message: result.ok ? 'Message replayed successfully' : `Replay failed (${result.reason}): ${result.error}`,
+      data: result.deadLetter
+    });
+  } catch (error) {
+    console.error('❌ Error replaying IoT dead letter:', error);
+    res.status(500).json({ success: false, message: 'Failed to replay dead letter', error: error.message });
+  }
+};
+
+const discardDeadLetter = async (req, res) => {
+  try {
+    if (!(await _loadManagedDeadLetter(req, res))) return;
+    const letter = await IoTDeadLetter.findOneAndUpdate(
+      { _id: req.params.id, status: 'open' },
+      { $set: { status: 'discarded', resolvedBy: req.user?._id } },
+      { new: true }
+    );
+    if (!letter) return res.status(404).json({ success: false, message: 'Open dead letter not found' });
+
+    res.status(200).json({ success: true, message: 'Dead letter discarded', data: letter });
+  } catch (error) {
+    console.error('❌ Error discarding IoT dead letter:', error);
+    res.status(500).json({ success: false, message: 'Failed to discard dead letter', error: error.message });
+  }
+};
+
+module.exports = {
+  listDevices,
+  createDevice,
+  updateDevice,
+  deleteDevice,
+  getDeviceReadings,
+  getDeviceWindows,
+  getMqttStatus,
+  listDeadLetters,
+  replayDeadLetter: replayDeadLetterHandler,
+  discardDeadLetter
+};
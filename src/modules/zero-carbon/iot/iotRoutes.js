@@ -1,12 +1,25 @@
 // routes/iotRoutes.js
 const express = require('express');
 const router = express.Router();
+const { auth, checkRole } = require('../../../common/middleware/auth');
 const {
   saveIOTData,
   getAllIOTData,
   getIOTDataByUser,
   getIOTDataByProductId
 } = require('./iotController');
+const {
+  listDevices,
+  createDevice,
+  updateDevice,
+  deleteDevice,
+  getDeviceReadings,
+  getDeviceWindows,
+  getMqttStatus,
+  listDeadLetters,
+  replayDeadLetter,
+  discardDeadLetter
+} = require('./iotDeviceController');
 
 // POST /api/iotdata - Save IoT data
 router.post('/iotdata', saveIOTData);
@@ -20,4 +33,20 @@ router.get('/iotdata/user/:userName', getIOTDataByUser);
 // GET /api/iotdata/product/:productId - Get IoT data by product ID
 router.get('/iotdata/product/:productId', getIOTDataByProductId);
 
+// ============== MQTT device registry & dead letters ==============
+const iotAdmin = [auth, checkRole('super_admin', 'consultant_admin', 'consultant')];
+
+router.get('/devices', iotAdmin, listDevices);
+router.post('/devices', iotAdmin, createDevice);
+router.put('/devices/:deviceId', iotAdmin, updateDevice);
+router.delete('/devices/:deviceId', auth, checkRole('super_admin', 'consultant_admin'), deleteDevice);
+router.get('/devices/:deviceId/readings', iotAdmin, getDeviceReadings);
+router.get('/devices/:deviceId/windows', iotAdmin, getDeviceWindows);
+
+router.get('/mqtt/status', iotAdmin, getMqttStatus);
+
+router.get('/dead-letters', iotAdmin, listDeadLetters);
+router.post('/dead-letters/:id/replay', iotAdmin, replayDeadLetter);
+router.post('/dead-letters/:id/discard', iotAdmin, discardDeadLetter);
+
 module.exports = router;
@@ -0,0 +1,37 @@
+// jobs/iotWindowFlushJob.js
+const cron = require('node-cron');
+const { flushDueWindows } = require('./iotAggregationService');
+
+let _running = false;
+
+/**
+ * Flush closed IoT aggregation windows into DataEntries.
+ * Runs every minute; a run is skipped while the previous one is still going.
+ */
+function startIoTWindowFlushJob() {
+  cron.schedule('* * * * *', async () => {
+    if (_running) return;
+    _running = true;
+    try {
+      const stats = await flushDueWindows();
+      const total = stats.flushed + stats.pendingApproval + stats.rejected + stats.failed;
+      if (total) {
+        console.log(
+          `[IoT Aggregation] Flushed ${stats.flushed}, held for approval ${stats.pendingApproval}, ` +
+          `rejected ${stats.rejected}, failed ${stats.failed}`
+        );
+      }
+    } catch (error) {
+      console.error('[IoT Aggregation] Flush job error:', error);
+    } finally {
+      _running = false;
+    }
+  }, {
+    scheduled: true,
+    timezone: 'Asia/Kolkata'
+  });
+
+  console.log('[IoT Aggregation] Window flush job scheduled (every minute)');
+}
+
+module.exports = { startIoTWindowFlushJob };
@@ -0,0 +1,114 @@
+// mqtt/mqttBrokerConfig.js
+// ============================================================================
+// MQTT broker configuration — per environment, never hardcoded
+//
+// DEFAULT BROKER (key "default"):
+//   MQTT_URL                  e.g. mqtts://broker.example.com:8883
+//   MQTT_USERNAME / MQTT_PASSWORD
+//   MQTT_CA_PATH              PEM CA bundle (TLS)
+//   MQTT_CERT_PATH / MQTT_KEY_PATH   client certificate (mutual TLS)
+//   MQTT_REJECT_UNAUTHORIZED  default true; set false only for self-signed dev brokers
+//
+// ADDITIONAL BROKERS (JSON array):
+//   MQTT_BROKERS=[{"key":"plant2","url":"mqtts://plant2:8883",
+//     "usernameEnv":"PLANT2_MQTT_USER","passwordEnv":"PLANT2_MQTT_PASS",
+//     "caPath":"/etc/ssl/plant2-ca.pem"}]
+//   usernameEnv / passwordEnv name the env variables holding the secrets, so
+//   credentials are never written into the JSON.
+//
+// COMMON:
+//   MQTT_ENABLED=true         start the subscriber on boot (default: off)
+//   MQTT_CLIENT_ID_PREFIX     default: zerocarbon_ingest
+//   MQTT_QOS                  default: 1
+// ============================================================================
+const fs = require('fs');
+
+function _readFile(path, label) {
+  if (!path) return undefined;
+  try {
+    return fs.readFileSync(path);
+  } catch (err) {
+    console.error(`❌ [MQTT] Cannot read ${label} at ${path}: ${err.message}`);
+    return undefined;
+  }
+}
+
+function _buildBroker({ key, url, username, password, caPath, certPath, keyPath, rejectUnauthorized }) {
+  const options = {
+    clientId: `${process.env.MQTT_CLIENT_ID_PREFIX || 'zerocarbon_ingest'}_${key}_${Math.random().toString(16).slice(2, 10)}`,
+    keepalive: 60,
+    reconnectPeriod: 5000,
+    clean: true
+  };
+  if (username) options.username = username;
+  if (password) options.password = password;
+
+  const ca = _readFile(caPath, 'CA');
+  const cert = _readFile(certPath, 'client certificate');
+  const privateKey = _readFile(keyPath, 'client key');
+  if (ca) options.ca = ca;
+  if (cert) options.cert = cert;
+  if (privateKey) options.key = privateKey;
+  options.rejectUnauthorized = rejectUnauthorized !== false;
+
+  return { key, url, options };
+}
+
+/**
+ * All configured brokers, keyed by broker key. Empty when MQTT is not configured.
+ * @returns {Object<string, { key: string, url: string, options: object }>}
+ */
+function getBrokerConfigs() {
+  const brokers = {};
+
+  if (process.env.MQTT_URL) {
+    brokers.default = _buildBroker({
+      key: 'default',
+      url: process.env.MQTT_URL,
+      username: process.env.MQTT_USERNAME,
+      password: process.env.MQTT_PASSWORD,
+      caPath: process.env.MQTT_CA_PATH,
+      certPath: process.env.MQTT_CERT_PATH,
+      keyPath: process.env.MQTT_KEY_PATH,
+      rejectUnauthorized: process.env.MQTT_REJECT_UNAUTHORIZED !== 'false'
+    });
+  }
+
+  const raw = process.env.MQTT_BROKERS;
+  if (raw) {
+    let list;
+    try {
+      list = JSON.parse(raw);
+    } catch {
+      console.warn('⚠️ [MQTT] MQTT_BROKERS is not valid JSON — ignored.');
+      list = [];
+    }
+    for (const b of Array.isArray(list) ? list : []) {
+      if (!b?.key || !b.url) {
+        console.warn('⚠️ [MQTT] MQTT_BROKERS entry needs key and url — skipped.');
+        continue;
+      }
+      brokers[b.key] = _buildBroker({
+        key: b.key,
+        url: b.url,
+        username: b.usernameEnv ? process.env[b.usernameEnv] : undefined,
+        password: b.passwordEnv ? process.env[b.passwordEnv] : undefined,
+        caPath: b.caPath,
+        certPath: b.certPath,
+        keyPath: b.keyPath,
+        rejectUnauthorized: b.rejectUnauthorized
+      });
+    }
+  }
+
+  return brokers;
+}
+
+const isMqttEnabled = () => process.env.MQTT_ENABLED === 'true';
+
+const getQos = () => {
+  const qos = parseInt(process.env.MQTT_QOS || '1', 10);
+  return [0, 1, 2].includes(qos) ? qos : 1;
+};
+
+module.exports = { getBrokerConfigs, isMqttEnabled, getQos };
@@ -0,0 +1,258 @@
+// services/mqttIngestionService.js
+// ============================================================================
+// MQTT → DataEntry ingestion
+//
+//   message ─► parse JSON ─► match IoTDevice (brokerKey + topicPattern
+//           [+ deviceIdPath]) ─► validate payloadSchema ─► map fields
+//           ─► ingestIoTReading (same path as saveIoTData: scope gate,
+//              threshold check, DataEntry, emission calculation)
+//           ─► raw reading kept in IOTData
+//
+// Devices with an aggregationWindow skip the per-reading DataEntry: the
+// reading is buffered by iotAggregationService and only the window roll-up
+// is ingested.
+//
+// Any step that fails writes an IoTDeadLetter record instead of dropping the
+// message. Dead letters can be replayed once the device mapping is fixed.
+// ============================================================================
+const moment = require('moment');
+
+const IoTDevice = require('./IoTDevice');
+const IoTDeadLetter = require('./IoTDeadLetter');
+const IOTData = require('./IOTData');
+const { bufferReading } = require('./iotAggregationService');
+const {
+  matchTopic,
+  resolvePath,
+  validatePayload,
+  mapReadings,
+  resolveTimestamp
+} = require('./utils/payloadMapping');
+
+const DEVICE_CACHE_TTL_MS = 60 * 1000;
+
+let _deviceCache = { devices: [], expiresAt: 0 };
+
+/**
+ * Active devices, cached for a minute. Call invalidateDeviceCache() after
+ * registry changes so new mappings apply immediately.
+ */
+async function getActiveDevices() {
+  if (_deviceCache.expiresAt > Date.now()) return _deviceCache.devices;
+  const devices = await IoTDevice.find({ isActive: true }).lean();
+  _deviceCache = { devices, expiresAt: Date.now() + DEVICE_CACHE_TTL_MS };
+  return devices;
+}
+
+function invalidateDeviceCache() {
+  _deviceCache = { devices: [], expiresAt: 0 };
+}
+
+/**
+ * Distinct topic filters to subscribe to, grouped by broker key.
+ * @returns {Promise<Object<string, string[]>>}
+ */
+async function getTopicsByBroker() {
+  const byBroker = {};
+  for (const d of await getActiveDevices()) {
+    const key = d.brokerKey || 'default';
+    byBroker[key] = byBroker[key] || new Set();
+    byBroker[key].add(d.topicPattern);
+  }
+  return Object.fromEntries(Object.entries(byBroker).map(([k, set]) => [k, [...set]]));
+}
+
+/**
+ * Pick the device a message belongs to. Devices that declare deviceIdPath
+ * must see their own deviceId at that path; a single device without one
+ * owns its topic outright.
+ */
+function findDevice(devices, brokerKey, topic, payload) {
+  const candidates = devices.filter(d =>
+    (d.brokerKey || 'default') === brokerKey && matchTopic(d.topicPattern, topic)
+  );
+
+  const byPayloadId = candidates.find(d =>
+    d.deviceIdPath && String(resolvePath(payload, d.deviceIdPath)) === d.deviceId
+  );
+  if (byPayloadId) return byPayloadId;
+
+  const unkeyed = candidates.filter(d => !d.deviceIdPath);
+  return unkeyed.length === 1 ? unkeyed[0] : null;
+}
+
+async function _deadLetter(fields) {
+  try {
+    return await IoTDeadLetter.create(fields);
+  } catch (err) {
+    console.error('❌ [MQTT] Failed to write dead letter:', err.message);
+    return null;
+  }
+}
+
+async function _markDevice(deviceId, update) {
+  try {
+    await IoTDevice.updateOne({ deviceId }, { $set: update });
+  } catch (err) {
+    console.error('❌ [MQTT] Failed to update device status:', err.message);
+  }
+}
+
+/**
+ * Process one MQTT message.
+ *
+ * @param {string} brokerKey
+ * @param {string} topic
+ * @param {Buffer|string} message
+ * @param {object} [opts]
+ * @param {boolean} [opts.deadLetter=true] — write failures to IoTDeadLetter
+ *                                           (false when replaying an existing one)
+ * @returns {Promise<{ ok: boolean, status?: number, reason?: string, error?: string,
+ *                     deviceId?: string, clientId?: string, dataEntryId?: any }>}
+ */
+async function processMessage(brokerKey, topic, message, { deadLetter = true } = {}) {
+  const raw = Buffer.isBuffer(message) ? message.toString('utf8') : String(message ?? '');
+  const receivedAt = new Date();
+
+  const fail = async (reason, error, extra = {}) => {
+    if (deadLetter) {
+      await _deadLetter({ brokerKey, topic, payload: raw, reason, error, receivedAt, ...extra });
+    }
+    if (extra.deviceId) await _markDevice(extra.deviceId, { lastError: `${reason}: ${error}` });
+    return { ok: false, reason, error, ...extra };
+  };
+
+  // 1) Parse
+  let payload;
+  try {
+    payload = JSON.parse(raw);
+  } catch (err) {
+    return fail('parse_error', err.message);
+  }
+  if (!payload || typeof payload !== 'object') {
+    return fail('parse_error', 'Payload must be a JSON object or array');
+  }
+
+  // 2) Match device
+  const device = findDevice(await getActiveDevices(), brokerKey, topic, payload);
+  if (!device) {
+    return fail('no_device', `No active device mapped for topic ${topic}`);
+  }
+  const ids = { deviceId: device.deviceId, clientId: device.clientId };
+
+  try {
+    // 3) Validate
+    const schemaErrors = validatePayload(payload, device.payloadSchema);
+    if (schemaErrors.length) {
+      return fail('schema_invalid', schemaErrors.slice(0, 5).join('; '), { ...ids, details: { errors: schemaErrors } });
+    }
+
+    // 4) Map
+    const { values, units, errors } = mapReadings(payload, device.fieldMappings);
+    if (errors.length || !Object.keys(values).length) {
+      return fail('mapping_failed', errors.join('; ') || 'No values mapped', { ...ids, details: { errors } });
+    }
+    const readingAt = resolveTimestamp(payload, device.timestampPath, receivedAt);
+
+    // 5a) High-frequency devices: buffer into the aggregation window —
+    //     the window roll-up becomes the DataEntry (iotAggregationService)
+    if (device.aggregationWindow && device.aggregationWindow !== 'none') {
+      const { windowId, windowStart, late, windowStatus } = await bufferReading(device, { values, units, readingAt, receivedAt, brokerKey, topic });
+      if (late) {
+        return fail('late_reading', `Aggregation window ${windowStart.toISOString()} is already ${windowStatus || 'closed'}`, {
+          ...ids,
+          details: { windowId, windowStart, windowStatus }
+        });
+      }
+      await _markDevice(device.deviceId, { lastSeenAt: receivedAt, lastError: null });
+      return { ok: true, status: 202, buffered: true, windowId, ...ids };
+    }
+
+    // 5) Ingest through the shared DataEntry path
+    const { ingestIoTReading } = require('../organization/controllers/dataCollectionController');
+    const result = await ingestIoTReading({
+      clientId: device.clientId,
+      nodeId: device.nodeId,
+      scopeIdentifier: device.scopeIdentifier,
+      dataValues: values,
+      units,
+      date: moment(readingAt).format('DD/MM/YYYY'),
+      time: moment(readingAt).format('HH:mm:ss'),
+      sourceDetails: {
+        iotDeviceId: device.deviceId,
+        mqttTopic: topic
+      }
+    });
+
+    const ingestStatus = result.status === 201 ? 'processed'
+      : result.status === 202 ? 'pending_approval'
+      : 'rejected';
+
+    // 6) Keep the raw reading queryable
+    await IOTData.create({
+      deviceId: device.deviceId,
+      brokerKey,
+      topic,
+      clientId: device.clientId,
+      nodeId: device.nodeId,
+      scopeIdentifier: device.scopeIdentifier,
+      readings: values,
+      units,
+      readingAt,
+      receivedAt,
+      dataEntryId: result.entry?._id || null,
+      ingestStatus
+    });
+
+    if (ingestStatus === 'rejected') {
+      return fail('rejected', result.body?.message || `Ingestion returned ${result.status}`, {
+        ...ids,
+        details: { status: result.status, body: result.body }
+      });
+    }
+
+    await _markDevice(device.deviceId, { lastSeenAt: receivedAt, lastError: null });
+    return { ok: true, status: result.status, ...ids, dataEntryId: result.entry?._id || null };
+  } catch (err) {
+    console.error(`❌ [MQTT] Processing error for device ${device.deviceId}:`, err.message);
+    return fail('processing_error', err.message, ids);
+  }
+}
+
+/**
+ * Re-run a dead letter through the pipeline.
+ * @param {string} deadLetterId
+ * @param {object} [user] — who triggered the replay
+ */
+async function replayDeadLetter(deadLetterId, user = null) {
+  const letter = await IoTDeadLetter.findById(deadLetterId);
+  if (!letter) return { ok: false, reason: 'not_found', error: 'Dead letter not found' };
+  if (letter.status !== 'open') {
+    return { ok: false, reason: 'not_open', error: `Dead letter is already ${letter.status}` };
+  }
+
+  const result = await processMessage(letter.brokerKey, letter.topic, letter.payload, { deadLetter: false });
+
+  letter.retryCount += 1;
+  letter.lastRetryAt = new Date();
+  if (result.ok) {
+    letter.status = 'replayed';
+    letter.resolvedBy = user?._id || null;
+  } else {
+    letter.reason = result.reason;
+    letter.error = result.error;
+    if (result.deviceId) letter.deviceId = result.deviceId;
+    if (result.clientId) letter.clientId = result.clientId;
+  }
+  await letter.save();
+
+  return { ...result, deadLetter: letter };
+}
+
+module.exports = {
+  processMessage,
+  replayDeadLetter,
+  getTopicsByBroker,
+  invalidateDeviceCache,
+  findDevice
+};
@@ -1,158 +1,180 @@
 // mqtt/mqttSubscriber.js
+// ============================================================================
+// Config-driven MQTT subscriber
+//
+// Opens one client per broker in mqttBrokerConfig and subscribes to the
+// distinct topicPatterns of the active devices registered for that broker.
+// Every message is handed to mqttIngestionService.processMessage, which maps
+// it onto the device's flowchart scope or dead-letters it.
+//
+// Subscriptions follow the device registry: refreshSubscriptions() is called
+// after device changes and periodically (MQTT_REFRESH_INTERVAL_MS, default 5 min).
+// ============================================================================
 const mqtt = require('mqtt');
-const { handleMQTTData } = require('./iotController');
+const { getBrokerConfigs, isMqttEnabled, getQos } = require('./mqttBrokerConfig');
+const {
+  processMessage,
+  getTopicsByBroker,
+  invalidateDeviceCache
+} = require('./mqttIngestionService');
+
+const REFRESH_INTERVAL_MS = parseInt(process.env.MQTT_REFRESH_INTERVAL_MS || '300000', 10);
 
 class MQTTSubscriber {
   constructor() {
-    this.client = null;
-    this.isConnected = false;
+    // brokerKey → { client, url, isConnected, topics:Set }
+    this.brokers = new Map();
+    this.refreshTimer = null;
   }
 
   connect() {
-    // MQTT broker configuration
-    const options = {
-      host: '13.233.116.100',
-      port: 1883,
-      username: 'admin',
-      password: 'zeroCarbon@123',
-      clientId: 'nodejs_iot_subscriber_' + Math.random().toString(16).substr(2, 8),
-      keepalive: 60,
-      reconnectPeriod: 5000, // Auto-reconnect every 5 seconds
-      clean: true
-    };
+    const configs = getBrokerConfigs();
+    if (!Object.keys(configs).length) {
+      console.warn('⚠️ [MQTT] No broker configured (set MQTT_URL or MQTT_BROKERS) — subscriber not started');
+      return;
+    }
+
+    for (const cfg of Object.values(configs)) {
+      this._connectBroker(cfg);
+    }
+
+    this.refreshTimer = setInterval(() => {
+      this.refreshSubscriptions().catch(err =>
+        console.error('❌ [MQTT] Subscription refresh failed:', err.message)
+      );
+    }, REFRESH_INTERVAL_MS);
+    this.refreshTimer.unref?.();
+  }
 
-    console.log('🔌 Connecting to MQTT broker...');
-    this.client = mqtt.connect(options);
-
-    // Connection established
-    this.client.on('connect', () => {
-      console.log('✅ Connected to MQTT broker successfully');
-      this.isConnected = true;
-      
-      // Subscribe to IoT energy meter topics
-      const topics = [
-        'iot/energy/+/data',        // iot/energy/{deviceId}/data
-        'iot/meters/+/reading',     // iot/meters/{meterId}/reading
-        'energy/meter/data',        // General energy meter data
-        'zerocarbon/iot/energy'       // Your specific topic
-      ];
-
-      topics.forEach(topic => {
-        this.client.subscribe(topic, { qos: 1 }, (err) => {
-          if (!err) {
-            console.log(`📡 Subscribed to topic: ${topic}`);
-          } else {
-            console.error(`❌ Failed to subscribe to ${topic}:`, err);
-          }
-        });
-      });
-
-      // Send connection status
-      this.client.publish('zerocarbon/status', JSON.stringify({
-        service: 'nodejs-iot-subscriber',
-        status: 'connected',
-        timestamp: new Date().toISOString()
-      }));
+  _connectBroker({ key, url, options }) {
+    console.log(`🔌 [MQTT] Connecting to broker "${key}"...`);
+    const client = mqtt.connect(url, options);
+    const state = { client, url, isConnected: false, topics: new Set() };
+    this.brokers.set(key, state);
+
+    client.on('connect', () => {
+      console.log(`✅ [MQTT] Connected to broker "${key}"`);
+      state.isConnected = true;
+      // Resubscribe from scratch — a clean session drops server-side subscriptions
+      state.topics.clear();
+      this._syncBroker(key).catch(err =>
+        console.error(`❌ [MQTT] Subscribe failed on "${key}":`, err.message)
+      );
     });
 
-    // Message received
-    this.client.on('message', async (topic, message) => {
+    client.on('message', async (topic, message) => {
       try {
-        console.log(`📨 Received message on topic: ${topic}`);
-        console.log(`📄 Raw message: ${message.toString()}`);
-
-        // Parse JSON message
-        const data = JSON.parse(message.toString());
-        
-        // Validate message structure
-        if (this.isValidEnergyData(data)) {
-          // Handle the data using our controller
-          const result = await handleMQTTData(data);
-          
-          if (result) {
-            console.log('✅ Successfully processed IoT data from MQTT');
-          } else {
-            console.log('❌ Failed to process IoT data from MQTT');
-          }
-        } else {
-          console.log('⚠️ Invalid energy data format received:', data);
+        const result = await processMessage(key, topic, message);
+        if (!result.ok) {
+          console.warn(`⚠️ [MQTT] ${topic} dead-lettered (${result.reason}): ${result.error}`);
         }
-
       } catch (error) {
-        console.error('❌ Error processing MQTT message:', error);
-        console.log('📄 Problematic message:', message.toString());
+        console.error('❌ [MQTT] Error processing message:', error.message);
       }
     });
 
-    // Connection error
-    this.client.on('error', (error) => {
-      console.error('❌ MQTT connection error:', error);
-      this.isConnected = false;
+    client.on('error', (error) => {
+      console.error(`❌ [MQTT] Broker "${key}" error:`, error.message);
+      state.isConnected = false;
     });
 
-    // Connection closed
-    this.client.on('close', () => {
-      console.log('🔌 MQTT connection closed');
-      this.isConnected = false;
+    client.on('close', () => {
+      state.isConnected = false;
     });
 
-    // Reconnecting
-    this.client.on('reconnect', () => {
-      console.log('🔄 Reconnecting to MQTT broker...');
+    client.on('reconnect', () => {
+      console.log(`🔄 [MQTT] Reconnecting to broker "${key}"...`);
     });
 
-    // Offline
-    this.client.on('offline', () => {
-      console.log('📴 MQTT client is offline');
-      this.isConnected = false;
+    client.on('offline', () => {
+      console.log(`📴 [MQTT] Broker "${key}" is offline`);
+      state.isConnected = false;
     });
   }
 
-  // Validate if the received data is valid energy meter data
-  isValidEnergyData(data) {
-    return (
-      data &&
-      typeof data === 'object' &&
-      typeof data.energyValue === 'number' &&
-      typeof data.energy_product_id === 'string' &&
-      typeof data.userName === 'string' &&
-      data.energyValue >= 0 &&
-      data.energy_product_id.length > 0 &&
-      data.userName.length > 0
-    );
+  // Bring one broker's subscriptions in line with the device registry
+  async _syncBroker(key, topicsByBroker = null) {
+    const state = this.brokers.get(key);
+    if (!state || !state.isConnected) return;
+
+    const wanted = new Set((topicsByBroker || await getTopicsByBroker())[key] || []);
+    const toAdd = [...wanted].filter(t => !state.topics.has(t));
+    const toRemove = [...state.topics].filter(t => !wanted.has(t));
+
+    if (toAdd.length) {
+      await state.client.subscribeAsync(toAdd, { qos: getQos() });
+      toAdd.forEach(t => state.topics.add(t));
+      console.log(`📡 [MQTT] "${key}" subscribed: ${toAdd.join(', ')}`);
+    }
+    if (toRemove.length) {
+      await state.client.unsubscribeAsync(toRemove);
+      toRemove.forEach(t => state.topics.delete(t));
+      console.log(`📡 [MQTT] "${key}" unsubscribed: ${toRemove.join(', ')}`);
+    }
+  }
+
+  /**
+   * Reload the device registry and adjust subscriptions on every broker.
+   */
+  async refreshSubscriptions() {
+    invalidateDeviceCache();
+    const topicsByBroker = await getTopicsByBroker();
+
+    const unknown = Object.keys(topicsByBroker).filter(k => !this.brokers.has(k));
+    if (unknown.length) {
+      console.warn(`⚠️ [MQTT] Devices reference unconfigured broker(s): ${unknown.join(', ')}`);
+    }
+
+    for (const key of this.brokers.keys()) {
+      await this._syncBroker(key, topicsByBroker);
+    }
   }
 
-  // Disconnect from MQTT broker
+  // Disconnect from all brokers
   disconnect() {
-    if (this.client && this.isConnected) {
-      this.client.end();
-      console.log('🔌 Disconnected from MQTT broker');
+    if (this.refreshTimer) clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+    for (const [key, state] of this.brokers) {
+      state.client.end();
+      console.log(`🔌 [MQTT] Disconnected from broker "${key}"`);
     }
+    this.brokers.clear();
   }
 
-  // Get connection status
+  // Get connection status (no credentials)
   getStatus() {
     return {
-      connected: this.isConnected,
-      clientId: this.client ? this.client.options.clientId : null
+      enabled: isMqttEnabled(),
+      brokers: [...this.brokers.entries()].map(([key, s]) => ({
+        key,
+        connected: s.isConnected,
+        clientId: s.client.options.clientId,
+        topics: [...s.topics]
+      }))
     };
   }
+}
 
-  // Publish test message
-  publishTest() {
-    if (this.client && this.isConnected) {
-      const testData = {
-        energyValue: Math.random() * 100,
-        energy_product_id: 'TEST_METER_001',
-        userName: 'testUser',
-        timestamp: new Date().toISOString()
-      };
-
-      this.client.publish('zerocarbon/iot/energy', JSON.stringify(testData));
-      console.log('📤 Published test message:', testData);
-    }
+let _instance = null;
+
+/**
+ * Start the shared subscriber when MQTT_ENABLED=true. Safe to call more than once.
+ * @returns {MQTTSubscriber|null}
+ */
+function startMqttIngestion() {
+  if (!isMqttEnabled()) {
+    console.log('ℹ️ [MQTT] Ingestion disabled (MQTT_ENABLED != true)');
+    return null;
   }
+  if (!_instance) {
+    _instance = new MQTTSubscriber();
+    _instance.connect();
+  }
+  return _instance;
 }
 
-module.exports = MQTTSubscriber;
+const getMqttSubscriber = () => _instance;
 
+module.exports = MQTTSubscriber;
+module.exports.startMqttIngestion = startMqttIngestion;
+module.exports.getMqttSubscriber = getMqttSubscriber;
@@ -0,0 +1,198 @@
+// utils/payloadMapping.js
+// ============================================================================
+// Helpers for turning a raw MQTT payload into a DataEntry reading:
+//
+//   matchTopic(filter, topic)       — MQTT wildcard matching (+ and #)
+//   topicFiltersOverlap(a, b)       — could one topic match both filters?
+//   resolvePath(obj, path)          — minimal JSONPath: $.a.b, $.list[0].v, $['k']
+//   validatePayload(value, schema)  — JSON-schema subset used by IoTDevice.payloadSchema
+//   mapReadings(payload, mappings)  — apply IoTDevice.fieldMappings
+//   resolveTimestamp(payload, path) — ISO string / epoch s / epoch ms → Date
+//
+// Kept dependency-free on purpose: only the handful of JSONPath / schema
+// features device payloads actually need are supported.
+// ============================================================================
+
+/**
+ * Match an MQTT topic against a subscription filter.
+ * @param {string} filter — e.g. "site/+/meter/#"
+ * @param {string} topic
+ * @returns {boolean}
+ */
+function matchTopic(filter, topic) {
+  const f = String(filter).split('/');
+  const t = String(topic).split('/');
+
+  for (let i = 0; i < f.length; i++) {
+    if (f[i] === '#') return true;
+    if (i >= t.length) return false;
+    if (f[i] !== '+' && f[i] !== t[i]) return false;
+  }
+  return f.length === t.length;
+}
+
+/**
+ * Whether some topic matches both filters (same semantics as matchTopic).
+ * @param {string} a — e.g. "client-a/#"
+ * @param {string} b — e.g. "+/meter/1"
+ * @returns {boolean}
+ */
+function topicFiltersOverlap(a, b) {
+  const x = String(a).split('/');
+  const y = String(b).split('/');
+
+  for (let i = 0; i < Math.max(x.length, y.length); i++) {
+    if (x[i] === '#' || y[i] === '#') return true;
+    if (i >= x.length || i >= y.length) return false;
+    if (x[i] !== '+' && y[i] !== '+' && x[i] !== y[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Split "$.a.b[0]['c d']" into ['a', 'b', 0, 'c d'].
+ * @param {string} path
+ * @returns {Array<string|number>}
+ */
+function _tokenize(path) {
+  const src = String(path || '').trim().replace(/^\$\.?/, '');
+  const tokens = [];
+  const re = /([^.[\]]+)|\[(\d+)\]|\[['"]([^'"]+)['"]\]/g;
+  let m;
+  while ((m = re.exec(src)) !== null) {
+    if (m[1] !== undefined) tokens.push(m[1]);
+    else if (m[2] !== undefined) tokens.push(Number(m[2]));
+    else tokens.push(m[3]);
+  }
+  return tokens;
+}
+
+/**
+ * Resolve a JSONPath against an object. Returns undefined when any segment is missing.
+ * @param {object} obj
+ * @param {string} path
+ */
+function resolvePath(obj, path) {
+  let cur = obj;
+  for (const key of _tokenize(path)) {
+    if (cur === null || cur === undefined) return undefined;
+    cur = cur[key];
+  }
+  return cur;
+}
+
+function _typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a JSON-schema subset.
+ * Supported keywords: type, required, properties, enum, minimum, maximum, items.
+ *
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} [at='$'] — path prefix used in error messages
+ * @returns {string[]} list of errors (empty = valid)
+ */
+function validatePayload(value, schema, at = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = _typeOf(value);
+    const ok = allowed.some(t => t === actual || (t === 'number' && actual === 'integer'));
+    if (!ok) {
+      errors.push(`${at}: expected ${allowed.join('|')}, got ${actual}`);
+      return errors;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${at}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key}: is required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validatePayload(value[key], sub, `${at}.${key}`));
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validatePayload(item, schema.items, `${at}[${i}]`)));
+  }
+
+  return errors;
+}
+
+/**
+ * Apply field mappings to a payload.
+ * @param {object} payload
+ * @param {Array<{field, path, unit, scale, required}>} mappings
+ * @returns {{ values: object, units: object, errors: string[] }}
+ */
+function mapReadings(payload, mappings = []) {
+  const values = {};
+  const units = {};
+  const errors = [];
+
+  for (const m of mappings) {
+    const raw = resolvePath(payload, m.path);
+    if (raw === undefined || raw === null || raw === '') {
+      if (m.required !== false) errors.push(`${m.field}: nothing at ${m.path}`);
+      continue;
+    }
+    const num = Number(raw);
+    if (!Number.isFinite(num)) {
+      errors.push(`${m.field}: value at ${m.path} is not numeric`);
+      continue;
+    }
+    values[m.field] = num * (m.scale ?? 1);
+    if (m.unit) units[m.field] = m.unit;
+  }
+
+  return { values, units, errors };
+}
+
+/**
+ * Read a device timestamp. Numbers below 1e12 are treated as epoch seconds.
+ * @param {object} payload
+ * @param {string|null} path
+ * @param {Date} fallback
+ * @returns {Date}
+ */
+function resolveTimestamp(payload, path, fallback = new Date()) {
+  if (!path) return fallback;
+  const raw = resolvePath(payload, path);
+  if (raw === undefined || raw === null || raw === '') return fallback;
+
+  const num = Number(raw);
+  const d = Number.isFinite(num)
+    ? new Date(num < 1e12 ? num * 1000 : num)
+    : new Date(raw);
+  return isNaN(d.getTime()) ? fallback : d;
+}
+
+module.exports = {
+  matchTopic,
+  topicFiltersOverlap,
+  resolvePath,
+  validatePayload,
+  mapReadings,
+  resolveTimestamp
+};
@@ -168,6 +168,7 @@ const SourceSystem = Object.freeze({
   M1:     'M1',
   MANUAL: 'Manual',
   ERP:    'ERP',
+  SUPPLIER_PORTAL: 'Supplier_Portal',
 });
 
 const ScopeBoundary = Object.freeze({
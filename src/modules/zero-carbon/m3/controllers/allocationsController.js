@@ -11,7 +11,7 @@ exports.createAllocation = async (req, res) => {
   try {
     const target = await targetService.getTargetById(req.params.targetId);
     await assertWriteAccess(req, target.clientId);
-    assertCanDraftAllocation(req);
+    await assertCanDraftAllocation(req, target.clientId);
     const data = await allocationService.createAllocation(
       req.params.targetId,
       { ...req.body, clientId: target.clientId },
@@ -55,7 +55,7 @@ exports.bulkUpsertAllocations = async (req, res) => {
   try {
     const target = await targetService.getTargetById(req.params.targetId);
     await assertWriteAccess(req, target.clientId);
-    assertCanDraftAllocation(req);
+    await assertCanDraftAllocation(req, target.clientId);
 
     const { rows = [], chartType, chartId } = req.body;
     if (!Array.isArray(rows) || rows.length === 0) {
@@ -91,7 +91,7 @@ exports.approveAllocation = async (req, res) => {
   try {
     const alloc = await allocationService.getAllocationById(req.params.allocationId);
     await assertWriteAccess(req, alloc.clientId);
-    assertCanApprove(req);
+    await assertCanApprove(req, alloc.clientId);
     const data = await allocationService.approveAllocation(req.params.allocationId, req.user);
     ok(res, data);
   } catch (e) { err(res, e); }
@@ -101,7 +101,7 @@ exports.approveAllAllocations = async (req, res) => {
   try {
     const target = await targetService.getTargetById(req.params.targetId);
     await assertWriteAccess(req, target.clientId);
-    assertCanApprove(req);
+    await assertCanApprove(req, target.clientId);
     const data = await allocationService.approveAllAllocations(req.params.targetId, req.user);
     ok(res, data);
   } catch (e) { err(res, e); }
@@ -0,0 +1,50 @@
+'use strict';
+
+const carbonPricingService = require('../services/carbonPricingService');
+const { assertWriteAccess, resolveClientId } = require('../utils/m3Permission');
+
+const ok  = (res, data, s = 200) => res.status(s).json({ success: true, data });
+const err = (res, e) => res.status(e.status || 500).json({ success: false, message: e.message });
+
+/**
+ * GET /carbon-pricing/schedule?clientId=xxx
+ */
+exports.getSchedule = async (req, res) => {
+  try {
+    const clientId = resolveClientId(req);
+    const data = await carbonPricingService.getSchedule(clientId);
+    if (!data) return res.status(404).json({ success: false, message: 'No internal carbon price schedule configured for this client.' });
+    ok(res, data);
+  } catch (e) { err(res, e); }
+};
+
+/**
+ * PUT /carbon-pricing/schedule  { clientId, currency?, prices: [{ year, price, scope?, businessUnit? }] }
+ * Replaces the price list for the client.
+ */
+exports.upsertSchedule = async (req, res) => {
+  try {
+    const clientId = resolveClientId(req);
+    if (!clientId) return res.status(422).json({ success: false, message: 'clientId is required.' });
+    await assertWriteAccess(req, clientId);
+    const data = await carbonPricingService.upsertSchedule(clientId, req.body, req.user);
+    ok(res, data);
+  } catch (e) { err(res, e); }
+};
+
+/**
+ * GET /carbon-pricing/budgets?target_id=xxx&granularity=ANNUAL|QUARTERLY|MONTHLY&year=2025
+ * Operational budgets in tCO₂e and currency against actuals, with a department split.
+ */
+exports.getBudgetCosts = async (req, res) => {
+  try {
+    if (!req.query.target_id) {
+      return res.status(422).json({ success: false, message: 'target_id is required.' });
+    }
+    const data = await carbonPricingService.getBudgetCosts(req.query.target_id, {
+      granularity: req.query.granularity || undefined,
+      year:        req.query.year || undefined,
+    });
+    ok(res, data);
+  } catch (e) { err(res, e); }
+};
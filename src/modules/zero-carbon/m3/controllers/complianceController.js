@@ -41,7 +41,7 @@ exports.closeComplianceYear = async (req, res) => {
   try {
     const record = await complianceService.getComplianceYearById(req.params.id);
     await assertWriteAccess(req, record.clientId);
-    assertCanApprove(req);
+    await assertCanApprove(req, record.clientId);
     const data = await complianceService.closeComplianceYear(req.params.id, req.user);
     ok(res, data);
   } catch (e) { err(res, e); }
@@ -51,7 +51,7 @@ exports.reopenComplianceYear = async (req, res) => {
   try {
     const record = await complianceService.getComplianceYearById(req.params.id);
     await assertWriteAccess(req, record.clientId);
-    assertCanApprove(req);
+    await assertCanApprove(req, record.clientId);
     const data = await complianceService.reopenComplianceYear(req.params.id, req.body.justification, req.user);
     ok(res, data);
   } catch (e) { err(res, e); }
@@ -42,7 +42,7 @@ exports.approveRecalcEvent = async (req, res) => {
   try {
     const event = await recalcService.getRecalcEventById(req.params.id);
     await assertWriteAccess(req, event.clientId);
-    assertCanApprove(req);
+    await assertCanApprove(req, event.clientId);
     const data = await recalcService.approveRecalcEvent(req.params.id, req.user);
     ok(res, data);
   } catch (e) { err(res, e); }
@@ -52,7 +52,7 @@ exports.rejectRecalcEvent = async (req, res) => {
   try {
     const event = await recalcService.getRecalcEventById(req.params.id);
     await assertWriteAccess(req, event.clientId);
-    assertCanApprove(req);
+    await assertCanApprove(req, event.clientId);
     const data = await recalcService.rejectRecalcEvent(req.params.id, req.body.comment, req.user);
     ok(res, data);
   } catch (e) { err(res, e); }
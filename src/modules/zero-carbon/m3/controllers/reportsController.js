@@ -1,6 +1,7 @@
 'use strict';
 
 const reportService = require('../services/reportService');
+const scenarioService = require('../services/scenarioService');
 const { resolveClientId } = require('../utils/m3Permission');
 
 const ok  = (res, data) => res.status(200).json({ success: true, data });
@@ -53,3 +54,19 @@ exports.auditEvidencePackage = async (req, res) => {
     ok(res, data);
   } catch (e) { err(res, e); }
 };
+
+/**
+ * GET /reports/scenario-comparison?target_id=xxx&scenario_ids=a,b
+ * Baseline plus saved scenarios (all of the target's when scenario_ids is omitted).
+ */
+exports.scenarioComparison = async (req, res) => {
+  try {
+    if (!req.query.target_id) {
+      return res.status(422).json({ success: false, message: 'target_id is required.' });
+    }
+    const clientId = resolveClientId(req);
+    const ids = req.query.scenario_ids ? String(req.query.scenario_ids).split(',').filter(Boolean) : [];
+    const data = await scenarioService.compareScenarios(clientId, req.query.target_id, ids);
+    ok(res, data);
+  } catch (e) { err(res, e); }
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+const scenarioService = require('../services/scenarioService');
+const targetService = require('../services/targetService');
+const { assertWriteAccess, resolveClientId } = require('../utils/m3Permission');
+
+const ok  = (res, data, s = 200) => res.status(s).json({ success: true, data });
+const err = (res, e) => res.status(e.status || 500).json({ success: false, message: e.message });
+
+exports.createScenario = async (req, res) => {
+  try {
+    if (!req.body.target_id || !req.body.name) {
+      return res.status(422).json({ success: false, message: 'target_id and name are required.' });
+    }
+    // Derive clientId from target — consultant_admin has no clientId in their JWT
+    const target = await targetService.getTargetById(req.body.target_id);
+    await assertWriteAccess(req, target.clientId);
+    const data = await scenarioService.createScenario(req.body, target.clientId, req.user);
+    ok(res, data, 201);
+  } catch (e) { err(res, e); }
+};
+
+/**
+ * GET /scenarios?target_id=xxx&clientId=xxx
+ */
+exports.listScenarios = async (req, res) => {
+  try {
+    const clientId = resolveClientId(req);
+    const data = await scenarioService.listScenarios(clientId, req.query.target_id);
+    ok(res, data);
+  } catch (e) { err(res, e); }
+};
+
+exports.getScenario = async (req, res) => {
+  try {
+    const data = await scenarioService.getScenarioById(req.params.id);
+    ok(res, data);
+  } catch (e) { err(res, e); }
+};
+
+exports.updateScenario = async (req, res) => {
+  try {
+    const scenario = await scenarioService.getScenarioById(req.params.id);
+    await assertWriteAccess(req, scenario.clientId);
+    const data = await scenarioService.updateScenario(req.params.id, req.body, req.user);
+    ok(res, data);
+  } catch (e) { err(res, e); }
+};
+
+exports.deleteScenario = async (req, res) => {
+  try {
+    const scenario = await scenarioService.getScenarioById(req.params.id);
+    await assertWriteAccess(req, scenario.clientId);
+    await scenarioService.deleteScenario(req.params.id, req.user);
+    ok(res, { deleted: true });
+  } catch (e) { err(res, e); }
+};
+
+/**
+ * GET /scenarios/:id/run
+ * Recomputes the saved scenario against the current state, side by side with the baseline.
+ */
+exports.runScenario = async (req, res) => {
+  try {
+    const data = await scenarioService.runScenario(req.params.id);
+    ok(res, data);
+  } catch (e) { err(res, e); }
+};
+
+/**
+ * POST /scenarios/preview  { target_id, assumptions, horizon_year? }
+ * Runs ad-hoc assumptions without saving them.
+ */
+exports.previewScenario = async (req, res) => {
+  try {
+    if (!req.body.target_id) {
+      return res.status(422).json({ success: false, message: 'target_id is required.' });
+    }
+    const data = await scenarioService.runAssumptions(req.body.target_id, req.body.assumptions, req.body.horizon_year);
+    ok(res, data);
+  } catch (e) { err(res, e); }
+};
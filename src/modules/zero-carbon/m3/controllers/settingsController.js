@@ -16,7 +16,7 @@ exports.getSettings = async (req, res) => {
 
 exports.updateSettings = async (req, res) => {
   try {
-    assertCanManageSettings(req);
+    await assertCanManageSettings(req);
     const clientId = resolveClientId(req);
     const data = await settingsService.updateSettings(clientId, req.body, req.user);
     ok(res, data);
@@ -32,7 +32,7 @@ exports.listFrameworks = async (req, res) => {
 
 exports.upsertFramework = async (req, res) => {
   try {
-    assertCanManageSettings(req);
+    await assertCanManageSettings(req);
     const data = await settingsService.upsertFramework(req.body);
     ok(res, data);
   } catch (e) { err(res, e); }
@@ -47,7 +47,7 @@ exports.listMethods = async (req, res) => {
 
 exports.upsertMethod = async (req, res) => {
   try {
-    assertCanManageSettings(req);
+    await assertCanManageSettings(req);
     const data = await settingsService.upsertMethod(req.body);
     ok(res, data);
   } catch (e) { err(res, e); }
@@ -62,7 +62,7 @@ exports.listPermissions = async (req, res) => {
 
 exports.upsertPermission = async (req, res) => {
   try {
-    assertCanManageSettings(req);
+    await assertCanManageSettings(req);
     const data = await settingsService.upsertPermission(req.body);
     ok(res, data);
   } catch (e) { err(res, e); }
@@ -78,7 +78,7 @@ exports.listScopes = async (req, res) => {
 
 exports.upsertScope = async (req, res) => {
   try {
-    assertCanManageSettings(req);
+    await assertCanManageSettings(req);
     const data = await settingsService.upsertScope(req.body);
     ok(res, data);
   } catch (e) { err(res, e); }
@@ -65,7 +65,7 @@ exports.reviewTarget = async (req, res) => {
   try {
     const target = await targetService.getTargetById(req.params.targetId);
     await assertWriteAccess(req, target.clientId);
-    assertCanApprove(req);
+    await assertCanApprove(req, target.clientId);
     const updated = await targetService.reviewTarget(req.params.targetId, req.user);
     respond(res, updated);
   } catch (e) { err(res, e); }
@@ -75,7 +75,7 @@ exports.returnTarget = async (req, res) => {
   try {
     const target = await targetService.getTargetById(req.params.targetId);
     await assertWriteAccess(req, target.clientId);
-    assertCanApprove(req);
+    await assertCanApprove(req, target.clientId);
     const updated = await targetService.returnTarget(req.params.targetId, req.body.comment, req.user);
     respond(res, updated);
   } catch (e) { err(res, e); }
@@ -85,7 +85,7 @@ exports.approveTarget = async (req, res) => {
   try {
     const target = await targetService.getTargetById(req.params.targetId);
     await assertWriteAccess(req, target.clientId);
-    assertCanApprove(req);
+    await assertCanApprove(req, target.clientId);
     const updated = await targetService.approveTarget(req.params.targetId, req.body.comment, req.user);
     respond(res, updated);
   } catch (e) { err(res, e); }
@@ -95,7 +95,7 @@ exports.publishTarget = async (req, res) => {
   try {
     const target = await targetService.getTargetById(req.params.targetId);
     await assertWriteAccess(req, target.clientId);
-    assertCanApprove(req);
+    await assertCanApprove(req, target.clientId);
     const updated = await targetService.publishTarget(req.params.targetId, req.body.comment, req.user);
     respond(res, updated);
   } catch (e) { err(res, e); }
@@ -105,7 +105,7 @@ exports.archiveTarget = async (req, res) => {
   try {
     const target = await targetService.getTargetById(req.params.targetId);
     await assertWriteAccess(req, target.clientId);
-    assertCanApprove(req);
+    await assertCanApprove(req, target.clientId);
     const updated = await targetService.archiveTarget(req.params.targetId, req.user);
     respond(res, updated);
   } catch (e) { err(res, e); }
@@ -24,6 +24,8 @@ const recalculationRoutes= require('./routes/recalculationRoutes');
 const evidenceRoutes     = require('./routes/evidenceRoutes');
 const reportsRoutes      = require('./routes/reportsRoutes');
 const settingsRoutes     = require('./routes/settingsRoutes');
+const scenarioRoutes     = require('./routes/scenarioRoutes');
+const carbonPricingRoutes= require('./routes/carbonPricingRoutes');
 
 router.use('/targets',      targetRoutes);
 router.use('/',             allocationRoutes);
@@ -34,5 +36,7 @@ router.use('/',             recalculationRoutes);
 router.use('/',             evidenceRoutes);
 router.use('/',             reportsRoutes);
 router.use('/',             settingsRoutes);
+router.use('/',             scenarioRoutes);
+router.use('/',             carbonPricingRoutes);
 
 module.exports = router;
@@ -0,0 +1,25 @@
+'use strict';
+
+const mongoose = require('mongoose');
+
+// Internal carbon price per client, used to express emissions in money terms.
+// One schedule per client; each entry applies from its year onwards until a
+// later entry for the same scope / business unit replaces it.
+
+const CarbonPriceEntrySchema = new mongoose.Schema({
+  year:         { type: Number, required: true },
+  price:        { type: Number, required: true, min: 0 },   // currency per tCO₂e
+  scope:        { type: String, enum: ['Scope 1', 'Scope 2', 'Scope 3', null], default: null }, // null = all scopes
+  businessUnit: { type: String, trim: true, default: null },  // matches EmissionSummary department; null = all
+  note:         { type: String, default: null },
+}, { _id: false });
+
+const CarbonPriceScheduleSchema = new mongoose.Schema({
+  clientId:  { type: String, required: true, unique: true },
+  currency:  { type: String, default: 'INR', uppercase: true, trim: true },
+  prices:    { type: [CarbonPriceEntrySchema], default: [] },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+}, { timestamps: true });
+
+module.exports = mongoose.model('CarbonPriceSchedule', CarbonPriceScheduleSchema);
@@ -0,0 +1,50 @@
+'use strict';
+
+const mongoose = require('mongoose');
+const { CreditPurpose } = require('../constants/enums');
+
+// What-if scenario: assumptions layered on the current state of a target.
+// Scenarios are computed on read — they never write to TargetMaster / PathwayAnnual.
+
+const ScopeGrowthSchema = new mongoose.Schema({
+  scope1: { type: Number, default: 0 },   // annual % growth (negative = decline)
+  scope2: { type: Number, default: 0 },
+  scope3: { type: Number, default: 0 },
+}, { _id: false });
+
+const ScenarioInitiativeSchema = new mongoose.Schema({
+  initiative_id: { type: String, default: null },   // optional M2 reference
+  label:         { type: String, trim: true, default: null },
+  scope:         { type: String, enum: ['Scope 1', 'Scope 2', 'Scope 3', null], default: null }, // null = whole boundary
+  go_live_date:  { type: Date, required: true },
+  reduction_pct: { type: Number, required: true, min: 0, max: 100 },
+}, { _id: false });
+
+const ScenarioCreditSchema = new mongoose.Schema({
+  year:         { type: Number, required: true },
+  amount:       { type: Number, required: true, min: 0 },   // tCO₂e
+  credit_type:  { type: String, default: null },
+  purpose:      { type: String, enum: Object.values(CreditPurpose), default: CreditPurpose.PURCHASED_CREDITS },
+}, { _id: false });
+
+const ScenarioSchema = new mongoose.Schema({
+  clientId:     { type: String, required: true, index: true },
+  target_id:    { type: mongoose.Schema.Types.ObjectId, ref: 'TargetMaster', required: true },
+  name:         { type: String, required: true, trim: true },
+  description:  { type: String, default: null },
+  // Last year projected (defaults to target.target_year)
+  horizon_year: { type: Number, default: null },
+  assumptions: {
+    scope_growth_pct:    { type: ScopeGrowthSchema, default: () => ({}) },
+    grid_ef_decline_pct: { type: Number, default: 0 },   // annual % decline applied to Scope 2
+    initiatives:         { type: [ScenarioInitiativeSchema], default: [] },
+    credit_purchases:    { type: [ScenarioCreditSchema], default: [] },
+  },
+  created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  updated_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  isDeleted:  { type: Boolean, default: false },
+}, { timestamps: true });
+
+ScenarioSchema.index({ clientId: 1, target_id: 1, name: 1 });
+
+module.exports = mongoose.model('Scenario', ScenarioSchema);
@@ -0,0 +1,10 @@
+'use strict';
+
+const router = require('express').Router();
+const c = require('../controllers/carbonPricingController');
+
+router.get('/carbon-pricing/schedule', c.getSchedule);
+router.put('/carbon-pricing/schedule', c.upsertSchedule);
+router.get('/carbon-pricing/budgets',  c.getBudgetCosts);
+
+module.exports = router;
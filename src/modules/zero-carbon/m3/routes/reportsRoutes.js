@@ -10,5 +10,6 @@ router.get('/reports/source-accountability',   c.sourceAccountability);
 router.get('/reports/initiative-reduction',    c.initiativeReduction);
 router.get('/reports/forecast-risk',           c.forecastRisk);
 router.get('/reports/audit-evidence-package',  c.auditEvidencePackage);
+router.get('/reports/scenario-comparison',     c.scenarioComparison);
 
 module.exports = router;
@@ -0,0 +1,15 @@
+'use strict';
+
+const router = require('express').Router();
+const c = require('../controllers/scenarioController');
+
+// Scenarios are computed on read — nothing here writes to TargetMaster / PathwayAnnual
+router.post  ('/scenarios/preview',   c.previewScenario);
+router.post  ('/scenarios',           c.createScenario);
+router.get   ('/scenarios',           c.listScenarios);
+router.get   ('/scenarios/:id/run',   c.runScenario);
+router.get   ('/scenarios/:id',       c.getScenario);
+router.patch ('/scenarios/:id',       c.updateScenario);
+router.delete('/scenarios/:id',       c.deleteScenario);
+
+module.exports = router;
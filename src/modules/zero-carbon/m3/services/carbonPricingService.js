@@ -0,0 +1,390 @@
+'use strict';
+
+// ============================================================================
+// Carbon Pricing Service — internal carbon price and shadow cost of emissions
+//
+// Each client keeps one CarbonPriceSchedule. An entry applies from its year
+// until a later entry with the same scope / business unit replaces it. The
+// most specific entry wins when several match:
+//
+//   businessUnit + scope  >  businessUnit  >  scope  >  default
+//
+// Shadow cost is CO₂e × price. It is worked out per node first, so that
+// business-unit prices follow the node's department. Any scope CO₂e not
+// covered by byNode is priced at the scope's default price. Emissions with no
+// matching price are reported as unpriced and add nothing to cost.
+//
+// Operational budgets (tCO₂e) from M3 are converted at the same prices and
+// compared with actuals. Department budgets are the target budget split by
+// each department's share of base-year emissions.
+// ============================================================================
+
+const CarbonPriceSchedule = require('../models/CarbonPriceSchedule');
+const TargetMaster        = require('../models/TargetMaster');
+const OperationalBudget   = require('../models/OperationalBudget');
+const EmissionSummary     = require('../../calculation/EmissionSummary');
+const { getScopesForBoundary } = require('./emissionSummaryScopeService');
+const { BudgetGranularity } = require('../constants/enums');
+
+const SCOPES = ['Scope 1', 'Scope 2', 'Scope 3'];
+
+const round2 = (n) => (n == null ? null : Math.round(n * 100) / 100);
+const round4 = (n) => (n == null ? null : parseFloat(n.toFixed(4)));
+
+function fail(message, status = 422) {
+  const e = new Error(message); e.status = status; throw e;
+}
+
+// Summary sub-documents are Maps on hydrated docs and plain objects on lean ones
+const entriesOf = (v) => (v instanceof Map ? [...v.entries()] : Object.entries(v || {}));
+
+// ── Schedule ─────────────────────────────────────────────────────────────────
+
+/**
+ * Validates raw price entries. Throws 422 on bad input.
+ * Pure function — no DB calls.
+ */
+function normalizePrices(raw) {
+  if (!Array.isArray(raw)) fail('prices must be an array.');
+  const seen = new Set();
+  return raw.map((p, i) => {
+    const year  = Number(p?.year);
+    const price = Number(p?.price);
+    if (!Number.isInteger(year)) fail(`prices[${i}].year must be an integer.`);
+    if (!Number.isFinite(price) || price < 0) fail(`prices[${i}].price must be a non-negative number.`);
+    const scope = p.scope || null;
+    if (scope && !SCOPES.includes(scope)) fail(`prices[${i}].scope must be one of ${SCOPES.join(', ')}.`);
+    const businessUnit = p.businessUnit ? String(p.businessUnit).trim() : null;
+
+    const key = `${year}|${scope}|${businessUnit}`;
+    if (seen.has(key)) fail(`Duplicate price for year ${year}, scope ${scope || 'all'}, business unit ${businessUnit || 'all'}.`);
+    seen.add(key);
+
+    return { year, price, scope, businessUnit, note: p.note || null };
+  }).sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Returns the price entry that applies to { year, scope, businessUnit }, or null.
+ * Pure function — no DB calls.
+ */
+function resolvePrice(prices, { year, scope = null, businessUnit = null }) {
+  let best = null;
+  let bestRank = -1;
+  for (const p of prices || []) {
+    if (p.year > year) continue;
+    if (p.scope && p.scope !== scope) continue;
+    if (p.businessUnit && p.businessUnit !== businessUnit) continue;
+    const rank = (p.businessUnit ? 2 : 0) + (p.scope ? 1 : 0);
+    if (rank > bestRank || (rank === bestRank && p.year > best.year)) {
+      best = p;
+      bestRank = rank;
+    }
+  }
+  return best;
+}
+
+async function getSchedule(clientId) {
+  return CarbonPriceSchedule.findOne({ clientId }).lean();
+}
+
+async function upsertSchedule(clientId, body, user) {
+  const update = { updatedBy: user?._id || null };
+  if (body.prices !== undefined)   update.prices = normalizePrices(body.prices);
+  if (body.currency !== undefined) update.currency = String(body.currency).trim().toUpperCase() || 'INR';
+
+  return CarbonPriceSchedule.findOneAndUpdate(
+    { clientId },
+    { $set: update, $setOnInsert: { createdBy: user?._id || null } },
+    { new: true, upsert: true, runValidators: true }
+  ).lean();
+}
+
+// ── Shadow cost ──────────────────────────────────────────────────────────────
+
+/**
+ * Prices an emissionSummary sub-document (byScope / byNode / byDepartment).
+ * Pure function — no DB calls.
+ *
+ * options.scopes        restrict to these byScope keys (default all three)
+ * options.scope3Factor  share of Scope 3 counted (0–1), as in target coverage
+ */
+function costSummary(emissionSummary, prices, year, { scopes = SCOPES, scope3Factor = 1 } = {}) {
+  const es = emissionSummary || {};
+  const factor = (s) => (s === 'Scope 3' ? scope3Factor : 1);
+  let unpricedCO2e = 0;
+
+  const priceOf = (scope, businessUnit) => resolvePrice(prices, { year, scope, businessUnit })?.price ?? null;
+  const charge = (co2e, price) => {
+    if (price == null) { unpricedCO2e += co2e; return 0; }
+    return co2e * price;
+  };
+
+  const nodeScope = {};
+  for (const s of scopes) nodeScope[s] = { CO2e: 0, cost: 0 };
+
+  const byNode = {};
+  const departments = {};
+  for (const [nodeId, node] of entriesOf(es.byNode)) {
+    const department = node.department || 'Unknown';
+    const out = { nodeLabel: node.nodeLabel || nodeId, department, CO2e: 0, cost: 0, byScope: {} };
+
+    if (node.byScope) {
+      for (const s of scopes) {
+        const co2e  = (node.byScope[s]?.CO2e || 0) * factor(s);
+        const price = priceOf(s, department);
+        const cost  = charge(co2e, price);
+        out.byScope[s] = { CO2e: round4(co2e), price, cost: round2(cost) };
+        out.CO2e += co2e;
+        out.cost += cost;
+        nodeScope[s].CO2e += co2e;
+        nodeScope[s].cost += cost;
+      }
+    } else if (scopes.length === SCOPES.length) {
+      // No scope split on this node — only usable when every scope is in play
+      out.CO2e = node.CO2e || 0;
+      out.cost = charge(out.CO2e, priceOf(null, department));
+    }
+
+    const dept = departments[department] || (departments[department] = { CO2e: 0, cost: 0, nodeCount: 0 });
+    dept.CO2e += out.CO2e;
+    dept.cost += out.cost;
+    dept.nodeCount += 1;
+
+    byNode[nodeId] = { ...out, CO2e: round4(out.CO2e), cost: round2(out.cost) };
+  }
+
+  // Summaries without byNode still carry byDepartment totals across all scopes
+  if (!Object.keys(byNode).length && scopes.length === SCOPES.length) {
+    for (const [name, d] of entriesOf(es.byDepartment)) {
+      const co2e = d.CO2e || 0;
+      departments[name] = { CO2e: co2e, cost: charge(co2e, priceOf(null, name)), nodeCount: d.nodeCount || 0 };
+    }
+  }
+
+  const byScope = {};
+  let totalCO2e = 0;
+  let totalCost = 0;
+  for (const s of scopes) {
+    const co2e      = (es.byScope?.[s]?.CO2e || 0) * factor(s);
+    const remainder = Math.max(0, co2e - nodeScope[s].CO2e);
+    const price     = priceOf(s, null);
+    const cost      = nodeScope[s].cost + charge(remainder, price);
+    byScope[s] = { CO2e: round4(co2e), price, cost: round2(cost) };
+    totalCO2e += co2e;
+    totalCost += cost;
+  }
+
+  const byDepartment = {};
+  for (const [name, d] of Object.entries(departments)) {
+    byDepartment[name] = { CO2e: round4(d.CO2e), cost: round2(d.cost), nodeCount: d.nodeCount };
+  }
+
+  return {
+    year,
+    totals: {
+      CO2e:         round4(totalCO2e),
+      cost:         round2(totalCost),
+      averagePrice: totalCO2e > 0 ? round2(totalCost / totalCO2e) : null,
+      unpricedCO2e: round4(unpricedCO2e),
+    },
+    byScope,
+    byNode,
+    byDepartment,
+  };
+}
+
+/**
+ * Adds several costSummary results together (e.g. three months into a quarter).
+ * Pure function — no DB calls.
+ */
+function sumCostSummaries(list) {
+  const add = (into, from, keys) => { for (const k of keys) into[k] = round4((into[k] || 0) + (from?.[k] || 0)); };
+  const out = { totals: {}, byScope: {}, byDepartment: {} };
+  for (const c of list) {
+    add(out.totals, c.totals, ['CO2e', 'cost', 'unpricedCO2e']);
+    for (const [s, v] of Object.entries(c.byScope)) add(out.byScope[s] || (out.byScope[s] = {}), v, ['CO2e', 'cost']);
+    for (const [d, v] of Object.entries(c.byDepartment)) add(out.byDepartment[d] || (out.byDepartment[d] = {}), v, ['CO2e', 'cost']);
+  }
+  out.totals.cost = round2(out.totals.cost);
+  out.totals.averagePrice = out.totals.CO2e > 0 ? round2(out.totals.cost / out.totals.CO2e) : null;
+  return out;
+}
+
+/**
+ * Reshapes a costSummary so calculateTrends() can compare cost the same way it
+ * compares CO₂e ({ totalEmissions: { CO2e }, byScope: { 'Scope N': { CO2e } } }).
+ */
+function toTrendShape(cost) {
+  const byScope = {};
+  for (const s of SCOPES) byScope[s] = { CO2e: cost?.byScope?.[s]?.cost || 0 };
+  return { totalEmissions: { CO2e: cost?.totals?.cost || 0 }, byScope };
+}
+
+/**
+ * Splits the cost change between two periods into a volume effect (more or
+ * fewer tonnes at the old price) and a price effect (the new price on the new
+ * tonnes). The two always add up to the total change.
+ * Pure function — no DB calls.
+ */
+function costVariance(current, previous) {
+  const cCO2e = current?.totals?.CO2e || 0;
+  const pCO2e = previous?.totals?.CO2e || 0;
+  const cCost = current?.totals?.cost || 0;
+  const pCost = previous?.totals?.cost || 0;
+  const cPrice = cCO2e > 0 ? cCost / cCO2e : 0;
+  const pPrice = pCO2e > 0 ? pCost / pCO2e : cPrice;
+
+  return {
+    CO2eChange:   round4(cCO2e - pCO2e),
+    costChange:   round2(cCost - pCost),
+    volumeEffect: round2((cCO2e - pCO2e) * pPrice),
+    priceEffect:  round2((cPrice - pPrice) * cCO2e),
+  };
+}
+
+// ── Operational budgets ──────────────────────────────────────────────────────
+
+/**
+ * Each department's share of emissions in a costSummary, used to split the
+ * target budget. Pure function — no DB calls.
+ */
+function departmentShares(cost) {
+  const total = Object.values(cost?.byDepartment || {}).reduce((s, d) => s + (d.CO2e || 0), 0);
+  const shares = {};
+  if (total <= 0) return shares;
+  for (const [name, d] of Object.entries(cost.byDepartment)) shares[name] = (d.CO2e || 0) / total;
+  return shares;
+}
+
+/**
+ * Compares one OperationalBudget row with the priced actuals for its period.
+ * The budget is priced at the actual average price when there are actuals,
+ * otherwise at the mean of the boundary's default scope prices.
+ * Pure function — no DB calls.
+ */
+function budgetRow(budget, actual, { prices, year, scopes, shares }) {
+  const fallbackPrices = scopes.map(s => resolvePrice(prices, { year, scope: s })?.price).filter(p => p != null);
+  const fallbackPrice  = fallbackPrices.length ? fallbackPrices.reduce((a, b) => a + b, 0) / fallbackPrices.length : null;
+  const priceFor = (a) => (a && a.CO2e > 0 && a.cost > 0 ? a.cost / a.CO2e : fallbackPrice);
+
+  const line = (budgetCO2e, a) => {
+    const price = priceFor(a);
+    const budgetCost = price == null ? null : budgetCO2e * price;
+    return {
+      budget:   { CO2e: round4(budgetCO2e), cost: round2(budgetCost) },
+      actual:   a ? { CO2e: round4(a.CO2e), cost: round2(a.cost) } : null,
+      variance: a ? {
+        CO2e: round4(a.CO2e - budgetCO2e),
+        cost: budgetCost == null ? null : round2(a.cost - budgetCost),
+      } : null,
+      price: round2(price),
+    };
+  };
+
+  const row = {
+    period_key:  budget.period_key,
+    granularity: budget.granularity,
+    ...line(budget.budget_emissions, actual?.totals),
+  };
+
+  if (shares && Object.keys(shares).length) {
+    row.departments = Object.entries(shares).map(([department, share]) => ({
+      department,
+      share: round4(share),
+      ...line(budget.budget_emissions * share, actual ? (actual.byDepartment[department] || { CO2e: 0, cost: 0 }) : null),
+    }));
+  }
+  return row;
+}
+
+// Months covered by a budget period key
+function monthsForPeriod(granularity, key) {
+  const year = parseInt(key.slice(0, 4), 10);
+  if (granularity === BudgetGranularity.ANNUAL) return { year, months: null };
+  if (granularity === BudgetGranularity.QUARTERLY) {
+    const q = parseInt(key.slice(6), 10);
+    return { year, months: [q * 3 - 2, q * 3 - 1, q * 3] };
+  }
+  return { year, months: [parseInt(key.slice(5, 7), 10)] };
+}
+
+/**
+ * Budgets for a target in tonnes and currency, with actuals and a department split.
+ * Daily budgets are not priced — use MONTHLY or finer reporting elsewhere.
+ */
+async function getBudgetCosts(targetId, { granularity = BudgetGranularity.ANNUAL, year } = {}) {
+  if (granularity === BudgetGranularity.DAILY) fail('Carbon cost is available for ANNUAL, QUARTERLY or MONTHLY budgets.');
+  if (!Object.values(BudgetGranularity).includes(granularity)) fail(`Unknown granularity '${granularity}'.`);
+
+  const target = await TargetMaster.findOne({ _id: targetId, isDeleted: false }).lean();
+  if (!target) fail('Target not found.', 404);
+
+  const schedule = await getSchedule(target.clientId);
+  if (!schedule || !schedule.prices.length) fail('No internal carbon price schedule configured for this client.', 404);
+
+  const query = { target_id: target._id, granularity };
+  if (year) query.period_key = new RegExp(`^${parseInt(year, 10)}`);
+  const budgets = await OperationalBudget.find(query).sort({ period_key: 1 }).lean();
+
+  const scopes = getScopesForBoundary(target.scope_boundary);
+  const scope3Factor = (target.scope3_coverage_pct ?? 100) / 100;
+  const opts = { scopes, scope3Factor };
+  const years = [...new Set(budgets.map(b => parseInt(b.period_key.slice(0, 4), 10)))];
+
+  const [yearlyDocs, monthlyDocs, baseDoc] = await Promise.all([
+    granularity === BudgetGranularity.ANNUAL
+      ? EmissionSummary.find({ clientId: target.clientId, 'period.type': 'yearly', 'period.year': { $in: years } }).lean()
+      : [],
+    granularity !== BudgetGranularity.ANNUAL
+      ? EmissionSummary.find({ clientId: target.clientId, 'period.type': 'monthly', 'period.year': { $in: years } }).lean()
+      : [],
+    EmissionSummary.findOne({ clientId: target.clientId, 'period.type': 'yearly', 'period.year': target.base_year })
+      .sort({ 'metadata.lastCalculated': -1 }).lean(),
+  ]);
+
+  const yearly  = new Map(yearlyDocs.map(d => [d.period.year, d]));
+  const monthly = new Map(monthlyDocs.map(d => [`${d.period.year}-${d.period.month}`, d]));
+
+  const shares = baseDoc
+    ? departmentShares(costSummary(baseDoc.emissionSummary, schedule.prices, target.base_year, opts))
+    : {};
+
+  const rows = budgets.map(b => {
+    const { year: y, months } = monthsForPeriod(b.granularity, b.period_key);
+    let actual = null;
+    if (!months) {
+      const doc = yearly.get(y);
+      if (doc) actual = costSummary(doc.emissionSummary, schedule.prices, y, opts);
+    } else {
+      const docs = months.map(m => monthly.get(`${y}-${m}`)).filter(Boolean);
+      if (docs.length) actual = sumCostSummaries(docs.map(d => costSummary(d.emissionSummary, schedule.prices, y, opts)));
+    }
+    return budgetRow(b, actual, { prices: schedule.prices, year: y, scopes, shares });
+  });
+
+  return {
+    target_id:         target._id,
+    clientId:          target.clientId,
+    scope_boundary:    target.scope_boundary,
+    currency:          schedule.currency,
+    granularity,
+    department_basis:  baseDoc ? `Base year ${target.base_year} emissions by department` : null,
+    rows,
+  };
+}
+
+module.exports = {
+  SCOPES,
+  normalizePrices,
+  resolvePrice,
+  getSchedule,
+  upsertSchedule,
+  costSummary,
+  sumCostSummaries,
+  toTrendShape,
+  costVariance,
+  departmentShares,
+  budgetRow,
+  getBudgetCosts,
+};
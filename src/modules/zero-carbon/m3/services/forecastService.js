@@ -396,4 +396,4 @@ async function getForecast(targetId, snapshotType = SnapshotType.ANNUAL, isPrima
   return ForecastSnapshot.find(filter).sort({ forecast_date: -1 }).limit(50);
 }
 
-module.exports = { computeForecastSnapshot, computeForecastByMethod, getForecast };
+module.exports = { computeForecastStatus, computeForecastSnapshot, computeForecastByMethod, getForecast };
@@ -0,0 +1,440 @@
+'use strict';
+
+// ============================================================================
+// Scenario Service — "what-if" modelling on top of pathways and forecasts
+//
+// A scenario layers assumptions on the latest yearly EmissionSummary (the
+// anchor year) and projects each year up to the horizon:
+//
+//   scope_Y   = scope_anchor × (1 + growth)^n            n = Y − anchor_year
+//   scope2_Y  also × (1 − grid_ef_decline)^n
+//   initiatives reduce their scope (or the whole boundary) by reduction_pct
+//     from go_live_date — pro-rated in the go-live year, compounding when
+//     several hit the same scope
+//
+// The baseline is the same projection with neutral assumptions (current
+// state carried forward), so scenario and baseline are always comparable.
+//
+// Per year the engine returns:
+//   pathway gap      projected − PathwayAnnual.allowed_emissions
+//   forecast status  same rule as forecastService (At_Risk within threshold)
+//   residual         gross − verified reductions, credits shown separately
+//
+// Read-only against TargetMaster / PathwayAnnual. Credits NEVER net into
+// pathway gaps — they only reduce the uncovered residual.
+// ============================================================================
+
+const Scenario              = require('../models/Scenario');
+const TargetMaster          = require('../models/TargetMaster');
+const PathwayAnnual         = require('../models/PathwayAnnual');
+const OrgSettings           = require('../models/OrgSettings');
+const InitiativeAttribution = require('../models/InitiativeAttribution');
+const CreditLedger          = require('../models/CreditLedger');
+const EmissionSummary       = require('../../calculation/EmissionSummary');
+const { computeForecastStatus } = require('./forecastService');
+const { getScopesForBoundary, extractCO2eForScopeBoundary } = require('./emissionSummaryScopeService');
+const { MethodName, CreditStatus, CreditPurpose, ForecastStatus } = require('../constants/enums');
+
+// Methods whose pathway is expressed in absolute tCO₂e of the scope boundary
+const SCENARIO_METHODS = new Set([
+  MethodName.Absolute_Contraction,
+  MethodName.Internal_Custom,
+  MethodName.Residual_Offset,
+]);
+
+const SCOPE_KEYS = { 'Scope 1': 'scope1', 'Scope 2': 'scope2', 'Scope 3': 'scope3' };
+
+const round4 = (n) => (n == null ? null : parseFloat(n.toFixed(4)));
+
+function fail(message, status = 422) {
+  const e = new Error(message); e.status = status; throw e;
+}
+
+// ── Assumptions ──────────────────────────────────────────────────────────────
+
+/**
+ * Validates and normalises raw assumptions. Throws 422 on bad input.
+ * Pure function — no DB calls.
+ */
+function normalizeAssumptions(raw = {}) {
+  const num = (v, field, { min = -100, max = 1000 } = {}) => {
+    if (v == null || v === '') return 0;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < min || n > max) fail(`${field} must be a number between ${min} and ${max}.`);
+    return n;
+  };
+
+  const growth = raw.scope_growth_pct || {};
+  const initiatives = (raw.initiatives || []).map((i, idx) => {
+    const goLive = new Date(i.go_live_date);
+    if (!i.go_live_date || isNaN(goLive.getTime())) fail(`initiatives[${idx}].go_live_date is required and must be a date.`);
+    if (i.scope != null && !SCOPE_KEYS[i.scope]) fail(`initiatives[${idx}].scope must be one of ${Object.keys(SCOPE_KEYS).join(', ')}.`);
+    return {
+      initiative_id: i.initiative_id ?? null,
+      label:         i.label ?? null,
+      scope:         i.scope ?? null,
+      go_live_date:  goLive,
+      reduction_pct: num(i.reduction_pct, `initiatives[${idx}].reduction_pct`, { min: 0, max: 100 }),
+    };
+  });
+  const credits = (raw.credit_purchases || []).map((c, idx) => {
+    const year = Number(c.year);
+    if (!Number.isInteger(year)) fail(`credit_purchases[${idx}].year must be an integer.`);
+    if (c.purpose === 'PATHWAY_COMPLIANCE') fail('Credits cannot be purchased for PATHWAY_COMPLIANCE.');
+    return {
+      year,
+      amount:      num(c.amount, `credit_purchases[${idx}].amount`, { min: 0, max: Number.MAX_SAFE_INTEGER }),
+      credit_type: c.credit_type ?? null,
+      purpose:     c.purpose || CreditPurpose.PURCHASED_CREDITS,
+    };
+  });
+
+  return {
+    scope_growth_pct: {
+      scope1: num(growth.scope1, 'scope_growth_pct.scope1'),
+      scope2: num(growth.scope2, 'scope_growth_pct.scope2'),
+      scope3: num(growth.scope3, 'scope_growth_pct.scope3'),
+    },
+    grid_ef_decline_pct: num(raw.grid_ef_decline_pct, 'grid_ef_decline_pct', { min: 0, max: 100 }),
+    initiatives,
+    credit_purchases: credits,
+  };
+}
+
+// ── Projection engine (pure) ─────────────────────────────────────────────────
+
+/**
+ * Share of calendar year `year` during which an initiative live from `goLive` runs.
+ */
+function activeFraction(goLive, year) {
+  const start = new Date(year, 0, 1);
+  const end   = new Date(year + 1, 0, 1);
+  if (goLive <= start) return 1;
+  if (goLive >= end) return 0;
+  return (end - goLive) / (end - start);
+}
+
+/**
+ * Projects one set of assumptions year by year.
+ *
+ * @param {object}   p
+ * @param {number}   p.anchorYear
+ * @param {object}   p.anchorScopes          { scope1, scope2, scope3 } — scope3 already coverage-adjusted
+ * @param {string}   p.scopeBoundary         S1 | S1S2 | S3 | S1S2S3
+ * @param {number[]} p.years                 calendar years to project
+ * @param {object}   p.allowedByYear         year → PathwayAnnual.allowed_emissions
+ * @param {object}   p.assumptions           normalised (see normalizeAssumptions)
+ * @param {number}   p.atRiskThresholdPct
+ * @param {number}   [p.verifiedReductions]  sum of verified InitiativeAttribution reductions
+ * @param {object}   [p.existingCreditsByYear] year → credits already on the ledger
+ * @returns {object[]} one row per year
+ */
+function projectScenario({
+  anchorYear, anchorScopes, scopeBoundary, years, allowedByYear, assumptions,
+  atRiskThresholdPct, verifiedReductions = 0, existingCreditsByYear = {},
+}) {
+  const inBoundary = getScopesForBoundary(scopeBoundary).map(s => SCOPE_KEYS[s]);
+  const growth = assumptions.scope_growth_pct;
+  const gridFactor = 1 - assumptions.grid_ef_decline_pct / 100;
+
+  return years.map((year) => {
+    const n = year - anchorYear;
+    const scopes = {};
+    for (const key of inBoundary) {
+      scopes[key] = (anchorScopes[key] || 0) * Math.pow(1 + (growth[key] || 0) / 100, n);
+    }
+    if (scopes.scope2 != null) scopes.scope2 *= Math.pow(gridFactor, n);
+
+    const beforeInitiatives = inBoundary.reduce((s, k) => s + scopes[k], 0);
+    for (const init of assumptions.initiatives) {
+      const share = (init.reduction_pct / 100) * activeFraction(init.go_live_date, year);
+      if (!share) continue;
+      const targets = init.scope ? [SCOPE_KEYS[init.scope]] : inBoundary;
+      for (const key of targets) {
+        if (scopes[key] != null) scopes[key] *= (1 - share);
+      }
+    }
+
+    const projected = inBoundary.reduce((s, k) => s + scopes[k], 0);
+    const allowed   = allowedByYear[year] ?? null;
+    const gap       = allowed != null ? projected - allowed : null;
+    let status = null;
+    if (allowed != null) {
+      // Zero budget (e.g. Residual_Offset target year) has no at-risk band
+      status = allowed > 0
+        ? computeForecastStatus(projected, allowed, atRiskThresholdPct)
+        : (projected <= allowed ? ForecastStatus.On_Track : ForecastStatus.Off_Track);
+    }
+
+    const residual = projected - verifiedReductions;
+    const credits  = (existingCreditsByYear[year] || 0) +
+      assumptions.credit_purchases.filter(c => c.year === year).reduce((s, c) => s + c.amount, 0);
+
+    return {
+      year,
+      scopes:                      Object.fromEntries(Object.entries(scopes).map(([k, v]) => [k, round4(v)])),
+      initiative_reduction:        round4(beforeInitiatives - projected),
+      projected_emissions:         round4(projected),
+      allowed_emissions:           allowed,
+      pathway_gap:                 round4(gap),
+      pathway_gap_pct:             gap != null && allowed ? round4((gap / allowed) * 100) : null,
+      forecast_status:             status,
+      residual_emissions:          round4(residual),
+      neutralization_required_pct: projected > 0 ? round4((residual / projected) * 100) : 0,
+      credits_available:           round4(credits),
+      uncovered_residual:          round4(Math.max(0, residual - credits)),
+    };
+  });
+}
+
+function summarize(rows, targetYear) {
+  const final = rows.find(r => r.year === targetYear) || rows[rows.length - 1] || null;
+  const firstOff = rows.find(r => r.forecast_status === ForecastStatus.Off_Track);
+  return {
+    years_on_track:          rows.filter(r => r.forecast_status === ForecastStatus.On_Track).length,
+    years_at_risk:           rows.filter(r => r.forecast_status === ForecastStatus.At_Risk).length,
+    years_off_track:         rows.filter(r => r.forecast_status === ForecastStatus.Off_Track).length,
+    first_off_track_year:    firstOff ? firstOff.year : null,
+    final_year:              final ? final.year : null,
+    final_projected:         final ? final.projected_emissions : null,
+    final_pathway_gap:       final ? final.pathway_gap : null,
+    final_forecast_status:   final ? final.forecast_status : null,
+    final_uncovered_residual: final ? final.uncovered_residual : null,
+    total_credits:           round4(rows.reduce((s, r) => s + (r.credits_available || 0), 0)),
+  };
+}
+
+/**
+ * Pairs baseline and scenario rows year by year with deltas.
+ * Pure function — no DB calls.
+ */
+function compareProjections(baselineRows, scenarioRows) {
+  const byYear = Object.fromEntries(scenarioRows.map(r => [r.year, r]));
+  return baselineRows.map((b) => {
+    const s = byYear[b.year] || null;
+    return {
+      year:              b.year,
+      allowed_emissions: b.allowed_emissions,
+      baseline:          b,
+      scenario:          s,
+      delta: s ? {
+        projected_emissions: round4(s.projected_emissions - b.projected_emissions),
+        pathway_gap:         b.pathway_gap != null ? round4(s.pathway_gap - b.pathway_gap) : null,
+        uncovered_residual:  round4(s.uncovered_residual - b.uncovered_residual),
+      } : null,
+    };
+  });
+}
+
+// ── Context loading (read-only) ──────────────────────────────────────────────
+
+/**
+ * Loads everything a projection needs for one target. Nothing is written.
+ */
+async function loadTargetContext(targetId, horizonYear = null) {
+  const target = await TargetMaster.findOne({ _id: targetId, isDeleted: false }).lean();
+  if (!target) fail('Target not found.', 404);
+  if (!SCENARIO_METHODS.has(target.method_name)) {
+    fail(`Scenarios support absolute-emission methods only (${[...SCENARIO_METHODS].join(', ')}).`);
+  }
+
+  const currentYear = new Date().getFullYear();
+  const anchorDoc = await EmissionSummary.findOne({
+    clientId: target.clientId,
+    'period.type': 'yearly',
+    'period.year': { $gte: target.base_year, $lte: Math.min(currentYear, target.target_year) },
+  }).sort({ 'period.year': -1, 'metadata.lastCalculated': -1 }).lean();
+  if (!anchorDoc) {
+    fail('No yearly EmissionSummary found between base year and today — cannot anchor the scenario.');
+  }
+
+  const { scopeBreakdown } = extractCO2eForScopeBoundary(
+    anchorDoc, target.scope_boundary, target.scope3_coverage_pct ?? 100
+  );
+  const anchorYear = anchorDoc.period.year;
+  const lastYear   = horizonYear || target.target_year;
+  const years = [];
+  for (let y = anchorYear + 1; y <= lastYear; y++) years.push(y);
+
+  const [pathway, settings, attributions, credits] = await Promise.all([
+    PathwayAnnual.find({ target_id: target._id }).lean(),
+    OrgSettings.findOne({ clientId: target.clientId }).lean(),
+    InitiativeAttribution.find({
+      target_id: target._id, isDeleted: false,
+      verification_status: { $in: ['VERIFIED', 'APPROVED'] },
+    }).lean(),
+    CreditLedger.find({
+      clientId: target.clientId,
+      vintage_year: { $in: years },
+      credit_status: { $nin: [CreditStatus.CANCELLED, CreditStatus.TRANSFERRED_OUT] },
+    }).lean(),
+  ]);
+
+  const existingCreditsByYear = {};
+  for (const c of credits) {
+    existingCreditsByYear[c.vintage_year] = (existingCreditsByYear[c.vintage_year] || 0) + (c.credit_amount || 0);
+  }
+
+  return {
+    target,
+    anchorYear,
+    anchorScopes: {
+      scope1: scopeBreakdown.scope1,
+      scope2: scopeBreakdown.scope2,
+      scope3: scopeBreakdown.scope3Adjusted,
+    },
+    years,
+    allowedByYear:      Object.fromEntries(pathway.map(p => [p.calendar_year, p.allowed_emissions])),
+    atRiskThresholdPct: settings?.forecast_at_risk_threshold_pct ?? 5,
+    verifiedReductions: attributions.reduce((s, a) => s + (a.achieved_reduction || 0), 0),
+    existingCreditsByYear,
+  };
+}
+
+function _project(ctx, assumptions) {
+  return projectScenario({
+    anchorYear:            ctx.anchorYear,
+    anchorScopes:          ctx.anchorScopes,
+    scopeBoundary:         ctx.target.scope_boundary,
+    years:                 ctx.years,
+    allowedByYear:         ctx.allowedByYear,
+    assumptions,
+    atRiskThresholdPct:    ctx.atRiskThresholdPct,
+    verifiedReductions:    ctx.verifiedReductions,
+    existingCreditsByYear: ctx.existingCreditsByYear,
+  });
+}
+
+function _targetHeader(ctx) {
+  const t = ctx.target;
+  return {
+    target_id:      t._id,
+    target_code:    t.target_code,
+    method_name:    t.method_name,
+    scope_boundary: t.scope_boundary,
+    base_year:      t.base_year,
+    target_year:    t.target_year,
+    anchor_year:    ctx.anchorYear,
+    anchor_scopes:  ctx.anchorScopes,
+  };
+}
+
+// ── Run / compare ────────────────────────────────────────────────────────────
+
+/**
+ * Runs assumptions (saved or ad-hoc) against a target, side by side with the baseline.
+ */
+async function runAssumptions(targetId, rawAssumptions, horizonYear = null) {
+  const assumptions = normalizeAssumptions(rawAssumptions);
+  const ctx = await loadTargetContext(targetId, horizonYear);
+  const baseline = _project(ctx, normalizeAssumptions());
+  const scenario = _project(ctx, assumptions);
+
+  return {
+    target:    _targetHeader(ctx),
+    summary:   { baseline: summarize(baseline, ctx.target.target_year), scenario: summarize(scenario, ctx.target.target_year) },
+    years:     compareProjections(baseline, scenario),
+  };
+}
+
+async function runScenario(scenarioId) {
+  const scenario = await getScenarioById(scenarioId);
+  const result = await runAssumptions(scenario.target_id, scenario.assumptions, scenario.horizon_year);
+  return { scenario: { _id: scenario._id, name: scenario.name, description: scenario.description }, ...result };
+}
+
+/**
+ * Baseline plus any number of saved scenarios for one target — used by the
+ * reports lens. Every scenario must belong to the target and client.
+ */
+async function compareScenarios(clientId, targetId, scenarioIds = []) {
+  const query = { target_id: targetId, isDeleted: false };
+  if (clientId) query.clientId = clientId;
+  if (scenarioIds.length) query._id = { $in: scenarioIds };
+  const scenarios = await Scenario.find(query).sort({ createdAt: 1 }).lean();
+  if (scenarioIds.length && scenarios.length !== scenarioIds.length) {
+    fail('One or more scenarios were not found for this target.', 404);
+  }
+
+  const ctx = await loadTargetContext(targetId);
+  const baseline = _project(ctx, normalizeAssumptions());
+
+  return {
+    target:   _targetHeader(ctx),
+    baseline: { summary: summarize(baseline, ctx.target.target_year), years: baseline },
+    scenarios: scenarios.map((s) => {
+      const rows = _project(ctx, normalizeAssumptions(s.assumptions));
+      return {
+        scenario_id: s._id,
+        name:        s.name,
+        summary:     summarize(rows, ctx.target.target_year),
+        years:       compareProjections(baseline, rows).map(r => ({ year: r.year, ...r.scenario, delta: r.delta })),
+      };
+    }),
+  };
+}
+
+// ── CRUD ─────────────────────────────────────────────────────────────────────
+
+async function createScenario(data, clientId, user) {
+  if (!data.name) fail('name is required.');
+  return Scenario.create({
+    clientId,
+    target_id:    data.target_id,
+    name:         data.name,
+    description:  data.description ?? null,
+    horizon_year: data.horizon_year ?? null,
+    assumptions:  normalizeAssumptions(data.assumptions),
+    created_by:   user._id,
+    updated_by:   user._id,
+  });
+}
+
+async function updateScenario(scenarioId, data, user) {
+  const scenario = await getScenarioById(scenarioId);
+  if (data.name !== undefined)         scenario.name         = data.name;
+  if (data.description !== undefined)  scenario.description  = data.description;
+  if (data.horizon_year !== undefined) scenario.horizon_year = data.horizon_year;
+  if (data.assumptions !== undefined)  scenario.assumptions  = normalizeAssumptions(data.assumptions);
+  scenario.updated_by = user._id;
+  await scenario.save();
+  return scenario;
+}
+
+async function deleteScenario(scenarioId, user) {
+  const scenario = await getScenarioById(scenarioId);
+  scenario.isDeleted  = true;
+  scenario.updated_by = user._id;
+  await scenario.save();
+  return scenario;
+}
+
+async function getScenarioById(scenarioId) {
+  const s = await Scenario.findOne({ _id: scenarioId, isDeleted: false });
+  if (!s) fail('Scenario not found.', 404);
+  return s;
+}
+
+async function listScenarios(clientId, targetId) {
+  const query = { isDeleted: false };
+  if (clientId) query.clientId = clientId;
+  if (targetId) query.target_id = targetId;
+  return Scenario.find(query).sort({ updatedAt: -1 });
+}
+
+module.exports = {
+  SCENARIO_METHODS,
+  normalizeAssumptions,
+  activeFraction,
+  projectScenario,
+  summarize,
+  compareProjections,
+  runAssumptions,
+  runScenario,
+  compareScenarios,
+  createScenario,
+  updateScenario,
+  deleteScenario,
+  getScenarioById,
+  listScenarios,
+};
@@ -2,75 +2,53 @@
 
 // ============================================================================
 // M3 Permission Helper
-// Wraps the repo's existing canManageFlowchart + adds M3-specific role guards
+// Thin wrappers over the access-policy engine (m3:* actions, see
+// common/services/authz/defaultPolicy.js) that keep the M3 error messages
 // ============================================================================
 
-const { canManageFlowchart } = require('../../../../common/utils/Permissions/permissions');
+const { evaluate } = require('../../../../common/services/authz/policyEngine');
 const { ERRORS } = require('../constants/messages');
 
-const WRITE_ROLES = new Set(['consultant_admin', 'consultant', 'client_admin', 'super_admin']);
-// consultant_admin, client_admin, and consultant may approve allocations
-const APPROVE_DENIED_ROLES = new Set(['full_user', 'team_user']);
-
 /**
- * Throws HTTP-friendly error if the user cannot write for this clientId.
- * Reuses the existing canManageFlowchart ownership logic.
+ * Evaluates `action` on the client and throws a 403 Error when denied.
+ * `message` replaces the policy's reason, except for a missing client.
  */
-async function assertWriteAccess(req, clientId) {
-  if (!WRITE_ROLES.has(req.user.userType)) {
-    const err = new Error(ERRORS.READ_ONLY_ROLE);
-    err.status = 403;
-    throw err;
-  }
-  // client_admin has full write access to their own client — canManageFlowchart doesn't handle this role
-  if (req.user.userType === 'client_admin') {
-    if (req.user.clientId !== clientId) {
-      const err = new Error('Permission denied: client admin can only manage their own client.');
-      err.status = 403;
-      throw err;
-    }
-    return;
-  }
-  const perm = await canManageFlowchart(req.user, clientId);
-  if (!perm.allowed) {
-    const err = new Error(perm.reason || 'Permission denied');
+async function assertPolicy(req, action, clientId, message) {
+  const decision = await evaluate({ subject: req.user, action, resource: { type: 'client', clientId } });
+  if (!decision.allowed) {
+    const err = new Error(decision.reason === 'Client not found' ? decision.reason : message || decision.reason);
     err.status = 403;
+    err.ruleId = decision.ruleId;
     throw err;
   }
 }
 
+/**
+ * Throws HTTP-friendly error if the user cannot write for this clientId.
+ */
+async function assertWriteAccess(req, clientId) {
+  await assertPolicy(req, 'm3:write', clientId);
+}
+
 /**
  * Throws 403 if the user is in a role that cannot approve targets or allocations.
  */
-function assertCanApprove(req) {
-  if (APPROVE_DENIED_ROLES.has(req.user.userType)) {
-    const err = new Error(ERRORS.CONSULTANT_CANNOT_APPROVE);
-    err.status = 403;
-    throw err;
-  }
+async function assertCanApprove(req, clientId = resolveClientId(req)) {
+  await assertPolicy(req, 'm3:approve', clientId, ERRORS.CONSULTANT_CANNOT_APPROVE);
 }
 
 /**
  * Throws 403 if a Team User tries to draft allocations.
  */
-function assertCanDraftAllocation(req) {
-  if (req.user.userType === 'team_user') {
-    const err = new Error(ERRORS.TEAM_USER_NO_ALLOCATION);
-    err.status = 403;
-    throw err;
-  }
+async function assertCanDraftAllocation(req, clientId = resolveClientId(req)) {
+  await assertPolicy(req, 'm3:draft_allocation', clientId, ERRORS.TEAM_USER_NO_ALLOCATION);
 }
 
 /**
  * Throws 403 if the user cannot manage org-level settings (only client_admin / consultant_admin).
  */
-function assertCanManageSettings(req) {
-  const allowed = new Set(['client_admin', 'consultant_admin', 'super_admin']);
-  if (!allowed.has(req.user.userType)) {
-    const err = new Error('Only Client Admin or Consultant Admin can manage settings.');
-    err.status = 403;
-    throw err;
-  }
+async function assertCanManageSettings(req, clientId = resolveClientId(req)) {
+  await assertPolicy(req, 'm3:manage_settings', clientId, 'Only Client Admin or Consultant Admin can manage settings.');
 }
 
 /**
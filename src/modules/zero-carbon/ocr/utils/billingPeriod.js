@@ -0,0 +1,250 @@
+// utils/OCR/billingPeriod.js
+// Billing-period detection and proration for OCR'd bills.
+//
+// A utility bill rarely lines up with the calendar: "Billing period
+// 15/01/2024 to 14/02/2024" covers half of January and half of February.
+// Saving it as one entry dated on the bill puts the whole consumption into
+// one month. Instead the consumption is split over the calendar periods of
+// the scope's collectionFrequency, by the number of billed days in each:
+//
+//   15 Jan – 14 Feb (31 days), 620 kWh, monthly
+//     → January  15–31 (17 days) 340 kWh
+//     → February  1–14 (14 days) 280 kWh
+//
+// Both ends of the billing period are inclusive. Dates are handled as UTC
+// calendar days (no time of day).
+
+'use strict';
+
+const { getCurrentWindowForFrequency } = require('../../data-collection/utils/dataFrequencyHelper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Billing periods longer than this are treated as misreads
+const MAX_PERIOD_DAYS = parseInt(process.env.OCR_MAX_BILLING_PERIOD_DAYS || '400', 10);
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+// One date token as printed on bills: 15/01/2024, 15-01-24, 2024-01-15,
+// 15 Jan 2024, 15-Jan-2024, Jan 15, 2024
+const DATE = String.raw`(\d{1,2}[\/\-.]\d{1,2}[\/\-.]\d{2,4}|\d{4}[\/\-.]\d{1,2}[\/\-.]\d{1,2}|\d{1,2}[\s\-]+[A-Za-z]{3,9}[\s\-,]+\d{2,4}|[A-Za-z]{3,9}\s+\d{1,2},?\s+\d{4})`;
+const RANGE_SEP = String.raw`\s*(?:to|till|until|through|thru|[-–—])\s*`;
+
+// Tried in order; the first that yields a valid range wins
+const RANGE_PATTERNS = [
+  {
+    source: 'billing period',
+    re: new RegExp(String.raw`(?:billing|bill|service|supply|consumption|invoice)?\s*(?:period|cycle)(?:\s+of\s+supply)?\s*(?:from)?\s*[:\-]?\s*${DATE}${RANGE_SEP}${DATE}`, 'i')
+  },
+  {
+    source: 'from/to',
+    re: new RegExp(String.raw`\bfrom\s*[:\-]?\s*${DATE}\s*(?:to|till|until)\s*[:\-]?\s*${DATE}`, 'i')
+  }
+];
+
+// Start / end printed under separate labels
+const SPLIT_PATTERNS = [
+  {
+    source: 'period from/to',
+    start: new RegExp(String.raw`(?:period\s+from|from\s+date|billing\s+start(?:\s+date)?|start\s+date)\s*[:\-]?\s*${DATE}`, 'i'),
+    end:   new RegExp(String.raw`(?:period\s+to|to\s+date|billing\s+end(?:\s+date)?|end\s+date)\s*[:\-]?\s*${DATE}`, 'i')
+  },
+  {
+    source: 'reading dates',
+    start: new RegExp(String.raw`(?:previous|prev|last)\.?\s+(?:meter\s+)?reading\s+date\s*[:\-]?\s*${DATE}`, 'i'),
+    end:   new RegExp(String.raw`(?:present|current|curr)\.?\s+(?:meter\s+)?reading\s+date\s*[:\-]?\s*${DATE}`, 'i')
+  }
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DATE HELPERS
+// ─────────────────────────────────────────────────────────────────────────────
+
+const fullYear = (y) => (y < 100 ? 2000 + y : y);
+
+function utcDate(year, monthIndex, day) {
+  const d = new Date(Date.UTC(year, monthIndex, day));
+  // Reject rollovers such as 31/02
+  if (d.getUTCFullYear() !== year || d.getUTCMonth() !== monthIndex || d.getUTCDate() !== day) return null;
+  return d;
+}
+
+/**
+ * Parse one printed date into a UTC midnight Date. Numeric dates are read
+ * day-first (as elsewhere in OCR) unless only month-first makes sense.
+ * @returns {Date|null}
+ */
+function parseDocumentDate(raw) {
+  if (!raw) return null;
+  const s = String(raw).trim();
+  let m;
+
+  if ((m = s.match(/^(\d{4})[\/\-.](\d{1,2})[\/\-.](\d{1,2})$/))) {
+    return utcDate(+m[1], +m[2] - 1, +m[3]);
+  }
+  if ((m = s.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2,4})$/))) {
+    const [a, b, y] = [+m[1], +m[2], fullYear(+m[3])];
+    return b > 12 && a <= 12 ? utcDate(y, a - 1, b) : utcDate(y, b - 1, a);
+  }
+  if ((m = s.match(/^(\d{1,2})[\s\-]+([A-Za-z]{3,9})[\s\-,]+(\d{2,4})$/))) {
+    const month = MONTHS[m[2].slice(0, 3).toLowerCase()];
+    return month === undefined ? null : utcDate(fullYear(+m[3]), month, +m[1]);
+  }
+  if ((m = s.match(/^([A-Za-z]{3,9})\s+(\d{1,2}),?\s+(\d{4})$/))) {
+    const month = MONTHS[m[1].slice(0, 3).toLowerCase()];
+    return month === undefined ? null : utcDate(+m[3], month, +m[2]);
+  }
+  return null;
+}
+
+const dayIndex = (date) => Math.floor(date.getTime() / DAY_MS);
+const fromDayIndex = (n) => new Date(n * DAY_MS);
+const isoDay = (date) => date.toISOString().slice(0, 10);
+
+/** 'YYYY-MM-DD' → 'DD/MM/YYYY' (the DataEntry date format). */
+function toEntryDate(iso) {
+  const [y, m, d] = String(iso).split('-');
+  return `${d}/${m}/${y}`;
+}
+
+function toUtcDay(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : fromDayIndex(dayIndex(value));
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const [y, m, d] = value.slice(0, 10).split('-').map(Number);
+    return utcDate(y, m - 1, d);
+  }
+  return parseDocumentDate(value);
+}
+
+/**
+ * Validate a { start, end } pair (Dates, ISO strings or printed dates).
+ * @returns {{ start: string, end: string, days: number }|{ error: string }}
+ */
+function normalizeBillingPeriod(period) {
+  const start = toUtcDay(period?.start);
+  const end = toUtcDay(period?.end);
+  if (!start || !end) return { error: 'billingPeriod needs a valid start and end date' };
+  if (end < start) return { error: 'billingPeriod end is before its start' };
+
+  const days = dayIndex(end) - dayIndex(start) + 1;
+  if (days > MAX_PERIOD_DAYS) {
+    return { error: `billingPeriod spans ${days} days; at most ${MAX_PERIOD_DAYS} are accepted` };
+  }
+  return { start: isoDay(start), end: isoDay(end), days };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// DETECTION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Find the billing start/end dates printed on a bill.
+ *
+ * @param {string} text  OCR text of one page or a whole document
+ * @returns {{ start: string, end: string, days: number, source: string }|null}
+ *          ISO dates (YYYY-MM-DD); null when no plausible period is found
+ */
+function extractBillingPeriod(text) {
+  if (!text || typeof text !== 'string') return null;
+
+  for (const { source, re } of RANGE_PATTERNS) {
+    const m = text.match(re);
+    if (!m) continue;
+    const period = normalizeBillingPeriod({ start: parseDocumentDate(m[1]), end: parseDocumentDate(m[2]) });
+    if (!period.error) return { ...period, source };
+  }
+
+  for (const { source, start, end } of SPLIT_PATTERNS) {
+    const ms = text.match(start);
+    const me = text.match(end);
+    if (!ms || !me) continue;
+    const period = normalizeBillingPeriod({ start: parseDocumentDate(ms[1]), end: parseDocumentDate(me[1]) });
+    if (!period.error) return { ...period, source };
+  }
+
+  return null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// PRORATION
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Split a billing period over the calendar periods of a collection frequency.
+ *
+ * @param {{ start, end }} period           see normalizeBillingPeriod
+ * @param {string}         collectionFrequency  scope.collectionFrequency (default monthly)
+ * @returns {Array<{ periodStart, periodEnd, start, end, days, share }>}
+ *          periodStart/periodEnd = the calendar period, start/end = the billed
+ *          days inside it (all ISO dates); shares sum to 1
+ * @throws {Error} on an invalid period
+ */
+function splitBillingPeriod(period, collectionFrequency = 'monthly') {
+  const normalized = normalizeBillingPeriod(period);
+  if (normalized.error) throw new Error(normalized.error);
+
+  // Real-time scopes are summarised per day
+  const frequency = collectionFrequency === 'real-time' ? 'daily' : collectionFrequency;
+  const first = dayIndex(toUtcDay(normalized.start));
+  const last = dayIndex(toUtcDay(normalized.end));
+
+  const slices = [];
+  let cursor = first;
+  while (cursor <= last) {
+    const { from, to } = getCurrentWindowForFrequency(frequency, fromDayIndex(cursor));
+    const sliceLast = Math.min(dayIndex(to), last);
+    const days = sliceLast - cursor + 1;
+    slices.push({
+      periodStart: isoDay(from),
+      periodEnd: isoDay(to),
+      start: isoDay(fromDayIndex(cursor)),
+      end: isoDay(fromDayIndex(sliceLast)),
+      days,
+      share: days / normalized.days
+    });
+    cursor = sliceLast + 1;
+  }
+  return slices;
+}
+
+const round6 = (n) => Math.round(n * 1e6) / 1e6;
+
+/**
+ * Prorate numeric dataValues over slices by their share. The last slice takes
+ * the remainder so the slices add up exactly to the billed total.
+ *
+ * @param {object}   dataValues  field → value
+ * @param {Array}    slices      from splitBillingPeriod
+ * @param {string[]} [fixed]     fields copied unchanged (non-additive, e.g. peak demand)
+ * @returns {object[]} one dataValues object per slice
+ */
+function prorateValues(dataValues, slices, fixed = []) {
+  const out = slices.map(() => ({}));
+  for (const [field, value] of Object.entries(dataValues || {})) {
+    const total = Number(value);
+    if (fixed.includes(field) || typeof value !== 'number' || !Number.isFinite(total)) {
+      out.forEach((dv) => { dv[field] = value; });
+      continue;
+    }
+    let allocated = 0;
+    slices.forEach((slice, i) => {
+      const share = i === slices.length - 1 ? round6(total - allocated) : round6(total * slice.share);
+      out[i][field] = share;
+      allocated += share;
+    });
+  }
+  return out;
+}
+
+module.exports = {
+  parseDocumentDate,
+  toEntryDate,
+  normalizeBillingPeriod,
+  extractBillingPeriod,
+  splitBillingPeriod,
+  prorateValues,
+  MAX_PERIOD_DAYS
+};
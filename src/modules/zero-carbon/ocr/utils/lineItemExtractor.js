@@ -0,0 +1,223 @@
+// utils/OCR/lineItemExtractor.js
+// Line-item table extraction for invoices (fuel deliveries, refrigerant
+// top-ups, freight legs …) across all pages of a document.
+//
+// A table is recognised by its header row: it needs a description column
+// and a quantity column, e.g.
+//
+//   Description        Qty     Unit   Rate     Amount
+//   HSD Diesel         1,200   Ltrs   92.40    1,10,880.00
+//   Petrol             150     L      102.10   15,315.00
+//
+// Columns are split on tabs (Textract TABLES output) or runs of 2+ spaces
+// (Tesseract layout). A table that runs off the bottom of a page continues
+// on the next page with the same columns, whether or not the header is
+// repeated. It ends at a total row or at the first few lines that are not
+// items.
+//
+// Return shape (one per item, in document order):
+//   { lineNumber, page, description, quantity, rawUnit, unit, rate, amount }
+
+'use strict';
+
+const uom = require('../../../../common/services/uom/uomService');
+
+// Header cell → column role
+const COLUMN_ROLES = [
+  ['description', /^(?:description|item|items|particulars|product|fuel(?:\s+type)?|material|service|details|goods)\b/i],
+  ['unit',        /^(?:unit|units|uom|u\.o\.m|uqc)\.?$/i],
+  ['quantity',    /^(?:qty|quantity|volume|vol|consumption|cons|litres|liters|kwh|weight|distance)\b/i],
+  ['rate',        /^(?:rate|price|unit\s+price|rate\s*\/\s*unit|unit\s+rate)\b/i],
+  ['amount',      /^(?:amount|amt|total|line\s+total|net\s+amount|value)\b/i]
+];
+
+const TOTAL_ROW = /^(?:sub\s*-?\s*total|grand\s+total|total|net\s+total|invoice\s+total|amount\s+payable)\b/i;
+
+// Non-item lines tolerated inside a table before it is considered finished,
+// and at the top of a page before a table continued from the previous page
+const MAX_GAP_LINES = 3;
+const CONTINUATION_SCAN_LINES = 12;
+
+const splitCells = (line) => line.split(/\t|\s{2,}/).map((c) => c.trim()).filter(Boolean);
+
+// '-' / '—' stand for an empty cell
+const cellValue = (cells, idx) => (idx === undefined || /^[-–—.]*$/.test(cells[idx]) ? null : cells[idx]);
+
+function parseAmount(raw) {
+  if (raw === undefined || raw === null) return null;
+  const n = parseFloat(String(raw).replace(/[,\s₹$€£]/g, ''));
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Column layout of a header row, or null when the row is not an item table
+ * header. Each role maps to its cell index.
+ */
+function parseHeader(line) {
+  const cells = splitCells(line);
+  if (cells.length < 2) return null;
+
+  const columns = {};
+  cells.forEach((cell, idx) => {
+    for (const [role, re] of COLUMN_ROLES) {
+      if (columns[role] === undefined && re.test(cell)) {
+        columns[role] = idx;
+        break;
+      }
+    }
+  });
+  if (columns.description === undefined || columns.quantity === undefined) return null;
+
+  // A quantity header that names a unit ("Litres", "kWh") implies that unit
+  const headerUnit = uom.parseUnit(cells[columns.quantity]);
+  return { columns, width: cells.length, headerUnit: headerUnit ? headerUnit.symbol : null };
+}
+
+/**
+ * Parse a data row against a layout. Returns null for lines that are not
+ * items (headings, notes, blank cells).
+ */
+function parseRow(line, layout) {
+  const cells = splitCells(line);
+  if (cells.length !== layout.width) return null;
+
+  const { columns } = layout;
+  const description = cells[columns.description];
+  if (!description || !/[A-Za-z]/.test(description)) return null;
+
+  // Quantity cell may carry its own unit: "1,200 Ltrs"
+  const qtyMatch = cells[columns.quantity].match(/^([\d,]+\.?\d*)\s*([A-Za-z%³°][A-Za-z%³°\s.]*)?$/);
+  if (!qtyMatch) return null;
+  const quantity = parseAmount(qtyMatch[1]);
+  if (quantity === null) return null;
+
+  const rawUnit = cellValue(cells, columns.unit) || (qtyMatch[2] || '').trim() || null;
+  const parsedUnit = rawUnit ? uom.parseUnit(rawUnit) : null;
+
+  return {
+    description,
+    quantity,
+    rawUnit,
+    unit: parsedUnit ? parsedUnit.symbol : (rawUnit ? null : layout.headerUnit),
+    rate: parseAmount(cellValue(cells, columns.rate)),
+    amount: parseAmount(cellValue(cells, columns.amount))
+  };
+}
+
+/**
+ * Extract line items from every page of a document.
+ *
+ * @param {Array<{ pageNumber: number|null, text: string }>} pages
+ * @returns {Array<{ lineNumber, page, description, quantity, rawUnit, unit, rate, amount }>}
+ */
+function extractLineItems(pages) {
+  const items = [];
+  let layout = null;   // open table, carried across page breaks
+  let gap = 0;         // consecutive non-item lines since the last item
+
+  for (const { pageNumber, text } of pages || []) {
+    if (!text || typeof text !== 'string') continue;
+
+    // Page headers above a continued table get a longer allowance
+    let allowance = layout ? CONTINUATION_SCAN_LINES : MAX_GAP_LINES;
+    gap = 0;
+
+    for (const rawLine of text.split('\n')) {
+      const line = rawLine.trim();
+      if (!line) continue;
+
+      const header = parseHeader(line);
+      if (header) {
+        layout = header;
+        gap = 0;
+        allowance = MAX_GAP_LINES;
+        continue;
+      }
+      if (!layout) continue;
+
+      if (TOTAL_ROW.test(line)) {
+        layout = null;
+        continue;
+      }
+
+      const item = parseRow(line, layout);
+      if (item) {
+        items.push({ lineNumber: items.length + 1, page: pageNumber ?? null, ...item });
+        gap = 0;
+        allowance = MAX_GAP_LINES;
+      } else if (++gap > allowance) {
+        layout = null;
+      }
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Line items as extractor pairs, so the model matcher can map each item
+ * description to a canonical field.
+ */
+function lineItemsToPairs(items) {
+  return items.map((item) => ({
+    rawLabel: item.description,
+    rawValue: String(item.quantity) + (item.rawUnit ? ` ${item.rawUnit}` : ''),
+    rawUnit: item.rawUnit || item.unit,
+    unit: item.unit,
+    numericValue: item.quantity,
+    lineNumber: item.lineNumber,
+    sourcePage: item.page
+  }));
+}
+
+/**
+ * Sum matched line items per canonical field. Items in another unit of the
+ * same dimension are converted to the unit of the field's first item; items
+ * that cannot be converted are left out and reported.
+ *
+ * @param {Array}  matchedItems   matchFields() output for lineItemsToPairs()
+ * @param {number} minConfidence  default 60
+ * @returns {{ values: object, units: object, lines: object, skipped: Array<{ lineNumber, reason }> }}
+ *          values/units/lines keyed by canonical field; lines = line numbers summed
+ */
+function sumLineItemsByField(matchedItems, minConfidence = 60) {
+  const values = {};
+  const units = {};
+  const lines = {};
+  const skipped = [];
+
+  for (const item of matchedItems) {
+    if (item.numericValue === null || !item.bestMatch || item.bestMatch.confidence < minConfidence) continue;
+    const field = item.bestMatch.canonicalField;
+
+    let value = item.numericValue;
+    if (values[field] === undefined) {
+      values[field] = 0;
+      units[field] = item.unit || null;
+      lines[field] = [];
+    } else if (units[field] !== (item.unit || null)) {
+      if (!units[field] || !item.unit || !uom.areCompatible(item.unit, units[field])) {
+        skipped.push({
+          lineNumber: item.lineNumber,
+          reason: `unit ${item.rawUnit || 'none'} does not match ${units[field] || 'no unit'} of the other ${field} lines`
+        });
+        continue;
+      }
+      value *= uom.conversionFactor(item.unit, units[field]);
+    }
+
+    values[field] += value;
+    lines[field].push(item.lineNumber);
+  }
+
+  for (const field of Object.keys(units)) {
+    if (!units[field]) delete units[field];
+  }
+  return { values, units, lines, skipped };
+}
+
+module.exports = {
+  extractLineItems,
+  lineItemsToPairs,
+  sumLineItemsByField
+};
@@ -10,12 +10,16 @@
 
 'use strict';
 
+const uom = require('../../../../common/services/uom/uomService');
+
 // ─────────────────────────────────────────────────────────────────────────────
 // CANONICAL FIELDS REGISTRY
 // Keyed by scopeType → categoryName → canonicalFieldName → metadata
 // aliases: human-readable strings that appear in real bills/invoices
 // unit: expected unit for bonus scoring
 // required: whether this field is mandatory for emission calculation
+// additive: false for values that are not split when a bill is prorated
+//           over collection periods (e.g. peak demand); default true
 // ─────────────────────────────────────────────────────────────────────────────
 const CANONICAL_FIELDS = {
   'Scope 2': {
@@ -53,6 +57,7 @@ const CANONICAL_FIELDS = {
         displayLabel: 'Demand (kW)',
         unit: 'kw',
         required: false,
+        additive: false,
         aliases: [
           'demand', 'peak demand', 'maximum demand', 'kw demand',
           'sanctioned load', 'contract demand', 'power demand',
@@ -200,22 +205,16 @@ const CANONICAL_FIELDS = {
 };
 
 // ─────────────────────────────────────────────────────────────────────────────
-// UNIT NORMALIZER
-// Maps raw unit strings to a simplified token for comparison
+// UNIT MATCH
+// A raw unit supports a field when it measures the same thing as the field's
+// expected unit (MWh for a kWh field, gallons for litres). Tokens outside the
+// registry (e.g. 'kw' demand) only match themselves.
 // ─────────────────────────────────────────────────────────────────────────────
-function normalizeUnit(unit) {
-  if (!unit) return '';
-  const u = unit.toLowerCase().trim();
-  if (['kwh', 'kilowatt-hour', 'kilowatt hours', 'kilowatt-hours'].includes(u)) return 'kwh';
-  if (['kw', 'kilowatt'].includes(u)) return 'kw';
-  if (['l', 'litre', 'liter', 'litres', 'liters', 'ltr', 'ltrs'].includes(u)) return 'l';
-  if (['kg', 'kilogram', 'kilograms'].includes(u)) return 'kg';
-  if (['t', 'mt', 'tonne', 'tonnes', 'ton', 'tons'].includes(u)) return 'tonne';
-  if (['m3', 'm³', 'scm', 'cubic meter', 'cubic metre'].includes(u)) return 'm3';
-  if (['mmbtu', 'mmBTU'].includes(u)) return 'mmbtu';
-  if (['km', 'kilometers', 'kilometres'].includes(u)) return 'km';
-  if (['kl', 'kiloliter', 'kilolitre'].includes(u)) return 'kl';
-  return u;
+function unitMatches(rawUnit, expectedUnit) {
+  const raw = uom.parseUnit(rawUnit);
+  const expected = uom.parseUnit(expectedUnit);
+  if (raw && expected) return raw.dimension === expected.dimension;
+  return rawUnit.toLowerCase().trim() === expectedUnit.toLowerCase().trim();
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -286,10 +285,8 @@ function scoreAgainstField(rawLabel, rawUnit, fieldDef) {
   }
 
   // Unit match bonus (+10)
-  if (rawUnit && fieldDef.unit) {
-    const normUnit = normalizeUnit(rawUnit);
-    const expectedUnit = normalizeUnit(fieldDef.unit);
-    if (normUnit === expectedUnit) score = Math.min(100, score + 10);
+  if (rawUnit && fieldDef.unit && unitMatches(rawUnit, fieldDef.unit)) {
+    score = Math.min(100, score + 10);
   }
 
   return score;
@@ -393,16 +390,11 @@ function matchFields(extractedPairs, scopeType, categoryName, clientId, scopeIde
 }
 
 /**
- * Build the suggestedDataValues object from matched pairs.
- * Only includes pairs where bestMatch.confidence >= minConfidence
- * and numericValue is not null.
- *
- * @param {Array}  matchedPairs
- * @param {number} minConfidence  default 60
- * @returns {object}  e.g. { consumed_electricity: 100 }
+ * Highest-confidence numeric pair per canonical field, at or above minConfidence.
+ * @returns {object}  { [canonicalField]: pair }
  */
-function buildSuggestedDataValues(matchedPairs, minConfidence = 60) {
-  const result = {};
+function bestPairsByField(matchedPairs, minConfidence) {
+  const best = {};
   for (const pair of matchedPairs) {
     if (
       pair.numericValue !== null &&
@@ -411,15 +403,41 @@ function buildSuggestedDataValues(matchedPairs, minConfidence = 60) {
     ) {
       const field = pair.bestMatch.canonicalField;
       // If multiple pairs map to the same field, take the highest-confidence one
-      if (!result[field] || pair.bestMatch.confidence > (result[`_conf_${field}`] || 0)) {
-        result[field] = pair.numericValue;
-        result[`_conf_${field}`] = pair.bestMatch.confidence;
+      if (!best[field] || pair.bestMatch.confidence > best[field].bestMatch.confidence) {
+        best[field] = pair;
       }
     }
   }
-  // Remove internal _conf_ tracking keys
-  for (const k of Object.keys(result)) {
-    if (k.startsWith('_conf_')) delete result[k];
+  return best;
+}
+
+/**
+ * Build the suggestedDataValues object from matched pairs.
+ * Only includes pairs where bestMatch.confidence >= minConfidence
+ * and numericValue is not null.
+ *
+ * @param {Array}  matchedPairs
+ * @param {number} minConfidence  default 60
+ * @returns {object}  e.g. { consumed_electricity: 100 }
+ */
+function buildSuggestedDataValues(matchedPairs, minConfidence = 60) {
+  const result = {};
+  for (const [field, pair] of Object.entries(bestPairsByField(matchedPairs, minConfidence))) {
+    result[field] = pair.numericValue;
+  }
+  return result;
+}
+
+/**
+ * Units printed next to the suggested values, for the fields where the
+ * extractor recognised one (registry symbols, see common/services/uom).
+ *
+ * @returns {object}  e.g. { consumed_electricity: 'MWh' }
+ */
+function buildSuggestedUnits(matchedPairs, minConfidence = 60) {
+  const result = {};
+  for (const [field, pair] of Object.entries(bestPairsByField(matchedPairs, minConfidence))) {
+    if (pair.unit) result[field] = pair.unit;
   }
   return result;
 }
@@ -437,9 +455,21 @@ function getCanonicalFieldOptions(scopeType, categoryName) {
   }));
 }
 
+/**
+ * Fields of a scope that keep their value when a bill is prorated.
+ * @returns {string[]}
+ */
+function getNonAdditiveFields(scopeType, categoryName) {
+  return Object.entries(getFieldsForScope(scopeType, categoryName))
+    .filter(([, def]) => def.additive === false)
+    .map(([fieldName]) => fieldName);
+}
+
 module.exports = {
   matchFields,
   buildSuggestedDataValues,
+  buildSuggestedUnits,
   getCanonicalFieldOptions,
+  getNonAdditiveFields,
   CANONICAL_FIELDS
 };
@@ -1,39 +1,37 @@
 // utils/OCR/ocrSessionStore.js
-// In-memory TTL session store for OCR extraction sessions.
+// Persistent session store for OCR extraction sessions.
 //
 // Sessions hold the extraction preview data between the /ocr-extract
-// and /ocr-confirm steps. They are intentionally ephemeral:
-// - If the server restarts, sessions are lost — user must re-upload.
-// - Sessions expire after SESSION_TTL_MS (default 30 minutes).
-// - A cleanup interval purges expired sessions every 5 minutes.
+// and /ocr-confirm steps, backed by the OCRReviewSession collection:
+// - They survive restarts and are shared by every app instance.
+// - A reviewer can save progress (reviewState) and resume later, or hand
+//   the session to another user who confirms it.
+// - They expire OCR_SESSION_TTL_MINUTES (default 3 days) after the last
+//   review action; MongoDB's TTL index removes them.
 //
-// If the application scales to multiple processes, replace this with
-// Redis or a lightweight MongoDB collection.
+// MongoDB rather than the bull Redis instance: sessions are listed per client
+// and filtered by scope/assignee, which Redis keys cannot answer without a
+// secondary index of our own.
 
 'use strict';
 
 const { v4: uuidv4 } = require('uuid');
+const OCRReviewSession = require('../../organization/models/OCRReviewSession');
 
-const SESSION_TTL_MS = parseInt(process.env.OCR_SESSION_TTL_MINUTES || '30', 10) * 60 * 1000;
-const CLEANUP_INTERVAL_MS = 5 * 60 * 1000; // every 5 minutes
+const SESSION_TTL_MS = parseInt(process.env.OCR_SESSION_TTL_MINUTES || String(3 * 24 * 60), 10) * 60 * 1000;
 
-/** @type {Map<string, object>} */
-const sessions = new Map();
+// A 'confirming' claim older than this belongs to a request that died
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
 
-// ─────────────────────────────────────────────────────────────────────────────
-// CLEANUP JOB
-// ─────────────────────────────────────────────────────────────────────────────
-const cleanupInterval = setInterval(() => {
-  const now = Date.now();
-  for (const [id, session] of sessions) {
-    if (now > session.expiresAt) {
-      sessions.delete(id);
-    }
-  }
-}, CLEANUP_INTERVAL_MS);
+const nextExpiry = () => new Date(Date.now() + SESSION_TTL_MS);
+
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
 
-// Allow Node.js to exit cleanly even if this interval is still running
-if (cleanupInterval.unref) cleanupInterval.unref();
+// Fields of a record a reviewer may save as work in progress
+const REVIEW_FIELDS = [
+  'date', 'time', 'confirmedDataValues', 'confirmedUnits', 'billingPeriod',
+  'prorate', 'documentIdentifiers', 'corrections', 'userAction', 'note'
+];
 
 // ─────────────────────────────────────────────────────────────────────────────
 // PUBLIC API
@@ -42,70 +40,223 @@ if (cleanupInterval.unref) cleanupInterval.unref();
 /**
  * Create a new extraction session.
  *
- * @param {object} data  Session payload (clientId, nodeId, scopeIdentifier, records, etc.)
- * @returns {string} extractionId — UUID to reference this session on confirm
+ * @param {object} data  Session payload (clientId, nodeId, scopeIdentifier, records, pageTexts,
+ *                       source?, assignedTo? …)
+ * @param {object|null} user  req.user of the uploader; null for sessions opened by email ingestion
+ * @returns {Promise<{ extractionId: string, expiresAt: Date, sessionId: ObjectId }>}
  */
-function createSession(data) {
-  const id = uuidv4();
-  const now = Date.now();
-  sessions.set(id, {
-    ...data,
-    createdAt: now,
-    expiresAt: now + SESSION_TTL_MS
+async function createSession(data, user) {
+  const records = data.records || [];
+  const session = await OCRReviewSession.create({
+    extractionId: uuidv4(),
+    clientId: data.clientId,
+    nodeId: data.nodeId,
+    scopeIdentifier: data.scopeIdentifier,
+    scopeType: data.scopeType || '',
+    categoryName: data.categoryName || '',
+    records,
+    pageTexts: data.pageTexts || {},
+    reviewState: {},
+    summary: {
+      recordCount: records.length,
+      reviewedCount: 0,
+      fileNames: [...new Set(records.map((r) => r.sourceFile).filter(Boolean))]
+    },
+    source: data.source || { type: 'upload' },
+    createdBy: user?._id || user?.id,
+    createdByType: user ? user.userType : data.source?.type,
+    assignedTo: data.assignedTo || null,
+    assignedAt: data.assignedTo ? new Date() : null,
+    lastActivityBy: user?._id || user?.id,
+    lastActivityAt: new Date(),
+    expiresAt: nextExpiry()
   });
-  return id;
+  return { extractionId: session.extractionId, expiresAt: session.expiresAt, sessionId: session._id };
 }
 
 /**
- * Retrieve an active session by extractionId.
- * Returns null if the session does not exist or has expired.
+ * Retrieve a session by extractionId.
+ * Returns null if it does not exist, has expired, or (unless includeClosed)
+ * was already confirmed or cancelled.
  *
  * @param {string} id
- * @returns {object|null}
+ * @param {{ includeClosed?: boolean }} [options]
+ * @returns {Promise<OCRReviewSession|null>}  hydrated document
  */
-function getSession(id) {
+async function getSession(id, { includeClosed = false } = {}) {
   if (!id) return null;
-  const session = sessions.get(id);
-  if (!session) return null;
-  if (Date.now() > session.expiresAt) {
-    sessions.delete(id);
-    return null;
-  }
+  const session = await OCRReviewSession.findOne({ extractionId: id });
+  if (!session || session.expiresAt < new Date()) return null;
+  if (!includeClosed && session.status !== 'in_review') return null;
   return session;
 }
 
 /**
- * Delete a session explicitly (after successful confirm).
+ * Whether a user may act on a session. An assigned session belongs to its
+ * assignee; the uploader keeps access so they can take it back.
+ */
+function canActOnSession(session, user) {
+  if (!session.assignedTo) return true;
+  const userId = user?._id || user?.id;
+  return sameId(session.assignedTo, userId) || sameId(session.createdBy, userId);
+}
+
+/**
+ * Save a reviewer's edits. Entries are merged per recordIndex, so a reviewer
+ * can save one record at a time; the expiry moves forward.
  *
- * @param {string} id
+ * @param {OCRReviewSession} session
+ * @param {Array<object>}    records  [{ recordIndex, ...REVIEW_FIELDS }]
+ * @param {object}           user
+ * @returns {Promise<OCRReviewSession>}
  */
-function deleteSession(id) {
-  sessions.delete(id);
+async function saveReviewState(session, records, user) {
+  const known = new Set((session.records || []).map((r) => r.recordIndex));
+  const state = { ...(session.reviewState || {}) };
+
+  for (const record of records) {
+    if (!known.has(record.recordIndex)) {
+      const err = new Error(`Unknown recordIndex ${record.recordIndex}`);
+      err.statusCode = 400;
+      throw err;
+    }
+    const draft = { ...(state[record.recordIndex] || {}) };
+    for (const field of REVIEW_FIELDS) {
+      if (record[field] !== undefined) draft[field] = record[field];
+    }
+    draft.updatedBy = String(user?._id || user?.id || '');
+    draft.updatedAt = new Date().toISOString();
+    state[record.recordIndex] = draft;
+  }
+
+  session.reviewState = state;
+  session.markModified('reviewState');
+  session.summary.reviewedCount = Object.values(state).filter((d) => d.userAction && d.userAction !== 'pending').length;
+  return touch(session, user);
 }
 
 /**
- * Get the ISO expiry timestamp for a session (for including in responses).
+ * Hand a session to another user.
  *
- * @param {string} id
- * @returns {string|null} ISO datetime string or null
+ * @param {OCRReviewSession} session
+ * @param {{ assignee: ObjectId, assignedBy: object, note?: string }} params
+ * @returns {Promise<OCRReviewSession>}
+ */
+async function assignSession(session, { assignee, assignedBy, note = '' }) {
+  session.handoffs.push({
+    from: session.assignedTo || assignedBy?._id || assignedBy?.id,
+    to: assignee,
+    note
+  });
+  session.assignedTo = assignee;
+  session.assignedAt = new Date();
+  return touch(session, assignedBy);
+}
+
+/**
+ * Claim a session for confirmation (in_review → confirming). The claim is a
+ * single conditional update, so of two concurrent confirms only one saves
+ * the records; a claim left behind by a crashed request can be taken over
+ * after CLAIM_TIMEOUT_MS.
+ *
+ * @param {OCRReviewSession} session
+ * @param {object} user
+ * @returns {Promise<OCRReviewSession|null>}  the claimed session, null when it is not in review
  */
-function getSessionExpiry(id) {
-  const session = sessions.get(id);
-  if (!session) return null;
-  return new Date(session.expiresAt).toISOString();
+async function claimSession(session, user) {
+  const now = new Date();
+  return OCRReviewSession.findOneAndUpdate(
+    {
+      extractionId: session.extractionId,
+      $or: [
+        { status: 'in_review' },
+        { status: 'confirming', lastActivityAt: { $lt: new Date(now.getTime() - CLAIM_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'confirming', lastActivityBy: user?._id || user?.id, lastActivityAt: now } },
+    { new: true }
+  );
+}
+
+/** Put a claimed session back in review, e.g. when some records failed. */
+async function releaseSession(session, user) {
+  session.status = 'in_review';
+  return touch(session, user);
 }
 
 /**
- * Current count of active sessions (for monitoring/debug).
+ * Close a session after confirm ('confirmed') or on request ('cancelled').
+ * It stays readable until it expires so the outcome can be looked up.
+ *
+ * @param {OCRReviewSession} session
+ * @param {'confirmed'|'cancelled'} status
+ * @param {object} user
+ * @param {object} [result]  { savedCount, pendingApprovalCount, errorCount }
  */
-function activeSessionCount() {
-  return sessions.size;
+async function closeSession(session, status, user, result = null) {
+  session.status = status;
+  session.closedBy = user?._id || user?.id;
+  session.closedAt = new Date();
+  session.result = result;
+  // Page texts are no longer needed once the session is closed
+  session.pageTexts = {};
+  session.markModified('pageTexts');
+  return touch(session, user);
+}
+
+/** Record activity and push the expiry forward. */
+async function touch(session, user) {
+  session.lastActivityBy = user?._id || user?.id;
+  session.lastActivityAt = new Date();
+  session.expiresAt = nextExpiry();
+  return session.save();
+}
+
+/**
+ * Sessions of a client, newest activity first, without their contents.
+ *
+ * @param {object} filter  Mongo filter (clientId, status, nodeId …)
+ * @param {{ page?: number, limit?: number }} [options]
+ * @returns {Promise<{ sessions: object[], total: number }>}
+ */
+async function listSessions(filter, { page = 1, limit = 20 } = {}) {
+  const query = { ...filter, expiresAt: { $gt: new Date() } };
+  const [sessions, total] = await Promise.all([
+    OCRReviewSession.find(query)
+      .select('-records -pageTexts -reviewState')
+      .sort({ lastActivityAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('createdBy', 'userName email userType')
+      .populate('assignedTo', 'userName email userType')
+      .lean(),
+    OCRReviewSession.countDocuments(query)
+  ]);
+  return { sessions, total };
+}
+
+/**
+ * Current count of sessions in review (for monitoring/debug).
+ * @param {string} [clientId]
+ */
+function activeSessionCount(clientId) {
+  return OCRReviewSession.countDocuments({
+    ...(clientId ? { clientId } : {}),
+    status: 'in_review',
+    expiresAt: { $gt: new Date() }
+  });
 }
 
 module.exports = {
   createSession,
   getSession,
-  deleteSession,
-  getSessionExpiry,
-  activeSessionCount
+  canActOnSession,
+  saveReviewState,
+  assignSession,
+  claimSession,
+  releaseSession,
+  closeSession,
+  listSessions,
+  activeSessionCount,
+  SESSION_TTL_MS
 };
@@ -10,39 +10,24 @@
 //     {
 //       rawLabel: string,       // label as found in the image
 //       rawValue: string,       // value as found (string)
-//       rawUnit: string|null,   // unit token if detected (e.g. "kWh", "kg", "L")
+//       rawUnit: string|null,   // unit token as printed (e.g. "kWh", "Ltrs", "Rs")
+//       unit: string|null,      // registry symbol when recognised (e.g. "kWh", "L", "INR")
 //       numericValue: number|null  // parsed float or null if non-numeric
 //     }
 //   ],
 //   date: string|null,          // DD/MM/YYYY if found
 //   time: string,               // HH:mm:ss
+//   billingPeriod: { start, end, days, source }|null,  // see billingPeriod.js
 //   rawText: string
 // }
+//
+// extractDocumentFields(pages) does the same over all pages of a document;
+// its pairs also carry sourcePage.
 
 'use strict';
 
-// ─────────────────────────────────────────────────────────────────────────────
-// UNIT TOKENS — used to detect and strip unit from numeric values
-// ─────────────────────────────────────────────────────────────────────────────
-const UNIT_TOKENS = [
-  // Electricity
-  'kwh', 'kw', 'mwh', 'gwh', 'wh',
-  // Fuel / Volume
-  'litres', 'liters', 'ltr', 'ltrs', 'l', 'ml',
-  'gallons', 'gal',
-  // Gas
-  'scm', 'm3', 'm³', 'mmbtu', 'mmBTU', 'btu',
-  // Mass
-  'kg', 'kilograms', 'kilogram', 'grams', 'g',
-  'tonnes', 'tonne', 'mt', 'ton', 'tons',
-  'lbs', 'lb',
-  // Water
-  'kl', 'kilolitres', 'kiloliters',
-  // Currency / financial — we extract but mark separately
-  'inr', 'usd', 'eur', 'gbp', 'rs', '₹', '$', '€', '£',
-  // Generic
-  'units', 'pcs', 'nos', '%',
-].map(u => u.toLowerCase());
+const uom = require('../../../../common/services/uom/uomService');
+const { extractBillingPeriod } = require('./billingPeriod');
 
 // Date patterns (same as fieldExtractor)
 const DATE_PATTERNS = [
@@ -77,9 +62,15 @@ function normalizeLabel(label) {
     .trim();
 }
 
-function detectUnit(token) {
-  const t = token.toLowerCase().replace(/[^a-z₹$€£%³]/g, '');
-  return UNIT_TOKENS.includes(t) ? token : null;
+/**
+ * Registry symbol for a printed unit token, or for the currency sign leading
+ * the number ("₹ 1,200"); null when neither is a known unit.
+ */
+function detectUnit(token, numberToken = '') {
+  const unit = token ? uom.parseUnit(token) : null;
+  if (unit) return unit.symbol;
+  const sign = String(numberToken).trim().match(/^[₹$€£]/);
+  return sign ? uom.parseUnit(sign[0]).symbol : null;
 }
 
 function extractDate(text) {
@@ -108,7 +99,7 @@ function extractTime(text) {
 
 // ─────────────────────────────────────────────────────────────────────────────
 // EXTRACTION STRATEGIES
-// Each returns an array of { rawLabel, rawValue, rawUnit, numericValue }
+// Each returns an array of { rawLabel, rawValue, rawUnit, unit, numericValue }
 // ─────────────────────────────────────────────────────────────────────────────
 
 /**
@@ -177,6 +168,7 @@ function extractConsumptionTable(text) {
         rawLabel:     `${unitLabel} Cons`,
         rawValue:     String(consVal),
         rawUnit:      'kWh',
+        unit:         'kWh',
         numericValue: consVal
       });
 
@@ -192,6 +184,7 @@ function extractConsumptionTable(text) {
         rawLabel:     'Total Cons',
         rawValue:     String(totalCons),
         rawUnit:      'kWh',
+        unit:         'kWh',
         numericValue: totalCons
       });
     }
@@ -220,11 +213,11 @@ function extractColonPattern(text) {
     const numMatch = valueRaw.match(/^([₹$€£]?\s*[\d,]+\.?\d*)\s*([A-Za-z₹$€£%³°]+)?/);
     if (numMatch) {
       const numericValue = parseNumber(numMatch[1]);
-      const rawUnit = numMatch[2] ? detectUnit(numMatch[2]) : null;
       results.push({
         rawLabel,
         rawValue: valueRaw.slice(0, 100),
-        rawUnit: rawUnit || numMatch[2] || null,
+        rawUnit: numMatch[2] || null,
+        unit: detectUnit(numMatch[2], numMatch[1]),
         numericValue
       });
     } else if (valueRaw.length <= 80) {
@@ -233,6 +226,7 @@ function extractColonPattern(text) {
         rawLabel,
         rawValue: valueRaw.slice(0, 100),
         rawUnit: null,
+        unit: null,
         numericValue: null
       });
     }
@@ -256,11 +250,11 @@ function extractDashPattern(text) {
     const numMatch = valueRaw.match(/^([₹$€£]?\s*[\d,]+\.?\d*)\s*([A-Za-z₹$€£%³°]+)?/);
     if (numMatch) {
       const numericValue = parseNumber(numMatch[1]);
-      const rawUnit = numMatch[2] ? detectUnit(numMatch[2]) : null;
       results.push({
         rawLabel,
         rawValue: valueRaw.slice(0, 100),
-        rawUnit: rawUnit || numMatch[2] || null,
+        rawUnit: numMatch[2] || null,
+        unit: detectUnit(numMatch[2], numMatch[1]),
         numericValue
       });
     }
@@ -283,11 +277,11 @@ function extractLabeledNumbers(text) {
     const numericValue = parseNumber(m[2]);
     if (!rawLabel || rawLabel.length < 3 || numericValue === null) continue;
 
-    const rawUnit = m[3] ? (detectUnit(m[3]) || m[3] || null) : null;
     results.push({
       rawLabel,
       rawValue: m[2].trim() + (m[3] ? ' ' + m[3] : ''),
-      rawUnit,
+      rawUnit: m[3] || null,
+      unit: detectUnit(m[3], m[2]),
       numericValue
     });
   }
@@ -332,7 +326,7 @@ function deduplicatePairs(pairs) {
  */
 function extractAllFields(text) {
   if (!text || typeof text !== 'string' || !text.trim()) {
-    return { extractedPairs: [], date: null, time: '00:00:00', rawText: '' };
+    return { extractedPairs: [], date: null, time: '00:00:00', billingPeriod: null, rawText: '' };
   }
 
   const date = extractDate(text);
@@ -354,8 +348,35 @@ function extractAllFields(text) {
     extractedPairs,
     date,
     time,
+    billingPeriod: extractBillingPeriod(text),
     rawText: text
   };
 }
 
-module.exports = { extractAllFields };
+/**
+ * Extract fields from a multi-page document as one record. Pages are read in
+ * order; a label found on several pages keeps its first occurrence, and the
+ * date / billing period come from the first page that has one.
+ *
+ * @param {Array<{ pageNumber: number|null, text: string }>} pages
+ * @returns {{ extractedPairs, date, time, billingPeriod, rawText }}
+ */
+function extractDocumentFields(pages) {
+  const perPage = (pages || []).map(({ pageNumber, text }) => ({ pageNumber, ...extractAllFields(text) }));
+
+  const combined = [];
+  for (const page of perPage) {
+    for (const pair of page.extractedPairs) combined.push({ ...pair, sourcePage: page.pageNumber ?? null });
+  }
+  const first = (key) => perPage.find((p) => p[key])?.[key] || null;
+
+  return {
+    extractedPairs: deduplicatePairs(combined),
+    date: first('date'),
+    time: perPage.find((p) => p.time !== '00:00:00')?.time || '00:00:00',
+    billingPeriod: first('billingPeriod'),
+    rawText: perPage.map((p) => p.rawText).filter(Boolean).join('\n\n')
+  };
+}
+
+module.exports = { extractAllFields, extractDocumentFields };
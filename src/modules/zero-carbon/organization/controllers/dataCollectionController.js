@@ -6,6 +6,7 @@ const User = require('../../../../common/models/User');
 const csvtojson = require('csvtojson');
 const moment = require('moment');
 const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
 
 const ProcessFlowchart = require('../models/ProcessFlowchart');
 const { createProcessEmissionDataEntry } = require('../utils/ProcessEmission/createProcessEmissionDataEntry');
@@ -41,11 +42,24 @@ const {
   logDataEntryImport,
   logDataEntryInputTypeSwitch,
 } = require('../../workflow/audit/dataEntryAuditLog');
+const { applyUnitConversions } = require('../utils/unitNormalization');
 
 // ── Threshold Verification ────────────────────────────────────────────────────
 const { checkDataEntry } = require('../../verification/services/thresholdVerificationService');
 const PendingApproval = require('../../verification/PendingApproval');
-const { notifyConsultantAdminOfAnomaly } = require('../../workflow/notifications/thresholdNotifications');
+const {
+  notifyConsultantAdminOfAnomaly,
+  notifyConsultantAdminOfDuplicate
+} = require('../../workflow/notifications/thresholdNotifications');
+const {
+  DuplicateEntryError,
+  hashBuffer,
+  rowFingerprint,
+  buildFingerprint,
+  findDuplicates,
+  duplicateAction,
+  buildDuplicateMeta
+} = require('../../verification/services/duplicateDetectionService');
 // ─────────────────────────────────────────────────────────────────────────────
 
 
@@ -895,7 +909,7 @@ exports.getDataByUserNode = async (req, res) => {
 const saveAPIData = async (req, res) => {
   try {
     const { clientId, nodeId, scopeIdentifier } = req.params;
-    const { data, date, time, dataValues, emissionFactor } = req.body;
+    const { data, date, time, dataValues, emissionFactor, units, unit } = req.body;
 
     // Check permissions for API data operations
     // NOTE: Permission check is removed to allow direct data ingestion from API sources.
@@ -971,6 +985,19 @@ const saveAPIData = async (req, res) => {
     const apiData = dataValues || data; // Check for dataValues first, then data
     const processedData = normalizeDataPayload(apiData, scopeConfig, 'API');
 
+    // Values declared in another unit are converted to the scope's unit
+    let unitConversions;
+    try {
+      unitConversions = applyUnitConversions(
+        processedData,
+        { ...apiData, units: units ?? apiData?.units, unit: unit ?? apiData?.unit },
+        scopeConfig
+      );
+    } catch (error) {
+      if (error.name !== 'UomError') throw error;
+      return res.status(error.status).json({ message: error.message, code: error.code });
+    }
+
     // Ensure dataValues is a Map
     let dataMap;
     try {
@@ -989,7 +1016,8 @@ const saveAPIData = async (req, res) => {
         nodeId,
         scopeIdentifier,
         numericMap: dataMap,
-        inputType: 'API'
+        inputType: 'API',
+        timestamp
       });
 
       if (checkResult.shouldRequireApproval) {
@@ -1013,6 +1041,7 @@ const saveAPIData = async (req, res) => {
             time: formattedTime,
             timestamp,
             dataValues: serializedDataValues,
+            unitConversions,
             emissionFactor: emissionFactor || scopeConfig.emissionFactor || '',
             sourceDetails: {
               apiEndpoint: scopeConfig.apiEndpoint,
@@ -1033,6 +1062,8 @@ const saveAPIData = async (req, res) => {
           historicalAverage: checkResult.meta.historicalAverageDailyValue,
           deviationPct: checkResult.meta.deviationPercentage,
           thresholdPct: checkResult.meta.thresholdPercentage,
+          detectionMethod: checkResult.meta.detectionMethod,
+          anomalyReason: checkResult.meta.anomalyReason,
           frequency: checkResult.meta.frequency,
           inputType: 'API',
           flowType: 'dataEntry',
@@ -1069,6 +1100,7 @@ const saveAPIData = async (req, res) => {
       time: formattedTime,
       timestamp,
       dataValues: dataMap,
+      unitConversions,
       emissionFactor: emissionFactor || scopeConfig.emissionFactor || '',
       sourceDetails: {
         apiEndpoint: scopeConfig.apiEndpoint,
@@ -1182,251 +1214,339 @@ const saveAPIData = async (req, res) => {
 
 
 
-// Save IoT Data with cumulative tracking
-// Save IoT Data with cumulative tracking
-const saveIoTData = async (req, res) => {
-  try {
-    const { clientId, nodeId, scopeIdentifier } = req.params;
-    const { data, date, time, dataValues, emissionFactor } = req.body;
-
-    // 1) Permission check
-    // NOTE: Permission check is removed to allow direct data ingestion from IoT devices.
-
-    // 2) Validate prerequisites
-    const validation = await validateEmissionPrerequisites(
-      clientId, nodeId, scopeIdentifier
-    );
-    if (!validation.isValid) {
-      return res.status(400).json({
-        message: 'Cannot process IoT data: ' + validation.message
-      });
-    }
-    let scopeConfig = validation.scopeConfig;
-
-    // 3) Locate the exact scopeConfig from the flowchart (to pick up iotDeviceId, etc.)
-    const activeChart = await getActiveFlowchart(clientId);
-    if (!activeChart) {
-      return res.status(404).json({ message: 'No active flowchart found' });
-    }
-    const flowchart = activeChart.chart;
-    for (const node of flowchart.nodes) {
-      if (node.id === nodeId) {
-        const scope = node.details.scopeDetails.find(
-          s => s.scopeIdentifier === scopeIdentifier && s.inputType === 'IOT'
-        );
-        if (scope) {
-          scopeConfig = scope;
-          break;
-        }
-      }
-    }
-    if (!scopeConfig) {
-      return res.status(400).json({ message: 'Invalid IoT scope configuration' });
-    }
-
-    // ---- GATE: refuse IoT data when inactive ----
-    const cfg = await DataCollectionConfig.findOne({ clientId, nodeId, scopeIdentifier }).lean();
-    const iotGateActive = (cfg?.connectionDetails?.isActive ?? scopeConfig.iotStatus) === true;
-    if (!iotGateActive) {
-      return res.status(409).json({
-        message: 'iotStatus connection is disabled. Data not accepted.',
-        accepted: false,
-        reason: 'connection_disabled',
-        scopeIdentifier
-      });
+/**
+ * Core IoT ingestion shared by the HTTP endpoint (saveIoTData) and the MQTT
+ * pipeline (iot/services/mqttIngestionService). Runs the full path: scope
+ * gate → normalisation → threshold check → DataEntry → emission calculation.
+ *
+ * Never touches an HTTP response — returns { status, body } for the caller
+ * to send or record. Unexpected errors are thrown.
+ *
+ * @param {object} params
+ * @param {string} params.clientId
+ * @param {string} params.nodeId
+ * @param {string} params.scopeIdentifier
+ * @param {object} params.dataValues       — key/value reading(s)
+ * @param {string} [params.date]           — DD/MM/YYYY (default: now)
+ * @param {string} [params.time]           — HH:mm:ss   (default: now)
+ * @param {string} [params.emissionFactor]
+ * @param {object} [params.units]          — unit per field, e.g. { consumed_electricity: 'MWh' }
+ * @param {string} [params.unit]           — unit of a single-field reading
+ * @param {object} [params.user]           — authenticated user, if any
+ * @param {object} [params.sourceDetails]  — extra sourceDetails (e.g. iotDeviceId, mqttTopic)
+ * @param {object} [params.iotWindow]      — { deviceId, windowStart } of an aggregated
+ *                                            window; at most one entry is kept per window,
+ *                                            an existing one is returned with status 200
+ * @returns {Promise<{ status: number, body: object, entry?: object }>}
+ */
+const ingestIoTReading = async ({
+  clientId,
+  nodeId,
+  scopeIdentifier,
+  dataValues,
+  date,
+  time,
+  emissionFactor,
+  units = null,
+  unit = null,
+  user = null,
+  sourceDetails: extraSourceDetails = {},
+  iotWindow = null
+}) => {
+
+  // 1) Permission check
+  // NOTE: Permission check is removed to allow direct data ingestion from IoT devices.
+
+  // 1b) An aggregated window is recorded once (entry or held for approval)
+  const windowQuery = iotWindow && {
+    'iotWindow.deviceId': iotWindow.deviceId,
+    'iotWindow.windowStart': iotWindow.windowStart
+  };
+  const windowAlreadyRecorded = async () => {
+    const existing = await DataEntry.findOne(windowQuery).select('_id').lean();
+    return existing && { status: 200, body: { message: 'IoT window already recorded', dataEntryId: existing._id }, entry: existing };
+  };
+  if (iotWindow) {
+    const recorded = await windowAlreadyRecorded();
+    if (recorded) return recorded;
+    const held = await PendingApproval.findOne({
+      flowType: 'dataEntry',
+      'originalPayload.iotWindow.deviceId': iotWindow.deviceId,
+      'originalPayload.iotWindow.windowStart': iotWindow.windowStart
+    }).select('_id').lean();
+    if (held) {
+      return { status: 202, body: { success: false, intercepted: true, message: 'IoT window already held for approval', pendingApprovalId: held._id } };
     }
-    // ---- END GATE ----
-
-    // 4) Normalize incoming IoT payload
-    const iotData = dataValues || data;
-    const processedData = normalizeDataPayload(iotData, scopeConfig, 'IOT');
+  }
 
-    // 5) Handle date/time
-    const rawDate = date || moment().format('DD/MM/YYYY');
-    const rawTime = time || moment().format('HH:mm:ss');
-    const dateMoment = moment(rawDate, 'DD/MM/YYYY', true);
-    const timeMoment = moment(rawTime, 'HH:mm:ss', true);
-    if (!dateMoment.isValid() || !timeMoment.isValid()) {
-      return res.status(400).json({ message: 'Invalid date/time format' });
-    }
-    const formattedDate = dateMoment.format('DD:MM:YYYY');
-    const formattedTime = timeMoment.format('HH:mm:ss');
-    const [day, month, year] = formattedDate.split(':').map(Number);
-    const [hour, minute, second] = formattedTime.split(':').map(Number);
-    const timestamp = new Date(year, month - 1, day, hour, minute, second);
+  // 2) Validate prerequisites
+  const validation = await validateEmissionPrerequisites(
+    clientId, nodeId, scopeIdentifier
+  );
+  if (!validation.isValid) {
+    return { status: 400, body: {
+      message: 'Cannot process IoT data: ' + validation.message
+    } };
+  }
+  let scopeConfig = validation.scopeConfig;
 
-    // 6) Ensure processedData is a Map for cumulative tracking
-    let dataMap;
-    try {
-      dataMap = ensureDataIsMap(processedData);
-    } catch (err) {
-      return res.status(400).json({
-        message: 'Invalid format: Please provide key-value structured IoT data.',
-        error: err.message
-      });
+  // 3) Locate the exact scopeConfig from the flowchart (to pick up iotDeviceId, etc.)
+  const activeChart = await getActiveFlowchart(clientId);
+  if (!activeChart) {
+    return { status: 404, body: { message: 'No active flowchart found' } };
+  }
+  const flowchart = activeChart.chart;
+  for (const node of flowchart.nodes) {
+    if (node.id === nodeId) {
+      const scope = node.details.scopeDetails.find(
+        s => s.scopeIdentifier === scopeIdentifier && s.inputType === 'IOT'
+      );
+      if (scope) {
+        scopeConfig = scope;
+        break;
+      }
     }
+  }
+  if (!scopeConfig) {
+    return { status: 400, body: { message: 'Invalid IoT scope configuration' } };
+  }
 
-    // ── THRESHOLD VERIFICATION (IoT) ─────────────────────────────────────────
-    try {
-      const checkResult = await checkDataEntry({
-        clientId,
-        nodeId,
-        scopeIdentifier,
-        numericMap: dataMap,
-        inputType: 'IOT'
-      });
-
-      if (checkResult.shouldRequireApproval) {
-        const serializedDataValues = {};
-        for (const [k, v] of dataMap) {
-          serializedDataValues[k] = v;
-        }
+  // ---- GATE: refuse IoT data when inactive ----
+  const cfg = await DataCollectionConfig.findOne({ clientId, nodeId, scopeIdentifier }).lean();
+  const iotGateActive = (cfg?.connectionDetails?.isActive ?? scopeConfig.iotStatus) === true;
+  if (!iotGateActive) {
+    return { status: 409, body: {
+      message: 'iotStatus connection is disabled. Data not accepted.',
+      accepted: false,
+      reason: 'connection_disabled',
+      scopeIdentifier
+    } };
+  }
+  // ---- END GATE ----
 
-        const pending = await PendingApproval.create({
-          flowType: 'dataEntry',
-          clientId,
-          nodeId,
-          scopeIdentifier,
-          status: 'Pending_Approval',
-          inputType: 'IOT',
-          originalPayload: {
-            clientId, nodeId, scopeIdentifier,
-            scopeType: scopeConfig.scopeType,
-            inputType: 'IOT',
-            date: formattedDate,
-            time: formattedTime,
-            timestamp,
-            dataValues: serializedDataValues,
-            emissionFactor: emissionFactor || scopeConfig.emissionFactor || '',
-            sourceDetails: {
-              iotDeviceId: scopeConfig.iotDeviceId,
-              uploadedBy: req.user?._id,
-              dataSource: 'IOT'
-            }
-          },
-          verificationMeta: checkResult.meta,
-          submittedBy: req.user?._id,
-          submittedByType: req.user?.userType
-        });
+  // 4) Normalize incoming IoT payload
+  const iotData = dataValues;
+  const processedData = normalizeDataPayload(iotData, scopeConfig, 'IOT');
 
-        const notification = await notifyConsultantAdminOfAnomaly({
-          clientId,
-          scopeIdentifier,
-          pendingApprovalId: pending._id,
-          normalizedValue: checkResult.meta.normalizedIncomingValue,
-          historicalAverage: checkResult.meta.historicalAverageDailyValue,
-          deviationPct: checkResult.meta.deviationPercentage,
-          thresholdPct: checkResult.meta.thresholdPercentage,
-          frequency: checkResult.meta.frequency,
-          inputType: 'IOT',
-          flowType: 'dataEntry',
-          submittedBy: req.user?._id,
-          submittedByType: req.user?.userType
-        });
-
-        if (notification) {
-          pending.notificationId = notification._id;
-          await pending.save();
-        }
+  // Readings declared in another unit are converted to the scope's unit
+  let unitConversions;
+  try {
+    unitConversions = applyUnitConversions(
+      processedData,
+      { ...iotData, units: units ?? iotData?.units, unit: unit ?? iotData?.unit },
+      scopeConfig
+    );
+  } catch (err) {
+    if (err.name !== 'UomError') throw err;
+    return { status: err.status, body: { message: err.message, code: err.code } };
+  }
 
-        return res.status(202).json({
-          success: false,
-          intercepted: true,
-          message: 'Anomaly detected in IoT data. Entry held for consultant_admin approval.',
-          pendingApprovalId: pending._id,
-          verificationMeta: checkResult.meta
-        });
-      }
-    } catch (thresholdErr) {
-      console.error('[saveIoTData] Threshold check error (continuing):', thresholdErr.message);
-    }
-    // ── END THRESHOLD VERIFICATION ────────────────────────────────────────────
+  // 5) Handle date/time
+  const rawDate = date || moment().format('DD/MM/YYYY');
+  const rawTime = time || moment().format('HH:mm:ss');
+  const dateMoment = moment(rawDate, 'DD/MM/YYYY', true);
+  const timeMoment = moment(rawTime, 'HH:mm:ss', true);
+  if (!dateMoment.isValid() || !timeMoment.isValid()) {
+    return { status: 400, body: { message: 'Invalid date/time format' } };
+  }
+  const formattedDate = dateMoment.format('DD:MM:YYYY');
+  const formattedTime = timeMoment.format('HH:mm:ss');
+  const [day, month, year] = formattedDate.split(':').map(Number);
+  const [hour, minute, second] = formattedTime.split(':').map(Number);
+  const timestamp = new Date(year, month - 1, day, hour, minute, second);
+
+  // 6) Ensure processedData is a Map for cumulative tracking
+  let dataMap;
+  try {
+    dataMap = ensureDataIsMap(processedData);
+  } catch (err) {
+    return { status: 400, body: {
+      message: 'Invalid format: Please provide key-value structured IoT data.',
+      error: err.message
+    } };
+  }
 
-    // 7) Persist the entry
-    const entry = new DataEntry({
+  // ── THRESHOLD VERIFICATION (IoT) ─────────────────────────────────────────
+  try {
+    const checkResult = await checkDataEntry({
       clientId,
       nodeId,
       scopeIdentifier,
-      scopeType: scopeConfig.scopeType,
+      numericMap: dataMap,
       inputType: 'IOT',
-      date: formattedDate,
-      time: formattedTime,
-      timestamp,
-      dataValues: dataMap,
-      emissionFactor: emissionFactor || scopeConfig.emissionFactor || '',
-      sourceDetails: {
-        iotDeviceId: scopeConfig.iotDeviceId,
-        uploadedBy: req.user?._id, // optional chaining
-        dataSource: 'IOT'
-      },
-      isEditable: false,
-      processingStatus: 'pending'
+      timestamp
     });
-    await entry.save();
 
-    // 8) Trigger your calculation pipeline
-    await triggerEmissionCalculation(entry);
+    if (checkResult.shouldRequireApproval) {
+      const serializedDataValues = {};
+      for (const [k, v] of dataMap) {
+        serializedDataValues[k] = v;
+      }
 
-    // 9) Upsert collection config
-    const collectionConfig = await DataCollectionConfig.findOneAndUpdate(
-      { clientId, nodeId, scopeIdentifier },
-      {
-        $setOnInsert: {
+      const pending = await PendingApproval.create({
+        flowType: 'dataEntry',
+        clientId,
+        nodeId,
+        scopeIdentifier,
+        status: 'Pending_Approval',
+        inputType: 'IOT',
+        originalPayload: {
+          clientId, nodeId, scopeIdentifier,
           scopeType: scopeConfig.scopeType,
           inputType: 'IOT',
-          createdBy: req.user?._id // optional chaining
-        }
-      },
-      { upsert: true, new: true }
-    );
-    collectionConfig.updateCollectionStatus(entry._id, timestamp);
-    await collectionConfig.save();
+          date: formattedDate,
+          time: formattedTime,
+          timestamp,
+          dataValues: serializedDataValues,
+          unitConversions,
+          emissionFactor: emissionFactor || scopeConfig.emissionFactor || '',
+          sourceDetails: {
+            iotDeviceId: scopeConfig.iotDeviceId,
+            uploadedBy: user?._id,
+            dataSource: 'IOT',
+            ...extraSourceDetails
+          },
+          ...(iotWindow ? { iotWindow } : {})
+        },
+        verificationMeta: checkResult.meta,
+        submittedBy: user?._id,
+        submittedByType: user?.userType
+      });
 
-    // 10) Prepare calculated emissions for response
-    const { incoming: inMap, cumulative: cumMap, metadata } = entry.calculatedEmissions || {};
-    const mapToObject = m => (m instanceof Map ? Object.fromEntries(m) : (m || {}));
+      const notification = await notifyConsultantAdminOfAnomaly({
+        clientId,
+        scopeIdentifier,
+        pendingApprovalId: pending._id,
+        normalizedValue: checkResult.meta.normalizedIncomingValue,
+        historicalAverage: checkResult.meta.historicalAverageDailyValue,
+        deviationPct: checkResult.meta.deviationPercentage,
+        thresholdPct: checkResult.meta.thresholdPercentage,
+        detectionMethod: checkResult.meta.detectionMethod,
+        anomalyReason: checkResult.meta.anomalyReason,
+        frequency: checkResult.meta.frequency,
+        inputType: 'IOT',
+        flowType: 'dataEntry',
+        submittedBy: user?._id,
+        submittedByType: user?.userType
+      });
 
-    // ✅ NEW: attach dataEntryCumulative (already computed by model pre-save hook)
-    const dataEntryCumulative =
-      entry.dataEntryCumulative
-        ? {
-            incomingTotalValue: Number(entry.dataEntryCumulative.incomingTotalValue || 0),
-            cumulativeTotalValue: Number(entry.dataEntryCumulative.cumulativeTotalValue || 0),
-            entryCount: Number(entry.dataEntryCumulative.entryCount || 0),
-            lastUpdatedAt: entry.dataEntryCumulative.lastUpdatedAt || null
-          }
-        : null;
+      if (notification) {
+        pending.notificationId = notification._id;
+        await pending.save();
+      }
 
-    // 11) Emit a real-time update
-    emitDataUpdate('iot-data-saved', {
-      clientId,
-      nodeId,
-      scopeIdentifier,
-      dataId: entry._id,
-      timestamp,
-      dataValues: Object.fromEntries(entry.dataValues),
-      cumulativeValues: Object.fromEntries(entry.cumulativeValues),
-      highData: Object.fromEntries(entry.highData),
-      lowData: Object.fromEntries(entry.lowData),
-      lastEnteredData: Object.fromEntries(entry.lastEnteredData),
+      return { status: 202, body: {
+        success: false,
+        intercepted: true,
+        message: 'Anomaly detected in IoT data. Entry held for consultant_admin approval.',
+        pendingApprovalId: pending._id,
+        verificationMeta: checkResult.meta
+      } };
+    }
+  } catch (thresholdErr) {
+    console.error('[ingestIoTReading] Threshold check error (continuing):', thresholdErr.message);
+  }
+  // ── END THRESHOLD VERIFICATION ────────────────────────────────────────────
 
-      // ✅ NEW: emit dataEntryCumulative
-      dataEntryCumulative,
+  // 7) Persist the entry
+  const entry = new DataEntry({
+    clientId,
+    nodeId,
+    scopeIdentifier,
+    scopeType: scopeConfig.scopeType,
+    inputType: 'IOT',
+    date: formattedDate,
+    time: formattedTime,
+    timestamp,
+    dataValues: dataMap,
+    unitConversions,
+    emissionFactor: emissionFactor || scopeConfig.emissionFactor || '',
+    sourceDetails: {
+      iotDeviceId: scopeConfig.iotDeviceId,
+      uploadedBy: user?._id, // optional chaining
+      dataSource: 'IOT',
+      ...extraSourceDetails
+    },
+    isEditable: false,
+    processingStatus: 'pending',
+    ...(iotWindow ? { iotWindow } : {})
+  });
+  try {
+    await entry.save();
+  } catch (err) {
+    // Another flush of the same window saved first
+    if (err.code !== 11000 || !iotWindow) throw err;
+    const recorded = await windowAlreadyRecorded();
+    if (recorded) return recorded;
+    throw err;
+  }
 
-      calculatedEmissions: {
-        incoming: mapToObject(inMap),
-        cumulative: mapToObject(cumMap),
-        metadata: metadata || {}
+  // 8) Trigger your calculation pipeline
+  await triggerEmissionCalculation(entry);
+
+  // 9) Upsert collection config
+  const collectionConfig = await DataCollectionConfig.findOneAndUpdate(
+    { clientId, nodeId, scopeIdentifier },
+    {
+      $setOnInsert: {
+        scopeType: scopeConfig.scopeType,
+        inputType: 'IOT',
+        createdBy: user?._id // optional chaining
       }
-    });
+    },
+    { upsert: true, new: true }
+  );
+  collectionConfig.updateCollectionStatus(entry._id, timestamp);
+  await collectionConfig.save();
 
-    // 🔁 push updated data-completion stats for this client
-    if (global.broadcastDataCompletionUpdate) {
-      global.broadcastDataCompletionUpdate(clientId);
+  // 10) Prepare calculated emissions for response
+  const { incoming: inMap, cumulative: cumMap, metadata } = entry.calculatedEmissions || {};
+  const mapToObject = m => (m instanceof Map ? Object.fromEntries(m) : (m || {}));
+
+  // ✅ NEW: attach dataEntryCumulative (already computed by model pre-save hook)
+  const dataEntryCumulative =
+    entry.dataEntryCumulative
+      ? {
+          incomingTotalValue: Number(entry.dataEntryCumulative.incomingTotalValue || 0),
+          cumulativeTotalValue: Number(entry.dataEntryCumulative.cumulativeTotalValue || 0),
+          entryCount: Number(entry.dataEntryCumulative.entryCount || 0),
+          lastUpdatedAt: entry.dataEntryCumulative.lastUpdatedAt || null
+        }
+      : null;
+
+  // 11) Emit a real-time update
+  emitDataUpdate('iot-data-saved', {
+    clientId,
+    nodeId,
+    scopeIdentifier,
+    dataId: entry._id,
+    timestamp,
+    dataValues: Object.fromEntries(entry.dataValues),
+    cumulativeValues: Object.fromEntries(entry.cumulativeValues),
+    highData: Object.fromEntries(entry.highData),
+    lowData: Object.fromEntries(entry.lowData),
+    lastEnteredData: Object.fromEntries(entry.lastEnteredData),
+
+    // ✅ NEW: emit dataEntryCumulative
+    dataEntryCumulative,
+
+    calculatedEmissions: {
+      incoming: mapToObject(inMap),
+      cumulative: mapToObject(cumMap),
+      metadata: metadata || {}
     }
+  });
 
-    // 12) Response
-    res.status(201).json({
+  // 🔁 push updated data-completion stats for this client
+  if (global.broadcastDataCompletionUpdate) {
+    global.broadcastDataCompletionUpdate(clientId);
+  }
+
+  // 12) Response
+  return {
+    status: 201,
+    entry,
+    body: {
       message: 'IoT data saved successfully',
       dataId: entry._id,
       cumulativeValues: Object.fromEntries(entry.cumulativeValues),
@@ -1442,8 +1562,29 @@ const saveIoTData = async (req, res) => {
         cumulative: mapToObject(cumMap),
         metadata: metadata || {}
       }
-    });
+    }
+  };
+};
+
+// Save IoT Data with cumulative tracking
+const saveIoTData = async (req, res) => {
+  try {
+    const { clientId, nodeId, scopeIdentifier } = req.params;
+    const { data, date, time, dataValues, emissionFactor, units, unit } = req.body;
 
+    const { status, body } = await ingestIoTReading({
+      clientId,
+      nodeId,
+      scopeIdentifier,
+      dataValues: dataValues || data,
+      date,
+      time,
+      emissionFactor,
+      units,
+      unit,
+      user: req.user
+    });
+    return res.status(status).json(body);
   } catch (error) {
     console.error('Save IoT data error:', error);
     res.status(500).json({
@@ -1465,14 +1606,16 @@ const saveIoTData = async (req, res) => {
 // Accept both { a:1, b:2 } and { dataValues:{ a:1, b:2 }, date, time, emissionFactor }
 function unwrapDataRow(row = {}) {
   if (row && typeof row === 'object' && row.dataValues && typeof row.dataValues === 'object') {
-    const { dataValues, date, Date, time, Time, timestamp, emissionFactor, EF, ef } = row;
+    const { dataValues, date, Date, time, Time, timestamp, emissionFactor, EF, ef, units, unit } = row;
     return {
       ...(dataValues || {}),
       // keep common meta fields if provided at top-level
       date: date ?? Date,
       time: time ?? Time,
       timestamp,
-      emissionFactor: emissionFactor ?? EF ?? ef
+      emissionFactor: emissionFactor ?? EF ?? ef,
+      units: units ?? dataValues.units,
+      unit: unit ?? dataValues.unit
     };
   }
   return row;
@@ -1776,13 +1919,40 @@ function parseRowDateTimeOrNowIST(row = {}) {
 
 
 /**
- * Store one data row as DataEntry and trigger emission calculation
+ * sourceDetails of an OCR entry: the document (S3 key + pages) it was read
+ * from and, for prorated bills, the billing period and this entry's share.
+ */
+function ocrSourceDetails(ocrMeta) {
+  return {
+    fileName: ocrMeta?.fileName || '',
+    dataSource: 'ocr',
+    ocrDocumentKey: ocrMeta?.s3Key || null,
+    ocrConfidence: ocrMeta?.ocrConfidence || null,
+    ...(ocrMeta?.pages?.length ? { ocrPages: ocrMeta.pages } : {}),
+    ...(ocrMeta?.batchId ? { batchId: ocrMeta.batchId } : {}),
+    ...(ocrMeta?.billingPeriod
+      ? { billingPeriodStart: ocrMeta.billingPeriod.start, billingPeriodEnd: ocrMeta.billingPeriod.end }
+      : {}),
+    ...(ocrMeta?.proration ? { proration: ocrMeta.proration } : {})
+  };
+}
+
+/**
+ * Store one data row as DataEntry and trigger emission calculation.
+ *
+ * duplicateCheck (OCR / CSV uploads) — { fileHash, contentHash, batchId,
+ * period, onDuplicate, matches? }: the entry is fingerprinted and compared
+ * with what is already saved for the node/scope (see duplicateDetectionService).
+ * Exact duplicates throw DuplicateEntryError (409) unless onDuplicate is
+ * 'review'; overlapping periods are held in PendingApproval. Pass matches
+ * when the caller already looked them up for a whole document.
  */
 async function saveOneEntry({
   req, clientId, nodeId, scopeIdentifier, scope, node, inputSource, row,
   csvMeta = null,
   overrideInputType = null,
   ocrMeta = null,
+  duplicateCheck = null,
   _bypassThreshold = false
 }) {
   // ✅ IMPORTANT: unwrap first so date/time can be read even if inside { dataValues: {...} }
@@ -1797,6 +1967,105 @@ async function saveOneEntry({
   delete pd.time;
   delete pd.timestamp;
 
+  // Values declared in another unit are converted to the scope's unit (throws 422 on mismatch)
+  const unitConversions = applyUnitConversions(pd, rawRow, scope);
+
+  const inputType = overrideInputType || 'manual';
+  const sourceDetails = {
+    uploadedBy: req.user._id || req.user.id,
+    ...(inputSource === 'CSV'
+      ? { fileName: csvMeta?.fileName || '', dataSource: 'csv' }
+      : inputSource === 'OCR'
+        ? ocrSourceDetails(ocrMeta)
+        : { dataSource: 'manual' })
+  };
+  const emissionFactor = resolveEmissionFactor(rawRow?.emissionFactor, scope?.emissionFactor);
+
+  const documentFingerprint = duplicateCheck
+    ? buildFingerprint({
+        ...duplicateCheck,
+        rowHash: rowFingerprint(when.timestamp, toNumericMap(pd))
+      })
+    : null;
+
+  // Payload replayed by approvePendingEntry when a held entry is approved
+  const pendingPayload = () => ({
+    clientId,
+    nodeId,
+    scopeIdentifier,
+    scopeType: scope.scopeType,
+    inputType,
+    date: when.date,
+    time: when.time,
+    timestamp: when.timestamp,
+    dataValues: toNumericMap(pd),
+    unitConversions,
+    emissionFactor,
+    sourceDetails,
+    ...(documentFingerprint ? { documentFingerprint } : {})
+  });
+
+  // ── DUPLICATE DETECTION ───────────────────────────────────────────────────
+  // The same bill or CSV row uploaded again is blocked (or held for review
+  // when the uploader asks); an upload overlapping an existing period is
+  // always held in PendingApproval with a side-by-side comparison.
+  if (documentFingerprint) {
+    const matches = duplicateCheck.matches || await findDuplicates({
+      clientId,
+      nodeId,
+      scopeIdentifier,
+      fingerprint: documentFingerprint,
+      timestamp: when.timestamp
+    });
+    const action = duplicateAction(matches, duplicateCheck.onDuplicate);
+
+    if (action) {
+      const duplicateMeta = buildDuplicateMeta(matches, {
+        inputType,
+        date: when.date,
+        time: when.time,
+        period: duplicateCheck.period,
+        fileName: sourceDetails.fileName,
+        dataValues: toNumericMap(pd)
+      });
+      if (action === 'block') {
+        throw new DuplicateEntryError(`Duplicate upload blocked. ${duplicateMeta.reason}`, duplicateMeta);
+      }
+
+      const pending = await PendingApproval.create({
+        flowType: 'dataEntry',
+        clientId,
+        nodeId,
+        scopeIdentifier,
+        status: 'Pending_Approval',
+        inputType,
+        reviewReason: 'duplicate',
+        originalPayload: pendingPayload(),
+        duplicateMeta,
+        submittedBy: req.user._id || req.user.id,
+        submittedByType: req.user.userType
+      });
+
+      const notification = await notifyConsultantAdminOfDuplicate({
+        clientId,
+        scopeIdentifier,
+        pendingApprovalId: pending._id,
+        inputType: inputSource === 'CSV' ? 'CSV' : inputType,
+        duplicateMeta,
+        submittedBy: req.user._id || req.user.id,
+        submittedByType: req.user.userType
+      });
+
+      if (notification) {
+        pending.notificationId = notification._id;
+        await pending.save();
+      }
+
+      return { intercepted: true, pendingApproval: pending };
+    }
+  }
+  // ── END DUPLICATE DETECTION ───────────────────────────────────────────────
+
   // ── THRESHOLD VERIFICATION ────────────────────────────────────────────────
   // If a ThresholdConfig is set for this client+scope, check for anomaly.
   // When anomaly detected: create PendingApproval, notify consultant_admin,
@@ -1809,7 +2078,8 @@ async function saveOneEntry({
         nodeId,
         scopeIdentifier,
         numericMap,
-        inputType: overrideInputType || 'manual'
+        inputType: overrideInputType || 'manual',
+        timestamp: when.timestamp
       });
 
       if (check.shouldRequireApproval) {
@@ -1822,32 +2092,8 @@ async function saveOneEntry({
           nodeId,
           scopeIdentifier,
           status: 'Pending_Approval',
-          inputType: overrideInputType || 'manual',
-          originalPayload: {
-            clientId,
-            nodeId,
-            scopeIdentifier,
-            scopeType: scope.scopeType,
-            inputType: overrideInputType || 'manual',
-            date: when.date,
-            time: when.time,
-            timestamp: when.timestamp,
-            dataValues: serializedDataValues,
-            emissionFactor: resolveEmissionFactor(rawRow?.emissionFactor, scope?.emissionFactor),
-            sourceDetails: {
-              uploadedBy: req.user._id || req.user.id,
-              ...(inputSource === 'CSV'
-                ? { fileName: csvMeta?.fileName || '', dataSource: 'csv' }
-                : inputSource === 'OCR'
-                  ? {
-                      fileName: ocrMeta?.fileName || '',
-                      dataSource: 'ocr',
-                      ocrDocumentKey: ocrMeta?.s3Key || null,
-                      ocrConfidence: ocrMeta?.ocrConfidence || null
-                    }
-                  : { dataSource: 'manual' })
-            }
-          },
+          inputType,
+          originalPayload: { ...pendingPayload(), dataValues: serializedDataValues },
           verificationMeta: check.meta,
           submittedBy: req.user._id || req.user.id,
           submittedByType: req.user.userType
@@ -1861,6 +2107,8 @@ async function saveOneEntry({
           historicalAverage: check.meta.historicalAverageDailyValue,
           deviationPct: check.meta.deviationPercentage,
           thresholdPct: check.meta.thresholdPercentage,
+          detectionMethod: check.meta.detectionMethod,
+          anomalyReason: check.meta.anomalyReason,
           frequency: check.meta.frequency,
           inputType: overrideInputType || 'manual',
           flowType: 'dataEntry',
@@ -1892,22 +2140,12 @@ async function saveOneEntry({
     time: when.time,
     timestamp: when.timestamp,
     dataValues: toNumericMap(pd),
-    sourceDetails: {
-      uploadedBy: req.user._id || req.user.id,
-      ...(inputSource === 'CSV'
-        ? { fileName: csvMeta?.fileName || '', dataSource: 'csv' }
-        : inputSource === 'OCR'
-        ? {
-            fileName: ocrMeta?.fileName || '',
-            dataSource: 'ocr',
-            ocrDocumentKey: ocrMeta?.s3Key || null,
-            ocrConfidence: ocrMeta?.ocrConfidence || null
-          }
-        : { dataSource: 'manual' })
-    },
+    unitConversions,
+    sourceDetails,
+    ...(documentFingerprint ? { documentFingerprint } : {}),
     processingStatus: 'pending',
     emissionCalculationStatus: 'pending',
-    emissionFactor: resolveEmissionFactor(rawRow?.emissionFactor, scope?.emissionFactor),
+    emissionFactor,
   });
 
  await entry.save();
@@ -2240,7 +2478,33 @@ const uploadCSVData = async (req, res) => {
     }
 
     /* -------------------------------------------------- */
-    /* 5) Upload ORIGINAL payload to S3                    */
+    /* 5) Duplicate file check                             */
+    /* -------------------------------------------------- */
+    // The same file again is refused outright; duplicateAction=review holds
+    // its rows in PendingApproval instead. Re-uploaded rows inside a
+    // different file are caught per row (row fingerprint / period overlap).
+    const fileHash = hashBuffer(rawBuffer);
+    const onDuplicate = req.body?.duplicateAction === 'review' ? 'review' : 'block';
+
+    const fileMatches = await findDuplicates({
+      clientId,
+      nodeId,
+      scopeIdentifier,
+      fingerprint: buildFingerprint({ fileHash })
+    });
+    if (fileMatches.length > 0 && onDuplicate !== 'review') {
+      return res.status(409).json({
+        success: false,
+        code: 'DUPLICATE_ENTRY',
+        message: `This file was already uploaded for this scope (${fileMatches.length} existing entries). ` +
+          'Send duplicateAction=review to hold its rows for approval instead.',
+        fileName,
+        duplicates: buildDuplicateMeta(fileMatches, { inputType: 'CSV', fileName })
+      });
+    }
+
+    /* -------------------------------------------------- */
+    /* 6) Upload ORIGINAL payload to S3                    */
     /* -------------------------------------------------- */
     const s3Upload = await uploadOrganisationCSVCreate({
       clientId,
@@ -2248,15 +2512,17 @@ const uploadCSVData = async (req, res) => {
       scopeIdentifier,
       fileName,
       buffer: rawBuffer,
-      contentType: rawContentType
+      contentType: rawContentType,
+      fileHash
     });
 
     /* -------------------------------------------------- */
-    /* 6) Save rows → DataEntry + calculation              */
+    /* 7) Save rows → DataEntry + calculation              */
     /* -------------------------------------------------- */
     const saved = [];
     const errors = [];
     const pendingApprovals = [];
+    const batchId = `csv_${uuidv4()}`;
 
     for (let i = 0; i < rows.length; i++) {
       try {
@@ -2272,17 +2538,21 @@ const uploadCSVData = async (req, res) => {
           csvMeta: {
             fileName,
             s3: s3Upload
-          }
+          },
+          duplicateCheck: { fileHash, batchId, onDuplicate }
         });
 
-        // Anomaly detected — row held in PendingApproval
+        // Anomaly or suspected duplicate — row held in PendingApproval
         if (result.intercepted) {
+          const pending = result.pendingApproval;
           pendingApprovals.push({
             rowNumber: i + 1,
-            pendingApprovalId: result.pendingApproval._id,
-            reason: result.pendingApproval.verificationMeta?.anomalyReason || 'Anomaly detected',
-            deviationPercentage: result.pendingApproval.verificationMeta?.deviationPercentage,
-            thresholdPercentage: result.pendingApproval.verificationMeta?.thresholdPercentage
+            pendingApprovalId: pending._id,
+            reviewReason: pending.reviewReason,
+            reason: pending.duplicateMeta?.reason || pending.verificationMeta?.anomalyReason || 'Anomaly detected',
+            deviationPercentage: pending.verificationMeta?.deviationPercentage,
+            thresholdPercentage: pending.verificationMeta?.thresholdPercentage,
+            ...(pending.duplicateMeta ? { comparisons: pending.duplicateMeta.comparisons } : {})
           });
           continue;
         }
@@ -2304,7 +2574,8 @@ const uploadCSVData = async (req, res) => {
       } catch (err) {
         errors.push({
           row: i + 1,
-          error: err.message
+          error: err.message,
+          ...(err instanceof DuplicateEntryError ? { code: err.code, duplicates: err.duplicates } : {})
         });
       }
     }
@@ -2321,7 +2592,7 @@ const uploadCSVData = async (req, res) => {
     }
 
     /* -------------------------------------------------- */
-    /* 7) Broadcast completion                             */
+    /* 8) Broadcast completion                             */
     /* -------------------------------------------------- */
     if (saved.length > 0 && global.broadcastDataCompletionUpdate) {
       global.broadcastDataCompletionUpdate(clientId);
@@ -2335,13 +2606,18 @@ const uploadCSVData = async (req, res) => {
 
     let csvMsg = `CSV processed: ${saved.length} rows saved`;
     if (pendingApprovals.length > 0) {
-      csvMsg += `, ${pendingApprovals.length} rows held for approval (anomaly detected)`;
+      csvMsg += `, ${pendingApprovals.length} rows held for approval (anomaly or suspected duplicate)`;
     }
     if (errors.length > 0) {
       csvMsg += `, ${errors.length} errors`;
     }
 
-    return res.status(ok ? 201 : saved.length > 0 || pendingApprovals.length > 0 ? 207 : 400).json({
+    const allDuplicates = errors.length > 0 && errors.every((e) => e.code === 'DUPLICATE_ENTRY');
+    const status = ok ? 201
+      : saved.length > 0 || pendingApprovals.length > 0 ? 207
+      : allDuplicates ? 409 : 400;
+
+    return res.status(status).json({
       success: saved.length > 0,
       message: csvMsg,
       fileName,
@@ -5432,6 +5708,7 @@ module.exports = {
   checkOperationPermission,
   saveAPIData,
   saveIoTData,
+  ingestIoTReading,
   saveManualData,
   uploadCSVData,
   editManualData,
@@ -1786,6 +1786,7 @@ const updateFlowchartNode = async (req, res) => {
           ...((incVals && incVals.customEmissionFactor) || {})
         },
         dataSource: incVals?.dataSource !== undefined ? incVals.dataSource : (prevVals.dataSource || undefined),
+        factorKey: incVals?.factorKey !== undefined ? incVals.factorKey : (prevVals.factorKey || null),
         lastUpdated: new Date()
       };
       if (normalizedCEF) out.customEmissionFactor = normalizedCEF;
@@ -29,9 +29,13 @@
 
 'use strict';
 
+const crypto               = require('crypto');
 const DataCollectionConfig = require('../models/DataCollectionConfig');
 const Client               = require('../../../client-management/client/Client');
-const DataEntry            = require('../models/DataEntry');
+const User                 = require('../../../../common/models/User');
+const Notification         = require('../../../../common/models/Notification/Notification');
+const mongoose             = require('mongoose');
+const { buildDataEntryMongoConstraint } = require('../utils/Permissions/dataEntryPermission');
 
 const {
   findNodeAndScope,
@@ -54,10 +58,47 @@ const { extractTextWithTextract, shouldUseTextractFallback } = require('../../oc
 const { extractFields, mapScopeToCategory } = require('../../ocr/utils/fieldExtractor');
 
 // New universal extractor + model matcher (used by extractOCRPreview)
-const { extractAllFields }                   = require('../../ocr/utils/universalFieldExtractor');
-const { matchFields, buildSuggestedDataValues, getCanonicalFieldOptions } = require('../../ocr/utils/modelMatcher');
-const { createSession, getSession, deleteSession, getSessionExpiry } = require('../../ocr/utils/ocrSessionStore');
+const { extractDocumentFields }              = require('../../ocr/utils/universalFieldExtractor');
+const { extractLineItems, lineItemsToPairs, sumLineItemsByField } = require('../../ocr/utils/lineItemExtractor');
+const {
+  extractBillingPeriod,
+  normalizeBillingPeriod,
+  splitBillingPeriod,
+  prorateValues,
+  toEntryDate
+} = require('../../ocr/utils/billingPeriod');
+const {
+  matchFields,
+  buildSuggestedDataValues,
+  buildSuggestedUnits,
+  getCanonicalFieldOptions,
+  getNonAdditiveFields
+} = require('../../ocr/utils/modelMatcher');
+const {
+  createSession,
+  getSession,
+  canActOnSession,
+  saveReviewState,
+  assignSession,
+  claimSession,
+  releaseSession,
+  closeSession,
+  listSessions
+} = require('../../ocr/utils/ocrSessionStore');
 const { saveFeedback, getFeedbackForScope }  = require('./ocrFeedbackController');
+const { indexOcrText }                       = require('../../../greon-iq/services/vectorIndexService');
+const uom                                    = require('../../../../common/services/uom/uomService');
+const { v4: uuidv4 }                         = require('uuid');
+const {
+  DuplicateEntryError,
+  hashBuffer,
+  extractDocumentIdentifiers,
+  contentFingerprint,
+  buildFingerprint,
+  findDuplicates,
+  duplicateAction,
+  buildDuplicateMeta
+} = require('../../verification/services/duplicateDetectionService');
 
 const PDF_MIME   = 'application/pdf';
 const IMAGE_MIME = ['image/jpeg', 'image/png', 'image/tiff'];
@@ -119,6 +160,297 @@ async function extractSingleFileText(buffer, mimetype) {
   };
 }
 
+/**
+ * How a bill's values would be split over the scope's collection periods.
+ * Null when there is no billing period or it falls inside a single period.
+ */
+function buildPeriodSplit(billingPeriod, dataValues, scope) {
+  if (!billingPeriod) return null;
+  const collectionFrequency = scope.collectionFrequency || 'monthly';
+  const slices = splitBillingPeriod(billingPeriod, collectionFrequency);
+  if (slices.length < 2) return null;
+
+  const prorated = prorateValues(dataValues, slices, getNonAdditiveFields(scope.scopeType, scope.categoryName));
+  return {
+    collectionFrequency,
+    slices: slices.map((slice, i) => ({ ...slice, suggestedDataValues: prorated[i] }))
+  };
+}
+
+/**
+ * File hash of the part of a document a record was read from. A record that
+ * covers only some pages of a PDF (page mode) gets a hash of its own, so the
+ * other pages of the same file are not taken for a second upload of it.
+ */
+function recordFileHash(fileHash, pageNumbers, pageCount) {
+  if (!fileHash || !pageNumbers?.length || pageNumbers.length >= pageCount) return fileHash;
+  return crypto.createHash('sha256').update(`${fileHash}|pages:${pageNumbers.join(',')}`).digest('hex');
+}
+
+/** Whether a session was extracted for the client/node/scope in the URL. */
+function sessionMatchesScope(session, { clientId, nodeId, scopeIdentifier }) {
+  return session.clientId === clientId && session.nodeId === nodeId && session.scopeIdentifier === scopeIdentifier;
+}
+
+/**
+ * Confirm payload from a session's saved review: every record the reviewer
+ * accepted, with the extracted values overlaid by their edits.
+ */
+function recordsFromReview(session) {
+  const state = session.reviewState || {};
+  return (session.records || [])
+    .filter((record) => state[record.recordIndex]?.userAction === 'accepted')
+    .map((record) => {
+      const draft = state[record.recordIndex];
+      return {
+        recordIndex: record.recordIndex,
+        s3Key: record.s3Key,
+        ocrConfidence: record.ocrConfidence,
+        sourceFile: record.sourceFile,
+        sourcePages: record.sourcePages,
+        date: draft.date ?? record.date,
+        time: draft.time ?? record.time,
+        billingPeriod: draft.billingPeriod ?? record.billingPeriod ?? undefined,
+        prorate: draft.prorate,
+        documentIdentifiers: draft.documentIdentifiers ?? record.documentIdentifiers,
+        confirmedDataValues: draft.confirmedDataValues ?? record.suggestedDataValues,
+        confirmedUnits: draft.confirmedUnits ?? record.suggestedUnits,
+        corrections: draft.corrections || []
+      };
+    });
+}
+
+/**
+ * OCR every file and build the records shown for review: model-matched
+ * fields, line items, the billing period and its split, and suspected
+ * duplicates. Files are stored in S3 on the way. Shared by /ocr-extract and
+ * email ingestion; does not write any DataEntry.
+ *
+ * @param {object} params
+ * @param {string} params.clientId
+ * @param {string} params.nodeId
+ * @param {string} params.scopeIdentifier
+ * @param {object} params.scope       flowchart scope (findNodeAndScope)
+ * @param {Array<{ buffer, mimetype, originalname }>} params.files
+ * @param {'page'|'document'} [params.pageMode]
+ * @returns {Promise<{ records: object[], pageTexts: object, fieldOptions: object[] }>}
+ */
+async function buildOCRPreview({ clientId, nodeId, scopeIdentifier, scope, files, pageMode = 'page' }) {
+  // ── Load feedback history for this client/scope ───────────────────────────
+  const feedbackHistory = await getFeedbackForScope(clientId, scopeIdentifier);
+
+  // ── Canonical field options for frontend dropdowns ────────────────────────
+  const fieldOptions = getCanonicalFieldOptions(scope.scopeType, scope.categoryName);
+
+  // ── Process each file ─────────────────────────────────────────────────────
+  const records = [];
+  const pageTexts = {};   // recordIndex → page text
+  let recordIndex = 0;
+
+  for (const file of files) {
+    const { buffer, mimetype, originalname } = file;
+    const fileHash = hashBuffer(buffer);
+
+    // Validate file type
+    if (mimetype !== PDF_MIME && !IMAGE_MIME.includes(mimetype)) {
+      records.push({
+        recordIndex: recordIndex++,
+        sourceFile: originalname,
+        error: `Unsupported file type: ${mimetype}. Accepted: JPEG, PNG, TIFF, PDF.`,
+        extractedPairs: [],
+        suggestedDataValues: {}
+      });
+      continue;
+    }
+
+    // S3 upload (non-blocking — preview proceeds even if S3 fails)
+    const s3Key = buildOcrS3Key(clientId, nodeId, scopeIdentifier, originalname);
+    let s3UploadOk = false;
+    let s3Warning = null;
+    try {
+      await uploadOcrToS3(buffer, s3Key, mimetype);
+      s3UploadOk = true;
+    } catch (s3Err) {
+      console.warn(`[buildOCRPreview] S3 upload failed for ${originalname}:`, s3Err.message);
+      s3Warning = `Document not stored in S3: ${s3Err.message}`;
+    }
+
+    // OCR extraction
+    let ocrResult;
+    try {
+      ocrResult = await extractSingleFileText(buffer, mimetype);
+    } catch (ocrErr) {
+      console.error(`[buildOCRPreview] OCR failed for ${originalname}:`, ocrErr.message);
+      records.push({
+        recordIndex: recordIndex++,
+        sourceFile: originalname,
+        s3Key: s3UploadOk ? s3Key : null,
+        s3Stored: s3UploadOk,
+        error: `OCR processing failed: ${ocrErr.message}`,
+        extractedPairs: [],
+        suggestedDataValues: {},
+        warnings: s3Warning ? [s3Warning] : []
+      });
+      continue;
+    }
+
+    // For PDFs: one record per page, or per file in document mode; for images: one record
+    const pagesToProcess = ocrResult.pages || [{ pageNumber: null, text: ocrResult.text, confidence: ocrResult.confidence }];
+    const recordGroups = pageMode === 'document' ? [pagesToProcess] : pagesToProcess.map((p) => [p]);
+
+    // Tables and the billing period may sit on any page, so read them across the whole file
+    const fileLineItems = extractLineItems(pagesToProcess);
+    const fileBillingPeriod = extractBillingPeriod(pagesToProcess.map((p) => p.text || '').join('\n'));
+
+    for (const group of recordGroups) {
+      const pageNumbers = group.map((p) => p.pageNumber).filter((n) => n !== null && n !== undefined);
+      const pageText = group.map((p) => p.text || '').join('\n\n');
+      const pageConf = Math.round(group.reduce((sum, p) => sum + (p.confidence || 0), 0) / group.length);
+
+      const warnings = [];
+      if (s3Warning) warnings.push(s3Warning);
+
+      if (!pageText.trim()) {
+        records.push({
+          recordIndex: recordIndex++,
+          sourceFile: originalname,
+          sourcePage: pageNumbers[0] ?? null,
+          sourcePages: pageNumbers,
+          s3Key: s3UploadOk ? s3Key : null,
+          s3Stored: s3UploadOk,
+          ocrConfidence: pageConf || 0,
+          extractedPairs: [],
+          date: null,
+          time: '00:00:00',
+          suggestedDataValues: {},
+          warnings: [...warnings, 'No text could be extracted from this page. Try a higher resolution image.'],
+          userAction: 'pending'
+        });
+        continue;
+      }
+
+      // Universal field extraction
+      const { extractedPairs, date, time, billingPeriod: groupPeriod } = extractDocumentFields(group);
+      const billingPeriod = groupPeriod || fileBillingPeriod;
+
+      // Bill / account numbers identify the document for duplicate detection
+      const documentIdentifiers = extractDocumentIdentifiers(extractedPairs);
+      const recordHash = recordFileHash(fileHash, pageNumbers, pagesToProcess.length);
+
+      // Model matching
+      const matchedPairs = matchFields(
+        extractedPairs,
+        scope.scopeType,
+        scope.categoryName,
+        clientId,
+        scopeIdentifier,
+        feedbackHistory
+      );
+
+      // Build suggested data values from high-confidence matches
+      const suggestedDataValues = buildSuggestedDataValues(matchedPairs, 60);
+      const suggestedUnits = buildSuggestedUnits(matchedPairs, 60);
+
+      // Line items on these pages: matched like pairs, then summed per field,
+      // replacing the single value a label happened to match
+      const groupItems = fileLineItems.filter((item) => item.page === null || pageNumbers.includes(item.page));
+      const lineItems = matchFields(
+        lineItemsToPairs(groupItems),
+        scope.scopeType,
+        scope.categoryName,
+        clientId,
+        scopeIdentifier,
+        feedbackHistory
+      );
+      const lineTotals = sumLineItemsByField(lineItems, 60);
+      for (const [field, total] of Object.entries(lineTotals.values)) {
+        suggestedDataValues[field] = total;
+        if (lineTotals.units[field]) suggestedUnits[field] = lineTotals.units[field];
+        else delete suggestedUnits[field];
+        warnings.push(`${field} is the sum of line items ${lineTotals.lines[field].join(', ')}.`);
+      }
+      for (const { lineNumber, reason } of lineTotals.skipped) {
+        warnings.push(`Line item ${lineNumber} was not added: ${reason}.`);
+      }
+
+      const periodSplit = buildPeriodSplit(billingPeriod, suggestedDataValues, scope);
+
+      // Already uploaded? Same file, same bill, or an entry in the billing period
+      const duplicateMatches = await findDuplicates({
+        clientId,
+        nodeId,
+        scopeIdentifier,
+        fingerprint: buildFingerprint({
+          fileHash: recordHash,
+          contentHash: contentFingerprint(documentIdentifiers, billingPeriod),
+          period: billingPeriod
+        })
+      });
+      const suspectedDuplicates = duplicateMatches.length > 0
+        ? buildDuplicateMeta(duplicateMatches, {
+            inputType: 'OCR',
+            date,
+            period: billingPeriod,
+            fileName: originalname,
+            dataValues: suggestedDataValues
+          })
+        : null;
+      if (suspectedDuplicates) {
+        warnings.push(
+          duplicateAction(duplicateMatches) === 'block'
+            ? `${suspectedDuplicates.reason}. This document looks already uploaded; saving it will be refused unless duplicateAction is 'review'.`
+            : `${suspectedDuplicates.reason}. Data already exists for this billing period; saving will hold the entry for approval.`
+        );
+      }
+
+      if (pageConf < 70) {
+        warnings.push(`OCR confidence is ${pageConf}% — extracted values may be inaccurate. Please review carefully.`);
+      }
+      if (!date && !billingPeriod) {
+        warnings.push('Could not extract a date from this document. Please enter the date manually.');
+      }
+      if (Object.keys(suggestedDataValues).length === 0) {
+        warnings.push('No emission-relevant fields were matched with sufficient confidence. Please map fields manually.');
+      }
+      if (periodSplit) {
+        warnings.push(
+          `Billing period ${billingPeriod.start} to ${billingPeriod.end} spans ${periodSplit.slices.length} ` +
+          `${periodSplit.collectionFrequency} periods; it will be saved as one entry per period unless prorate is false.`
+        );
+      }
+
+      // Kept server-side only — indexed for GreOn IQ search once confirmed
+      pageTexts[recordIndex] = pageText;
+
+      records.push({
+        recordIndex: recordIndex++,
+        sourceFile: originalname,
+        sourcePage: pageNumbers[0] ?? null,
+        sourcePages: pageNumbers,
+        s3Key: s3UploadOk ? s3Key : null,
+        s3Stored: s3UploadOk,
+        ocrConfidence: pageConf || 0,
+        date: date || (billingPeriod ? toEntryDate(billingPeriod.end) : null),
+        time: time || '00:00:00',
+        billingPeriod,      // { start, end, days, source } — send back (or corrected) on confirm
+        periodSplit,        // per-period slices with prorated suggestedDataValues
+        fileHash: recordHash,
+        documentIdentifiers, // { billNumber, accountNumber, meterNumber } — correct on confirm if misread
+        suspectedDuplicates, // { matchType, reason, matches, comparisons } or null
+        extractedPairs: matchedPairs,
+        lineItems,          // table rows, each with its page and bestMatch
+        suggestedDataValues,
+        suggestedUnits,     // units printed with those values; sent back as confirmedUnits
+        fieldOptions,       // available canonical fields for manual mapping dropdown
+        warnings,
+        userAction: 'pending'
+      });
+    }
+  }
+
+  return { records, pageTexts, fieldOptions };
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // FUNCTION 1: saveOCRData (LEGACY — one-shot)
 // POST /data-collection/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/ocr-data
@@ -206,9 +538,9 @@ const saveOCRData = async (req, res) => {
       });
     }
 
-    let entry, calcResult;
+    let result;
     try {
-      ({ entry, calcResult } = await saveOneEntry({
+      result = await saveOneEntry({
         req,
         clientId,
         nodeId,
@@ -227,13 +559,43 @@ const saveOCRData = async (req, res) => {
           s3Key,
           ocrConfidence: ocrResult.confidence,
           rawText: text.slice(0, 2000)
+        },
+        duplicateCheck: {
+          fileHash: hashBuffer(buffer),
+          onDuplicate: req.body?.duplicateAction
         }
-      }));
+      });
     } catch (saveErr) {
+      if (saveErr instanceof DuplicateEntryError) {
+        return res.status(saveErr.status).json({
+          success: false,
+          code: saveErr.code,
+          message: saveErr.message,
+          s3Key,
+          duplicates: saveErr.duplicates
+        });
+      }
       console.error('[saveOCRData] saveOneEntry failed:', saveErr.message);
       return res.status(500).json({ success: false, message: 'Failed to save OCR data entry', error: saveErr.message, s3Key });
     }
 
+    // Anomaly or suspected duplicate — held in PendingApproval
+    if (result.intercepted) {
+      return res.status(202).json({
+        success: true,
+        message: 'OCR data held for approval',
+        pendingApprovalId: result.pendingApproval._id,
+        reviewReason: result.pendingApproval.reviewReason,
+        duplicates: result.pendingApproval.duplicateMeta || null,
+        s3DocumentKey: s3UploadOk ? s3Key : null
+      });
+    }
+    const { entry, calcResult } = result;
+
+    // Make the bill text searchable in GreOn IQ (non-blocking)
+    indexOcrText({ clientId, nodeId, scopeIdentifier, dataEntryId: entry._id, text, fileName: originalname })
+      .catch((idxErr) => console.warn('[saveOCRData] GreOn IQ indexing failed:', idxErr.message));
+
     try {
       let config = await DataCollectionConfig.findOne({ clientId, nodeId, scopeIdentifier });
       if (!config) {
@@ -294,12 +656,17 @@ const saveOCRData = async (req, res) => {
 // FUNCTION 2: extractOCRPreview (STEP 1)
 // POST /data-collection/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/ocr-extract
 // Accepts: multipart/form-data, field name: ocrFiles (array, up to 20)
-// Does NOT write DataEntry. Returns preview with model-matched suggestions.
+//          optional field pageMode: 'page' (default, one record per PDF page)
+//          or 'document' (one record per file, for multi-page invoices)
+// Does NOT write DataEntry. Returns preview with model-matched suggestions,
+// line items read from tables on any page, the billing period when printed,
+// and how the values would be prorated over the scope's collection periods.
 // ─────────────────────────────────────────────────────────────────────────────
 
 const extractOCRPreview = async (req, res) => {
   try {
     const { clientId, nodeId, scopeIdentifier } = req.params;
+    const pageMode = req.body?.pageMode === 'document' ? 'document' : 'page';
 
     // ── Validate files ────────────────────────────────────────────────────────
     const files = req.files;
@@ -333,148 +700,25 @@ const extractOCRPreview = async (req, res) => {
       });
     }
 
-    // ── Load feedback history for this client/scope ───────────────────────────
-    const feedbackHistory = await getFeedbackForScope(clientId, scopeIdentifier);
-
-    // ── Canonical field options for frontend dropdowns ────────────────────────
-    const fieldOptions = getCanonicalFieldOptions(scope.scopeType, scope.categoryName);
-
-    // ── Process each file ─────────────────────────────────────────────────────
-    const records = [];
-    let recordIndex = 0;
-
-    for (const file of files) {
-      const { buffer, mimetype, originalname } = file;
-
-      // Validate file type
-      if (mimetype !== PDF_MIME && !IMAGE_MIME.includes(mimetype)) {
-        records.push({
-          recordIndex: recordIndex++,
-          sourceFile: originalname,
-          error: `Unsupported file type: ${mimetype}. Accepted: JPEG, PNG, TIFF, PDF.`,
-          extractedPairs: [],
-          suggestedDataValues: {}
-        });
-        continue;
-      }
-
-      // S3 upload (non-blocking — preview proceeds even if S3 fails)
-      const s3Key = buildOcrS3Key(clientId, nodeId, scopeIdentifier, originalname);
-      let s3UploadOk = false;
-      let s3Warning = null;
-      try {
-        await uploadOcrToS3(buffer, s3Key, mimetype);
-        s3UploadOk = true;
-      } catch (s3Err) {
-        console.warn(`[extractOCRPreview] S3 upload failed for ${originalname}:`, s3Err.message);
-        s3Warning = `Document not stored in S3: ${s3Err.message}`;
-      }
-
-      // OCR extraction
-      let ocrResult;
-      try {
-        ocrResult = await extractSingleFileText(buffer, mimetype);
-      } catch (ocrErr) {
-        console.error(`[extractOCRPreview] OCR failed for ${originalname}:`, ocrErr.message);
-        records.push({
-          recordIndex: recordIndex++,
-          sourceFile: originalname,
-          s3Key: s3UploadOk ? s3Key : null,
-          s3Stored: s3UploadOk,
-          error: `OCR processing failed: ${ocrErr.message}`,
-          extractedPairs: [],
-          suggestedDataValues: {},
-          warnings: s3Warning ? [s3Warning] : []
-        });
-        continue;
-      }
-
-      // For PDFs: create one record per page; for images: one record
-      const pagesToProcess = ocrResult.pages || [{ pageNumber: null, text: ocrResult.text, confidence: ocrResult.confidence }];
-
-      for (const pageData of pagesToProcess) {
-        const { pageNumber, text: pageText, confidence: pageConf } = pageData;
-
-        const warnings = [];
-        if (s3Warning) warnings.push(s3Warning);
-
-        if (!pageText || !pageText.trim()) {
-          records.push({
-            recordIndex: recordIndex++,
-            sourceFile: originalname,
-            sourcePage: pageNumber,
-            s3Key: s3UploadOk ? s3Key : null,
-            s3Stored: s3UploadOk,
-            ocrConfidence: pageConf || 0,
-            extractedPairs: [],
-            date: null,
-            time: '00:00:00',
-            suggestedDataValues: {},
-            warnings: [...warnings, 'No text could be extracted from this page. Try a higher resolution image.'],
-            userAction: 'pending'
-          });
-          recordIndex++;
-          continue;
-        }
-
-        // Universal field extraction
-        const { extractedPairs, date, time, rawText } = extractAllFields(pageText);
-
-        // Model matching
-        const matchedPairs = matchFields(
-          extractedPairs,
-          scope.scopeType,
-          scope.categoryName,
-          clientId,
-          scopeIdentifier,
-          feedbackHistory
-        );
-
-        // Build suggested data values from high-confidence matches
-        const suggestedDataValues = buildSuggestedDataValues(matchedPairs, 60);
-
-        if (pageConf < 70) {
-          warnings.push(`OCR confidence is ${pageConf}% — extracted values may be inaccurate. Please review carefully.`);
-        }
-        if (!date) {
-          warnings.push('Could not extract a date from this document. Please enter the date manually.');
-        }
-        if (Object.keys(suggestedDataValues).length === 0) {
-          warnings.push('No emission-relevant fields were matched with sufficient confidence. Please map fields manually.');
-        }
-
-        records.push({
-          recordIndex: recordIndex++,
-          sourceFile: originalname,
-          sourcePage: pageNumber,
-          s3Key: s3UploadOk ? s3Key : null,
-          s3Stored: s3UploadOk,
-          ocrConfidence: pageConf || 0,
-          date: date || null,
-          time: time || '00:00:00',
-          extractedPairs: matchedPairs,
-          suggestedDataValues,
-          fieldOptions,       // available canonical fields for manual mapping dropdown
-          warnings,
-          userAction: 'pending'
-        });
-      }
-    }
+    const { records, pageTexts, fieldOptions } = await buildOCRPreview({
+      clientId, nodeId, scopeIdentifier, scope, files, pageMode
+    });
 
     // ── Create session ────────────────────────────────────────────────────────
-    const extractionId = createSession({
+    const { extractionId, expiresAt } = await createSession({
       clientId,
       nodeId,
       scopeIdentifier,
       scopeType: scope.scopeType,
       categoryName: scope.categoryName,
-      records
-    });
+      records,
+      pageTexts
+    }, req.user);
 
     return res.status(200).json({
       success: true,
       extractionId,
-      sessionExpiresAt: getSessionExpiry(extractionId),
+      sessionExpiresAt: expiresAt.toISOString(),
       message: 'Extraction complete. Review the extracted fields, make any corrections, then POST to /ocr-confirm to save.',
       records,
       totalRecords: records.length,
@@ -491,17 +735,53 @@ const extractOCRPreview = async (req, res) => {
 // FUNCTION 3: confirmOCRSave (STEP 2)
 // POST /data-collection/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/ocr-confirm
 // Body: { extractionId?, records: [{ recordIndex, date, time, s3Key, ocrConfidence,
-//          sourceFile, confirmedDataValues, corrections }] }
+//          sourceFile, sourcePages?, confirmedDataValues, confirmedUnits?,
+//          billingPeriod?, prorate?, corrections }] }
+// records may be omitted when the session's saved review marks records as
+// 'accepted' (see saveOCRSessionReview) — e.g. an employee reviews, the
+// employee head confirms. An assigned session is confirmed by its assignee
+// (or uploader); it is closed once every record is saved.
+// confirmedUnits ({ field: unit }) are converted to the scope's units on save.
+// A billingPeriod ({ start, end }) spanning several collection periods is
+// saved as one DataEntry per period with prorated values (prorate: false
+// keeps a single entry); the entries share sourceDetails.batchId and point
+// back to the document (ocrDocumentKey) and pages (ocrPages).
+// A document already uploaded (same file or bill / account numbers from
+// documentIdentifiers) is refused unless duplicateAction is 'review'; one
+// overlapping an existing entry's period is held for approval.
+// The session is claimed (in_review → confirming) before any record is saved,
+// so a second confirm of the same session gets 409 instead of saving twice.
 // ─────────────────────────────────────────────────────────────────────────────
 
 const confirmOCRSave = async (req, res) => {
+  // Claimed session to put back in review if the request fails
+  let claimed = null;
   try {
     const { clientId, nodeId, scopeIdentifier } = req.params;
-    const { extractionId, records: confirmedRecords } = req.body;
+    const { extractionId, duplicateAction: onDuplicate } = req.body;
+
+    // ── Review session ────────────────────────────────────────────────────────
+    // Page texts and saved review captured at extraction (absent if it expired)
+    let session = await getSession(extractionId, { includeClosed: true });
+    if (session) {
+      if (!sessionMatchesScope(session, req.params)) {
+        return res.status(404).json({ success: false, message: 'OCR session not found for this scope' });
+      }
+      if (session.status === 'confirmed' || session.status === 'cancelled') {
+        return res.status(409).json({ success: false, message: `OCR session is already ${session.status}`, result: session.result });
+      }
+      if (!canActOnSession(session, req.user)) {
+        return res.status(403).json({ success: false, message: 'This OCR session is assigned to another reviewer' });
+      }
+    }
 
     // ── Validate input ────────────────────────────────────────────────────────
+    const confirmedRecords = req.body.records ?? (session ? recordsFromReview(session) : null);
     if (!Array.isArray(confirmedRecords) || confirmedRecords.length === 0) {
-      return res.status(400).json({ success: false, message: 'records array is required and must not be empty' });
+      return res.status(400).json({
+        success: false,
+        message: 'records array is required and must not be empty (or accept records in the OCR session review first)'
+      });
     }
 
     // ── Find node/scope ───────────────────────────────────────────────────────
@@ -527,13 +807,27 @@ const confirmOCRSave = async (req, res) => {
       });
     }
 
+    // ── Claim the session ─────────────────────────────────────────────────────
+    if (session) {
+      claimed = await claimSession(session, req.user);
+      if (!claimed) {
+        return res.status(409).json({ success: false, message: 'OCR session is already being confirmed or was closed' });
+      }
+      session = claimed;
+    }
+
     // ── Process each confirmed record ─────────────────────────────────────────
     const results = [];
     const errors  = [];
     const allCorrections = [];
+    // Records confirmed together are one upload and never duplicate each other
+    const uploadBatchId = `ocr_${uuidv4()}`;
 
     for (const record of confirmedRecords) {
-      const { recordIndex, date, time, s3Key, ocrConfidence, sourceFile, confirmedDataValues, corrections } = record;
+      const {
+        recordIndex, date, time, s3Key, ocrConfidence, sourceFile, sourcePage, sourcePages,
+        confirmedDataValues, confirmedUnits, billingPeriod, prorate, corrections, documentIdentifiers
+      } = record;
 
       // Validate confirmedDataValues
       if (!confirmedDataValues || typeof confirmedDataValues !== 'object') {
@@ -547,67 +841,156 @@ const confirmOCRSave = async (req, res) => {
         continue;
       }
 
-      // Duplicate submission check: same s3Key already saved?
-      if (s3Key) {
+      const sessionRecord = session?.records?.find((r) => r.recordIndex === recordIndex);
+      const pages = (Array.isArray(sourcePages) && sourcePages.length ? sourcePages
+        : sourcePage != null ? [sourcePage]
+          : sessionRecord?.sourcePages || []
+      ).map(Number).filter(Number.isFinite);
+
+      // Billing period → one row per collection period
+      let period = null;
+      if (billingPeriod) {
+        period = normalizeBillingPeriod(billingPeriod);
+        if (period.error) {
+          errors.push({ recordIndex, error: period.error });
+          continue;
+        }
+      }
+      const slices = period && prorate !== false ? splitBillingPeriod(period, scope.collectionFrequency || 'monthly') : [];
+      const rows = slices.length > 1
+        ? prorateValues(confirmedDataValues, slices, getNonAdditiveFields(scope.scopeType, scope.categoryName))
+          .map((dataValues, i) => ({ dataValues, date: toEntryDate(slices[i].end), slice: slices[i] }))
+        : [{ dataValues: confirmedDataValues, date: date || (period ? toEntryDate(period.end) : null), slice: null }];
+      const batchId = rows.length > 1 ? `ocr_${uuidv4()}` : null;
+
+      // Duplicate check, once for the whole document: same file, same bill
+      // (identifiers as corrected by the user, else as extracted) or an
+      // entry already covering the billing period
+      const fingerprint = {
+        fileHash: sessionRecord?.fileHash || record.fileHash || null,
+        contentHash: contentFingerprint(documentIdentifiers || sessionRecord?.documentIdentifiers || {}, period),
+        batchId: uploadBatchId,
+        period
+      };
+      const matches = await findDuplicates({
+        clientId,
+        nodeId,
+        scopeIdentifier,
+        fingerprint: buildFingerprint(fingerprint)
+      });
+      if (duplicateAction(matches, onDuplicate) === 'block') {
+        const duplicates = buildDuplicateMeta(matches, {
+          inputType: 'OCR',
+          date: rows[0].date,
+          time,
+          period,
+          fileName: sourceFile,
+          dataValues: confirmedDataValues
+        });
+        errors.push({
+          recordIndex,
+          code: 'DUPLICATE_ENTRY',
+          error: `This document has already been submitted. ${duplicates.reason}`,
+          existingDataEntryId: matches[0].entry._id,
+          duplicates
+        });
+        continue;
+      }
+
+      // Save entries (one, or one per period)
+      const saved = [];
+      for (const row of rows) {
         try {
-          const existing = await DataEntry.findOne({
+          const result = await saveOneEntry({
+            req,
             clientId,
             nodeId,
             scopeIdentifier,
-            'sourceDetails.ocrDocumentKey': s3Key
-          }).lean();
-          if (existing) {
-            errors.push({
+            scope,
+            node,
+            inputSource: 'OCR',
+            overrideInputType: 'OCR',
+            row: {
+              dataValues: row.dataValues,
+              units: confirmedUnits,
+              date: row.date,
+              time: row.slice ? '00:00:00' : (time || '00:00:00')
+            },
+            ocrMeta: {
+              fileName: sourceFile || '',
+              s3Key: s3Key || null,
+              ocrConfidence: ocrConfidence || null,
+              rawText: '',  // raw text not re-sent on confirm
+              pages,
+              batchId,
+              billingPeriod: period,
+              proration: row.slice
+                ? {
+                    periodStart: row.slice.periodStart,
+                    periodEnd: row.slice.periodEnd,
+                    days: row.slice.days,
+                    totalDays: period.days,
+                    share: row.slice.share
+                  }
+                : null
+            },
+            // Without a billing period each row is also checked against the
+            // entries around its own date, so matches are looked up per row
+            duplicateCheck: { ...fingerprint, onDuplicate, ...(period ? { matches } : {}) }
+          });
+
+          const periodInfo = row.slice ? { period: { start: row.slice.start, end: row.slice.end } } : {};
+          if (result.intercepted) {
+            results.push({
               recordIndex,
-              error: 'This document has already been submitted',
-              existingDataEntryId: existing._id
+              ...periodInfo,
+              pendingApprovalId: result.pendingApproval._id,
+              reviewReason: result.pendingApproval.reviewReason,
+              status: 'pending_approval'
             });
             continue;
           }
-        } catch (dupErr) {
-          console.warn('[confirmOCRSave] Duplicate check failed (non-blocking):', dupErr.message);
+
+          const { entry, calcResult } = result;
+          saved.push(entry);
+          results.push({
+            recordIndex,
+            ...periodInfo,
+            ...(batchId ? { batchId } : {}),
+            dataEntryId: entry._id,
+            emissionCalculationStatus: entry.emissionCalculationStatus,
+            calculationResponse: calcResult?.data || null
+          });
+        } catch (saveErr) {
+          console.error(`[confirmOCRSave] saveOneEntry failed for record ${recordIndex}:`, saveErr.message);
+          errors.push({
+            recordIndex,
+            ...(row.slice ? { period: { start: row.slice.start, end: row.slice.end } } : {}),
+            error: saveErr.message,
+            ...(saveErr instanceof DuplicateEntryError ? { code: saveErr.code, duplicates: saveErr.duplicates } : {})
+          });
         }
       }
 
-      // Save entry
-      try {
-        const { entry, calcResult } = await saveOneEntry({
-          req,
+      if (saved.length === 0) continue;
+
+      // Make the bill text searchable in GreOn IQ (non-blocking)
+      const pageText = session?.pageTexts?.[recordIndex];
+      if (pageText) {
+        indexOcrText({
           clientId,
           nodeId,
           scopeIdentifier,
-          scope,
-          node,
-          inputSource: 'OCR',
-          overrideInputType: 'OCR',
-          row: {
-            dataValues: confirmedDataValues,
-            date: date || null,
-            time: time || '00:00:00'
-          },
-          ocrMeta: {
-            fileName: sourceFile || '',
-            s3Key: s3Key || null,
-            ocrConfidence: ocrConfidence || null,
-            rawText: ''   // raw text not re-sent on confirm
-          }
-        });
-
-        results.push({
-          recordIndex,
-          dataEntryId: entry._id,
-          emissionCalculationStatus: entry.emissionCalculationStatus,
-          calculationResponse: calcResult?.data || null
-        });
-
-        // Collect corrections for feedback storage
-        if (Array.isArray(corrections) && corrections.length > 0) {
-          allCorrections.push(...corrections);
-        }
+          dataEntryId: saved[0]._id,
+          text: pageText,
+          fileName: sourceFile || sessionRecord?.sourceFile,
+          pageNumber: pages[0] || null
+        }).catch((idxErr) => console.warn('[confirmOCRSave] GreOn IQ indexing failed:', idxErr.message));
+      }
 
-      } catch (saveErr) {
-        console.error(`[confirmOCRSave] saveOneEntry failed for record ${recordIndex}:`, saveErr.message);
-        errors.push({ recordIndex, error: saveErr.message });
+      // Collect corrections for feedback storage
+      if (Array.isArray(corrections) && corrections.length > 0) {
+        allCorrections.push(...corrections);
       }
     }
 
@@ -619,8 +1002,11 @@ const confirmOCRSave = async (req, res) => {
           if (!config) {
             config = new DataCollectionConfig({ clientId, nodeId, scopeIdentifier, scopeType: scope.scopeType, inputType: 'OCR', collectionFrequency: 'monthly' });
           }
-          config.updateCollectionStatus(results[0].dataEntryId, new Date());
-          await config.save();
+          const lastSaved = results.filter((r) => r.dataEntryId).pop();
+          if (lastSaved) {
+            config.updateCollectionStatus(lastSaved.dataEntryId, new Date());
+            await config.save();
+          }
         } catch (cfgErr) {
           console.warn('[confirmOCRSave] DataCollectionConfig update failed:', cfgErr.message);
         }
@@ -652,9 +1038,27 @@ const confirmOCRSave = async (req, res) => {
       });
     }
 
-    // ── Delete session if present (cleanup) ───────────────────────────────────
-    if (extractionId) {
-      deleteSession(extractionId);
+    // ── Close the session, or keep it open for the records that failed ───────
+    if (session) {
+      claimed = null;
+      try {
+        const savedIndexes = new Set(results.map((r) => r.recordIndex));
+        if (errors.length === 0) {
+          await closeSession(session, 'confirmed', req.user, {
+            savedCount: results.filter((r) => r.dataEntryId).length,
+            pendingApprovalCount: results.filter((r) => r.pendingApprovalId).length,
+            errorCount: 0
+          });
+        } else {
+          // Back in review so the failed records can be fixed and confirmed again
+          await releaseSession(session, req.user);
+          if (savedIndexes.size > 0) {
+            await saveReviewState(session, [...savedIndexes].map((recordIndex) => ({ recordIndex, userAction: 'saved' })), req.user);
+          }
+        }
+      } catch (sessionErr) {
+        console.warn('[confirmOCRSave] OCR session update failed:', sessionErr.message);
+      }
     }
 
     // ── Socket events ─────────────────────────────────────────────────────────
@@ -680,6 +1084,10 @@ const confirmOCRSave = async (req, res) => {
 
   } catch (error) {
     console.error('[confirmOCRSave] Unexpected error:', error);
+    if (claimed) {
+      await releaseSession(claimed, req.user).catch((releaseErr) =>
+        console.warn('[confirmOCRSave] OCR session release failed:', releaseErr.message));
+    }
     return res.status(500).json({ success: false, message: 'Server error during OCR confirm-save', error: error.message });
   }
 };
@@ -726,7 +1134,6 @@ const SCOPE_PRIMARY_FIELD_CONFIG = {
 // ─────────────────────────────────────────────────────────────────────────────
 
 const MONETARY_LABEL_TOKENS   = ['amount', 'payable', 'charge', 'charges', 'bill', 'rent', 'surcharge', 'duty', 'tax', 'gst', 'fee', 'deposit', 'refund', 'adjustment', 'acd', 'adj', 'interest', 'penalty', 'arrear', 'advance', 'balance', 'due', 'fixed charges', 'meter rent', 'fuel sur', 'round off', 'total bill'];
-const MONETARY_UNIT_TOKENS    = ['inr', '₹', 'rs', 'usd', '$', 'eur', '€', 'gbp', '£'];
 const CONSUMPTION_LABEL_TOKENS = ['cons', 'consumption', 'consumed', 'kwh', 'net energy', 'net consumption', 'recorded consumption', 'total units'];
 const METER_READ_LABEL_TOKENS  = ['curr', 'prev', 'current reading', 'previous reading'];
 const DEMAND_LABEL_TOKENS      = ['demand', 'load', 'kva', 'sanctioned load', 'contracted demand', 'billing demand'];
@@ -742,14 +1149,14 @@ function categorizePairs(extractedPairs) {
     if (pair.numericValue == null) continue;   // skip non-numeric
 
     const labelLow = (pair.rawLabel || '').toLowerCase();
-    const unitLow  = (pair.rawUnit  || '').toLowerCase();
+    const isCurrency = uom.parseUnit(pair.unit)?.dimension === 'currency';
 
-    const isMonetary    = MONETARY_UNIT_TOKENS.some(u => unitLow.includes(u))  || MONETARY_LABEL_TOKENS.some(t => labelLow.includes(t));
+    const isMonetary    = isCurrency || MONETARY_LABEL_TOKENS.some(t => labelLow.includes(t));
     const isConsumption = !isMonetary && CONSUMPTION_LABEL_TOKENS.some(t => labelLow.includes(t));
     const isMeterRead   = !isMonetary && !isConsumption && METER_READ_LABEL_TOKENS.some(t => labelLow.includes(t));
     const isDemand      = !isMonetary && !isConsumption && !isMeterRead && DEMAND_LABEL_TOKENS.some(t => labelLow.includes(t));
 
-    const item = { label: pair.rawLabel, value: pair.numericValue, unit: pair.rawUnit || null };
+    const item = { label: pair.rawLabel, value: pair.numericValue, unit: pair.unit || pair.rawUnit || null };
 
     if (isMonetary)       monetaryValues.push(item);
     else if (isConsumption) consumptionValues.push(item);
@@ -778,7 +1185,8 @@ function detectPrimaryValue(matchedPairs, primaryConfig, categorized) {
     return {
       field:      primaryConfig.field,
       value:      best.numericValue,
-      unit:       best.rawUnit || primaryConfig.unit,
+      unit:       best.unit || best.rawUnit || primaryConfig.unit,
+      detectedUnit: best.unit || null,
       rawLabel:   best.rawLabel,
       confidence: best.bestMatch.confidence,
       detectionMethod: 'model-match'
@@ -799,7 +1207,8 @@ function detectPrimaryValue(matchedPairs, primaryConfig, categorized) {
       return {
         field:      primaryConfig.field,
         value:      pair.numericValue,
-        unit:       pair.rawUnit || primaryConfig.unit,
+        unit:       pair.unit || pair.rawUnit || primaryConfig.unit,
+        detectedUnit: pair.unit || null,
         rawLabel:   pair.rawLabel,
         confidence: 55,
         detectionMethod: 'label-search'
@@ -814,6 +1223,7 @@ function detectPrimaryValue(matchedPairs, primaryConfig, categorized) {
       field:      primaryConfig.field,
       value:      best.value,
       unit:       best.unit || 'kWh',
+      detectedUnit: uom.parseUnit(best.unit)?.symbol || null,
       rawLabel:   best.label,
       confidence: 40,
       detectionMethod: 'category-fallback'
@@ -898,8 +1308,11 @@ const verifyOCRData = async (req, res) => {
 
     // ── Build suggested data values (what to pass to /ocr-confirm) ───────────
     const suggestedDataValues = {};
+    const suggestedUnits = {};
     if (detectedPrimary) {
       suggestedDataValues[detectedPrimary.field] = detectedPrimary.value;
+      // Only a unit printed on the document; the config default is just a label
+      if (detectedPrimary.detectedUnit) suggestedUnits[detectedPrimary.field] = detectedPrimary.detectedUnit;
     }
 
     // ── Warnings ──────────────────────────────────────────────────────────────
@@ -957,12 +1370,14 @@ const verifyOCRData = async (req, res) => {
         rawLabel:      p.rawLabel,
         rawValue:      p.rawValue,
         rawUnit:       p.rawUnit || null,
+        unit:          p.unit || null,
         numericValue:  p.numericValue,
         bestMatch:     p.bestMatch || null
       })),
 
-      // — Suggested values to pass to /ocr-confirm —
+      // — Suggested values to pass to /ocr-confirm (units as confirmedUnits) —
       suggestedDataValues,
+      suggestedUnits,
 
       // — Billing date/time if detected —
       detectedDate: date || null,
@@ -980,4 +1395,284 @@ const verifyOCRData = async (req, res) => {
   }
 };
 
-module.exports = { saveOCRData, extractOCRPreview, confirmOCRSave, verifyOCRData };
+// ─────────────────────────────────────────────────────────────────────────────
+// OCR REVIEW SESSIONS
+// GET    /data-collection/clients/:clientId/ocr-sessions
+// GET    /data-collection/clients/:clientId/nodes/:nodeId/scopes/:scopeIdentifier/ocr-sessions/:extractionId
+// PATCH  …/ocr-sessions/:extractionId          save review progress
+// POST   …/ocr-sessions/:extractionId/assign   hand off to another user
+// DELETE …/ocr-sessions/:extractionId          cancel
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** Session as returned by the API; page texts never leave the server. */
+function sessionView(session, { full = false } = {}) {
+  const doc = typeof session.toObject === 'function' ? session.toObject() : session;
+  return {
+    extractionId: doc.extractionId,
+    clientId: doc.clientId,
+    nodeId: doc.nodeId,
+    scopeIdentifier: doc.scopeIdentifier,
+    scopeType: doc.scopeType,
+    categoryName: doc.categoryName,
+    status: doc.status,
+    summary: doc.summary,
+    source: doc.source,
+    createdBy: doc.createdBy,
+    assignedTo: doc.assignedTo,
+    assignedAt: doc.assignedAt,
+    handoffs: doc.handoffs,
+    lastActivityBy: doc.lastActivityBy,
+    lastActivityAt: doc.lastActivityAt,
+    createdAt: doc.createdAt,
+    expiresAt: doc.expiresAt,
+    result: doc.result,
+    ...(full ? { records: doc.records, reviewState: doc.reviewState } : {})
+  };
+}
+
+/**
+ * Load the session named in the URL for a user who may write to its scope.
+ * Sends the error response and returns null when that fails; with forWrite
+ * the session must still be in review and not assigned to someone else.
+ */
+async function loadScopeSession(req, res, { forWrite = false } = {}) {
+  const { clientId, nodeId, scopeIdentifier, extractionId } = req.params;
+
+  const located = await findNodeAndScope(clientId, nodeId, scopeIdentifier);
+  if (!located) {
+    res.status(404).json({ success: false, message: 'Node/scope not found' });
+    return null;
+  }
+
+  const perm = await canWriteManualOrCSV(req.user, clientId, located.node, located.scope);
+  if (!perm.allowed) {
+    res.status(403).json({ success: false, message: 'Permission denied', reason: perm.reason });
+    return null;
+  }
+
+  const session = await getSession(extractionId, { includeClosed: true });
+  if (!session || !sessionMatchesScope(session, req.params)) {
+    res.status(404).json({ success: false, message: 'OCR session not found or expired' });
+    return null;
+  }
+
+  if (forWrite) {
+    if (session.status !== 'in_review') {
+      res.status(409).json({ success: false, message: `OCR session is already ${session.status}` });
+      return null;
+    }
+    if (!canActOnSession(session, req.user)) {
+      res.status(403).json({ success: false, message: 'This OCR session is assigned to another reviewer' });
+      return null;
+    }
+  }
+
+  return { session, ...located };
+}
+
+/**
+ * GET /clients/:clientId/ocr-sessions
+ * In-progress OCR reviews of a client, limited to the nodes/scopes the user
+ * may see. Query: status (in_review | confirming | confirmed | cancelled | all; default
+ * in_review), nodeId, scopeIdentifier, assigned=me, createdBy=me,
+ * source (upload | email), page, limit.
+ */
+const listOCRSessions = async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { status = 'in_review', nodeId, scopeIdentifier, assigned, createdBy, source } = req.query;
+    const page  = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+    const userId = req.user._id || req.user.id;
+
+    const constraint = buildDataEntryMongoConstraint(req.dataEntryAccessContext);
+    if (constraint && constraint._impossible) {
+      return res.status(200).json({ success: true, data: [], pagination: { currentPage: page, totalPages: 0, totalItems: 0, itemsPerPage: limit } });
+    }
+
+    const filter = {
+      clientId,
+      ...(constraint || {}),
+      ...(status !== 'all' ? { status } : {}),
+      ...(assigned === 'me' ? { assignedTo: userId } : {}),
+      ...(createdBy === 'me' ? { createdBy: userId } : {}),
+      ...(source ? { 'source.type': source } : {})
+    };
+    // A requested node/scope narrows the user's own nodes/scopes, never widens them
+    for (const [field, value] of [['nodeId', nodeId], ['scopeIdentifier', scopeIdentifier]]) {
+      if (!value) continue;
+      filter[field] = constraint?.[field] ? { $in: constraint[field].$in.filter((v) => v === value) } : value;
+    }
+
+    const { sessions, total } = await listSessions(filter, { page, limit });
+
+    return res.status(200).json({
+      success: true,
+      data: sessions.map((session) => sessionView(session)),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    });
+  } catch (error) {
+    console.error('[listOCRSessions] Unexpected error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to list OCR sessions', error: error.message });
+  }
+};
+
+/**
+ * GET …/ocr-sessions/:extractionId
+ * Resume a review: the extracted records plus the review saved so far.
+ */
+const getOCRSession = async (req, res) => {
+  try {
+    const loaded = await loadScopeSession(req, res);
+    if (!loaded) return;
+
+    return res.status(200).json({
+      success: true,
+      session: sessionView(loaded.session, { full: true }),
+      canConfirm: loaded.session.status === 'in_review' && canActOnSession(loaded.session, req.user),
+      fieldOptions: getCanonicalFieldOptions(loaded.scope.scopeType, loaded.scope.categoryName)
+    });
+  } catch (error) {
+    console.error('[getOCRSession] Unexpected error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to load OCR session', error: error.message });
+  }
+};
+
+/**
+ * PATCH …/ocr-sessions/:extractionId
+ * Body: { records: [{ recordIndex, confirmedDataValues?, confirmedUnits?, date?,
+ *         time?, billingPeriod?, prorate?, documentIdentifiers?, corrections?,
+ *         userAction?: 'pending' | 'accepted' | 'rejected', note? }] }
+ * Saves review progress without writing any DataEntry and extends the
+ * session's expiry. Accepted records are what /ocr-confirm saves when it is
+ * called without records.
+ */
+const saveOCRSessionReview = async (req, res) => {
+  try {
+    const { records } = req.body || {};
+    if (!Array.isArray(records) || records.length === 0) {
+      return res.status(400).json({ success: false, message: 'records array is required and must not be empty' });
+    }
+    const invalid = records.find((r) => r.userAction !== undefined && !['pending', 'accepted', 'rejected'].includes(r.userAction));
+    if (invalid) {
+      return res.status(400).json({ success: false, message: `Invalid userAction '${invalid.userAction}' for record ${invalid.recordIndex}` });
+    }
+
+    const loaded = await loadScopeSession(req, res, { forWrite: true });
+    if (!loaded) return;
+
+    const session = await saveReviewState(loaded.session, records, req.user);
+    return res.status(200).json({
+      success: true,
+      message: 'Review saved',
+      session: sessionView(session, { full: true })
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('[saveOCRSessionReview] Unexpected error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to save OCR review', error: error.message });
+  }
+};
+
+/**
+ * POST …/ocr-sessions/:extractionId/assign
+ * Body: { userId, note? }
+ * Hands the review to another user who may write to the scope (e.g. the
+ * employee head who will confirm it) and notifies them.
+ */
+const assignOCRSession = async (req, res) => {
+  try {
+    const { userId, note = '' } = req.body || {};
+    if (!userId || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, message: 'A valid userId is required' });
+    }
+
+    const loaded = await loadScopeSession(req, res, { forWrite: true });
+    if (!loaded) return;
+    const { session, node, scope } = loaded;
+    const { clientId, scopeIdentifier } = req.params;
+
+    const assignee = await User.findById(userId).select('userName email userType clientId isActive').lean();
+    if (!assignee || !assignee.isActive) {
+      return res.status(404).json({ success: false, message: 'Assignee not found or inactive' });
+    }
+    const assigneePerm = await canWriteManualOrCSV(assignee, clientId, node, scope);
+    if (!assigneePerm.allowed) {
+      return res.status(400).json({
+        success: false,
+        message: `${assignee.userName} cannot enter data for this scope`,
+        reason: assigneePerm.reason
+      });
+    }
+
+    const updated = await assignSession(session, { assignee: assignee._id, assignedBy: req.user, note });
+
+    try {
+      await Notification.create({
+        title: 'OCR Review Assigned to You',
+        message:
+          `An OCR review for scope ${scopeIdentifier} (client ${clientId}) has been handed to you ` +
+          `(${updated.summary.recordCount} record(s) from ${updated.summary.fileNames.join(', ') || 'uploaded documents'}).` +
+          (note ? `\nNote: ${note}` : ''),
+        targetUsers: [assignee._id],
+        targetClients: [clientId],
+        priority: 'medium',
+        createdBy: req.user._id || req.user.id,
+        creatorType: req.user.userType,
+        systemAction: 'ocr_review_assigned',
+        isSystemNotification: true,
+        status: 'published',
+        publishedAt: new Date(),
+        relatedEntity: { type: 'OCRReviewSession', id: updated._id }
+      });
+    } catch (notifyErr) {
+      console.warn('[assignOCRSession] Notification failed:', notifyErr.message);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `OCR review assigned to ${assignee.userName}`,
+      session: sessionView(updated)
+    });
+  } catch (error) {
+    console.error('[assignOCRSession] Unexpected error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to assign OCR session', error: error.message });
+  }
+};
+
+/**
+ * DELETE …/ocr-sessions/:extractionId
+ * Cancels a review; nothing is saved from it.
+ */
+const cancelOCRSession = async (req, res) => {
+  try {
+    const loaded = await loadScopeSession(req, res, { forWrite: true });
+    if (!loaded) return;
+
+    const session = await closeSession(loaded.session, 'cancelled', req.user);
+    return res.status(200).json({ success: true, message: 'OCR session cancelled', session: sessionView(session) });
+  } catch (error) {
+    console.error('[cancelOCRSession] Unexpected error:', error);
+    return res.status(500).json({ success: false, message: 'Failed to cancel OCR session', error: error.message });
+  }
+};
+
+module.exports = {
+  saveOCRData,
+  extractOCRPreview,
+  confirmOCRSave,
+  verifyOCRData,
+  listOCRSessions,
+  getOCRSession,
+  saveOCRSessionReview,
+  assignOCRSession,
+  cancelOCRSession,
+  buildOCRPreview
+};
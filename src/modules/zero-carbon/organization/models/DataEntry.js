@@ -36,6 +36,22 @@ const SourceDetailsSchema = new mongoose.Schema({
   iotDeviceId: {
     type: String
   },
+  mqttTopic: {
+    type: String
+  },
+  // For IoT roll-ups (one entry per aggregation window)
+  aggregationWindow: {
+    type: String
+  },
+  windowStart: {
+    type: Date
+  },
+  windowEnd: {
+    type: Date
+  },
+  readingCount: {
+    type: Number
+  },
   // For CSV uploads
   fileName: {
     type: String
@@ -56,6 +72,25 @@ const SourceDetailsSchema = new mongoose.Schema({
   },
   ocrConfidence: {
     type: Number
+  },
+  ocrPages: {
+    type: [Number],
+    default: undefined
+  },
+  // For OCR bills prorated over collection periods: one entry per period,
+  // linked by batchId, each holding its share of the billing period
+  billingPeriodStart: {
+    type: Date
+  },
+  billingPeriodEnd: {
+    type: Date
+  },
+  proration: {
+    periodStart: Date,
+    periodEnd: Date,
+    days: Number,
+    totalDays: Number,
+    share: Number
   }
 });
 
@@ -173,6 +208,23 @@ const DataEntrySchema = new mongoose.Schema({
   },
   // Source tracking
   sourceDetails: SourceDetailsSchema,
+  // Duplicate detection for OCR / CSV uploads (see verification/services/duplicateDetectionService).
+  // Kept outside sourceDetails, which is encrypted as a whole and cannot be queried.
+  documentFingerprint: {
+    fileHash: { type: String, default: undefined },
+    contentHash: { type: String, default: undefined },
+    rowHash: { type: String, default: undefined },
+    batchId: { type: String, default: undefined },
+    periodStart: { type: Date, default: undefined },
+    periodEnd: { type: Date, default: undefined }
+  },
+  // Aggregated IoT window this entry was flushed from (iot/iotAggregationService);
+  // unique, so a window flushed twice keeps one entry. Outside sourceDetails
+  // for the same reason as documentFingerprint.
+  iotWindow: {
+    deviceId: { type: String, default: undefined },
+    windowStart: { type: Date, default: undefined }
+  },
   // Edit capability and tracking
   isEditable: {
     type: Boolean,
@@ -282,9 +334,39 @@ const DataEntrySchema = new mongoose.Schema({
     values: {
       CO2: Number,
       CH4: Number,
-      N2O: Number
+      N2O: Number,
+      CO2e: Number
     },
-    appliedAt: Date
+    appliedAt: Date,
+    // EmissionFactorVersion resolved for the activity date (null = flowchart values)
+    versionId: String,
+    edition: String,
+    factorKey: String,
+    validFrom: Date,
+    validTo: Date
+  },
+  // Dual Scope 2 (purchased electricity / steam / heating / cooling only):
+  // { locationBasedCO2e, marketBasedCO2e, consumptionMWh, coveredMWh, residualMWh,
+  //   residualCO2e, residualFactor, residualFactorSource, allocations[], calculatedAt }
+  // Built by scope2/services/marketBasedService.allocateForEntry()
+  scope2Methods: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // Scope 3 method and GHG Protocol data quality:
+  // { method, hierarchy, skipped[], CO2e, dataQuality: { indicators, score },
+  //   spend (EEIO conversion, spend-based only), calculatedAt }
+  // Built by scope3/services/scope3MethodService.buildLineResult()
+  scope3Methods: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // Values submitted in a unit other than the scope's, as received and as stored:
+  // [{ field, originalValue, originalUnit, value, unit, factor }]
+  // Built by organization/utils/unitNormalization.applyUnitConversions()
+  unitConversions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
   },
   // Total emissions summary (for quick access)
   emissionsSummary: {
@@ -401,6 +483,13 @@ DataEntrySchema.index({ 'summaryPeriod.month': 1, 'summaryPeriod.year': 1 });
 DataEntrySchema.index({ clientId: 1, nodeId: 1, scopeIdentifier: 1, timestamp: -1 });
 DataEntrySchema.index({ clientId: 1, processingStatus: 1, timestamp: -1 });
 DataEntrySchema.index({ clientId: 1, 'summaryPeriod.year': -1, 'summaryPeriod.month': -1 });
+DataEntrySchema.index({ clientId: 1, nodeId: 1, scopeIdentifier: 1, 'documentFingerprint.fileHash': 1 });
+DataEntrySchema.index({ clientId: 1, nodeId: 1, scopeIdentifier: 1, 'documentFingerprint.contentHash': 1 });
+DataEntrySchema.index({ clientId: 1, nodeId: 1, scopeIdentifier: 1, 'documentFingerprint.rowHash': 1 });
+DataEntrySchema.index(
+  { 'iotWindow.deviceId': 1, 'iotWindow.windowStart': 1 },
+  { unique: true, partialFilterExpression: { 'iotWindow.windowStart': { $exists: true } } }
+);
 
 
 // Compound index for efficient querying
@@ -1080,6 +1169,9 @@ DataEntrySchema.plugin(encryptionPlugin, {
     'lowData',
     'lastEnteredData',
     'calculatedEmissions',
+    'scope2Methods',
+    'scope3Methods',
+    'unitConversions',
     'emissionsSummary',
     'calculatedReductions',
     'appliedEmissionFactors',
@@ -1091,4 +1183,26 @@ DataEntrySchema.plugin(encryptionPlugin, {
   ],
 });
 
+// ─── Outbound webhooks ───────────────────────────────────────────────────────
+require('../../../../common/services/webhook/webhookHooks').attachWebhookHooks(DataEntrySchema, {
+  events: (doc) => (doc.isSummary ? [] : [
+    doc.isNew && 'data_entry.created',
+    doc.isModified('emissionCalculationStatus') && doc.emissionCalculationStatus === 'completed' && 'data_entry.calculated',
+  ].filter(Boolean)),
+  payload: (doc, event) => ({
+    dataEntryId: doc._id,
+    nodeId: doc.nodeId,
+    scopeIdentifier: doc.scopeIdentifier,
+    scopeType: doc.scopeType,
+    inputType: doc.inputType,
+    date: doc.date,
+    time: doc.time,
+    timestamp: doc.timestamp,
+    ...(event === 'data_entry.calculated' && {
+      emissionCalculatedAt: doc.emissionCalculatedAt,
+      emissionsSummary: doc.emissionsSummary || null,
+    }),
+  }),
+});
+
 module.exports = mongoose.model('DataEntry', DataEntrySchema);
\ No newline at end of file
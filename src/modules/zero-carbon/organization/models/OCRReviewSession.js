@@ -0,0 +1,112 @@
+// models/Organization/OCRReviewSession.js
+// OCR review sessions: the extraction preview held between /ocr-extract and
+// /ocr-confirm (see ocr/utils/ocrSessionStore.js).
+//
+// Sessions live in MongoDB so they survive restarts and are shared by every
+// instance behind the load balancer. A reviewer can save progress and come
+// back later, or hand the session to someone else ("extracted by employee,
+// confirmed by employee head").
+//
+// Design decisions:
+// - extractionId (UUID) is the public id; _id never leaves the server.
+// - records / pageTexts / reviewState hold bill contents (account numbers,
+//   addresses, amounts) and are encrypted at rest like DataEntry.sourceDetails.
+// - summary keeps the few plain fields the listing endpoint shows.
+// - expiresAt slides forward on every review action; a TTL index removes
+//   sessions nobody touched for OCR_SESSION_TTL_MINUTES.
+// - Confirmed and cancelled sessions are kept until they expire, so a second
+//   confirm of the same extraction is refused instead of saving twice.
+// - source records where the documents came from: an upload through
+//   /ocr-extract, or an emailed bill picked up by email-ingestion (no
+//   createdBy then; the sender and subject are kept instead).
+
+'use strict';
+
+const mongoose = require('mongoose');
+
+const HandoffSchema = new mongoose.Schema(
+  {
+    from: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    to: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    note: { type: String, default: '' },
+    at: { type: Date, default: Date.now }
+  },
+  { _id: false }
+);
+
+const OCRReviewSessionSchema = new mongoose.Schema(
+  {
+    extractionId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    clientId: {
+      type: String,
+      required: true,
+      index: true
+    },
+    nodeId: { type: String, required: true },
+    scopeIdentifier: { type: String, required: true },
+    scopeType: { type: String, default: '' },
+    categoryName: { type: String, default: '' },
+
+    // 'confirming' = claimed by a running /ocr-confirm (see claimSession)
+    status: {
+      type: String,
+      enum: ['in_review', 'confirming', 'confirmed', 'cancelled'],
+      default: 'in_review'
+    },
+
+    // Preview records as returned by /ocr-extract
+    records: { type: mongoose.Schema.Types.Mixed, default: [] },
+    // recordIndex → page text, indexed for GreOn IQ once confirmed
+    pageTexts: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // recordIndex → reviewer's saved edits (confirmedDataValues, userAction …)
+    reviewState: { type: mongoose.Schema.Types.Mixed, default: {} },
+
+    summary: {
+      recordCount: { type: Number, default: 0 },
+      reviewedCount: { type: Number, default: 0 },
+      fileNames: { type: [String], default: [] }
+    },
+
+    source: {
+      type: { type: String, enum: ['upload', 'email'], default: 'upload' },
+      inboundEmailId: { type: mongoose.Schema.Types.ObjectId, ref: 'InboundEmail', default: null },
+      from: { type: String, default: null },
+      subject: { type: String, default: null }
+    },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdByType: { type: String },
+
+    // Current owner of the review; null = anyone who may write to the scope
+    assignedTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    assignedAt: { type: Date, default: null },
+    handoffs: { type: [HandoffSchema], default: [] },
+
+    lastActivityBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    lastActivityAt: { type: Date, default: Date.now },
+
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    closedAt: { type: Date, default: null },
+    // Confirm outcome: { savedCount, pendingApprovalCount, errorCount }
+    result: { type: mongoose.Schema.Types.Mixed, default: null },
+
+    expiresAt: { type: Date, required: true }
+  },
+  {
+    timestamps: true
+  }
+);
+
+OCRReviewSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+OCRReviewSessionSchema.index({ clientId: 1, status: 1, lastActivityAt: -1 });
+OCRReviewSessionSchema.index({ clientId: 1, assignedTo: 1, status: 1 });
+
+// ─── Field-level encryption ──────────────────────────────────────────────────
+const encryptionPlugin = require('../../../../common/utils/mongooseEncryptionPlugin');
+OCRReviewSessionSchema.plugin(encryptionPlugin, { fields: ['records', 'pageTexts', 'reviewState'] });
+
+module.exports = mongoose.model('OCRReviewSession', OCRReviewSessionSchema);
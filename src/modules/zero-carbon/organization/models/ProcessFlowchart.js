@@ -339,6 +339,10 @@ CO2e_gwp_comment: { type: String, default: '' },
       gwpLastUpdated: { type: Date, default: null }
     },
   
+  // EmissionFactorVersion.factorKey of the library factor picked for this scope;
+  // when set, calculations use the published version valid on the activity date
+  factorKey: { type: String, default: null },
+
   // Common metadata
   dataSource: {
     type: String,
@@ -394,6 +398,25 @@ CO2e_gwp_comment: { type: String, default: '' },
     default: '',
     description: 'Electricity consumption unit'
   },
+
+  // Unit each dataValues field is stored in, e.g. { fuelConsumption: 'L' }.
+  // Values submitted in another unit of the same dimension are converted on
+  // ingestion (common/services/uom); unlisted fields fall back to `units`
+  // (Scope 2 consumption: electricityUnit).
+  expectedUnits: { type: mongoose.Schema.Types.Mixed, default: undefined },
+
+  // Scope 3 calculation method (Purchased Goods and Services, Capital Goods)
+  scope3Method: {
+    hierarchy: {
+      type: [{ type: String, enum: ['supplier_specific', 'hybrid', 'average_data', 'spend_based'] }],
+      default: undefined,
+      description: 'Methods tried in order; default supplier_specific → hybrid → average_data → spend_based'
+    },
+    eeioSector: { type: String, default: null },    // EEIO sector code for spend-based lines
+    eeioRegion: { type: String, default: null },    // defaults to country, then GLOBAL
+    spendCurrency: { type: String, default: null }, // ISO 4217; defaults to the EEIO factor currency
+    dataQuality: { type: mongoose.Schema.Types.Mixed, default: undefined } // { [method]: { technological, temporal, ... } }
+  },
       customValues: {
     assetLifetime:         { type: Number, default: null },
     TDLossFactor:          { type: Number, default: null },
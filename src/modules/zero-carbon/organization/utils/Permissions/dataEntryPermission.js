@@ -32,6 +32,7 @@ const {
   hasModuleAccess,
   isChecklistRole,
 } = require('../../../../../common/utils/Permissions/accessControlPermission');
+const { authorize } = require('../../../../../common/services/authz/policyEngine');
 
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
@@ -96,9 +97,12 @@ const getDataEntryAccessContext = async (user, clientId) => {
 
   const { userType } = user;
 
-  // 1) Full-access roles (admin, consultant) — no checklist
+  // 1) Full-access roles (admin, consultant) — no checklist, but only on a
+  //    client they may see ('flowchart:view': their own client, or one they
+  //    manage as consultant)
   if (FULL_ACCESS_ROLES.has(userType)) {
-    return { isFullAccess: true };
+    const { allowed } = await authorize(user, 'flowchart:view', { type: 'client', clientId });
+    return allowed ? { isFullAccess: true } : _emptyCtx(userType);
   }
 
   // 2) 🆕 Checklist roles: viewer and auditor
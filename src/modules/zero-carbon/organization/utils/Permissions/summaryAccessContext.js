@@ -16,6 +16,7 @@
 const Flowchart       = require('../../models/Flowchart');
 const ProcessFlowchart = require('../../models/ProcessFlowchart');
 const Reduction       = require('../../../reduction/models/Reduction');
+const { authorize }   = require('../../../../../common/services/authz/policyEngine');
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -73,7 +74,9 @@ const getSummaryAccessContext = async (user, clientId) => {
   const { userType } = user;
 
   // ── Full-access roles ──────────────────────────────────────────────────────
-  // These roles see all client data unfiltered.
+  // These roles see all client data unfiltered, on a client the policy lets
+  // them view ('flowchart:view'). On any other client — e.g. a consultant not
+  // assigned to it — they see nothing.
   const FULL_ACCESS_ROLES = new Set([
     'super_admin',
     'consultant_admin',
@@ -84,7 +87,10 @@ const getSummaryAccessContext = async (user, clientId) => {
   ]);
 
   if (FULL_ACCESS_ROLES.has(userType)) {
-    return { isFullAccess: true };
+    const { allowed } = await authorize(user, 'flowchart:view', { type: 'client', clientId });
+    return allowed
+      ? { isFullAccess: true }
+      : { isFullAccess: false, allowedNodeIds: new Set(), allowedProcessNodeIds: new Set(), allowedScopeIdentifiers: new Set(), allowedCategoryActivities: new Set(), allowedReductionProjectIds: new Set(), userId: getUserId(user), role: userType };
   }
 
   // ── Restricted roles ───────────────────────────────────────────────────────
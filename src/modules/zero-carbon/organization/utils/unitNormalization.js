@@ -0,0 +1,134 @@
+'use strict';
+// utils/unitNormalization.js
+//
+// Brings submitted dataValues into the unit the scope expects before they are
+// stored, so emission factors are always applied to the unit they were set up
+// for. Shared by manual, CSV, API, IoT and OCR ingestion.
+//
+// A row declares units in any of these forms (field names as in dataValues):
+//   { units: { fuelConsumption: 'gal' } }        per field
+//   { fuelConsumption_unit: 'gal' }              CSV column / flat payload
+//   { unit: 'MWh' }                              only when a single field has a value
+//
+// Rows without a unit are taken to be in the scope's unit, as before.
+
+const uom = require('../../../../common/services/uom/uomService');
+
+const { UomError } = uom;
+
+const SCOPE2_FIELDS = ['consumed_electricity', 'consumed_steam', 'consumed_heating', 'consumed_cooling'];
+
+const readKey = (obj, key) => (obj instanceof Map ? obj.get(key) : obj?.[key]);
+
+/**
+ * Unit a dataValues field of this scope is stored in, or null if the scope
+ * does not say.
+ */
+function expectedUnitFor(scope, field) {
+  const configured = readKey(scope?.expectedUnits, field);
+  if (configured) return configured;
+  if (scope?.scopeType === 'Scope 2' && SCOPE2_FIELDS.includes(field)) {
+    return scope.electricityUnit || scope.units || 'kWh';
+  }
+  if (/spend/i.test(field) && scope?.scope3Method?.spendCurrency) {
+    return scope.scope3Method.spendCurrency;
+  }
+  return scope?.units || null;
+}
+
+const hasValue = (v) => v !== null && v !== undefined && v !== '' && Number.isFinite(Number(v)) && Number(v) !== 0;
+
+/**
+ * Units declared on a raw row, keyed by dataValues field.
+ * @throws {UomError} for units on unknown fields or an ambiguous bare `unit`
+ */
+function declaredUnits(raw, dataValues) {
+  const fields = Object.keys(dataValues);
+  const declared = {};
+
+  if (raw?.units && typeof raw.units === 'object') {
+    for (const [field, unit] of Object.entries(raw.units)) {
+      if (!unit) continue;
+      if (!fields.includes(field)) {
+        throw new UomError(
+          `Unit given for '${field}', which is not a data field of this scope (fields: ${fields.join(', ')}).`,
+          'UNKNOWN_FIELD'
+        );
+      }
+      declared[field] = String(unit);
+    }
+  }
+
+  for (const field of fields) {
+    const unit = raw?.[`${field}_unit`] ?? raw?.[`${field}Unit`];
+    if (unit && !declared[field]) declared[field] = String(unit);
+  }
+
+  if (raw?.unit && typeof raw.unit === 'string' && raw.unit.trim()) {
+    const withValue = fields.filter((f) => !declared[f] && hasValue(dataValues[f]));
+    if (withValue.length > 1) {
+      throw new UomError(
+        `'unit' is ambiguous for ${withValue.join(', ')}; declare one per field with units: { field: unit }.`,
+        'AMBIGUOUS_UNIT'
+      );
+    }
+    if (withValue.length === 1) declared[withValue[0]] = raw.unit.trim();
+  }
+
+  return declared;
+}
+
+/**
+ * Convert declared-unit values in `dataValues` (mutated in place) to the
+ * scope's expected units.
+ *
+ * @param {object} dataValues — normalised payload, field → value
+ * @param {object} raw — the row as submitted (carries the unit declarations)
+ * @param {object} scope — flowchart scopeDetail
+ * @returns {Array<{ field, originalValue, originalUnit, value, unit, factor }>|null}
+ *          one record per declared field, null when nothing was declared
+ * @throws {UomError} unknown or incompatible units (status 422)
+ */
+function applyUnitConversions(dataValues, raw, scope) {
+  const declared = declaredUnits(raw, dataValues);
+  const conversions = [];
+
+  for (const [field, originalUnit] of Object.entries(declared)) {
+    const originalValue = Number(dataValues[field]);
+    if (!Number.isFinite(originalValue)) continue;
+
+    const from = uom.requireUnit(originalUnit, `unit for '${field}'`);
+    const expected = expectedUnitFor(scope, field);
+
+    let factor = 1;
+    let unit = from.symbol;
+    if (expected) {
+      const to = uom.parseUnit(expected);
+      if (!to) {
+        throw new UomError(
+          `'${field}' is configured in '${expected}', which is not a recognised unit, so ${from.symbol} cannot be converted. ` +
+            `Submit the value in '${expected}' without a unit, or set expectedUnits on the scope.`,
+          'UNKNOWN_UNIT'
+        );
+      }
+      try {
+        factor = uom.conversionFactor(from.symbol, to.symbol);
+      } catch (err) {
+        if (err instanceof UomError) err.message = `'${field}': ${err.message}`;
+        throw err;
+      }
+      unit = to.symbol;
+    }
+
+    dataValues[field] = originalValue * factor;
+    conversions.push({ field, originalValue, originalUnit, value: dataValues[field], unit, factor });
+  }
+
+  return conversions.length ? conversions : null;
+}
+
+module.exports = {
+  expectedUnitFor,
+  declaredUnits,
+  applyUnitConversions,
+};
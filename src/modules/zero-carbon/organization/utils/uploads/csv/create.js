@@ -8,7 +8,8 @@ async function uploadOrganisationCSVCreate({
   scopeIdentifier,
   fileName,
   buffer,
-  contentType = 'text/csv'
+  contentType = 'text/csv',
+  fileHash = null
 }) {
   const Bucket = process.env.S3_ORGANISATION_CLIENT_CSV_BUCKET;
   if (!Bucket) throw new Error('Missing env: S3_ORGANISATION_CLIENT_CSV_BUCKET');
@@ -25,13 +26,16 @@ async function uploadOrganisationCSVCreate({
     Key,
     Body: buffer,
     ContentType: contentType,
-    ContentDisposition: `attachment; filename="${fileName}"`
+    ContentDisposition: `attachment; filename="${fileName}"`,
+    // sha256 of the original file, used for duplicate upload detection
+    ...(fileHash ? { Metadata: { sha256: fileHash } } : {})
   }).promise();
 
   return {
     bucket: Bucket,
     key: Key,
-    etag: putRes.ETag || null
+    etag: putRes.ETag || null,
+    fileHash
   };
 }
 
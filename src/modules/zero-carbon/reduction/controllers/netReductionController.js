@@ -933,7 +933,8 @@ exports.saveM3NetReduction = async (req, res) => {
         projectId,
         calculationMethodology: "methodology3",
         netReductionValue: NwU_now,
-        inputType: "manual"
+        inputType: "manual",
+        timestamp: when.timestamp
       });
 
       if (checkResult.shouldRequireApproval) {
@@ -968,6 +969,8 @@ exports.saveM3NetReduction = async (req, res) => {
           historicalAverage: checkResult.meta.historicalAverageDailyValue,
           deviationPct: checkResult.meta.deviationPercentage,
           thresholdPct: checkResult.meta.thresholdPercentage,
+          detectionMethod: checkResult.meta.detectionMethod,
+          anomalyReason: checkResult.meta.anomalyReason,
           frequency: checkResult.meta.frequency,
           inputType: "manual",
           flowType: "netReduction",
@@ -1193,7 +1196,8 @@ exports.saveManualNetReduction = async (req, res) => {
             projectId,
             calculationMethodology,
             netReductionValue: net,
-            inputType: "manual"
+            inputType: "manual",
+            timestamp: when.timestamp
           });
 
           if (checkResult.shouldRequireApproval) {
@@ -1231,6 +1235,8 @@ exports.saveManualNetReduction = async (req, res) => {
               historicalAverage: checkResult.meta.historicalAverageDailyValue,
               deviationPct: checkResult.meta.deviationPercentage,
               thresholdPct: checkResult.meta.thresholdPercentage,
+              detectionMethod: checkResult.meta.detectionMethod,
+              anomalyReason: checkResult.meta.anomalyReason,
               frequency: checkResult.meta.frequency,
               inputType: "manual",
               flowType: "netReduction",
@@ -1357,7 +1363,8 @@ exports.saveManualNetReduction = async (req, res) => {
             projectId,
             calculationMethodology,
             netReductionValue: finalNet,
-            inputType: "manual"
+            inputType: "manual",
+            timestamp: when.timestamp
           });
 
           if (checkResult.shouldRequireApproval) {
@@ -1395,6 +1402,8 @@ exports.saveManualNetReduction = async (req, res) => {
               historicalAverage: checkResult.meta.historicalAverageDailyValue,
               deviationPct: checkResult.meta.deviationPercentage,
               thresholdPct: checkResult.meta.thresholdPercentage,
+              detectionMethod: checkResult.meta.detectionMethod,
+              anomalyReason: checkResult.meta.anomalyReason,
               frequency: checkResult.meta.frequency,
               inputType: "manual",
               flowType: "netReduction",
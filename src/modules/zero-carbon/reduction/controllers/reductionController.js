@@ -7,6 +7,11 @@ const { notifyReductionEvent } = require('../../workflow/notifications/reduction
 const { syncReductionWorkflow } = require('../utils/Workflow/workflow');
 const { syncClientReductionProjects } = require('../utils/Workflow/syncReductionProjects'); // <-- ADD THIS LINE
 const { uploadReductionMedia, saveReductionFiles } = require('../utils/reductionUploadS3');
+const {
+  getMaccForClient,
+  attributeProjectsToTarget,
+  toReportData: maccToReportData,
+} = require('../services/maccService');
 
 // Audit log helpers for the reduction module
 const {
@@ -528,6 +533,13 @@ exports.createReduction = async (req, res) => {
     const m2In = asObject(body.m2, "m2") || {};
     const m3In = asObject(body.m3, "m3") || {};
     const processFlowIn = asObject(body.processFlow, "processFlow");
+    const costDataIn = asObject(body.costData, "costData");
+    let costData;
+    try {
+      costData = costDataIn ? normalizeCostData(costDataIn) : undefined;
+    } catch (e) {
+      return res.status(e.status || 400).json({ success: false, message: e.message });
+    }
 
     // ✅ reductionDataEntry can be JSON-string or object
     const reductionEntryIn =
@@ -599,6 +611,8 @@ exports.createReduction = async (req, res) => {
         ? { processFlow: normalizeProcessFlow(processFlowIn, req.user) }
         : {}),
 
+      ...(costData ? { costData } : {}),
+
       // ✅ IMPORTANT: use parsed reductionEntryIn (fixes apiKeyRequest not saving on create)
       reductionDataEntry: normalizeReductionDataEntry(reductionEntryIn, {}) // no existing yet
     });
@@ -660,6 +674,37 @@ function normalizeUnitItem(prefix) {
   });
 }
 
+/**
+ * costData (MACC inputs) — numbers may arrive as strings from form-data.
+ * Checks the ranges here: costData is encrypted, so schema validators do
+ * not run on it. Throws with status 400 on a bad value.
+ */
+function normalizeCostData(raw = {}, existing = {}) {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+  const num = (k, min = null) => {
+    if (!(k in raw)) return existing?.[k] ?? null;
+    if (raw[k] === null || raw[k] === '') return null;
+    const n = Number(raw[k]);
+    if (!Number.isFinite(n)) throw invalid(`costData.${k} must be a number`);
+    if (min !== null && n < min) throw invalid(`costData.${k} must be at least ${min}`);
+    return n;
+  };
+  return {
+    currency: typeof raw.currency === 'string' && raw.currency.trim()
+      ? raw.currency.trim().toUpperCase()
+      : (existing?.currency || 'INR'),
+    capex: num('capex', 0) ?? 0,
+    opexAnnual: num('opexAnnual') ?? 0,
+    annualSavings: num('annualSavings') ?? 0,
+    lifetimeYears: num('lifetimeYears', 1),
+    discountRatePct: num('discountRatePct', 0) ?? 0,
+    expectedAnnualReduction: num('expectedAnnualReduction', 0),
+    remark: typeof raw.remark === 'string' ? raw.remark : (existing?.remark || '')
+  };
+}
+
+exports.normalizeCostData = normalizeCostData;
+
 async function canAccessReductions(user, clientId) {
   // 1) Super admin
   if (user.userType === "super_admin") return { allowed: true, reason: "Super admin" };
@@ -1054,6 +1099,7 @@ exports.updateReduction = async (req, res) => {
     const m2In = asObject(body.m2, "m2");
     const m3In = asObject(body.m3, "m3");
     const processFlowIn = asObject(body.processFlow, "processFlow");
+    const costDataIn = asObject(body.costData, "costData");
     const reductionEntryIn =
       asObject(body.reductionDataEntry, "reductionDataEntry") ||
       asObject(body.reductionDateEntry, "reductionDateEntry");
@@ -1082,6 +1128,14 @@ exports.updateReduction = async (req, res) => {
     if (body.commissioningDate) doc.commissioningDate = new Date(body.commissioningDate);
     if (body.endDate) doc.endDate = new Date(body.endDate);
 
+    if (costDataIn) {
+      try {
+        doc.costData = normalizeCostData(costDataIn, doc.costData);
+      } catch (e) {
+        return res.status(e.status || 400).json({ success: false, message: e.message });
+      }
+    }
+
     // ---------------- Methodology switching ----------------
     const requestedMethod = body.calculationMethodology ? asString(body.calculationMethodology) : undefined;
     const targetMethod = requestedMethod || doc.calculationMethodology;
@@ -2038,6 +2092,116 @@ exports.getClientReductionWorkflowStatus = async (req, res) => {
 };
 
 
+// ============================================================
+// MARGINAL ABATEMENT COST CURVE (MACC)
+// ============================================================
+
+/**
+ * @route   GET /api/reductions/macc/:clientId
+ * @query   scope, status, category (comma lists), target_id (M3 target → gap)
+ * @desc    Projects ranked by levelised cost per tonne abated
+ * @access  Same as project read access
+ */
+exports.getReductionMacc = async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const access = await canAccessReductions(req.user, clientId);
+    if (!access.allowed) {
+      return res.status(403).json({ success: false, message: access.reason });
+    }
+
+    const data = await getMaccForClient(clientId, req.query);
+    return res.status(200).json({ success: true, data });
+  } catch (error) {
+    console.error('getReductionMacc error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to build MACC',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @route   GET /api/reductions/macc/:clientId/export?format=pdf|xlsx
+ * @desc    MACC through the GreOn IQ PDF / Excel exporters (same filters as above)
+ */
+exports.exportReductionMacc = async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const format = String(req.query.format || 'xlsx').toLowerCase();
+    if (!['pdf', 'xlsx'].includes(format)) {
+      return res.status(400).json({ success: false, message: 'format must be pdf or xlsx' });
+    }
+
+    const access = await canAccessReductions(req.user, clientId);
+    if (!access.allowed) {
+      return res.status(403).json({ success: false, message: access.reason });
+    }
+
+    const [macc, client] = await Promise.all([
+      getMaccForClient(clientId, req.query),
+      Client.findOne({ clientId }).select('leadInfo.companyName').lean()
+    ]);
+    const reportData = maccToReportData(macc, client?.leadInfo?.companyName);
+
+    // Loaded on demand — the PDF exporter pulls in a headless browser
+    let buffer;
+    if (format === 'pdf') {
+      const { toPdf } = require('../../../greon-iq/exporters/pdfExporter');
+      buffer = await toPdf(reportData, req.user);
+    } else {
+      const { toExcel } = require('../../../greon-iq/exporters/excelExporter');
+      buffer = await toExcel(reportData);
+    }
+
+    const mime = format === 'pdf'
+      ? 'application/pdf'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    res.setHeader('Content-Type', mime);
+    res.setHeader('Content-Disposition', `attachment; filename="macc-${clientId}.${format}"`);
+    return res.status(200).send(buffer);
+  } catch (error) {
+    console.error('exportReductionMacc error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to export MACC',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @route   POST /api/reductions/macc/:clientId/attribute
+ * @body    { target_id, projectIds: [] }
+ * @desc    Records MACC projects as M3 InitiativeAttributions (expected_reduction = annual reduction)
+ */
+exports.attributeMaccToTarget = async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    const { target_id, projectIds } = req.body || {};
+    if (!target_id || !Array.isArray(projectIds) || !projectIds.length) {
+      return res.status(400).json({ success: false, message: 'target_id and a non-empty projectIds array are required' });
+    }
+
+    const perm = await canCreateOrEdit(req.user, clientId);
+    if (!perm.ok) {
+      return res.status(403).json({ success: false, message: perm.reason });
+    }
+
+    const data = await attributeProjectsToTarget(clientId, target_id, projectIds, req.user);
+    return res.status(200).json({ success: true, message: 'Projects attributed to target', data });
+  } catch (error) {
+    console.error('attributeMaccToTarget error:', error);
+    return res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to attribute projects',
+      error: error.message
+    });
+  }
+};
+
+
 exports.getMyAssignedReductions = async (req, res) => {
   const role = req.user.userType;
 
@@ -350,6 +350,26 @@ const ReductionEntrySchema = new mongoose.Schema({
 }, { _id: false });
 
 
+/**
+ * Cost data for the marginal abatement cost curve (MACC)
+ * Levelised cost per tonne = (capex × CRF + opexAnnual − annualSavings) / annual reduction
+ * CRF = r(1+r)^n / ((1+r)^n − 1), r = discountRatePct / 100, n = lifetimeYears
+ */
+// costData is encrypted (stored as Mixed), so schema validators never run on
+// it — ranges are enforced by normalizeCostData in reductionController.
+const CostDataSchema = new mongoose.Schema({
+  currency:        { type: String, default: 'INR' },
+  capex:           { type: Number, default: 0 },    // one-off investment (>= 0)
+  opexAnnual:      { type: Number, default: 0 },    // yearly operating cost
+  annualSavings:   { type: Number, default: 0 },    // yearly savings (fuel, power…) — can make cost negative
+  lifetimeYears:   { type: Number, default: null }, // economic lifetime (>= 1)
+  discountRatePct: { type: Number, default: 0 },    // e.g. 8 = 8% (>= 0)
+  // Used when no NetReductionEntry data exists yet (tCO2e / year, >= 0)
+  expectedAnnualReduction: { type: Number, default: null },
+  remark:          { type: String, default: '' }
+}, { _id: false });
+
+
 /**
  * Main Reduction schema
  */
@@ -472,6 +492,9 @@ const reductionSchema = new mongoose.Schema({
     },
 
 
+  // Abatement cost inputs (optional) — see CostDataSchema
+  costData: { type: CostDataSchema, default: undefined },
+
   reductionDataEntry: { type: ReductionEntrySchema, default: () => ({ inputType:'manual', originalInputType:'manual' }) },
 
   assignedTeam: {
@@ -776,7 +799,20 @@ reductionSchema.plugin(encryptionPlugin, {
     'assignedTeam',
     'coverImage',
     'images',
+    'costData',
   ],
 });
 
+// ─── Outbound webhooks ───────────────────────────────────────────────────────
+require('../../../../common/services/webhook/webhookHooks').attachWebhookHooks(reductionSchema, {
+  trackPaths: ['status'],
+  events: (doc) => (!doc.isNew && doc.isModified('status') ? ['reduction.status_changed'] : []),
+  payload: (doc, event, loaded) => ({
+    projectId: doc.projectId,
+    projectName: doc.projectName,
+    previousStatus: loaded.status ?? null,
+    status: doc.status,
+  }),
+});
+
 module.exports = mongoose.model('Reduction', reductionSchema);
@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const { auth } = require('../../../../common/middleware/auth');
 const { apiKeyMiddleware, apiKeyRateLimit } = require('../../api-key/middleware/apiKeyAuth');
+const { idempotency } = require('../../api-key/middleware/idempotency');
 const multer = require('multer');
 const upload = multer({ dest: 'uploads/' });
 
@@ -50,6 +51,7 @@ router.post(
   '/:clientId/:projectId/:calculationMethodology/:apiKey/api',
   apiKeyMiddleware.netReductionAPI,     // ✅ API Key Auth (from URL params)
   apiKeyRateLimit(100, 60000),           // Rate limit: 100 req/min
+  idempotency(),                         // Optional Idempotency-Key header
   saveApiNetReduction
 );
 
@@ -68,6 +70,33 @@ router.post(
   '/:clientId/:projectId/:calculationMethodology/:apiKey/iot',
   apiKeyMiddleware.netReductionIoT,     // ✅ API Key Auth (from URL params)
   apiKeyRateLimit(100, 60000),           // Rate limit: 100 req/min
+  idempotency(),                         // Optional Idempotency-Key header
+  saveIotNetReduction
+);
+
+/**
+ * SIGNED NET REDUCTION INGESTION (key kept out of the URL)
+ * POST /api/net-reduction/:clientId/:projectId/:calculationMethodology/api
+ * POST /api/net-reduction/:clientId/:projectId/:calculationMethodology/iot
+ *
+ * ✅ PROTECTED with API Key (NET_API / NET_IOT) via signed header:
+ *   Authorization: ZC-HMAC-SHA256 keyId=<keyId>, timestamp=<unix seconds>, signature=<hex>
+ *   Idempotency-Key: <unique per submission>   (optional)
+ * See api-key/utils/requestSigning.js for the canonical string.
+ */
+router.post(
+  '/:clientId/:projectId/:calculationMethodology/api',
+  apiKeyMiddleware.netReductionAPI,
+  apiKeyRateLimit(100, 60000),
+  idempotency(),
+  saveApiNetReduction
+);
+
+router.post(
+  '/:clientId/:projectId/:calculationMethodology/iot',
+  apiKeyMiddleware.netReductionIoT,
+  apiKeyRateLimit(100, 60000),
+  idempotency(),
   saveIotNetReduction
 );
 
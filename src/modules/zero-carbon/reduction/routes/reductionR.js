@@ -5,6 +5,7 @@
 const express = require('express');
 const router = express.Router();
 const { auth } = require('../../../../common/middleware/auth');
+const { validateRequest } = require('../../../../common/middleware/validateRequest');
 const {
   createReduction,
   getReduction,
@@ -21,6 +22,9 @@ const {
   getReductionProjectsSummary,
   updateClientReductionWorkflowStatus,  // 🆕 NEW
   getClientReductionWorkflowStatus,      // 🆕 NEW
+  getReductionMacc,
+  exportReductionMacc,
+  attributeMaccToTarget,
 
 } = require('../controllers/reductionController');
 const { uploadReductionMedia } =
@@ -56,6 +60,11 @@ router.post('/sync/:clientId', zcGate, syncReductionProjects);
 // Get projects summary for a client
 router.get('/summary/:clientId', zcGate, getReductionProjectsSummary);
 
+// Marginal abatement cost curve (filters: scope, status, category, target_id)
+router.get('/macc/:clientId', zcGate, getReductionMacc);
+router.get('/macc/:clientId/export', zcGate, exportReductionMacc);
+router.post('/macc/:clientId/attribute', zcGate, attributeMaccToTarget);
+
 // ==========================================
 // 🔹 PARAMETRIC ROUTES (with params like :clientId, :projectId)
 // These come AFTER special routes to avoid conflicts
@@ -82,7 +91,12 @@ router.patch(
 
 // 🔹 PROJECT-LEVEL STATUS UPDATE (individual project)
 // Keep this AFTER the main patch route
-router.patch('/:clientId/:projectId/status', zcGate, updateReductionStatus);
+router.patch(
+  '/:clientId/:projectId/status',
+  zcGate,
+  validateRequest('PATCH /api/reductions/{clientId}/{projectId}/status'),
+  updateReductionStatus
+);
 
 // Force recalculate
 router.post('/:clientId/:projectId/recalculate', zcGate, recalculateReduction);
@@ -0,0 +1,344 @@
+/**
+ * services/Reduction/maccService.js
+ * ------------------------------------------------------
+ * Marginal abatement cost curve (MACC) for reduction projects.
+ *
+ * Per project:
+ *   annualReduction  = measured net reduction annualised over the days with
+ *                      entries (SummaryNetReduction.byProject), else
+ *                      costData.expectedAnnualReduction
+ *   annualisedCost   = capex × CRF + opexAnnual − annualSavings
+ *   costPerTonne     = annualisedCost / annualReduction
+ *
+ * Projects are sorted cheapest-first; each bar spans
+ * [cumulativeStart, cumulativeEnd] tCO2e/yr on the x-axis.
+ *
+ * When an M3 target is given, the current forecast overshoot
+ * (projected − allowed) is used as the gap, and bars are flagged until
+ * cumulative abatement closes it.
+ */
+
+const Reduction = require('../models/Reduction');
+const SummaryNetReduction = require('../models/SummaryNetReduction');
+const TargetMaster = require('../../m3/models/TargetMaster');
+const ForecastSnapshot = require('../../m3/models/ForecastSnapshot');
+const InitiativeAttribution = require('../../m3/models/InitiativeAttribution');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function safeNumber(n) {
+  const x = Number(n);
+  return Number.isFinite(x) ? x : 0;
+}
+
+function round6(n) {
+  return Math.round(safeNumber(n) * 1e6) / 1e6;
+}
+
+/**
+ * Capital recovery factor — spreads capex evenly over the lifetime
+ * at the given discount rate. r = 0 → straight-line (1 / n).
+ */
+function capitalRecoveryFactor(discountRatePct, lifetimeYears) {
+  const n = safeNumber(lifetimeYears);
+  if (n <= 0) return null;
+  const r = safeNumber(discountRatePct) / 100;
+  if (r === 0) return 1 / n;
+  const f = Math.pow(1 + r, n);
+  return (r * f) / (f - 1);
+}
+
+/**
+ * Annualised cost of a project's costData. Returns null when lifetime is
+ * missing and there is capex to recover.
+ */
+function annualisedCost(costData = {}) {
+  const capex = safeNumber(costData.capex);
+  const crf = capitalRecoveryFactor(costData.discountRatePct, costData.lifetimeYears);
+  if (capex > 0 && crf === null) return null;
+  return capex * (crf || 0) + safeNumber(costData.opexAnnual) - safeNumber(costData.annualSavings);
+}
+
+/**
+ * Annual reduction for one project.
+ * @param {object} costData
+ * @param {object} [measured] — SummaryNetReduction.byProject entry
+ * @returns {{ value: number|null, basis: 'measured'|'expected'|null, measuredDays: number|null }}
+ */
+function annualReduction(costData = {}, measured = null) {
+  const stats = measured?.stats;
+  if (stats && stats.entries > 0 && stats.firstDate && stats.lastDate) {
+    const days = Math.max(1, Math.round((new Date(stats.lastDate) - new Date(stats.firstDate)) / DAY_MS) + 1);
+    return { value: safeNumber(stats.totalNet) * (365 / days), basis: 'measured', measuredDays: days };
+  }
+  if (costData.expectedAnnualReduction != null) {
+    return { value: safeNumber(costData.expectedAnnualReduction), basis: 'expected', measuredDays: null };
+  }
+  return { value: null, basis: null, measuredDays: null };
+}
+
+/**
+ * Build the curve from plain project rows. Pure — no DB calls.
+ *
+ * @param {object[]} projects — { projectId, projectName, scope, category, status, costData, measured }
+ * @param {object}   [opts]
+ * @param {number}   [opts.gap] — tCO2e/yr to close (M3 forecast overshoot)
+ * @returns {{ bars: object[], excluded: object[], totals: object }}
+ */
+function buildMacc(projects, { gap = null } = {}) {
+  const bars = [];
+  const excluded = [];
+
+  for (const p of projects) {
+    const base = {
+      projectId: p.projectId,
+      reductionId: p.reductionId,
+      projectName: p.projectName,
+      scope: p.scope || '',
+      category: p.category || '',
+      status: p.status
+    };
+    if (!p.costData) { excluded.push({ ...base, reason: 'No cost data' }); continue; }
+
+    const cost = annualisedCost(p.costData);
+    if (cost === null) { excluded.push({ ...base, reason: 'lifetimeYears is required when capex is set' }); continue; }
+
+    const red = annualReduction(p.costData, p.measured);
+    if (!(red.value > 0)) {
+      excluded.push({ ...base, reason: red.basis ? 'Annual reduction is not positive' : 'No net reduction data or expectedAnnualReduction' });
+      continue;
+    }
+
+    bars.push({
+      ...base,
+      currency: p.costData.currency || 'INR',
+      annualReduction: round6(red.value),
+      reductionBasis: red.basis,
+      measuredDays: red.measuredDays,
+      annualisedCost: round6(cost),
+      costPerTonne: round6(cost / red.value),
+      lifetimeYears: p.costData.lifetimeYears ?? null,
+      discountRatePct: safeNumber(p.costData.discountRatePct)
+    });
+  }
+
+  bars.sort((a, b) => a.costPerTonne - b.costPerTonne || b.annualReduction - a.annualReduction);
+
+  let cumulative = 0;
+  let cumulativeCost = 0;
+  let gapClosedAt = null;
+  for (const bar of bars) {
+    bar.cumulativeStart = round6(cumulative);
+    cumulative += bar.annualReduction;
+    cumulativeCost += bar.annualisedCost;
+    bar.cumulativeEnd = round6(cumulative);
+    if (gap != null) {
+      // Every bar needed to reach the gap counts, including the one that crosses it
+      bar.closesGap = gap > 0 && bar.cumulativeStart < gap;
+      if (gapClosedAt === null && gap > 0 && cumulative >= gap) {
+        gapClosedAt = { projectId: bar.projectId, costPerTonne: bar.costPerTonne, cumulativeCost: round6(cumulativeCost) };
+      }
+    }
+  }
+
+  return {
+    bars,
+    excluded,
+    totals: {
+      projects: bars.length,
+      annualReduction: round6(cumulative),
+      annualisedCost: round6(cumulativeCost),
+      averageCostPerTonne: cumulative > 0 ? round6(cumulativeCost / cumulative) : null,
+      negativeCostAbatement: round6(bars.filter(b => b.costPerTonne < 0).reduce((s, b) => s + b.annualReduction, 0)),
+      gap: gap != null ? round6(gap) : null,
+      gapClosed: gap != null ? (gap <= 0 || cumulative >= gap) : null,
+      gapClosedAt
+    }
+  };
+}
+
+const lc = (v) => String(v || '').trim().toLowerCase();
+const listParam = (v) => (v ? String(v).split(',').map(lc).filter(Boolean) : []);
+
+/**
+ * Loads reduction projects for a client and builds the MACC.
+ *
+ * scope / category are encrypted at rest, so filters on them are applied
+ * after the read.
+ *
+ * @param {string} clientId
+ * @param {object} [filters] — { scope, status, category, target_id } (scope/status/category: comma lists)
+ */
+async function getMaccForClient(clientId, filters = {}) {
+  const query = { clientId, isDeleted: false };
+  const statuses = listParam(filters.status);
+  if (statuses.length) query.status = { $in: statuses };
+
+  const [docs, summary] = await Promise.all([
+    Reduction.find(query)
+      .select('projectId reductionId projectName scope category status costData')
+      .lean(),
+    SummaryNetReduction.findOne({ clientId }).select('byProject').lean()
+  ]);
+
+  const scopes = listParam(filters.scope);
+  const categories = listParam(filters.category);
+  const measuredById = new Map((summary?.byProject || []).map(p => [p.projectId, p]));
+
+  const projects = docs
+    .filter(d => !scopes.length || scopes.includes(lc(d.scope)))
+    .filter(d => !categories.length || categories.includes(lc(d.category)))
+    .map(d => ({ ...d, measured: measuredById.get(d.projectId) || null }));
+
+  let target = null;
+  let gap = null;
+  if (filters.target_id) {
+    target = await TargetMaster.findOne({ _id: filters.target_id, clientId, isDeleted: false })
+      .select('target_code target_name base_year target_year')
+      .lean();
+    if (!target) {
+      const e = new Error('Target not found for this client.'); e.status = 404; throw e;
+    }
+    const forecast = await ForecastSnapshot.findOne({ target_id: target._id, is_primary: true })
+      .sort({ forecast_date: -1 })
+      .lean();
+    if (forecast) gap = Math.max(0, forecast.projected_emissions - forecast.allowed_emissions);
+  }
+
+  const macc = buildMacc(projects, { gap });
+
+  if (target) {
+    const attributed = await InitiativeAttribution.find({
+      target_id: target._id,
+      isDeleted: false,
+      initiative_id: { $in: macc.bars.map(b => b.projectId) }
+    }).select('initiative_id').lean();
+    const attributedIds = new Set(attributed.map(a => a.initiative_id));
+    macc.bars.forEach(b => { b.attributedToTarget = attributedIds.has(b.projectId); });
+  }
+
+  return {
+    clientId,
+    filters: { scope: scopes, status: statuses, category: categories },
+    target: target ? { ...target, forecastGap: gap } : null,
+    ...macc
+  };
+}
+
+/**
+ * Writes MACC projects into M3 InitiativeAttribution for a target so the
+ * planned reduction shows up against the pathway. Existing attributions for
+ * the same project are updated in place (expected_reduction only).
+ *
+ * @param {string}   clientId
+ * @param {string}   targetId
+ * @param {string[]} projectIds
+ * @param {object}   user
+ */
+async function attributeProjectsToTarget(clientId, targetId, projectIds, user) {
+  const target = await TargetMaster.findOne({ _id: targetId, clientId, isDeleted: false }).lean();
+  if (!target) {
+    const e = new Error('Target not found for this client.'); e.status = 404; throw e;
+  }
+
+  const macc = await getMaccForClient(clientId, {});
+  const barsById = new Map(macc.bars.map(b => [b.projectId, b]));
+  const missing = projectIds.filter(id => !barsById.has(id));
+  if (missing.length) {
+    const e = new Error(`Projects not on the MACC (missing cost or reduction data): ${missing.join(', ')}`);
+    e.status = 422; throw e;
+  }
+
+  const results = [];
+  for (const projectId of projectIds) {
+    const bar = barsById.get(projectId);
+    const attr = await InitiativeAttribution.findOneAndUpdate(
+      { target_id: target._id, initiative_id: projectId, isDeleted: false },
+      {
+        $set: {
+          expected_reduction: bar.annualReduction,
+          category_code: bar.category || null,
+          updated_by: user._id
+        },
+        $setOnInsert: {
+          clientId,
+          attribution_method: 'MACC',
+          measurement_basis: null,
+          created_by: user._id
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    results.push(attr);
+  }
+  return results;
+}
+
+/**
+ * Shapes a MACC result as reportData for the GreOn IQ PDF / Excel exporters.
+ */
+function toReportData(macc, clientName = null) {
+  const currency = macc.bars[0]?.currency || 'INR';
+  return {
+    meta: {
+      title: 'Marginal Abatement Cost Curve',
+      clientName: clientName || macc.clientId,
+      domain: 'reduction_macc'
+    },
+    sections: [
+      {
+        heading: 'MACC — projects ranked by cost per tonne',
+        narrative:
+          `${macc.totals.projects} project(s) abate ${macc.totals.annualReduction} tCO2e/yr ` +
+          `at an average ${macc.totals.averageCostPerTonne ?? '—'} ${currency}/tCO2e.` +
+          (macc.target
+            ? ` Target ${macc.target.target_code} forecast gap: ${macc.totals.gap ?? 'n/a'} tCO2e — ` +
+              (macc.totals.gapClosed ? 'closed by the projects below.' : 'not closed by the listed projects.')
+            : ''),
+        tables: [{
+          title: 'MACC',
+          columns: [
+            { key: 'rank', label: '#' },
+            { key: 'projectName', label: 'Project' },
+            { key: 'scope', label: 'Scope' },
+            { key: 'category', label: 'Category' },
+            { key: 'status', label: 'Status' },
+            { key: 'annualReduction', label: 'Reduction (tCO2e/yr)' },
+            { key: 'reductionBasis', label: 'Basis' },
+            { key: 'annualisedCost', label: `Annualised cost (${currency})` },
+            { key: 'costPerTonne', label: `Cost (${currency}/tCO2e)` },
+            { key: 'cumulativeEnd', label: 'Cumulative (tCO2e/yr)' },
+            ...(macc.target ? [{ key: 'closesGap', label: 'Closes gap' }] : [])
+          ],
+          rows: macc.bars.map((b, i) => ({
+            ...b,
+            rank: i + 1,
+            closesGap: b.closesGap ? 'Yes' : 'No'
+          }))
+        }]
+      },
+      ...(macc.excluded.length ? [{
+        heading: 'Excluded projects',
+        tables: [{
+          title: 'Excluded',
+          columns: [
+            { key: 'projectName', label: 'Project' },
+            { key: 'status', label: 'Status' },
+            { key: 'reason', label: 'Reason' }
+          ],
+          rows: macc.excluded
+        }]
+      }] : [])
+    ]
+  };
+}
+
+module.exports = {
+  capitalRecoveryFactor,
+  annualisedCost,
+  annualReduction,
+  buildMacc,
+  getMaccForClient,
+  attributeProjectsToTarget,
+  toReportData
+};
@@ -0,0 +1,158 @@
+// controllers/Scope2/scope2Controller.js
+// Contractual-instrument registry and residual-mix factors for market-based
+// Scope 2 reporting.
+//
+// client_admin / consultant_admin / consultant / super_admin can manage;
+// other client roles are read-only.
+
+const marketBasedService = require('../services/marketBasedService');
+const { logEvent } = require('../../../../common/services/audit/auditLogService');
+const { canAccessClient, CLIENT_DATA_MANAGER_ROLES } = require('../../../../common/utils/Permissions/clientAccessPermission');
+
+function sendError(res, err, label) {
+  if (err.status) {
+    return res.status(err.status).json({ message: err.message, ...(err.errors ? { errors: err.errors } : {}) });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: 'Internal server error.', error: err.message });
+}
+
+function guarded(label, handler, { manage = false } = {}) {
+  return async (req, res) => {
+    try {
+      const { clientId } = req.params;
+      const access = await canAccessClient(req.user, clientId);
+      if (!access.allowed) {
+        return access.reason === 'Client not found'
+          ? res.status(404).json({ message: 'Client not found.' })
+          : res.status(403).json({ message: 'Access denied for this client.' });
+      }
+      if (manage && !CLIENT_DATA_MANAGER_ROLES.has(req.user.userType)) {
+        return res.status(403).json({ message: 'Insufficient permissions to manage Scope 2 instruments.' });
+      }
+      return await handler(req, res);
+    } catch (err) {
+      return sendError(res, err, label);
+    }
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Contractual instruments
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/scope2/:clientId/instruments?vintageYear=&energyType=&status=
+ */
+const listInstruments = guarded('listInstruments', async (req, res) => {
+  const instruments = await marketBasedService.listInstruments(req.params.clientId, req.query);
+  return res.status(200).json({ count: instruments.length, instruments });
+});
+
+/**
+ * POST /api/scope2/:clientId/instruments
+ * Body: { instrumentType, name, vintageYear, volumeMWh, energyType?, emissionFactor?,
+ *         facility?: { nodeId, label }, coverageStart?, coverageEnd?, reference?, supplierName?, country? }
+ */
+const createInstrument = guarded('createInstrument', async (req, res) => {
+  const instrument = await marketBasedService.createInstrument(req.params.clientId, req.body, req.user);
+  await logEvent({
+    req,
+    clientId: req.params.clientId,
+    module: 'data_entry',
+    action: 'create',
+    entityType: 'ContractualInstrument',
+    entityId: instrument._id.toString(),
+    changeSummary: `Registered ${instrument.instrumentType} "${instrument.name}" (${instrument.volumeMWh ?? 'unlimited'} MWh, vintage ${instrument.vintageYear})`,
+  });
+  return res.status(201).json({ message: 'Instrument created.', instrument });
+}, { manage: true });
+
+/**
+ * PATCH /api/scope2/:clientId/instruments/:instrumentId
+ * Volume cannot drop below what has already been allocated.
+ */
+const updateInstrument = guarded('updateInstrument', async (req, res) => {
+  const instrument = await marketBasedService.updateInstrument(
+    req.params.clientId, req.params.instrumentId, req.body, req.user
+  );
+  await logEvent({
+    req,
+    clientId: req.params.clientId,
+    module: 'data_entry',
+    action: 'update',
+    entityType: 'ContractualInstrument',
+    entityId: req.params.instrumentId,
+    changeSummary: `Updated ${instrument.instrumentType} "${instrument.name}"`,
+  });
+  return res.status(200).json({ message: 'Instrument updated.', instrument });
+}, { manage: true });
+
+/**
+ * DELETE /api/scope2/:clientId/instruments/:instrumentId
+ * Soft delete; only for instruments not yet applied to consumption.
+ */
+const deleteInstrument = guarded('deleteInstrument', async (req, res) => {
+  await marketBasedService.deleteInstrument(req.params.clientId, req.params.instrumentId, req.user);
+  await logEvent({
+    req,
+    clientId: req.params.clientId,
+    module: 'data_entry',
+    action: 'delete',
+    entityType: 'ContractualInstrument',
+    entityId: req.params.instrumentId,
+    changeSummary: 'Deleted contractual instrument',
+  });
+  return res.status(200).json({ message: 'Instrument deleted.' });
+}, { manage: true });
+
+/**
+ * GET /api/scope2/:clientId/coverage?year=2025
+ * MWh applied per instrument for consumption in the year.
+ */
+const getCoverage = guarded('getCoverage', async (req, res) => {
+  const year = req.query.year || new Date().getFullYear();
+  const coverage = await marketBasedService.getCoverage(req.params.clientId, year);
+  return res.status(200).json(coverage);
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Residual mix
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/scope2/:clientId/residual-mix
+ * Client factors plus platform-wide defaults (clientId null).
+ */
+const listResidualMix = guarded('listResidualMix', async (req, res) => {
+  const factors = await marketBasedService.listResidualMix(req.params.clientId);
+  return res.status(200).json({ count: factors.length, factors });
+});
+
+/**
+ * PUT /api/scope2/:clientId/residual-mix
+ * Body: { country, year, factor (kgCO2e/kWh), regionGrid?, energyType?, source? }
+ */
+const upsertResidualMix = guarded('upsertResidualMix', async (req, res) => {
+  const factor = await marketBasedService.upsertResidualMix(req.params.clientId, req.body, req.user);
+  return res.status(200).json({ message: 'Residual mix factor saved.', factor });
+}, { manage: true });
+
+/**
+ * DELETE /api/scope2/:clientId/residual-mix/:factorId
+ */
+const deleteResidualMix = guarded('deleteResidualMix', async (req, res) => {
+  await marketBasedService.deleteResidualMix(req.params.clientId, req.params.factorId);
+  return res.status(200).json({ message: 'Residual mix factor deleted.' });
+}, { manage: true });
+
+module.exports = {
+  listInstruments,
+  createInstrument,
+  updateInstrument,
+  deleteInstrument,
+  getCoverage,
+  listResidualMix,
+  upsertResidualMix,
+  deleteResidualMix,
+};
@@ -0,0 +1,54 @@
+// models/Scope2/ContractualInstrument.js
+// Contractual instruments a client holds for market-based Scope 2:
+// energy attribute certificates (REC / I-REC / GO), PPAs, green tariffs and
+// supplier-specific emission factors. Volumes are drawn down as purchased
+// energy DataEntries are calculated (see InstrumentAllocation).
+const mongoose = require('mongoose');
+
+const INSTRUMENT_TYPES = ['REC', 'I-REC', 'GO', 'PPA', 'GREEN_TARIFF', 'SUPPLIER_SPECIFIC'];
+const ENERGY_TYPES = ['electricity', 'steam', 'heating', 'cooling'];
+
+const ContractualInstrumentSchema = new mongoose.Schema(
+  {
+    clientId: { type: String, required: true, index: true },
+
+    instrumentType: { type: String, enum: INSTRUMENT_TYPES, required: true },
+    energyType: { type: String, enum: ENERGY_TYPES, default: 'electricity' },
+    name: { type: String, required: true, trim: true },
+    reference: { type: String, trim: true, default: null }, // certificate / contract number
+    supplierName: { type: String, trim: true, default: null },
+    country: { type: String, default: null },
+
+    // ─── Volume & vintage ─────────────────────────────────────────────────────
+    // null volume only for SUPPLIER_SPECIFIC (covers all remaining consumption)
+    volumeMWh: { type: Number, min: 0, default: null },
+    allocatedMWh: { type: Number, min: 0, default: 0 },
+    vintageYear: { type: Number, required: true },
+    // Consumption window the instrument may be applied to; defaults to the vintage year
+    coverageStart: { type: Date, default: null },
+    coverageEnd: { type: Date, default: null },
+
+    // ─── Facility — null nodeId means any facility of the client ─────────────
+    facility: {
+      nodeId: { type: String, default: null },
+      label: { type: String, default: null },
+    },
+
+    // kgCO2e per kWh (= tCO2e per MWh); renewable certificates default to 0
+    emissionFactor: { type: Number, min: 0, default: 0 },
+
+    status: { type: String, enum: ['active', 'retired'], default: 'active' },
+    notes: { type: String, default: '' },
+    isDeleted: { type: Boolean, default: false },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+ContractualInstrumentSchema.index({ clientId: 1, energyType: 1, vintageYear: 1, isDeleted: 1 });
+
+ContractualInstrumentSchema.statics.INSTRUMENT_TYPES = INSTRUMENT_TYPES;
+ContractualInstrumentSchema.statics.ENERGY_TYPES = ENERGY_TYPES;
+
+module.exports = mongoose.model('ContractualInstrument', ContractualInstrumentSchema);
@@ -0,0 +1,25 @@
+// models/Scope2/InstrumentAllocation.js
+// Ledger of contractual-instrument volume applied to a DataEntry. Rows for a
+// DataEntry are released and rebuilt whenever that entry is recalculated.
+const mongoose = require('mongoose');
+
+const InstrumentAllocationSchema = new mongoose.Schema(
+  {
+    clientId: { type: String, required: true },
+    instrumentId: { type: mongoose.Schema.Types.ObjectId, ref: 'ContractualInstrument', required: true },
+    dataEntryId: { type: mongoose.Schema.Types.ObjectId, ref: 'DataEntry', required: true },
+    nodeId: { type: String, required: true },
+    scopeIdentifier: { type: String, required: true },
+    consumptionDate: { type: Date, required: true },
+    mwh: { type: Number, required: true, min: 0 },
+    emissionFactor: { type: Number, required: true }, // kgCO2e per kWh at allocation time
+    CO2e: { type: Number, required: true },
+  },
+  { timestamps: true }
+);
+
+InstrumentAllocationSchema.index({ dataEntryId: 1 });
+InstrumentAllocationSchema.index({ clientId: 1, consumptionDate: 1 });
+InstrumentAllocationSchema.index({ instrumentId: 1 });
+
+module.exports = mongoose.model('InstrumentAllocation', InstrumentAllocationSchema);
@@ -0,0 +1,26 @@
+// models/Scope2/ResidualMixFactor.js
+// Residual-mix emission factors for purchased energy not covered by a
+// contractual instrument. clientId null = platform-wide factor; a client
+// factor for the same country / year / energy type takes precedence.
+const mongoose = require('mongoose');
+
+const ResidualMixFactorSchema = new mongoose.Schema(
+  {
+    clientId: { type: String, default: null, index: true },
+    country: { type: String, required: true, trim: true },
+    regionGrid: { type: String, trim: true, default: null },
+    year: { type: Number, required: true },
+    energyType: { type: String, enum: ['electricity', 'steam', 'heating', 'cooling'], default: 'electricity' },
+    factor: { type: Number, required: true, min: 0 }, // kgCO2e per kWh
+    source: { type: String, trim: true, default: '' }, // e.g. "AIB European Residual Mix 2024"
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+ResidualMixFactorSchema.index(
+  { clientId: 1, country: 1, regionGrid: 1, year: 1, energyType: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model('ResidualMixFactor', ResidualMixFactorSchema);
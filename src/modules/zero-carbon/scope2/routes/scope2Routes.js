@@ -0,0 +1,38 @@
+// routes/Scope2/scope2Routes.js
+// Market-based Scope 2: contractual instruments and residual-mix factors.
+//
+// Mounted in registerRoutes:
+//   app.use('/api/scope2', scope2Routes);
+
+const express = require('express');
+const { auth } = require('../../../../common/middleware/auth');
+const { requireActiveModuleSubscription } = require('../../../../common/utils/Permissions/modulePermission');
+
+const {
+  listInstruments,
+  createInstrument,
+  updateInstrument,
+  deleteInstrument,
+  getCoverage,
+  listResidualMix,
+  upsertResidualMix,
+  deleteResidualMix,
+} = require('../controllers/scope2Controller');
+
+const router = express.Router();
+
+router.use(auth);
+router.use(requireActiveModuleSubscription('zero_carbon'));
+
+router.get('/:clientId/instruments',                    listInstruments);
+router.post('/:clientId/instruments',                   createInstrument);
+router.patch('/:clientId/instruments/:instrumentId',    updateInstrument);
+router.delete('/:clientId/instruments/:instrumentId',   deleteInstrument);
+
+router.get('/:clientId/coverage',                       getCoverage);
+
+router.get('/:clientId/residual-mix',                   listResidualMix);
+router.put('/:clientId/residual-mix',                   upsertResidualMix);
+router.delete('/:clientId/residual-mix/:factorId',      deleteResidualMix);
+
+module.exports = router;
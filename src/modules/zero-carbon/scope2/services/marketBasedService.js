@@ -0,0 +1,467 @@
+'use strict';
+
+// ============================================================================
+// Market-based Scope 2 — contractual instruments and residual mix
+//
+// The location-based figure stays what calculateScope2Emissions has always
+// produced (consumption × grid factor). Alongside it, each purchased
+// electricity / steam / heating / cooling DataEntry gets a market-based figure:
+//
+//   1. eligible instruments are drawn down in order
+//        facility-specific before client-wide,
+//        PPA → certificates (REC / I-REC / GO) → green tariff → supplier-specific,
+//        earliest coverage end first
+//   2. uncovered MWh use the residual-mix factor for the facility's country
+//      (client factor first, then platform-wide), falling back to the
+//      location-based factor when no residual mix is configured
+//
+// Instrument and residual-mix factors are kgCO2e per kWh, so covered and
+// residual emissions come out in the same unit as the location-based figure
+// for kWh-metered consumption.
+// ============================================================================
+
+const ContractualInstrument = require('../models/ContractualInstrument');
+const ResidualMixFactor = require('../models/ResidualMixFactor');
+const InstrumentAllocation = require('../models/InstrumentAllocation');
+const uom = require('../../../../common/services/uom/uomService');
+
+const { INSTRUMENT_TYPES, ENERGY_TYPES } = ContractualInstrument;
+
+const ENERGY_TYPE_BY_CATEGORY = {
+  'Purchased Electricity': 'electricity',
+  'Purchased Steam': 'steam',
+  'Purchased Heating': 'heating',
+  'Purchased Cooling': 'cooling',
+};
+
+const TYPE_PRIORITY = { PPA: 1, REC: 2, 'I-REC': 2, GO: 2, GREEN_TARIFF: 3, SUPPLIER_SPECIFIC: 4 };
+
+const EPS = 1e-9;
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+// ── Pure helpers ─────────────────────────────────────────────────────────────
+
+/** MWh per unit of metered consumption; flowchart electricityUnit, default kWh. */
+function mwhPerUnit(unit) {
+  return uom.areCompatible(unit, 'MWh') ? uom.conversionFactor(unit, 'MWh') : uom.conversionFactor('kWh', 'MWh');
+}
+
+function instrumentWindow(inst) {
+  return {
+    from: inst.coverageStart ? new Date(inst.coverageStart) : new Date(Date.UTC(inst.vintageYear, 0, 1)),
+    to: inst.coverageEnd ? new Date(inst.coverageEnd) : new Date(Date.UTC(inst.vintageYear, 11, 31, 23, 59, 59, 999)),
+  };
+}
+
+function remainingMWh(inst) {
+  return inst.volumeMWh == null ? Infinity : Math.max(0, inst.volumeMWh - (inst.allocatedMWh || 0));
+}
+
+function isEligible(inst, { nodeId, energyType, date }) {
+  if (inst.isDeleted || inst.status !== 'active') return false;
+  if ((inst.energyType || 'electricity') !== energyType) return false;
+  if (inst.facility?.nodeId && inst.facility.nodeId !== nodeId) return false;
+  const { from, to } = instrumentWindow(inst);
+  const t = new Date(date).getTime();
+  return t >= from.getTime() && t <= to.getTime() && remainingMWh(inst) > EPS;
+}
+
+function rankInstruments(list) {
+  return [...list].sort((a, b) =>
+    (a.facility?.nodeId ? 0 : 1) - (b.facility?.nodeId ? 0 : 1) ||
+    (TYPE_PRIORITY[a.instrumentType] || 9) - (TYPE_PRIORITY[b.instrumentType] || 9) ||
+    instrumentWindow(a).to - instrumentWindow(b).to ||
+    new Date(a.createdAt || 0) - new Date(b.createdAt || 0)
+  );
+}
+
+/**
+ * Market-based result for one DataEntry. Pure function — no DB calls.
+ * residual: { factor, source } in kgCO2e/kWh, or null to reuse the
+ * location-based factor (applied per metered unit, as the location figure is).
+ */
+function buildMarketResult({ quantity, unitMWh, locationCO2e, locationFactor, allocations, residual }) {
+  const consumptionMWh = quantity * unitMWh;
+  const coveredMWh = allocations.reduce((s, a) => s + a.mwh, 0);
+  const residualMWh = Math.max(0, consumptionMWh - coveredMWh);
+
+  const rows = allocations.map(a => ({
+    instrumentId: a.instrument._id,
+    instrumentType: a.instrument.instrumentType,
+    name: a.instrument.name,
+    mwh: a.mwh,
+    emissionFactor: a.instrument.emissionFactor || 0,
+    CO2e: a.mwh * 1000 * (a.instrument.emissionFactor || 0),
+  }));
+
+  const residualCO2e = residual
+    ? residualMWh * 1000 * residual.factor
+    : (unitMWh > 0 ? residualMWh / unitMWh : 0) * locationFactor;
+
+  return {
+    locationBasedCO2e: locationCO2e,
+    marketBasedCO2e: rows.reduce((s, r) => s + r.CO2e, 0) + residualCO2e,
+    consumptionMWh,
+    coveredMWh,
+    residualMWh,
+    residualCO2e,
+    residualFactor: residual ? residual.factor : locationFactor,
+    residualFactorSource: residual ? residual.source : 'location_based_fallback',
+    allocations: rows,
+    calculatedAt: new Date(),
+  };
+}
+
+/**
+ * Adds one DataEntry to an EmissionSummary byScope['Scope 2'].marketBased
+ * bucket. Entries calculated before instruments existed count at their
+ * location-based value.
+ */
+function addMarketBasedScope2(target, entry, emissionValues) {
+  const m = entry.scope2Methods;
+  if (m && m.marketBasedCO2e != null) {
+    target.CO2e += m.marketBasedCO2e;
+    target.instrumentCO2e += m.marketBasedCO2e - (m.residualCO2e || 0);
+    target.residualCO2e += m.residualCO2e || 0;
+    target.coveredMWh += m.coveredMWh || 0;
+    target.residualMWh += m.residualMWh || 0;
+  } else {
+    target.CO2e += emissionValues.CO2e;
+    target.locationFallbackCO2e += emissionValues.CO2e;
+  }
+}
+
+function emptyMarketBased() {
+  return { CO2e: 0, instrumentCO2e: 0, residualCO2e: 0, coveredMWh: 0, residualMWh: 0, locationFallbackCO2e: 0 };
+}
+
+/**
+ * Validates an instrument payload (create or full update). Throws 422.
+ */
+function validateInstrument(body = {}) {
+  const errors = [];
+  const out = {};
+
+  if (!INSTRUMENT_TYPES.includes(body.instrumentType)) errors.push(`instrumentType must be one of ${INSTRUMENT_TYPES.join(', ')}`);
+  else out.instrumentType = body.instrumentType;
+
+  out.energyType = body.energyType || 'electricity';
+  if (!ENERGY_TYPES.includes(out.energyType)) errors.push(`energyType must be one of ${ENERGY_TYPES.join(', ')}`);
+
+  if (!body.name || !String(body.name).trim()) errors.push('name is required');
+  else out.name = String(body.name).trim();
+
+  const vintage = Number(body.vintageYear);
+  if (!Number.isInteger(vintage) || vintage < 1990 || vintage > 2100) errors.push('vintageYear must be a year');
+  else out.vintageYear = vintage;
+
+  if (body.volumeMWh == null || body.volumeMWh === '') {
+    if (body.instrumentType !== 'SUPPLIER_SPECIFIC') errors.push('volumeMWh is required');
+    out.volumeMWh = null;
+  } else if (!(Number(body.volumeMWh) > 0)) {
+    errors.push('volumeMWh must be a positive number');
+  } else {
+    out.volumeMWh = Number(body.volumeMWh);
+  }
+
+  if (body.instrumentType === 'SUPPLIER_SPECIFIC' && body.emissionFactor == null) {
+    errors.push('emissionFactor is required for supplier-specific instruments');
+  }
+  if (body.emissionFactor != null && !(Number(body.emissionFactor) >= 0)) errors.push('emissionFactor must be ≥ 0');
+  out.emissionFactor = body.emissionFactor == null ? 0 : Number(body.emissionFactor);
+
+  for (const k of ['coverageStart', 'coverageEnd']) {
+    if (body[k] == null || body[k] === '') { out[k] = null; continue; }
+    const d = new Date(body[k]);
+    if (Number.isNaN(d.getTime())) errors.push(`${k} must be a date`);
+    else out[k] = d;
+  }
+  if (out.coverageStart && out.coverageEnd && out.coverageStart > out.coverageEnd) {
+    errors.push('coverageStart must be before coverageEnd');
+  }
+
+  out.facility = { nodeId: body.facility?.nodeId || null, label: body.facility?.label || null };
+  for (const k of ['reference', 'supplierName', 'country']) out[k] = body[k] ? String(body[k]).trim() : null;
+  out.notes = body.notes || '';
+
+  if (errors.length) {
+    const e = httpError(422, 'Invalid contractual instrument.');
+    e.errors = errors;
+    throw e;
+  }
+  return out;
+}
+
+// ── Allocation (DB) ──────────────────────────────────────────────────────────
+
+async function findResidualMix(clientId, { country, regionGrid, year, energyType }) {
+  if (!country) return null;
+  const candidates = await ResidualMixFactor.find({
+    clientId: { $in: [clientId, null] },
+    country,
+    energyType,
+    year: { $lte: year },
+  }).lean();
+
+  const score = (f) =>
+    (f.clientId ? 0 : 2) + (regionGrid && f.regionGrid === regionGrid ? 0 : f.regionGrid ? 4 : 1);
+  const best = candidates
+    .filter(f => !f.regionGrid || f.regionGrid === regionGrid)
+    .sort((a, b) => b.year - a.year || score(a) - score(b))[0];
+  return best ? { factor: best.factor, source: best.source || `Residual mix ${best.country} ${best.year}` } : null;
+}
+
+/** Returns volume drawn by a DataEntry to its instruments and clears the ledger rows. */
+async function releaseAllocations(dataEntryId) {
+  const rows = await InstrumentAllocation.find({ dataEntryId }).lean();
+  for (const r of rows) {
+    await ContractualInstrument.updateOne({ _id: r.instrumentId }, { $inc: { allocatedMWh: -r.mwh } });
+  }
+  if (rows.length) await InstrumentAllocation.deleteMany({ dataEntryId });
+  return rows.length;
+}
+
+// Draws up to `mwh` from one instrument, guarded so concurrent entries cannot overdraw it
+async function drawDown(instrument, mwh) {
+  if (instrument.volumeMWh == null) {
+    await ContractualInstrument.updateOne({ _id: instrument._id }, { $inc: { allocatedMWh: mwh } });
+    return mwh;
+  }
+  let current = instrument;
+  for (let attempt = 0; attempt < 3 && current; attempt++) {
+    const take = Math.min(mwh, remainingMWh(current));
+    if (take <= EPS) return 0;
+    const updated = await ContractualInstrument.findOneAndUpdate(
+      { _id: current._id, allocatedMWh: current.allocatedMWh || 0 },
+      { $inc: { allocatedMWh: take } },
+      { new: true }
+    ).lean();
+    if (updated) return take;
+    current = await ContractualInstrument.findById(current._id).lean();
+  }
+  return 0;
+}
+
+/**
+ * Allocates instruments to a purchased-energy DataEntry and returns the dual
+ * Scope 2 result to store on DataEntry.scope2Methods. Safe to call again on
+ * recalculation — the entry's previous allocations are released first.
+ */
+async function allocateForEntry({ dataEntry, scopeConfig, quantity, locationCO2e, locationFactor }) {
+  const energyType = ENERGY_TYPE_BY_CATEGORY[scopeConfig.categoryName];
+  if (!energyType) return null;
+
+  await releaseAllocations(dataEntry._id);
+
+  const date = dataEntry.timestamp || new Date();
+  const unitMWh = mwhPerUnit(scopeConfig.electricityUnit);
+  const consumptionMWh = Math.max(0, Number(quantity) || 0) * unitMWh;
+
+  const candidates = await ContractualInstrument.find({
+    clientId: dataEntry.clientId,
+    energyType,
+    status: 'active',
+    isDeleted: false,
+  }).lean();
+  const ranked = rankInstruments(candidates.filter(i => isEligible(i, { nodeId: dataEntry.nodeId, energyType, date })));
+
+  const allocations = [];
+  let need = consumptionMWh;
+  for (const instrument of ranked) {
+    if (need <= EPS) break;
+    const took = await drawDown(instrument, need);
+    if (took <= EPS) continue;
+    allocations.push({ instrument, mwh: took });
+    need -= took;
+  }
+
+  const countryData = scopeConfig.emissionFactorValues?.countryData || {};
+  const residual = await findResidualMix(dataEntry.clientId, {
+    country: scopeConfig.country || countryData.C || null,
+    regionGrid: scopeConfig.regionGrid || countryData.regionGrid || null,
+    year: new Date(date).getUTCFullYear(),
+    energyType,
+  });
+
+  const result = buildMarketResult({
+    quantity: Number(quantity) || 0,
+    unitMWh,
+    locationCO2e,
+    locationFactor,
+    allocations,
+    residual,
+  });
+
+  if (result.allocations.length) {
+    await InstrumentAllocation.insertMany(result.allocations.map(a => ({
+      clientId: dataEntry.clientId,
+      instrumentId: a.instrumentId,
+      dataEntryId: dataEntry._id,
+      nodeId: dataEntry.nodeId,
+      scopeIdentifier: dataEntry.scopeIdentifier,
+      consumptionDate: date,
+      mwh: a.mwh,
+      emissionFactor: a.emissionFactor,
+      CO2e: a.CO2e,
+    })));
+  }
+
+  return result;
+}
+
+// ── Registry (DB) ────────────────────────────────────────────────────────────
+
+function withRemaining(inst) {
+  const remaining = remainingMWh(inst);
+  return { ...inst, remainingMWh: remaining === Infinity ? null : remaining };
+}
+
+async function listInstruments(clientId, { vintageYear, energyType, status } = {}) {
+  const filter = { clientId, isDeleted: false };
+  if (vintageYear) filter.vintageYear = Number(vintageYear);
+  if (energyType) filter.energyType = energyType;
+  if (status) filter.status = status;
+  const rows = await ContractualInstrument.find(filter).sort({ vintageYear: -1, createdAt: -1 }).lean();
+  return rows.map(withRemaining);
+}
+
+async function createInstrument(clientId, body, user) {
+  const data = validateInstrument(body);
+  const doc = await ContractualInstrument.create({
+    ...data,
+    clientId,
+    createdBy: user?._id || user?.id || null,
+  });
+  return withRemaining(doc.toObject());
+}
+
+async function updateInstrument(clientId, instrumentId, body, user) {
+  const inst = await ContractualInstrument.findOne({ _id: instrumentId, clientId, isDeleted: false });
+  if (!inst) throw httpError(404, 'Instrument not found.');
+
+  const data = validateInstrument({ ...inst.toObject(), ...body });
+  if (data.volumeMWh != null && data.volumeMWh + EPS < (inst.allocatedMWh || 0)) {
+    throw httpError(409, `volumeMWh cannot be below the ${inst.allocatedMWh} MWh already allocated.`);
+  }
+  Object.assign(inst, data);
+  if (body.status && ['active', 'retired'].includes(body.status)) inst.status = body.status;
+  inst.updatedBy = user?._id || user?.id || null;
+  await inst.save();
+  return withRemaining(inst.toObject());
+}
+
+async function deleteInstrument(clientId, instrumentId, user) {
+  const inst = await ContractualInstrument.findOne({ _id: instrumentId, clientId, isDeleted: false });
+  if (!inst) throw httpError(404, 'Instrument not found.');
+  if ((inst.allocatedMWh || 0) > EPS) {
+    throw httpError(409, 'Instrument has been applied to consumption; retire it instead.');
+  }
+  inst.isDeleted = true;
+  inst.updatedBy = user?._id || user?.id || null;
+  await inst.save();
+}
+
+async function listResidualMix(clientId) {
+  return ResidualMixFactor.find({ clientId: { $in: [clientId, null] } })
+    .sort({ country: 1, year: -1 })
+    .lean();
+}
+
+async function upsertResidualMix(clientId, body, user) {
+  const errors = [];
+  if (!body.country) errors.push('country is required');
+  if (!Number.isInteger(Number(body.year))) errors.push('year is required');
+  if (!(Number(body.factor) >= 0)) errors.push('factor must be ≥ 0 (kgCO2e/kWh)');
+  const energyType = body.energyType || 'electricity';
+  if (!ENERGY_TYPES.includes(energyType)) errors.push(`energyType must be one of ${ENERGY_TYPES.join(', ')}`);
+  if (errors.length) {
+    const e = httpError(422, 'Invalid residual mix factor.');
+    e.errors = errors;
+    throw e;
+  }
+
+  const key = {
+    clientId,
+    country: String(body.country).trim(),
+    regionGrid: body.regionGrid ? String(body.regionGrid).trim() : null,
+    year: Number(body.year),
+    energyType,
+  };
+  return ResidualMixFactor.findOneAndUpdate(
+    key,
+    { $set: { factor: Number(body.factor), source: body.source || '' }, $setOnInsert: { createdBy: user?._id || user?.id || null } },
+    { upsert: true, new: true }
+  ).lean();
+}
+
+async function deleteResidualMix(clientId, factorId) {
+  const res = await ResidualMixFactor.deleteOne({ _id: factorId, clientId });
+  if (!res.deletedCount) throw httpError(404, 'Residual mix factor not found.');
+}
+
+/**
+ * Coverage for a reporting year: MWh applied per instrument and in total.
+ */
+async function getCoverage(clientId, year) {
+  const y = Number(year);
+  const from = new Date(Date.UTC(y, 0, 1));
+  const to = new Date(Date.UTC(y + 1, 0, 1));
+
+  const [rows, instruments] = await Promise.all([
+    InstrumentAllocation.aggregate([
+      { $match: { clientId, consumptionDate: { $gte: from, $lt: to } } },
+      { $group: { _id: '$instrumentId', mwh: { $sum: '$mwh' }, CO2e: { $sum: '$CO2e' }, entries: { $sum: 1 } } },
+    ]),
+    ContractualInstrument.find({ clientId }).lean(),
+  ]);
+
+  const byId = new Map(instruments.map(i => [String(i._id), i]));
+  const perInstrument = rows.map(r => {
+    const inst = byId.get(String(r._id)) || {};
+    return {
+      instrumentId: r._id,
+      name: inst.name || null,
+      instrumentType: inst.instrumentType || null,
+      vintageYear: inst.vintageYear || null,
+      facility: inst.facility || null,
+      appliedMWh: r.mwh,
+      CO2e: r.CO2e,
+      entries: r.entries,
+      remainingMWh: inst._id ? withRemaining(inst).remainingMWh : null,
+    };
+  });
+
+  return {
+    year: y,
+    coveredMWh: perInstrument.reduce((s, r) => s + r.appliedMWh, 0),
+    instruments: perInstrument,
+  };
+}
+
+module.exports = {
+  ENERGY_TYPE_BY_CATEGORY,
+  mwhPerUnit,
+  instrumentWindow,
+  isEligible,
+  rankInstruments,
+  buildMarketResult,
+  addMarketBasedScope2,
+  emptyMarketBased,
+  validateInstrument,
+  findResidualMix,
+  releaseAllocations,
+  allocateForEntry,
+  listInstruments,
+  createInstrument,
+  updateInstrument,
+  deleteInstrument,
+  listResidualMix,
+  upsertResidualMix,
+  deleteResidualMix,
+  getCoverage,
+};
@@ -0,0 +1,38 @@
+'use strict';
+// constants/Scope3/scope3Categories.js
+// The 15 GHG Protocol Scope 3 categories and the flowchart category names
+// that map onto them.
+
+const SCOPE3_CATEGORIES = [
+  { number: 1,  name: 'Purchased Goods and Services' },
+  { number: 2,  name: 'Capital Goods' },
+  { number: 3,  name: 'Fuel- and Energy-Related Activities', aliases: ['Fuel and energy'] },
+  { number: 4,  name: 'Upstream Transportation and Distribution', aliases: ['Upstream Transport and Distribution'] },
+  { number: 5,  name: 'Waste Generated in Operations', aliases: ['Waste Generated in Operation'] },
+  { number: 6,  name: 'Business Travel' },
+  { number: 7,  name: 'Employee Commuting' },
+  { number: 8,  name: 'Upstream Leased Assets' },
+  { number: 9,  name: 'Downstream Transportation and Distribution', aliases: ['Downstream Transport and Distribution'] },
+  { number: 10, name: 'Processing of Sold Products' },
+  { number: 11, name: 'Use of Sold Products' },
+  { number: 12, name: 'End-of-Life Treatment of Sold Products' },
+  { number: 13, name: 'Downstream Leased Assets' },
+  { number: 14, name: 'Franchises' },
+  { number: 15, name: 'Investments' },
+];
+
+const normKey = (s) => String(s || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const CATEGORY_BY_KEY = new Map();
+for (const c of SCOPE3_CATEGORIES) {
+  for (const n of [c.name, ...(c.aliases || [])]) CATEGORY_BY_KEY.set(normKey(n), c);
+}
+
+/**
+ * Maps a flowchart categoryName onto its GHG Protocol Scope 3 category, or null.
+ */
+function scope3CategoryFor(categoryName) {
+  return CATEGORY_BY_KEY.get(normKey(categoryName)) || null;
+}
+
+module.exports = { SCOPE3_CATEGORIES, scope3CategoryFor };
@@ -0,0 +1,163 @@
+// controllers/Scope3/scope3Controller.js
+// Reference data for spend-based Scope 3: EEIO factors (platform table plus
+// client-specific overrides), exchange rates and price deflators.
+//
+// Access is decided by the routes (requirePolicy): scope3_factor:view /
+// scope3_factor:manage for a client, scope3_reference:manage for the
+// platform tables.
+
+const eeioService = require('../services/eeioService');
+const { logEvent } = require('../../../../common/services/audit/auditLogService');
+
+function sendError(res, err, label) {
+  if (err.status) {
+    return res.status(err.status).json({ message: err.message, ...(err.errors ? { errors: err.errors } : {}) });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: 'Internal server error.', error: err.message });
+}
+
+function guarded(label, handler) {
+  return async (req, res) => {
+    try {
+      return await handler(req, res);
+    } catch (err) {
+      return sendError(res, err, label);
+    }
+  };
+}
+
+const SERIES_LABELS = { exchangeRates: 'Exchange rates', priceDeflators: 'Price deflators' };
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Client EEIO factors
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/scope3/:clientId/eeio-factors?sectorCode=&region=
+ * Client factors and the platform table; client rows win in calculations.
+ */
+const listClientFactors = guarded('listClientFactors', async (req, res) => {
+  const factors = await eeioService.listEeioFactors(req.params.clientId, req.query);
+  return res.status(200).json({ count: factors.length, factors });
+});
+
+/**
+ * PUT /api/scope3/:clientId/eeio-factors
+ * Body: { sectorCode, sectorName?, region?, currency, priceYear, factor, source? }
+ *    or { factors: [...] }
+ */
+const upsertClientFactors = guarded('upsertClientFactors', async (req, res) => {
+  const factors = await eeioService.upsertEeioFactors(req.params.clientId, req.body, req.user);
+  await logEvent({
+    req,
+    clientId: req.params.clientId,
+    module: 'data_entry',
+    action: 'update',
+    entityType: 'EeioFactor',
+    entityId: factors.length === 1 ? factors[0]._id.toString() : null,
+    changeSummary: `Saved ${factors.length} client EEIO factor(s): ${factors.map(f => `${f.sectorCode}/${f.region}/${f.priceYear}`).join(', ')}`,
+  });
+  return res.status(200).json({ message: 'EEIO factors saved.', factors });
+});
+
+/**
+ * DELETE /api/scope3/:clientId/eeio-factors/:factorId
+ */
+const deleteClientFactor = guarded('deleteClientFactor', async (req, res) => {
+  await eeioService.deleteEeioFactor(req.params.clientId, req.params.factorId);
+  await logEvent({
+    req,
+    clientId: req.params.clientId,
+    module: 'data_entry',
+    action: 'delete',
+    entityType: 'EeioFactor',
+    entityId: req.params.factorId,
+    changeSummary: 'Deleted client EEIO factor',
+  });
+  return res.status(200).json({ message: 'EEIO factor deleted.' });
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Platform reference data
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/scope3/reference/eeio-factors?sectorCode=&region=
+ */
+const listPlatformFactors = guarded('listPlatformFactors', async (req, res) => {
+  const factors = await eeioService.listEeioFactors(null, req.query);
+  return res.status(200).json({ count: factors.length, factors });
+});
+
+/**
+ * PUT /api/scope3/reference/eeio-factors
+ * Same body as the client route; writes the platform table.
+ */
+const upsertPlatformFactors = guarded('upsertPlatformFactors', async (req, res) => {
+  const factors = await eeioService.upsertEeioFactors(null, req.body, req.user);
+  await logEvent({
+    req,
+    module: 'data_entry',
+    action: 'update',
+    entityType: 'EeioFactor',
+    entityId: factors.length === 1 ? factors[0]._id.toString() : null,
+    changeSummary: `Saved ${factors.length} platform EEIO factor(s)`,
+  });
+  return res.status(200).json({ message: 'EEIO factors saved.', factors });
+});
+
+/**
+ * DELETE /api/scope3/reference/eeio-factors/:factorId
+ */
+const deletePlatformFactor = guarded('deletePlatformFactor', async (req, res) => {
+  await eeioService.deleteEeioFactor(null, req.params.factorId);
+  await logEvent({
+    req,
+    module: 'data_entry',
+    action: 'delete',
+    entityType: 'EeioFactor',
+    entityId: req.params.factorId,
+    changeSummary: 'Deleted platform EEIO factor',
+  });
+  return res.status(200).json({ message: 'EEIO factor deleted.' });
+});
+
+/**
+ * GET /api/scope3/reference/exchange-rates?currency=
+ * GET /api/scope3/reference/price-deflators?currency=
+ */
+const listSeries = (kind) => guarded(`list ${kind}`, async (req, res) => {
+  const points = await eeioService.listSeries(kind, req.query);
+  return res.status(200).json({ count: points.length, points });
+});
+
+/**
+ * PUT /api/scope3/reference/exchange-rates    (value = units of currency per USD)
+ * PUT /api/scope3/reference/price-deflators   (value = price index)
+ * Body: { currency, points: [{ year, value }], source? }
+ */
+const upsertSeries = (kind) => guarded(`upsert ${kind}`, async (req, res) => {
+  const points = await eeioService.upsertSeries(kind, req.body, req.user);
+  await logEvent({
+    req,
+    module: 'data_entry',
+    action: 'update',
+    entityType: kind === 'exchangeRates' ? 'ExchangeRate' : 'PriceDeflator',
+    changeSummary: `${SERIES_LABELS[kind]} for ${String(req.body.currency).toUpperCase()}: ${req.body.points.length} year(s) saved`,
+  });
+  return res.status(200).json({ message: `${SERIES_LABELS[kind]} saved.`, points });
+});
+
+module.exports = {
+  listClientFactors,
+  upsertClientFactors,
+  deleteClientFactor,
+  listPlatformFactors,
+  upsertPlatformFactors,
+  deletePlatformFactor,
+  listExchangeRates: listSeries('exchangeRates'),
+  upsertExchangeRates: upsertSeries('exchangeRates'),
+  listPriceDeflators: listSeries('priceDeflators'),
+  upsertPriceDeflators: upsertSeries('priceDeflators'),
+};
@@ -0,0 +1,27 @@
+// models/Scope3/EeioFactor.js
+// Environmentally-extended input-output (EEIO) factors for spend-based
+// Scope 3. clientId null = platform-wide table; a client factor for the same
+// sector / region / price year takes precedence.
+const mongoose = require('mongoose');
+
+const EeioFactorSchema = new mongoose.Schema(
+  {
+    clientId: { type: String, default: null, index: true },
+    sectorCode: { type: String, required: true, trim: true },   // e.g. "334111" (NAICS), "C26"
+    sectorName: { type: String, trim: true, default: '' },
+    region: { type: String, required: true, trim: true, uppercase: true, default: 'GLOBAL' }, // ISO country or GLOBAL
+    currency: { type: String, required: true, trim: true, uppercase: true },                  // ISO 4217
+    priceYear: { type: Number, required: true },                // currency year the factor is expressed in
+    factor: { type: Number, required: true, min: 0 },           // kgCO2e per unit of currency (purchaser price)
+    source: { type: String, trim: true, default: '' },          // e.g. "USEEIO v2.0.1-411"
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+EeioFactorSchema.index(
+  { clientId: 1, sectorCode: 1, region: 1, priceYear: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model('EeioFactor', EeioFactorSchema);
@@ -0,0 +1,19 @@
+// models/Scope3/ExchangeRate.js
+// Annual average exchange rates used to bring spend into the currency of an
+// EEIO factor. Platform-wide.
+const mongoose = require('mongoose');
+
+const ExchangeRateSchema = new mongoose.Schema(
+  {
+    currency: { type: String, required: true, trim: true, uppercase: true }, // ISO 4217
+    year: { type: Number, required: true },
+    perUSD: { type: Number, required: true, min: 0 },                        // units of currency per 1 USD
+    source: { type: String, trim: true, default: '' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+ExchangeRateSchema.index({ currency: 1, year: 1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', ExchangeRateSchema);
@@ -0,0 +1,21 @@
+// models/Scope3/PriceDeflator.js
+// Price index per currency (GDP deflator, producer price index, …) used to
+// move spend from the year it was incurred to an EEIO factor's price year.
+// Only ratios between years of the same currency are used, so the base
+// year of the index does not matter. Platform-wide.
+const mongoose = require('mongoose');
+
+const PriceDeflatorSchema = new mongoose.Schema(
+  {
+    currency: { type: String, required: true, trim: true, uppercase: true },
+    year: { type: Number, required: true },
+    index: { type: Number, required: true, min: 0 },
+    source: { type: String, trim: true, default: '' },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+PriceDeflatorSchema.index({ currency: 1, year: 1 }, { unique: true });
+
+module.exports = mongoose.model('PriceDeflator', PriceDeflatorSchema);
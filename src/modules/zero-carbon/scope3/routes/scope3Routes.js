@@ -0,0 +1,50 @@
+// routes/Scope3/scope3Routes.js
+// Spend-based Scope 3 reference data: EEIO factors, exchange rates and
+// price deflators.
+//
+// Mounted in registerRoutes:
+//   app.use('/api/scope3', scope3Routes);
+
+const express = require('express');
+const { auth } = require('../../../../common/middleware/auth');
+const { requirePolicy } = require('../../../../common/middleware/policy');
+const { validateRequest } = require('../../../../common/middleware/validateRequest');
+const { requireActiveModuleSubscription } = require('../../../../common/utils/Permissions/modulePermission');
+
+const {
+  listClientFactors,
+  upsertClientFactors,
+  deleteClientFactor,
+  listPlatformFactors,
+  upsertPlatformFactors,
+  deletePlatformFactor,
+  listExchangeRates,
+  upsertExchangeRates,
+  listPriceDeflators,
+  upsertPriceDeflators,
+} = require('../controllers/scope3Controller');
+
+const router = express.Router();
+
+router.use(auth);
+router.use(requireActiveModuleSubscription('zero_carbon'));
+
+const manageReference = requirePolicy('scope3_reference:manage', () => ({ type: 'reference' }));
+
+// Platform tables — registered before the /:clientId routes
+router.get('/reference/eeio-factors',                      listPlatformFactors);
+router.put('/reference/eeio-factors',    manageReference,  validateRequest('PUT /api/scope3/reference/eeio-factors'), upsertPlatformFactors);
+router.delete('/reference/eeio-factors/:factorId', manageReference, deletePlatformFactor);
+
+router.get('/reference/exchange-rates',                    listExchangeRates);
+router.put('/reference/exchange-rates',  manageReference,  validateRequest('PUT /api/scope3/reference/exchange-rates'), upsertExchangeRates);
+
+router.get('/reference/price-deflators',                   listPriceDeflators);
+router.put('/reference/price-deflators', manageReference,  validateRequest('PUT /api/scope3/reference/price-deflators'), upsertPriceDeflators);
+
+// Client-specific factors
+router.get('/:clientId/eeio-factors',                requirePolicy('scope3_factor:view'),   listClientFactors);
+router.put('/:clientId/eeio-factors',                requirePolicy('scope3_factor:manage'), validateRequest('PUT /api/scope3/{clientId}/eeio-factors'), upsertClientFactors);
+router.delete('/:clientId/eeio-factors/:factorId',   requirePolicy('scope3_factor:manage'), deleteClientFactor);
+
+module.exports = router;
@@ -0,0 +1,311 @@
+'use strict';
+
+// ============================================================================
+// Spend-based Scope 3 — EEIO factor table, currency conversion and deflation
+//
+// Spend S in currency C incurred in year Y is priced with an EEIO factor
+// expressed in currency F at price year P:
+//
+//   1. currency   S_F  = S × perUSD(F, Y) / perUSD(C, Y)      (skipped if C = F)
+//   2. deflation  S_FP = S_F × index(F, P) / index(F, Y)       (skipped if Y = P)
+//   3. emissions  kgCO2e = S_FP × factor
+//
+// Steps 1–2 only depend on C, Y and the factor, so they collapse into one
+// kgCO2e-per-unit-of-spend multiplier that is applied to the incoming and
+// the cumulative spend alike.
+//
+// Rates and indices are annual; the latest year at or before Y is used (the
+// earliest available one if the series starts after Y).
+// ============================================================================
+
+const EeioFactor = require('../models/EeioFactor');
+const ExchangeRate = require('../models/ExchangeRate');
+const PriceDeflator = require('../models/PriceDeflator');
+
+const GLOBAL_REGION = 'GLOBAL';
+
+function httpError(status, message) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+const upper = (v) => (v ? String(v).trim().toUpperCase() : null);
+
+// ── Pure helpers ─────────────────────────────────────────────────────────────
+
+/**
+ * Value of an annual series for `year`: latest point at or before it, else the
+ * earliest point after it. `series` is [{ year, value }].
+ * @returns {{ year: number, value: number } | null}
+ */
+function seriesValue(series = [], year) {
+  if (!series.length) return null;
+  const sorted = [...series].sort((a, b) => a.year - b.year);
+  const before = sorted.filter(p => p.year <= year);
+  return before.length ? before[before.length - 1] : sorted[0];
+}
+
+/**
+ * Ranks candidate factors for a sector: exact region before GLOBAL, client
+ * before platform, then the price year closest to the spend year.
+ */
+function pickEeioFactor(candidates, { region, year }) {
+  const wanted = upper(region);
+  const score = (f) =>
+    (f.region === wanted ? 0 : 10) + (f.clientId ? 0 : 5);
+  return [...candidates]
+    .filter(f => f.region === wanted || f.region === GLOBAL_REGION)
+    .sort((a, b) =>
+      score(a) - score(b) ||
+      Math.abs(a.priceYear - year) - Math.abs(b.priceYear - year) ||
+      b.priceYear - a.priceYear
+    )[0] || null;
+}
+
+/**
+ * kgCO2e per unit of spend for spend in `currency` incurred in `year`.
+ *
+ * @param {{ currency: string, year: number }} spend
+ * @param {{ currency: string, priceYear: number, factor: number }} factor
+ * @param {{ rates: Object<string, Array>, deflators: Object<string, Array> }} series
+ *        per-currency [{ year, value }] — perUSD for rates, index for deflators
+ * @returns {{ multiplier: number|null, fxRate: number, deflator: number, notes: string[], errors: string[] }}
+ */
+function spendMultiplier(spend, factor, { rates = {}, deflators = {} } = {}) {
+  const notes = [];
+  const errors = [];
+  const from = upper(spend.currency) || factor.currency;
+  const to = factor.currency;
+
+  let fxRate = 1;
+  if (from !== to) {
+    const src = seriesValue(rates[from], spend.year);
+    const dst = seriesValue(rates[to], spend.year);
+    if (!src || !dst || !src.value) {
+      errors.push(`No exchange rate for ${!src || !src.value ? from : to}`);
+    } else {
+      fxRate = dst.value / src.value;
+      notes.push(`${from}→${to} at ${fxRate.toFixed(6)} (${src.year === dst.year ? src.year : `${src.year}/${dst.year}`})`);
+    }
+  }
+
+  let deflator = 1;
+  if (spend.year !== factor.priceYear) {
+    const spendIdx = seriesValue(deflators[to], spend.year);
+    const baseIdx = seriesValue(deflators[to], factor.priceYear);
+    if (!spendIdx || !baseIdx || !spendIdx.value) {
+      errors.push(`No ${to} price index to deflate ${spend.year} to ${factor.priceYear}`);
+    } else {
+      deflator = baseIdx.value / spendIdx.value;
+      notes.push(`${to} ${spend.year} → ${factor.priceYear} prices × ${deflator.toFixed(6)}`);
+    }
+  }
+
+  return {
+    multiplier: errors.length ? null : fxRate * deflator * factor.factor,
+    fxRate,
+    deflator,
+    notes,
+    errors,
+  };
+}
+
+// ── Lookup (DB) ──────────────────────────────────────────────────────────────
+
+async function findEeioFactor(clientId, { sectorCode, region, year }) {
+  if (!sectorCode) return null;
+  const candidates = await EeioFactor.find({
+    clientId: { $in: [clientId, null] },
+    sectorCode,
+    region: { $in: [upper(region) || GLOBAL_REGION, GLOBAL_REGION] },
+  }).lean();
+  return pickEeioFactor(candidates, { region: upper(region) || GLOBAL_REGION, year });
+}
+
+async function loadSeries(currencies) {
+  const list = [...new Set(currencies.filter(Boolean))];
+  const [rates, indices] = await Promise.all([
+    ExchangeRate.find({ currency: { $in: list } }).lean(),
+    PriceDeflator.find({ currency: { $in: list } }).lean(),
+  ]);
+  const group = (rows, field) => rows.reduce((acc, r) => {
+    (acc[r.currency] = acc[r.currency] || []).push({ year: r.year, value: r[field] });
+    return acc;
+  }, {});
+  return { rates: group(rates, 'perUSD'), deflators: group(indices, 'index') };
+}
+
+/**
+ * Spend factor for a Scope 3 node on the activity date.
+ *
+ * With an EEIO sector configured on the node (scope3Method.eeioSector) and a
+ * matching factor, spend is converted and deflated onto the factor basis.
+ * Otherwise — or when a rate / index is missing — the node's own emission
+ * factor prices the spend as before (source 'node_factor').
+ *
+ * @returns {Promise<{ kgPerUnit: number, source: 'eeio'|'node_factor', factor?: object,
+ *                     spendCurrency?: string, spendYear: number, priceYearGap?: number,
+ *                     regionMatch?: boolean, notes: string[] }>}
+ */
+async function resolveSpendFactor({ clientId, scopeConfig, date, fallbackEF }) {
+  const cfg = scopeConfig.scope3Method || {};
+  const spendYear = new Date(date || Date.now()).getUTCFullYear();
+  const fallback = (notes) => ({ kgPerUnit: Number(fallbackEF) || 0, source: 'node_factor', spendYear, notes });
+
+  if (!cfg.eeioSector) return fallback([]);
+
+  const region = upper(cfg.eeioRegion) || upper(scopeConfig.country) || GLOBAL_REGION;
+  const factor = await findEeioFactor(clientId, { sectorCode: cfg.eeioSector, region, year: spendYear });
+  if (!factor) {
+    return fallback([`No EEIO factor for sector ${cfg.eeioSector} (${region}); node emission factor used`]);
+  }
+
+  const spendCurrency = upper(cfg.spendCurrency) || factor.currency;
+  const series = await loadSeries([spendCurrency, factor.currency]);
+  const conversion = spendMultiplier({ currency: spendCurrency, year: spendYear }, factor, series);
+  if (conversion.multiplier == null) {
+    return fallback([...conversion.errors, 'node emission factor used']);
+  }
+
+  return {
+    kgPerUnit: conversion.multiplier,
+    source: 'eeio',
+    factor: {
+      id: factor._id,
+      sectorCode: factor.sectorCode,
+      sectorName: factor.sectorName,
+      region: factor.region,
+      currency: factor.currency,
+      priceYear: factor.priceYear,
+      factor: factor.factor,
+      source: factor.source,
+    },
+    spendCurrency,
+    spendYear,
+    fxRate: conversion.fxRate,
+    deflator: conversion.deflator,
+    priceYearGap: Math.abs(spendYear - factor.priceYear),
+    regionMatch: factor.region === region && region !== GLOBAL_REGION,
+    notes: conversion.notes,
+  };
+}
+
+// ── Reference data (DB) ──────────────────────────────────────────────────────
+
+function validateEeioFactor(body = {}) {
+  const errors = [];
+  if (!body.sectorCode || !String(body.sectorCode).trim()) errors.push('sectorCode is required');
+  if (!/^[A-Za-z]{3}$/.test(body.currency || '')) errors.push('currency must be an ISO 4217 code');
+  if (!Number.isInteger(Number(body.priceYear))) errors.push('priceYear is required');
+  if (!(Number(body.factor) >= 0)) errors.push('factor must be ≥ 0 (kgCO2e per unit of currency)');
+  return errors;
+}
+
+async function listEeioFactors(clientId, { sectorCode, region } = {}) {
+  const filter = { clientId: { $in: [clientId || null, null] } };
+  if (sectorCode) filter.sectorCode = sectorCode;
+  if (region) filter.region = upper(region);
+  return EeioFactor.find(filter).sort({ sectorCode: 1, region: 1, priceYear: -1 }).lean();
+}
+
+/**
+ * Upserts one factor or a list (`{ factors: [...] }`). clientId null writes
+ * the platform table. Throws 422 listing every invalid row.
+ */
+async function upsertEeioFactors(clientId, body, user) {
+  const rows = Array.isArray(body.factors) ? body.factors : [body];
+  const errors = [];
+  rows.forEach((row, i) => validateEeioFactor(row).forEach(e => errors.push(rows.length > 1 ? `factors[${i}]: ${e}` : e)));
+  if (errors.length) {
+    const e = httpError(422, 'Invalid EEIO factor.');
+    e.errors = errors;
+    throw e;
+  }
+
+  const saved = [];
+  for (const row of rows) {
+    const key = {
+      clientId: clientId || null,
+      sectorCode: String(row.sectorCode).trim(),
+      region: upper(row.region) || GLOBAL_REGION,
+      priceYear: Number(row.priceYear),
+    };
+    saved.push(await EeioFactor.findOneAndUpdate(
+      key,
+      {
+        $set: {
+          sectorName: row.sectorName || '',
+          currency: upper(row.currency),
+          factor: Number(row.factor),
+          source: row.source || '',
+        },
+        $setOnInsert: { createdBy: user?._id || user?.id || null },
+      },
+      { upsert: true, new: true, runValidators: true }
+    ).lean());
+  }
+  return saved;
+}
+
+async function deleteEeioFactor(clientId, factorId) {
+  const res = await EeioFactor.deleteOne({ _id: factorId, clientId: clientId || null });
+  if (!res.deletedCount) throw httpError(404, 'EEIO factor not found.');
+}
+
+const SERIES = {
+  exchangeRates: { Model: ExchangeRate, field: 'perUSD', label: 'exchange rate', unit: 'units of currency per USD' },
+  priceDeflators: { Model: PriceDeflator, field: 'index', label: 'price index', unit: 'index value' },
+};
+
+async function listSeries(kind, { currency } = {}) {
+  const { Model } = SERIES[kind];
+  return Model.find(currency ? { currency: upper(currency) } : {}).sort({ currency: 1, year: 1 }).lean();
+}
+
+/**
+ * Upserts annual points: `{ currency, points: [{ year, value }], source? }`.
+ */
+async function upsertSeries(kind, body = {}, user) {
+  const { Model, field, label, unit } = SERIES[kind];
+  const errors = [];
+  if (!/^[A-Za-z]{3}$/.test(body.currency || '')) errors.push('currency must be an ISO 4217 code');
+  if (!Array.isArray(body.points) || !body.points.length) errors.push('points must be a non-empty array of { year, value }');
+  (body.points || []).forEach((p, i) => {
+    if (!Number.isInteger(Number(p?.year))) errors.push(`points[${i}].year must be a year`);
+    if (!(Number(p?.value) > 0)) errors.push(`points[${i}].value must be > 0 (${unit})`);
+  });
+  if (errors.length) {
+    const e = httpError(422, `Invalid ${label}.`);
+    e.errors = errors;
+    throw e;
+  }
+
+  const currency = upper(body.currency);
+  await Model.bulkWrite(body.points.map(p => ({
+    updateOne: {
+      filter: { currency, year: Number(p.year) },
+      update: {
+        $set: { [field]: Number(p.value), source: body.source || '' },
+        $setOnInsert: { createdBy: user?._id || user?.id || null },
+      },
+      upsert: true,
+    },
+  })));
+  return listSeries(kind, { currency });
+}
+
+module.exports = {
+  GLOBAL_REGION,
+  seriesValue,
+  pickEeioFactor,
+  spendMultiplier,
+  findEeioFactor,
+  resolveSpendFactor,
+  validateEeioFactor,
+  listEeioFactors,
+  upsertEeioFactors,
+  deleteEeioFactor,
+  listSeries,
+  upsertSeries,
+};
@@ -0,0 +1,322 @@
+'use strict';
+
+// ============================================================================
+// Scope 3 calculation methods and data quality
+//
+// Purchased Goods and Services (1) and Capital Goods (2) follow a method
+// hierarchy per node (scopeDetail.scope3Method.hierarchy, default below).
+// Each DataEntry is calculated with the first method whose inputs it carries:
+//
+//   supplier_specific  supplierSpecificKgCO2e, or
+//                      supplierEmissionFactor × quantity (product footprint)
+//   hybrid             supplierAllocatedKgCO2e (supplier Scope 1+2 share)
+//                      + upstreamKgCO2e
+//                      + materialInputQuantity × materialInputEmissionFactor
+//   average_data       quantity × node emission factor
+//                      (Capital Goods: ÷ asset lifetime, as tier 2 always did)
+//   spend_based        procurementSpend × EEIO factor (eeioService), or the
+//                      node emission factor when no EEIO sector is mapped
+//
+// quantity is physicalQuantity (goods) or assetQuantity (capital goods).
+//
+// Every Scope 3 line — all 15 categories — gets a GHG Protocol data-quality
+// score: five indicators (technological, temporal, geographical
+// representativeness, completeness, reliability), each 1 = very good to
+// 5 = very poor, and their mean. Lines of the other categories are
+// classified from the inputs their tier uses.
+//
+// Summaries aggregate CO2e by method and a CO2e-weighted DQ score per
+// GHG Protocol category.
+// ============================================================================
+
+const { SCOPE3_CATEGORIES, scope3CategoryFor } = require('../constants/scope3Categories');
+const eeioService = require('./eeioService');
+
+const METHODS = ['supplier_specific', 'hybrid', 'average_data', 'spend_based'];
+const DQ_INDICATORS = ['technological', 'temporal', 'geographical', 'completeness', 'reliability'];
+
+const HIERARCHY_CATEGORIES = {
+  'Purchased Goods and Services': { key: 'purchased_goods_services', quantityKey: 'physicalQuantity' },
+  'Capital Goods': { key: 'capital_goods', quantityKey: 'assetQuantity', amortise: true },
+};
+
+// Typical scores per method before node overrides / spend adjustments
+const DEFAULT_DQ = {
+  supplier_specific: { technological: 1, temporal: 1, geographical: 1, completeness: 2, reliability: 2 },
+  hybrid:            { technological: 2, temporal: 2, geographical: 2, completeness: 2, reliability: 3 },
+  average_data:      { technological: 3, temporal: 3, geographical: 3, completeness: 3, reliability: 3 },
+  spend_based:       { technological: 4, temporal: 3, geographical: 4, completeness: 3, reliability: 4 },
+};
+
+// Inputs that identify the method of a line in the other categories
+const SPEND_KEYS = ['procurementSpend', 'transportationSpend', 'travelSpend', 'investeeRevenue'];
+const PRIMARY_KEYS = [
+  'supplierSpecificKgCO2e',
+  'franchiseTotalS1Emission', 'franchiseTotalS2Emission',
+  'investeeScope1Emission', 'investeeScope2Emission',
+];
+
+const present = (v) => v !== null && v !== undefined && v !== '' && Number.isFinite(Number(v));
+const num = (v) => (present(v) ? Number(v) : 0);
+const plain = (v) => (v instanceof Map ? Object.fromEntries(v) : v || {});
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// ── Hierarchy ────────────────────────────────────────────────────────────────
+
+/** The node's method order; unknown entries are dropped, empty → default. */
+function resolveHierarchy(methodConfig = {}) {
+  const list = (methodConfig.hierarchy || []).filter(m => METHODS.includes(m));
+  return list.length ? [...new Set(list)] : [...METHODS];
+}
+
+/** Whether `values` carry the inputs `method` needs. */
+function hasInputs(method, values, quantityKey) {
+  switch (method) {
+    case 'supplier_specific':
+      return present(values.supplierSpecificKgCO2e) ||
+        (present(values.supplierEmissionFactor) && present(values[quantityKey]));
+    case 'hybrid':
+      return present(values.supplierAllocatedKgCO2e);
+    case 'average_data':
+      return present(values[quantityKey]);
+    case 'spend_based':
+      return present(values.procurementSpend);
+    default:
+      return false;
+  }
+}
+
+/**
+ * First method of the hierarchy the entry has inputs for.
+ * @returns {{ method: string|null, skipped: string[] }}
+ */
+function selectMethod(hierarchy, values, quantityKey) {
+  const skipped = [];
+  for (const method of hierarchy) {
+    if (hasInputs(method, values, quantityKey)) return { method, skipped };
+    skipped.push(method);
+  }
+  return { method: null, skipped };
+}
+
+/**
+ * kgCO2e of one value set (incoming or cumulative) with `method`.
+ * @param {object} opts — { quantityKey, ef, assetLifetime, amortise, spendKgPerUnit }
+ */
+function computeMethod(method, values, { quantityKey, ef = 0, assetLifetime = 1, amortise = false, spendKgPerUnit = 0 }) {
+  switch (method) {
+    case 'supplier_specific':
+      return present(values.supplierSpecificKgCO2e)
+        ? num(values.supplierSpecificKgCO2e)
+        : num(values.supplierEmissionFactor) * num(values[quantityKey]);
+    case 'hybrid':
+      return num(values.supplierAllocatedKgCO2e) +
+        num(values.upstreamKgCO2e) +
+        num(values.materialInputQuantity) * num(values.materialInputEmissionFactor);
+    case 'average_data': {
+      const kg = num(values[quantityKey]) * ef;
+      return amortise ? kg / (assetLifetime > 0 ? assetLifetime : 1) : kg;
+    }
+    case 'spend_based':
+      return num(values.procurementSpend) * spendKgPerUnit;
+    default:
+      return 0;
+  }
+}
+
+/** Method of a line outside the hierarchy categories, from the inputs it used. */
+function classifyLine(values) {
+  const v = plain(values);
+  if (PRIMARY_KEYS.some(k => num(v[k]) !== 0)) return 'supplier_specific';
+  if (present(v.supplierAllocatedKgCO2e)) return 'hybrid';
+  if (SPEND_KEYS.some(k => num(v[k]) !== 0)) return 'spend_based';
+  return 'average_data';
+}
+
+// ── Data quality ─────────────────────────────────────────────────────────────
+
+const clampScore = (v) => Math.min(5, Math.max(1, Math.round(Number(v))));
+
+/** Temporal score from the years between spend and the EEIO price year. */
+function temporalScoreForGap(gap) {
+  if (gap <= 1) return 2;
+  if (gap <= 3) return 3;
+  if (gap <= 6) return 4;
+  return 5;
+}
+
+/**
+ * Data-quality indicators and score for one line.
+ *
+ * @param {string} method
+ * @param {object} [opts]
+ * @param {object} [opts.overrides] — node scope3Method.dataQuality[method], partial indicators
+ * @param {object} [opts.spend]     — eeioService.resolveSpendFactor() result for spend lines
+ * @returns {{ indicators: object, score: number }}
+ */
+function scoreDataQuality(method, { overrides, spend } = {}) {
+  const indicators = { ...(DEFAULT_DQ[method] || DEFAULT_DQ.average_data) };
+
+  if (method === 'spend_based' && spend) {
+    if (spend.source === 'eeio') {
+      indicators.temporal = temporalScoreForGap(spend.priceYearGap || 0);
+      indicators.geographical = spend.regionMatch ? 2 : 4;
+    } else {
+      // Generic node factor applied to money — the weakest proxy available
+      indicators.technological = 5;
+    }
+  }
+
+  for (const key of DQ_INDICATORS) {
+    if (overrides && present(overrides[key])) indicators[key] = clampScore(overrides[key]);
+  }
+
+  const score = round1(DQ_INDICATORS.reduce((s, k) => s + indicators[k], 0) / DQ_INDICATORS.length);
+  return { indicators, score };
+}
+
+/**
+ * DataEntry.scope3Methods for a line.
+ */
+function buildLineResult({ method, hierarchy = null, skipped = [], CO2e, methodConfig = {}, spend = null }) {
+  const dq = method ? scoreDataQuality(method, { overrides: methodConfig.dataQuality?.[method], spend }) : null;
+  return {
+    method,
+    hierarchy,
+    skipped,
+    CO2e,
+    dataQuality: dq,
+    spend: spend && method === 'spend_based' ? spend : null,
+    calculatedAt: new Date(),
+  };
+}
+
+/**
+ * Incoming and cumulative kgCO2e of a Purchased Goods / Capital Goods entry
+ * with the node's method hierarchy. The EEIO factor is only looked up when the
+ * entry falls through to spend_based.
+ *
+ * @param {object} args
+ * @param {object} args.dataEntry      — for clientId and timestamp
+ * @param {object} args.scopeConfig    — flowchart scope detail (date-resolved)
+ * @param {object} args.dataValues     — plain incoming values
+ * @param {object} args.cumulativeVals — plain cumulative values
+ * @param {number} args.ef             — node CO2e emission factor
+ * @param {number} [args.assetLifetime]
+ * @returns {Promise<{ inc: number, cum: number, line: object }>}
+ */
+async function calculateHierarchyLine({ dataEntry, scopeConfig, dataValues, cumulativeVals, ef, assetLifetime = 1 }) {
+  const category = HIERARCHY_CATEGORIES[scopeConfig.categoryName];
+  const methodConfig = scopeConfig.scope3Method || {};
+  const hierarchy = resolveHierarchy(methodConfig);
+  const { method, skipped } = selectMethod(hierarchy, dataValues || {}, category.quantityKey);
+
+  let spend = null;
+  if (method === 'spend_based') {
+    spend = await eeioService.resolveSpendFactor({
+      clientId: dataEntry.clientId,
+      scopeConfig,
+      date: dataEntry.timestamp,
+      fallbackEF: ef,
+    });
+  }
+
+  const opts = {
+    quantityKey: category.quantityKey,
+    ef,
+    assetLifetime,
+    amortise: !!category.amortise,
+    spendKgPerUnit: spend ? spend.kgPerUnit : 0,
+  };
+  const inc = method ? computeMethod(method, dataValues || {}, opts) : 0;
+  const cum = method ? computeMethod(method, cumulativeVals || {}, opts) : 0;
+
+  return {
+    inc,
+    cum,
+    line: buildLineResult({ method, hierarchy, skipped, CO2e: inc, methodConfig, spend }),
+  };
+}
+
+// ── Summaries ────────────────────────────────────────────────────────────────
+
+const emptyMethods = () => ({ supplier_specific: 0, hybrid: 0, average_data: 0, spend_based: 0 });
+
+/** Running totals while CalculationSummary walks the period's entries. */
+function createScope3Accumulator() {
+  return {
+    methods: emptyMethods(),
+    dq: { weighted: 0, weight: 0 },
+    categories: new Map(SCOPE3_CATEGORIES.map(c => [c.number, {
+      number: c.number,
+      name: c.name,
+      CO2e: 0,
+      dataPointCount: 0,
+      methods: emptyMethods(),
+      dq: { weighted: 0, weight: 0 },
+    }])),
+  };
+}
+
+/**
+ * Adds one Scope 3 entry. Entries calculated before method tracking have no
+ * scope3Methods; they are classified from their dataValues with default DQ.
+ */
+function addScope3Entry(acc, entry, categoryName, emissionValues) {
+  const CO2e = emissionValues.CO2e || 0;
+  const line = entry.scope3Methods?.method
+    ? entry.scope3Methods
+    : buildLineResult({ method: classifyLine(entry.dataValues), CO2e });
+
+  const add = (target) => {
+    target.methods[line.method] += CO2e;
+    if (line.dataQuality && CO2e > 0) {
+      target.dq.weighted += line.dataQuality.score * CO2e;
+      target.dq.weight += CO2e;
+    }
+  };
+  add(acc);
+
+  const match = scope3CategoryFor(categoryName);
+  if (match) {
+    const cat = acc.categories.get(match.number);
+    cat.CO2e += CO2e;
+    cat.dataPointCount += 1;
+    add(cat);
+  }
+}
+
+const weightedScore = (dq) => (dq.weight > 0 ? round1(dq.weighted / dq.weight) : null);
+
+/**
+ * @returns {{ methods: object, categories: object[] }} — `methods` goes on
+ *   byScope['Scope 3'], `categories` (all 15, in order) on scope3Categories
+ */
+function finalizeScope3(acc) {
+  return {
+    methods: { ...acc.methods, dataQualityScore: weightedScore(acc.dq) },
+    categories: [...acc.categories.values()].map(({ dq, ...c }) => ({
+      ...c,
+      dataQualityScore: weightedScore(dq),
+    })),
+  };
+}
+
+module.exports = {
+  METHODS,
+  DQ_INDICATORS,
+  DEFAULT_DQ,
+  HIERARCHY_CATEGORIES,
+  resolveHierarchy,
+  hasInputs,
+  selectMethod,
+  computeMethod,
+  classifyLine,
+  temporalScoreForGap,
+  scoreDataQuality,
+  buildLineResult,
+  calculateHierarchyLine,
+  createScope3Accumulator,
+  addScope3Entry,
+  finalizeScope3,
+};
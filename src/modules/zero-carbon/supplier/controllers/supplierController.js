@@ -0,0 +1,262 @@
+// controllers/Supplier/supplierController.js
+// Supplier engagement portal for Scope 3 upstream data collection.
+//
+// Authenticated endpoints: client_admin / consultant_admin / consultant / super_admin
+// (read-only for other client roles)
+// Public endpoints (no auth): invitation resolution and submission
+
+const supplierService = require('../services/supplierService');
+const { logEvent } = require('../../../../common/services/audit/auditLogService');
+const { canAccessClient, CLIENT_DATA_MANAGER_ROLES } = require('../../../../common/utils/Permissions/clientAccessPermission');
+
+function sendError(res, err, label) {
+  if (err.status) {
+    return res.status(err.status).json({ message: err.message, ...(err.errors ? { errors: err.errors } : {}) });
+  }
+  console.error(`${label} error:`, err);
+  return res.status(500).json({ message: 'Internal server error.', error: err.message });
+}
+
+// Wraps an authenticated handler with the client access (and optional manage role) checks
+function guarded(label, handler, { manage = false } = {}) {
+  return async (req, res) => {
+    try {
+      const { clientId } = req.params;
+      const access = await canAccessClient(req.user, clientId);
+      if (!access.allowed) {
+        return access.reason === 'Client not found'
+          ? res.status(404).json({ message: 'Client not found.' })
+          : res.status(403).json({ message: 'Access denied for this client.' });
+      }
+      if (manage && !CLIENT_DATA_MANAGER_ROLES.has(req.user.userType)) {
+        return res.status(403).json({ message: 'Insufficient permissions to manage suppliers.' });
+      }
+      return await handler(req, res);
+    } catch (err) {
+      return sendError(res, err, label);
+    }
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Registry
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/suppliers/:clientId?status=active|inactive
+ */
+const listSuppliers = guarded('listSuppliers', async (req, res) => {
+  const suppliers = await supplierService.listSuppliers(req.params.clientId, { status: req.query.status });
+  return res.status(200).json({ count: suppliers.length, suppliers });
+});
+
+/**
+ * POST /api/suppliers/:clientId
+ * Body: { name, supplierCode?, contactName?, contactEmail?, annualSpend?, currency?,
+ *         scope3Mapping?: { nodeId, scopeIdentifier } }
+ */
+const createSupplier = guarded('createSupplier', async (req, res) => {
+  const supplier = await supplierService.createSupplier(req.params.clientId, req.body, req.user);
+  await logEvent({
+    req,
+    clientId: req.params.clientId,
+    module: 'data_entry',
+    action: 'create',
+    entityType: 'Supplier',
+    entityId: supplier._id.toString(),
+    changeSummary: `Registered supplier ${supplier.name}`,
+  });
+  return res.status(201).json({ message: 'Supplier created.', supplier });
+}, { manage: true });
+
+/**
+ * PATCH /api/suppliers/:clientId/:supplierId
+ */
+const updateSupplier = guarded('updateSupplier', async (req, res) => {
+  const supplier = await supplierService.updateSupplier(req.params.clientId, req.params.supplierId, req.body, req.user);
+  return res.status(200).json({ message: 'Supplier updated.', supplier });
+}, { manage: true });
+
+/**
+ * DELETE /api/suppliers/:clientId/:supplierId
+ * Soft delete; open invitations are revoked.
+ */
+const deleteSupplier = guarded('deleteSupplier', async (req, res) => {
+  await supplierService.deleteSupplier(req.params.clientId, req.params.supplierId, req.user);
+  return res.status(200).json({ message: 'Supplier deleted.' });
+}, { manage: true });
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Invitations
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * POST /api/suppliers/:clientId/invitations
+ * Body: { supplierIds[], reportingYear, nodeId?, scopeIdentifier?, linkExpiryDays?, message? }
+ * Plaintext tokens are returned once and never stored.
+ */
+const createInvitations = guarded('createInvitations', async (req, res) => {
+  const result = await supplierService.createInvitations(req.params.clientId, req.body, req.user);
+  await logEvent({
+    req,
+    clientId: req.params.clientId,
+    module: 'data_entry',
+    action: 'create',
+    entityType: 'SupplierInvitation',
+    changeSummary: `Generated ${result.created.length} supplier invitation(s) for ${req.body.reportingYear}`,
+    metadata: { reportingYear: req.body.reportingYear, skipped: result.skipped.length },
+  });
+  return res.status(201).json({
+    message: `${result.created.length} invitation(s) created.`,
+    invitations: result.created,
+    skipped: result.skipped,
+  });
+}, { manage: true });
+
+/**
+ * GET /api/suppliers/:clientId/invitations?reportingYear=&supplierId=
+ */
+const listInvitations = guarded('listInvitations', async (req, res) => {
+  const invitations = await supplierService.listInvitations(req.params.clientId, req.query);
+  return res.status(200).json({ count: invitations.length, invitations });
+});
+
+/**
+ * PATCH /api/suppliers/:clientId/invitations/:invitationId/revoke
+ */
+const revokeInvitation = guarded('revokeInvitation', async (req, res) => {
+  const invitation = await supplierService.revokeInvitation(req.params.clientId, req.params.invitationId);
+  return res.status(200).json({ message: 'Invitation revoked.', invitation });
+}, { manage: true });
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Submissions & review
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/suppliers/:clientId/submissions?reportingYear=&status=&supplierId=
+ */
+const listSubmissions = guarded('listSubmissions', async (req, res) => {
+  const submissions = await supplierService.listSubmissions(req.params.clientId, req.query);
+  return res.status(200).json({ count: submissions.length, submissions });
+});
+
+/**
+ * POST /api/suppliers/:clientId/submissions/:submissionId/approve
+ * Body: { comment? }
+ * Writes the DataEntry into the Scope 3 node and refreshes M3 engagement.
+ */
+const approveSubmission = guarded('approveSubmission', async (req, res) => {
+  const result = await supplierService.approveSubmission(
+    req.params.clientId, req.params.submissionId, req.user, req.body?.comment || null
+  );
+  await logEvent({
+    req,
+    clientId: req.params.clientId,
+    module: 'data_entry',
+    action: 'approve',
+    entityType: 'SupplierSubmission',
+    entityId: req.params.submissionId,
+    changeSummary: `Approved ${result.submission.submissionType} supplier submission`,
+    metadata: { dataEntryId: String(result.dataEntryId), dataQualityTier: result.submission.dataQualityTier },
+  });
+  return res.status(200).json({ message: 'Submission approved.', ...result });
+}, { manage: true });
+
+/**
+ * POST /api/suppliers/:clientId/submissions/:submissionId/reject
+ * Body: { comment }  — shown to the supplier on their link
+ */
+const rejectSubmission = guarded('rejectSubmission', async (req, res) => {
+  const submission = await supplierService.rejectSubmission(
+    req.params.clientId, req.params.submissionId, req.user, req.body?.comment
+  );
+  await logEvent({
+    req,
+    clientId: req.params.clientId,
+    module: 'data_entry',
+    action: 'reject',
+    entityType: 'SupplierSubmission',
+    entityId: req.params.submissionId,
+    changeSummary: 'Rejected supplier submission',
+  });
+  return res.status(200).json({ message: 'Submission rejected.', submission });
+}, { manage: true });
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Response rates
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/suppliers/:clientId/response-rates?reportingYear=2025
+ */
+const getResponseRates = guarded('getResponseRates', async (req, res) => {
+  const reportingYear = req.query.reportingYear || new Date().getFullYear();
+  const rates = await supplierService.getResponseRates(req.params.clientId, reportingYear);
+  return res.status(200).json(rates);
+});
+
+/**
+ * POST /api/suppliers/:clientId/engagement/sync  Body: { reportingYear }
+ * Re-writes AnnualMetricRecord for Supplier_Engagement_Tracking targets
+ * (also done automatically on every approval).
+ */
+const syncEngagement = guarded('syncEngagement', async (req, res) => {
+  if (!req.body?.reportingYear) return res.status(400).json({ message: 'reportingYear is required.' });
+  const result = await supplierService.syncEngagementMetrics(req.params.clientId, req.body.reportingYear, req.user);
+  return res.status(200).json(result);
+}, { manage: true });
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public — supplier portal
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * GET /api/supplier-portal/resolve/:token
+ * Supplier context, accepted submission types and previous submissions.
+ */
+async function resolveInvitation(req, res) {
+  try {
+    const data = await supplierService.resolveInvitation(req.params.token);
+    return res.status(200).json(data);
+  } catch (err) {
+    return sendError(res, err, 'resolveInvitation');
+  }
+}
+
+/**
+ * POST /api/supplier-portal/submit/:token
+ * Body: { submissionType, dataQualityTier?, periodStart?, periodEnd?, ...type fields }
+ */
+async function submitSupplierData(req, res) {
+  try {
+    const submission = await supplierService.submitViaToken(req.params.token, req.body);
+    return res.status(201).json({
+      message: 'Submission received and sent for review.',
+      submissionId: submission._id,
+      dataQualityTier: submission.dataQualityTier,
+      calculatedKgCO2e: submission.calculatedKgCO2e,
+    });
+  } catch (err) {
+    return sendError(res, err, 'submitSupplierData');
+  }
+}
+
+module.exports = {
+  // Authenticated
+  listSuppliers,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  createInvitations,
+  listInvitations,
+  revokeInvitation,
+  listSubmissions,
+  approveSubmission,
+  rejectSubmission,
+  getResponseRates,
+  syncEngagement,
+  // Public
+  resolveInvitation,
+  submitSupplierData,
+};
@@ -0,0 +1,51 @@
+// models/Supplier/Supplier.js
+// Supplier registry per client. Suppliers are invited to report Scope 3
+// upstream data (purchased goods, capital goods, …) through the supplier portal.
+const mongoose = require('mongoose');
+
+// Default Scope 3 node a supplier reports into; an invitation can override it
+const Scope3MappingSchema = new mongoose.Schema(
+  {
+    nodeId: { type: String, required: true },
+    scopeIdentifier: { type: String, required: true },
+    categoryName: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const SupplierSchema = new mongoose.Schema(
+  {
+    clientId: { type: String, required: true, index: true },
+
+    // ─── Identity ─────────────────────────────────────────────────────────────
+    name: { type: String, required: true, trim: true },
+    supplierCode: { type: String, trim: true, default: null }, // client's own vendor code
+    country: { type: String, default: null },
+    sector: { type: String, default: null },
+
+    // ─── Contact (invitation recipient) ───────────────────────────────────────
+    contactName: { type: String, default: '' },
+    contactEmail: { type: String, trim: true, lowercase: true, default: null },
+
+    // ─── Spend — used for spend-weighted engagement % ─────────────────────────
+    annualSpend: { type: Number, default: null, min: 0 },
+    currency: { type: String, default: 'INR' },
+
+    scope3Mapping: { type: Scope3MappingSchema, default: null },
+
+    status: { type: String, enum: ['active', 'inactive'], default: 'active', index: true },
+    isDeleted: { type: Boolean, default: false },
+
+    // ─── Audit ────────────────────────────────────────────────────────────────
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: true }
+);
+
+SupplierSchema.index(
+  { clientId: 1, supplierCode: 1 },
+  { unique: true, partialFilterExpression: { supplierCode: { $type: 'string' }, isDeleted: false } }
+);
+
+module.exports = mongoose.model('Supplier', SupplierSchema);
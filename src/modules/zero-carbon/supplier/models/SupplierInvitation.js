@@ -0,0 +1,43 @@
+// models/Supplier/SupplierInvitation.js
+// Tokenised invitation link for one supplier and reporting year.
+// Same security model as SurveyLink: only the bcrypt hash of the token is stored.
+const mongoose = require('mongoose');
+
+const SupplierInvitationSchema = new mongoose.Schema(
+  {
+    clientId: { type: String, required: true, index: true },
+    supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', required: true, index: true },
+    reportingYear: { type: Number, required: true },
+
+    // ─── Target Scope 3 node ──────────────────────────────────────────────────
+    nodeId: { type: String, required: true },
+    scopeIdentifier: { type: String, required: true },
+    categoryName: { type: String, default: null },
+
+    // ─── Token security ───────────────────────────────────────────────────────
+    tokenHash: { type: String, required: true, unique: true },
+    tokenPrefix: { type: String, required: true, index: true },
+
+    // ─── Lifecycle ────────────────────────────────────────────────────────────
+    // A link stays usable after a submission so the supplier can add products
+    // or correct a rejected submission until it expires.
+    status: {
+      type: String,
+      enum: ['pending', 'opened', 'submitted', 'expired', 'revoked'],
+      default: 'pending',
+      index: true,
+    },
+    expiresAt: { type: Date, required: true },
+    sentAt: { type: Date, default: null },
+    openedAt: { type: Date, default: null },
+    submittedAt: { type: Date, default: null },
+    message: { type: String, default: null }, // note shown to the supplier
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { timestamps: true }
+);
+
+SupplierInvitationSchema.index({ clientId: 1, reportingYear: 1, supplierId: 1 });
+
+module.exports = mongoose.model('SupplierInvitation', SupplierInvitationSchema);
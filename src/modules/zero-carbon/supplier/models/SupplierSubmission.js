@@ -0,0 +1,84 @@
+// models/Supplier/SupplierSubmission.js
+// Data submitted by a supplier through an invitation link. Nothing reaches
+// DataEntry until a reviewer approves the submission.
+const mongoose = require('mongoose');
+
+const ProductFootprintSchema = new mongoose.Schema(
+  {
+    productName: { type: String, required: true },
+    productCode: { type: String, default: null },
+    quantity: { type: Number, required: true, min: 0 },
+    unit: { type: String, default: 'unit' },
+    pcfKgCO2ePerUnit: { type: Number, required: true, min: 0 }, // cradle-to-gate footprint
+    methodology: { type: String, default: null },                // e.g. ISO 14067, PACT
+    verified: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const SupplierSubmissionSchema = new mongoose.Schema(
+  {
+    clientId: { type: String, required: true, index: true },
+    supplierId: { type: mongoose.Schema.Types.ObjectId, ref: 'Supplier', required: true, index: true },
+    invitationId: { type: mongoose.Schema.Types.ObjectId, ref: 'SupplierInvitation', required: true },
+    reportingYear: { type: Number, required: true },
+    nodeId: { type: String, required: true },
+    scopeIdentifier: { type: String, required: true },
+
+    // ─── What was reported ────────────────────────────────────────────────────
+    submissionType: {
+      type: String,
+      enum: ['product_footprint', 'scope12_allocation', 'spend'],
+      required: true,
+    },
+    dataQualityTier: {
+      type: String,
+      enum: ['primary', 'secondary', 'spend_based'],
+      required: true,
+    },
+    periodStart: { type: Date, required: true },
+    periodEnd: { type: Date, required: true },
+
+    // product_footprint
+    products: { type: [ProductFootprintSchema], default: [] },
+
+    // scope12_allocation — supplier's own Scope 1+2 allocated to this client
+    scope1TCO2e: { type: Number, default: null, min: 0 },
+    scope2TCO2e: { type: Number, default: null, min: 0 },
+    allocationBasis: { type: String, enum: ['revenue', 'physical', 'custom', null], default: null },
+    allocationPct: { type: Number, default: null, min: 0, max: 100 },
+
+    // spend
+    spendAmount: { type: Number, default: null, min: 0 },
+    currency: { type: String, default: null },
+
+    submittedBy: {
+      name: { type: String, default: '' },
+      email: { type: String, default: null },
+    },
+    comments: { type: String, default: null },
+
+    // Emissions derived from the supplier's own figures (null for spend —
+    // spend is priced by the node's emission factor on approval)
+    calculatedKgCO2e: { type: Number, default: null },
+
+    // ─── Review ───────────────────────────────────────────────────────────────
+    // 'approving' while one reviewer's approval is being written
+    status: {
+      type: String,
+      enum: ['pending_review', 'approving', 'approved', 'rejected'],
+      default: 'pending_review',
+      index: true,
+    },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reviewedAt: { type: Date, default: null },
+    reviewComment: { type: String, default: null },
+    // Reserved when approval starts, so a retried approval reuses the same entry
+    dataEntryId: { type: mongoose.Schema.Types.ObjectId, ref: 'DataEntry', default: null },
+  },
+  { timestamps: true }
+);
+
+SupplierSubmissionSchema.index({ clientId: 1, reportingYear: 1, status: 1 });
+
+module.exports = mongoose.model('SupplierSubmission', SupplierSubmissionSchema);
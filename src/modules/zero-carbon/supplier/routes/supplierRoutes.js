@@ -0,0 +1,67 @@
+// routes/Supplier/supplierRoutes.js
+// Two sub-routers:
+//   supplierAuthRouter   – authenticated endpoints (Bearer token required)
+//   supplierPublicRouter – public endpoints (no auth; suppliers via invitation link)
+//
+// Mounted in registerRoutes:
+//   app.use('/api/suppliers',       supplierAuthRouter);
+//   app.use('/api/supplier-portal', supplierPublicRouter);
+
+const express = require('express');
+const { auth } = require('../../../../common/middleware/auth');
+const { requireActiveModuleSubscription } = require('../../../../common/utils/Permissions/modulePermission');
+
+const {
+  // Authenticated
+  listSuppliers,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  createInvitations,
+  listInvitations,
+  revokeInvitation,
+  listSubmissions,
+  approveSubmission,
+  rejectSubmission,
+  getResponseRates,
+  syncEngagement,
+  // Public
+  resolveInvitation,
+  submitSupplierData,
+} = require('../controllers/supplierController');
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public router  (prefix: /api/supplier-portal)
+// ─────────────────────────────────────────────────────────────────────────────
+const supplierPublicRouter = express.Router();
+
+supplierPublicRouter.get('/resolve/:token', resolveInvitation);
+supplierPublicRouter.post('/submit/:token', submitSupplierData);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Authenticated router  (prefix: /api/suppliers)
+// ─────────────────────────────────────────────────────────────────────────────
+const supplierAuthRouter = express.Router();
+
+supplierAuthRouter.use(auth);
+supplierAuthRouter.use(requireActiveModuleSubscription('zero_carbon'));
+
+// Invitations, submissions and rates — declared before /:clientId/:supplierId
+supplierAuthRouter.post('/:clientId/invitations',                              createInvitations);
+supplierAuthRouter.get('/:clientId/invitations',                               listInvitations);
+supplierAuthRouter.patch('/:clientId/invitations/:invitationId/revoke',        revokeInvitation);
+
+supplierAuthRouter.get('/:clientId/submissions',                               listSubmissions);
+supplierAuthRouter.post('/:clientId/submissions/:submissionId/approve',        approveSubmission);
+supplierAuthRouter.post('/:clientId/submissions/:submissionId/reject',         rejectSubmission);
+
+supplierAuthRouter.get('/:clientId/response-rates',                            getResponseRates);
+supplierAuthRouter.post('/:clientId/engagement/sync',                          syncEngagement);
+
+// Registry
+supplierAuthRouter.get('/:clientId',                                           listSuppliers);
+supplierAuthRouter.post('/:clientId',                                          createSupplier);
+supplierAuthRouter.patch('/:clientId/:supplierId',                             updateSupplier);
+supplierAuthRouter.delete('/:clientId/:supplierId',                            deleteSupplier);
+
+module.exports = { supplierAuthRouter, supplierPublicRouter };
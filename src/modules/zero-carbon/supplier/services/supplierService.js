@@ -0,0 +1,700 @@
+// services/Supplier/supplierService.js
+// Supplier engagement: registry, tokenised invitations, submissions, review
+// and response-rate tracking for Scope 3 upstream data collection.
+//
+// Flow:
+//   1. Client registers suppliers (optionally with a default Scope 3 node)
+//   2. Invitations are generated per supplier + reporting year. The plaintext
+//      token is returned once; only its bcrypt hash is stored (as SurveyLink)
+//   3. The supplier submits through the public portal: product carbon
+//      footprints, an allocation of their own Scope 1/2, or spend
+//   4. A reviewer approves or rejects. Approval writes one DataEntry into
+//      the invited Scope 3 node:
+//        product_footprint / scope12_allocation → supplier-specific kgCO2e
+//          (summary entry, like survey cycles)
+//        spend → procurementSpend, priced by the node's tier 1 emission factor
+//   5. Engagement (% of suppliers with approved data) is written to
+//      AnnualMetricRecord for the client's Supplier_Engagement_Tracking targets
+const mongoose = require('mongoose');
+const moment = require('moment');
+
+const Supplier = require('../models/Supplier');
+const SupplierInvitation = require('../models/SupplierInvitation');
+const SupplierSubmission = require('../models/SupplierSubmission');
+const DataEntry = require('../../organization/models/DataEntry');
+const TargetMaster = require('../../m3/models/TargetMaster');
+const AnnualMetricRecord = require('../../m3/models/AnnualMetricRecord');
+const { MethodName, SourceSystem } = require('../../m3/constants/enums');
+
+const {
+  generateSurveyToken,
+  hashToken,
+  verifyToken,
+  tokenPrefix,
+  isSurveyLinkExpired,
+  calculateLinkExpiry,
+} = require('../../survey/services/surveyTokenService');
+const { getActiveFlowchart } = require('../../data-collection/utils/dataCollection');
+const { triggerEmissionCalculation } = require('../../calculation/emissionIntegration');
+const { updateSummariesOnDataChange } = require('../../calculation/CalculationSummary');
+const { buildLineResult } = require('../../scope3/services/scope3MethodService');
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+const SUBMISSION_TYPES = ['product_footprint', 'scope12_allocation', 'spend'];
+
+// Which data-quality tiers each submission type may claim
+const ALLOWED_TIERS = {
+  product_footprint: ['primary', 'secondary'],
+  scope12_allocation: ['primary', 'secondary'],
+  spend: ['spend_based'],
+};
+
+const DEFAULT_TIER = {
+  product_footprint: 'primary',
+  scope12_allocation: 'secondary',
+  spend: 'spend_based',
+};
+
+// Categories whose tier 1 calculation reads dataValues.procurementSpend
+const SPEND_CATEGORIES = new Set(['Purchased Goods and Services', 'Capital Goods']);
+
+const DATA_SOURCE = 'supplier_portal';
+const APPROVAL_TIMEOUT_MS = 10 * 60 * 1000; // an approval still 'approving' after this died
+
+function httpError(message, status) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+// ─── Pure helpers ────────────────────────────────────────────────────────────
+
+/**
+ * Validate and normalise a supplier submission body.
+ * Returns { errors: string[], value } — value is only meaningful when errors is empty.
+ */
+function validateSubmission(body = {}, reportingYear) {
+  const errors = [];
+  const type = body.submissionType;
+  if (!SUBMISSION_TYPES.includes(type)) {
+    errors.push(`submissionType must be one of ${SUBMISSION_TYPES.join(', ')}.`);
+    return { errors, value: null };
+  }
+
+  const tier = body.dataQualityTier || DEFAULT_TIER[type];
+  if (!ALLOWED_TIERS[type].includes(tier)) {
+    errors.push(`dataQualityTier '${tier}' is not valid for ${type} (allowed: ${ALLOWED_TIERS[type].join(', ')}).`);
+  }
+
+  const periodStart = body.periodStart ? new Date(body.periodStart) : new Date(Date.UTC(reportingYear, 0, 1));
+  const periodEnd = body.periodEnd ? new Date(body.periodEnd) : new Date(Date.UTC(reportingYear, 11, 31));
+  if (isNaN(periodStart) || isNaN(periodEnd)) errors.push('periodStart / periodEnd must be valid dates.');
+  else if (periodStart > periodEnd) errors.push('periodStart must be before periodEnd.');
+  else if (periodEnd.getUTCFullYear() !== reportingYear) errors.push(`periodEnd must fall in reporting year ${reportingYear}.`);
+
+  const num = (v) => (v === undefined || v === null || v === '' ? null : Number(v));
+  const value = {
+    submissionType: type,
+    dataQualityTier: tier,
+    periodStart,
+    periodEnd,
+    products: [],
+    scope1TCO2e: null,
+    scope2TCO2e: null,
+    allocationBasis: null,
+    allocationPct: null,
+    spendAmount: null,
+    currency: null,
+    comments: body.comments || null,
+    submittedBy: {
+      name: body.submittedBy?.name || '',
+      email: body.submittedBy?.email || null,
+    },
+  };
+
+  if (type === 'product_footprint') {
+    const products = Array.isArray(body.products) ? body.products : [];
+    if (!products.length) errors.push('products[] is required for product_footprint.');
+    products.forEach((p, i) => {
+      const quantity = num(p.quantity);
+      const pcf = num(p.pcfKgCO2ePerUnit);
+      if (!p.productName) errors.push(`products[${i}].productName is required.`);
+      if (!(quantity >= 0)) errors.push(`products[${i}].quantity must be a non-negative number.`);
+      if (!(pcf >= 0)) errors.push(`products[${i}].pcfKgCO2ePerUnit must be a non-negative number.`);
+      value.products.push({
+        productName: p.productName,
+        productCode: p.productCode || null,
+        quantity,
+        unit: p.unit || 'unit',
+        pcfKgCO2ePerUnit: pcf,
+        methodology: p.methodology || null,
+        verified: !!p.verified,
+      });
+    });
+  }
+
+  if (type === 'scope12_allocation') {
+    value.scope1TCO2e = num(body.scope1TCO2e);
+    value.scope2TCO2e = num(body.scope2TCO2e);
+    value.allocationBasis = body.allocationBasis || 'revenue';
+    if (value.scope1TCO2e == null && value.scope2TCO2e == null) {
+      errors.push('scope1TCO2e or scope2TCO2e is required for scope12_allocation.');
+    }
+    for (const k of ['scope1TCO2e', 'scope2TCO2e']) {
+      if (value[k] != null && !(value[k] >= 0)) errors.push(`${k} must be a non-negative number.`);
+    }
+    if (!['revenue', 'physical', 'custom'].includes(value.allocationBasis)) {
+      errors.push('allocationBasis must be revenue, physical or custom.');
+    }
+
+    // Revenue share can be given directly or as customer revenue / total revenue
+    let pct = num(body.allocationPct);
+    if (pct == null && num(body.customerRevenue) != null && num(body.totalRevenue) > 0) {
+      pct = (num(body.customerRevenue) / num(body.totalRevenue)) * 100;
+    }
+    if (pct == null || !(pct >= 0 && pct <= 100)) {
+      errors.push('allocationPct (0–100) or customerRevenue + totalRevenue is required for scope12_allocation.');
+    }
+    value.allocationPct = pct;
+  }
+
+  if (type === 'spend') {
+    value.spendAmount = num(body.spendAmount);
+    value.currency = body.currency || null;
+    if (!(value.spendAmount >= 0)) errors.push('spendAmount must be a non-negative number.');
+  }
+
+  return { errors, value };
+}
+
+/**
+ * kgCO2e implied by the supplier's own figures.
+ * Returns null for spend submissions — those are priced by the node's emission factor.
+ */
+function calculateSupplierEmissions(submission) {
+  const r6 = (n) => Math.round(n * 1e6) / 1e6;
+  switch (submission.submissionType) {
+    case 'product_footprint':
+      return r6((submission.products || []).reduce(
+        (sum, p) => sum + (Number(p.quantity) || 0) * (Number(p.pcfKgCO2ePerUnit) || 0), 0
+      ));
+    case 'scope12_allocation': {
+      const tonnes = (Number(submission.scope1TCO2e) || 0) + (Number(submission.scope2TCO2e) || 0);
+      return r6(tonnes * 1000 * ((Number(submission.allocationPct) || 0) / 100));
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Response-rate and engagement figures for one reporting year.
+ *
+ *   responseRatePct   invited suppliers that submitted anything
+ *   engagementPct     active suppliers with at least one approved submission
+ *   spend.engagedPct  same, weighted by annualSpend
+ */
+function computeResponseRates(suppliers, invitations, submissions) {
+  const pct = (a, b) => (b > 0 ? Math.round((a / b) * 10000) / 100 : 0);
+  const active = suppliers.filter(s => s.status !== 'inactive' && !s.isDeleted);
+  const activeIds = new Set(active.map(s => String(s._id)));
+
+  const invited = new Set(invitations.filter(i => i.status !== 'revoked').map(i => String(i.supplierId)));
+  const responded = new Set(submissions.map(s => String(s.supplierId)));
+  const approved = new Set(submissions.filter(s => s.status === 'approved').map(s => String(s.supplierId)));
+
+  const respondedInvited = [...invited].filter(id => responded.has(id)).length;
+  const engaged = active.filter(s => approved.has(String(s._id)));
+
+  const totalSpend = active.reduce((sum, s) => sum + (Number(s.annualSpend) || 0), 0);
+  const engagedSpend = engaged.reduce((sum, s) => sum + (Number(s.annualSpend) || 0), 0);
+
+  const byTier = { primary: 0, secondary: 0, spend_based: 0 };
+  for (const s of submissions) {
+    if (s.status === 'approved' && activeIds.has(String(s.supplierId))) byTier[s.dataQualityTier] += 1;
+  }
+
+  return {
+    totalSuppliers: active.length,
+    invited: invited.size,
+    responded: respondedInvited,
+    engaged: engaged.length,
+    pendingReview: submissions.filter(s => s.status === 'pending_review').length,
+    responseRatePct: pct(respondedInvited, invited.size),
+    engagementPct: pct(engaged.length, active.length),
+    spend: {
+      total: totalSpend,
+      engaged: engagedSpend,
+      engagedPct: pct(engagedSpend, totalSpend),
+    },
+    approvedByTier: byTier,
+  };
+}
+
+// ─── Registry ────────────────────────────────────────────────────────────────
+
+async function findScope3Detail(clientId, nodeId, scopeIdentifier) {
+  const active = await getActiveFlowchart(clientId);
+  const node = (active?.chart?.nodes || []).find(n => n.id === nodeId);
+  const scope = (node?.details?.scopeDetails || []).find(s => s.scopeIdentifier === scopeIdentifier);
+  if (!scope) throw httpError(`Scope ${scopeIdentifier} not found on node ${nodeId} in the active flowchart.`, 400);
+  if (scope.scopeType !== 'Scope 3') throw httpError('Supplier data can only be collected into a Scope 3 scope.', 400);
+  return scope;
+}
+
+async function createSupplier(clientId, body, user) {
+  if (!body.name) throw httpError('name is required.', 400);
+  if (body.scope3Mapping) {
+    const scope = await findScope3Detail(clientId, body.scope3Mapping.nodeId, body.scope3Mapping.scopeIdentifier);
+    body.scope3Mapping.categoryName = scope.categoryName || null;
+  }
+  return Supplier.create({
+    clientId,
+    name: body.name,
+    supplierCode: body.supplierCode || null,
+    country: body.country || null,
+    sector: body.sector || null,
+    contactName: body.contactName || '',
+    contactEmail: body.contactEmail || null,
+    annualSpend: body.annualSpend ?? null,
+    currency: body.currency || 'INR',
+    scope3Mapping: body.scope3Mapping || null,
+    createdBy: user._id,
+  });
+}
+
+async function updateSupplier(clientId, supplierId, body, user) {
+  const supplier = await Supplier.findOne({ _id: supplierId, clientId, isDeleted: false });
+  if (!supplier) throw httpError('Supplier not found.', 404);
+
+  const editable = ['name', 'supplierCode', 'country', 'sector', 'contactName', 'contactEmail', 'annualSpend', 'currency', 'status'];
+  for (const k of editable) if (body[k] !== undefined) supplier[k] = body[k];
+  if (body.scope3Mapping !== undefined) {
+    if (body.scope3Mapping) {
+      const scope = await findScope3Detail(clientId, body.scope3Mapping.nodeId, body.scope3Mapping.scopeIdentifier);
+      body.scope3Mapping.categoryName = scope.categoryName || null;
+    }
+    supplier.scope3Mapping = body.scope3Mapping || null;
+  }
+  supplier.updatedBy = user._id;
+  return supplier.save();
+}
+
+async function deleteSupplier(clientId, supplierId, user) {
+  const supplier = await Supplier.findOneAndUpdate(
+    { _id: supplierId, clientId, isDeleted: false },
+    { $set: { isDeleted: true, status: 'inactive', updatedBy: user._id } },
+    { new: true }
+  );
+  if (!supplier) throw httpError('Supplier not found.', 404);
+  await SupplierInvitation.updateMany(
+    { supplierId: supplier._id, status: { $in: ['pending', 'opened', 'submitted'] } },
+    { $set: { status: 'revoked' } }
+  );
+  return supplier;
+}
+
+async function listSuppliers(clientId, { status } = {}) {
+  const query = { clientId, isDeleted: false };
+  if (status) query.status = status;
+  return Supplier.find(query).sort({ name: 1 }).lean();
+}
+
+// ─── Invitations ─────────────────────────────────────────────────────────────
+
+/**
+ * Create one invitation per supplier. Returns the plaintext tokens — they are
+ * not stored and cannot be recovered later.
+ */
+async function createInvitations(clientId, body, user) {
+  const { supplierIds, reportingYear, linkExpiryDays = 30, message = null } = body;
+  if (!Array.isArray(supplierIds) || !supplierIds.length || !reportingYear) {
+    throw httpError('supplierIds[] and reportingYear are required.', 400);
+  }
+
+  const suppliers = await Supplier.find({
+    _id: { $in: supplierIds }, clientId, isDeleted: false, status: 'active',
+  }).lean();
+  if (suppliers.length !== supplierIds.length) {
+    throw httpError('One or more suppliers were not found or are inactive.', 404);
+  }
+
+  const created = [];
+  const skipped = [];
+  for (const supplier of suppliers) {
+    const mapping = body.nodeId && body.scopeIdentifier
+      ? { nodeId: body.nodeId, scopeIdentifier: body.scopeIdentifier }
+      : supplier.scope3Mapping;
+    if (!mapping) {
+      skipped.push({ supplierId: supplier._id, reason: 'No Scope 3 node given and no default mapping on the supplier.' });
+      continue;
+    }
+    const scope = await findScope3Detail(clientId, mapping.nodeId, mapping.scopeIdentifier);
+
+    const token = generateSurveyToken();
+    const invitation = await SupplierInvitation.create({
+      clientId,
+      supplierId: supplier._id,
+      reportingYear: Number(reportingYear),
+      nodeId: mapping.nodeId,
+      scopeIdentifier: mapping.scopeIdentifier,
+      categoryName: scope.categoryName || null,
+      tokenHash: await hashToken(token),
+      tokenPrefix: tokenPrefix(token),
+      expiresAt: calculateLinkExpiry(Number(linkExpiryDays) || 30),
+      sentAt: new Date(),
+      message,
+      createdBy: user._id,
+    });
+
+    created.push({
+      invitationId: invitation._id,
+      supplierId: supplier._id,
+      supplierName: supplier.name,
+      contactEmail: supplier.contactEmail,
+      token,
+      expiresAt: invitation.expiresAt,
+    });
+  }
+
+  return { created, skipped };
+}
+
+async function revokeInvitation(clientId, invitationId) {
+  const inv = await SupplierInvitation.findOneAndUpdate(
+    { _id: invitationId, clientId },
+    { $set: { status: 'revoked' } },
+    { new: true }
+  ).select('-tokenHash');
+  if (!inv) throw httpError('Invitation not found.', 404);
+  return inv;
+}
+
+async function listInvitations(clientId, { reportingYear, supplierId } = {}) {
+  const query = { clientId };
+  if (reportingYear) query.reportingYear = Number(reportingYear);
+  if (supplierId) query.supplierId = supplierId;
+  return SupplierInvitation.find(query)
+    .select('-tokenHash')
+    .populate('supplierId', 'name supplierCode contactEmail')
+    .sort({ createdAt: -1 })
+    .lean();
+}
+
+/**
+ * Resolve a plaintext token to its invitation. Expired links are marked and rejected.
+ */
+async function findInvitationByToken(token) {
+  if (!token) throw httpError('Token is required.', 400);
+  const candidates = await SupplierInvitation.find({
+    tokenPrefix: tokenPrefix(token),
+    status: { $in: ['pending', 'opened', 'submitted'] },
+  });
+
+  let matched = null;
+  for (const c of candidates) {
+    if (await verifyToken(token, c.tokenHash)) { matched = c; break; }
+  }
+  if (!matched) throw httpError('Invitation link not found or no longer valid.', 404);
+
+  if (isSurveyLinkExpired(matched)) {
+    matched.status = 'expired';
+    await matched.save();
+    throw httpError('This invitation link has expired.', 410);
+  }
+  return matched;
+}
+
+async function resolveInvitation(token) {
+  const inv = await findInvitationByToken(token);
+  if (inv.status === 'pending') {
+    inv.status = 'opened';
+    inv.openedAt = new Date();
+    await inv.save();
+  }
+
+  const [supplier, submissions] = await Promise.all([
+    Supplier.findById(inv.supplierId).select('name supplierCode contactName').lean(),
+    SupplierSubmission.find({ invitationId: inv._id })
+      .select('submissionType dataQualityTier status reviewComment calculatedKgCO2e createdAt')
+      .sort({ createdAt: -1 })
+      .lean(),
+  ]);
+
+  return {
+    supplier,
+    reportingYear: inv.reportingYear,
+    categoryName: inv.categoryName,
+    message: inv.message,
+    expiresAt: inv.expiresAt,
+    submissionTypes: SUBMISSION_TYPES,
+    allowedTiers: ALLOWED_TIERS,
+    submissions,
+  };
+}
+
+async function submitViaToken(token, body) {
+  const inv = await findInvitationByToken(token);
+  const { errors, value } = validateSubmission(body, inv.reportingYear);
+  if (errors.length) {
+    const e = httpError('Validation failed.', 422);
+    e.errors = errors;
+    throw e;
+  }
+
+  const submission = await SupplierSubmission.create({
+    ...value,
+    clientId: inv.clientId,
+    supplierId: inv.supplierId,
+    invitationId: inv._id,
+    reportingYear: inv.reportingYear,
+    nodeId: inv.nodeId,
+    scopeIdentifier: inv.scopeIdentifier,
+    calculatedKgCO2e: calculateSupplierEmissions(value),
+  });
+
+  inv.status = 'submitted';
+  inv.submittedAt = new Date();
+  await inv.save();
+
+  return submission;
+}
+
+// ─── Review ──────────────────────────────────────────────────────────────────
+
+async function listSubmissions(clientId, { reportingYear, status, supplierId } = {}) {
+  const query = { clientId };
+  if (reportingYear) query.reportingYear = Number(reportingYear);
+  if (status) query.status = status;
+  if (supplierId) query.supplierId = supplierId;
+  return SupplierSubmission.find(query)
+    .populate('supplierId', 'name supplierCode')
+    .sort({ createdAt: -1 })
+    .lean();
+}
+
+async function writeDataEntry(submission, scope, user) {
+  const end = moment.utc(submission.periodEnd);
+  const base = {
+    clientId: submission.clientId,
+    nodeId: submission.nodeId,
+    scopeIdentifier: submission.scopeIdentifier,
+    scopeType: 'Scope 3',
+    inputType: 'manual',
+    approvalStatus: 'approved',
+    approvedBy: user._id,
+    approvedAt: new Date(),
+    sourceDetails: { uploadedBy: user._id, dataSource: DATA_SOURCE },
+    notes: `Supplier submission ${submission._id} (${submission.submissionType}, ${submission.dataQualityTier})`,
+  };
+
+  if (submission.submissionType === 'spend') {
+    // Regular manual entry — the node's tier 1 factor prices the spend. Its
+    // _id was reserved on the submission, so an approval retried after a
+    // crash finds the entry instead of counting the spend twice.
+    const existing = await DataEntry.findById(submission.dataEntryId);
+    if (existing) return existing;
+
+    const entry = new DataEntry({
+      _id: submission.dataEntryId,
+      ...base,
+      date: end.format('DD/MM/YYYY'),
+      time: '00:00:00',
+      timestamp: end.toDate(),
+      dataValues: new Map([['procurementSpend', submission.spendAmount]]),
+      processingStatus: 'pending',
+    });
+    await entry.save();
+    await triggerEmissionCalculation(entry);
+    return entry;
+  }
+
+  const kg = submission.calculatedKgCO2e || 0;
+  const externalId = `supplier_submission_${submission._id}`;
+  const entry = await DataEntry.findOneAndUpdate(
+    { clientId: submission.clientId, nodeId: submission.nodeId, scopeIdentifier: submission.scopeIdentifier, isSummary: true, externalId },
+    {
+      $set: {
+        ...base,
+        isSummary: true,
+        externalId,
+        timestamp: end.toDate(),
+        date: end.format('DD/MM/YYYY'),
+        summaryPeriod: { year: end.year(), month: end.month() + 1 },
+        dataValues: new Map([['supplierSpecificKgCO2e', kg]]),
+        'emissionsSummary.totalCO2e': kg,
+        'emissionsSummary.unit': 'kgCO2e',
+        // calculatedEmissions.incoming is what extractEmissionValues() reads
+        'calculatedEmissions.incoming': { supplier_specific: { CO2e: kg, emission: kg } },
+        // Product footprints are supplier-specific; an allocated share of the
+        // supplier's Scope 1+2 is the GHG Protocol hybrid method
+        scope3Methods: buildLineResult({
+          method: submission.submissionType === 'scope12_allocation' ? 'hybrid' : 'supplier_specific',
+          CO2e: kg,
+          methodConfig: scope.scope3Method || {},
+        }),
+        calculationBreakdown: {
+          supplierSpecific: {
+            category: scope.categoryName || null,
+            submissionType: submission.submissionType,
+            dataQualityTier: submission.dataQualityTier,
+            totalKgCO2e: kg,
+          },
+        },
+        processingStatus: 'processed',
+        emissionCalculationStatus: 'completed',
+        emissionCalculatedAt: new Date(),
+        lastCalculated: new Date(),
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  await updateSummariesOnDataChange(entry);
+  return entry;
+}
+
+// 404 / 409 / 400 for a submission that could not be claimed for review
+async function notReviewable(clientId, submissionId) {
+  const current = await SupplierSubmission.findOne({ _id: submissionId, clientId }).select('status').lean();
+  if (!current) return httpError('Submission not found.', 404);
+  if (current.status === 'approving') return httpError('Submission is already being approved.', 409);
+  return httpError(`Submission is already ${current.status}.`, 400);
+}
+
+/**
+ * Claim a pending submission for approval (or one whose approval died), so
+ * two reviewers approving at once cannot both write a DataEntry. The entry's
+ * _id is reserved on the first claim and kept on later ones.
+ */
+async function claimForApproval(clientId, submissionId) {
+  return SupplierSubmission.findOneAndUpdate(
+    {
+      _id: submissionId,
+      clientId,
+      $or: [
+        { status: 'pending_review' },
+        { status: 'approving', updatedAt: { $lt: new Date(Date.now() - APPROVAL_TIMEOUT_MS) } },
+      ],
+    },
+    [{
+      $set: {
+        status: 'approving',
+        updatedAt: '$$NOW',
+        dataEntryId: { $ifNull: ['$dataEntryId', new mongoose.Types.ObjectId()] },
+      },
+    }],
+    { new: true }
+  );
+}
+
+async function approveSubmission(clientId, submissionId, user, comment = null) {
+  const submission = await claimForApproval(clientId, submissionId);
+  if (!submission) throw await notReviewable(clientId, submissionId);
+
+  let entry;
+  try {
+    const scope = await findScope3Detail(clientId, submission.nodeId, submission.scopeIdentifier);
+    if (submission.submissionType === 'spend') {
+      if (scope.calculationModel !== 'tier 1' || !SPEND_CATEGORIES.has(scope.categoryName)) {
+        throw httpError('Spend data can only be approved into a tier 1 Purchased Goods and Services or Capital Goods scope.', 422);
+      }
+    }
+
+    entry = await writeDataEntry(submission, scope, user);
+
+    submission.status = 'approved';
+    submission.reviewedBy = user._id;
+    submission.reviewedAt = new Date();
+    submission.reviewComment = comment;
+    submission.dataEntryId = entry._id;
+    await submission.save();
+  } catch (err) {
+    // back to the review queue; the reserved dataEntryId stays for the retry
+    await SupplierSubmission.updateOne({ _id: submission._id, status: 'approving' }, { $set: { status: 'pending_review' } });
+    throw err;
+  }
+
+  const engagement = await syncEngagementMetrics(clientId, submission.reportingYear, user);
+  return { submission, dataEntryId: entry._id, engagement };
+}
+
+async function rejectSubmission(clientId, submissionId, user, comment) {
+  if (!comment) throw httpError('A comment is required when rejecting a submission.', 400);
+  const submission = await SupplierSubmission.findOneAndUpdate(
+    { _id: submissionId, clientId, status: 'pending_review' },
+    { $set: { status: 'rejected', reviewedBy: user._id, reviewedAt: new Date(), reviewComment: comment } },
+    { new: true }
+  );
+  if (!submission) throw await notReviewable(clientId, submissionId);
+  return submission;
+}
+
+// ─── Response rates / M3 engagement ──────────────────────────────────────────
+
+async function getResponseRates(clientId, reportingYear) {
+  const year = Number(reportingYear);
+  const [suppliers, invitations, submissions] = await Promise.all([
+    Supplier.find({ clientId, isDeleted: false }).lean(),
+    SupplierInvitation.find({ clientId, reportingYear: year }).select('supplierId status').lean(),
+    SupplierSubmission.find({ clientId, reportingYear: year }).select('supplierId status dataQualityTier').lean(),
+  ]);
+  return { reportingYear: year, ...computeResponseRates(suppliers, invitations, submissions) };
+}
+
+/**
+ * Write the year's engagement into AnnualMetricRecord for every
+ * Supplier_Engagement_Tracking target of the client. The record's pre-save
+ * hook derives supplier_engagement_pct (count first, spend as fallback).
+ */
+async function syncEngagementMetrics(clientId, reportingYear, user = null) {
+  const rates = await getResponseRates(clientId, reportingYear);
+  const targets = await TargetMaster.find({
+    clientId,
+    method_name: MethodName.Supplier_Engagement_Tracking,
+    isDeleted: false,
+  }).select('_id').lean();
+
+  for (const t of targets) {
+    let rec = await AnnualMetricRecord.findOne({ target_id: t._id, calendar_year: rates.reportingYear });
+    if (!rec) {
+      rec = new AnnualMetricRecord({
+        clientId,
+        target_id: t._id,
+        calendar_year: rates.reportingYear,
+        created_by: user?._id || null,
+      });
+    }
+    rec.supplier_engaged_count = rates.engaged;
+    rec.supplier_total_count = rates.totalSuppliers;
+    rec.supplier_engaged_spend = rates.spend.engaged;
+    rec.supplier_total_spend = rates.spend.total;
+    rec.source_system = SourceSystem.SUPPLIER_PORTAL;
+    rec.updated_by = user?._id || null;
+    await rec.save();
+  }
+
+  return { ...rates, targetsUpdated: targets.length };
+}
+
+module.exports = {
+  SUBMISSION_TYPES,
+  ALLOWED_TIERS,
+  validateSubmission,
+  calculateSupplierEmissions,
+  computeResponseRates,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  listSuppliers,
+  createInvitations,
+  revokeInvitation,
+  listInvitations,
+  resolveInvitation,
+  submitViaToken,
+  listSubmissions,
+  approveSubmission,
+  rejectSubmission,
+  getResponseRates,
+  syncEngagementMetrics,
+};
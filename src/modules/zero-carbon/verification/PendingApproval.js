@@ -4,8 +4,14 @@ const mongoose = require("mongoose");
 /**
  * PendingApproval
  * Holds DataEntry or NetReductionEntry data that was intercepted by the
- * threshold verification layer because the incoming value deviated beyond
- * the configured threshold percentage.
+ * threshold verification layer because the configured detection method
+ * (percentage band, z-score, MAD, IQR or seasonal) flagged the incoming value.
+ * verificationMeta records the method, expected range and observed value.
+ *
+ * OCR / CSV uploads that look like a document already saved for the same
+ * node/scope/period are held here too (reviewReason "duplicate");
+ * duplicateMeta then carries the matches and a side-by-side comparison
+ * (see duplicateDetectionService).
  *
  * The original payload is stored here so it can be replayed when approved.
  * Nothing is written to DataEntry or NetReductionEntry until consultant_admin approves.
@@ -18,7 +24,18 @@ const VerificationMetaSchema = new mongoose.Schema(
     thresholdPercentage: { type: Number },
     sampleCount: { type: Number },
     frequency: { type: String },
-    anomalyReason: { type: String }
+    anomalyReason: { type: String },
+
+    // Which detector fired and what it expected (see anomalyDetectionService)
+    detectionMethod: { type: String },
+    observedValue: { type: Number },
+    expectedValue: { type: Number },
+    expectedRangeLow: { type: Number },
+    expectedRangeHigh: { type: Number },
+    score: { type: Number },
+    scoreThreshold: { type: Number },
+    baselinePeriodFrom: { type: Date },
+    baselinePeriodTo: { type: Date }
   },
   { _id: false }
 );
@@ -57,6 +74,14 @@ const PendingApprovalSchema = new mongoose.Schema(
 
     inputType: { type: String },
 
+    // Why the entry was held: anomalous value or suspected duplicate upload
+    reviewReason: {
+      type: String,
+      enum: ["anomaly", "duplicate"],
+      default: "anomaly",
+      index: true
+    },
+
     // Full normalized payload needed to replay the save on approval
     originalPayload: {
       type: mongoose.Schema.Types.Mixed
@@ -67,6 +92,11 @@ const PendingApprovalSchema = new mongoose.Schema(
       type: VerificationMetaSchema
     },
 
+    // Suspected duplicate: { matchType, reason, matches, comparisons }
+    duplicateMeta: {
+      type: mongoose.Schema.Types.Mixed
+    },
+
     // Who submitted the original entry
     submittedBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -113,4 +143,36 @@ const PendingApprovalSchema = new mongoose.Schema(
 PendingApprovalSchema.index({ clientId: 1, status: 1 });
 PendingApprovalSchema.index({ clientId: 1, flowType: 1, status: 1 });
 
+// Outbound webhooks: approval.raised / approved / rejected.
+// "approved" fires once the replayed entry exists (finalizedEntryId set), so a
+// failed replay that rolls back to Pending_Approval never announces approval.
+require("../../../common/services/webhook/webhookHooks").attachWebhookHooks(PendingApprovalSchema, {
+  events: (doc) => {
+    if (doc.isNew) return ["approval.raised"];
+    if (doc.status === "Approved" && doc.isModified("finalizedEntryId") && doc.finalizedEntryId) return ["approval.approved"];
+    if (doc.status === "Rejected" && doc.isModified("status")) return ["approval.rejected"];
+    return [];
+  },
+  payload: (doc) => ({
+    pendingApprovalId: doc._id,
+    flowType: doc.flowType,
+    status: doc.status,
+    nodeId: doc.nodeId,
+    scopeIdentifier: doc.scopeIdentifier,
+    projectId: doc.projectId,
+    calculationMethodology: doc.calculationMethodology,
+    inputType: doc.inputType,
+    reviewReason: doc.reviewReason,
+    duplicateMatchType: doc.duplicateMeta?.matchType,
+    detectionMethod: doc.verificationMeta?.detectionMethod,
+    observedValue: doc.verificationMeta?.observedValue,
+    expectedRangeLow: doc.verificationMeta?.expectedRangeLow,
+    expectedRangeHigh: doc.verificationMeta?.expectedRangeHigh,
+    reviewedAt: doc.reviewedAt,
+    rejectionReason: doc.rejectionReason,
+    finalizedEntryId: doc.finalizedEntryId,
+    finalizedCollection: doc.finalizedCollection
+  })
+});
+
 module.exports = mongoose.model("PendingApproval", PendingApprovalSchema);
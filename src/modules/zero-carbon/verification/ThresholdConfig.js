@@ -7,9 +7,18 @@ const mongoose = require("mongoose");
  * Configured by consultant_admin per client+scopeIdentifier (DataEntry)
  * or per client+projectId (NetReduction).
  *
- * When isActive=true and incoming data deviates from the historical daily-normalized
- * average by more than thresholdPercentage%, the entry is intercepted and held
- * in PendingApproval for consultant_admin review before being finalized.
+ * When isActive=true and incoming data is flagged by the configured
+ * detectionMethod, the entry is intercepted and held in PendingApproval for
+ * consultant_admin review before being finalized.
+ *
+ * detectionMethod (see services/anomalyDetectionService.js):
+ *   percentage — deviates from the daily-normalized average of the last
+ *                baselineSampleSize entries by more than thresholdPercentage% (default)
+ *   zscore     — more than zScoreThreshold standard deviations from that rolling mean
+ *   mad        — modified z-score against the rolling median above madThreshold
+ *   iqr        — outside [Q1 − iqrMultiplier·IQR, Q3 + iqrMultiplier·IQR]
+ *   seasonal   — deviates by more than thresholdPercentage% from the same
+ *                period last year (± seasonalWindowDays)
  */
 const ThresholdConfigSchema = new mongoose.Schema(
   {
@@ -48,6 +57,46 @@ const ThresholdConfigSchema = new mongoose.Schema(
       max: 10000
     },
 
+    // Which anomaly model to apply (thresholdPercentage is also the fallback
+    // band when the baseline has no spread for zscore / mad / iqr)
+    detectionMethod: {
+      type: String,
+      enum: ["percentage", "zscore", "mad", "iqr", "seasonal"],
+      default: "percentage"
+    },
+
+    // zscore: flag when |z| exceeds this many standard deviations
+    zScoreThreshold: {
+      type: Number,
+      default: 3,
+      min: 0.5,
+      max: 10
+    },
+
+    // mad: flag when the modified z-score exceeds this value
+    madThreshold: {
+      type: Number,
+      default: 3.5,
+      min: 0.5,
+      max: 20
+    },
+
+    // iqr: fence multiplier k (1.5 = standard outlier fence, 3 = extreme)
+    iqrMultiplier: {
+      type: Number,
+      default: 1.5,
+      min: 0.5,
+      max: 10
+    },
+
+    // seasonal: half-width in days of the same-period-last-year window
+    seasonalWindowDays: {
+      type: Number,
+      default: 15,
+      min: 1,
+      max: 90
+    },
+
     // Whether this config is currently active
     isActive: {
       type: Boolean,
@@ -0,0 +1,235 @@
+// services/verification/anomalyDetectionService.js
+
+/**
+ * Statistical anomaly detectors used by thresholdVerificationService.
+ *
+ * Every detector is pure: it receives the daily-normalized incoming value and
+ * the daily-normalized baseline samples, and returns the same result shape so
+ * the caller can store a uniform explanation in PendingApproval:
+ *
+ *   {
+ *     isAnomaly,                     // true → hold for approval
+ *     detectionMethod,               // 'percentage' | 'zscore' | 'mad' | 'iqr' | 'seasonal'
+ *     observedValue,                 // incoming daily value
+ *     expectedValue,                 // centre of the baseline (mean / median / last-year mean)
+ *     expectedRange: { low, high },  // values inside this band pass
+ *     score, scoreThreshold,         // method statistic and the configured limit
+ *     deviationPercentage,           // |observed - expected| / expected × 100 (null when expected = 0)
+ *     explanation                    // human-readable sentence
+ *   }
+ *
+ * Methods:
+ *   percentage — legacy flat band: ± thresholdPercentage around the mean
+ *   zscore     — |x − mean| / stdDev > zScoreThreshold
+ *   mad        — modified z-score 0.6745·|x − median| / MAD > madThreshold (robust to outliers)
+ *   iqr        — outside [Q1 − k·IQR, Q3 + k·IQR], k = iqrMultiplier
+ *   seasonal   — ± thresholdPercentage around the same period last year
+ *
+ * When the baseline has no spread (stdDev / MAD / IQR = 0) the statistical
+ * methods cannot build a band, so they fall back to the percentage band and
+ * say so in the explanation.
+ */
+
+const DETECTION_METHODS = ["percentage", "zscore", "mad", "iqr", "seasonal"];
+
+const DEFAULTS = {
+  zScoreThreshold: 3,
+  madThreshold: 3.5,
+  iqrMultiplier: 1.5
+};
+
+// ─── Statistics helpers ──────────────────────────────────────────────────────
+
+function mean(values) {
+  return values.reduce((a, v) => a + v, 0) / values.length;
+}
+
+function stdDev(values) {
+  const m = mean(values);
+  return Math.sqrt(values.reduce((a, v) => a + (v - m) ** 2, 0) / values.length);
+}
+
+/**
+ * Linear-interpolated quantile (same as numpy's default).
+ * @param {number[]} values
+ * @param {number} q - 0..1
+ */
+function quantile(values, q) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function median(values) {
+  return quantile(values, 0.5);
+}
+
+const round4 = (n) => (Number.isFinite(n) ? parseFloat(n.toFixed(4)) : n);
+const fmt = (n) => Number(n).toFixed(4);
+
+function deviationPct(observed, expected) {
+  if (!expected) return null;
+  return round4((Math.abs(observed - expected) / Math.abs(expected)) * 100);
+}
+
+function result({ method, observed, expected, low, high, score = null, scoreThreshold = null, isAnomaly, explanation }) {
+  return {
+    isAnomaly,
+    detectionMethod: method,
+    observedValue: round4(observed),
+    expectedValue: round4(expected),
+    expectedRange: { low: round4(low), high: round4(high) },
+    score: score === null ? null : round4(score),
+    scoreThreshold,
+    deviationPercentage: deviationPct(observed, expected),
+    explanation
+  };
+}
+
+// ─── Detectors ───────────────────────────────────────────────────────────────
+
+function detectPercentage(observed, samples, { thresholdPercentage }, method = "percentage", label = "historical average") {
+  const expected = mean(samples);
+  const band = Math.abs(expected) * (thresholdPercentage / 100);
+  const low = expected - band;
+  const high = expected + band;
+  const isAnomaly = observed < low || observed > high;
+  const dev = deviationPct(observed, expected);
+
+  return result({
+    method,
+    observed,
+    expected,
+    low,
+    high,
+    score: dev,
+    scoreThreshold: thresholdPercentage,
+    isAnomaly,
+    explanation:
+      `Incoming daily value (${fmt(observed)}) deviates ${dev === null ? "n/a" : dev.toFixed(2)}% ` +
+      `from ${label} (${fmt(expected)}); allowed ±${thresholdPercentage}% → ` +
+      `expected range ${fmt(low)} – ${fmt(high)}`
+  });
+}
+
+function _flatFallback(method, observed, samples, config, statLabel) {
+  const r = detectPercentage(observed, samples, config, method);
+  r.explanation = `Baseline has no ${statLabel}; used ±${config.thresholdPercentage}% band instead. ` + r.explanation;
+  return r;
+}
+
+function detectZScore(observed, samples, config) {
+  const limit = config.zScoreThreshold ?? DEFAULTS.zScoreThreshold;
+  const m = mean(samples);
+  const sd = stdDev(samples);
+  if (sd === 0) return _flatFallback("zscore", observed, samples, config, "variance");
+
+  const z = (observed - m) / sd;
+  return result({
+    method: "zscore",
+    observed,
+    expected: m,
+    low: m - limit * sd,
+    high: m + limit * sd,
+    score: Math.abs(z),
+    scoreThreshold: limit,
+    isAnomaly: Math.abs(z) > limit,
+    explanation:
+      `Incoming daily value (${fmt(observed)}) is ${Math.abs(z).toFixed(2)} standard deviations ` +
+      `${z >= 0 ? "above" : "below"} the rolling mean (${fmt(m)}, σ=${fmt(sd)}, n=${samples.length}); ` +
+      `limit ${limit}σ → expected range ${fmt(m - limit * sd)} – ${fmt(m + limit * sd)}`
+  });
+}
+
+function detectMad(observed, samples, config) {
+  const limit = config.madThreshold ?? DEFAULTS.madThreshold;
+  const med = median(samples);
+  const mad = median(samples.map((v) => Math.abs(v - med)));
+  if (mad === 0) return _flatFallback("mad", observed, samples, config, "median absolute deviation");
+
+  // 0.6745 scales MAD to σ for normally distributed data (Iglewicz & Hoaglin)
+  const score = (0.6745 * Math.abs(observed - med)) / mad;
+  const halfWidth = (limit * mad) / 0.6745;
+  return result({
+    method: "mad",
+    observed,
+    expected: med,
+    low: med - halfWidth,
+    high: med + halfWidth,
+    score,
+    scoreThreshold: limit,
+    isAnomaly: score > limit,
+    explanation:
+      `Incoming daily value (${fmt(observed)}) has modified z-score ${score.toFixed(2)} ` +
+      `against the rolling median (${fmt(med)}, MAD=${fmt(mad)}, n=${samples.length}); ` +
+      `limit ${limit} → expected range ${fmt(med - halfWidth)} – ${fmt(med + halfWidth)}`
+  });
+}
+
+function detectIqr(observed, samples, config) {
+  const k = config.iqrMultiplier ?? DEFAULTS.iqrMultiplier;
+  const q1 = quantile(samples, 0.25);
+  const q3 = quantile(samples, 0.75);
+  const iqr = q3 - q1;
+  if (iqr === 0) return _flatFallback("iqr", observed, samples, config, "interquartile spread");
+
+  const low = q1 - k * iqr;
+  const high = q3 + k * iqr;
+  const distance = observed < low ? (low - observed) / iqr : observed > high ? (observed - high) / iqr : 0;
+  return result({
+    method: "iqr",
+    observed,
+    expected: median(samples),
+    low,
+    high,
+    score: distance,
+    scoreThreshold: k,
+    isAnomaly: observed < low || observed > high,
+    explanation:
+      `Incoming daily value (${fmt(observed)}) ${distance > 0 ? "falls outside" : "is within"} the IQR band ` +
+      `${fmt(low)} – ${fmt(high)} (Q1=${fmt(q1)}, Q3=${fmt(q3)}, k=${k}, n=${samples.length})`
+  });
+}
+
+function detectSeasonal(observed, samples, config, seasonalPeriod = null) {
+  const label = seasonalPeriod
+    ? `same period last year (${seasonalPeriod.from.toISOString().slice(0, 10)} – ${seasonalPeriod.to.toISOString().slice(0, 10)})`
+    : "same period last year";
+  return detectPercentage(observed, samples, config, "seasonal", label);
+}
+
+const DETECTORS = {
+  percentage: detectPercentage,
+  zscore: detectZScore,
+  mad: detectMad,
+  iqr: detectIqr,
+  seasonal: detectSeasonal
+};
+
+/**
+ * Run the configured detector.
+ *
+ * @param {string}   method          - one of DETECTION_METHODS (unknown → percentage)
+ * @param {number}   observed        - daily-normalized incoming value
+ * @param {number[]} samples         - daily-normalized baseline values (non-empty)
+ * @param {object}   config          - ThresholdConfig (thresholdPercentage, zScoreThreshold, …)
+ * @param {object}   [seasonalPeriod] - { from, to } baseline window for 'seasonal'
+ * @returns {object} detection result (see module header)
+ */
+function detectAnomaly(method, observed, samples, config, seasonalPeriod = null) {
+  if (method === "seasonal") return detectSeasonal(observed, samples, config, seasonalPeriod);
+  const detector = DETECTORS[method] || detectPercentage;
+  return detector(observed, samples, config);
+}
+
+module.exports = {
+  DETECTION_METHODS,
+  DEFAULTS,
+  detectAnomaly,
+  mean,
+  stdDev,
+  median,
+  quantile
+};
@@ -0,0 +1,377 @@
+// services/verification/duplicateDetectionService.js
+
+/**
+ * Duplicate and overlapping document detection for OCR and CSV uploads.
+ *
+ * Every uploaded entry carries a documentFingerprint (DataEntry top level —
+ * sourceDetails is encrypted and cannot be queried):
+ *
+ *   fileHash     sha256 of the uploaded file (bill image/PDF, CSV)
+ *   contentHash  sha256 of the normalised document identifiers: bill number
+ *                (with account number when known), else account number +
+ *                billing period — the same bill scanned twice or re-exported
+ *                as a different PDF still matches
+ *   rowHash      sha256 of timestamp + dataValues — the same CSV row again
+ *   batchId      entries saved from one upload (CSV rows, prorated bill
+ *                periods) never match each other
+ *   periodStart / periodEnd   billing period covered by the document
+ *
+ * Match types, strongest first:
+ *   file     same file already uploaded for this node/scope
+ *   content  same bill (identifiers) already uploaded
+ *   row      identical row (timestamp + values) already saved
+ *   overlap  an existing entry falls inside / covers the same billing period
+ *
+ * file/content/row matches are blocked (409) unless the uploader asks for
+ * review; overlaps always go to the PendingApproval queue, with a
+ * side-by-side comparison of the incoming and existing values.
+ *
+ * Uploads still held in PendingApproval count too (their fingerprint is in
+ * originalPayload), so a document re-uploaded while the first copy waits
+ * for review is caught before both are approved.
+ */
+
+const crypto = require("crypto");
+const DataEntry = require("../../organization/models/DataEntry");
+const PendingApproval = require("../PendingApproval");
+
+const EXACT_MATCH_TYPES = ["file", "content", "row"];
+const MAX_MATCHES = 20;
+
+/** Error thrown when a suspected duplicate is blocked. */
+class DuplicateEntryError extends Error {
+  constructor(message, duplicates) {
+    super(message);
+    this.name = "DuplicateEntryError";
+    this.code = "DUPLICATE_ENTRY";
+    this.status = 409;
+    this.duplicates = duplicates;
+  }
+}
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+/** sha256 of an uploaded file buffer (null without one). */
+function hashBuffer(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length ? sha256(buffer) : null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Document identifiers
+// ─────────────────────────────────────────────────────────────────────────────
+
+// OCR label → identifier. Checked in order; the first pair per identifier wins.
+const IDENTIFIER_LABELS = {
+  billNumber: /\b(?:bill|invoice|receipt)\s*(?:no|number|num|#|id)\b/i,
+  accountNumber: /\b(?:account|a\/c|acct|consumer|customer|ca|service\s+connection|connection|contract)\s*(?:no|number|num|#|id)\b|\b(?:consumer|account)\s*$/i,
+  meterNumber: /\bmeter\s*(?:no|number|serial|sl|#|id)\b/i
+};
+
+/**
+ * Upper-case alphanumerics of an identifier ('0012-345 678' → '0012345678');
+ * null when too short or without any digit to be an identifier.
+ */
+function normalizeIdentifier(value) {
+  if (value === null || value === undefined) return null;
+  const firstToken = String(value).trim().split(/\s{2,}|,|;/)[0];
+  const cleaned = firstToken.toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return cleaned.length >= 3 && /\d/.test(cleaned) ? cleaned : null;
+}
+
+/**
+ * Bill / account / meter numbers found among OCR extracted pairs.
+ * @param {Array<{ rawLabel, rawValue }>} pairs
+ * @returns {{ billNumber?, accountNumber?, meterNumber? }}
+ */
+function extractDocumentIdentifiers(pairs) {
+  const identifiers = {};
+  for (const pair of pairs || []) {
+    const label = String(pair.rawLabel || "").trim();
+    for (const [key, re] of Object.entries(IDENTIFIER_LABELS)) {
+      if (identifiers[key] || !re.test(label)) continue;
+      const value = normalizeIdentifier(pair.rawValue);
+      if (value) identifiers[key] = value;
+      break;
+    }
+  }
+  return identifiers;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Fingerprints
+// ─────────────────────────────────────────────────────────────────────────────
+
+const isoDay = (value) => {
+  if (!value) return null;
+  const d = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+};
+
+/**
+ * Content hash of a document from its identifiers and billing period; null
+ * when there is not enough to tell two bills apart.
+ *
+ * @param {object} identifiers  extractDocumentIdentifiers() output (or user-corrected)
+ * @param {{ start, end }} [period]
+ */
+function contentFingerprint(identifiers = {}, period = null) {
+  const bill = normalizeIdentifier(identifiers.billNumber);
+  const account = normalizeIdentifier(identifiers.accountNumber);
+  if (bill) return sha256(`bill|${account || ""}|${bill}`);
+
+  const start = isoDay(period?.start);
+  const end = isoDay(period?.end);
+  if (account && start && end) return sha256(`account|${account}|${start}|${end}`);
+  return null;
+}
+
+/** Hash of an entry's timestamp and numeric values (key order independent). */
+function rowFingerprint(timestamp, dataValues) {
+  const ts = timestamp instanceof Date ? timestamp.toISOString() : String(timestamp || "");
+  const entries = dataValues instanceof Map ? [...dataValues.entries()] : Object.entries(dataValues || {});
+  const values = entries
+    .filter(([, v]) => v !== null && v !== "" && Number.isFinite(Number(v)))
+    .map(([k, v]) => `${k}=${Number(v)}`)
+    .sort();
+  return values.length ? sha256(`row|${ts}|${values.join("&")}`) : null;
+}
+
+/**
+ * documentFingerprint stored on a DataEntry.
+ * @returns {object|null} null when nothing identifies the source
+ */
+function buildFingerprint({ fileHash = null, contentHash = null, rowHash = null, batchId = null, period = null } = {}) {
+  const fingerprint = {
+    ...(fileHash ? { fileHash } : {}),
+    ...(contentHash ? { contentHash } : {}),
+    ...(rowHash ? { rowHash } : {}),
+    ...(batchId ? { batchId } : {}),
+    ...(period?.start && period?.end
+      ? { periodStart: new Date(`${isoDay(period.start)}T00:00:00.000Z`), periodEnd: new Date(`${isoDay(period.end)}T23:59:59.999Z`) }
+      : {})
+  };
+  return Object.keys(fingerprint).length ? fingerprint : null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Matching
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Strongest reason an existing entry matches the incoming fingerprint.
+ * @returns {'file'|'content'|'row'|'overlap'|null}
+ */
+function classifyMatch(fingerprint, existing, at = null) {
+  const other = existing?.documentFingerprint || {};
+  if (fingerprint.batchId && other.batchId === fingerprint.batchId) return null;
+  if (fingerprint.fileHash && other.fileHash === fingerprint.fileHash) return "file";
+  if (fingerprint.contentHash && other.contentHash === fingerprint.contentHash) return "content";
+  if (fingerprint.rowHash && other.rowHash === fingerprint.rowHash) return "row";
+
+  const start = fingerprint.periodStart || at;
+  const end = fingerprint.periodEnd || at;
+  if (!start || !end) return null;
+  if (other.periodStart && other.periodEnd) {
+    return new Date(other.periodStart) <= end && new Date(other.periodEnd) >= start ? "overlap" : null;
+  }
+  // Point entries count only against an incoming period
+  const ts = existing?.timestamp ? new Date(existing.timestamp) : null;
+  return fingerprint.periodStart && ts && ts >= start && ts <= end ? "overlap" : null;
+}
+
+/**
+ * What to do with an upload given its matches.
+ * @param {Array<{ matchType }>} matches
+ * @param {'block'|'review'} [requested]  uploader's choice for exact matches
+ * @returns {'block'|'review'|null}
+ */
+function duplicateAction(matches, requested = "block") {
+  if (!matches || matches.length === 0) return null;
+  const exact = matches.some((m) => EXACT_MATCH_TYPES.includes(m.matchType));
+  if (!exact) return "review";
+  return requested === "review" ? "review" : "block";
+}
+
+const plainValues = (dataValues) =>
+  dataValues instanceof Map ? Object.fromEntries(dataValues) : { ...(dataValues || {}) };
+
+/**
+ * A held dataEntry PendingApproval in the shape of the DataEntry it would
+ * become, so it can be classified and compared like one.
+ */
+function pendingAsEntry(record) {
+  const payload = record.originalPayload || {};
+  return {
+    _id: record._id,
+    pendingApprovalId: record._id,
+    inputType: payload.inputType || record.inputType,
+    date: payload.date,
+    time: payload.time,
+    timestamp: payload.timestamp ? new Date(payload.timestamp) : null,
+    dataValues: payload.dataValues,
+    sourceDetails: payload.sourceDetails,
+    documentFingerprint: payload.documentFingerprint,
+    createdAt: record.createdAt
+  };
+}
+
+function summarizeExisting(entry) {
+  const fp = entry.documentFingerprint || {};
+  return {
+    dataEntryId: entry.pendingApprovalId ? null : entry._id,
+    pendingApprovalId: entry.pendingApprovalId || null,
+    inputType: entry.inputType,
+    date: entry.date,
+    time: entry.time,
+    timestamp: entry.timestamp,
+    period: fp.periodStart ? { start: isoDay(fp.periodStart), end: isoDay(fp.periodEnd) } : null,
+    fileName: entry.sourceDetails?.fileName || null,
+    dataValues: plainValues(entry.dataValues),
+    createdAt: entry.createdAt
+  };
+}
+
+/**
+ * Side-by-side view of an incoming entry and one it may duplicate.
+ *
+ * @param {object} incoming  { date, time, period, fileName, inputType, dataValues }
+ * @param {object} existing  DataEntry (lean)
+ * @param {string} matchType
+ */
+function buildComparison(incoming, existing, matchType) {
+  const a = plainValues(incoming.dataValues);
+  const ex = summarizeExisting(existing);
+  const fields = [...new Set([...Object.keys(a), ...Object.keys(ex.dataValues)])].map((field) => {
+    const inc = Number.isFinite(Number(a[field])) ? Number(a[field]) : null;
+    const old = Number.isFinite(Number(ex.dataValues[field])) ? Number(ex.dataValues[field]) : null;
+    return { field, incoming: inc, existing: old, difference: inc !== null && old !== null ? inc - old : null };
+  });
+
+  return {
+    matchType,
+    incoming: {
+      inputType: incoming.inputType || null,
+      date: incoming.date || null,
+      time: incoming.time || null,
+      period: incoming.period ? { start: isoDay(incoming.period.start), end: isoDay(incoming.period.end) } : null,
+      fileName: incoming.fileName || null,
+      dataValues: a
+    },
+    existing: ex,
+    fields
+  };
+}
+
+/**
+ * Mongo $or clauses selecting candidates for a fingerprint; `prefix` is the
+ * path the candidate's fingerprint / timestamp live under.
+ */
+function candidateClauses(fingerprint, at, prefix = "") {
+  const or = [];
+  for (const key of ["fileHash", "contentHash", "rowHash"]) {
+    if (fingerprint[key]) or.push({ [`${prefix}documentFingerprint.${key}`]: fingerprint[key] });
+  }
+  const start = fingerprint.periodStart || at;
+  const end = fingerprint.periodEnd || at;
+  if (start && end) {
+    or.push({ [`${prefix}documentFingerprint.periodStart`]: { $lte: end }, [`${prefix}documentFingerprint.periodEnd`]: { $gte: start } });
+    if (fingerprint.periodStart) or.push({ [`${prefix}timestamp`]: { $gte: start, $lte: end } });
+  }
+  return or;
+}
+
+/**
+ * Existing entries of a node/scope that the incoming fingerprint may
+ * duplicate, including uploads still held in PendingApproval (those come back
+ * as pendingAsEntry() objects with a pendingApprovalId).
+ *
+ * @param {object} params
+ * @param {string} params.clientId
+ * @param {string} params.nodeId
+ * @param {string} params.scopeIdentifier
+ * @param {object} params.fingerprint  buildFingerprint() output
+ * @param {Date}   [params.timestamp]  entry time, for point uploads without a period
+ * @param {boolean} [params.includePending=true]  also search open PendingApprovals
+ * @returns {Promise<Array<{ matchType, entry }>>} strongest matches first
+ */
+async function findDuplicates({ clientId, nodeId, scopeIdentifier, fingerprint, timestamp = null, includePending = true }) {
+  if (!fingerprint) return [];
+  const at = timestamp ? new Date(timestamp) : null;
+
+  const or = candidateClauses(fingerprint, at);
+  if (or.length === 0) return [];
+
+  const [entries, pending] = await Promise.all([
+    DataEntry.find({
+      clientId,
+      nodeId,
+      scopeIdentifier,
+      isSummary: { $ne: true },
+      ...(fingerprint.batchId ? { "documentFingerprint.batchId": { $ne: fingerprint.batchId } } : {}),
+      $or: or
+    })
+      .sort({ timestamp: -1 })
+      .limit(MAX_MATCHES * 2)
+      .lean(),
+    includePending
+      ? PendingApproval.find({
+          flowType: "dataEntry",
+          clientId,
+          nodeId,
+          scopeIdentifier,
+          status: "Pending_Approval",
+          ...(fingerprint.batchId ? { "originalPayload.documentFingerprint.batchId": { $ne: fingerprint.batchId } } : {}),
+          $or: candidateClauses(fingerprint, at, "originalPayload.")
+        })
+          .sort({ createdAt: -1 })
+          .limit(MAX_MATCHES)
+          .lean()
+      : []
+  ]);
+
+  const candidates = [...entries, ...pending.map(pendingAsEntry)];
+  const rank = (t) => ["file", "content", "row", "overlap"].indexOf(t);
+  return candidates
+    .map((entry) => ({ matchType: classifyMatch(fingerprint, entry, at), entry }))
+    .filter((m) => m.matchType)
+    .sort((x, y) => rank(x.matchType) - rank(y.matchType))
+    .slice(0, MAX_MATCHES);
+}
+
+/**
+ * duplicateMeta stored on a PendingApproval / returned with a 409.
+ * @param {Array<{ matchType, entry }>} matches
+ * @param {object} incoming  see buildComparison
+ */
+function buildDuplicateMeta(matches, incoming) {
+  const counts = {};
+  for (const { matchType } of matches) counts[matchType] = (counts[matchType] || 0) + 1;
+  const reason = Object.entries(counts)
+    .map(([type, n]) => `${n} ${type} match${n > 1 ? "es" : ""}`)
+    .join(", ");
+
+  return {
+    matchType: matches[0]?.matchType || null,
+    reason: `Suspected duplicate: ${reason}`,
+    matches: matches.map(({ matchType, entry }) => (entry.pendingApprovalId
+      ? { matchType, pendingApprovalId: entry.pendingApprovalId }
+      : { matchType, dataEntryId: entry._id })),
+    comparisons: matches.slice(0, 5).map(({ matchType, entry }) => buildComparison(incoming, entry, matchType))
+  };
+}
+
+module.exports = {
+  DuplicateEntryError,
+  hashBuffer,
+  normalizeIdentifier,
+  extractDocumentIdentifiers,
+  contentFingerprint,
+  rowFingerprint,
+  buildFingerprint,
+  classifyMatch,
+  duplicateAction,
+  buildComparison,
+  buildDuplicateMeta,
+  pendingAsEntry,
+  findDuplicates
+};
@@ -30,6 +30,23 @@ async function getDataEntryFrequency(clientId, nodeId, scopeIdentifier) {
   }
 }
 
+/**
+ * The comparison window one year before `referenceDate`, ± windowDays.
+ *
+ * @param {Date} referenceDate
+ * @param {number} windowDays
+ * @returns {{from: Date, to: Date}}
+ */
+function getLastYearPeriod(referenceDate, windowDays) {
+  const center = new Date(referenceDate);
+  center.setFullYear(center.getFullYear() - 1);
+  const dayMs = 24 * 60 * 60 * 1000;
+  return {
+    from: new Date(center.getTime() - windowDays * dayMs),
+    to: new Date(center.getTime() + windowDays * dayMs)
+  };
+}
+
 /**
  * Computes the raw value for a DataEntry record.
  * Uses the sum of all values in the dataValues Map (matches the
@@ -72,11 +89,36 @@ function resolveDataEntryRawValue(entry) {
 }
 
 /**
- * Fetches approved historical DataEntry records for the given stream and
- * computes the daily-normalized average.
+ * Decrypts (if needed) and daily-normalizes a list of lean DataEntry records.
  *
- * Returns null when there is insufficient data (< minSamples) or when the
- * computed average is 0 (would cause division-by-zero in caller).
+ * @param {object[]} entries
+ * @param {string} frequency
+ * @returns {number[]}
+ */
+function toDailyDataEntryValues(entries, frequency) {
+  // 🔐 CRITICAL FIX: Explicitly decrypt dataValues since .lean() may skip post('find') hook
+  const decryptedEntries = entries.map(e => {
+    if (e.dataValues && typeof e.dataValues === 'string') {
+      try {
+        return { ...e, dataValues: decrypt(e.dataValues) };
+      } catch (err) {
+        console.error(`❌ [historicalAverageService] Decryption failed for entry ${e._id}:`, err.message);
+        return { ...e, dataValues: null };
+      }
+    }
+    return e;
+  });
+
+  return decryptedEntries.map(e => {
+    const raw = resolveDataEntryRawValue(e);
+    return normalizeToDailyValue(raw, frequency);
+  });
+}
+
+/**
+ * Fetches the most recent approved DataEntry records for the given stream and
+ * returns their daily-normalized values (rolling baseline for the statistical
+ * detectors in anomalyDetectionService).
  *
  * @param {object} params
  * @param {string} params.clientId
@@ -84,9 +126,9 @@ function resolveDataEntryRawValue(entry) {
  * @param {string} params.scopeIdentifier
  * @param {number} params.sampleSize   - How many recent records to fetch
  * @param {number} [params.minSamples] - Minimum required (default 3)
- * @returns {Promise<{average: number, sampleCount: number, frequency: string} | null>}
+ * @returns {Promise<{values: number[], sampleCount: number, frequency: string} | null>}
  */
-async function getDataEntryHistoricalAverage({
+async function getDataEntryHistoricalSamples({
   clientId,
   nodeId,
   scopeIdentifier,
@@ -112,24 +154,77 @@ async function getDataEntryHistoricalAverage({
     return null;
   }
 
-  // 🔐 CRITICAL FIX: Explicitly decrypt dataValues since .lean() may skip post('find') hook
-  const decryptedEntries = entries.map(e => {
-    if (e.dataValues && typeof e.dataValues === 'string') {
-      try {
-        return { ...e, dataValues: decrypt(e.dataValues) };
-      } catch (err) {
-        console.error(`❌ [historicalAverageService] Decryption failed for entry ${e._id}:`, err.message);
-        return { ...e, dataValues: null };
-      }
-    }
-    return e;
-  });
+  const values = toDailyDataEntryValues(entries, frequency);
+  return { values, sampleCount: entries.length, frequency };
+}
 
-  const dailyValues = decryptedEntries.map(e => {
-    const raw = resolveDataEntryRawValue(e);
-    return normalizeToDailyValue(raw, frequency);
-  });
+/**
+ * Fetches approved DataEntry records for the same period one year before
+ * `referenceDate` (± windowDays) and returns their daily-normalized values.
+ * Used by the 'seasonal' detection method.
+ *
+ * @param {object} params
+ * @param {string} params.clientId
+ * @param {string} params.nodeId
+ * @param {string} params.scopeIdentifier
+ * @param {Date}   params.referenceDate - timestamp of the incoming entry
+ * @param {number} [params.windowDays]  - half-width of the comparison window (default 15)
+ * @param {number} [params.minSamples]  - Minimum required (default 1)
+ * @returns {Promise<{values: number[], sampleCount: number, frequency: string, period: {from: Date, to: Date}} | null>}
+ */
+async function getDataEntrySeasonalSamples({
+  clientId,
+  nodeId,
+  scopeIdentifier,
+  referenceDate = new Date(),
+  windowDays = 15,
+  minSamples = 1
+}) {
+  const frequency = await getDataEntryFrequency(clientId, nodeId, scopeIdentifier);
+  const period = getLastYearPeriod(referenceDate, windowDays);
+
+  const entries = await DataEntry.find({
+    clientId,
+    nodeId,
+    scopeIdentifier,
+    approvalStatus: { $in: ["auto_approved", "approved"] },
+    isSummary: false,
+    timestamp: { $gte: period.from, $lte: period.to }
+  })
+    .sort({ timestamp: -1 })
+    .limit(500)
+    .select("dataValues _id")
+    .lean();
+
+  if (!entries || entries.length < minSamples) {
+    console.log(`  [historicalAverageService] Found ${entries?.length || 0} entries last year, need ${minSamples}+ → returning null`);
+    return null;
+  }
+
+  const values = toDailyDataEntryValues(entries, frequency);
+  return { values, sampleCount: entries.length, frequency, period };
+}
+
+/**
+ * Fetches approved historical DataEntry records for the given stream and
+ * computes the daily-normalized average.
+ *
+ * Returns null when there is insufficient data (< minSamples) or when the
+ * computed average is 0 (would cause division-by-zero in caller).
+ *
+ * @param {object} params
+ * @param {string} params.clientId
+ * @param {string} params.nodeId
+ * @param {string} params.scopeIdentifier
+ * @param {number} params.sampleSize   - How many recent records to fetch
+ * @param {number} [params.minSamples] - Minimum required (default 3)
+ * @returns {Promise<{average: number, sampleCount: number, frequency: string} | null>}
+ */
+async function getDataEntryHistoricalAverage(params) {
+  const samples = await getDataEntryHistoricalSamples(params);
+  if (!samples) return null;
 
+  const { values: dailyValues, sampleCount, frequency } = samples;
   const sum = dailyValues.reduce((acc, v) => acc + v, 0);
   const average = sum / dailyValues.length;
 
@@ -138,14 +233,14 @@ async function getDataEntryHistoricalAverage({
     return null;
   }
 
-  console.log(`  [historicalAverageService] Calculated baseline: ${entries.length} entries, daily values: [${dailyValues.slice(0, 3).map(v => v.toFixed(2)).join(', ')}...], avg=${average.toFixed(4)}`);
+  console.log(`  [historicalAverageService] Calculated baseline: ${sampleCount} entries, daily values: [${dailyValues.slice(0, 3).map(v => v.toFixed(2)).join(', ')}...], avg=${average.toFixed(4)}`);
 
-  return { average, sampleCount: entries.length, frequency };
+  return { average, sampleCount, frequency };
 }
 
 /**
- * Fetches recent NetReductionEntry records for the given stream and
- * computes the daily-normalized average.
+ * Fetches recent NetReductionEntry records for the given stream and returns
+ * their daily-normalized values.
  * NetReduction does not have a frequency config — defaults to 'monthly'.
  *
  * @param {object} params
@@ -154,9 +249,9 @@ async function getDataEntryHistoricalAverage({
  * @param {string} params.calculationMethodology
  * @param {number} params.sampleSize
  * @param {number} [params.minSamples]
- * @returns {Promise<{average: number, sampleCount: number, frequency: string} | null>}
+ * @returns {Promise<{values: number[], sampleCount: number, frequency: string} | null>}
  */
-async function getNetReductionHistoricalAverage({
+async function getNetReductionHistoricalSamples({
   clientId,
   projectId,
   calculationMethodology,
@@ -177,21 +272,82 @@ async function getNetReductionHistoricalAverage({
 
   if (!entries || entries.length < minSamples) return null;
 
-  const dailyValues = entries.map(e =>
+  const values = entries.map(e =>
+    normalizeToDailyValue(e.netReduction || 0, frequency)
+  );
+  return { values, sampleCount: entries.length, frequency };
+}
+
+/**
+ * Same-period-last-year NetReductionEntry values (± windowDays), daily-normalized.
+ *
+ * @param {object} params
+ * @param {string} params.clientId
+ * @param {string} params.projectId
+ * @param {string} params.calculationMethodology
+ * @param {Date}   params.referenceDate
+ * @param {number} [params.windowDays]
+ * @param {number} [params.minSamples]
+ * @returns {Promise<{values: number[], sampleCount: number, frequency: string, period: {from: Date, to: Date}} | null>}
+ */
+async function getNetReductionSeasonalSamples({
+  clientId,
+  projectId,
+  calculationMethodology,
+  referenceDate = new Date(),
+  windowDays = 15,
+  minSamples = 1
+}) {
+  const frequency = "monthly";
+  const period = getLastYearPeriod(referenceDate, windowDays);
+
+  const entries = await NetReductionEntry.find({
+    clientId,
+    projectId,
+    calculationMethodology,
+    timestamp: { $gte: period.from, $lte: period.to }
+  })
+    .sort({ timestamp: -1 })
+    .limit(500)
+    .select("netReduction")
+    .lean();
+
+  if (!entries || entries.length < minSamples) return null;
+
+  const values = entries.map(e =>
     normalizeToDailyValue(e.netReduction || 0, frequency)
   );
+  return { values, sampleCount: entries.length, frequency, period };
+}
+
+/**
+ * Fetches recent NetReductionEntry records for the given stream and
+ * computes the daily-normalized average.
+ *
+ * @param {object} params - see getNetReductionHistoricalSamples
+ * @returns {Promise<{average: number, sampleCount: number, frequency: string} | null>}
+ */
+async function getNetReductionHistoricalAverage(params) {
+  const samples = await getNetReductionHistoricalSamples(params);
+  if (!samples) return null;
 
+  const { values: dailyValues, sampleCount, frequency } = samples;
   const sum = dailyValues.reduce((acc, v) => acc + v, 0);
   const average = sum / dailyValues.length;
 
   if (average === 0) return null;
 
-  return { average, sampleCount: entries.length, frequency };
+  return { average, sampleCount, frequency };
 }
 
 module.exports = {
   getDataEntryHistoricalAverage,
+  getDataEntryHistoricalSamples,
+  getDataEntrySeasonalSamples,
   getNetReductionHistoricalAverage,
+  getNetReductionHistoricalSamples,
+  getNetReductionSeasonalSamples,
+  getLastYearPeriod,
   getDataEntryFrequency,
   resolveDataEntryRawValue
 };
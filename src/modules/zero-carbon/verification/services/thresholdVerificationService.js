@@ -2,9 +2,12 @@
 const ThresholdConfig = require("../ThresholdConfig");
 const { normalizeToDailyValue } = require("./normalizationService");
 const {
-  getDataEntryHistoricalAverage,
-  getNetReductionHistoricalAverage
+  getDataEntryHistoricalSamples,
+  getDataEntrySeasonalSamples,
+  getNetReductionHistoricalSamples,
+  getNetReductionSeasonalSamples
 } = require("./historicalAverageService");
+const { detectAnomaly } = require("./anomalyDetectionService");
 
 /**
  * Compute the sum of all numeric values in a Map or plain object.
@@ -80,8 +83,85 @@ async function resolveThresholdConfig(clientId, scopeIdentifier, flowType, nodeI
  * @property {number}  meta.sampleCount
  * @property {string}  meta.frequency
  * @property {string}  meta.anomalyReason
+ * @property {string}  meta.detectionMethod   - 'percentage' | 'zscore' | 'mad' | 'iqr' | 'seasonal'
+ * @property {number}  meta.observedValue     - same as normalizedIncomingValue
+ * @property {number}  meta.expectedValue     - baseline centre (mean / median / last-year mean)
+ * @property {number}  meta.expectedRangeLow
+ * @property {number}  meta.expectedRangeHigh
+ * @property {number}  meta.score             - method statistic (z, modified z, IQR distance, deviation %)
+ * @property {number}  meta.scoreThreshold
+ * @property {Date}    [meta.baselinePeriodFrom] - seasonal only
+ * @property {Date}    [meta.baselinePeriodTo]   - seasonal only
  */
 
+/**
+ * Loads the baseline required by the config's detection method and runs the
+ * detector. Shared by the DataEntry and NetReduction flows.
+ *
+ * @param {object}   params
+ * @param {object}   params.config             - ThresholdConfig (lean)
+ * @param {number}   params.rawIncoming        - raw incoming value
+ * @param {Function} params.fetchRolling       - (sampleSize, minSamples) → samples | null
+ * @param {Function} params.fetchSeasonal      - (windowDays) → samples | null
+ * @param {string}   params.label              - log prefix
+ * @returns {Promise<VerificationResult>}
+ */
+async function evaluateAgainstBaseline({ config, rawIncoming, fetchRolling, fetchSeasonal, label }) {
+  const PASS = { shouldRequireApproval: false };
+  const method = config.detectionMethod || "percentage";
+  const minSamples = config.minSamplesBeforeCheck || 3;
+
+  console.log(`  ↳ Config: method=${method}, threshold=${config.thresholdPercentage}%, baselineSampleSize=${config.baselineSampleSize}, minSamples=${minSamples}`);
+
+  const baseline = method === "seasonal"
+    ? await fetchSeasonal(config.seasonalWindowDays || 15)
+    : await fetchRolling(config.baselineSampleSize, minSamples);
+
+  if (!baseline || !baseline.values.length) {
+    console.log(`  ↳ ${label}: no baseline found for method=${method} → PASS`);
+    return PASS;
+  }
+
+  const { values, sampleCount, frequency, period } = baseline;
+  const average = values.reduce((a, v) => a + v, 0) / values.length;
+
+  // Percentage-based methods need a non-zero average (matches the legacy rule)
+  if ((method === "percentage" || method === "seasonal") && average === 0) {
+    console.log(`  ↳ ${label}: baseline average is 0 → PASS`);
+    return PASS;
+  }
+
+  // Normalize incoming value to daily baseline using the same frequency
+  const normalizedIncoming = normalizeToDailyValue(rawIncoming, frequency);
+  const detection = detectAnomaly(method, normalizedIncoming, values, config, period);
+
+  console.log(`  ↳ Baseline: ${sampleCount} entries, freq=${frequency}, normalized incoming=${normalizedIncoming.toFixed(4)}`);
+  console.log(`  ↳ ${detection.explanation} → ${detection.isAnomaly ? "✅ FLAG" : "❌ PASS"}`);
+
+  if (!detection.isAnomaly) return PASS;
+
+  return {
+    shouldRequireApproval: true,
+    meta: {
+      normalizedIncomingValue: normalizedIncoming,
+      historicalAverageDailyValue: average,
+      deviationPercentage: average ? parseFloat(((Math.abs(normalizedIncoming - average) / average) * 100).toFixed(4)) : null,
+      thresholdPercentage: config.thresholdPercentage,
+      sampleCount,
+      frequency,
+      anomalyReason: detection.explanation,
+      detectionMethod: detection.detectionMethod,
+      observedValue: detection.observedValue,
+      expectedValue: detection.expectedValue,
+      expectedRangeLow: detection.expectedRange.low,
+      expectedRangeHigh: detection.expectedRange.high,
+      score: detection.score,
+      scoreThreshold: detection.scoreThreshold,
+      ...(period ? { baselinePeriodFrom: period.from, baselinePeriodTo: period.to } : {})
+    }
+  };
+}
+
 /**
  * Checks whether a new DataEntry payload should require approval.
  *
@@ -91,9 +171,10 @@ async function resolveThresholdConfig(clientId, scopeIdentifier, flowType, nodeI
  * @param {string}      params.scopeIdentifier
  * @param {Map|object}  params.numericMap        - toNumericMap() output
  * @param {string}      params.inputType         - 'manual' | 'API' | 'IOT' | 'OCR'
+ * @param {Date}        [params.timestamp]       - entry time (seasonal comparison), default now
  * @returns {Promise<VerificationResult>}
  */
-async function checkDataEntry({ clientId, nodeId, scopeIdentifier, numericMap, inputType }) {
+async function checkDataEntry({ clientId, nodeId, scopeIdentifier, numericMap, inputType, timestamp = new Date() }) {
   const PASS = { shouldRequireApproval: false };
 
   console.log(`🔍 [checkDataEntry] CALLED: clientId=${clientId}, nodeId=${nodeId}, scopeIdentifier=${scopeIdentifier}, inputType=${inputType}`);
@@ -122,59 +203,19 @@ async function checkDataEntry({ clientId, nodeId, scopeIdentifier, numericMap, i
     return PASS;
   }
 
-  // 4. Fetch historical average (includes frequency resolution)
-  const minSamples = config.minSamplesBeforeCheck || 3;
   console.log(`[checkDataEntry] Threshold check for ${clientId}/${nodeId}/${scopeIdentifier} (inputType=${inputType})`);
-  console.log(`  ↳ Config: threshold=${config.thresholdPercentage}%, baselineSampleSize=${config.baselineSampleSize}, minSamples=${minSamples}`);
   console.log(`  ↳ Incoming raw value: ${rawIncoming}`);
 
-  const history = await getDataEntryHistoricalAverage({
-    clientId,
-    nodeId,
-    scopeIdentifier,
-    sampleSize: config.baselineSampleSize,
-    minSamples
+  // 4. Load the baseline for the configured method and compare
+  return evaluateAgainstBaseline({
+    config,
+    rawIncoming,
+    label: "checkDataEntry",
+    fetchRolling: (sampleSize, minSamples) =>
+      getDataEntryHistoricalSamples({ clientId, nodeId, scopeIdentifier, sampleSize, minSamples }),
+    fetchSeasonal: (windowDays) =>
+      getDataEntrySeasonalSamples({ clientId, nodeId, scopeIdentifier, referenceDate: timestamp, windowDays })
   });
-
-  if (!history) {
-    console.log(`  ↳ No baseline found (need ${minSamples}+ approved entries) → PASS`);
-    return PASS;
-  }
-
-  const { average, sampleCount, frequency } = history;
-  console.log(`  ↳ Baseline established: ${sampleCount} entries, avg=${average.toFixed(4)}, freq=${frequency}`);
-
-  // 5. Normalize incoming value to daily baseline using the same frequency
-  const normalizedIncoming = normalizeToDailyValue(rawIncoming, frequency);
-
-  // 6. Compute deviation
-  const deviation = Math.abs(normalizedIncoming - average);
-  const deviationPct = (deviation / average) * 100;
-
-  console.log(`  ↳ Normalized incoming: ${normalizedIncoming.toFixed(4)}`);
-  console.log(`  ↳ Deviation: ${deviation.toFixed(4)}, Deviation%: ${deviationPct.toFixed(2)}%`);
-  console.log(`  ↳ Comparison: ${deviationPct.toFixed(2)}% > ${config.thresholdPercentage}% ? ${deviationPct > config.thresholdPercentage ? '✅ FLAG' : '❌ PASS'}`);
-
-  // 7. Compare against threshold
-  if (deviationPct > config.thresholdPercentage) {
-    return {
-      shouldRequireApproval: true,
-      meta: {
-        normalizedIncomingValue: normalizedIncoming,
-        historicalAverageDailyValue: average,
-        deviationPercentage: parseFloat(deviationPct.toFixed(4)),
-        thresholdPercentage: config.thresholdPercentage,
-        sampleCount,
-        frequency,
-        anomalyReason:
-          `Incoming daily value (${normalizedIncoming.toFixed(4)}) deviates ` +
-          `${deviationPct.toFixed(2)}% from historical average (${average.toFixed(4)}), ` +
-          `exceeding threshold of ${config.thresholdPercentage}%`
-      }
-    };
-  }
-
-  return PASS;
 }
 
 /**
@@ -187,6 +228,7 @@ async function checkDataEntry({ clientId, nodeId, scopeIdentifier, numericMap, i
  * @param {string} params.calculationMethodology
  * @param {number} params.netReductionValue       - Final computed net reduction
  * @param {string} params.inputType
+ * @param {Date}   [params.timestamp]             - entry time (seasonal comparison), default now
  * @returns {Promise<VerificationResult>}
  */
 async function checkNetReduction({
@@ -194,7 +236,8 @@ async function checkNetReduction({
   projectId,
   calculationMethodology,
   netReductionValue,
-  inputType
+  inputType,
+  timestamp = new Date()
 }) {
   const PASS = { shouldRequireApproval: false };
 
@@ -212,54 +255,18 @@ async function checkNetReduction({
     return PASS;
   }
 
-  const minSamples = config.minSamplesBeforeCheck || 3;
   console.log(`[checkNetReduction] Threshold check for ${clientId}/${projectId} (inputType=${inputType})`);
-  console.log(`  ↳ Config: threshold=${config.thresholdPercentage}%, baselineSampleSize=${config.baselineSampleSize}, minSamples=${minSamples}`);
   console.log(`  ↳ Incoming NR value: ${netReductionValue}`);
 
-  const history = await getNetReductionHistoricalAverage({
-    clientId,
-    projectId,
-    calculationMethodology,
-    sampleSize: config.baselineSampleSize,
-    minSamples
+  return evaluateAgainstBaseline({
+    config,
+    rawIncoming: netReductionValue,
+    label: "checkNetReduction",
+    fetchRolling: (sampleSize, minSamples) =>
+      getNetReductionHistoricalSamples({ clientId, projectId, calculationMethodology, sampleSize, minSamples }),
+    fetchSeasonal: (windowDays) =>
+      getNetReductionSeasonalSamples({ clientId, projectId, calculationMethodology, referenceDate: timestamp, windowDays })
   });
-
-  if (!history) {
-    console.log(`  ↳ No baseline found (need ${minSamples}+ entries) → PASS`);
-    return PASS;
-  }
-
-  const { average, sampleCount, frequency } = history;
-  console.log(`  ↳ Baseline: ${sampleCount} entries, avg=${average.toFixed(4)}, freq=${frequency}`);
-
-  const normalizedIncoming = normalizeToDailyValue(netReductionValue, frequency);
-  const deviation = Math.abs(normalizedIncoming - average);
-  const deviationPct = (deviation / average) * 100;
-
-  console.log(`  ↳ Normalized NR: ${normalizedIncoming.toFixed(4)}`);
-  console.log(`  ↳ Deviation: ${deviation.toFixed(4)}, Deviation%: ${deviationPct.toFixed(2)}%`);
-  console.log(`  ↳ Comparison: ${deviationPct.toFixed(2)}% > ${config.thresholdPercentage}% ? ${deviationPct > config.thresholdPercentage ? '✅ FLAG' : '❌ PASS'}`);
-
-  if (deviationPct > config.thresholdPercentage) {
-    return {
-      shouldRequireApproval: true,
-      meta: {
-        normalizedIncomingValue: normalizedIncoming,
-        historicalAverageDailyValue: average,
-        deviationPercentage: parseFloat(deviationPct.toFixed(4)),
-        thresholdPercentage: config.thresholdPercentage,
-        sampleCount,
-        frequency,
-        anomalyReason:
-          `Incoming daily NR value (${normalizedIncoming.toFixed(4)}) deviates ` +
-          `${deviationPct.toFixed(2)}% from historical average (${average.toFixed(4)}), ` +
-          `exceeding threshold of ${config.thresholdPercentage}%`
-      }
-    };
-  }
-
-  return PASS;
 }
 
 module.exports = { checkDataEntry, checkNetReduction };
@@ -7,11 +7,40 @@ const NetReductionEntry = require("../reduction/models/NetReductionEntry");
 const { notifySubmitterOfOutcome } = require("../workflow/notifications/thresholdNotifications");
 const User = require("../../../common/models/User");
 const Client = require("../../client-management/client/Client");
+const { DETECTION_METHODS } = require("./services/anomalyDetectionService");
+const { findDuplicates, duplicateAction, buildDuplicateMeta } = require("./services/duplicateDetectionService");
 
 // ─────────────────────────────────────────────────────────────────────────────
 // THRESHOLD CONFIG — CRUD
 // ─────────────────────────────────────────────────────────────────────────────
 
+const DETECTION_FIELDS = ["detectionMethod", "zScoreThreshold", "madThreshold", "iqrMultiplier", "seasonalWindowDays"];
+
+const DETECTION_LIMITS = {
+  zScoreThreshold: [0.5, 10],
+  madThreshold: [0.5, 20],
+  iqrMultiplier: [0.5, 10],
+  seasonalWindowDays: [1, 90]
+};
+
+/**
+ * Validates the anomaly-model settings in a create/update body.
+ * @returns {string|null} error message, or null when valid
+ */
+const validateDetectionSettings = (body) => {
+  if (body.detectionMethod !== undefined && !DETECTION_METHODS.includes(body.detectionMethod)) {
+    return `detectionMethod must be one of: ${DETECTION_METHODS.join(", ")}`;
+  }
+  for (const [key, [min, max]] of Object.entries(DETECTION_LIMITS)) {
+    if (body[key] === undefined) continue;
+    const n = Number(body[key]);
+    if (!isFinite(n) || n < min || n > max) {
+      return `${key} must be between ${min} and ${max}`;
+    }
+  }
+  return null;
+};
+
 /**
  * POST /api/verification/threshold-config
  * Create or upsert a threshold config.
@@ -58,6 +87,16 @@ const createOrUpdateThresholdConfig = async (req, res) => {
       });
     }
 
+    const detectionError = validateDetectionSettings(req.body);
+    if (detectionError) {
+      return res.status(400).json({ success: false, message: detectionError });
+    }
+
+    const detectionSettings = {};
+    for (const key of DETECTION_FIELDS) {
+      if (req.body[key] !== undefined) detectionSettings[key] = req.body[key];
+    }
+
     // Upsert: one config per client+scope+flowType+node
     const config = await ThresholdConfig.findOneAndUpdate(
       { clientId, scopeIdentifier, flowType, nodeId: nodeId || null },
@@ -67,6 +106,7 @@ const createOrUpdateThresholdConfig = async (req, res) => {
           isActive,
           baselineSampleSize,
           appliesToInputTypes,
+          ...detectionSettings,
           updatedBy: req.user._id
         },
         $setOnInsert: {
@@ -123,7 +163,8 @@ const getThresholdConfigs = async (req, res) => {
 
 /**
  * PATCH /api/verification/threshold-config/:id
- * Update threshold percentage, isActive, baselineSampleSize, or appliesToInputTypes.
+ * Update threshold percentage, isActive, baselineSampleSize, appliesToInputTypes,
+ * or the anomaly model (detectionMethod and its parameters).
  * Role: consultant_admin
  */
 const updateThresholdConfig = async (req, res) => {
@@ -133,7 +174,7 @@ const updateThresholdConfig = async (req, res) => {
       return res.status(400).json({ success: false, message: "Invalid config ID" });
     }
 
-    const allowed = ["thresholdPercentage", "isActive", "baselineSampleSize", "appliesToInputTypes"];
+    const allowed = ["thresholdPercentage", "isActive", "baselineSampleSize", "appliesToInputTypes", ...DETECTION_FIELDS];
     const updates = {};
     for (const key of allowed) {
       if (req.body[key] !== undefined) updates[key] = req.body[key];
@@ -148,6 +189,11 @@ const updateThresholdConfig = async (req, res) => {
       }
     }
 
+    const detectionError = validateDetectionSettings(updates);
+    if (detectionError) {
+      return res.status(400).json({ success: false, message: detectionError });
+    }
+
     updates.updatedBy = req.user._id;
 
     const config = await ThresholdConfig.findByIdAndUpdate(
@@ -288,7 +334,7 @@ const getConsultantAssignedClients = async (userId) => {
 
 /**
  * GET /api/verification/pending-approvals
- * List pending approvals (filterable by clientId, flowType, status).
+ * List pending approvals (filterable by clientId, flowType, status, reviewReason).
  * consultant_admin: sees only their assigned clients
  * super_admin: sees all clients
  */
@@ -297,6 +343,7 @@ const listPendingApprovals = async (req, res) => {
     const {
       clientId,
       flowType,
+      reviewReason,
       status = "Pending_Approval",
       page = 1,
       limit = 20
@@ -331,6 +378,7 @@ const listPendingApprovals = async (req, res) => {
     // Apply optional filters
     if (clientId) filter.clientId = clientId;
     if (flowType) filter.flowType = flowType;
+    if (reviewReason) filter.reviewReason = reviewReason;
     if (status) filter.status = status;
 
     const skip = (Number(page) - 1) * Number(limit);
@@ -451,9 +499,31 @@ const approvePendingEntry = async (req, res) => {
       const {
         clientId, nodeId, scopeIdentifier, scopeType,
         inputType, date, time, timestamp,
-        dataValues, emissionFactor, sourceDetails
+        dataValues, unitConversions, emissionFactor, sourceDetails,
+        documentFingerprint
       } = payload;
 
+      // An identical upload saved since this one was held (e.g. its twin in
+      // the queue was approved first) would be counted twice
+      if (documentFingerprint) {
+        const known = new Set((record.duplicateMeta?.matches || []).map((m) => String(m.dataEntryId)));
+        const newMatches = (await findDuplicates({
+          clientId, nodeId, scopeIdentifier,
+          fingerprint: documentFingerprint,
+          timestamp,
+          includePending: false
+        })).filter((m) => !known.has(String(m.entry._id)));
+
+        if (duplicateAction(newMatches) === "block") {
+          return res.status(409).json({
+            success: false,
+            code: "DUPLICATE_ENTRY",
+            message: "The same document was saved after this entry was held for review; reject it instead of approving",
+            duplicates: buildDuplicateMeta(newMatches, { inputType, date, time, fileName: sourceDetails?.fileName, dataValues })
+          });
+        }
+      }
+
       // Reconstruct the dataValues Map
       const dataMap = new Map();
       if (dataValues && typeof dataValues === "object") {
@@ -473,8 +543,10 @@ const approvePendingEntry = async (req, res) => {
         time,
         timestamp: timestamp ? new Date(timestamp) : new Date(),
         dataValues: dataMap,
+        unitConversions: unitConversions || null,
         emissionFactor: emissionFactor || "",
         sourceDetails: sourceDetails || {},
+        documentFingerprint: documentFingerprint || undefined,
         approvalStatus: "approved",
         processingStatus: "pending",
         emissionCalculationStatus: "pending"
@@ -2,6 +2,7 @@
 const express = require("express");
 const router = express.Router();
 const { auth, checkRole } = require("../../../common/middleware/auth");
+const { validateRequest } = require("../../../common/middleware/validateRequest");
 const {
   createOrUpdateThresholdConfig,
   getThresholdConfigs,
@@ -91,6 +92,7 @@ router.post(
   "/pending-approvals/:id/reject",
   auth,
   checkRole("consultant_admin", "consultant"),
+  validateRequest("POST /api/verification/pending-approvals/{id}/reject"),
   rejectPendingEntry
 );
 
@@ -164,6 +164,26 @@ const normalizeScopeDetail = (scope) => {
     };
   }
 
+  // ── Scope 3 method hierarchy / EEIO mapping (scope3MethodService) ────────────
+  if (scope.scopeType === 'Scope 3' && scope.scope3Method) {
+    const sm = scope.scope3Method;
+    normalizedScope.scope3Method = {
+      hierarchy:     Array.isArray(sm.hierarchy) && sm.hierarchy.length ? sm.hierarchy : undefined,
+      eeioSector:    sm.eeioSector    || null,
+      eeioRegion:    sm.eeioRegion    || null,
+      spendCurrency: sm.spendCurrency || null,
+      dataQuality:   sm.dataQuality   || undefined
+    };
+  }
+
+  // ── Per-field expected units (unitNormalization on ingestion) ───────────────
+  if (scope.expectedUnits && typeof scope.expectedUnits === 'object') {
+    const units = Object.entries(scope.expectedUnits)
+      .filter(([field, unit]) => field && typeof unit === 'string' && unit.trim())
+      .map(([field, unit]) => [field, unit.trim()]);
+    if (units.length) normalizedScope.expectedUnits = Object.fromEntries(units);
+  }
+
   // ── Multiple emission factors (EC Tier 2) ─────────────────────────────────────
   // Accept both the new field name and the old alias (emissionFactors) for backwards compatibility
   const ecEFs = scope.employeeCommutingEmissionFactors ?? scope.emissionFactors;
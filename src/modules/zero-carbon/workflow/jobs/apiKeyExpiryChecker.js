@@ -47,8 +47,10 @@ async function checkExpiringKeys() {
 
   try {
     // Find all active keys expiring within 7 days
+    // (keys already renewed are only in their rotation overlap — no warnings)
     const expiringKeys = await ApiKey.find({
       status: 'ACTIVE',
+      renewedTo: null,
       expiresAt: { $gte: now, $lte: sevenDaysFromNow }
     });
 
@@ -100,7 +102,7 @@ async function checkExpiredKeys() {
       console.log(`[API Key Checker] Processing expired key ${key.keyPrefix}***`);
       
       // Send expiry notification if not already sent
-      if (!key.expiryNotificationSent) {
+      if (!key.expiryNotificationSent && !key.renewedTo) {
         await createKeyExpiredNotification(key);
       } else {
         // Just mark as expired
@@ -22,6 +22,8 @@ const Client = require("../../../client-management/client/Client");
  * @param {string}   params.flowType          - 'dataEntry' | 'netReduction'
  * @param {ObjectId} params.submittedBy       - User._id who submitted the entry
  * @param {string}   params.submittedByType   - userType of submitter
+ * @param {string}   [params.detectionMethod] - anomaly model that fired (default 'percentage')
+ * @param {string}   [params.anomalyReason]   - detector explanation (expected range vs observed)
  * @returns {Promise<Notification|null>}
  */
 async function notifyConsultantAdminOfAnomaly({
@@ -36,7 +38,9 @@ async function notifyConsultantAdminOfAnomaly({
   inputType,
   flowType,
   submittedBy,
-  submittedByType
+  submittedByType,
+  detectionMethod = "percentage",
+  anomalyReason = null
 }) {
   try {
     const client = await Client.findOne({ clientId })
@@ -58,6 +62,7 @@ async function notifyConsultantAdminOfAnomaly({
       `Historical average (daily): ${Number(historicalAverage).toFixed(4)}\n` +
       `Deviation: ${Number(deviationPct).toFixed(2)}% (threshold: ${thresholdPct}%)\n` +
       `Frequency: ${frequency}\n` +
+      (anomalyReason ? `Detection (${detectionMethod}): ${anomalyReason}\n` : "") +
       `Please review and approve or reject this entry.`;
 
     const notification = await Notification.create({
@@ -86,6 +91,70 @@ async function notifyConsultantAdminOfAnomaly({
   }
 }
 
+/**
+ * Sends a high-priority notification to the consultant_admin of the client
+ * when an OCR / CSV upload looks like a document that was already saved and
+ * is held for approval (see duplicateDetectionService).
+ *
+ * @param {object} params
+ * @param {string}   params.clientId
+ * @param {string}   params.scopeIdentifier
+ * @param {ObjectId} params.pendingApprovalId - PendingApproval._id
+ * @param {string}   params.inputType         - 'OCR' | 'CSV'
+ * @param {object}   params.duplicateMeta     - { matchType, reason, matches }
+ * @param {ObjectId} params.submittedBy
+ * @param {string}   params.submittedByType
+ * @returns {Promise<Notification|null>}
+ */
+async function notifyConsultantAdminOfDuplicate({
+  clientId,
+  scopeIdentifier,
+  pendingApprovalId,
+  inputType,
+  duplicateMeta,
+  submittedBy,
+  submittedByType
+}) {
+  try {
+    const client = await Client.findOne({ clientId })
+      .select("leadInfo.consultantAdminId leadInfo.companyName")
+      .lean();
+
+    const consultantAdminId = client?.leadInfo?.consultantAdminId;
+    if (!consultantAdminId) return null;
+
+    const companyName = client?.leadInfo?.companyName || clientId;
+
+    const message =
+      `A ${inputType?.toUpperCase() || "file"} upload for client ${companyName} (${clientId}) may duplicate data already saved.\n` +
+      `Scope / Identifier: ${scopeIdentifier}\n` +
+      `${duplicateMeta?.reason || "Suspected duplicate"}\n` +
+      `Existing entries: ${(duplicateMeta?.matches || []).map((m) => m.dataEntryId || `pending approval ${m.pendingApprovalId}`).join(", ")}\n` +
+      `Please compare the values and approve or reject this entry.`;
+
+    return await Notification.create({
+      title: "Possible Duplicate Upload — Data Entry Approval Required",
+      message,
+      targetUsers: [consultantAdminId],
+      targetClients: [clientId],
+      priority: "high",
+      createdBy: submittedBy,
+      creatorType: submittedByType,
+      systemAction: "duplicate_detected",
+      isSystemNotification: true,
+      status: "published",
+      publishedAt: new Date(),
+      relatedEntity: {
+        type: "PendingApproval",
+        id: pendingApprovalId
+      }
+    });
+  } catch (err) {
+    console.error("[thresholdNotifications] Failed to send duplicate notification:", err.message);
+    return null;
+  }
+}
+
 /**
  * Notifies the original data submitter about the outcome of their pending approval.
  *
@@ -157,5 +226,6 @@ async function notifySubmitterOfOutcome({
 
 module.exports = {
   notifyConsultantAdminOfAnomaly,
+  notifyConsultantAdminOfDuplicate,
   notifySubmitterOfOutcome
 };
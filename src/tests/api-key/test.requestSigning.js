@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * Unit tests for API key request signing and idempotency helpers — pure logic, no DB required.
+ *
+ * Run: node src/tests/api-key/test.requestSigning.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+const {
+  SCHEME,
+  generateSigningSecret,
+  hashBody,
+  canonicalString,
+  sign,
+  parseAuthorizationHeader,
+  isSignedRequest,
+  isWithinWindow,
+  verifySignature,
+} = require('../../modules/zero-carbon/api-key/utils/requestSigning');
+const { requestScope, requestHash } = require('../../modules/zero-carbon/api-key/middleware/idempotency');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const secret = generateSigningSecret();
+const path = '/api/data-collection/clients/C1/nodes/N1/scopes/S1/api-data';
+const body = Buffer.from('{"value":100,"date":"2025-01-31"}');
+const ts = 1767225600;
+
+// ─── Signing ──────────────────────────────────────────────────────────────────
+
+test('signing secrets are random 43-char base64url strings', () => {
+  assert.strictEqual(secret.length, 43);
+  assert.notStrictEqual(secret, generateSigningSecret());
+  assert.ok(/^[A-Za-z0-9_-]+$/.test(secret));
+});
+
+test('canonical string is method, path, timestamp and body hash on separate lines', () => {
+  assert.strictEqual(canonicalString('post', path, ts, 'abc'), `POST\n${path}\n${ts}\nabc`);
+  assert.strictEqual(hashBody(undefined), hashBody(''));
+});
+
+test('a correctly signed request verifies', () => {
+  const signature = sign(secret, 'POST', path, ts, body);
+  assert.ok(verifySignature(secret, { method: 'POST', path, timestamp: ts, body, signature }));
+});
+
+test('changing body, path, timestamp or secret breaks the signature', () => {
+  const signature = sign(secret, 'POST', path, ts, body);
+  assert.ok(!verifySignature(secret, { method: 'POST', path, timestamp: ts, body: Buffer.from('{"value":101}'), signature }));
+  assert.ok(!verifySignature(secret, { method: 'POST', path: path.replace('N1', 'N2'), timestamp: ts, body, signature }));
+  assert.ok(!verifySignature(secret, { method: 'POST', path, timestamp: ts + 1, body, signature }));
+  assert.ok(!verifySignature(generateSigningSecret(), { method: 'POST', path, timestamp: ts, body, signature }));
+  assert.ok(!verifySignature(secret, { method: 'POST', path, timestamp: ts, body, signature: 'zz' }));
+});
+
+// ─── Header & replay window ──────────────────────────────────────────────────
+
+test('Authorization header is parsed in any parameter order', () => {
+  const parsed = parseAuthorizationHeader(`${SCHEME} signature=ABCDEF, keyId="65f0c1a2b3c4d5e6f7a8b9c0", timestamp=${ts}`);
+  assert.deepStrictEqual(parsed, { keyId: '65f0c1a2b3c4d5e6f7a8b9c0', timestamp: ts, signature: 'abcdef' });
+});
+
+test('malformed or foreign Authorization headers are rejected', () => {
+  assert.strictEqual(parseAuthorizationHeader('Bearer abc'), null);
+  assert.strictEqual(parseAuthorizationHeader(`${SCHEME} keyId=x, signature=y`), null);
+  assert.strictEqual(parseAuthorizationHeader(`${SCHEME} keyId=x, timestamp=soon, signature=y`), null);
+  assert.ok(isSignedRequest({ headers: { authorization: `${SCHEME} keyId=x` } }));
+  assert.ok(!isSignedRequest({ headers: { authorization: 'Bearer x' } }));
+  assert.ok(!isSignedRequest({ headers: {} }));
+});
+
+test('timestamps outside the replay window are refused', () => {
+  const now = ts * 1000;
+  assert.ok(isWithinWindow(ts - 299, now, 300));
+  assert.ok(isWithinWindow(ts + 300, now, 300));
+  assert.ok(!isWithinWindow(ts - 301, now, 300));
+  assert.ok(!isWithinWindow(ts + 301, now, 300));
+});
+
+// ─── Idempotency ──────────────────────────────────────────────────────────────
+
+test('idempotency scope ignores which key was used for the target', () => {
+  const meta = { nodeId: 'N1', scopeIdentifier: 'S1' };
+  const oldKey = { id: 'k1', keyType: 'DC_API', clientId: 'C1', metadata: meta };
+  const newKey = { id: 'k2', keyType: 'DC_API', clientId: 'C1', metadata: meta };
+  assert.strictEqual(requestScope(oldKey), requestScope(newKey));
+  assert.strictEqual(
+    requestScope({ keyType: 'NET_IOT', clientId: 'C1', metadata: { projectId: 'P1', calculationMethodology: 'methodology1' } }),
+    'NET_IOT:C1:P1:methodology1'
+  );
+});
+
+test('idempotency request hash depends on the body', () => {
+  const scope = 'DC_API:C1:N1:S1';
+  assert.strictEqual(requestHash('post', scope, body), requestHash('POST', scope, body));
+  assert.notStrictEqual(requestHash('POST', scope, body), requestHash('POST', scope, '{"value":100}'));
+});
+
+// ─── Results ──────────────────────────────────────────────────────────────────
+
+console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exit(1);
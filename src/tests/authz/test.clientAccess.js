@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * Unit tests for clientAccessPermission — the paths that need no DB (super
+ * admin and the client's own users; consultants go through the policy
+ * engine, see test.policyEngine.js).
+ *
+ * Run: node src/tests/authz/test.clientAccess.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+const {
+  canAccessClient,
+  canManageClientData,
+  clientListFilter,
+} = require('../../common/utils/Permissions/clientAccessPermission');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const user = (userType, clientId = null) => ({ _id: '64b0000000000000000000ff', userType, clientId });
+
+(async () => {
+  console.log('\nClient access\n');
+
+  await test('every client role is limited to its own client', async () => {
+    for (const role of ['client_admin', 'employee', 'viewer', 'contributor', 'reviewer', 'approver']) {
+      assert.strictEqual((await canAccessClient(user(role, 'Greon001'), 'Greon001')).allowed, true, role);
+      assert.strictEqual((await canAccessClient(user(role, 'Greon001'), 'Greon002')).allowed, false, role);
+    }
+    assert.strictEqual((await canAccessClient(user('team_user'), 'Greon001')).allowed, false);
+  });
+
+  await test('only manager roles may change client data', async () => {
+    assert.strictEqual((await canManageClientData(user('client_admin', 'Greon001'), 'Greon001')).allowed, true);
+    assert.strictEqual((await canManageClientData(user('viewer', 'Greon001'), 'Greon001')).allowed, false);
+    assert.strictEqual((await canManageClientData(user('super_admin'), 'Greon002')).allowed, true);
+  });
+
+  await test('list filters are narrowed to accessible clients', async () => {
+    assert.deepStrictEqual(await clientListFilter(user('super_admin')), {});
+    assert.deepStrictEqual(await clientListFilter(user('super_admin'), 'Greon002'), { clientId: 'Greon002' });
+    assert.deepStrictEqual(await clientListFilter(user('client_admin', 'Greon001')), { clientId: { $in: ['Greon001'] } });
+    assert.strictEqual(await clientListFilter(user('client_admin', 'Greon001'), 'Greon002'), null);
+  });
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+  if (failed > 0) process.exit(1);
+  process.exit(0);
+})();
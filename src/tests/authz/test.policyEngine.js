@@ -0,0 +1,230 @@
+'use strict';
+
+/**
+ * Unit tests for the access-policy engine — condition language, built-in
+ * rules, deny-overrides, per-client rule limits and explanations. No DB:
+ * client attributes are preloaded and client rules passed in directly.
+ *
+ * Run: node src/tests/authz/test.policyEngine.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+
+const { validateCondition, evaluateCondition } = require('../../common/services/authz/conditions');
+const { createContext } = require('../../common/services/authz/attributes');
+const { LIBRARY } = require('../../common/services/authz/defaultPolicy');
+const {
+  actionMatches,
+  validateClientRules,
+  evaluate,
+} = require('../../common/services/authz/policyEngine');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const CONSULTANT_ID = '64b000000000000000000001';
+const ADMIN_ID      = '64b000000000000000000002';
+
+const acmeClient = {
+  exists: true,
+  clientId: 'Greon001',
+  sandbox: false,
+  activeModules: ['zero_carbon'],
+  assignedConsultantIds: [CONSULTANT_ID],
+  consultantAdminIds: [ADMIN_ID],
+  teamAdminIds: [],
+};
+
+// Every subject field set, so the context never falls back to a User lookup
+const user = (userType, extra = {}) => ({
+  _id: '64b0000000000000000000ff',
+  userType,
+  clientId: null,
+  accessibleModules: [],
+  assignedModules: [],
+  department: null,
+  location: null,
+  sandbox: false,
+  consultantAdminId: null,
+  employeeHeadId: null,
+  assignedClients: [],
+  isActive: true,
+  ...extra,
+});
+
+const acme = { type: 'client', clientId: 'Greon001' };
+
+const decide = (subject, action, resource = acme, extra = {}) =>
+  evaluate({ subject, action, resource, clientRules: [], preloaded: { client: acmeClient }, ...extra });
+
+(async () => {
+  console.log('\nAccess policy engine\n');
+
+  // ── Conditions ──────────────────────────────────────────────────────────────
+
+  await test('validateCondition reports unknown operators, bad refs and paths', async () => {
+    assert.deepStrictEqual(validateCondition({ eq: ['$subject.userType', 'viewer'] }, LIBRARY), []);
+    const problems = validateCondition(
+      { all: [{ gt: [1, 2] }, { ref: 'nope' }, { eq: ['$user.id', 'x'] }] },
+      LIBRARY
+    );
+    assert.strictEqual(problems.length, 3, problems.join('; '));
+  });
+
+  await test('evaluateCondition resolves attribute paths and named conditions', async () => {
+    const context = createContext({
+      subject: user('consultant', { _id: CONSULTANT_ID }),
+      resource: acme,
+      preloaded: { client: acmeClient },
+    });
+    assert.strictEqual(await evaluateCondition({ ref: 'assignedConsultant' }, context, LIBRARY), true);
+    assert.strictEqual(await evaluateCondition({ ref: 'consultantAdminOfClient' }, context, LIBRARY), false);
+    assert.strictEqual(
+      await evaluateCondition({ not: { intersects: ['$resource.client.activeModules', ['esg_link']] } }, context, LIBRARY),
+      true
+    );
+  });
+
+  await test('actionMatches supports * and prefix:* patterns', async () => {
+    assert.ok(actionMatches(['*'], 'm3:write'));
+    assert.ok(actionMatches(['esg_metric:*'], 'esg_metric:view_client'));
+    assert.ok(!actionMatches(['esg_metric:*'], 'esg_mapping:manage'));
+  });
+
+  // ── Built-in policy ─────────────────────────────────────────────────────────
+
+  await test('assigned consultant manages the client, others do not', async () => {
+    const assigned = await decide(user('consultant', { _id: CONSULTANT_ID }), 'flowchart:manage');
+    assert.strictEqual(assigned.allowed, true);
+    assert.strictEqual(assigned.ruleId, 'consultant-manages-client');
+
+    const other = await decide(user('consultant'), 'flowchart:manage');
+    assert.strictEqual(other.allowed, false);
+    assert.strictEqual(other.ruleId, null);
+  });
+
+  await test('client admin is limited to their own client', async () => {
+    assert.strictEqual((await decide(user('client_admin', { clientId: 'Greon001' }), 'client:manage_security')).allowed, true);
+    assert.strictEqual((await decide(user('client_admin', { clientId: 'Greon002' }), 'client:manage_security')).allowed, false);
+  });
+
+  await test('flowchart:view follows client membership and consultant assignment', async () => {
+    assert.strictEqual((await decide(user('viewer', { clientId: 'Greon001' }), 'flowchart:view')).allowed, true);
+    assert.strictEqual((await decide(user('employee', { clientId: 'Greon002' }), 'flowchart:view')).allowed, false);
+    assert.strictEqual((await decide(user('consultant_admin', { _id: ADMIN_ID }), 'flowchart:view')).allowed, true);
+    assert.strictEqual((await decide(user('consultant_admin'), 'flowchart:view')).allowed, false);
+    assert.strictEqual((await decide(user('contributor', { clientId: 'Greon001' }), 'flowchart:view')).allowed, false);
+  });
+
+  await test('module:access requires the module in accessibleModules', async () => {
+    const esg = { type: 'module', module: 'esg_link' };
+    assert.strictEqual((await decide(user('client_admin', { accessibleModules: ['esg_link'] }), 'module:access', esg)).allowed, true);
+    assert.strictEqual((await decide(user('client_admin', { accessibleModules: ['zero_carbon'] }), 'module:access', esg)).allowed, false);
+  });
+
+  await test('deny overrides allow (team user cannot approve in M3)', async () => {
+    const decision = await decide(user('team_user'), 'm3:approve');
+    assert.strictEqual(decision.allowed, false);
+    assert.strictEqual(decision.ruleId, 'm3-no-approval-for-team-roles');
+    assert.strictEqual((await decide(user('consultant'), 'm3:approve')).allowed, true);
+  });
+
+  await test('unknown action and missing client give explicit reasons', async () => {
+    assert.match((await decide(user('viewer'), 'reports:burn')).reason, /Unknown action/);
+    const missing = await evaluate({
+      subject: user('consultant'),
+      action: 'flowchart:manage',
+      resource: { type: 'client', clientId: 'Nope' },
+      clientRules: [],
+      preloaded: { client: { exists: false } },
+    });
+    assert.strictEqual(missing.reason, 'Client not found');
+  });
+
+  // ── Per-client rules ────────────────────────────────────────────────────────
+
+  await test('client allow rules can only grant grantable actions to client user types', async () => {
+    assert.deepStrictEqual(validateClientRules([
+      { id: 'viewers-see-boundary', effect: 'allow', actions: ['esg_boundary:view'], userTypes: ['viewer'] },
+    ]), []);
+
+    const problems = validateClientRules([
+      { id: 'grab', effect: 'allow', actions: ['esg_boundary:manage'], userTypes: ['viewer'] },
+      { id: 'consultants', effect: 'allow', actions: ['flowchart:view'], userTypes: ['consultant'] },
+      { id: 'anyone', effect: 'allow', actions: ['flowchart:view'] },
+    ]);
+    assert.strictEqual(problems.length, 3, problems.join('; '));
+  });
+
+  await test('client allow rules only apply to that client', async () => {
+    const rules = [{ id: 'viewers-see-boundary', effect: 'allow', actions: ['esg_boundary:view'], userTypes: ['viewer'] }];
+    const own = await decide(user('viewer', { clientId: 'Greon001' }), 'esg_boundary:view', acme, { clientRules: rules });
+    assert.strictEqual(own.allowed, true);
+    assert.strictEqual(own.source, 'client');
+
+    const foreign = await decide(user('viewer', { clientId: 'Greon002' }), 'esg_boundary:view', acme, { clientRules: rules });
+    assert.strictEqual(foreign.allowed, false);
+  });
+
+  await test('client deny rules restrict built-in access', async () => {
+    const rules = [{
+      id: 'no-consultant-security',
+      description: 'Only our own admin changes security settings',
+      effect: 'deny',
+      actions: ['client:manage_security'],
+      userTypes: ['consultant', 'consultant_admin'],
+    }];
+    const decision = await decide(user('consultant', { _id: CONSULTANT_ID }), 'client:manage_security', acme, { clientRules: rules });
+    assert.strictEqual(decision.allowed, false);
+    assert.strictEqual(decision.reason, 'Only our own admin changes security settings');
+  });
+
+  await test('client deny rules cannot lock out super_admin or the client admin', async () => {
+    const problems = validateClientRules([
+      { id: 'lock', effect: 'deny', actions: ['*'] },
+      { id: 'lock-admins', effect: 'deny', actions: ['*'], userTypes: ['super_admin', 'consultant'] },
+      { id: 'lock-own-admin', effect: 'deny', actions: ['client:*'], userTypes: ['client_admin'] },
+    ]);
+    assert.strictEqual(problems.length, 3, problems.join('; '));
+    assert.deepStrictEqual(validateClientRules([
+      { id: 'no-m3', effect: 'deny', actions: ['m3:*'], userTypes: ['client_admin'] },
+    ]), []);
+
+    // Rules stored before this was validated still never match super_admin
+    const lock = [{ id: 'lock', effect: 'deny', actions: ['*'] }];
+    const decision = await decide(user('super_admin'), 'client:manage_security', acme, { clientRules: lock });
+    assert.strictEqual(decision.allowed, true);
+    assert.strictEqual(decision.ruleId, 'super-admin');
+  });
+
+  // ── Explain ─────────────────────────────────────────────────────────────────
+
+  await test('explain lists every candidate rule with a trace', async () => {
+    const decision = await decide(user('consultant'), 'flowchart:manage', acme, { explain: true });
+    assert.strictEqual(decision.action, 'flowchart:manage');
+    const ids = decision.rules.map((r) => r.id);
+    assert.ok(ids.includes('super-admin'));
+    assert.ok(ids.includes('consultant-manages-client'));
+
+    const consultantRule = decision.rules.find((r) => r.id === 'consultant-manages-client');
+    assert.strictEqual(consultantRule.matched, false);
+    assert.ok(consultantRule.trace.length > 0);
+    assert.match(decision.rules.find((r) => r.id === 'super-admin').note, /not in \[super_admin\]/);
+    assert.deepStrictEqual(decision.attributes.resource.client.assignedConsultantIds, [CONSULTANT_ID]);
+  });
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed ? 1 : 0);
+})();
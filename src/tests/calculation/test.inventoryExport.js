@@ -0,0 +1,171 @@
+'use strict';
+
+/**
+ * Unit tests for inventoryExportService — pure logic, no DB required.
+ *
+ * Run: node src/tests/calculation/test.inventoryExport.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+const {
+  SCOPE3_CATEGORIES,
+  scope3CategoryFor,
+  buildInventory,
+  toCdp,
+  toEsrsE16,
+  describeEmissionFactor,
+  toReportData,
+} = require('../../modules/zero-carbon/calculation/services/inventoryExportService');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const es = {
+  byScope: {
+    'Scope 1': { CO2e: 120, CO2: 110, CH4: 0.3, N2O: 0.02 },
+    'Scope 2': { CO2e: 80 },
+    'Scope 3': { CO2e: 300 },
+  },
+  byCategory: {
+    'Stationary Combustion':         { scopeType: 'Scope 1', CO2e: 120 },
+    'Purchased Goods and Services':  { scopeType: 'Scope 3', CO2e: 150 },
+    'Fuel and energy':               { scopeType: 'Scope 3', CO2e: 40 },
+    'Upstream Transport and Distribution': { scopeType: 'Scope 3', CO2e: 60 },
+    'Business Travel':               { scopeType: 'Scope 3', CO2e: 45 },
+    'Something Else':                { scopeType: 'Scope 3', CO2e: 5 },
+  },
+  byDepartment: new Map([['Ops', { CO2e: 150 }], ['Admin', { CO2e: 50 }]]),
+};
+
+// ─── Category mapping ─────────────────────────────────────────────────────────
+
+test('there are 15 Scope 3 categories numbered 1..15', () => {
+  assert.deepStrictEqual(SCOPE3_CATEGORIES.map(c => c.number), [...Array(15)].map((_, i) => i + 1));
+});
+
+test('flowchart category names map to GHG Protocol categories', () => {
+  assert.strictEqual(scope3CategoryFor('Fuel and energy').number, 3);
+  assert.strictEqual(scope3CategoryFor('Waste Generated in Operation').number, 5);
+  assert.strictEqual(scope3CategoryFor('end-of-life treatment of sold products').number, 12);
+  assert.strictEqual(scope3CategoryFor('Downstream Transport and Distribution').number, 9);
+  assert.strictEqual(scope3CategoryFor('Stationary Combustion'), null);
+});
+
+// ─── Inventory ────────────────────────────────────────────────────────────────
+
+const inv = buildInventory(es);
+
+test('Scope 1 is reported by gas', () => {
+  assert.strictEqual(inv.scope1.CO2e, 120);
+  assert.deepStrictEqual(inv.scope1.byGas, { CO2: 110, CH4: 0.3, N2O: 0.02 });
+});
+
+test('Scope 2 market-based is null when not recorded', () => {
+  assert.strictEqual(inv.scope2.locationBased, 80);
+  assert.strictEqual(inv.scope2.marketBased, null);
+  assert.strictEqual(inv.totals.marketBased, null);
+  assert.strictEqual(inv.totals.locationBased, 500);
+});
+
+test('Scope 2 market-based feeds the market-based totals when present', () => {
+  const withMarket = buildInventory({ ...es, byScope: { ...es.byScope, 'Scope 2': { CO2e: 80, marketBased: { CO2e: 20 } } } });
+  assert.strictEqual(withMarket.scope2.marketBased, 20);
+  assert.strictEqual(withMarket.totals.scope1And2MarketBased, 140);
+  assert.strictEqual(withMarket.totals.marketBased, 440);
+});
+
+test('Scope 3 is split into the 15 categories with unmapped names kept apart', () => {
+  assert.strictEqual(inv.scope3.categories.length, 15);
+  const cat = (n) => inv.scope3.categories.find(c => c.number === n);
+  assert.strictEqual(cat(1).CO2e, 150);
+  assert.strictEqual(cat(3).CO2e, 40);
+  assert.strictEqual(cat(4).CO2e, 60);
+  assert.strictEqual(cat(2).reported, false);
+  assert.deepStrictEqual(inv.scope3.unmapped, [{ categoryName: 'Something Else', CO2e: 5 }]);
+});
+
+test('departments are read from a Map and sorted by emissions', () => {
+  assert.deepStrictEqual(inv.byDepartment.map(d => d.department), ['Ops', 'Admin']);
+});
+
+// ─── Framework shapes ─────────────────────────────────────────────────────────
+
+test('CDP C6.5 marks unreported categories as not evaluated', () => {
+  const cdp = toCdp(inv);
+  assert.strictEqual(cdp['C6.1'].value, 120);
+  const rows = cdp['C6.5'].rows;
+  assert.strictEqual(rows[0].evaluationStatus, 'Relevant, calculated');
+  assert.strictEqual(rows[1].evaluationStatus, 'Not evaluated');
+  assert.strictEqual(rows[1].metricTonnesCO2e, null);
+  assert.strictEqual(cdp['C7.1a'].rows.length, 3);
+});
+
+test('ESRS E1-6 lists only reported Scope 3 categories', () => {
+  const esrs = toEsrsE16(inv);
+  assert.strictEqual(esrs.grossScope1, 120);
+  assert.deepStrictEqual(esrs.scope3ByCategory.map(c => c.category), [1, 3, 4, 6]);
+  assert.strictEqual(esrs.totalGhgLocationBased, 500);
+});
+
+// ─── Emission factor provenance ──────────────────────────────────────────────
+
+test('country factors report reference, region and latest period', () => {
+  const d = describeEmissionFactor({
+    emissionFactor: 'Country',
+    emissionFactorValues: { countryData: {
+      C: 'India', regionGrid: 'National', reference: 'CEA v19', unit: 'kgCO2e/kWh',
+      yearlyValues: [{ periodLabel: 'FY22' }, { periodLabel: 'FY23' }],
+    } },
+  });
+  assert.strictEqual(d.dataset, 'CEA v19');
+  assert.strictEqual(d.version, 'FY23');
+  assert.strictEqual(d.region, 'India / National');
+});
+
+test('DEFRA factors report the latest GWP update date', () => {
+  const d = describeEmissionFactor({
+    emissionFactor: 'DEFRA',
+    emissionFactorValues: { defraData: { ghgUnits: [
+      { unit: 'CO2', gwpLastUpdated: '2024-01-01' },
+      { unit: 'CH4', gwpLastUpdated: '2024-06-30' },
+    ] } },
+  });
+  assert.strictEqual(d.gwpUpdated, '2024-06-30');
+});
+
+// ─── XLSX layout ──────────────────────────────────────────────────────────────
+
+test('report data has one section per framework plus notes', () => {
+  const exp = {
+    meta: { reportingYear: 2025, unit: 'tCO2e', companyName: 'Acme' },
+    inventory: inv,
+    cdp: toCdp(inv),
+    esrsE16: toEsrsE16(inv),
+    baseYear: [{ target_code: 'T1', base_year: 2020, base_year_emissions: 900, lifecycle_status: 'Active',
+      recalculations: [{ trigger_type: 'Acquisition', status: 'APPROVED', approved_at: new Date(), justification: 'Bought plant' }] }],
+    emissionFactors: { byScope: [] },
+    notes: ['n'],
+  };
+  const rd = toReportData(exp);
+  assert.strictEqual(rd.meta.period, '2025');
+  assert.deepStrictEqual(rd.sections.map(s => s.heading),
+    ['GHG Protocol inventory', 'CDP', 'ESRS E1-6', 'Base year, recalculations and emission factors']);
+  assert.strictEqual(rd.sections[3].tables[0].rows.length, 2);
+});
+
+// ─── Results ──────────────────────────────────────────────────────────────────
+
+console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,230 @@
+'use strict';
+
+/**
+ * Unit tests for email ingestion: MIME parsing, routing rules and the Maildir
+ * reader — no DB or mail server (the Maildir lives in a temp directory).
+ *
+ * Run: node src/tests/email-ingestion/test.emailParsing.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseMessage,
+  parseHeaderValue,
+  decodeEncodedWords,
+  parseAddress
+} = require('../../modules/zero-carbon/email-ingestion/utils/mimeParser');
+const {
+  compilePattern,
+  isSenderAllowed,
+  selectRule,
+  validateRules
+} = require('../../modules/zero-carbon/email-ingestion/utils/routingRules');
+const maildir = require('../../modules/zero-carbon/email-ingestion/maildirSource');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const pdfBytes = Buffer.from('%PDF-1.4\n1 0 obj\n<<>>\nendobj\n%%EOF\n');
+
+const billEmail = [
+  'From: "Tata Power" <Bills@TataPower.com>',
+  'To: bills+greon001@ingest.example.com',
+  'Subject: =?UTF-8?B?RWxlY3RyaWNpdHkgYmlsbA==?=',
+  '  =?UTF-8?Q?_=E2=80=93_March?=',
+  'Message-ID: <bill-0042@tatapower.com>',
+  'Date: Tue, 02 Apr 2024 10:15:00 +0530',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/mixed; boundary="outer"',
+  '',
+  'This is a multi-part message in MIME format.',
+  '--outer',
+  'Content-Type: multipart/alternative; boundary=inner',
+  '',
+  '--inner',
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  'Dear customer, your bill of =E2=82=B9 4,210 is attached.=',
+  '',
+  '--inner',
+  'Content-Type: text/html; charset=utf-8',
+  '',
+  '<p>Dear customer</p>',
+  '--inner--',
+  '--outer',
+  'Content-Type: image/png',
+  'Content-ID: <logo@tatapower>',
+  'Content-Disposition: inline; filename="logo.png"',
+  'Content-Transfer-Encoding: base64',
+  '',
+  Buffer.from('PNGDATA').toString('base64'),
+  '--outer',
+  'Content-Type: application/octet-stream',
+  'Content-Disposition: attachment;',
+  " filename*=UTF-8''bill%20March%202024.pdf",
+  'Content-Transfer-Encoding: base64',
+  '',
+  pdfBytes.toString('base64').replace(/(.{20})/g, '$1\r\n'),
+  '--outer--',
+  ''
+].join('\r\n');
+
+(async () => {
+  console.log('\nheaders');
+  await test('encoded words are decoded and adjacent words joined', () => {
+    assert.strictEqual(
+      decodeEncodedWords('=?UTF-8?B?RWxlY3RyaWNpdHkgYmlsbA==?= =?UTF-8?Q?_=E2=80=93_March?='),
+      'Electricity bill – March'
+    );
+    assert.strictEqual(decodeEncodedWords('=?iso-8859-1?Q?Facture_=E9lectricit=E9?='), 'Facture électricité');
+  });
+  await test('RFC 2231 continuations and quoted parameters', () => {
+    const cd = parseHeaderValue("attachment; filename*0*=UTF-8''Rechnung%20; filename*1=\"März.pdf\"");
+    assert.strictEqual(cd.value, 'attachment');
+    assert.strictEqual(cd.params.filename, 'Rechnung März.pdf');
+    const ct = parseHeaderValue('multipart/mixed; boundary="a;b"; charset=utf-8');
+    assert.deepStrictEqual(ct, { value: 'multipart/mixed', params: { boundary: 'a;b', charset: 'utf-8' } });
+  });
+  await test('addresses are lower-cased with or without a display name', () => {
+    assert.deepStrictEqual(parseAddress('"Tata Power" <Bills@TataPower.com>'), { name: 'Tata Power', address: 'bills@tatapower.com' });
+    assert.deepStrictEqual(parseAddress('accounts@fuel.co.in'), { name: null, address: 'accounts@fuel.co.in' });
+  });
+
+  console.log('\nmessages');
+  await test('bill email: sender, subject, text and attachments', () => {
+    const msg = parseMessage(Buffer.from(billEmail, 'utf8'));
+    assert.strictEqual(msg.messageId, 'bill-0042@tatapower.com');
+    assert.strictEqual(msg.from.address, 'bills@tatapower.com');
+    assert.strictEqual(msg.subject, 'Electricity bill – March');
+    assert.strictEqual(msg.date.toISOString(), '2024-04-02T04:45:00.000Z');
+    assert.ok(msg.text.startsWith('Dear customer, your bill of ₹ 4,210'));
+    assert.strictEqual(msg.attachments.length, 2);
+
+    const [logo, bill] = msg.attachments;
+    assert.strictEqual(logo.inline, true);
+    assert.strictEqual(bill.inline, false);
+    assert.strictEqual(bill.fileName, 'bill March 2024.pdf');
+    assert.strictEqual(bill.contentType, 'application/pdf');
+    assert.ok(bill.content.equals(pdfBytes));
+  });
+  await test('forwarded message attachments are found', () => {
+    const forwarded = [
+      'From: facilities@client.com',
+      'Subject: Fwd: Diesel invoice',
+      'Content-Type: multipart/mixed; boundary=fw',
+      '',
+      '--fw',
+      'Content-Type: text/plain',
+      '',
+      'See below',
+      '--fw',
+      'Content-Type: message/rfc822',
+      '',
+      'From: billing@fuel.co.in',
+      'Subject: Invoice',
+      'Content-Type: multipart/mixed; boundary=orig',
+      '',
+      '--orig',
+      'Content-Type: image/jpeg; name="invoice.jpg"',
+      'Content-Transfer-Encoding: base64',
+      '',
+      Buffer.from('JPEGDATA').toString('base64'),
+      '--orig--',
+      '--fw--'
+    ].join('\n');
+    const msg = parseMessage(forwarded);
+    assert.strictEqual(msg.from.address, 'facilities@client.com');
+    assert.strictEqual(msg.text, 'See below');
+    assert.strictEqual(msg.attachments.length, 1);
+    assert.strictEqual(msg.attachments[0].fileName, 'invoice.jpg');
+    assert.strictEqual(msg.attachments[0].content.toString(), 'JPEGDATA');
+  });
+  await test('non-email input is refused', () => {
+    assert.throws(() => parseMessage('just some text\n\nbody'), /Not an email message/);
+  });
+
+  console.log('\nrouting');
+  const rules = [
+    { name: 'inactive', senderPattern: '*', nodeId: 'n0', scopeIdentifier: 's0', isActive: false },
+    { name: 'electricity', senderPattern: '*@tatapower.com', subjectPattern: '*electricity*', nodeId: 'n1', scopeIdentifier: 'S2-ELEC' },
+    { name: 'diesel', filenamePattern: '/^(inv|invoice)[-_ ].*\\.pdf$/', nodeId: 'n2', scopeIdentifier: 'S1-DG' },
+    { name: 'catch-all', nodeId: 'n3', scopeIdentifier: 'S3-MISC' }
+  ];
+  await test('wildcards are anchored and case-insensitive', () => {
+    assert.ok(compilePattern('*@tatapower.com').test('Bills@TataPower.com'));
+    assert.ok(!compilePattern('*@tatapower.com').test('bills@tatapower.com.evil.io'));
+    assert.strictEqual(compilePattern(''), null);
+    assert.throws(() => compilePattern('/([/'));
+  });
+  await test('first active matching rule wins', () => {
+    const pick = (m) => selectRule(rules, m)?.name || null;
+    assert.strictEqual(pick({ from: 'bills@tatapower.com', subject: 'Electricity bill – March', fileName: 'x.pdf' }), 'electricity');
+    assert.strictEqual(pick({ from: 'bills@tatapower.com', subject: 'Invoice', fileName: 'Invoice_0042.pdf' }), 'diesel');
+    assert.strictEqual(pick({ from: 'someone@else.com', subject: 'Hi', fileName: 'scan.png' }), 'catch-all');
+    assert.strictEqual(selectRule(rules.slice(0, 3), { from: 'someone@else.com', subject: 'Hi', fileName: 'scan.png' }), null);
+  });
+  await test('sender allow-list', () => {
+    assert.strictEqual(isSenderAllowed([], 'anyone@x.com'), true);
+    assert.strictEqual(isSenderAllowed(['*@tatapower.com', 'accounts@client.com'], 'ACCOUNTS@client.com'), true);
+    assert.strictEqual(isSenderAllowed(['*@tatapower.com'], 'spam@x.com'), false);
+    assert.strictEqual(isSenderAllowed(['*@tatapower.com'], null), false);
+  });
+  await test('rule validation names the broken rule', () => {
+    assert.strictEqual(validateRules(rules), null);
+    assert.match(validateRules([{ name: 'bad', nodeId: 'n', scopeIdentifier: 's', subjectPattern: '/(/' }]), /"bad": subjectPattern/);
+    assert.match(validateRules([{ name: 'no-scope', nodeId: 'n' }]), /nodeId and scopeIdentifier are required/);
+  });
+
+  console.log('\nmaildir');
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-ingest-'));
+  process.env.MAIL_INGEST_ROOT = root;
+  await test('mailbox paths stay below the client directory', () => {
+    assert.strictEqual(maildir.resolveMaildirPath({ clientId: 'Greon001' }), path.join(root, 'Greon001'));
+    assert.strictEqual(maildir.isWithinClientRoot('Greon001', 'Greon001/inbox'), true);
+    assert.strictEqual(maildir.isWithinClientRoot('Greon001', 'Greon001'), true);
+    assert.strictEqual(maildir.isWithinClientRoot('Greon001', 'Greon002'), false);
+    assert.strictEqual(maildir.isWithinClientRoot('Greon001', 'Greon001/../Greon002'), false);
+    assert.strictEqual(maildir.isWithinClientRoot('Greon001', 'Greon0011'), false);
+    assert.strictEqual(maildir.isWithinClientRoot('Greon001', '../etc'), false);
+    assert.strictEqual(maildir.isWithinClientRoot('Greon001', '/etc'), false);
+    assert.strictEqual(maildir.isWithinClientRoot('..', 'x'), false);
+    assert.throws(() => maildir.resolveMaildirPath({ clientId: 'Greon001', source: { path: 'Greon002' } }), /outside/);
+  });
+  await test('messages are claimed once, oldest first, and read from cur/', async () => {
+    const dir = maildir.resolveMaildirPath({ clientId: 'Greon001' });
+    await maildir.ensureMaildir(dir);
+    fs.writeFileSync(path.join(dir, 'new', '1712040000.M2P1.host'), 'second');
+    fs.writeFileSync(path.join(dir, 'new', '1712030000.M1P1.host'), billEmail);
+
+    const names = await maildir.listNewMessages(dir);
+    assert.deepStrictEqual(names, ['1712030000.M1P1.host', '1712040000.M2P1.host']);
+
+    const key = await maildir.claimMessage(dir, names[0]);
+    assert.strictEqual(key, '1712030000.M1P1.host:2,S');
+    assert.strictEqual(await maildir.claimMessage(dir, names[0]), null);
+    assert.strictEqual((await maildir.readMessage(dir, key)).toString(), billEmail);
+    assert.strictEqual(await maildir.readMessage(dir, '../new/1712040000.M2P1.host'), null);
+    assert.deepStrictEqual(await maildir.listNewMessages(dir), ['1712040000.M2P1.host']);
+  });
+  fs.rmSync(root, { recursive: true, force: true });
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+  if (failed > 0) process.exit(1);
+  process.exit(0);
+})();
@@ -0,0 +1,232 @@
+'use strict';
+
+/**
+ * Unit tests for factorImport.service — pure logic, no DB required (publish
+ * runs against stubbed models).
+ *
+ * Run: node src/tests/emission-factor/test.factorImport.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+const XLSX = require('xlsx');
+const {
+  parseNumber,
+  parseWorkbook,
+  mapRow,
+  rowKey,
+  pctChange,
+  diffRows,
+  applyOp,
+  revertOp,
+  applyRows,
+  revertRows,
+} = require('../../modules/zero-carbon/emission-factor/services/factorImport.service');
+const DefraData = require('../../modules/zero-carbon/emission-factor/models/DefraData');
+const EmissionFactorImportRow = require('../../modules/zero-carbon/emission-factor/models/EmissionFactorImportRow');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const defraRow = (over = {}) => ({
+  scope: 'Scope 1', level1: 'Fuels', level2: 'Liquid fuels', level3: 'Diesel', level4: '',
+  columnText: 'litres', uom: 'litres', ghgUnit: 'kg CO2e', ghgConversionFactor: 2.5, ...over,
+});
+
+// ─── Parsing & mapping ────────────────────────────────────────────────────────
+
+test('parseNumber reads plain, comma and "x 10-n" notation', () => {
+  assert.strictEqual(parseNumber('1,234.5'), 1234.5);
+  assert.strictEqual(parseNumber('3 x 10-5'), 3e-5);
+  assert.strictEqual(parseNumber(0.2), 0.2);
+  assert.ok(Number.isNaN(parseNumber('')));
+  assert.ok(Number.isNaN(parseNumber('n/a')));
+});
+
+test('CSV buffers parse with a header row offset', () => {
+  const csv = 'DEFRA conversion factors 2025\nScope,Level 1,UOM,GHG/Unit,GHG Conversion Factor 2025\nScope 1,Fuels,litres,kg CO2e,2.51\n';
+  const { rows } = parseWorkbook(Buffer.from(csv), { headerRow: 2 });
+  assert.strictEqual(rows.length, 1);
+  assert.strictEqual(rows[0]['GHG Conversion Factor 2025'], 2.51);
+});
+
+test('XLSX buffers parse from a named sheet', () => {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['x']]), 'Intro');
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['Scope', 'Value'], ['Scope 1', 2]]), 'Factors');
+  const buf = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+  const { sheetName, rows } = parseWorkbook(buf, { sheetName: 'Factors' });
+  assert.strictEqual(sheetName, 'Factors');
+  assert.deepStrictEqual(rows, [{ Scope: 'Scope 1', Value: 2 }]);
+  assert.throws(() => parseWorkbook(buf, { sheetName: 'Nope' }), /not found/);
+});
+
+test('default aliases match case-insensitively and accept a year-suffixed factor column', () => {
+  const row = mapRow('DEFRA', {
+    SCOPE: 'Scope 1', 'level 1': 'Fuels', UOM: 'litres', 'GHG/Unit': 'kg CO2e', 'GHG Conversion Factor 2025': '2.51',
+  });
+  assert.strictEqual(row.scope, 'Scope 1');
+  assert.strictEqual(row.level1, 'Fuels');
+  assert.strictEqual(row.columnText, 'litres');
+  assert.strictEqual(row.ghgConversionFactor, 2.51);
+});
+
+test('template columns take precedence over aliases', () => {
+  const row = mapRow('EPA', {
+    'Emission Scope': 'Scope 1', Category: 'Stationary', Unit: 'mmBtu', Gas: 'kg CO2', 'Factor (kg/unit)': '53.06',
+  }, { scopeEPA: 'Emission Scope', level1EPA: 'Category', ghgUnitEPA: 'Gas', ghgConversionFactorEPA: 'Factor (kg/unit)' });
+  assert.strictEqual(row.scopeEPA, 'Scope 1');
+  assert.strictEqual(row.uomEPA, 'mmBtu');
+  assert.strictEqual(row.ghgConversionFactorEPA, 53.06);
+});
+
+// ─── Diff ─────────────────────────────────────────────────────────────────────
+
+test('DEFRA row keys include the gas', () => {
+  assert.notStrictEqual(rowKey('DEFRA', defraRow()), rowKey('DEFRA', defraRow({ ghgUnit: 'kg CH4' })));
+  assert.ok(rowKey('DEFRA', defraRow()).endsWith('|kg co2e'));
+});
+
+test('pctChange is relative to the old value and null from zero', () => {
+  assert.strictEqual(pctChange(2, 2.5), 25);
+  assert.strictEqual(pctChange(4, 3), -25);
+  assert.strictEqual(pctChange(0, 1), null);
+  assert.strictEqual(pctChange(0, 0), 0);
+});
+
+const live = [
+  { _id: 'a', ...defraRow(), edition: 'DEFRA 2024', publicationYear: 2024 },
+  { _id: 'b', ...defraRow({ ghgUnit: 'kg CH4', ghgConversionFactor: 0.01 }) },
+  { _id: 'c', ...defraRow({ level3: 'Petrol', ghgConversionFactor: 2.3 }) },
+];
+const incoming = [
+  { rowNumber: 2, row: defraRow({ ghgConversionFactor: 2.6 }) },
+  { rowNumber: 3, row: defraRow({ ghgUnit: 'kg CH4', ghgConversionFactor: 0.01 }) },
+  { rowNumber: 4, row: defraRow({ level3: 'Biodiesel', ghgConversionFactor: 0.2 }) },
+  { rowNumber: 5, row: defraRow({ level1: '', ghgConversionFactor: 1 }) },
+  { rowNumber: 6, row: defraRow({ ghgConversionFactor: 2.75 }) },
+];
+const diff = diffRows('DEFRA', incoming, live);
+const byChange = (c) => diff.rows.filter(r => r.change === c);
+
+test('diff classifies added, changed, removed and unchanged rows', () => {
+  assert.deepStrictEqual(
+    { added: diff.summary.added, changed: diff.summary.changed, removed: diff.summary.removed, unchanged: diff.summary.unchanged },
+    { added: 1, changed: 1, removed: 1, unchanged: 1 }
+  );
+  assert.strictEqual(byChange('added')[0].row.level3, 'Biodiesel');
+  assert.strictEqual(byChange('removed')[0].previous._id, 'c');
+  assert.strictEqual(byChange('removed')[0].previous.doc.level3, 'Petrol');
+});
+
+test('later duplicates win and invalid rows are reported with their row number', () => {
+  const changed = byChange('changed')[0];
+  assert.strictEqual(diff.summary.duplicates, 1);
+  assert.strictEqual(changed.newValue, 2.75);
+  assert.strictEqual(changed.oldValue, 2.5);
+  assert.strictEqual(changed.pctChange, 10);
+  assert.strictEqual(changed.previous.edition, 'DEFRA 2024');
+  assert.strictEqual(diff.summary.invalid, 1);
+  assert.strictEqual(diff.errors[0].rowNumber, 5);
+});
+
+// ─── Publish / rollback ops ──────────────────────────────────────────────────
+
+const imp = { edition: 'DEFRA 2025', publicationYear: 2025, validFrom: new Date('2025-01-01'), validTo: null };
+
+test('publish stamps the edition and records history on changed rows', () => {
+  const op = applyOp('DEFRA', imp, byChange('changed')[0], 'u1').updateOne;
+  assert.strictEqual(op.update.$set.ghgConversionFactor, 2.75);
+  assert.strictEqual(op.update.$set.edition, 'DEFRA 2025');
+  assert.strictEqual(op.update.$push.conversionFactorHistory.oldValue, 2.5);
+  const added = byChange('added')[0];
+  assert.strictEqual(applyOp('DEFRA', imp, added, 'u1').insertOne.document.publicationYear, 2025);
+  assert.ok(added.appliedId, 'added rows get their library id when staged');
+  assert.strictEqual(applyOp('DEFRA', imp, added, 'u1').insertOne.document._id, added.appliedId);
+  assert.ok(applyOp('DEFRA', imp, byChange('removed')[0], 'u1').deleteOne);
+});
+
+test('EPA and IPCC use their own edition fields and soft delete', () => {
+  const epaOp = applyOp('EPA', imp, { change: 'unchanged', previous: { _id: 'x' } }, 'u1').updateOne;
+  assert.strictEqual(epaOp.update.$set.editionEPA, 'DEFRA 2025');
+  const ipccOp = applyOp('IPCC', imp, { change: 'removed', previous: { _id: 'y' } }, 'u1').updateOne;
+  assert.strictEqual(ipccOp.update.$set.isActive, false);
+});
+
+test('rollback restores previous values and re-inserts removed rows', () => {
+  const changed = revertOp('DEFRA', byChange('changed')[0], 'u1').updateOne;
+  assert.strictEqual(changed.filter.ghgConversionFactor, 2.75);
+  assert.strictEqual(changed.update.$set.ghgConversionFactor, 2.5);
+  assert.strictEqual(changed.update.$set.edition, 'DEFRA 2024');
+  assert.strictEqual(revertOp('DEFRA', byChange('removed')[0], 'u1').replaceOne.replacement.level3, 'Petrol');
+  assert.deepStrictEqual(revertOp('DEFRA', byChange('added')[0], 'u1'), { deleteOne: { filter: { _id: byChange('added')[0].appliedId } } });
+  assert.strictEqual(revertOp('DEFRA', { ...byChange('added')[0], appliedId: null }, 'u1'), null);
+});
+
+// In-memory library and staged rows; DefraData.bulkWrite fails after `failAfter` ops
+function stubPublish({ stagedRows, library, failAfter }) {
+  const lean = (v) => ({ sort: () => ({ limit: () => ({ lean: async () => v }) }) });
+  let served = false;
+  EmissionFactorImportRow.find = () => {
+    const batch = served ? [] : stagedRows.map(r => ({ ...r }));
+    served = true;
+    return lean(batch);
+  };
+  EmissionFactorImportRow.bulkWrite = async () => ({});
+  DefraData.bulkWrite = async (ops) => {
+    ops.forEach((op, i) => {
+      if (failAfter != null && i >= failAfter) throw new Error('E11000 write failed mid-batch');
+      if (op.insertOne) library.set(String(op.insertOne.document._id), op.insertOne.document);
+      if (op.deleteOne) library.delete(String(op.deleteOne.filter._id));
+    });
+    return {};
+  };
+  return () => { served = false; };
+}
+
+const stagedAdds = diffRows('DEFRA', [
+  { rowNumber: 2, row: defraRow({ level3: 'Biodiesel' }) },
+  { rowNumber: 3, row: defraRow({ level3: 'Bioethanol' }) },
+  { rowNumber: 4, row: defraRow({ level3: 'Biogas' }) },
+], []).rows.map((r, i) => ({ ...r, _id: `row${i}` }));
+
+(async () => {
+  await test('a batch failing part-way is fully reverted', async () => {
+    const library = new Map();
+    const reset = stubPublish({ stagedRows: stagedAdds, library, failAfter: 2 });
+    await assert.rejects(applyRows({ _id: 'imp1', library: 'DEFRA', ...imp }, 'u1'), /mid-batch/);
+    assert.strictEqual(library.size, 2);
+
+    reset();
+    DefraData.bulkWrite = async (ops) => { ops.forEach(op => library.delete(String(op.deleteOne.filter._id))); return {}; };
+    await revertRows({ _id: 'imp1', library: 'DEFRA' }, 'u1');
+    assert.strictEqual(library.size, 0);
+  });
+
+  await test('rows staged without an id get one stored before the write', async () => {
+    const marked = [];
+    const library = new Map();
+    stubPublish({ stagedRows: stagedAdds.map(r => ({ ...r, appliedId: null })), library, failAfter: 1 });
+    EmissionFactorImportRow.bulkWrite = async (ops) => { marked.push(...ops); return {}; };
+    await assert.rejects(applyRows({ _id: 'imp1', library: 'DEFRA', ...imp }, 'u1'));
+    assert.strictEqual(marked.length, 3);
+    const inserted = [...library.keys()];
+    assert.deepStrictEqual(inserted, [String(marked[0].updateOne.update.$set.appliedId)]);
+  });
+
+  // ─── Results ──────────────────────────────────────────────────────────────────
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+  if (failed > 0) process.exit(1);
+})();
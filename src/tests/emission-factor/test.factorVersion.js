@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * Unit tests for factorVersion.service — pure logic, no DB required.
+ *
+ * Run: node src/tests/emission-factor/test.factorVersion.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+const {
+  rowFactorKey,
+  scopeFactorKey,
+  normalizeGhgUnits,
+  scopeSnapshotFactor,
+  pickVersion,
+  applyVersionToScope,
+  appliedFactorRecord,
+  versionsFromRows,
+  versionsFromCountry,
+} = require('../../modules/zero-carbon/emission-factor/services/factorVersion.service');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const defraRow = (ghgUnit, factor) => ({
+  _id: `${ghgUnit}-id`, scope: 'Scope 1', level1: 'Fuels', level2: 'Liquid fuels', level3: 'Diesel',
+  level4: '', columnText: '', uom: 'litres', ghgUnit, ghgConversionFactor: factor,
+});
+
+// ─── Keys ─────────────────────────────────────────────────────────────────────
+
+test('DEFRA rows of the same factor share a key regardless of gas', () => {
+  assert.strictEqual(rowFactorKey('DEFRA', defraRow('kg CO2e', 2.5)), rowFactorKey('DEFRA', defraRow('kg CH4', 0.01)));
+  assert.strictEqual(rowFactorKey('DEFRA', defraRow('kg CO2e', 2.5)), 'scope 1|fuels|liquid fuels|diesel|||litres');
+});
+
+test('Country and Hub scopes derive their key from the flowchart snapshot', () => {
+  const country = { emissionFactor: 'Country', emissionFactorValues: { countryData: { C: 'India', regionGrid: 'National' } } };
+  assert.strictEqual(scopeFactorKey(country), rowFactorKey('Country', { country: 'India', regionGrid: 'National' }));
+  const hub = { emissionFactor: 'EmissionFactorHub', emissionFactorValues: { emissionFactorHubData: {
+    scope: 'Scope 3', category: 'Travel', activity: 'Air', itemName: 'Short haul', unit: 'pkm' } } };
+  assert.strictEqual(scopeFactorKey(hub), 'scope 3|travel|air|short haul|pkm');
+});
+
+test('DEFRA scopes without an explicit key are not versioned', () => {
+  assert.strictEqual(scopeFactorKey({ emissionFactor: 'DEFRA', emissionFactorValues: { defraData: {} } }), null);
+  assert.strictEqual(scopeFactorKey({ emissionFactor: 'DEFRA', emissionFactorValues: { factorKey: 'k' } }), 'k');
+});
+
+test('ghgUnits normalise by gas with CO2e checked before CO2', () => {
+  assert.deepStrictEqual(
+    normalizeGhgUnits([{ unit: 'kg CO2e', factor: 2.5 }, { unit: 'kg CO2', factor: 2.4 }, { unit: 'kg CH4', factor: 0.01 }]),
+    { CO2: 2.4, CH4: 0.01, N2O: 0, CO2e: 2.5 }
+  );
+});
+
+// ─── Resolution ───────────────────────────────────────────────────────────────
+
+const v2024 = { _id: 'a', edition: 'DEFRA 2024', publicationYear: 2024, validFrom: new Date('2024-01-01'), validTo: new Date('2024-12-31T23:59:59Z') };
+const v2025 = { _id: 'b', edition: 'DEFRA 2025', publicationYear: 2025, validFrom: new Date('2025-01-01'), validTo: null };
+
+test('picks the version whose window contains the activity date', () => {
+  assert.strictEqual(pickVersion([v2024, v2025], new Date('2024-06-01')).edition, 'DEFRA 2024');
+  assert.strictEqual(pickVersion([v2024, v2025], new Date('2026-02-01')).edition, 'DEFRA 2025');
+  assert.strictEqual(pickVersion([v2024, v2025], new Date('2023-06-01')), null);
+});
+
+test('overlapping windows resolve to the later publication', () => {
+  const correction = { _id: 'c', edition: 'DEFRA 2024 rev', publicationYear: 2025, validFrom: new Date('2024-01-01'), validTo: new Date('2024-12-31') };
+  assert.strictEqual(pickVersion([v2024, correction], new Date('2024-06-01')).edition, 'DEFRA 2024 rev');
+});
+
+// ─── Applying a version ───────────────────────────────────────────────────────
+
+test('DEFRA versions overwrite matching ghgUnits and keep GWP values', () => {
+  const scope = { emissionFactor: 'DEFRA', emissionFactorValues: { defraData: { ghgUnits: [
+    { unit: 'kg CO2e', ghgconversionFactor: 2.5, gwpValue: 1 },
+  ] } } };
+  const out = applyVersionToScope(scope, { library: 'DEFRA', ghgUnits: [{ unit: 'kg CO2e', factor: 2.6 }, { unit: 'kg N2O', factor: 0.02 }] });
+  assert.deepStrictEqual(out.emissionFactorValues.defraData.ghgUnits, [
+    { unit: 'kg CO2e', ghgconversionFactor: 2.6, gwpValue: 1 },
+    { unit: 'kg N2O', ghgconversionFactor: 0.02, gwpValue: 0 },
+  ]);
+  assert.strictEqual(scope.emissionFactorValues.defraData.ghgUnits[0].ghgconversionFactor, 2.5);
+  assert.strictEqual(scopeSnapshotFactor({ ...out, emissionFactor: 'DEFRA' }), 2.6);
+});
+
+test('Country versions become the single yearly value the calculator reads', () => {
+  const scope = { emissionFactor: 'Country', emissionFactorValues: { countryData: { C: 'India', yearlyValues: [{ value: 0.82 }] } } };
+  const out = applyVersionToScope(scope, { library: 'Country', edition: 'CEA v20', factors: { CO2: 0.71 }, validFrom: new Date('2024-04-01') });
+  assert.strictEqual(out.emissionFactorValues.countryData.yearlyValues.length, 1);
+  assert.strictEqual(out.emissionFactorValues.countryData.yearlyValues[0].value, 0.71);
+  assert.strictEqual(out.emissionFactorValues.countryData.yearlyValues[0].from, '2024-04-01');
+});
+
+test('applied factor record carries the version id and edition', () => {
+  const rec = appliedFactorRecord('DEFRA', { CO2e: 2.6 }, { ...v2025, factorKey: 'k' });
+  assert.strictEqual(rec.versionId, 'b');
+  assert.strictEqual(rec.edition, 'DEFRA 2025');
+  assert.strictEqual(rec.values.CO2e, 2.6);
+  assert.strictEqual(appliedFactorRecord('Custom', {}, null).versionId, null);
+});
+
+// ─── Snapshots ────────────────────────────────────────────────────────────────
+
+test('DEFRA rows group into one version per factor', () => {
+  const versions = versionsFromRows('DEFRA', [defraRow('kg CO2e', 2.5), defraRow('kg CH4', 0.01)],
+    { edition: 'DEFRA 2025', publicationYear: 2025 });
+  assert.strictEqual(versions.length, 1);
+  assert.strictEqual(versions[0].ghgUnits.length, 2);
+  assert.strictEqual(versions[0].factors.CO2e, 2.5);
+  assert.strictEqual(versions[0].publicationYear, 2025);
+  assert.strictEqual(versions[0].sourceIds.length, 2);
+});
+
+test('each country period becomes its own effective-dated version', () => {
+  const versions = versionsFromCountry([{
+    _id: 'x', country: 'India', regionGrid: 'National', reference: 'CEA', unit: 'kWh',
+    yearlyValues: [
+      { from: '2022-04-01', to: '2023-03-31', periodLabel: 'FY23', value: 0.72 },
+      { from: '2023-04-01', to: '2024-03-31', periodLabel: 'FY24', value: 0.71 },
+    ],
+  }], {});
+  assert.deepStrictEqual(versions.map(v => v.edition), ['CEA FY23', 'CEA FY24']);
+  assert.strictEqual(pickVersion(versions, new Date('2023-10-01')).factors.CO2, 0.71);
+});
+
+// ─── Results ──────────────────────────────────────────────────────────────────
+
+console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exit(1);
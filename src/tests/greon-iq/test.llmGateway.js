@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * Unit tests for the GreOn IQ LLM gateway — offline, no DB, no network.
+ *
+ * Uses the deterministic mock provider. The deployment-default chain is set
+ * through env before the gateway is loaded; no clientId is passed, so the
+ * per-client settings lookup is skipped.
+ *
+ * Run: node src/tests/greon-iq/test.llmGateway.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+process.env.GREONIQ_LLM_PROVIDER = 'mock:mock-error';
+process.env.GREONIQ_LLM_FALLBACK = 'mock:mock-timeout,mock';
+
+const assert = require('assert');
+const gateway = require('../../modules/greon-iq/providers/llmGateway');
+const mockProvider = require('../../modules/greon-iq/providers/llm/mockProvider');
+const { registerLlmProvider } = require('../../modules/greon-iq/providers/llm');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const accessContext = { userType: 'client_admin', clientId: null, accessibleModules: ['zero_carbon'] };
+const answerParams  = {
+  userQuestion:   'What are our scope 1 emissions?',
+  accessContext,
+  queryPlan:      { intent: 'emission_summary', dateRange: null },
+  structuredData: { recordCount: 3, data: {} },
+  outputMode:     'plain',
+};
+
+(async () => {
+  await test('parseChain splits provider and optional model', () => {
+    assert.deepStrictEqual(gateway.parseChain('deepseek, ollama:llama3.1:8b ,,mock'), [
+      { provider: 'deepseek', model: null },
+      { provider: 'ollama',   model: 'llama3.1:8b' },
+      { provider: 'mock',     model: null },
+    ]);
+  });
+
+  await test('Falls back past error and timeout to the next provider', async () => {
+    const r = await gateway.generateAnswer(answerParams);
+    assert.strictEqual(r.success, true);
+    assert.strictEqual(r.provider, 'mock');
+    assert.strictEqual(r.model, 'mock-echo');
+    assert.deepStrictEqual(r.attempts.map((a) => a.code), ['PROVIDER_UNAVAILABLE', 'PROVIDER_TIMEOUT']);
+  });
+
+  await test('Usage keeps the { tokensIn, tokensOut } shape', async () => {
+    const r = await gateway.generateAnswer(answerParams);
+    assert.ok(Number.isInteger(r.usage.tokensIn) && r.usage.tokensIn > 0);
+    assert.ok(Number.isInteger(r.usage.tokensOut) && r.usage.tokensOut > 0);
+  });
+
+  await test('Mock provider is deterministic', async () => {
+    const a = await gateway.generateAnswer(answerParams);
+    const b = await gateway.generateAnswer(answerParams);
+    assert.strictEqual(a.content, b.content);
+    assert.deepStrictEqual(a.usage, b.usage);
+    assert.ok(a.content.includes('3 record(s)'));
+  });
+
+  await test('Suggestions parse the mock JSON array', async () => {
+    const s = await gateway.generateSuggestions({ lastIntent: 'emission_summary', lastProduct: 'zero_carbon' });
+    assert.strictEqual(s.length, 3);
+  });
+
+  await test('All providers failing returns the last safe error', async () => {
+    registerLlmProvider('always-down', { name: 'always-down', chat: async () => mockProvider.chat([], { model: 'mock-auth' }) });
+    process.env.GREONIQ_LLM_PROVIDER = 'always-down';
+    process.env.GREONIQ_LLM_FALLBACK = 'mock:mock-error';
+    const r = await gateway.generateReport({ reportData: {}, sections: ['executive_summary'], accessContext });
+    assert.strictEqual(r.success, false);
+    assert.strictEqual(r.code, 'PROVIDER_UNAVAILABLE');
+    assert.strictEqual(r.usage, null);
+    assert.strictEqual(r.attempts.length, 2);
+  });
+
+  await test('Unregistered providers in the chain are skipped', async () => {
+    process.env.GREONIQ_LLM_PROVIDER = 'not-configured';
+    process.env.GREONIQ_LLM_FALLBACK = 'mock';
+    const r = await gateway.generateAnswer(answerParams);
+    assert.strictEqual(r.success, true);
+    assert.strictEqual(r.attempts[0].code, 'PROVIDER_NOT_REGISTERED');
+  });
+
+  await test('The mock provider is not registered in production', async () => {
+    const registryPath = require.resolve('../../modules/greon-iq/providers/llm');
+    const prevEnv = process.env.NODE_ENV;
+    delete require.cache[registryPath];
+    process.env.NODE_ENV = 'production';
+    try {
+      const prod = require('../../modules/greon-iq/providers/llm');
+      assert.strictEqual(prod.mockProviderEnabled(), false);
+      assert.ok(!prod.listLlmProviders().includes('mock'));
+      assert.strictEqual(prod.getLlmProvider('mock'), null);
+      process.env.GREONIQ_LLM_ALLOW_MOCK = 'true';
+      assert.strictEqual(prod.mockProviderEnabled(), true);
+    } finally {
+      if (prevEnv === undefined) delete process.env.NODE_ENV;
+      else process.env.NODE_ENV = prevEnv;
+      delete process.env.GREONIQ_LLM_ALLOW_MOCK;
+      delete require.cache[registryPath];
+    }
+  });
+
+  // ─── Results ────────────────────────────────────────────────────────────────
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+  if (failed > 0) process.exit(1);
+})();
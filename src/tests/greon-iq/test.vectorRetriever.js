@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * Unit tests for GreOn IQ vector retrieval — offline, no DB, no network.
+ *
+ * Uses the in-memory vector store and the local-hash embedder. Covers the
+ * client / node / scope / user filtering in both stores (the Mongo filter is
+ * checked structurally) and the unchanged-text skip on reindex.
+ *
+ * Run: node src/tests/greon-iq/test.vectorRetriever.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+process.env.GREONIQ_VECTOR_STORE     = 'memory';
+process.env.GREONIQ_VECTOR_MIN_SCORE = '0';
+
+const assert = require('assert');
+const { getVectorStore }   = require('../../modules/greon-iq/providers/vectorStores');
+const { _buildFilter }     = require('../../modules/greon-iq/providers/vectorStores/mongoVectorStore');
+const { embed }            = require('../../modules/greon-iq/providers/embeddingProvider');
+const vectorIndexService   = require('../../modules/greon-iq/services/vectorIndexService');
+const { retrieve }         = require('../../modules/greon-iq/retrievers/vectorRetriever');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const store = getVectorStore();
+
+async function seed(clientId, sourceType, sourceId, content, scope = {}) {
+  await store.upsertSourceChunks({
+    clientId,
+    sourceType,
+    sourceId,
+    chunks: [{
+      chunkIndex:     0,
+      content,
+      embedding:      await embed(content),
+      embeddingModel: 'local-hash',
+      sourceHash:     `${sourceId}-hash`,
+      title:          sourceId,
+      product:        'zero_carbon',
+      scope,
+    }],
+  });
+}
+
+function accessContext(overrides = {}) {
+  return {
+    userType:          'client_admin',
+    userId:            'u1',
+    isUnrestricted:    false,
+    isScopeRestricted: false,
+    nodeRestrictions:  null,
+    hasZCModule:       () => true,
+    hasESGModule:      () => true,
+    ...overrides,
+  };
+}
+
+function plan(overrides = {}) {
+  return {
+    clientId: 'C1',
+    sections: ['tickets', 'ocr_documents'],
+    filters:  {},
+    question: 'electricity bill diesel generator',
+    ...overrides,
+  };
+}
+
+const ids = (result) => result.data.vectorChunks.records.map((r) => r.sourceId).sort();
+
+(async () => {
+
+  // ─── Mongo candidate filter ─────────────────────────────────────────────────
+
+  await test('Mongo filter always pins the client', async () => {
+    assert.deepStrictEqual(_buildFilter('C1'), { clientId: 'C1' });
+    assert.deepStrictEqual(_buildFilter('C1', { sourceTypes: ['ocr_bill'] }), {
+      clientId:   'C1',
+      sourceType: { $in: ['ocr_bill'] },
+    });
+  });
+
+  await test('Mongo filter restricts node, scope and user only where the chunk carries them', async () => {
+    const q = _buildFilter('C1', { nodeIds: ['n1'], scopeIdentifiers: ['s1'], userId: 42 });
+    assert.strictEqual(q.clientId, 'C1');
+    assert.deepStrictEqual(q.$and, [
+      { $or: [{ 'scope.nodeId': null }, { 'scope.nodeId': { $in: ['n1'] } }] },
+      { $or: [{ 'scope.scopeIdentifier': null }, { 'scope.scopeIdentifier': { $in: ['s1'] } }] },
+      { $or: [{ 'scope.userIds.0': { $exists: false } }, { 'scope.userIds': '42' }] },
+    ]);
+  });
+
+  // ─── Memory store ───────────────────────────────────────────────────────────
+
+  store.clear();
+  await seed('C1', 'ocr_bill',      'bill-n1',   'electricity bill diesel generator', { nodeId: 'n1', scopeIdentifier: 's1' });
+  await seed('C1', 'ocr_bill',      'bill-n2',   'electricity bill diesel generator', { nodeId: 'n2', scopeIdentifier: 's2' });
+  await seed('C1', 'ocr_bill',      'bill-open', 'electricity bill diesel generator');
+  await seed('C1', 'ticket_thread', 'ticket-u1', 'electricity bill diesel generator', { userIds: ['u1'] });
+  await seed('C1', 'ticket_thread', 'ticket-u2', 'electricity bill diesel generator', { userIds: ['u2'] });
+  await seed('C2', 'ocr_bill',      'bill-c2',   'electricity bill diesel generator');
+
+  const embedding = await embed('electricity bill diesel generator');
+  const query = (clientId, filters) =>
+    store.query({ clientId, embedding, filters, topK: 20 }).then((rows) => rows.map((r) => r.sourceId).sort());
+
+  await test('Memory store never returns another client\'s chunks', async () => {
+    assert.deepStrictEqual(await query('C2', {}), ['bill-c2']);
+    assert.ok(!(await query('C1', {})).includes('bill-c2'));
+  });
+
+  await test('Memory store node / scope filters keep chunks without a node', async () => {
+    assert.deepStrictEqual(await query('C1', { sourceTypes: ['ocr_bill'], nodeIds: ['n1'] }), ['bill-n1', 'bill-open']);
+    assert.deepStrictEqual(await query('C1', { sourceTypes: ['ocr_bill'], scopeIdentifiers: ['s2'] }), ['bill-n2', 'bill-open']);
+  });
+
+  await test('Memory store user filter only applies to chunks with userIds', async () => {
+    assert.deepStrictEqual(await query('C1', { userId: 'u1' }),
+      ['bill-n1', 'bill-n2', 'bill-open', 'ticket-u1']);
+  });
+
+  // ─── Retriever access filters ───────────────────────────────────────────────
+
+  await test('Unrestricted roles see every chunk of the client', async () => {
+    const r = await retrieve(plan(), accessContext({ userType: 'super_admin', isUnrestricted: true }));
+    assert.deepStrictEqual(ids(r), ['bill-n1', 'bill-n2', 'bill-open', 'ticket-u1', 'ticket-u2']);
+  });
+
+  await test('Non-admin roles only see their own ticket threads', async () => {
+    const r = await retrieve(plan(), accessContext());
+    assert.deepStrictEqual(ids(r), ['bill-n1', 'bill-n2', 'bill-open', 'ticket-u1']);
+    assert.ok(r.exclusions.some((e) => e.includes('Support tickets are limited')));
+  });
+
+  await test('Scope-restricted roles are filtered to their nodes', async () => {
+    const r = await retrieve(
+      plan({ sections: ['ocr_documents'], filters: { nodeIds: ['n2'] } }),
+      accessContext({ userType: 'employee', isScopeRestricted: true, nodeRestrictions: { nodeIds: ['n2'] } })
+    );
+    assert.deepStrictEqual(ids(r), ['bill-n2', 'bill-open']);
+  });
+
+  await test('Sections without module access are excluded, not searched', async () => {
+    const r = await retrieve(plan(), accessContext({ hasZCModule: (m) => m !== 'tickets' }));
+    assert.ok(ids(r).every((id) => id.startsWith('bill-')));
+    assert.strictEqual(r.exclusions.length, 1);
+  });
+
+  // ─── Reindex ────────────────────────────────────────────────────────────────
+
+  await test('Reindexing unchanged text is skipped', async () => {
+    store.clear();
+    const params = { clientId: 'C1', nodeId: 'n1', scopeIdentifier: 's1', dataEntryId: 'de1', text: 'Diesel 120 litres' };
+    assert.strictEqual((await vectorIndexService.indexOcrText(params)).status, 'indexed');
+    assert.strictEqual((await vectorIndexService.indexOcrText(params)).status, 'unchanged');
+
+    const changed = await vectorIndexService.indexOcrText({ ...params, text: 'Diesel 150 litres' });
+    assert.strictEqual(changed.status, 'indexed');
+    assert.strictEqual(changed.chunks, 1);
+  });
+
+  await test('The same text under another client is indexed separately', async () => {
+    const params = { clientId: 'C2', nodeId: 'n1', scopeIdentifier: 's1', dataEntryId: 'de1', text: 'Diesel 150 litres' };
+    assert.strictEqual((await vectorIndexService.indexOcrText(params)).status, 'indexed');
+    assert.deepStrictEqual(await store.listSourceIds({ clientId: 'C1', sourceType: 'ocr_bill' }), ['de1']);
+    assert.deepStrictEqual(await store.listSourceIds({ clientId: 'C2', sourceType: 'ocr_bill' }), ['de1']);
+  });
+
+  // ─── Results ────────────────────────────────────────────────────────────────
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+  if (failed > 0) process.exit(1);
+})();
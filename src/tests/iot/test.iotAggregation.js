@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Unit tests for IoT window aggregation — pure logic, no DB required.
+ *
+ * Run: node src/tests/iot/test.iotAggregation.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+const {
+  getWindowBounds,
+  methodFor,
+  rollUp
+} = require('../../modules/zero-carbon/iot/iotAggregationService');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+console.log('\ngetWindowBounds');
+test('15m window is aligned to the quarter hour', () => {
+  const { windowStart, windowEnd } = getWindowBounds('15m', new Date('2024-03-01T10:22:31Z'));
+  assert.strictEqual(windowStart.toISOString(), '2024-03-01T10:15:00.000Z');
+  assert.strictEqual(windowEnd.toISOString(), '2024-03-01T10:30:00.000Z');
+});
+test('1h window is aligned to the hour', () => {
+  const { windowStart, windowEnd } = getWindowBounds('1h', new Date('2024-03-01T10:59:59Z'));
+  assert.strictEqual(windowStart.toISOString(), '2024-03-01T10:00:00.000Z');
+  assert.strictEqual(windowEnd.toISOString(), '2024-03-01T11:00:00.000Z');
+});
+test('1d window spans local midnight to midnight', () => {
+  const at = new Date(2024, 2, 1, 15, 30);
+  const { windowStart, windowEnd } = getWindowBounds('1d', at);
+  assert.strictEqual(windowStart.getTime(), new Date(2024, 2, 1).getTime());
+  assert.strictEqual(windowEnd.getTime(), new Date(2024, 2, 2).getTime());
+});
+test('window end of one bucket is the start of the next', () => {
+  const a = getWindowBounds('15m', new Date('2024-03-01T10:29:59.999Z'));
+  const b = getWindowBounds('15m', new Date('2024-03-01T10:30:00.000Z'));
+  assert.strictEqual(a.windowEnd.getTime(), b.windowStart.getTime());
+});
+test('unknown window throws', () => {
+  assert.throws(() => getWindowBounds('5m', new Date()));
+});
+
+console.log('\nmethodFor');
+const device = {
+  meterType: 'energy',
+  fieldMappings: [
+    { field: 'consumed_electricity' },
+    { field: 'peak_kw', aggregate: 'max' }
+  ]
+};
+test('meterType default applies when mapping has no aggregate', () => {
+  assert.strictEqual(methodFor(device, 'consumed_electricity'), 'sum');
+  assert.strictEqual(methodFor({ meterType: 'power' }, 'kw'), 'avg');
+  assert.strictEqual(methodFor({ meterType: 'demand' }, 'kva'), 'max');
+});
+test('mapping aggregate overrides meterType', () => {
+  assert.strictEqual(methodFor(device, 'peak_kw'), 'max');
+});
+
+console.log('\nrollUp');
+test('sum / avg / max / min', () => {
+  const values = rollUp({
+    a: { sum: 30, count: 3, max: 15, min: 5, method: 'sum' },
+    b: { sum: 30, count: 3, max: 15, min: 5, method: 'avg' },
+    c: { sum: 30, count: 3, max: 15, min: 5, method: 'max' },
+    d: { sum: 30, count: 3, max: 15, min: 5, method: 'min' }
+  });
+  assert.deepStrictEqual(values, { a: 30, b: 10, c: 15, d: 5 });
+});
+test('fields without readings are skipped', () => {
+  assert.deepStrictEqual(rollUp({ a: { sum: 0, count: 0, method: 'sum' } }), {});
+});
+
+console.log(`\n${passed} passed, ${failed} failed\n`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,142 @@
+'use strict';
+
+/**
+ * Unit tests for MQTT payload mapping helpers — pure logic, no DB or broker.
+ *
+ * Run: node src/tests/iot/test.payloadMapping.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+const {
+  matchTopic,
+  topicFiltersOverlap,
+  resolvePath,
+  validatePayload,
+  mapReadings,
+  resolveTimestamp
+} = require('../../modules/zero-carbon/iot/utils/payloadMapping');
+const { findDevice } = require('../../modules/zero-carbon/iot/mqttIngestionService');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const payload = {
+  meter: { id: 'EM-01', readings: [{ wh: '12500' }, { wh: 3 }] },
+  'power factor': 0.93,
+  ts: 1700000000
+};
+
+console.log('\nmatchTopic');
+test('+ matches exactly one level', () => {
+  assert.strictEqual(matchTopic('site/+/reading', 'site/a/reading'), true);
+  assert.strictEqual(matchTopic('site/+/reading', 'site/a/b/reading'), false);
+});
+test('# matches remaining levels', () => {
+  assert.strictEqual(matchTopic('site/#', 'site/a/b/c'), true);
+  assert.strictEqual(matchTopic('other/#', 'site/a'), false);
+});
+test('literal topics must match in full', () => {
+  assert.strictEqual(matchTopic('site/a', 'site/a'), true);
+  assert.strictEqual(matchTopic('site/a', 'site/a/b'), false);
+});
+test('filters overlap when one topic can match both', () => {
+  assert.strictEqual(topicFiltersOverlap('#', 'clientB/meter/1'), true);
+  assert.strictEqual(topicFiltersOverlap('+/meter/+', 'clientB/meter/1'), true);
+  assert.strictEqual(topicFiltersOverlap('clientA/#', 'clientA'), true);
+  assert.strictEqual(topicFiltersOverlap('clientA/+', 'clientB/+'), false);
+  assert.strictEqual(topicFiltersOverlap('clientA/#', 'clientB/meter/1'), false);
+  assert.strictEqual(topicFiltersOverlap('site/+', 'site/a/b'), false);
+});
+
+console.log('\nresolvePath');
+test('dot, index and bracket segments', () => {
+  assert.strictEqual(resolvePath(payload, '$.meter.readings[0].wh'), '12500');
+  assert.strictEqual(resolvePath(payload, "$['power factor']"), 0.93);
+});
+test('missing segments resolve to undefined', () => {
+  assert.strictEqual(resolvePath(payload, '$.meter.nope.x'), undefined);
+});
+
+console.log('\nvalidatePayload');
+test('valid payload has no errors', () => {
+  const errors = validatePayload(payload, {
+    type: 'object',
+    required: ['meter', 'ts'],
+    properties: { ts: { type: 'integer', minimum: 0 } }
+  });
+  assert.deepStrictEqual(errors, []);
+});
+test('reports required, type and range errors', () => {
+  const errors = validatePayload({ ts: -1, meter: 'x' }, {
+    type: 'object',
+    required: ['id'],
+    properties: { ts: { type: 'number', minimum: 0 }, meter: { type: 'object' } }
+  });
+  assert.strictEqual(errors.length, 3);
+});
+
+console.log('\nmapReadings');
+test('applies scale and unit', () => {
+  const { values, units, errors } = mapReadings(payload, [
+    { field: 'consumed_electricity', path: '$.meter.readings[0].wh', scale: 0.001, unit: 'kWh' }
+  ]);
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(values.consumed_electricity, 12.5);
+  assert.strictEqual(units.consumed_electricity, 'kWh');
+});
+test('missing required mapping is an error, optional is skipped', () => {
+  const { values, errors } = mapReadings(payload, [
+    { field: 'a', path: '$.nope' },
+    { field: 'b', path: '$.nope', required: false }
+  ]);
+  assert.strictEqual(errors.length, 1);
+  assert.deepStrictEqual(values, {});
+});
+test('non-numeric values are rejected', () => {
+  const { errors } = mapReadings({ v: 'abc' }, [{ field: 'v', path: '$.v' }]);
+  assert.strictEqual(errors.length, 1);
+});
+
+console.log('\nresolveTimestamp');
+test('epoch seconds, epoch ms and ISO', () => {
+  assert.strictEqual(resolveTimestamp({ t: 1700000000 }, '$.t').toISOString(), '2023-11-14T22:13:20.000Z');
+  assert.strictEqual(resolveTimestamp({ t: 1700000000000 }, '$.t').toISOString(), '2023-11-14T22:13:20.000Z');
+  assert.strictEqual(resolveTimestamp({ t: '2024-01-01T00:00:00Z' }, '$.t').toISOString(), '2024-01-01T00:00:00.000Z');
+});
+test('falls back when missing or invalid', () => {
+  const fallback = new Date(0);
+  assert.strictEqual(resolveTimestamp({}, '$.t', fallback), fallback);
+  assert.strictEqual(resolveTimestamp({ t: 'not a date' }, '$.t', fallback), fallback);
+});
+
+console.log('\nfindDevice');
+const devices = [
+  { deviceId: 'EM-01', brokerKey: 'default', topicPattern: 'site/+/reading', deviceIdPath: '$.meter.id' },
+  { deviceId: 'EM-02', brokerKey: 'default', topicPattern: 'site/+/reading', deviceIdPath: '$.meter.id' },
+  { deviceId: 'GAS-1', topicPattern: 'plant/gas' }
+];
+test('picks device by payload id on a shared topic', () => {
+  assert.strictEqual(findDevice(devices, 'default', 'site/x/reading', payload).deviceId, 'EM-01');
+});
+test('single unkeyed device owns its topic', () => {
+  assert.strictEqual(findDevice(devices, 'default', 'plant/gas', {}).deviceId, 'GAS-1');
+});
+test('other broker or unknown id → no device', () => {
+  assert.strictEqual(findDevice(devices, 'plant2', 'plant/gas', {}), null);
+  assert.strictEqual(findDevice(devices, 'default', 'site/x/reading', { meter: { id: 'EM-99' } }), null);
+});
+
+console.log(`\n${passed} passed, ${failed} failed\n`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,176 @@
+'use strict';
+
+/**
+ * Unit tests for carbonPricingService — pure logic, no DB required.
+ *
+ * Run: node src/tests/m3/test.carbonPricing.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+const {
+  normalizePrices,
+  resolvePrice,
+  costSummary,
+  sumCostSummaries,
+  toTrendShape,
+  costVariance,
+  departmentShares,
+  budgetRow,
+} = require('../../modules/zero-carbon/m3/services/carbonPricingService');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const prices = normalizePrices([
+  { year: 2024, price: 1000 },
+  { year: 2025, price: 1500 },
+  { year: 2024, price: 2000, scope: 'Scope 1' },
+  { year: 2024, price: 3000, businessUnit: 'Ops' },
+  { year: 2024, price: 4000, scope: 'Scope 1', businessUnit: 'Ops' },
+]);
+
+const summary = {
+  byScope: { 'Scope 1': { CO2e: 10 }, 'Scope 2': { CO2e: 5 }, 'Scope 3': { CO2e: 20 } },
+  byNode: {
+    n1: { nodeLabel: 'Boiler', department: 'Ops',   byScope: { 'Scope 1': { CO2e: 4 }, 'Scope 2': { CO2e: 1 } } },
+    n2: { nodeLabel: 'Office', department: 'Admin', byScope: { 'Scope 1': { CO2e: 2 }, 'Scope 2': { CO2e: 4 } } },
+  },
+};
+
+// ─── Schedule ──────────────────────────────────────────────────────────────────
+
+console.log('\nschedule');
+
+test('Negative price throws 422', () => {
+  assert.throws(() => normalizePrices([{ year: 2025, price: -1 }]), (e) => e.status === 422);
+});
+
+test('Duplicate year/scope/unit throws 422', () => {
+  assert.throws(
+    () => normalizePrices([{ year: 2025, price: 1 }, { year: 2025, price: 2 }]),
+    (e) => e.status === 422
+  );
+});
+
+test('Latest year up to the requested year carries forward', () => {
+  assert.strictEqual(resolvePrice(prices, { year: 2023 }), null);
+  assert.strictEqual(resolvePrice(prices, { year: 2024 }).price, 1000);
+  assert.strictEqual(resolvePrice(prices, { year: 2030 }).price, 1500);
+});
+
+test('Most specific entry wins over a later general one', () => {
+  assert.strictEqual(resolvePrice(prices, { year: 2025, scope: 'Scope 1' }).price, 2000);
+  assert.strictEqual(resolvePrice(prices, { year: 2025, scope: 'Scope 2', businessUnit: 'Ops' }).price, 3000);
+  assert.strictEqual(resolvePrice(prices, { year: 2025, scope: 'Scope 1', businessUnit: 'Ops' }).price, 4000);
+});
+
+// ─── costSummary ───────────────────────────────────────────────────────────────
+
+console.log('\ncostSummary');
+
+test('Nodes are priced at their department rate', () => {
+  const c = costSummary(summary, prices, 2025);
+  assert.strictEqual(c.byNode.n1.cost, 4 * 4000 + 1 * 3000);
+  assert.strictEqual(c.byNode.n2.cost, 2 * 2000 + 4 * 1500);
+  assert.strictEqual(c.byDepartment.Ops.cost, 19000);
+  assert.strictEqual(c.byDepartment.Admin.nodeCount, 1);
+});
+
+test('Scope CO2e not covered by nodes uses the scope default price', () => {
+  const c = costSummary(summary, prices, 2025);
+  assert.strictEqual(c.byScope['Scope 1'].cost, 16000 + 4000 + 4 * 2000);
+  assert.strictEqual(c.byScope['Scope 3'].cost, 20 * 1500);
+  assert.strictEqual(c.totals.CO2e, 35);
+  assert.strictEqual(c.totals.cost, 28000 + 9000 + 30000);
+});
+
+test('Emissions without a price are reported as unpriced', () => {
+  const c = costSummary(summary, prices, 2023);
+  assert.strictEqual(c.totals.cost, 0);
+  assert.strictEqual(c.totals.unpricedCO2e, 35);
+});
+
+test('Boundary and Scope 3 coverage restrict what is priced', () => {
+  const c = costSummary(summary, prices, 2025, { scopes: ['Scope 3'], scope3Factor: 0.5 });
+  assert.deepStrictEqual(Object.keys(c.byScope), ['Scope 3']);
+  assert.strictEqual(c.totals.CO2e, 10);
+  assert.strictEqual(c.totals.cost, 15000);
+});
+
+// ─── Trends / variance ─────────────────────────────────────────────────────────
+
+console.log('\ntrends / variance');
+
+test('Trend shape carries cost in the CO2e slots', () => {
+  const t = toTrendShape(costSummary(summary, prices, 2025));
+  assert.strictEqual(t.totalEmissions.CO2e, 67000);
+  assert.strictEqual(t.byScope['Scope 2'].CO2e, 9000);
+});
+
+test('Volume and price effects add up to the cost change', () => {
+  const prev = { totals: { CO2e: 100, cost: 100000 } };   // 1000 / t
+  const curr = { totals: { CO2e: 80,  cost: 120000 } };   // 1500 / t
+  const v = costVariance(curr, prev);
+  assert.strictEqual(v.volumeEffect, -20000);
+  assert.strictEqual(v.priceEffect, 40000);
+  assert.strictEqual(v.volumeEffect + v.priceEffect, v.costChange);
+});
+
+// ─── Budgets ───────────────────────────────────────────────────────────────────
+
+console.log('\nbudgets');
+
+test('Department shares follow emissions', () => {
+  const shares = departmentShares(costSummary(summary, prices, 2025));
+  assert.strictEqual(shares.Ops, 5 / 11);
+  assert.strictEqual(shares.Admin, 6 / 11);
+});
+
+test('Quarter sums its months', () => {
+  const m = costSummary(summary, prices, 2025);
+  const q = sumCostSummaries([m, m, m]);
+  assert.strictEqual(q.totals.CO2e, 105);
+  assert.strictEqual(q.byDepartment.Ops.cost, 57000);
+});
+
+test('Budget is priced at the actual average price and compared', () => {
+  const actual = { totals: { CO2e: 12, cost: 24000 }, byDepartment: { Ops: { CO2e: 12, cost: 24000 } } };
+  const row = budgetRow(
+    { period_key: '2025', granularity: 'ANNUAL', budget_emissions: 10 },
+    actual,
+    { prices, year: 2025, scopes: ['Scope 1'], shares: { Ops: 0.5, Admin: 0.5 } }
+  );
+  assert.deepStrictEqual(row.budget, { CO2e: 10, cost: 20000 });
+  assert.deepStrictEqual(row.variance, { CO2e: 2, cost: 4000 });
+  const admin = row.departments.find(d => d.department === 'Admin');
+  assert.deepStrictEqual(admin.actual, { CO2e: 0, cost: 0 });
+  assert.strictEqual(admin.budget.cost, 5 * 2000);   // no actuals → scope default price
+});
+
+test('Budget without actuals has no variance', () => {
+  const row = budgetRow(
+    { period_key: '2026', granularity: 'ANNUAL', budget_emissions: 10 },
+    null,
+    { prices, year: 2026, scopes: ['Scope 1', 'Scope 2'], shares: {} }
+  );
+  assert.strictEqual(row.actual, null);
+  assert.strictEqual(row.variance, null);
+  assert.strictEqual(row.budget.cost, 10 * 1750);
+});
+
+// ─── Results ──────────────────────────────────────────────────────────────────
+
+console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exit(1);
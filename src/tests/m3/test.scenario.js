@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * Unit tests for scenarioService projection logic — pure logic, no DB required.
+ *
+ * Run: node src/tests/m3/test.scenario.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+const {
+  normalizeAssumptions,
+  activeFraction,
+  projectScenario,
+  summarize,
+  compareProjections,
+} = require('../../modules/zero-carbon/m3/services/scenarioService');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const base = {
+  anchorYear:         2024,
+  anchorScopes:       { scope1: 600, scope2: 400, scope3: 1000 },
+  scopeBoundary:      'S1S2',
+  years:              [2025, 2026, 2027],
+  allowedByYear:      { 2025: 950, 2026: 900, 2027: 850 },
+  atRiskThresholdPct: 5,
+};
+
+// ─── normalizeAssumptions ──────────────────────────────────────────────────────
+
+console.log('\nnormalizeAssumptions');
+
+test('Empty input gives neutral assumptions', () => {
+  const a = normalizeAssumptions();
+  assert.deepStrictEqual(a.scope_growth_pct, { scope1: 0, scope2: 0, scope3: 0 });
+  assert.strictEqual(a.grid_ef_decline_pct, 0);
+  assert.deepStrictEqual(a.initiatives, []);
+  assert.deepStrictEqual(a.credit_purchases, []);
+});
+
+test('Initiative without go_live_date throws 422', () => {
+  assert.throws(() => normalizeAssumptions({ initiatives: [{ reduction_pct: 10 }] }), (e) => e.status === 422);
+});
+
+test('reduction_pct above 100 throws 422', () => {
+  assert.throws(
+    () => normalizeAssumptions({ initiatives: [{ go_live_date: '2025-01-01', reduction_pct: 120 }] }),
+    (e) => e.status === 422
+  );
+});
+
+test('PATHWAY_COMPLIANCE credit purchases are rejected', () => {
+  assert.throws(
+    () => normalizeAssumptions({ credit_purchases: [{ year: 2026, amount: 10, purpose: 'PATHWAY_COMPLIANCE' }] }),
+    (e) => e.status === 422
+  );
+});
+
+// ─── activeFraction ────────────────────────────────────────────────────────────
+
+console.log('\nactiveFraction');
+
+test('Live before the year → 1, after → 0', () => {
+  assert.strictEqual(activeFraction(new Date(2024, 5, 1), 2025), 1);
+  assert.strictEqual(activeFraction(new Date(2026, 0, 1), 2025), 0);
+});
+
+test('Go-live mid-year is pro-rated', () => {
+  const f = activeFraction(new Date(2025, 6, 2), 2025);
+  assert.ok(f > 0.49 && f < 0.51, `expected ~0.5, got ${f}`);
+});
+
+// ─── projectScenario ───────────────────────────────────────────────────────────
+
+console.log('\nprojectScenario');
+
+test('Neutral assumptions carry the anchor forward within the boundary', () => {
+  const rows = projectScenario({ ...base, assumptions: normalizeAssumptions() });
+  assert.strictEqual(rows.length, 3);
+  assert.strictEqual(rows[0].projected_emissions, 1000);     // scope3 outside S1S2
+  assert.strictEqual(rows[0].pathway_gap, 50);
+  assert.strictEqual(rows[0].forecast_status, 'Off_Track');  // 5.26% over a 5% threshold
+});
+
+test('Forecast status follows the at-risk threshold', () => {
+  const rows = projectScenario({ ...base, atRiskThresholdPct: 10, assumptions: normalizeAssumptions() });
+  assert.strictEqual(rows[0].forecast_status, 'At_Risk');    // 1000 vs 950 → 5.26%
+  assert.strictEqual(rows[2].forecast_status, 'Off_Track');  // 1000 vs 850 → 17.6%
+});
+
+test('Scope growth compounds and grid decline applies to Scope 2 only', () => {
+  const a = normalizeAssumptions({ scope_growth_pct: { scope1: 10 }, grid_ef_decline_pct: 50 });
+  const [r2025, r2026] = projectScenario({ ...base, assumptions: a });
+  assert.strictEqual(r2025.scopes.scope1, 660);
+  assert.strictEqual(r2025.scopes.scope2, 200);
+  assert.strictEqual(r2026.scopes.scope1, 726);
+  assert.strictEqual(r2026.scopes.scope2, 100);
+});
+
+test('Scoped initiative reduces only its scope from go-live', () => {
+  const a = normalizeAssumptions({
+    initiatives: [{ scope: 'Scope 1', go_live_date: '2026-01-01T00:00:00', reduction_pct: 50 }],
+  });
+  const [r2025, r2026] = projectScenario({ ...base, assumptions: a });
+  assert.strictEqual(r2025.initiative_reduction, 0);
+  assert.strictEqual(r2026.scopes.scope1, 300);
+  assert.strictEqual(r2026.scopes.scope2, 400);
+  assert.strictEqual(r2026.initiative_reduction, 300);
+});
+
+test('Credits reduce uncovered residual but never the pathway gap', () => {
+  const a = normalizeAssumptions({ credit_purchases: [{ year: 2025, amount: 200 }] });
+  const [r2025] = projectScenario({ ...base, assumptions: a, verifiedReductions: 100, existingCreditsByYear: { 2025: 50 } });
+  assert.strictEqual(r2025.pathway_gap, 50);
+  assert.strictEqual(r2025.residual_emissions, 900);
+  assert.strictEqual(r2025.credits_available, 250);
+  assert.strictEqual(r2025.uncovered_residual, 650);
+});
+
+test('Zero allowed budget is Off_Track when anything is emitted', () => {
+  const rows = projectScenario({ ...base, allowedByYear: { 2025: 0 }, assumptions: normalizeAssumptions() });
+  assert.strictEqual(rows[0].forecast_status, 'Off_Track');
+  assert.strictEqual(rows[1].forecast_status, null);         // no pathway row
+});
+
+// ─── summarize / compareProjections ────────────────────────────────────────────
+
+console.log('\nsummarize / compareProjections');
+
+test('Summary reports first off-track year and final gap', () => {
+  const rows = projectScenario({ ...base, atRiskThresholdPct: 10, assumptions: normalizeAssumptions() });
+  const s = summarize(rows, 2027);
+  assert.strictEqual(s.years_at_risk, 1);
+  assert.strictEqual(s.first_off_track_year, 2026);
+  assert.strictEqual(s.final_pathway_gap, 150);
+});
+
+test('Comparison deltas are scenario minus baseline', () => {
+  const baseline = projectScenario({ ...base, assumptions: normalizeAssumptions() });
+  const scenario = projectScenario({ ...base, assumptions: normalizeAssumptions({ grid_ef_decline_pct: 50 }) });
+  const cmp = compareProjections(baseline, scenario);
+  assert.strictEqual(cmp[0].delta.projected_emissions, -200);
+  assert.strictEqual(cmp[0].delta.pathway_gap, -200);
+});
+
+// ─── Results ──────────────────────────────────────────────────────────────────
+
+console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,234 @@
+'use strict';
+
+/**
+ * Unit tests for MFA — TOTP (RFC 6238 vectors), recovery codes, lockout,
+ * policy resolution and WebAuthn challenge tokens. No DB: UserMfa documents
+ * are built in memory and their save() is a no-op.
+ *
+ * Run: node src/tests/mfa/test.mfa.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+process.env.FIELD_ENCRYPTION_KEY = process.env.FIELD_ENCRYPTION_KEY || 'a'.repeat(64);
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.FRONTEND_URL = 'https://app.example.com';
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+
+const totp = require('../../common/services/auth/totp');
+const mfa = require('../../common/services/auth/mfaService');
+const UserMfa = require('../../common/models/UserMfa');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+// Code consumption is a conditional updateOne; the stub matches unless a test
+// simulates a concurrent login that consumed the code first.
+let consumeMatches = true;
+const consumeCalls = [];
+UserMfa.updateOne = async (filter, update) => {
+  consumeCalls.push({ filter, update });
+  return { matchedCount: consumeMatches ? 1 : 0 };
+};
+
+const newMfa = () => {
+  const doc = new UserMfa({ userId: new mongoose.Types.ObjectId() });
+  doc.save = async () => doc;
+  return doc;
+};
+
+const enabledTotp = (doc) => {
+  const { secret } = mfa.beginTotpSetup(doc, 'jane@acme.com');
+  mfa.confirmTotpSetup(doc, totp.codeAt(secret, totp.currentStep()));
+  return secret;
+};
+
+// RFC 6238 appendix B — SHA1 secret "12345678901234567890", 8-digit codes;
+// the 6-digit code is the last six digits.
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+];
+
+(async () => {
+  console.log('\nTOTP');
+
+  await test('base32 round-trips', () => {
+    const buf = Buffer.from('any carnal pleasure');
+    assert.deepStrictEqual(totp.base32Decode(totp.base32Encode(buf)), buf);
+    assert.strictEqual(totp.base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+  });
+
+  await test('codes match the RFC 6238 SHA1 vectors', () => {
+    for (const [seconds, expected] of RFC_VECTORS) {
+      assert.strictEqual(totp.codeAt(RFC_SECRET, Math.floor(seconds / 30)), expected.slice(-6));
+    }
+  });
+
+  await test('verifyCode accepts ±1 step and refuses replays', () => {
+    const now = 1111111111 * 1000;
+    const step = totp.currentStep(now);
+    const previous = totp.codeAt(RFC_SECRET, step - 1);
+    assert.strictEqual(totp.verifyCode(RFC_SECRET, previous, { now }), step - 1);
+    assert.strictEqual(totp.verifyCode(RFC_SECRET, previous, { now, lastUsedStep: step - 1 }), null);
+    assert.strictEqual(totp.verifyCode(RFC_SECRET, totp.codeAt(RFC_SECRET, step - 2), { now }), null);
+    assert.strictEqual(totp.verifyCode(RFC_SECRET, '12ab56', { now }), null);
+  });
+
+  await test('provisioning URI carries issuer, secret and parameters', () => {
+    const url = new URL(totp.provisioningUri('JBSWY3DPEHPK3PXP', { issuer: 'ZeroCarbon', account: 'jane@acme.com' }));
+    assert.strictEqual(url.protocol, 'otpauth:');
+    assert.strictEqual(url.host, 'totp');
+    assert.strictEqual(decodeURIComponent(url.pathname), '/ZeroCarbon:jane@acme.com');
+    assert.strictEqual(url.searchParams.get('secret'), 'JBSWY3DPEHPK3PXP');
+    assert.strictEqual(url.searchParams.get('period'), '30');
+  });
+
+  console.log('\nEnrolment and login codes');
+
+  await test('TOTP setup needs a valid code before it is enabled', () => {
+    const doc = newMfa();
+    const { secret, otpauthUrl } = mfa.beginTotpSetup(doc, 'jane@acme.com');
+    assert.ok(otpauthUrl.includes(secret));
+    assert.strictEqual(doc.hasStrongFactor(), false);
+    assert.throws(() => mfa.confirmTotpSetup(doc, '000000'), (e) => e.code === 'INVALID_CODE');
+    mfa.confirmTotpSetup(doc, totp.codeAt(secret, totp.currentStep()));
+    assert.strictEqual(doc.totp.enabled, true);
+    assert.strictEqual(doc.totp.pendingSecret, undefined);
+    assert.deepStrictEqual(doc.loginMethods(), ['totp']);
+  });
+
+  await test('the enrolment code cannot be reused at login', async () => {
+    const doc = newMfa();
+    const secret = enabledTotp(doc);
+    await assert.rejects(
+      mfa.verifyCodeFactor(doc, 'totp', totp.codeAt(secret, totp.currentStep())),
+      (e) => e.code === 'INVALID_CODE'
+    );
+  });
+
+  await test('recovery codes are single use and case-insensitive', async () => {
+    const doc = newMfa();
+    enabledTotp(doc);
+    const codes = mfa.regenerateRecoveryCodes(doc);
+    assert.strictEqual(codes.length, 10);
+    assert.ok(codes.every((c) => /^[A-Z2-7]{5}-[A-Z2-7]{5}$/.test(c)));
+    assert.ok(!doc.recoveryCodes.some((c) => codes.includes(c.hash)), 'stored in clear');
+
+    await mfa.verifyCodeFactor(doc, 'recovery_code', codes[3].toLowerCase());
+    assert.strictEqual(mfa.remainingRecoveryCodes(doc), 9);
+    await assert.rejects(mfa.verifyCodeFactor(doc, 'recovery_code', codes[3]), (e) => e.code === 'INVALID_CODE');
+  });
+
+  await test('codes are consumed with a conditional update', async () => {
+    const doc = newMfa();
+    const secret = enabledTotp(doc);
+    const codes = mfa.regenerateRecoveryCodes(doc);
+    consumeCalls.length = 0;
+
+    const step = totp.currentStep() + 1;
+    await mfa.verifyCodeFactor(doc, 'totp', totp.codeAt(secret, step));
+    assert.deepStrictEqual(consumeCalls[0].filter, { _id: doc._id, 'totp.lastUsedStep': { $lt: step } });
+    assert.strictEqual(consumeCalls[0].update.$set['totp.lastUsedStep'], step);
+
+    await mfa.verifyCodeFactor(doc, 'recovery_code', codes[0]);
+    assert.deepStrictEqual(consumeCalls[1].filter.recoveryCodes, { $elemMatch: { hash: doc.recoveryCodes[0].hash, usedAt: null } });
+    assert.ok(consumeCalls[1].update.$set['recoveryCodes.$.usedAt'] instanceof Date);
+  });
+
+  await test('a code consumed by a concurrent login is refused', async () => {
+    const doc = newMfa();
+    const secret = enabledTotp(doc);
+    const codes = mfa.regenerateRecoveryCodes(doc);
+    consumeMatches = false;
+    try {
+      await assert.rejects(
+        mfa.verifyCodeFactor(doc, 'totp', totp.codeAt(secret, totp.currentStep() + 1)),
+        (e) => e.code === 'INVALID_CODE'
+      );
+      await assert.rejects(mfa.verifyCodeFactor(doc, 'recovery_code', codes[0]), (e) => e.code === 'INVALID_CODE');
+      assert.strictEqual(mfa.remainingRecoveryCodes(doc), 10);
+    } finally {
+      consumeMatches = true;
+    }
+  });
+
+  await test('five wrong codes lock the factors', async () => {
+    const doc = newMfa();
+    const secret = enabledTotp(doc);
+    for (let i = 0; i < 5; i++) {
+      await assert.rejects(mfa.verifyCodeFactor(doc, 'totp', '000000'));
+    }
+    const next = totp.codeAt(secret, totp.currentStep() + 1);
+    await assert.rejects(mfa.verifyCodeFactor(doc, 'totp', next), (e) => e.code === 'MFA_LOCKED' && e.status === 429);
+  });
+
+  console.log('\nPolicy');
+
+  await test('required user types combine client policy and environment', () => {
+    process.env.MFA_REQUIRED_USER_TYPES = 'consultant_admin, approver';
+    const client = { mfaPolicy: { requiredUserTypes: ['client_admin'] } };
+    assert.strictEqual(mfa.isMfaRequired({ userType: 'consultant_admin' }, null), true);
+    assert.strictEqual(mfa.isMfaRequired({ userType: 'client_admin' }, client), true);
+    assert.strictEqual(mfa.isMfaRequired({ userType: 'client_admin' }, null), false);
+    assert.strictEqual(mfa.isMfaRequired({ userType: 'employee' }, client), false);
+    delete process.env.MFA_REQUIRED_USER_TYPES;
+  });
+
+  await test('trusted device lifetime: client policy, then env, then 30 days', () => {
+    assert.strictEqual(mfa.trustedDeviceDays({ mfaPolicy: { trustedDeviceDays: 0 } }), 0);
+    assert.strictEqual(mfa.trustedDeviceDays(null), 30);
+    process.env.MFA_TRUSTED_DEVICE_DAYS = '7';
+    assert.strictEqual(mfa.trustedDeviceDays(null), 7);
+    delete process.env.MFA_TRUSTED_DEVICE_DAYS;
+  });
+
+  await test('device labels', () => {
+    const chromeWin = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+    const safariIos = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile/15E148 Safari/604.1';
+    assert.strictEqual(mfa.deviceLabel(chromeWin), 'Chrome on Windows');
+    assert.strictEqual(mfa.deviceLabel(safariIos), 'Safari on iOS');
+    assert.strictEqual(mfa.deviceLabel(''), 'Unknown device');
+  });
+
+  console.log('\nWebAuthn');
+
+  await test('relying party defaults to FRONTEND_URL', () => {
+    const config = mfa.webauthnConfig();
+    assert.strictEqual(config.rpID, 'app.example.com');
+    assert.deepStrictEqual(config.origins, ['https://app.example.com']);
+  });
+
+  await test('registration challenge cannot be used for login', async () => {
+    const doc = newMfa();
+    const user = { _id: doc.userId, email: 'jane@acme.com', userName: 'jane' };
+    const { options, challengeToken } = await mfa.registrationOptions(user, doc);
+    assert.strictEqual(options.rp.id, 'app.example.com');
+    assert.ok(options.challenge);
+
+    doc.webauthnCredentials.push({ credentialId: 'abc', publicKey: 'AA' });
+    await assert.rejects(
+      mfa.verifyAuthentication(user, doc, { response: { id: 'abc' }, challengeToken }),
+      (e) => e.code === 'CHALLENGE_EXPIRED'
+    );
+  });
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed ? 1 : 0);
+})();
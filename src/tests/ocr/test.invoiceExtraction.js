@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * Unit tests for multi-page invoice OCR: line-item tables, billing-period
+ * detection and proration over collection periods — pure logic, no DB or
+ * OCR engine required.
+ *
+ * Run: node src/tests/ocr/test.invoiceExtraction.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+const {
+  parseDocumentDate,
+  normalizeBillingPeriod,
+  extractBillingPeriod,
+  splitBillingPeriod,
+  prorateValues,
+  toEntryDate,
+} = require('../../modules/zero-carbon/ocr/utils/billingPeriod');
+const {
+  extractLineItems,
+  lineItemsToPairs,
+  sumLineItemsByField,
+} = require('../../modules/zero-carbon/ocr/utils/lineItemExtractor');
+const { extractDocumentFields } = require('../../modules/zero-carbon/ocr/utils/universalFieldExtractor');
+const { matchFields, getNonAdditiveFields } = require('../../modules/zero-carbon/ocr/utils/modelMatcher');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const FUEL_PAGE_1 = [
+  'ACME Fuels Pvt Ltd — Tax Invoice',
+  'Invoice Date: 02/04/2024',
+  'Supply Period: 01/03/2024 to 31/03/2024',
+  'Description    Qty    Unit    Rate    Amount',
+  'HSD Diesel    1,200    Ltrs    92.40    1,10,880.00',
+  'Diesel (generator)    300    L    92.40    27,720.00',
+  'Page 1 of 2',
+].join('\n');
+
+const FUEL_PAGE_2 = [
+  'ACME Fuels Pvt Ltd — Tax Invoice (continued)',
+  'Diesel top-up    20 gal    -    -    7,000.00',
+  'Total    1,520    -    -    1,45,600.00',
+  'Bank: XYZ Bank',
+].join('\n');
+
+// ─── Billing period ───────────────────────────────────────────────────────────
+
+test('printed dates are read day-first in the common bill formats', () => {
+  assert.strictEqual(parseDocumentDate('15/01/2024').toISOString().slice(0, 10), '2024-01-15');
+  assert.strictEqual(parseDocumentDate('01-25-24').toISOString().slice(0, 10), '2024-01-25');
+  assert.strictEqual(parseDocumentDate('15-Jan-2024').toISOString().slice(0, 10), '2024-01-15');
+  assert.strictEqual(parseDocumentDate('Feb 4, 2024').toISOString().slice(0, 10), '2024-02-04');
+  assert.strictEqual(parseDocumentDate('31/02/2024'), null);
+  assert.strictEqual(toEntryDate('2024-02-14'), '14/02/2024');
+});
+
+test('billing period is found from ranges, from/to labels and reading dates', () => {
+  const cases = [
+    ['Billing Period: 15/01/2024 to 14/02/2024', 'billing period'],
+    ['Bill period 15.01.2024 - 14.02.2024', 'billing period'],
+    ['From 15-Jan-2024 To 14-Feb-2024', 'from/to'],
+    ['Previous Reading Date: 15/01/2024\nPresent Reading Date: 14/02/2024', 'reading dates'],
+  ];
+  for (const [text, source] of cases) {
+    const period = extractBillingPeriod(text);
+    assert.deepStrictEqual(period, { start: '2024-01-15', end: '2024-02-14', days: 31, source }, text);
+  }
+  assert.strictEqual(extractBillingPeriod('Invoice Date: 12/02/2024'), null);
+  assert.strictEqual(extractBillingPeriod('Billing period 14/02/2024 to 15/01/2024'), null);
+});
+
+test('implausible billing periods are rejected', () => {
+  assert.ok(normalizeBillingPeriod({ start: '2024-01-01', end: '2025-12-31' }).error);
+  assert.ok(normalizeBillingPeriod({ start: '2024-01-01' }).error);
+  assert.deepStrictEqual(normalizeBillingPeriod({ start: '2024-01-01', end: '2024-01-01' }), {
+    start: '2024-01-01', end: '2024-01-01', days: 1,
+  });
+});
+
+test('a cross-month bill splits into calendar months by billed days', () => {
+  const slices = splitBillingPeriod({ start: '2024-01-15', end: '2024-02-14' }, 'monthly');
+  assert.deepStrictEqual(slices.map((s) => [s.periodStart, s.start, s.end, s.days]), [
+    ['2024-01-01', '2024-01-15', '2024-01-31', 17],
+    ['2024-02-01', '2024-02-01', '2024-02-14', 14],
+  ]);
+  assert.strictEqual(splitBillingPeriod({ start: '2024-03-20', end: '2024-04-02' }, 'quarterly').length, 2);
+  assert.strictEqual(splitBillingPeriod({ start: '2024-03-01', end: '2024-03-31' }, 'monthly').length, 1);
+  assert.strictEqual(splitBillingPeriod({ start: '2024-03-01', end: '2024-03-03' }, 'real-time').length, 3);
+});
+
+test('prorated values add up to the billed total; non-additive fields are copied', () => {
+  const slices = splitBillingPeriod({ start: '2024-01-15', end: '2024-02-14' }, 'monthly');
+  const rows = prorateValues({ consumed_electricity: 620, demand_kw: 40 }, slices, ['demand_kw']);
+  assert.deepStrictEqual(rows, [
+    { consumed_electricity: 340, demand_kw: 40 },
+    { consumed_electricity: 280, demand_kw: 40 },
+  ]);
+
+  const thirds = prorateValues({ v: 100 }, splitBillingPeriod({ start: '2024-01-01', end: '2024-03-31' }, 'monthly'));
+  assert.strictEqual(thirds.reduce((sum, r) => sum + r.v, 0), 100);
+  assert.deepStrictEqual(getNonAdditiveFields('Scope 2', 'Purchased Electricity'), ['demand_kw']);
+});
+
+// ─── Line items ───────────────────────────────────────────────────────────────
+
+test('line items are read from a table that continues onto the next page', () => {
+  const items = extractLineItems([
+    { pageNumber: 1, text: FUEL_PAGE_1 },
+    { pageNumber: 2, text: FUEL_PAGE_2 },
+  ]);
+  assert.deepStrictEqual(
+    items.map((i) => [i.lineNumber, i.page, i.description, i.quantity, i.unit, i.amount]),
+    [
+      [1, 1, 'HSD Diesel', 1200, 'L', 110880],
+      [2, 1, 'Diesel (generator)', 300, 'L', 27720],
+      [3, 2, 'Diesel top-up', 20, 'gal', 7000],
+    ]
+  );
+});
+
+test('a unit in the quantity header applies to rows without one; totals end the table', () => {
+  const items = extractLineItems([{
+    pageNumber: 1,
+    text: 'Item\tLitres\tAmount\nDiesel\t500\t46,000\nTotal\t500\t46,000\nFuel oil\t20\t1,800',
+  }]);
+  assert.strictEqual(items.length, 1);
+  assert.strictEqual(items[0].unit, 'L');
+  assert.strictEqual(extractLineItems([{ pageNumber: 1, text: 'Name: ACME\nAmount payable: 1,200' }]).length, 0);
+});
+
+test('matched line items are summed per field in one unit', () => {
+  const items = extractLineItems([
+    { pageNumber: 1, text: FUEL_PAGE_1 },
+    { pageNumber: 2, text: FUEL_PAGE_2 },
+  ]);
+  const matched = matchFields(lineItemsToPairs(items), 'Scope 1', 'Mobile Combustion', 'C1', 'S1', []);
+  assert.ok(matched.every((m) => m.bestMatch && m.bestMatch.canonicalField === 'fuelConsumption'));
+
+  const totals = sumLineItemsByField(matched);
+  assert.ok(Math.abs(totals.values.fuelConsumption - (1500 + 20 * 3.785411784)) < 1e-9);
+  assert.strictEqual(totals.units.fuelConsumption, 'L');
+  assert.deepStrictEqual(totals.lines.fuelConsumption, [1, 2, 3]);
+
+  const mixed = sumLineItemsByField([
+    { numericValue: 10, unit: 'L', lineNumber: 1, bestMatch: { canonicalField: 'f', confidence: 90 } },
+    { numericValue: 5, unit: 'kg', rawUnit: 'kg', lineNumber: 2, bestMatch: { canonicalField: 'f', confidence: 90 } },
+  ]);
+  assert.strictEqual(mixed.values.f, 10);
+  assert.strictEqual(mixed.skipped[0].lineNumber, 2);
+});
+
+// ─── Document fields ──────────────────────────────────────────────────────────
+
+test('document extraction merges pages and keeps the first date and period', () => {
+  const doc = extractDocumentFields([
+    { pageNumber: 1, text: FUEL_PAGE_1 },
+    { pageNumber: 2, text: FUEL_PAGE_2 },
+  ]);
+  assert.strictEqual(doc.date, '02/04/2024');
+  assert.deepStrictEqual(
+    { start: doc.billingPeriod.start, end: doc.billingPeriod.end },
+    { start: '2024-03-01', end: '2024-03-31' }
+  );
+  const bank = doc.extractedPairs.find((p) => p.rawLabel === 'Bank');
+  assert.strictEqual(bank.sourcePage, 2);
+});
+
+// ─── Results ──────────────────────────────────────────────────────────────────
+
+console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * Unit tests for OCR review session rules: who may act on a session and how
+ * saved review progress is merged — no DB required (sessions are stand-ins
+ * with the document methods the store uses).
+ *
+ * Run: node src/tests/ocr/test.ocrSessionStore.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+const {
+  canActOnSession,
+  saveReviewState,
+  assignSession,
+  claimSession,
+  releaseSession,
+  closeSession,
+  SESSION_TTL_MS,
+} = require('../../modules/zero-carbon/ocr/utils/ocrSessionStore');
+const OCRReviewSession = require('../../modules/zero-carbon/organization/models/OCRReviewSession');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const employee = { _id: 'u-employee', userType: 'employee' };
+const head = { _id: 'u-head', userType: 'client_employee_head' };
+const other = { _id: 'u-other', userType: 'employee' };
+
+function fakeSession(overrides = {}) {
+  return {
+    status: 'in_review',
+    records: [
+      { recordIndex: 0, sourceFile: 'bill.pdf', suggestedDataValues: { consumed_electricity: 620 } },
+      { recordIndex: 1, sourceFile: 'bill.pdf', suggestedDataValues: { consumed_electricity: 580 } }
+    ],
+    reviewState: {},
+    summary: { recordCount: 2, reviewedCount: 0, fileNames: ['bill.pdf'] },
+    handoffs: [],
+    createdBy: employee._id,
+    assignedTo: null,
+    expiresAt: new Date(0),
+    modified: [],
+    markModified(path) { this.modified.push(path); },
+    async save() { return this; },
+    ...overrides
+  };
+}
+
+(async () => {
+  console.log('\naccess');
+  await test('unassigned session: anyone with scope access', () => {
+    assert.strictEqual(canActOnSession(fakeSession(), other), true);
+  });
+  await test('assigned session: assignee and uploader only', () => {
+    const session = fakeSession({ assignedTo: head._id });
+    assert.strictEqual(canActOnSession(session, head), true);
+    assert.strictEqual(canActOnSession(session, employee), true);
+    assert.strictEqual(canActOnSession(session, other), false);
+  });
+
+  console.log('\nreview progress');
+  await test('merges edits per record and counts reviewed records', async () => {
+    const session = fakeSession();
+    await saveReviewState(session, [{ recordIndex: 0, confirmedDataValues: { consumed_electricity: 600 } }], employee);
+    await saveReviewState(session, [{ recordIndex: 0, userAction: 'accepted' }, { recordIndex: 1, userAction: 'pending' }], employee);
+    assert.deepStrictEqual(session.reviewState[0].confirmedDataValues, { consumed_electricity: 600 });
+    assert.strictEqual(session.reviewState[0].userAction, 'accepted');
+    assert.strictEqual(session.reviewState[0].updatedBy, 'u-employee');
+    assert.strictEqual(session.summary.reviewedCount, 1);
+    assert.ok(session.modified.includes('reviewState'));
+  });
+  await test('ignores fields that are not review edits', async () => {
+    const session = fakeSession();
+    await saveReviewState(session, [{ recordIndex: 1, s3Key: 'other/key.pdf', note: 'meter swapped' }], employee);
+    assert.strictEqual(session.reviewState[1].s3Key, undefined);
+    assert.strictEqual(session.reviewState[1].note, 'meter swapped');
+  });
+  await test('rejects unknown records with a 400', async () => {
+    await assert.rejects(
+      saveReviewState(fakeSession(), [{ recordIndex: 7, userAction: 'accepted' }], employee),
+      (err) => err.statusCode === 400
+    );
+  });
+  await test('every action pushes the expiry forward', async () => {
+    const session = fakeSession();
+    const before = Date.now();
+    await saveReviewState(session, [{ recordIndex: 0, userAction: 'rejected' }], employee);
+    assert.ok(session.expiresAt.getTime() >= before + SESSION_TTL_MS);
+    assert.strictEqual(session.lastActivityBy, 'u-employee');
+  });
+
+  console.log('\nhand-off and close');
+  await test('assignment is recorded as a hand-off', async () => {
+    const session = fakeSession();
+    await assignSession(session, { assignee: head._id, assignedBy: employee, note: 'please confirm' });
+    assert.strictEqual(session.assignedTo, 'u-head');
+    assert.deepStrictEqual(session.handoffs[0], { from: 'u-employee', to: 'u-head', note: 'please confirm' });
+    await assignSession(session, { assignee: other._id, assignedBy: head });
+    assert.strictEqual(session.handoffs[1].from, 'u-head');
+  });
+  await test('closing drops page texts and keeps the outcome', async () => {
+    const session = fakeSession({ pageTexts: { 0: 'ELECTRICITY BILL' } });
+    await closeSession(session, 'confirmed', head, { savedCount: 2, pendingApprovalCount: 0, errorCount: 0 });
+    assert.strictEqual(session.status, 'confirmed');
+    assert.strictEqual(session.closedBy, 'u-head');
+    assert.deepStrictEqual(session.pageTexts, {});
+    assert.strictEqual(session.result.savedCount, 2);
+  });
+
+  await test('confirm claims the session with a conditional update', async () => {
+    const calls = [];
+    const original = OCRReviewSession.findOneAndUpdate;
+    OCRReviewSession.findOneAndUpdate = async (filter, update) => { calls.push({ filter, update }); return null; };
+    try {
+      assert.strictEqual(await claimSession(fakeSession({ extractionId: 'x-1' }), head), null);
+    } finally {
+      OCRReviewSession.findOneAndUpdate = original;
+    }
+    const { filter, update } = calls[0];
+    assert.strictEqual(filter.extractionId, 'x-1');
+    assert.deepStrictEqual(filter.$or[0], { status: 'in_review' });
+    assert.strictEqual(filter.$or[1].status, 'confirming');
+    assert.strictEqual(update.$set.status, 'confirming');
+  });
+
+  await test('a released session is back in review', async () => {
+    const session = fakeSession({ status: 'confirming' });
+    await releaseSession(session, head);
+    assert.strictEqual(session.status, 'in_review');
+    assert.ok(session.expiresAt > new Date());
+  });
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+  if (failed > 0) process.exit(1);
+  process.exit(0);
+})();
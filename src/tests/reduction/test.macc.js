@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Unit tests for maccService and the costData input checks — pure logic, no
+ * DB required.
+ *
+ * Run: node src/tests/reduction/test.macc.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+const {
+  capitalRecoveryFactor,
+  annualisedCost,
+  annualReduction,
+  buildMacc,
+} = require('../../modules/zero-carbon/reduction/services/maccService');
+const { normalizeCostData } = require('../../modules/zero-carbon/reduction/controllers/reductionController');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const near = (a, b, eps = 1e-4) => assert.ok(Math.abs(a - b) < eps, `${a} ≠ ${b}`);
+
+// ─── Cost maths ────────────────────────────────────────────────────────────────
+
+console.log('\ncost maths');
+
+test('CRF with zero discount rate is straight-line', () => {
+  assert.strictEqual(capitalRecoveryFactor(0, 10), 0.1);
+});
+
+test('CRF at 10% over 10 years', () => {
+  near(capitalRecoveryFactor(10, 10), 0.162745);
+});
+
+test('Annualised cost nets savings against capex and opex', () => {
+  assert.strictEqual(annualisedCost({ capex: 1000, lifetimeYears: 10, opexAnnual: 50, annualSavings: 200 }), -50);
+});
+
+test('Capex without lifetime cannot be annualised', () => {
+  assert.strictEqual(annualisedCost({ capex: 1000 }), null);
+});
+
+// ─── Annual reduction ──────────────────────────────────────────────────────────
+
+console.log('\nannualReduction');
+
+test('Measured entries are annualised over the covered days', () => {
+  const r = annualReduction({}, {
+    stats: { entries: 3, totalNet: 73, firstDate: '2025-01-01T00:00:00Z', lastDate: '2025-03-01T00:00:00Z' },
+  });
+  assert.strictEqual(r.basis, 'measured');
+  assert.strictEqual(r.measuredDays, 60);
+  near(r.value, 73 * 365 / 60);
+});
+
+test('Falls back to expectedAnnualReduction', () => {
+  const r = annualReduction({ expectedAnnualReduction: 120 }, null);
+  assert.deepStrictEqual(r, { value: 120, basis: 'expected', measuredDays: null });
+});
+
+// ─── buildMacc ─────────────────────────────────────────────────────────────────
+
+console.log('\nbuildMacc');
+
+const projects = [
+  { projectId: 'A', projectName: 'Solar', costData: { capex: 1000, lifetimeYears: 10, expectedAnnualReduction: 10 } },   // 10/t
+  { projectId: 'B', projectName: 'LED',   costData: { annualSavings: 100, expectedAnnualReduction: 20 } },               // -5/t
+  { projectId: 'C', projectName: 'Fleet', costData: { opexAnnual: 300, expectedAnnualReduction: 15 } },                  // 20/t
+  { projectId: 'D', projectName: 'Idea' },
+  { projectId: 'E', projectName: 'Dud',   costData: { opexAnnual: 10, expectedAnnualReduction: 0 } },
+];
+
+test('Bars are sorted cheapest-first with cumulative widths', () => {
+  const { bars } = buildMacc(projects);
+  assert.deepStrictEqual(bars.map(b => b.projectId), ['B', 'A', 'C']);
+  assert.strictEqual(bars[0].costPerTonne, -5);
+  assert.strictEqual(bars[1].cumulativeStart, 20);
+  assert.strictEqual(bars[2].cumulativeEnd, 45);
+});
+
+test('Projects without cost or reduction are excluded with a reason', () => {
+  const { excluded } = buildMacc(projects);
+  assert.deepStrictEqual(excluded.map(e => e.projectId), ['D', 'E']);
+  assert.strictEqual(excluded[0].reason, 'No cost data');
+});
+
+test('Gap flags the bars needed to close it', () => {
+  const { bars, totals } = buildMacc(projects, { gap: 25 });
+  assert.deepStrictEqual(bars.map(b => b.closesGap), [true, true, false]);
+  assert.strictEqual(totals.gapClosed, true);
+  assert.strictEqual(totals.gapClosedAt.projectId, 'A');
+  assert.strictEqual(totals.gapClosedAt.cumulativeCost, 0);
+});
+
+test('Gap larger than total abatement stays open', () => {
+  const { totals } = buildMacc(projects, { gap: 100 });
+  assert.strictEqual(totals.gapClosed, false);
+  assert.strictEqual(totals.gapClosedAt, null);
+});
+
+// ─── Cost data input ──────────────────────────────────────────────────────────
+
+test('costData ranges are enforced on input (validators do not run on encrypted costData)', () => {
+  const ok = normalizeCostData({ capex: '1000', lifetimeYears: '10', discountRatePct: 8 });
+  assert.strictEqual(ok.capex, 1000);
+  assert.strictEqual(ok.lifetimeYears, 10);
+  for (const bad of [{ capex: -1 }, { lifetimeYears: 0 }, { discountRatePct: -2 }, { expectedAnnualReduction: -5 }, { capex: 'abc' }]) {
+    assert.throws(() => normalizeCostData(bad), (e) => e.status === 400, JSON.stringify(bad));
+  }
+  assert.strictEqual(normalizeCostData({ lifetimeYears: null }, { lifetimeYears: 5 }).lifetimeYears, null);
+});
+
+// ─── Results ──────────────────────────────────────────────────────────────────
+
+console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * Unit tests for marketBasedService — pure logic, no DB required.
+ *
+ * Run: node src/tests/scope2/test.marketBased.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+const {
+  mwhPerUnit,
+  isEligible,
+  rankInstruments,
+  buildMarketResult,
+  addMarketBasedScope2,
+  emptyMarketBased,
+  validateInstrument,
+} = require('../../modules/zero-carbon/scope2/services/marketBasedService');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const base = { status: 'active', isDeleted: false, energyType: 'electricity', vintageYear: 2025, allocatedMWh: 0 };
+const ctx = { nodeId: 'plant-1', energyType: 'electricity', date: new Date('2025-06-15') };
+
+// ─── Units ────────────────────────────────────────────────────────────────────
+
+test('consumption units convert to MWh, defaulting to kWh', () => {
+  assert.strictEqual(mwhPerUnit('MWh'), 1);
+  assert.strictEqual(mwhPerUnit('GWh'), 1000);
+  assert.strictEqual(mwhPerUnit(''), 0.001);
+  assert.strictEqual(mwhPerUnit(undefined), 0.001);
+});
+
+// ─── Eligibility & ranking ────────────────────────────────────────────────────
+
+test('instruments only cover consumption in their vintage year by default', () => {
+  assert.strictEqual(isEligible({ ...base, volumeMWh: 10 }, ctx), true);
+  assert.strictEqual(isEligible({ ...base, volumeMWh: 10, vintageYear: 2024 }, ctx), false);
+  assert.strictEqual(isEligible({ ...base, volumeMWh: 10, vintageYear: 2024,
+    coverageStart: '2024-07-01', coverageEnd: '2025-06-30' }, ctx), true);
+});
+
+test('facility-specific instruments only cover their own node', () => {
+  assert.strictEqual(isEligible({ ...base, volumeMWh: 10, facility: { nodeId: 'plant-2' } }, ctx), false);
+  assert.strictEqual(isEligible({ ...base, volumeMWh: 10, facility: { nodeId: 'plant-1' } }, ctx), true);
+});
+
+test('exhausted, retired and other energy types are not eligible', () => {
+  assert.strictEqual(isEligible({ ...base, volumeMWh: 10, allocatedMWh: 10 }, ctx), false);
+  assert.strictEqual(isEligible({ ...base, volumeMWh: 10, status: 'retired' }, ctx), false);
+  assert.strictEqual(isEligible({ ...base, volumeMWh: 10, energyType: 'steam' }, ctx), false);
+  assert.strictEqual(isEligible({ ...base, volumeMWh: null, instrumentType: 'SUPPLIER_SPECIFIC' }, ctx), true);
+});
+
+test('facility-specific first, then PPA → certificates → tariff → supplier-specific', () => {
+  const ranked = rankInstruments([
+    { ...base, name: 'supplier', instrumentType: 'SUPPLIER_SPECIFIC' },
+    { ...base, name: 'rec', instrumentType: 'REC' },
+    { ...base, name: 'ppa', instrumentType: 'PPA' },
+    { ...base, name: 'site-go', instrumentType: 'GO', facility: { nodeId: 'plant-1' } },
+  ]);
+  assert.deepStrictEqual(ranked.map(i => i.name), ['site-go', 'ppa', 'rec', 'supplier']);
+});
+
+// ─── Market-based result ──────────────────────────────────────────────────────
+
+test('covered MWh use the instrument factor and the rest the residual mix', () => {
+  // 100 000 kWh at 0.7 kg/kWh location-based; 60 MWh of RECs at 0; residual mix 0.9
+  const r = buildMarketResult({
+    quantity: 100000, unitMWh: 0.001, locationCO2e: 70000, locationFactor: 0.7,
+    allocations: [{ instrument: { _id: 'i1', instrumentType: 'REC', name: 'REC', emissionFactor: 0 }, mwh: 60 }],
+    residual: { factor: 0.9, source: 'AIB 2025' },
+  });
+  assert.strictEqual(r.consumptionMWh, 100);
+  assert.strictEqual(r.coveredMWh, 60);
+  assert.strictEqual(r.residualMWh, 40);
+  assert.strictEqual(r.marketBasedCO2e, 36000);
+  assert.strictEqual(r.locationBasedCO2e, 70000);
+  assert.strictEqual(r.residualFactorSource, 'AIB 2025');
+});
+
+test('supplier-specific factors are applied per kWh covered', () => {
+  const r = buildMarketResult({
+    quantity: 10, unitMWh: 1, locationCO2e: 7000, locationFactor: 700,
+    allocations: [{ instrument: { _id: 'i2', instrumentType: 'SUPPLIER_SPECIFIC', name: 'Utility', emissionFactor: 0.4 }, mwh: 10 }],
+    residual: null,
+  });
+  assert.strictEqual(r.marketBasedCO2e, 4000);
+  assert.strictEqual(r.residualMWh, 0);
+});
+
+test('without a residual mix the location factor is used per metered unit', () => {
+  const r = buildMarketResult({
+    quantity: 1000, unitMWh: 0.001, locationCO2e: 700, locationFactor: 0.7, allocations: [], residual: null,
+  });
+  assert.strictEqual(Math.round(r.marketBasedCO2e * 1e6) / 1e6, 700);
+  assert.strictEqual(r.residualFactorSource, 'location_based_fallback');
+});
+
+// ─── Summary aggregation ──────────────────────────────────────────────────────
+
+test('summary adds market-based results and falls back to location for old entries', () => {
+  const bucket = emptyMarketBased();
+  addMarketBasedScope2(bucket, { scope2Methods: { marketBasedCO2e: 30, residualCO2e: 20, coveredMWh: 5, residualMWh: 2 } }, { CO2e: 70 });
+  addMarketBasedScope2(bucket, {}, { CO2e: 50 });
+  assert.strictEqual(bucket.CO2e, 80);
+  assert.strictEqual(bucket.instrumentCO2e, 10);
+  assert.strictEqual(bucket.residualCO2e, 20);
+  assert.strictEqual(bucket.locationFallbackCO2e, 50);
+});
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+
+test('volume is required except for supplier-specific factors', () => {
+  assert.throws(() => validateInstrument({ instrumentType: 'REC', name: 'x', vintageYear: 2025 }), e => e.status === 422);
+  const ok = validateInstrument({ instrumentType: 'SUPPLIER_SPECIFIC', name: 'x', vintageYear: 2025, emissionFactor: 0.3 });
+  assert.strictEqual(ok.volumeMWh, null);
+  assert.strictEqual(ok.emissionFactor, 0.3);
+});
+
+test('supplier-specific instruments need an emission factor', () => {
+  assert.throws(
+    () => validateInstrument({ instrumentType: 'SUPPLIER_SPECIFIC', name: 'x', vintageYear: 2025 }),
+    e => e.errors.some(m => m.includes('emissionFactor'))
+  );
+});
+
+// ─── Results ──────────────────────────────────────────────────────────────────
+
+console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,185 @@
+'use strict';
+
+/**
+ * Unit tests for the Scope 3 method hierarchy, EEIO spend conversion and
+ * data-quality scoring — pure logic, no DB required.
+ *
+ * Run: node src/tests/scope3/test.scope3Methods.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+const {
+  seriesValue,
+  pickEeioFactor,
+  spendMultiplier,
+  validateEeioFactor,
+} = require('../../modules/zero-carbon/scope3/services/eeioService');
+const {
+  METHODS,
+  resolveHierarchy,
+  selectMethod,
+  computeMethod,
+  classifyLine,
+  scoreDataQuality,
+  createScope3Accumulator,
+  addScope3Entry,
+  finalizeScope3,
+} = require('../../modules/zero-carbon/scope3/services/scope3MethodService');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} ≉ ${b}`);
+
+// ─── EEIO ─────────────────────────────────────────────────────────────────────
+
+test('series value is the latest point at or before the year, else the earliest', () => {
+  const series = [{ year: 2020, value: 1 }, { year: 2022, value: 2 }];
+  assert.strictEqual(seriesValue(series, 2023).year, 2022);
+  assert.strictEqual(seriesValue(series, 2021).year, 2020);
+  assert.strictEqual(seriesValue(series, 2018).year, 2020);
+  assert.strictEqual(seriesValue([], 2020), null);
+});
+
+test('EEIO factor choice prefers exact region, then client rows, then closest price year', () => {
+  const f = (over) => ({ clientId: null, region: 'GLOBAL', priceYear: 2020, ...over });
+  const candidates = [
+    f({ id: 'global' }),
+    f({ id: 'in-2018', region: 'IN', priceYear: 2018 }),
+    f({ id: 'in-2022', region: 'IN', priceYear: 2022 }),
+    f({ id: 'in-client', region: 'IN', priceYear: 2015, clientId: 'Greon001' }),
+    f({ id: 'us', region: 'US' }),
+  ];
+  assert.strictEqual(pickEeioFactor(candidates, { region: 'IN', year: 2023 }).id, 'in-client');
+  assert.strictEqual(pickEeioFactor(candidates.slice(0, 3), { region: 'in', year: 2023 }).id, 'in-2022');
+  assert.strictEqual(pickEeioFactor(candidates, { region: 'DE', year: 2023 }).id, 'global');
+});
+
+test('spend is converted to the factor currency and deflated to its price year', () => {
+  const factor = { currency: 'USD', priceYear: 2020, factor: 0.5 };
+  const series = {
+    rates: { USD: [{ year: 2024, value: 1 }], INR: [{ year: 2024, value: 80 }] },
+    deflators: { USD: [{ year: 2020, value: 100 }, { year: 2024, value: 125 }] },
+  };
+  const out = spendMultiplier({ currency: 'inr', year: 2024 }, factor, series);
+  assert.deepStrictEqual(out.errors, []);
+  close(out.fxRate, 1 / 80);
+  close(out.deflator, 0.8);
+  // 8000 INR → 100 USD (2024) → 80 USD (2020) → 40 kgCO2e
+  close(8000 * out.multiplier, 40);
+});
+
+test('missing exchange rate or price index is reported, not guessed', () => {
+  const factor = { currency: 'USD', priceYear: 2020, factor: 0.5 };
+  const out = spendMultiplier({ currency: 'EUR', year: 2024 }, factor, { rates: {}, deflators: {} });
+  assert.strictEqual(out.multiplier, null);
+  assert.strictEqual(out.errors.length, 2);
+  assert.strictEqual(spendMultiplier({ currency: 'USD', year: 2020 }, factor).multiplier, 0.5);
+});
+
+test('EEIO factor validation lists every problem', () => {
+  assert.deepStrictEqual(validateEeioFactor({ sectorCode: '334111', currency: 'USD', priceYear: 2021, factor: 0.2 }), []);
+  assert.strictEqual(validateEeioFactor({ currency: 'dollars', factor: -1 }).length, 4);
+});
+
+// ─── Method hierarchy ─────────────────────────────────────────────────────────
+
+test('hierarchy defaults to all methods and drops unknown entries', () => {
+  assert.deepStrictEqual(resolveHierarchy({}), METHODS);
+  assert.deepStrictEqual(resolveHierarchy({ hierarchy: ['spend_based', 'magic', 'spend_based'] }), ['spend_based']);
+});
+
+test('first method with inputs wins; skipped methods are recorded', () => {
+  const hierarchy = resolveHierarchy({});
+  assert.deepStrictEqual(
+    selectMethod(hierarchy, { procurementSpend: 1000 }, 'physicalQuantity'),
+    { method: 'spend_based', skipped: ['supplier_specific', 'hybrid', 'average_data'] }
+  );
+  assert.strictEqual(
+    selectMethod(hierarchy, { procurementSpend: 1000, physicalQuantity: 5 }, 'physicalQuantity').method,
+    'average_data'
+  );
+  assert.strictEqual(
+    selectMethod(hierarchy, { supplierEmissionFactor: 2, physicalQuantity: 5 }, 'physicalQuantity').method,
+    'supplier_specific'
+  );
+  assert.strictEqual(selectMethod(['spend_based'], { physicalQuantity: 5 }, 'physicalQuantity').method, null);
+});
+
+test('each method computes kgCO2e from its own inputs', () => {
+  const opts = { quantityKey: 'assetQuantity', ef: 10, assetLifetime: 5, amortise: true, spendKgPerUnit: 0.4 };
+  assert.strictEqual(computeMethod('supplier_specific', { supplierSpecificKgCO2e: 123 }, opts), 123);
+  assert.strictEqual(computeMethod('supplier_specific', { supplierEmissionFactor: 3, assetQuantity: 2 }, opts), 6);
+  assert.strictEqual(
+    computeMethod('hybrid', { supplierAllocatedKgCO2e: 100, upstreamKgCO2e: 20, materialInputQuantity: 4, materialInputEmissionFactor: 2.5 }, opts),
+    130
+  );
+  assert.strictEqual(computeMethod('average_data', { assetQuantity: 3 }, opts), 6);
+  assert.strictEqual(computeMethod('average_data', { assetQuantity: 3 }, { ...opts, amortise: false }), 30);
+  assert.strictEqual(computeMethod('spend_based', { procurementSpend: 1000 }, opts), 400);
+});
+
+test('lines of other categories are classified from their inputs', () => {
+  assert.strictEqual(classifyLine(new Map([['investeeScope1Emission', 10]])), 'supplier_specific');
+  assert.strictEqual(classifyLine({ travelSpend: 500 }), 'spend_based');
+  assert.strictEqual(classifyLine({ distance: 120, weight: 3 }), 'average_data');
+});
+
+// ─── Data quality ─────────────────────────────────────────────────────────────
+
+test('data quality follows the method, EEIO fit and node overrides', () => {
+  assert.strictEqual(scoreDataQuality('supplier_specific').score, 1.4);
+  assert.strictEqual(scoreDataQuality('average_data').score, 3);
+
+  const eeio = scoreDataQuality('spend_based', { spend: { source: 'eeio', priceYearGap: 5, regionMatch: true } });
+  assert.strictEqual(eeio.indicators.temporal, 4);
+  assert.strictEqual(eeio.indicators.geographical, 2);
+
+  const fallback = scoreDataQuality('spend_based', { spend: { source: 'node_factor' } });
+  assert.strictEqual(fallback.indicators.technological, 5);
+
+  const overridden = scoreDataQuality('average_data', { overrides: { temporal: 1, reliability: 9 } });
+  assert.strictEqual(overridden.indicators.temporal, 1);
+  assert.strictEqual(overridden.indicators.reliability, 5);
+});
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+test('summary splits CO2e by method with CO2e-weighted DQ for all 15 categories', () => {
+  const acc = createScope3Accumulator();
+  const line = (method, score) => ({ scope3Methods: { method, dataQuality: { score } } });
+  addScope3Entry(acc, line('supplier_specific', 1.4), 'Purchased Goods and Services', { CO2e: 300 });
+  addScope3Entry(acc, line('spend_based', 3.6), 'Purchased Goods and Services', { CO2e: 100 });
+  // Entry calculated before method tracking → classified, default DQ (3.0)
+  addScope3Entry(acc, { dataValues: { distance: 10 } }, 'Business Travel', { CO2e: 50 });
+
+  const { methods, categories } = finalizeScope3(acc);
+  assert.strictEqual(categories.length, 15);
+  assert.strictEqual(methods.supplier_specific, 300);
+  assert.strictEqual(methods.spend_based, 100);
+  assert.strictEqual(methods.average_data, 50);
+
+  const pgs = categories.find(c => c.number === 1);
+  assert.strictEqual(pgs.CO2e, 400);
+  assert.strictEqual(pgs.dataPointCount, 2);
+  assert.strictEqual(pgs.dataQualityScore, 2); // (1.4×300 + 3.6×100) / 400 = 1.95
+  assert.strictEqual(categories.find(c => c.number === 6).dataQualityScore, 3);
+  assert.strictEqual(categories.find(c => c.number === 2).dataQualityScore, null);
+});
+
+// ─── Results ──────────────────────────────────────────────────────────────────
+
+console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exit(1);
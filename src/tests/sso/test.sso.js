@@ -0,0 +1,263 @@
+'use strict';
+
+/**
+ * Unit tests for SSO — claim mapping, sealed state / tickets and the OIDC
+ * relying party. No DB; the OIDC provider is a local HTTP server.
+ *
+ * Run: node src/tests/sso/test.sso.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+process.env.FIELD_ENCRYPTION_KEY = process.env.FIELD_ENCRYPTION_KEY || 'a'.repeat(64);
+
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const zlib = require('zlib');
+
+const {
+  normalizeClaims,
+  emailDomainAllowed,
+  resolveRole,
+  accountDefaults,
+} = require('../../common/services/sso/ssoProvisioning');
+const {
+  STATE_COOKIE,
+  sealState,
+  openState,
+  sealTicket,
+  openTicket,
+  safeReturnTo,
+} = require('../../common/services/sso/ssoState');
+const oidc = require('../../common/services/sso/oidcClient');
+const saml = require('../../common/services/sso/samlClient');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const cookieReq = (value) => ({ headers: { cookie: `other=1; ${STATE_COOKIE}=${encodeURIComponent(value)}` } });
+
+// ─── Fake OIDC provider ───────────────────────────────────────────────────────
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'k1', use: 'sig', alg: 'RS256' };
+
+function startProvider(idTokenClaims) {
+  const seen = {};
+  const server = http.createServer((req, res) => {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      if (req.url === '/.well-known/openid-configuration') {
+        return res.end(JSON.stringify({
+          issuer: base,
+          authorization_endpoint: `${base}/authorize`,
+          token_endpoint: `${base}/token`,
+          jwks_uri: `${base}/jwks`,
+          userinfo_endpoint: `${base}/userinfo`,
+        }));
+      }
+      if (req.url === '/jwks') return res.end(JSON.stringify({ keys: [jwk] }));
+      if (req.url === '/token') {
+        seen.token = { form: new URLSearchParams(body), authorization: req.headers.authorization };
+        const idToken = jwt.sign({ iss: base, aud: 'zc-app', ...idTokenClaims() }, privateKey, {
+          algorithm: 'RS256', keyid: 'k1', expiresIn: 300,
+        });
+        return res.end(JSON.stringify({ id_token: idToken, access_token: 'at-1', token_type: 'Bearer' }));
+      }
+      if (req.url === '/userinfo') {
+        return res.end(JSON.stringify({ sub: 'u-1', email: 'jane@acme.com', groups: ['ESG-Reviewers'] }));
+      }
+      res.statusCode = 404;
+      res.end('{}');
+    });
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve({ server, seen })));
+}
+
+(async () => {
+  // ─── Claims → identity ──────────────────────────────────────────────────────
+
+  await test('OIDC claims normalise; unverified email is dropped', () => {
+    const id = normalizeClaims('oidc', { iss: 'https://idp', sub: 's1', email: 'Jane@Acme.com', groups: 'Admins' });
+    assert.deepStrictEqual(id, { issuer: 'https://idp', subject: 's1', email: 'jane@acme.com', name: null, groups: ['Admins'] });
+    assert.strictEqual(normalizeClaims('oidc', { sub: 's1', email: 'a@b.co', email_verified: false }).email, null);
+  });
+
+  await test('SAML profiles read well-known attribute names', () => {
+    const id = normalizeClaims('saml', {
+      issuer: 'urn:idp',
+      nameID: 'opaque-123',
+      attributes: {
+        'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress': 'jane@acme.com',
+        'http://schemas.microsoft.com/identity/claims/displayname': 'Jane',
+        memberOf: ['Auditors', 'Staff'],
+      },
+    }, 'memberOf');
+    assert.strictEqual(id.subject, 'opaque-123');
+    assert.strictEqual(id.email, 'jane@acme.com');
+    assert.strictEqual(id.name, 'Jane');
+    assert.deepStrictEqual(id.groups, ['Auditors', 'Staff']);
+    assert.strictEqual(normalizeClaims('saml', { issuer: 'x', nameID: 'bob@acme.com' }).email, 'bob@acme.com');
+  });
+
+  await test('domain allow-list', () => {
+    assert.ok(emailDomainAllowed('a@acme.com', []));
+    assert.ok(emailDomainAllowed('a@ACME.com', ['acme.com']));
+    assert.ok(!emailDomainAllowed('a@evil.com', ['acme.com']));
+    assert.ok(!emailDomainAllowed('nope', ['acme.com']));
+  });
+
+  // ─── Role mapping ───────────────────────────────────────────────────────────
+
+  const jit = {
+    defaultUserType: 'viewer',
+    roleMappings: [
+      { group: 'zc-admins', userType: 'client_admin' },
+      { group: 'esg-reviewers', userType: 'reviewer' },
+      { group: 'both', userType: 'auditor', accessibleModules: ['zero_carbon', 'esg_link'] },
+    ],
+  };
+
+  await test('first matching group wins, case-insensitively', () => {
+    assert.deepStrictEqual(resolveRole(jit, ['ESG-Reviewers', 'zc-admins']), { userType: 'client_admin', accessibleModules: ['zero_carbon'] });
+    assert.deepStrictEqual(resolveRole(jit, ['ESG-Reviewers']), { userType: 'reviewer', accessibleModules: ['esg_link'] });
+    assert.deepStrictEqual(resolveRole(jit, ['both']).accessibleModules, ['zero_carbon', 'esg_link']);
+  });
+
+  await test('defaults apply when no group matches; none means no access', () => {
+    assert.deepStrictEqual(resolveRole(jit, ['random']), { userType: 'viewer', accessibleModules: ['zero_carbon'] });
+    assert.deepStrictEqual(resolveRole({ ...jit, defaultModules: ['esg_link'] }, []).accessibleModules, ['esg_link']);
+    assert.strictEqual(resolveRole({ roleMappings: jit.roleMappings }, ['random']), null);
+  });
+
+  await test('new accounts get the create-endpoint defaults for their type', () => {
+    assert.strictEqual(accountDefaults('employee').permissions.canSubmitData, true);
+    assert.strictEqual(accountDefaults('auditor').permissions.canAudit, true);
+    assert.ok(accountDefaults('viewer').accessControls);
+    assert.ok(accountDefaults('approver').esgAccessControls);
+    assert.strictEqual(accountDefaults('client_admin').permissions.canManageUsers, true);
+  });
+
+  // ─── State + tickets ────────────────────────────────────────────────────────
+
+  await test('state cookie opens only for the same client and handle', () => {
+    const sealed = sealState({ clientId: 'Greon001', protocol: 'oidc', handle: 'h-1', nonce: 'n' });
+    assert.strictEqual(openState(cookieReq(sealed), 'Greon001', 'h-1').nonce, 'n');
+    assert.strictEqual(openState(cookieReq(sealed), 'Greon002', 'h-1'), null);
+    assert.strictEqual(openState(cookieReq(sealed), 'Greon001', 'h-2'), null);
+    assert.strictEqual(openState({ headers: {} }, 'Greon001', 'h-1'), null);
+    assert.strictEqual(openState(cookieReq(`${sealed.slice(0, -2)}00`), 'Greon001', 'h-1'), null);
+  });
+
+  await test('tickets are single-purpose and expire', () => {
+    const ticket = sealTicket({ userId: 'u', clientId: 'c', protocol: 'saml' });
+    const opened = openTicket(ticket);
+    assert.strictEqual(opened.userId, 'u');
+    assert.match(opened.jti, /^[0-9a-f]{64}$/);
+    assert.strictEqual(openTicket(sealState({ clientId: 'c', handle: 'h' })), null);
+    assert.strictEqual(openTicket('plain-text'), null);
+
+    const realNow = Date.now;
+    Date.now = () => realNow() + 61 * 1000;
+    try {
+      assert.strictEqual(openTicket(ticket), null);
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  await test('returnTo only allows same-site paths', () => {
+    assert.strictEqual(safeReturnTo('/reports?y=2024'), '/reports?y=2024');
+    for (const bad of ['https://evil.test', '//evil.test', '/\\evil.test', undefined, 'reports']) {
+      assert.strictEqual(safeReturnTo(bad), '/', String(bad));
+    }
+  });
+
+  // ─── OIDC relying party ─────────────────────────────────────────────────────
+
+  let claims = () => ({ sub: 'u-1', nonce: 'nonce-1', email: 'jane@acme.com', groups: ['zc-admins'] });
+  const { server, seen } = await startProvider(() => claims());
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+  const config = { issuer, clientId: 'zc-app', clientSecret: 's3cret', scopes: ['email', 'profile'] };
+
+  await test('authorization URL carries PKCE, nonce and state', async () => {
+    const { verifier, challenge } = oidc.pkcePair();
+    assert.strictEqual(challenge, crypto.createHash('sha256').update(verifier).digest('base64url'));
+    const url = new URL(await oidc.buildAuthorizationUrl({
+      config, redirectUri: 'https://api/cb', state: 'st', nonce: 'nn', codeChallenge: challenge,
+    }));
+    assert.strictEqual(url.origin + url.pathname, `${issuer}/authorize`);
+    assert.strictEqual(url.searchParams.get('scope'), 'openid email profile');
+    assert.strictEqual(url.searchParams.get('code_challenge_method'), 'S256');
+    assert.strictEqual(url.searchParams.get('state'), 'st');
+  });
+
+  await test('code exchange verifies the ID token', async () => {
+    const result = await oidc.completeLogin({
+      config, redirectUri: 'https://api/cb', code: 'c-1', codeVerifier: 'v-1', nonce: 'nonce-1', groupClaim: 'groups',
+    });
+    assert.strictEqual(result.sub, 'u-1');
+    assert.strictEqual(seen.token.form.get('code_verifier'), 'v-1');
+    assert.strictEqual(seen.token.authorization, `Basic ${Buffer.from('zc-app:s3cret').toString('base64')}`);
+  });
+
+  await test('wrong nonce or audience is rejected', async () => {
+    await assert.rejects(
+      oidc.completeLogin({ config, redirectUri: 'x', code: 'c', codeVerifier: 'v', nonce: 'other' }),
+      (err) => err.code === 'ID_TOKEN_INVALID' && /nonce/.test(err.message)
+    );
+    await assert.rejects(
+      oidc.completeLogin({ config: { ...config, clientId: 'someone-else' }, redirectUri: 'x', code: 'c', codeVerifier: 'v', nonce: 'nonce-1' }),
+      (err) => err.code === 'ID_TOKEN_INVALID'
+    );
+  });
+
+  await test('UserInfo fills in a missing email / group claim', async () => {
+    claims = () => ({ sub: 'u-1', nonce: 'nonce-1' });
+    const result = await oidc.completeLogin({
+      config, redirectUri: 'x', code: 'c', codeVerifier: 'v', nonce: 'nonce-1', groupClaim: 'groups',
+    });
+    assert.strictEqual(result.email, 'jane@acme.com');
+    assert.deepStrictEqual(result.groups, ['ESG-Reviewers']);
+  });
+
+  server.close();
+
+  // ─── SAML ───────────────────────────────────────────────────────────────────
+
+  await test('SAML AuthnRequest targets the per-client ACS and echoes RelayState', async () => {
+    const endpoints = saml.spEndpoints('https://api.example.com/', 'Greon001');
+    assert.strictEqual(endpoints.acsUrl, 'https://api.example.com/api/sso/Greon001/saml/acs');
+
+    const { url, request } = await saml.buildLoginUrl(
+      { entryPoint: 'https://idp.example.com/sso', idpCert: ['MIIB'] }, endpoints, 'handle-1'
+    );
+    const parsed = new URL(url);
+    assert.strictEqual(parsed.searchParams.get('RelayState'), 'handle-1');
+    const xml = zlib.inflateRawSync(Buffer.from(parsed.searchParams.get('SAMLRequest'), 'base64')).toString();
+    assert.ok(xml.includes(`ID="${request.id}"`));
+    assert.ok(xml.includes(`AssertionConsumerServiceURL="${endpoints.acsUrl}"`));
+    assert.ok(saml.metadataXml(endpoints).includes(`entityID="${endpoints.entityId}"`));
+  });
+
+  // ─── Results ────────────────────────────────────────────────────────────────
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+  // User / quota models are loaded (no DB connection), exit explicitly
+  process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,175 @@
+'use strict';
+
+/**
+ * Unit tests for supplierService — pure logic, no DB required (review claims
+ * run against a stubbed SupplierSubmission model).
+ *
+ * Run: node src/tests/supplier/test.supplier.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+const {
+  validateSubmission,
+  calculateSupplierEmissions,
+  computeResponseRates,
+  approveSubmission,
+  rejectSubmission,
+} = require('../../modules/zero-carbon/supplier/services/supplierService');
+const SupplierSubmission = require('../../modules/zero-carbon/supplier/models/SupplierSubmission');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+// ─── validateSubmission ────────────────────────────────────────────────────────
+
+console.log('\nvalidateSubmission');
+
+test('Unknown submission type is rejected', () => {
+  const { errors } = validateSubmission({ submissionType: 'invoice' }, 2025);
+  assert.strictEqual(errors.length, 1);
+});
+
+test('Tier defaults follow the submission type', () => {
+  const pcf = validateSubmission({ submissionType: 'product_footprint', products: [{ productName: 'Steel', quantity: 2, pcfKgCO2ePerUnit: 3 }] }, 2025);
+  const spend = validateSubmission({ submissionType: 'spend', spendAmount: 100 }, 2025);
+  assert.deepStrictEqual(pcf.errors, []);
+  assert.strictEqual(pcf.value.dataQualityTier, 'primary');
+  assert.strictEqual(spend.value.dataQualityTier, 'spend_based');
+});
+
+test('Spend cannot claim primary tier', () => {
+  const { errors } = validateSubmission({ submissionType: 'spend', spendAmount: 100, dataQualityTier: 'primary' }, 2025);
+  assert.ok(errors.some(e => e.includes('dataQualityTier')));
+});
+
+test('Period defaults to the reporting year and must end inside it', () => {
+  const ok = validateSubmission({ submissionType: 'spend', spendAmount: 1 }, 2025);
+  assert.strictEqual(ok.value.periodStart.toISOString(), '2025-01-01T00:00:00.000Z');
+  const bad = validateSubmission({ submissionType: 'spend', spendAmount: 1, periodEnd: '2026-03-31' }, 2025);
+  assert.ok(bad.errors.some(e => e.includes('reporting year')));
+});
+
+test('Allocation share can be derived from revenues', () => {
+  const { errors, value } = validateSubmission({
+    submissionType: 'scope12_allocation', scope1TCO2e: 100, customerRevenue: 25, totalRevenue: 200,
+  }, 2025);
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(value.allocationPct, 12.5);
+  assert.strictEqual(value.dataQualityTier, 'secondary');
+});
+
+test('Allocation without a share is rejected', () => {
+  const { errors } = validateSubmission({ submissionType: 'scope12_allocation', scope2TCO2e: 10 }, 2025);
+  assert.ok(errors.some(e => e.includes('allocationPct')));
+});
+
+// ─── calculateSupplierEmissions ────────────────────────────────────────────────
+
+console.log('\ncalculateSupplierEmissions');
+
+test('Product footprints sum quantity × PCF in kg', () => {
+  const kg = calculateSupplierEmissions({
+    submissionType: 'product_footprint',
+    products: [{ quantity: 10, pcfKgCO2ePerUnit: 2.5 }, { quantity: 4, pcfKgCO2ePerUnit: 1 }],
+  });
+  assert.strictEqual(kg, 29);
+});
+
+test('Scope 1/2 allocation converts tonnes to kg at the share', () => {
+  const kg = calculateSupplierEmissions({
+    submissionType: 'scope12_allocation', scope1TCO2e: 80, scope2TCO2e: 20, allocationPct: 5,
+  });
+  assert.strictEqual(kg, 5000);
+});
+
+test('Spend is left to the node emission factor', () => {
+  assert.strictEqual(calculateSupplierEmissions({ submissionType: 'spend', spendAmount: 100 }), null);
+});
+
+// ─── computeResponseRates ──────────────────────────────────────────────────────
+
+console.log('\ncomputeResponseRates');
+
+const suppliers = [
+  { _id: 'a', annualSpend: 600 },
+  { _id: 'b', annualSpend: 300 },
+  { _id: 'c', annualSpend: 100 },
+  { _id: 'd', annualSpend: 999, status: 'inactive' },
+];
+const invitations = [
+  { supplierId: 'a', status: 'submitted' },
+  { supplierId: 'b', status: 'submitted' },
+  { supplierId: 'c', status: 'revoked' },
+];
+const submissions = [
+  { supplierId: 'a', status: 'approved', dataQualityTier: 'primary' },
+  { supplierId: 'a', status: 'approved', dataQualityTier: 'spend_based' },
+  { supplierId: 'b', status: 'pending_review', dataQualityTier: 'secondary' },
+  { supplierId: 'd', status: 'approved', dataQualityTier: 'primary' },
+];
+
+test('Response rate is over invited suppliers, engagement over active ones', () => {
+  const r = computeResponseRates(suppliers, invitations, submissions);
+  assert.strictEqual(r.totalSuppliers, 3);
+  assert.strictEqual(r.invited, 2);
+  assert.strictEqual(r.responded, 2);
+  assert.strictEqual(r.responseRatePct, 100);
+  assert.strictEqual(r.engaged, 1);
+  assert.strictEqual(r.engagementPct, 33.33);
+  assert.strictEqual(r.pendingReview, 1);
+});
+
+test('Spend engagement and tiers ignore inactive suppliers', () => {
+  const r = computeResponseRates(suppliers, invitations, submissions);
+  assert.deepStrictEqual(r.spend, { total: 1000, engaged: 600, engagedPct: 60 });
+  assert.deepStrictEqual(r.approvedByTier, { primary: 1, secondary: 0, spend_based: 1 });
+});
+
+// ─── Review claims ─────────────────────────────────────────────────────────────
+
+(async () => {
+  console.log('\nreview claims');
+
+  const reviewer = { _id: '64b0000000000000000000aa' };
+  const claims = [];
+  SupplierSubmission.findOneAndUpdate = async (filter, update) => { claims.push({ filter, update }); return null; };
+  SupplierSubmission.findOne = () => ({ select: () => ({ lean: async () => ({ status: 'approving' }) }) });
+
+  await test('A submission another reviewer is approving cannot be approved or rejected', async () => {
+    await assert.rejects(approveSubmission('C1', 's1', reviewer), (e) => e.status === 409);
+    await assert.rejects(rejectSubmission('C1', 's1', reviewer, 'wrong year'), (e) => e.status === 409);
+  });
+
+  await test('Approval and rejection claim only pending submissions', async () => {
+    const [approve, reject] = claims;
+    assert.deepStrictEqual(approve.filter.$or[0], { status: 'pending_review' });
+    assert.strictEqual(approve.filter.$or[1].status, 'approving');
+    assert.strictEqual(approve.update[0].$set.status, 'approving');
+    assert.strictEqual(reject.filter.status, 'pending_review');
+    assert.strictEqual(reject.update.$set.status, 'rejected');
+  });
+
+  await test('Missing and decided submissions keep their errors', async () => {
+    SupplierSubmission.findOne = () => ({ select: () => ({ lean: async () => null }) });
+    await assert.rejects(approveSubmission('C1', 's1', reviewer), (e) => e.status === 404);
+    SupplierSubmission.findOne = () => ({ select: () => ({ lean: async () => ({ status: 'approved' }) }) });
+    await assert.rejects(rejectSubmission('C1', 's1', reviewer, 'x'), /already approved/);
+  });
+
+  // ─── Results ──────────────────────────────────────────────────────────────────
+
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+  if (failed > 0) process.exit(1);
+})();
@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * Unit tests for the unit-of-measure registry and the ingestion-side unit
+ * normalisation — pure logic, no DB required.
+ *
+ * Run: node src/tests/uom/test.uomService.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+const uom = require('../../common/services/uom/uomService');
+const {
+  expectedUnitFor,
+  declaredUnits,
+  applyUnitConversions,
+} = require('../../modules/zero-carbon/organization/utils/unitNormalization');
+const { mwhPerUnit } = require('../../modules/zero-carbon/scope2/services/marketBasedService');
+const { validateMetricUnits } = require('../../modules/esg-link/esgLink_core/metric/services/metricService');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} ≉ ${b}`);
+const throwsCode = (fn, code) => assert.throws(fn, (e) => e instanceof uom.UomError && e.code === code);
+
+// ─── Registry ─────────────────────────────────────────────────────────────────
+
+test('aliases resolve case-insensitively to one symbol', () => {
+  assert.strictEqual(uom.parseUnit('KWH').symbol, 'kWh');
+  assert.strictEqual(uom.parseUnit('kilowatt hours').symbol, 'kWh');
+  assert.strictEqual(uom.parseUnit('Ltrs').symbol, 'L');
+  assert.strictEqual(uom.parseUnit('Tonne-Km').symbol, 'tkm');
+  assert.strictEqual(uom.parseUnit('m³').symbol, 'm3');
+  assert.strictEqual(uom.parseUnit('₹').symbol, 'INR');
+  assert.strictEqual(uom.parseUnit('usd').dimension, 'currency');
+  assert.strictEqual(uom.parseUnit('furlongs'), null);
+  assert.strictEqual(uom.parseUnit(''), null);
+});
+
+test('conversions within a dimension', () => {
+  close(uom.convert(2.5, 'MWh', 'kWh'), 2500);
+  close(uom.convert(10, 'gallons', 'L'), 37.85411784);
+  close(uom.convert(1, 'GJ', 'kWh'), 1000 / 3.6);
+  close(uom.convert(100, 'miles', 'km'), 160.9344);
+  close(uom.convert(50, '%', 'fraction'), 0.5);
+  close(uom.convert(500, 'INR', 'INR'), 500);
+});
+
+test('incompatible and unknown units are refused', () => {
+  throwsCode(() => uom.convert(1, 'kg', 'kWh'), 'INCOMPATIBLE_UNITS');
+  throwsCode(() => uom.convert(1, 'USD', 'EUR'), 'INCOMPATIBLE_UNITS');
+  throwsCode(() => uom.convert(1, 'furlongs', 'km'), 'UNKNOWN_UNIT');
+  assert.strictEqual(uom.areCompatible('kg', 't'), true);
+  assert.strictEqual(uom.areCompatible('USD', 'EUR'), false);
+  assert.strictEqual(uom.areCompatible('pkm', 'km'), false);
+});
+
+test('canonical values and rate denominators', () => {
+  assert.deepStrictEqual(uom.toCanonical(3, 't'), { value: 3000, unit: 'kg' });
+  assert.strictEqual(uom.denominatorUnit('kg CO2e per kWh').symbol, 'kWh');
+  assert.strictEqual(uom.denominatorUnit('kgCO2e/litre').symbol, 'L');
+  assert.strictEqual(uom.denominatorUnit('kgCO2e'), null);
+  const energy = uom.listUnits().find((d) => d.dimension === 'energy');
+  assert.strictEqual(energy.canonical, 'kWh');
+  assert.ok(energy.units.some((u) => u.symbol === 'MMBtu'));
+});
+
+// ─── Ingestion normalisation ──────────────────────────────────────────────────
+
+test('expected unit comes from expectedUnits, Scope 2 unit, spend currency, then scope units', () => {
+  const s2 = { scopeType: 'Scope 2', electricityUnit: 'MWh', units: 'kWh' };
+  assert.strictEqual(expectedUnitFor(s2, 'consumed_electricity'), 'MWh');
+  assert.strictEqual(expectedUnitFor({ scopeType: 'Scope 2' }, 'consumed_steam'), 'kWh');
+  assert.strictEqual(expectedUnitFor({ expectedUnits: new Map([['fuel', 'L']]), units: 'kg' }, 'fuel'), 'L');
+  assert.strictEqual(expectedUnitFor({ scope3Method: { spendCurrency: 'INR' }, units: 'kg' }, 'procurementSpend'), 'INR');
+  assert.strictEqual(expectedUnitFor({ units: 'kg' }, 'weight'), 'kg');
+  assert.strictEqual(expectedUnitFor({}, 'weight'), null);
+});
+
+test('units are read from units map, <field>_unit columns and a bare unit', () => {
+  const dv = { fuel: 10, distance: 0 };
+  assert.deepStrictEqual(declaredUnits({ units: { fuel: 'gal' } }, dv), { fuel: 'gal' });
+  assert.deepStrictEqual(declaredUnits({ fuel_unit: 'gal', distanceUnit: 'mi' }, dv), { fuel: 'gal', distance: 'mi' });
+  assert.deepStrictEqual(declaredUnits({ unit: ' gal ' }, dv), { fuel: 'gal' });
+  throwsCode(() => declaredUnits({ units: { fual: 'gal' } }, dv), 'UNKNOWN_FIELD');
+  throwsCode(() => declaredUnits({ unit: 'gal' }, { fuel: 1, distance: 2 }), 'AMBIGUOUS_UNIT');
+});
+
+test('declared values are converted to the scope unit and recorded', () => {
+  const dv = { consumed_electricity: 2.5 };
+  const out = applyUnitConversions(dv, { unit: 'MWh' }, { scopeType: 'Scope 2', electricityUnit: 'kWh' });
+  close(dv.consumed_electricity, 2500);
+  assert.strictEqual(out.length, 1);
+  assert.strictEqual(out[0].originalUnit, 'MWh');
+  assert.strictEqual(out[0].originalValue, 2.5);
+  assert.strictEqual(out[0].unit, 'kWh');
+  close(out[0].factor, 1000);
+});
+
+test('rows without units are left alone; unknown or incompatible units are rejected', () => {
+  const dv = { fuel: 10 };
+  assert.strictEqual(applyUnitConversions(dv, {}, { units: 'L' }), null);
+  assert.strictEqual(dv.fuel, 10);
+  throwsCode(() => applyUnitConversions({ fuel: 1 }, { unit: 'furlongs' }, { units: 'L' }), 'UNKNOWN_UNIT');
+  throwsCode(() => applyUnitConversions({ fuel: 1 }, { unit: 'gal' }, { units: 'litres of diesel' }), 'UNKNOWN_UNIT');
+  assert.throws(
+    () => applyUnitConversions({ fuel: 1 }, { unit: 'kg' }, { units: 'L' }),
+    (e) => e.code === 'INCOMPATIBLE_UNITS' && e.message.startsWith("'fuel': ")
+  );
+});
+
+test('declared unit is kept when the scope has no unit', () => {
+  const dv = { fuel: 4 };
+  const out = applyUnitConversions(dv, { unit: 'litre' }, {});
+  assert.strictEqual(dv.fuel, 4);
+  assert.strictEqual(out[0].unit, 'L');
+  assert.strictEqual(out[0].factor, 1);
+});
+
+// ─── Consumers ────────────────────────────────────────────────────────────────
+
+test('Scope 2 market-based MWh factor follows the registry', () => {
+  close(mwhPerUnit('kWh'), 0.001);
+  close(mwhPerUnit('GJ'), 1 / 3.6);
+  close(mwhPerUnit('gallons'), 0.001); // not energy → falls back to kWh
+});
+
+test('ESG metric allowed units must convert to the primary unit', () => {
+  assert.strictEqual(validateMetricUnits('kWh', ['MWh', 'GJ']).valid, true);
+  assert.strictEqual(validateMetricUnits('headcount', ['people']).valid, true);
+  assert.strictEqual(validateMetricUnits('kWh', ['headcount']).valid, true);
+  const bad = validateMetricUnits('kWh', ['MWh', 'kg']);
+  assert.strictEqual(bad.valid, false);
+  assert.ok(bad.message.includes('kg'));
+  assert.strictEqual(validateMetricUnits('kWh', 'MWh').valid, false);
+});
+
+// ─── Results ──────────────────────────────────────────────────────────────────
+
+console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exit(1);
@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Unit tests for the threshold anomaly detectors — pure logic, no DB required.
+ *
+ * Run: node src/tests/verification/test.anomalyDetection.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+const {
+  detectAnomaly,
+  quantile,
+  median,
+  stdDev
+} = require('../../modules/zero-carbon/verification/services/anomalyDetectionService');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+const config = { thresholdPercentage: 20, zScoreThreshold: 3, madThreshold: 3.5, iqrMultiplier: 1.5 };
+const samples = [100, 104, 96, 102, 98, 101, 99, 103, 97, 100];
+
+console.log('\nstatistics helpers');
+test('quantile interpolates like numpy', () => {
+  assert.strictEqual(quantile([1, 2, 3, 4], 0.25), 1.75);
+  assert.strictEqual(median([5, 1, 3]), 3);
+});
+test('population standard deviation', () => {
+  assert.strictEqual(stdDev([2, 4, 4, 4, 5, 5, 7, 9]), 2);
+});
+
+console.log('\npercentage');
+test('matches the legacy ±threshold band', () => {
+  const ok = detectAnomaly('percentage', 115, samples, config);
+  const bad = detectAnomaly('percentage', 125, samples, config);
+  assert.strictEqual(ok.isAnomaly, false);
+  assert.strictEqual(bad.isAnomaly, true);
+  assert.deepStrictEqual(bad.expectedRange, { low: 80, high: 120 });
+  assert.strictEqual(bad.deviationPercentage, 25);
+});
+test('unknown method falls back to percentage', () => {
+  assert.strictEqual(detectAnomaly('nope', 125, samples, config).detectionMethod, 'percentage');
+});
+
+console.log('\nzscore');
+test('flags values beyond zScoreThreshold σ', () => {
+  const r = detectAnomaly('zscore', 110, samples, config);
+  assert.strictEqual(r.isAnomaly, true);
+  assert.strictEqual(r.detectionMethod, 'zscore');
+  assert.ok(r.score > 3);
+  assert.ok(r.expectedRange.low < 100 && r.expectedRange.high > 100);
+});
+test('passes values inside the band that a 5% flat band would flag', () => {
+  const wide = [50, 150, 80, 120, 100, 60, 140];
+  const r = detectAnomaly('zscore', 160, wide, { ...config, thresholdPercentage: 5 });
+  assert.strictEqual(r.isAnomaly, false);
+});
+test('zero variance falls back to the percentage band', () => {
+  const r = detectAnomaly('zscore', 130, [100, 100, 100], config);
+  assert.strictEqual(r.isAnomaly, true);
+  assert.ok(/no variance/.test(r.explanation));
+});
+
+console.log('\nmad');
+test('robust to a single outlier in the baseline', () => {
+  const withOutlier = [...samples, 1000];
+  assert.strictEqual(detectAnomaly('mad', 103, withOutlier, config).isAnomaly, false);
+  assert.strictEqual(detectAnomaly('mad', 130, withOutlier, config).isAnomaly, true);
+});
+
+console.log('\niqr');
+test('flags values outside Tukey fences', () => {
+  const r = detectAnomaly('iqr', 120, samples, config);
+  assert.strictEqual(r.isAnomaly, true);
+  assert.strictEqual(detectAnomaly('iqr', 101, samples, config).isAnomaly, false);
+  assert.ok(r.expectedRange.high < 120);
+});
+
+console.log('\nseasonal');
+test('compares against last year and names the period', () => {
+  const period = { from: new Date('2023-01-01T00:00:00Z'), to: new Date('2023-01-31T00:00:00Z') };
+  const winter = [300, 310, 290];
+  const r = detectAnomaly('seasonal', 305, winter, config, period);
+  assert.strictEqual(r.isAnomaly, false);
+  assert.strictEqual(r.detectionMethod, 'seasonal');
+  assert.ok(r.explanation.includes('2023-01-01'));
+  assert.strictEqual(detectAnomaly('seasonal', 100, winter, config, period).isAnomaly, true);
+});
+
+console.log(`\n${passed} passed, ${failed} failed\n`);
+process.exit(failed ? 1 : 0);
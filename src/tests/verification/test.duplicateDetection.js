@@ -0,0 +1,203 @@
+'use strict';
+
+/**
+ * Unit tests for duplicate upload detection — pure logic, no DB required
+ * (findDuplicates runs against stubbed models).
+ *
+ * Run: node src/tests/verification/test.duplicateDetection.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+const {
+  DuplicateEntryError,
+  hashBuffer,
+  normalizeIdentifier,
+  extractDocumentIdentifiers,
+  contentFingerprint,
+  rowFingerprint,
+  buildFingerprint,
+  classifyMatch,
+  duplicateAction,
+  buildComparison,
+  buildDuplicateMeta,
+  pendingAsEntry,
+  findDuplicates
+} = require('../../modules/zero-carbon/verification/services/duplicateDetectionService');
+const DataEntry = require('../../modules/zero-carbon/organization/models/DataEntry');
+const PendingApproval = require('../../modules/zero-carbon/verification/PendingApproval');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+console.log('\nidentifiers');
+test('normalises separators and case, rejects non-identifiers', () => {
+  assert.strictEqual(normalizeIdentifier(' 0012-345 678 '), '0012345678');
+  assert.strictEqual(normalizeIdentifier('inv/2024/0042'), 'INV20240042');
+  assert.strictEqual(normalizeIdentifier('N/A'), null);
+  assert.strictEqual(normalizeIdentifier('12'), null);
+});
+test('reads bill, account and meter numbers from OCR pairs', () => {
+  const ids = extractDocumentIdentifiers([
+    { rawLabel: 'Bill No', rawValue: 'EB-2024-000981' },
+    { rawLabel: 'Consumer No.', rawValue: '1100 2233 44' },
+    { rawLabel: 'Meter Serial', rawValue: 'MTR 5521' },
+    { rawLabel: 'Units Consumed', rawValue: '620' }
+  ]);
+  assert.deepStrictEqual(ids, { billNumber: 'EB2024000981', accountNumber: '1100223344', meterNumber: 'MTR5521' });
+});
+
+console.log('\nfingerprints');
+test('same file → same hash', () => {
+  assert.strictEqual(hashBuffer(Buffer.from('a,b\n1,2')), hashBuffer(Buffer.from('a,b\n1,2')));
+  assert.notStrictEqual(hashBuffer(Buffer.from('a,b\n1,2')), hashBuffer(Buffer.from('a,b\n1,3')));
+  assert.strictEqual(hashBuffer(null), null);
+});
+test('content hash ignores formatting of the bill number', () => {
+  const a = contentFingerprint({ billNumber: 'EB-2024-000981', accountNumber: '1100 2233 44' });
+  const b = contentFingerprint({ billNumber: 'eb2024000981', accountNumber: '1100223344' });
+  assert.ok(a);
+  assert.strictEqual(a, b);
+});
+test('account number alone needs a billing period', () => {
+  assert.strictEqual(contentFingerprint({ accountNumber: '1100223344' }), null);
+  const jan = contentFingerprint({ accountNumber: '1100223344' }, { start: '2024-01-01', end: '2024-01-31' });
+  const feb = contentFingerprint({ accountNumber: '1100223344' }, { start: '2024-02-01', end: '2024-02-29' });
+  assert.ok(jan && feb && jan !== feb);
+});
+test('row hash is independent of key order and skips blanks', () => {
+  const ts = new Date('2024-01-31T00:00:00Z');
+  assert.strictEqual(rowFingerprint(ts, { a: 1, b: '2' }), rowFingerprint(ts, new Map([['b', 2], ['a', 1], ['c', '']])));
+  assert.notStrictEqual(rowFingerprint(ts, { a: 1 }), rowFingerprint(new Date('2024-02-01T00:00:00Z'), { a: 1 }));
+});
+test('fingerprint covers whole days of the billing period', () => {
+  const fp = buildFingerprint({ fileHash: 'f', period: { start: '2024-01-15', end: '2024-02-14' } });
+  assert.strictEqual(fp.periodStart.toISOString(), '2024-01-15T00:00:00.000Z');
+  assert.strictEqual(fp.periodEnd.toISOString(), '2024-02-14T23:59:59.999Z');
+  assert.strictEqual(buildFingerprint({}), null);
+});
+
+console.log('\nmatching');
+const incoming = buildFingerprint({
+  fileHash: 'f1', contentHash: 'c1', batchId: 'b1', period: { start: '2024-01-15', end: '2024-02-14' }
+});
+test('strongest match type wins', () => {
+  assert.strictEqual(classifyMatch(incoming, { documentFingerprint: { fileHash: 'f1', contentHash: 'c1' } }), 'file');
+  assert.strictEqual(classifyMatch(incoming, { documentFingerprint: { fileHash: 'f2', contentHash: 'c1' } }), 'content');
+});
+test('entries of the same upload never match', () => {
+  assert.strictEqual(classifyMatch(incoming, { documentFingerprint: { fileHash: 'f1', batchId: 'b1' } }), null);
+});
+test('overlapping periods and point entries inside the period', () => {
+  const overlapping = { documentFingerprint: { periodStart: new Date('2024-02-01'), periodEnd: new Date('2024-02-29') } };
+  const before = { documentFingerprint: { periodStart: new Date('2023-12-01'), periodEnd: new Date('2024-01-14') } };
+  assert.strictEqual(classifyMatch(incoming, overlapping), 'overlap');
+  assert.strictEqual(classifyMatch(incoming, before), null);
+  assert.strictEqual(classifyMatch(incoming, { timestamp: new Date('2024-01-31T10:00:00Z') }), 'overlap');
+  assert.strictEqual(classifyMatch(incoming, { timestamp: new Date('2024-03-01T00:00:00Z') }), null);
+});
+test('a point upload matches periods that contain it, not other points', () => {
+  const point = buildFingerprint({ rowHash: 'r1' });
+  const at = new Date('2024-01-20T00:00:00Z');
+  assert.strictEqual(classifyMatch(point, { documentFingerprint: { periodStart: new Date('2024-01-01'), periodEnd: new Date('2024-01-31') } }, at), 'overlap');
+  assert.strictEqual(classifyMatch(point, { timestamp: at }, at), null);
+  assert.strictEqual(classifyMatch(point, { documentFingerprint: { rowHash: 'r1' } }, at), 'row');
+});
+test('exact duplicates block unless review is requested; overlaps go to review', () => {
+  assert.strictEqual(duplicateAction([]), null);
+  assert.strictEqual(duplicateAction([{ matchType: 'overlap' }]), 'review');
+  assert.strictEqual(duplicateAction([{ matchType: 'overlap' }, { matchType: 'content' }]), 'block');
+  assert.strictEqual(duplicateAction([{ matchType: 'file' }], 'review'), 'review');
+});
+
+console.log('\ncomparison');
+test('side-by-side values with differences', () => {
+  const existing = {
+    _id: 'e1',
+    inputType: 'OCR',
+    date: '31/01/2024',
+    dataValues: { consumed_electricity: 600 },
+    documentFingerprint: { periodStart: new Date('2024-01-01T00:00:00Z'), periodEnd: new Date('2024-01-31T23:59:59Z') }
+  };
+  const c = buildComparison({ date: '14/02/2024', dataValues: { consumed_electricity: 620, demand_kw: 40 } }, existing, 'overlap');
+  assert.deepStrictEqual(c.existing.period, { start: '2024-01-01', end: '2024-01-31' });
+  assert.deepStrictEqual(c.fields[0], { field: 'consumed_electricity', incoming: 620, existing: 600, difference: 20 });
+  assert.deepStrictEqual(c.fields[1], { field: 'demand_kw', incoming: 40, existing: null, difference: null });
+});
+test('duplicate meta summarises matches; error carries it as 409', () => {
+  const matches = [
+    { matchType: 'content', entry: { _id: 'e1', dataValues: { a: 1 } } },
+    { matchType: 'overlap', entry: { _id: 'e2', dataValues: { a: 2 } } },
+    { matchType: 'overlap', entry: { _id: 'e3', dataValues: { a: 3 } } }
+  ];
+  const meta = buildDuplicateMeta(matches, { dataValues: { a: 1 } });
+  assert.strictEqual(meta.matchType, 'content');
+  assert.strictEqual(meta.reason, 'Suspected duplicate: 1 content match, 2 overlap matches');
+  assert.strictEqual(meta.comparisons.length, 3);
+  const err = new DuplicateEntryError('blocked', meta);
+  assert.strictEqual(err.status, 409);
+  assert.strictEqual(err.duplicates, meta);
+});
+
+(async () => {
+  console.log('\nheld uploads');
+
+  const heldBill = {
+    _id: 'p1',
+    createdAt: new Date('2024-02-02T00:00:00Z'),
+    originalPayload: {
+      inputType: 'OCR',
+      date: '31/01/2024',
+      timestamp: new Date('2024-01-31T00:00:00Z'),
+      dataValues: { consumed_electricity: 600 },
+      documentFingerprint: buildFingerprint({ contentHash: 'c1', period: { start: '2024-01-01', end: '2024-01-31' } })
+    }
+  };
+
+  await test('a held upload is matched like the entry it would become', () => {
+    const held = pendingAsEntry(heldBill);
+    assert.strictEqual(classifyMatch(buildFingerprint({ contentHash: 'c1' }), held), 'content');
+    const meta = buildDuplicateMeta([{ matchType: 'content', entry: held }], { dataValues: { consumed_electricity: 600 } });
+    assert.deepStrictEqual(meta.matches, [{ matchType: 'content', pendingApprovalId: 'p1' }]);
+    assert.strictEqual(meta.comparisons[0].existing.dataEntryId, null);
+    assert.strictEqual(meta.comparisons[0].existing.pendingApprovalId, 'p1');
+  });
+
+  const chain = (rows, seen) => (filter) => {
+    seen.push(filter);
+    return { sort: () => ({ limit: () => ({ lean: async () => rows }) }) };
+  };
+
+  await test('findDuplicates searches open PendingApprovals unless told not to', async () => {
+    const entryFilters = [];
+    const pendingFilters = [];
+    DataEntry.find = chain([], entryFilters);
+    PendingApproval.find = chain([heldBill], pendingFilters);
+
+    const fingerprint = buildFingerprint({ contentHash: 'c1', batchId: 'b2' });
+    const matches = await findDuplicates({ clientId: 'C1', nodeId: 'n1', scopeIdentifier: 's1', fingerprint });
+    assert.strictEqual(matches.length, 1);
+    assert.strictEqual(matches[0].entry.pendingApprovalId, 'p1');
+    assert.strictEqual(pendingFilters[0].status, 'Pending_Approval');
+    assert.deepStrictEqual(pendingFilters[0].$or, [{ 'originalPayload.documentFingerprint.contentHash': 'c1' }]);
+    assert.deepStrictEqual(pendingFilters[0]['originalPayload.documentFingerprint.batchId'], { $ne: 'b2' });
+
+    const committed = await findDuplicates({ clientId: 'C1', nodeId: 'n1', scopeIdentifier: 's1', fingerprint, includePending: false });
+    assert.deepStrictEqual(committed, []);
+    assert.strictEqual(pendingFilters.length, 1);
+  });
+
+  console.log(`\n${passed} passed, ${failed} failed\n`);
+  process.exit(failed ? 1 : 0);
+})();
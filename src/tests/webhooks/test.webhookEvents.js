@@ -0,0 +1,149 @@
+'use strict';
+
+/**
+ * Unit tests for outbound webhook helpers — pure logic, no DB required.
+ *
+ * Run: node src/tests/webhooks/test.webhookEvents.js
+ * Exit 0 = all pass, Exit 1 = failures.
+ */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const {
+  WEBHOOK_EVENTS,
+  validateEvents,
+  subscriptionMatches,
+  validateEndpointUrl,
+  isPrivateAddress,
+  checkResolvedAddresses,
+  generateSecret,
+  signPayload,
+  verifyPayload,
+  backoffDelay,
+  isSuccessStatus,
+  buildEnvelope,
+} = require('../../common/services/webhook/webhookEvents');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  PASS  ${name}`);
+    passed++;
+  } catch (e) {
+    console.error(`  FAIL  ${name}: ${e.message}`);
+    failed++;
+  }
+}
+
+// ─── Event filters ────────────────────────────────────────────────────────────
+
+test('catalogue covers every requested event', () => {
+  for (const event of [
+    'data_entry.created', 'data_entry.calculated',
+    'approval.raised', 'approval.approved', 'approval.rejected',
+    'emission_summary.recalculated', 'reduction.status_changed',
+    'brsr_answer.approved', 'ticket.status_changed',
+  ]) {
+    assert.ok(WEBHOOK_EVENTS[event], event);
+  }
+});
+
+test('event filters must be non-empty and known', () => {
+  assert.strictEqual(validateEvents(['ticket.status_changed']), null);
+  assert.strictEqual(validateEvents(['*']), null);
+  assert.ok(validateEvents([]));
+  assert.ok(validateEvents('ticket.status_changed'));
+  assert.match(validateEvents(['ticket.status_changed', 'ticket.deleted']), /ticket\.deleted/);
+});
+
+test('subscriptions match listed events or the wildcard', () => {
+  assert.ok(subscriptionMatches({ events: ['approval.raised'] }, 'approval.raised'));
+  assert.ok(!subscriptionMatches({ events: ['approval.raised'] }, 'approval.approved'));
+  assert.ok(subscriptionMatches({ events: ['*'] }, 'approval.approved'));
+});
+
+// ─── Endpoint URLs ────────────────────────────────────────────────────────────
+
+test('endpoints must be https in production and never private', () => {
+  assert.strictEqual(validateEndpointUrl('https://hooks.example.com/zc', { allowInsecure: false }), null);
+  assert.match(validateEndpointUrl('http://hooks.example.com/zc', { allowInsecure: false }), /https/);
+  assert.strictEqual(validateEndpointUrl('http://hooks.example.com/zc', { allowInsecure: true }), null);
+  assert.ok(validateEndpointUrl('not a url'));
+  assert.ok(validateEndpointUrl('https://user:pw@hooks.example.com'));
+  for (const host of ['localhost', '127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.10', '169.254.169.254', '[::1]']) {
+    assert.match(validateEndpointUrl(`https://${host}/hook`), /private/, host);
+  }
+});
+
+test('resolved addresses are refused when private, shared or reserved', () => {
+  for (const addr of ['100.64.0.1', '198.18.0.1', '224.0.0.1', '::ffff:127.0.0.1', '::ffff:169.254.169.254', 'fe80::1', 'fd00::1']) {
+    assert.strictEqual(isPrivateAddress(addr), true, addr);
+  }
+  for (const addr of ['93.184.216.34', '100.128.0.1', '2606:4700::1111', '::ffff:8.8.8.8']) {
+    assert.strictEqual(isPrivateAddress(addr), false, addr);
+  }
+  assert.strictEqual(checkResolvedAddresses([{ address: '93.184.216.34', family: 4 }]), null);
+  assert.match(checkResolvedAddresses([
+    { address: '93.184.216.34', family: 4 },
+    { address: '169.254.169.254', family: 4 },
+  ]), /private.*169\.254\.169\.254/);
+  assert.match(checkResolvedAddresses([]), /did not resolve/);
+});
+
+// ─── Signing ──────────────────────────────────────────────────────────────────
+
+const secret = generateSecret();
+const body = JSON.stringify({ id: 'evt_1', event: 'ticket.status_changed' });
+const ts = 1767225600;
+
+test('secrets are random and prefixed', () => {
+  assert.ok(secret.startsWith('whsec_'));
+  assert.notStrictEqual(secret, generateSecret());
+});
+
+test('signature is HMAC-SHA256 over "<timestamp>.<body>"', () => {
+  const expected = crypto.createHmac('sha256', secret).update(`${ts}.${body}`).digest('hex');
+  assert.strictEqual(signPayload(secret, ts, body), `sha256=${expected}`);
+});
+
+test('receivers reject tampered bodies, timestamps or secrets', () => {
+  const header = signPayload(secret, ts, body);
+  assert.ok(verifyPayload(secret, ts, body, header));
+  assert.ok(!verifyPayload(secret, ts, body.replace('evt_1', 'evt_2'), header));
+  assert.ok(!verifyPayload(secret, ts + 1, body, header));
+  assert.ok(!verifyPayload(generateSecret(), ts, body, header));
+  assert.ok(!verifyPayload(secret, ts, body, undefined));
+});
+
+// ─── Retries & envelope ───────────────────────────────────────────────────────
+
+test('backoff grows exponentially like bull', () => {
+  assert.deepStrictEqual([1, 2, 3, 4, 5].map(n => backoffDelay(n, 30000)), [30000, 90000, 210000, 450000, 930000]);
+});
+
+test('only 2xx responses count as delivered', () => {
+  assert.ok(isSuccessStatus(200));
+  assert.ok(isSuccessStatus(204));
+  assert.ok(!isSuccessStatus(301));
+  assert.ok(!isSuccessStatus(500));
+  assert.ok(!isSuccessStatus(null));
+});
+
+test('envelope carries event id, name, client and ISO time', () => {
+  const env = buildEnvelope({
+    eventId: 'evt_1', event: 'reduction.status_changed', clientId: 'C1',
+    occurredAt: new Date(ts * 1000), data: { status: 'completed' },
+  });
+  assert.deepStrictEqual(env, {
+    id: 'evt_1', event: 'reduction.status_changed', clientId: 'C1',
+    occurredAt: '2026-01-01T00:00:00.000Z', data: { status: 'completed' },
+  });
+});
+
+// ─── Results ──────────────────────────────────────────────────────────────────
+
+console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+if (failed > 0) process.exit(1);